@@ -5,6 +5,11 @@ const Patient = require("../models/patient.model");
 const { Op } = require('sequelize');
 const { emailService } = require('../services/email.services');
 const azureStorageService = require('../services/azureStorage.service');
+const sessionService = require('../services/session.service');
+const doctorSearchService = require('../services/doctorSearch.service');
+const deviceTokenService = require('../services/deviceToken.service');
+const ScheduledJob = require('../models/scheduledJob.model');
+const JobRun = require('../models/jobRun.model');
 
 // Helper function to upload image to Azure Blob Storage
 const uploadImage = async (file) => {
@@ -507,6 +512,9 @@ exports.createOrUpdateUser = async (req, res) => {
       if (notificationEnabled !== undefined) updateData.notificationEnabled = notificationEnabled;
 
       await user.update(updateData);
+      if (typeof fcmToken === 'string' && fcmToken.trim()) {
+        await deviceTokenService.registerToken(user.id, { token: fcmToken.trim() });
+      }
 
       res.status(200).json({
         status: "success",
@@ -552,6 +560,9 @@ exports.createOrUpdateUser = async (req, res) => {
         fcmToken,
         notificationEnabled
       });
+      if (typeof fcmToken === 'string' && fcmToken.trim()) {
+        await deviceTokenService.registerToken(user.id, { token: fcmToken.trim() });
+      }
 
       // If user role is 'user', automatically create a patient record
       if (role === 'user') {
@@ -661,6 +672,17 @@ exports.createOrUpdateDoctor = async (req, res) => {
       }
     }
 
+    const searchFields = doctorSearchService.validateProfileFields(req.body);
+    if (!searchFields.valid) {
+      return res.status(400).json({
+        status: "error",
+        code: 400,
+        message: "Validation failed",
+        errors: searchFields.errors,
+        data: null
+      });
+    }
+
     // Validation for required fields
     if (!name || !phone || !gender || !degree || !registrationNumber ||
       !clinicName || !yearsOfExperience || !clinicContactNumber ||
@@ -723,7 +745,8 @@ exports.createOrUpdateDoctor = async (req, res) => {
       const doctorUpdateData = {
         degree, registrationNumber, clinicName,
         yearsOfExperience, specialty, clinicContactNumber, email, address,
-        country, state, city, locationPin, startTime, endTime
+        country, state, city, locationPin, startTime, endTime,
+        ...searchFields.values
       };
 
       // Add photo URLs if uploaded
@@ -737,6 +760,7 @@ exports.createOrUpdateDoctor = async (req, res) => {
 
       if (is_active !== undefined) doctorUpdateData.is_active = is_active;
 
+      Object.assign(doctorUpdateData, await doctorSearchService.withPinCoordinates(searchFields.values, locationPin, doctor));
       await doctor.update(doctorUpdateData);
 
       // Fetch updated doctor with user data
@@ -809,6 +833,7 @@ exports.createOrUpdateDoctor = async (req, res) => {
         locationPin,
         startTime,
         endTime,
+        ...searchFields.values,
         is_active: is_active !== undefined ? is_active : true,
         isApproved: false // Default to false, admin can approve later
       };
@@ -822,6 +847,7 @@ exports.createOrUpdateDoctor = async (req, res) => {
         doctorData.clinicPhotos = clinicPhotosUrls;
       }
 
+      Object.assign(doctorData, await doctorSearchService.withPinCoordinates(searchFields.values, locationPin));
       const doctor = await Doctor.create(doctorData);
 
       // Fetch created doctor with user data
@@ -1279,3 +1305,159 @@ exports.getPatientDetails = async (req, res) => {
     });
   }
 };
+
+exports.getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const includeRevoked = req.query.includeRevoked === 'true';
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'name', 'phone', 'role'] });
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        code: 404,
+        message: "User not found",
+        data: null
+      });
+    }
+
+    const sessions = await sessionService.listSessions(user.id, { includeRevoked });
+
+    res.json({
+      status: "success",
+      code: 200,
+      message: "User sessions retrieved successfully",
+      data: {
+        user,
+        sessions
+      }
+    });
+  } catch (error) {
+    console.error('Get User Sessions Error:', error);
+    res.status(500).json({
+      status: "error",
+      code: 500,
+      message: "Internal Server Error",
+      error: error.message,
+      data: null
+    });
+  }
+};
+
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+
+    const user = await User.findByPk(userId, { attributes: ['id'] });
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        code: 404,
+        message: "User not found",
+        data: null
+      });
+    }
+
+    // Revoke a single session when one is named, otherwise sign the user out everywhere
+    if (sessionId) {
+      const revoked = await sessionService.revokeSession(sessionId, 'revoked_by_admin', user.id);
+      if (!revoked) {
+        return res.status(404).json({
+          status: "error",
+          code: 404,
+          message: "Active session not found",
+          data: null
+        });
+      }
+    }
+
+    const revokedCount = sessionId
+      ? 1
+      : await sessionService.revokeAllSessions(user.id, 'revoked_by_admin');
+
+    res.json({
+      status: "success",
+      code: 200,
+      message: "Sessions revoked successfully",
+      data: {
+        userId: user.id,
+        revokedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke User Sessions Error:', error);
+    res.status(500).json({
+      status: "error",
+      code: 500,
+      message: "Internal Server Error",
+      error: error.message,
+      data: null
+    });
+  }
+};
+
+exports.listScheduledJobs = async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      status: "success",
+      code: 200,
+      message: "Scheduled jobs retrieved successfully",
+      data: jobs
+    });
+  } catch (error) {
+    console.error('List Scheduled Jobs Error:', error);
+    res.status(500).json({
+      status: "error",
+      code: 500,
+      message: "Internal Server Error",
+      error: error.message,
+      data: null
+    });
+  }
+};
+
+exports.getJobRuns = async (req, res) => {
+  try {
+    let { page = 1, limit = 20, jobName, status } = req.query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.params.jobName || jobName) where.jobName = req.params.jobName || jobName;
+    if (status) where.status = status;
+
+    const { count, rows: runs } = await JobRun.findAndCountAll({
+      where,
+      order: [['startedAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      status: "success",
+      code: 200,
+      message: "Job runs retrieved successfully",
+      data: runs,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Job Runs Error:', error);
+    res.status(500).json({
+      status: "error",
+      code: 500,
+      message: "Internal Server Error",
+      error: error.message,
+      data: null
+    });
+  }
+};
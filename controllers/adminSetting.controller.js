@@ -1,5 +1,6 @@
 const AdminSetting = require('../models/adminSetting.model');
 const User = require('../models/user.model');
+const appointmentPolicyService = require('../services/appointmentPolicy.service');
 
 /**
  * @swagger
@@ -60,6 +61,44 @@ const User = require('../models/user.model');
  *           type: boolean
  *           description: Whether this admin setting is active
  *           example: true
+ *
+ *     AppointmentPolicy:
+ *       type: object
+ *       properties:
+ *         appointmentType:
+ *           type: string
+ *           enum: [physical, virtual]
+ *         freeCancellationHours:
+ *           type: integer
+ *           description: Patients cancelling at least this many hours ahead pay no penalty
+ *           example: 24
+ *         allowLateCancellation:
+ *           type: boolean
+ *           description: Whether patients may still cancel inside the free cancellation window
+ *           example: true
+ *         lateCancellationFeeType:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         lateCancellationFee:
+ *           type: number
+ *           description: Penalty kept from the refund for a late cancellation, as a percentage of the amount paid or a fixed INR amount capped at it. Unpaid bookings are not charged, and package appointments cancelled late are not given back to the package.
+ *           example: 50
+ *         maxReschedules:
+ *           type: integer
+ *           nullable: true
+ *           description: Approved reschedules allowed per appointment; null for no limit
+ *           example: 2
+ *         rescheduleCutoffHours:
+ *           type: integer
+ *           description: Reschedule requests must be made at least this many hours before the appointment
+ *           example: 0
+ *         noShowAfterMinutes:
+ *           type: integer
+ *           description: Virtual appointments nobody joined are marked no_show this many minutes after their start
+ *           example: 30
+ *         isDefault:
+ *           type: boolean
+ *           description: True when the type has not been configured and the defaults apply
  */
 
 // Get admin settings for the authenticated admin user
@@ -340,3 +379,77 @@ exports.deleteAdminSettings = async (req, res) => {
   }
 };
 
+// Get the cancellation, reschedule and no-show policies of all appointment types
+exports.getAppointmentPolicies = async (req, res) => {
+  try {
+    const policies = await appointmentPolicyService.getPolicies();
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Appointment policies retrieved successfully',
+      data: policies
+    });
+  } catch (error) {
+    console.error('Get Appointment Policies Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message || 'Failed to retrieve appointment policies',
+      data: null
+    });
+  }
+};
+
+// Update the policy of one appointment type
+exports.updateAppointmentPolicy = async (req, res) => {
+  try {
+    const { appointmentType } = req.params;
+
+    if (!appointmentPolicyService.APPOINTMENT_TYPES.includes(appointmentType)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'appointmentType must be physical or virtual',
+        data: null
+      });
+    }
+
+    const { valid, errors, values } = appointmentPolicyService.validatePolicy(req.body);
+    if (!valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid appointment policy',
+        errors,
+        data: null
+      });
+    }
+
+    const result = await appointmentPolicyService.updatePolicy(appointmentType, values, req.user.id);
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid appointment policy',
+        errors: result.errors,
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Appointment policy updated successfully',
+      data: result.policy
+    });
+  } catch (error) {
+    console.error('Update Appointment Policy Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message || 'Failed to update appointment policy',
+      data: null
+    });
+  }
+};
@@ -1,16 +1,94 @@
 const { Op } = require('sequelize');
+const sequelize = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
-const { Appointment, User, Doctor, Notification } = require('../models');
+const { Appointment, User, Doctor, Notification, Price } = require('../models');
 const VirtualDoctor = require('../models/virtualDoctor.model');
-const { sendUserNotification } = require('../services/firebase.services');
-const { sendAppointmentEmail } = require('../services/email.services');
+const notificationDispatcher = require('../services/notificationDispatcher.service');
 const { CommunicationIdentityClient } = require('@azure/communication-identity');
 const Patient = require('../models/patient.model');
+const doctorScheduleService = require('../services/doctorSchedule.service');
+const slotHoldService = require('../services/slotHold.service');
+const refundService = require('../services/refund.service');
+const appointmentPolicyService = require('../services/appointmentPolicy.service');
+const waitlistService = require('../services/waitlist.service');
+const appointmentSeriesService = require('../services/appointmentSeries.service');
+const prescriptionService = require('../services/prescription.service');
+const treatmentPlanService = require('../services/treatmentPlan.service');
+const packageService = require('../services/package.service');
+const referralService = require('../services/referral.service');
+const FamilyMember = require('../models/familyMember.model');
 const { DateTime } = require('luxon');
 const communicationIdentityClient = new CommunicationIdentityClient(
   process.env.AZURE_COMMUNICATION_CONNECTION_STRING
 );
 
+// Offer a freed slot to the waitlist; the cancellation or rejection itself must not fail because of it
+const offerSlotToWaitlist = async (appointment) => {
+  try {
+    await waitlistService.offerFreedSlot(appointment);
+  } catch (error) {
+    console.error(`Waitlist offer for appointment ${appointment.id} failed:`, error);
+  }
+};
+
+// Close the recurring series of a visit once it has nothing left to come
+const syncSeriesStatus = async (appointment) => {
+  if (!appointment.seriesId) return;
+  try {
+    await appointmentSeriesService.syncSeriesStatus(appointment.seriesId);
+  } catch (error) {
+    console.error(`Series status update for appointment ${appointment.id} failed:`, error);
+  }
+};
+
+// Keep the treatment plan step booked in an appointment in step with its outcome
+const syncTreatmentStep = async (appointment) => {
+  if (!appointment.treatmentStepId) return;
+  try {
+    await treatmentPlanService.syncStepForAppointment(appointment);
+  } catch (error) {
+    console.error(`Treatment step update for appointment ${appointment.id} failed:`, error);
+  }
+};
+
+// Save a completed visit together with its structured prescription. The visit is only completed
+// once the prescription is signed, so a failed signing rolls it back and can be retried.
+const saveCompletion = async (appointment, structuredPrescription, author) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await appointment.save({ transaction });
+      if (!structuredPrescription) return;
+      const result = await prescriptionService.issuePrescription(appointment, author, structuredPrescription.values, { transaction });
+      if (!result.success) {
+        throw Object.assign(new Error(result.message), { prescriptionResult: result });
+      }
+    });
+    return { success: true };
+  } catch (error) {
+    if (!error.prescriptionResult) throw error;
+    return error.prescriptionResult;
+  }
+};
+
+// Reward the referral of a patient on their first paid appointment; the referral-rewards job retries missed ones
+const rewardReferral = async (appointment) => {
+  try {
+    await referralService.rewardForAppointment(appointment);
+  } catch (error) {
+    console.error(`Referral reward for appointment ${appointment.id} failed:`, error);
+  }
+};
+
+// Give back the package appointment of a rejected request; the rejection itself must not fail because of it
+const restorePackageCredit = async (appointment) => {
+  if (!appointment.packagePurchaseId) return;
+  try {
+    await packageService.restoreCredit(appointment.id, 'Appointment rejected');
+  } catch (error) {
+    console.error(`Package credit for appointment ${appointment.id} was not restored:`, error);
+  }
+};
+
 // Helper function to create Azure Communication user and token
 const createAzureCommUser = async () => {
   try {
@@ -31,8 +109,11 @@ const createAzureCommUser = async () => {
 module.exports = {
 
   bookAppointment: async (req, res) => {
+    let slotHold = null;
+    let waitlistEntry = null;
+    let packageUsage = null;
     try {
-      const { userId, doctorId, appointmentDateTime, type = 'physical', notes, virtualDoctorId } = req.body;
+      const { userId, doctorId, appointmentDateTime, type = 'physical', notes, virtualDoctorId, waitlistEntryId, treatmentStepId, packagePurchaseId, familyMemberId } = req.body;
 
       // Always interpret incoming appointmentDateTime as IST, regardless of format
       let requestedTime;
@@ -84,6 +165,20 @@ module.exports = {
         });
       }
 
+      // Patients can book for a family member on their profile
+      if (familyMemberId) {
+        const familyMember = patient
+          ? await FamilyMember.findOne({ where: { id: familyMemberId, patientId: patient.id } })
+          : null;
+        if (!familyMember) {
+          return res.status(400).json({
+            status: 'error',
+            code: 400,
+            message: 'Family member not found',
+          });
+        }
+      }
+
              // Validate doctor (skip validation for virtual appointments with doctorId = null)
        let doctor = null;
        let virtualDoctor = null;
@@ -140,42 +235,21 @@ module.exports = {
       // }
 
              // Check time slot availability (30-minute blocks) - all in IST
-       const slotStart = requestedTime.set({ minute: Math.floor(requestedTime.minute / 30) * 30, second: 0, millisecond: 0 });
-       const slotEnd = slotStart.plus({ minutes: 30 });
-
-               // For virtual appointments with doctorId = null, check global virtual appointment count
-        // For physical appointments, check specific doctor's availability
-        const whereCondition = {
-          appointmentDateTime: {
-            [Op.between]: [slotStart.toJSDate(), slotEnd.toJSDate()]
-          },
-          status: { [Op.notIn]: ['canceled', 'completed', 'rejected'] }
-        };
+       let slotStart = requestedTime.set({ minute: Math.floor(requestedTime.minute / 30) * 30, second: 0, millisecond: 0 });
+       let slotEnd = slotStart.plus({ minutes: 30 });
 
-        if (type === 'virtual') {
-          whereCondition.type = 'virtual';
-          if (virtualDoctorId) {
-            // Check availability for specific virtual doctor
-            whereCondition.virtualDoctorId = virtualDoctorId;
-          } else {
-            // Check global virtual appointment count (no specific doctor assigned)
-            whereCondition.doctorId = null;
-            whereCondition.virtualDoctorId = null;
-          }
-        } else if (doctorId !== null && doctorId !== 0) {
-          whereCondition.doctorId = doctorId;
-        }
-
-       const existingCount = await Appointment.count({ where: whereCondition });
-
-       const maxAppointments = type === 'physical' ? 1 : 3;
-
-       if (existingCount >= maxAppointments) {
-         return res.status(400).json({
-           status: 'error',
-           code: 400,
-           message: 'Time slot is full. Please choose another time.',
-         });
+       // Physical appointments must fall in one of the doctor's scheduled slots
+       if (doctor) {
+         const { slot, error: slotError } = await doctorScheduleService.findSlot(doctor, requestedTime);
+         if (slotError) {
+           return res.status(400).json({
+             status: 'error',
+             code: 400,
+             message: slotError,
+           });
+         }
+         slotStart = slot.start;
+         slotEnd = slot.end;
        }
 
              // Check if user already has an appointment on same date (IST)
@@ -187,6 +261,7 @@ module.exports = {
             userId,
             doctorId: type === 'virtual' ? null : (doctorId !== null && doctorId !== 0 ? doctorId : null),
             virtualDoctorId: type === 'virtual' ? virtualDoctorId : null,
+            familyMemberId: familyMemberId || null,
             appointmentDateTime: {
               [Op.between]: [dayStart.toJSDate(), dayEnd.toJSDate()]
             },
@@ -215,6 +290,90 @@ module.exports = {
           });
         }
 
+      // Steps of an accepted treatment plan are booked with the plan's doctor, phase by phase
+      if (treatmentStepId) {
+        const stepCheck = await treatmentPlanService.checkStepBookable(treatmentStepId, { userId, type, doctorId });
+        if (!stepCheck.success) {
+          return res.status(400).json({
+            status: 'error',
+            code: 400,
+            message: stepCheck.message,
+            reason: stepCheck.code
+          });
+        }
+      }
+
+      // Appointments booked with a package are already paid for
+      const packageBooking = {
+        userId,
+        type,
+        familyMemberId: familyMemberId || null,
+        appointmentDateTime: requestedTime.toJSDate()
+      };
+      if (packagePurchaseId) {
+        const packageCheck = await packageService.checkUsable(packagePurchaseId, packageBooking);
+        if (!packageCheck.success) {
+          return res.status(400).json({
+            status: 'error',
+            code: 400,
+            message: packageCheck.message,
+            reason: packageCheck.code
+          });
+        }
+      }
+
+      // Virtual bookings are paid for afterwards, so their slot is only held until payment completes
+      let paymentExpected = false;
+      if (type === 'virtual' && !packagePurchaseId) {
+        const virtualAppointmentPrice = await Price.findOne({
+          where: { serviceName: 'Virtual Appointment', isActive: true }
+        });
+        paymentExpected = Boolean(virtualAppointmentPrice && virtualAppointmentPrice.price);
+      }
+
+      // A slot offered from the waitlist is already held for this patient
+      let holdResult;
+      if (waitlistEntryId) {
+        const claim = await waitlistService.claimOffer(waitlistEntryId, {
+          userId,
+          type,
+          doctorId,
+          virtualDoctorId,
+          slotStart
+        });
+        if (!claim.success) {
+          return res.status(400).json({
+            status: 'error',
+            code: 400,
+            message: claim.message,
+            reason: claim.code
+          });
+        }
+        waitlistEntry = claim.entry;
+        holdResult = { success: true, hold: claim.hold };
+      } else {
+        // Reserve the slot atomically so concurrent bookings cannot exceed its capacity
+        holdResult = await slotHoldService.createHold({
+          userId,
+          type,
+          doctorId: type === 'virtual' ? null : doctorId || null,
+          virtualDoctorId: type === 'virtual' ? virtualDoctorId || null : null,
+          slotStart,
+          slotEnd,
+          capacity: type === 'physical' ? 1 : 3
+        });
+      }
+
+      if (!holdResult.success) {
+        return res.status(holdResult.code === 'SLOT_BUSY' ? 409 : 400).json({
+          status: 'error',
+          code: holdResult.code === 'SLOT_BUSY' ? 409 : 400,
+          message: holdResult.message,
+          reason: holdResult.code
+        });
+      }
+      slotHold = holdResult.hold;
+
       // Build appointment data - convert IST DateTime to JS Date for DB storage
       const appointmentData = {
         userId,
@@ -225,6 +384,10 @@ module.exports = {
         status: 'pending',
         notes,
         bookingDate: new Date(), // UTC Date for DB
+        paymentRequired: paymentExpected,
+        treatmentStepId: treatmentStepId || null,
+        packagePurchaseId: packagePurchaseId || null,
+        familyMemberId: familyMemberId || null,
       };
 
       if (type === 'virtual') {
@@ -243,6 +406,10 @@ module.exports = {
           appointmentData.azureDoctorTokenExpiry = doctorCommUser.expiresOn;
         } catch (err) {
           console.error('Azure Communication Services error:', err);
+          // A waitlist offer stays reserved so the patient can try again before it runs out
+          if (!waitlistEntry) {
+            await slotHoldService.releaseHold(slotHold, 'video_setup_failed');
+          }
           return res.status(500).json({
             status: 'error',
             code: 500,
@@ -251,113 +418,43 @@ module.exports = {
         }
       }
 
-      // Save appointment
-      const appointment = await Appointment.create(appointmentData);
-
-      // Send notification to doctor/virtual doctor
-      if (type === 'virtual' && virtualDoctor) {
-        // Send notification to virtual doctor
-        await sendUserNotification(
-          virtualDoctor.User.id,
-          'New Virtual Appointment Request',
-          `You have a new virtual appointment request from ${user.name}`,
-          {
-            type: 'appointment',
-            relatedId: appointment.id,
-            data: {
-              appointmentId: appointment.id.toString(),
-              type: 'new_virtual_appointment',
-              appointmentType: 'virtual'
-            }
-          }
-        );
-      } else if (doctorId !== null && doctorId !== 0 && doctor) {
-        // Send notification to regular doctor
-        await sendUserNotification(
-          doctor.User.id,
-          'New Appointment Request',
-          `You have a new appointment request from ${user.name}`,
-          {
-            type: 'appointment',
-            relatedId: appointment.id,
-            data: {
-              appointmentId: appointment.id.toString(),
-              type: 'new_appointment',
-              appointmentType: 'physical'
-            }
-          }
-        );
-      }
-
-      // Send notification to patient
-      await sendUserNotification(
-        userId,
-        'Appointment Request Submitted',
-        `Your ${type} appointment request has been submitted successfully. You will be notified once confirmed.`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'appointment_requested',
-            appointmentType: type
+      // Use the package appointment last, so checks that fail above do not spend it
+      if (packagePurchaseId) {
+        const consumed = await packageService.consumeCredit(packagePurchaseId, packageBooking);
+        if (!consumed.success) {
+          if (!waitlistEntry) {
+            await slotHoldService.releaseHold(slotHold, 'booking_failed');
           }
+          return res.status(400).json({
+            status: 'error',
+            code: 400,
+            message: consumed.message,
+            reason: consumed.code
+          });
         }
-      );
-
+        packageUsage = consumed.usage;
+      }
 
-             await sendAppointmentEmail(
-         patient.email,
-         'appointment_requested',
-         {
-           patientName: String(user.name || ''),
-           doctorName: type === 'virtual' 
-             ? (virtualDoctor ? String(virtualDoctor.User.name || '') : 'Virtual Doctor')
-             : (doctorId !== null && doctorId !== 0 ? String(doctor.User.name || '') : 'Doctor'),
-           appointmentDate: requestedTime.toFormat('dd LLL yyyy'),
-           appointmentTime: requestedTime.toFormat('hh:mm a'),
-           appointmentType: String(type),
-           appointmentId: appointment.id.toString()
-         }
-       );
-
-               // Send email to doctor/virtual doctor
-        if (type === 'virtual' && virtualDoctor) {
-          // Send email to virtual doctor
-          await sendAppointmentEmail(
-            virtualDoctor.email,
-            'new_appointment_request',
-            {
-              doctorName: String(virtualDoctor.User.name || ''),
-              patientName: String(user.name || ''),
-              appointmentDate: requestedTime.toFormat('dd LLL yyyy'),
-              appointmentTime: requestedTime.toFormat('hh:mm a'),
-              appointmentType: String(type),
-              appointmentId: appointment.id.toString(),
-              notes: String(notes || 'No additional notes')
-            }
-          );
-        } else if (doctorId !== null && doctorId !== 0 && doctor) {
-          // Send email to regular doctor
-          await sendAppointmentEmail(
-            doctor.email,
-            'new_appointment_request',
-            {
-              doctorName: String(doctor.User.name || ''),
-              patientName: String(user.name || ''),
-              appointmentDate: requestedTime.toFormat('dd LLL yyyy'),
-              appointmentTime: requestedTime.toFormat('hh:mm a'),
-              appointmentType: String(type),
-              appointmentId: appointment.id.toString(),
-              notes: String(notes || 'No additional notes')
-            }
-          );
-        }
+      // Save appointment
+      const appointment = await Appointment.create(appointmentData);
+      if (packageUsage) {
+        await packageService.linkUsage(packageUsage, appointment.id);
+      }
+      slotHold = await slotHoldService.attachAppointment(slotHold, appointment.id, { convert: !paymentExpected });
+      if (waitlistEntry) {
+        await waitlistService.completeClaim(waitlistEntry, appointment.id);
+      }
+      if (appointment.treatmentStepId && !await treatmentPlanService.scheduleStep(appointment)) {
+        // Another booking took the step in the meantime; keep the visit but drop the link
+        await appointment.update({ treatmentStepId: null });
+      }
 
+      await notificationDispatcher.emit('appointment.requested', { appointmentId: appointment.id, notes: notes || null });
 
       // Format response data with IST times
       const responseData = {
         ...appointment.toJSON(),
+        slotHoldExpiresAt: slotHold.status === 'held' ? slotHold.expiresAt : null,
         appointmentDateTime: DateTime.fromJSDate(appointment.appointmentDateTime)
           .setZone('Asia/Kolkata')
           .toFormat('yyyy-MM-dd hh:mm a'),
@@ -381,6 +478,18 @@ module.exports = {
 
     } catch (error) {
       console.error('Book Appointment Error:', error);
+      // Give the slot back if the appointment itself was never created
+      if (slotHold && !slotHold.appointmentId && !waitlistEntry) {
+        await slotHoldService.releaseHold(slotHold, 'booking_failed').catch(releaseError => {
+          console.error('Release Slot Hold Error:', releaseError);
+        });
+      }
+      // Give the package appointment back if no appointment uses it
+      if (packageUsage && !packageUsage.appointmentId) {
+        await packageService.restoreUsage(packageUsage, 'Booking failed').catch(restoreError => {
+          console.error('Restore Package Credit Error:', restoreError);
+        });
+      }
       return res.status(500).json({
         status: 'error',
         code: 500,
@@ -503,6 +612,9 @@ module.exports = {
 
       await appointment.save();
 
+      // Fetching credentials is the last step before entering the call
+      await appointmentPolicyService.recordCallJoin(appointment, isPatient);
+
       // Return appropriate credentials based on user role
       let credentials;
       if (isPatient) {
@@ -589,41 +701,7 @@ module.exports = {
       appointment.confirmedAt = new Date();
       await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Appointment Confirmed',
-        `Your appointment with Dr. ${appointment.doctor.User.name} has been confirmed`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'appointment_confirmed',
-            appointmentType: appointment.type
-          }
-        }
-      );
-
-      // Send confirmation email to patient
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_confirmed',
-        {
-          patientName: appointment.patient.name,
-          doctorName: appointment.doctor.User.name,
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          appointmentType: appointment.type,
-          appointmentId: appointment.id,
-          videoCallLink: appointment.videoCallLink || null
-        }
-      );
-
+      await notificationDispatcher.emit('appointment.confirmed', { appointmentId: appointment.id });
 
       res.json({
         status: 'success',
@@ -681,40 +759,12 @@ module.exports = {
       appointment.rejectionReason = rejectionReason;
       appointment.rejectedAt = new Date();
       await appointment.save();
+      await restorePackageCredit(appointment);
+      await offerSlotToWaitlist(appointment);
+      await syncSeriesStatus(appointment);
+      await syncTreatmentStep(appointment);
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Appointment Rejected',
-        `Your appointment request with Dr. ${appointment.doctor.User.name} has been rejected`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'appointment_rejected',
-            appointmentType: appointment.type,
-            rejectionReason: rejectionReason || 'No reason provided'
-          }
-        }
-      );
-
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_rejected',
-        {
-          patientName: appointment.patient.name,
-          doctorName: appointment.doctor.User.name,
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          rejectionReason: rejectionReason || 'No reason provided',
-          appointmentId: appointment.id
-        }
-      );
+      await notificationDispatcher.emit('appointment.rejected', { appointmentId: appointment.id, rejectionReason: rejectionReason || null });
 
       res.json({
         status: 'success',
@@ -760,8 +810,6 @@ module.exports = {
         });
       }
 
-      // No time restriction for rescheduling - removed 24-hour validation
-
       // Validate appointment status
       if (!['pending', 'confirmed'].includes(appointment.status)) {
         return res.status(400).json({
@@ -771,6 +819,18 @@ module.exports = {
         });
       }
 
+      // Reschedule limit and cutoff come from the policy of the appointment type
+      const policy = await appointmentPolicyService.getPolicy(appointment.type);
+      const rescheduleCheck = appointmentPolicyService.evaluateReschedule(appointment, policy);
+      if (!rescheduleCheck.allowed) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: rescheduleCheck.message,
+          reason: rescheduleCheck.code,
+        });
+      }
+
       // Parse and validate new appointment time in IST
       let newRequestedTime;
       if (newDateTime.includes('T')) {
@@ -829,8 +889,22 @@ module.exports = {
       // }
 
       // Check availability for new time slot
-      const slotStart = newRequestedTime.set({ minute: Math.floor(newRequestedTime.minute / 30) * 30, second: 0, millisecond: 0 });
-      const slotEnd = slotStart.plus({ minutes: 30 });
+      let slotStart = newRequestedTime.set({ minute: Math.floor(newRequestedTime.minute / 30) * 30, second: 0, millisecond: 0 });
+      let slotEnd = slotStart.plus({ minutes: 30 });
+
+      // Physical appointments must move into one of the doctor's scheduled slots
+      if (appointment.type !== 'virtual' && appointment.doctor) {
+        const { slot, error: slotError } = await doctorScheduleService.findSlot(appointment.doctor, newRequestedTime);
+        if (slotError) {
+          return res.status(400).json({
+            status: 'error',
+            code: 400,
+            message: slotError,
+          });
+        }
+        slotStart = slot.start;
+        slotEnd = slot.end;
+      }
 
       // Build where condition based on appointment type
       const whereCondition = {
@@ -873,85 +947,7 @@ module.exports = {
       appointment.rescheduleRequestedAt = new Date();
       await appointment.save();
 
-      // Send notification to doctor/virtual doctor
-      let doctorUserId = null;
-      if (appointment.type === 'virtual') {
-        if (appointment.virtualDoctor && appointment.virtualDoctor.User) {
-          doctorUserId = appointment.virtualDoctor.User.id;
-        }
-      } else if (appointment.doctor && appointment.doctor.User) {
-        doctorUserId = appointment.doctor.User.id;
-      }
-
-      if (doctorUserId) {
-        await sendUserNotification(
-          doctorUserId,
-          'Reschedule Request',
-          `${appointment.patient.name} has requested to reschedule their ${appointment.type} appointment`,
-          {
-            type: 'appointment',
-            relatedId: appointment.id,
-            data: {
-              appointmentId: appointment.id.toString(),
-              type: 'reschedule_requested',
-              appointmentType: appointment.type
-            }
-          }
-        );
-      }
-
-      // Send reschedule request emails with IST formatting
-      const originalIST = DateTime.fromJSDate(appointment.originalDateTime).setZone('Asia/Kolkata');
-      const newIST = newRequestedTime;
-
-      // Determine doctor information based on appointment type
-      let doctorEmail, doctorName;
-      if (appointment.type === 'virtual') {
-        if (appointment.virtualDoctor && appointment.virtualDoctor.User) {
-          doctorEmail = appointment.virtualDoctor.email; // Email is in VirtualDoctor model, not User
-          doctorName = appointment.virtualDoctor.User.name;
-        } else {
-          // For virtual appointments without assigned doctor, use a generic name
-          doctorEmail = 'virtual-doctor@sidclinic.com'; // You might want to use a real email
-          doctorName = 'Virtual Doctor';
-        }
-      } else {
-        // For regular doctors, we need to check if they have email in their profile
-        // Since User model doesn't have email, we'll use a default or get from doctor profile
-        doctorEmail = appointment.doctor.email || 'doctor@sidclinic.com'; // Assuming doctor model has email
-        doctorName = appointment.doctor.User.name;
-      }
-
-      // Send email to doctor/virtual doctor
-      await sendAppointmentEmail(
-        doctorEmail,
-        'reschedule_request_doctor',
-        {
-          doctorName: doctorName,
-          patientName: appointment.patient.name,
-          originalDate: originalIST.toFormat('dd LLL yyyy'),
-          originalTime: originalIST.toFormat('hh:mm a'),
-          newDate: newIST.toFormat('dd LLL yyyy'),
-          newTime: newIST.toFormat('hh:mm a'),
-          rescheduleReason: rescheduleReason || 'No reason provided',
-          appointmentId: appointment.id
-        }
-      );
-
-      // Send email to patient
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'reschedule_request_patient',
-        {
-          patientName: appointment.patient.name,
-          doctorName: doctorName,
-          originalDate: originalIST.toFormat('dd LLL yyyy'),
-          originalTime: originalIST.toFormat('hh:mm a'),
-          newDate: newIST.toFormat('dd LLL yyyy'),
-          newTime: newIST.toFormat('hh:mm a'),
-          appointmentId: appointment.id
-        }
-      );
+      await notificationDispatcher.emit('appointment.rescheduleRequested', { appointmentId: appointment.id, rescheduleReason: rescheduleReason || null });
 
       res.json({
         status: 'success',
@@ -1008,42 +1004,10 @@ module.exports = {
       appointment.appointmentDateTime = appointment.requestedDateTime;
       appointment.status = 'confirmed';
       appointment.rescheduleApprovedAt = new Date();
+      appointment.rescheduleCount = (appointment.rescheduleCount || 0) + 1;
       await appointment.save();
 
-      await sendUserNotification(
-        appointment.userId,
-        'Reschedule Approved',
-        `Dr. ${appointment.doctor.User.name} has approved your reschedule request`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'reschedule_approved',
-            appointmentType: appointment.type
-          }
-        }
-      );
-
-
-      // Send approval email to patient
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'reschedule_approved',
-        {
-          patientName: String(appointment.patient.name),
-          doctorName: String(appointment.doctor.User.name),
-          newDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          newTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          appointmentType: String(appointment.type),
-          appointmentId: String(appointment.id),
-          videoCallLink: appointment.videoCallLink ? String(appointment.videoCallLink) : ''
-        }
-      );
+      await notificationDispatcher.emit('appointment.rescheduleApproved', { appointmentId: appointment.id });
 
       res.json({
         status: 'success',
@@ -1104,41 +1068,7 @@ module.exports = {
       appointment.requestedDateTime = null;
       await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Reschedule Request Rejected',
-        `Dr. ${appointment.doctor.User.name} has rejected your reschedule request`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'reschedule_rejected',
-            appointmentType: appointment.type,
-            rejectionReason: rejectionReason || 'No reason provided'
-          }
-        }
-      );
-
-
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'reschedule_rejected',
-        {
-          patientName: String(appointment.patient.name),
-          doctorName: String(appointment.doctor.User.name),
-          originalDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          originalTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          rejectionReason: String(rejectionReason || 'No reason provided'),
-          appointmentId: String(appointment.id)
-        }
-      );
-
+      await notificationDispatcher.emit('appointment.rescheduleRejected', { appointmentId: appointment.id, rejectionReason: rejectionReason || null });
 
       res.json({
         status: 'success',
@@ -1158,7 +1088,7 @@ module.exports = {
 
   cancelAppointment: async (req, res) => {
     try {
-      const { cancelReason } = req.body;
+      const { cancelReason, refundTo } = req.body;
       const appointment = await Appointment.findByPk(req.params.id, {
         include: [
           { model: Doctor, as: 'doctor', include: [{ model: User, as: 'User' }] },
@@ -1196,7 +1126,7 @@ module.exports = {
       }
 
       // Check if appointment can be canceled
-      if (['canceled', 'completed'].includes(appointment.status)) {
+      if (['canceled', 'completed', 'no_show'].includes(appointment.status)) {
         return res.status(400).json({
           status: 'error',
           code: 400,
@@ -1204,111 +1134,58 @@ module.exports = {
         });
       }
 
+      const canceledBy = isPatient ? 'patient' : 'doctor';
+
+      // Patients are bound by the cancellation window of the appointment type
+      const policy = await appointmentPolicyService.getPolicy(appointment.type);
+      const cancellation = appointmentPolicyService.evaluateCancellation(
+        appointment,
+        canceledBy,
+        policy,
+        appointment.paymentStatus === 'success' ? appointment.paymentAmount : 0
+      );
+      if (!cancellation.allowed) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: cancellation.message,
+          reason: cancellation.code,
+        });
+      }
+
       // Update status
       appointment.status = 'canceled';
       appointment.cancelReason = cancelReason;
-      appointment.canceledBy = isPatient ? 'patient' : 'doctor';
+      appointment.canceledBy = canceledBy;
       appointment.canceledAt = new Date();
+      appointment.cancellationFee = cancellation.fee > 0 ? cancellation.fee : null;
       await appointment.save();
 
-      // Determine who canceled and notify the other party
-      let cancelerName;
-      let recipientId;
-      let recipientEmail;
-      let recipientName;
-      
-      if (isPatient) {
-        // Patient canceled - notify doctor/virtual doctor
-        if (appointment.doctorId && appointment.doctor) {
-          cancelerName = appointment.patient.name;
-          recipientId = appointment.doctor.User.id;
-          recipientEmail = appointment.doctor.email || 'doctor@sidclinic.com';
-          recipientName = appointment.doctor.User.name;
-        } else if (appointment.virtualDoctorId) {
-          // For virtual appointments, use appropriate notification logic
-          cancelerName = appointment.patient.name;
-          recipientId = null; // Handle virtual doctor notification differently
-          recipientEmail = 'virtual-doctor@sidclinic.com';
-          recipientName = 'Virtual Doctor';
-        }
-      } else {
-        // Doctor/virtual doctor canceled - notify patient
-        if (isDoctor && appointment.virtualDoctorId) {
-          cancelerName = 'Virtual Doctor';
-        } else if (appointment.doctorId && appointment.doctor) {
-          cancelerName = `Dr. ${appointment.doctor.User.name}`;
-        } else {
-          cancelerName = 'Doctor';
-        }
-        recipientId = appointment.userId;
-        recipientEmail = appointment.patient.email || 'patient@sidclinic.com';
-        recipientName = appointment.patient.name;
-      }
-
-      await sendUserNotification(
-        recipientId,
-        'Appointment Canceled',
-        `${cancelerName} has canceled the appointment`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'appointment_canceled',
-            appointmentType: appointment.type,
-            cancelReason: cancelReason || 'No reason provided',
-            canceledBy: isPatient ? 'patient' : 'doctor'
-          }
-        }
-      );
+      // Refund according to the cancellation policy; a refund problem must not undo the cancellation
+      let refund = null;
+      try {
+        refund = await refundService.refundForCancellation(appointment, appointment.canceledBy, {
+          destination: isPatient && refundTo === 'wallet' ? 'wallet' : 'original'
+        });
+      } catch (refundError) {
+        console.error(`Refund for canceled appointment ${appointment.id} failed:`, refundError);
+      }
+      await offerSlotToWaitlist(appointment);
+      await syncSeriesStatus(appointment);
+      await syncTreatmentStep(appointment);
 
-      // Send cancellation email to the other party
-      const emailTemplate = isPatient ? 'appointment_canceled_by_patient' : 'appointment_canceled_by_doctor';
-      await sendAppointmentEmail(
-        recipientEmail,
-        emailTemplate,
-        {
-          recipientName,
-          cancelerName,
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          cancelReason: cancelReason || 'No reason provided',
-          appointmentId: appointment.id
-        }
-      );
-      // Send confirmation email to the canceler
-      const confirmationTemplate = isPatient ? 'cancellation_confirmation_patient' : 'cancellation_confirmation_doctor';
-      const cancelerEmail = isPatient ? (appointment.patient.email || 'patient@sidclinic.com') : (appointment.doctor.email || 'doctor@sidclinic.com');
-
-      await sendAppointmentEmail(
-        cancelerEmail,
-        confirmationTemplate,
-        {
-          cancelerName,
-          otherPartyName: isPatient
-            ? (appointment.doctorId && appointment.doctor
-                ? `Dr. ${appointment.doctor.User.name}`
-                : 'Virtual Doctor')
-            : appointment.patient.name,
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          appointmentId: appointment.id
-        }
-      );
+      // Tell the other party, and confirm to the one who canceled
+      await notificationDispatcher.emit('appointment.canceled', {
+        appointmentId: appointment.id,
+        canceledBy,
+        cancelReason: cancelReason || null
+      });
 
       res.json({
         status: 'success',
         code: 200,
         message: 'Appointment canceled successfully',
-        data: appointment,
+        data: { ...appointment.toJSON(), refund },
       });
     } catch (error) {
       console.error('Cancel Appointment Error:', error);
@@ -1355,46 +1232,44 @@ module.exports = {
         });
       }
 
+      // A structured prescription is signed as version 1 once the appointment is completed;
+      // plain text is still stored as before
+      const structuredPrescription = prescription && typeof prescription === 'object'
+        ? prescriptionService.validatePrescription(prescription)
+        : null;
+      if (structuredPrescription && !structuredPrescription.valid) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Validation failed',
+          errors: structuredPrescription.errors
+        });
+      }
+
       // Update status
       appointment.status = 'completed';
       appointment.consultationNotes = consultationNotes;
-      appointment.prescription = prescription;
+      appointment.prescription = structuredPrescription ? null : prescription;
       appointment.completedAt = new Date();
-      await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Appointment Completed',
-        `Your appointment with Dr. ${appointment.doctor.User.name} has been completed`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'appointment_completed',
-            appointmentType: appointment.type
-          }
-        }
+      const completion = await saveCompletion(
+        appointment,
+        structuredPrescription,
+        { userId: req.user.id, doctorId: appointment.doctorId, virtualDoctorId: null }
       );
+      if (!completion.success) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: completion.message,
+          reason: completion.code
+        });
+      }
+      await syncSeriesStatus(appointment);
+      await syncTreatmentStep(appointment);
+      await rewardReferral(appointment);
 
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_completed',
-        {
-          patientName: appointment.patient.name,
-          doctorName: appointment.doctor.User.name,
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          consultationNotes: consultationNotes || 'No notes provided',
-          prescription: prescription || 'No prescription provided',
-          appointmentId: appointment.id
-        }
-      );
+      await notificationDispatcher.emit('appointment.completed', { appointmentId: appointment.id });
 
       res.json({
         status: 'success',
@@ -1612,16 +1487,15 @@ module.exports = {
         });
       }
 
-      // Check if doctor has configured working hours
-      if (!doctor.startTime || !doctor.endTime) {
+      const requestedDate = DateTime.fromFormat(date, 'yyyy-MM-dd', { zone: 'Asia/Kolkata' });
+      if (!requestedDate.isValid) {
         return res.status(400).json({
           status: 'error',
           code: 400,
-          message: 'Doctor working hours not configured',
+          message: 'Invalid date format. Use YYYY-MM-DD',
         });
       }
 
-      const requestedDate = DateTime.fromFormat(date, 'yyyy-MM-dd', { zone: 'Asia/Kolkata' });
       const today = DateTime.now().setZone('Asia/Kolkata').startOf('day');
 
       // Don't allow booking for past dates
@@ -1633,44 +1507,14 @@ module.exports = {
         });
       }
 
-      // REMOVED: Weekend restrictions - appointments now available on weekends
-      // const dayOfWeek = requestedDate.weekday; // 1 = Monday, 7 = Sunday
-      // if (dayOfWeek === 6 || dayOfWeek === 7) {
-      //   return res.json({
-      //     status: 'success',
-      //     code: 200,
-      //     data: {
-      //       date: date,
-      //       slots: [],
-      //       message: 'No appointments available on weekends'
-      //     }
-      //   });
-      // }
-
-      // Parse doctor's working hours and create DateTime objects for the requested date
-      const [startHour, startMinute] = doctor.startTime.split(':').map(Number);
-      const [endHour, endMinute] = doctor.endTime.split(':').map(Number);
-
-      const startOfDay = requestedDate.set({
-        hour: startHour,
-        minute: startMinute,
-        second: 0,
-        millisecond: 0
-      });
-
-      const endOfDay = requestedDate.set({
-        hour: endHour,
-        minute: endMinute,
-        second: 0,
-        millisecond: 0
-      });
+      // Build slots from the doctor's weekly schedule, breaks and leave calendar
+      const { configured, sessions, leaves, onLeave, slots: scheduledSlots } = await doctorScheduleService.generateSlots(doctor, requestedDate);
 
-      // Validate that end time is after start time
-      if (endOfDay <= startOfDay) {
+      if (!configured) {
         return res.status(400).json({
           status: 'error',
           code: 400,
-          message: 'Invalid doctor working hours configuration',
+          message: 'Doctor working hours not configured',
         });
       }
 
@@ -1678,53 +1522,38 @@ module.exports = {
       const existingAppointments = await Appointment.findAll({
         where: {
           doctorId: doctorId,
-          appointmentDateTime: { [Op.between]: [startOfDay.toJSDate(), endOfDay.toJSDate()] },
+          appointmentDateTime: {
+            [Op.between]: [requestedDate.startOf('day').toJSDate(), requestedDate.endOf('day').toJSDate()]
+          },
           status: { [Op.notIn]: ['canceled', 'rejected'] }
         }
       });
 
       const slots = [];
-      const slotDuration = 30; // 30 minutes
       const maxAppointments = type === 'physical' ? 1 : 3;
+      const oneHourFromNow = DateTime.now().setZone('Asia/Kolkata').plus({ hours: 1 });
 
-      // Generate time slots using IST based on doctor's working hours
-      let currentTime = startOfDay;
-      while (currentTime < endOfDay) {
-        const slotEnd = currentTime.plus({ minutes: slotDuration });
-
-        // Don't create a slot if it would extend beyond doctor's end time
-        if (slotEnd > endOfDay) {
-          break;
+      scheduledSlots.forEach(({ start, end }) => {
+        // If it's today, only show slots that are at least 1 hour from now
+        if (requestedDate.hasSame(today, 'day') && start < oneHourFromNow) {
+          return;
         }
 
         // Count existing appointments in this slot
         const existingCount = existingAppointments.filter(appointment => {
           const appointmentIST = DateTime.fromJSDate(appointment.appointmentDateTime).setZone('Asia/Kolkata');
-          return appointmentIST >= currentTime && appointmentIST < slotEnd;
+          return appointmentIST >= start && appointmentIST < end;
         }).length;
 
-        const isAvailable = existingCount < maxAppointments;
-
-        // If it's today, only show slots that are at least 1 hour from now
-        let showSlot = true;
-        if (requestedDate.hasSame(today, 'day')) {
-          const oneHourFromNow = DateTime.now().setZone('Asia/Kolkata').plus({ hours: 1 });
-          showSlot = currentTime >= oneHourFromNow;
-        }
-
-        if (showSlot) {
-          slots.push({
-            start: currentTime.toISO(),
-            end: slotEnd.toISO(),
-            time: currentTime.toFormat('hh:mm a'),
-            available: isAvailable,
-            bookedCount: existingCount,
-            maxCapacity: maxAppointments
-          });
-        }
-
-        currentTime = slotEnd;
-      }
+        slots.push({
+          start: start.toISO(),
+          end: end.toISO(),
+          time: start.toFormat('hh:mm a'),
+          available: existingCount < maxAppointments,
+          bookedCount: existingCount,
+          maxCapacity: maxAppointments
+        });
+      });
 
       res.json({
         status: 'success',
@@ -1737,6 +1566,14 @@ module.exports = {
             start: doctor.startTime,
             end: doctor.endTime
           },
+          sessions: sessions,
+          onLeave: onLeave,
+          leaves: leaves.map(leave => ({
+            type: leave.type,
+            startTime: leave.startTime,
+            endTime: leave.endTime,
+            reason: leave.reason
+          })),
           slots: slots
         }
       });
@@ -1905,8 +1742,12 @@ module.exports = {
         });
       }
 
-      // Log the join event
+      // Log the join event; the first join of each party keeps the appointment from being marked no_show
       const isPatient = req.user.id === appointment.userId;
+      if (isPatient || ['doctor', 'virtual-doctor'].includes(req.user.role)) {
+        await appointmentPolicyService.recordCallJoin(appointment, isPatient);
+      }
+
       const joinEvent = {
         appointmentId: appointment.id,
         userId: req.user.id,
@@ -1914,7 +1755,6 @@ module.exports = {
         joinedAt: new Date()
       };
 
-      // You can store this in a separate table or add fields to appointment
       console.log('Video call joined:', joinEvent);
 
       res.json({
@@ -1996,40 +1836,10 @@ module.exports = {
       
       await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Virtual Appointment Confirmed',
-        `Your virtual appointment has been confirmed by ${req.user.name || 'Virtual Doctor'}`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'virtual_appointment_confirmed',
-            appointmentType: 'virtual'
-          }
-        }
-      );
-
-      // Send confirmation email to patient
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_confirmed',
-        {
-          patientName: appointment.patient.name,
-          doctorName: req.user.name || 'Virtual Doctor', // For virtual appointments
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          appointmentType: appointment.type,
-          appointmentId: appointment.id,
-          videoCallLink: appointment.videoCallLink || null
-        }
-      );
+      await notificationDispatcher.emit('appointment.confirmed', {
+        appointmentId: appointment.id,
+        doctorName: req.user.name || 'Virtual Doctor'
+      });
 
       res.json({
         status: 'success',
@@ -2106,40 +1916,16 @@ module.exports = {
       }
       
       await appointment.save();
+      await restorePackageCredit(appointment);
+      await offerSlotToWaitlist(appointment);
+      await syncSeriesStatus(appointment);
+      await syncTreatmentStep(appointment);
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Virtual Appointment Rejected',
-        `Your virtual appointment request has been rejected by ${req.user.name || 'Virtual Doctor'}`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'virtual_appointment_rejected',
-            appointmentType: 'virtual',
-            rejectionReason: rejectionReason || 'No reason provided'
-          }
-        }
-      );
-
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_rejected',
-        {
-          patientName: appointment.patient.name,
-          doctorName: req.user.name || 'Virtual Doctor', // For virtual appointments
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          rejectionReason: rejectionReason || 'No reason provided',
-          appointmentId: appointment.id
-        }
-      );
+      await notificationDispatcher.emit('appointment.rejected', {
+        appointmentId: appointment.id,
+        rejectionReason: rejectionReason || null,
+        doctorName: req.user.name || 'Virtual Doctor'
+      });
 
       res.json({
         status: 'success',
@@ -2207,6 +1993,7 @@ module.exports = {
       appointment.appointmentDateTime = appointment.requestedDateTime;
       appointment.status = 'confirmed';
       appointment.rescheduleApprovedAt = new Date();
+      appointment.rescheduleCount = (appointment.rescheduleCount || 0) + 1;
       appointment.rescheduleApprovedBy = req.user.id; // Track who approved it
       
       // If no specific virtual doctor was assigned, assign the approving doctor
@@ -2216,40 +2003,10 @@ module.exports = {
       
       await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Virtual Appointment Reschedule Approved',
-        `Your virtual appointment reschedule request has been approved by ${req.user.name || 'Virtual Doctor'}`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'virtual_reschedule_approved',
-            appointmentType: 'virtual'
-          }
-        }
-      );
-
-      // Send approval email to patient
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'reschedule_approved',
-        {
-          patientName: String(appointment.patient.name),
-          doctorName: req.user.name || 'Virtual Doctor', // For virtual appointments
-          newDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          newTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          appointmentType: String(appointment.type),
-          appointmentId: String(appointment.id),
-          videoCallLink: appointment.videoCallLink ? String(appointment.videoCallLink) : ''
-        }
-      );
+      await notificationDispatcher.emit('appointment.rescheduleApproved', {
+        appointmentId: appointment.id,
+        doctorName: req.user.name || 'Virtual Doctor'
+      });
 
       res.json({
         status: 'success',
@@ -2329,39 +2086,11 @@ module.exports = {
       
       await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Virtual Appointment Reschedule Rejected',
-        `Your virtual appointment reschedule request has been rejected by ${req.user.name || 'Virtual Doctor'}`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'virtual_reschedule_rejected',
-            appointmentType: 'virtual',
-            rejectionReason: rejectionReason || 'No reason provided'
-          }
-        }
-      );
-
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'reschedule_rejected',
-        {
-          patientName: String(appointment.patient.name),
-          doctorName: req.user.name || 'Virtual Doctor', // For virtual appointments
-          originalDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          originalTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          rejectionReason: String(rejectionReason || 'No reason provided'),
-          appointmentId: String(appointment.id)
-        }
-      );
+      await notificationDispatcher.emit('appointment.rescheduleRejected', {
+        appointmentId: appointment.id,
+        rejectionReason: rejectionReason || null,
+        doctorName: req.user.name || 'Virtual Doctor'
+      });
 
       res.json({
         status: 'success',
@@ -2419,7 +2148,7 @@ module.exports = {
       }
 
       // Check if appointment can be canceled
-      if (['canceled', 'completed'].includes(appointment.status)) {
+      if (['canceled', 'completed', 'no_show'].includes(appointment.status)) {
         return res.status(400).json({
           status: 'error',
           code: 400,
@@ -2441,64 +2170,28 @@ module.exports = {
       
       await appointment.save();
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Virtual Appointment Canceled',
-        `Your virtual appointment has been canceled by ${req.user.name || 'Virtual Doctor'}`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'virtual_appointment_canceled',
-            appointmentType: 'virtual',
-            cancelReason: cancelReason || 'No reason provided',
-            canceledBy: 'virtual-doctor'
-          }
-        }
-      );
-
-      // Send cancellation email to patient
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_canceled_by_doctor',
-        {
-          recipientName: appointment.patient.name,
-          cancelerName: req.user.name || 'Virtual Doctor',
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          cancelReason: cancelReason || 'No reason provided',
-          appointmentId: appointment.id
-        }
-      );
+      let refund = null;
+      try {
+        refund = await refundService.refundForCancellation(appointment, appointment.canceledBy);
+      } catch (refundError) {
+        console.error(`Refund for canceled virtual appointment ${appointment.id} failed:`, refundError);
+      }
+      await offerSlotToWaitlist(appointment);
+      await syncSeriesStatus(appointment);
+      await syncTreatmentStep(appointment);
 
-      // Send confirmation email to virtual doctor
-      await sendAppointmentEmail(
-        req.user.email || req.user.phone, // Use email if available, fallback to phone
-        'cancellation_confirmation_doctor',
-        {
-          cancelerName: req.user.name || 'Virtual Doctor',
-          otherPartyName: appointment.patient.name,
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          appointmentId: appointment.id
-        }
-      );
+      await notificationDispatcher.emit('appointment.canceled', {
+        appointmentId: appointment.id,
+        canceledBy: 'virtual-doctor',
+        cancelReason: cancelReason || null,
+        doctorName: req.user.name || 'Virtual Doctor'
+      });
 
       res.json({
         status: 'success',
         code: 200,
         message: 'Virtual appointment canceled successfully',
-        data: appointment,
+        data: { ...appointment.toJSON(), refund },
       });
     } catch (error) {
       console.error('Cancel Virtual Appointment Error:', error);
@@ -2557,10 +2250,24 @@ module.exports = {
         });
       }
 
+      // A structured prescription is signed as version 1 once the appointment is completed;
+      // plain text is still stored as before
+      const structuredPrescription = prescription && typeof prescription === 'object'
+        ? prescriptionService.validatePrescription(prescription)
+        : null;
+      if (structuredPrescription && !structuredPrescription.valid) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Validation failed',
+          errors: structuredPrescription.errors
+        });
+      }
+
       // Update status
       appointment.status = 'completed';
       appointment.consultationNotes = consultationNotes;
-      appointment.prescription = prescription;
+      appointment.prescription = structuredPrescription ? null : prescription;
       appointment.completedAt = new Date();
       appointment.completedBy = req.user.id; // Track who completed it
       
@@ -2569,41 +2276,25 @@ module.exports = {
         appointment.virtualDoctorId = req.user.id;
       }
       
-      await appointment.save();
+      const author = structuredPrescription ? await prescriptionService.resolveAuthor(req.user, appointment) : null;
 
-      // Send notification to patient
-      await sendUserNotification(
-        appointment.userId,
-        'Virtual Appointment Completed',
-        `Your virtual appointment has been completed by ${req.user.name || 'Virtual Doctor'}`,
-        {
-          type: 'appointment',
-          relatedId: appointment.id,
-          data: {
-            appointmentId: appointment.id.toString(),
-            type: 'virtual_appointment_completed',
-            appointmentType: 'virtual'
-          }
-        }
-      );
+      const completion = await saveCompletion(appointment, structuredPrescription, { userId: req.user.id, ...author });
+      if (!completion.success) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: completion.message,
+          reason: completion.code
+        });
+      }
+      await syncSeriesStatus(appointment);
+      await syncTreatmentStep(appointment);
+      await rewardReferral(appointment);
 
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        'appointment_completed',
-        {
-          patientName: appointment.patient.name,
-          doctorName: req.user.name || 'Virtual Doctor', // For virtual appointments
-          appointmentDate: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('dd LLL yyyy'),
-          appointmentTime: DateTime.fromJSDate(appointment.appointmentDateTime)
-            .setZone('Asia/Kolkata')
-            .toFormat('hh:mm a'),
-          consultationNotes: consultationNotes || 'No notes provided',
-          prescription: prescription || 'No prescription provided',
-          appointmentId: appointment.id
-        }
-      );
+      await notificationDispatcher.emit('appointment.completed', {
+        appointmentId: appointment.id,
+        doctorName: req.user.name || 'Virtual Doctor'
+      });
 
       res.json({
         status: 'success',
@@ -0,0 +1,502 @@
+const { DateTime } = require('luxon');
+const { Appointment, User, Doctor } = require('../models');
+const AppointmentSeries = require('../models/appointmentSeries.model');
+const appointmentSeriesService = require('../services/appointmentSeries.service');
+const { sendUserNotification } = require('../services/firebase.services');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const formatTime = (date) => DateTime.fromJSDate(new Date(date)).setZone(TIMEZONE).toFormat('dd LLL yyyy hh:mm a');
+
+const loadDoctor = (doctorId) => {
+  return Doctor.findByPk(doctorId, { include: [{ model: User, as: 'User' }] });
+};
+
+/**
+ * Who the requesting user is for a series: its patient, its doctor or an admin
+ */
+const seriesRole = async (req, series) => {
+  if (req.user.role === 'admin') return 'admin';
+  if (req.user.id === series.userId) return 'patient';
+  if (req.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+    if (doctor && doctor.id === series.doctorId) return 'doctor';
+  }
+  return null;
+};
+
+/**
+ * Work out patient and doctor of a new series from the request. Patients book
+ * for themselves; doctors book for their own patients, admins for anyone.
+ * @returns {Promise<Object>} { userId, doctor, confirmed } or { status, message }
+ */
+const resolveBooking = async (req) => {
+  const { userId, doctorId } = req.body;
+
+  if (req.user.role === 'user') {
+    const doctor = doctorId ? await loadDoctor(doctorId) : null;
+    if (!doctor || !doctor.isApproved) {
+      return { status: 400, message: 'Doctor not available' };
+    }
+    return { userId: req.user.id, doctor, confirmed: false };
+  }
+
+  if (req.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ where: { userId: req.user.id }, include: [{ model: User, as: 'User' }] });
+    if (!doctor) {
+      return { status: 404, message: 'Doctor profile not found or not associated with user' };
+    }
+    if (doctorId && Number(doctorId) !== doctor.id) {
+      return { status: 403, message: 'Doctors can only book series with themselves' };
+    }
+    const patient = userId ? await User.findByPk(userId) : null;
+    if (!patient || patient.role !== 'user') {
+      return { status: 400, message: 'Invalid user account' };
+    }
+    return { userId: patient.id, doctor, confirmed: true };
+  }
+
+  if (req.user.role === 'admin') {
+    const [doctor, patient] = await Promise.all([
+      doctorId ? loadDoctor(doctorId) : null,
+      userId ? User.findByPk(userId) : null
+    ]);
+    if (!doctor || !doctor.isApproved) {
+      return { status: 400, message: 'Doctor not available' };
+    }
+    if (!patient || patient.role !== 'user') {
+      return { status: 400, message: 'Invalid user account' };
+    }
+    return { userId: patient.id, doctor, confirmed: true };
+  }
+
+  return { status: 403, message: 'You are not authorized to book appointment series' };
+};
+
+const findSeries = (id) => {
+  return AppointmentSeries.findByPk(id, {
+    include: [
+      { model: User, as: 'patient', attributes: ['id', 'name', 'phone'] },
+      {
+        model: Doctor,
+        as: 'doctor',
+        attributes: ['id', 'userId', 'clinicName', 'specialty'],
+        include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+      },
+      { model: Appointment, as: 'appointments' }
+    ],
+    order: [[{ model: Appointment, as: 'appointments' }, 'seriesSequence', 'ASC']]
+  });
+};
+
+/**
+ * Check the visits of a series for conflicts before booking it
+ */
+exports.previewSeries = async (req, res) => {
+  try {
+    const booking = await resolveBooking(req);
+    if (booking.message) {
+      return res.status(booking.status).json({
+        status: 'error',
+        code: booking.status,
+        message: booking.message
+      });
+    }
+
+    const validation = appointmentSeriesService.validateRecurrence(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const visits = await appointmentSeriesService.previewSeries(booking.doctor, booking.userId, validation.values);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: visits.some(visit => visit.conflict) ? 'Some visits conflict with existing appointments' : 'All visits are available',
+      data: {
+        bookable: !visits.some(visit => visit.conflict),
+        visits
+      }
+    });
+  } catch (error) {
+    console.error('Preview Appointment Series Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Book a recurring series of visits with the same doctor
+ */
+exports.bookSeries = async (req, res) => {
+  try {
+    const booking = await resolveBooking(req);
+    if (booking.message) {
+      return res.status(booking.status).json({
+        status: 'error',
+        code: booking.status,
+        message: booking.message
+      });
+    }
+
+    const validation = appointmentSeriesService.validateRecurrence(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const { title, notes } = req.body;
+    const result = await appointmentSeriesService.bookSeries({
+      doctor: booking.doctor,
+      userId: booking.userId,
+      createdBy: req.user.id,
+      recurrence: validation.values,
+      title,
+      notes,
+      confirmed: booking.confirmed
+    });
+
+    if (!result.success) {
+      return res.status(409).json({
+        status: 'error',
+        code: 409,
+        message: result.message,
+        reason: result.code,
+        data: { visits: result.visits }
+      });
+    }
+
+    const { series, appointments } = result;
+    const firstVisit = formatTime(appointments[0].appointmentDateTime);
+
+    // The other party learns about the series; the patient is told whether it still needs confirming
+    await sendUserNotification(
+      booking.confirmed ? booking.userId : booking.doctor.User.id,
+      booking.confirmed ? 'Treatment Visits Scheduled' : 'New Appointment Series Request',
+      booking.confirmed
+        ? `Dr. ${booking.doctor.User.name} has scheduled ${appointments.length} visits for you starting ${firstVisit}`
+        : `You have a new request for ${appointments.length} recurring visits starting ${firstVisit}`,
+      {
+        type: 'appointment',
+        relatedId: appointments[0].id,
+        data: {
+          appointmentId: appointments[0].id.toString(),
+          seriesId: series.id.toString(),
+          type: booking.confirmed ? 'appointment_series_scheduled' : 'appointment_series_requested',
+          appointmentType: 'physical'
+        }
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: booking.confirmed
+        ? 'Appointment series booked successfully'
+        : 'Appointment series requested successfully. You will be notified as the doctor confirms each visit.',
+      data: {
+        ...series.toJSON(),
+        appointments
+      }
+    });
+  } catch (error) {
+    console.error('Book Appointment Series Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Series of the logged in patient or doctor; admins see all
+ */
+exports.getSeriesList = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (status) where.status = status;
+
+    if (req.user.role === 'doctor') {
+      const doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+      if (!doctor) {
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: 'Doctor profile not found or not associated with user'
+        });
+      }
+      where.doctorId = doctor.id;
+    } else if (req.user.role !== 'admin') {
+      where.userId = req.user.id;
+    }
+
+    const { count, rows: series } = await AppointmentSeries.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'patient', attributes: ['id', 'name', 'phone'] },
+        {
+          model: Doctor,
+          as: 'doctor',
+          attributes: ['id', 'clinicName', 'specialty'],
+          include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+        }
+      ],
+      order: [['startDateTime', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Appointment series retrieved successfully',
+      data: series,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Appointment Series Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A series with all of its visits
+ */
+exports.getSeriesById = async (req, res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Appointment series not found'
+      });
+    }
+
+    if (!await seriesRole(req, series)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to view this appointment series'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Appointment series retrieved successfully',
+      data: series
+    });
+  } catch (error) {
+    console.error('Get Appointment Series By Id Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel all upcoming visits of a series
+ */
+exports.cancelSeries = async (req, res) => {
+  try {
+    const { cancelReason } = req.body;
+    const series = await findSeries(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const role = await seriesRole(req, series);
+    if (!role) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to cancel this appointment series'
+      });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `Cannot cancel appointment series with status: ${series.status}`
+      });
+    }
+
+    const canceledBy = role === 'patient' ? 'patient' : 'doctor';
+    const { canceled, kept } = await appointmentSeriesService.cancelSeries(series, {
+      canceledBy,
+      canceledByUserId: req.user.id,
+      cancelReason
+    });
+
+    if (canceled.length > 0) {
+      await sendUserNotification(
+        canceledBy === 'patient' ? series.doctor.User.id : series.userId,
+        'Appointment Series Canceled',
+        canceledBy === 'patient'
+          ? `${series.patient.name} has canceled ${canceled.length} upcoming visit(s) of their treatment`
+          : `Dr. ${series.doctor.User.name} has canceled ${canceled.length} upcoming visit(s) of your treatment`,
+        {
+          type: 'appointment',
+          relatedId: canceled[0].id,
+          data: {
+            appointmentId: canceled[0].id.toString(),
+            seriesId: series.id.toString(),
+            type: 'appointment_series_canceled',
+            appointmentType: 'physical',
+            cancelReason: cancelReason || 'No reason provided',
+            canceledBy
+          }
+        }
+      );
+    }
+
+    await series.reload();
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: kept.length > 0
+        ? `${canceled.length} visit(s) canceled. ${kept.length} visit(s) are inside the cancellation window and were kept.`
+        : 'Appointment series canceled successfully',
+      data: {
+        ...series.toJSON(),
+        canceledAppointmentIds: canceled.map(appointment => appointment.id),
+        keptAppointments: kept
+      }
+    });
+  } catch (error) {
+    console.error('Cancel Appointment Series Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Move all upcoming visits of a series to a new start time and interval
+ */
+exports.rescheduleSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Appointment series not found'
+      });
+    }
+
+    // Patients move single visits through the reschedule request flow
+    const role = await seriesRole(req, series);
+    if (role !== 'doctor' && role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'Only the assigned doctor or an admin can reschedule an appointment series'
+      });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `Cannot reschedule appointment series with status: ${series.status}`
+      });
+    }
+
+    const validation = appointmentSeriesService.validateRecurrence(req.body, series);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const doctor = await loadDoctor(series.doctorId);
+    const result = await appointmentSeriesService.rescheduleSeries(series, {
+      doctor,
+      recurrence: validation.values
+    });
+
+    if (!result.success) {
+      return res.status(result.visits ? 409 : 400).json({
+        status: 'error',
+        code: result.visits ? 409 : 400,
+        message: result.message,
+        reason: result.code,
+        ...(result.visits ? { data: { visits: result.visits } } : {})
+      });
+    }
+
+    await sendUserNotification(
+      series.userId,
+      'Treatment Visits Rescheduled',
+      `Dr. ${doctor.User.name} has moved ${result.appointments.length} upcoming visit(s) of your treatment. The next visit is on ${formatTime(result.appointments[0].appointmentDateTime)}`,
+      {
+        type: 'appointment',
+        relatedId: result.appointments[0].id,
+        data: {
+          appointmentId: result.appointments[0].id.toString(),
+          seriesId: series.id.toString(),
+          type: 'appointment_series_rescheduled',
+          appointmentType: 'physical'
+        }
+      }
+    );
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Appointment series rescheduled successfully',
+      data: await findSeries(series.id)
+    });
+  } catch (error) {
+    console.error('Reschedule Appointment Series Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
@@ -16,85 +16,44 @@
  *             $ref: '#/components/schemas/Error'
  */
 
-const jwt = require('jsonwebtoken');
-const axios = require('axios');
 const User = require('../models/user.model');
 const Doctor = require('../models/doctor.model');
+const otpService = require('../services/otp.service');
+const sessionService = require('../services/session.service');
+const deviceTokenService = require('../services/deviceToken.service');
+const referralService = require('../services/referral.service');
+const smsService = require('../services/sms.service');
 
-// Use only the approved template exactly as provided
-const SMS_TEMPLATE = {
-  OTP_MESSAGE: (otp) =>
-    `You are trying to log into the SID Clinic. Your OTP is: {#var#}. Do not share it with anyone. If you did not initiate this request, please ignore this message.`
-};
-
-// SMSGatewayHub configuration
-const SMS_GATEWAY_CONFIG = {
-  baseURL: 'https://www.smsgatewayhub.com/api/mt/SendSMS',
-  APIKey: process.env.SMS_GATEWAY_API_KEY,
-  senderid: process.env.SMS_GATEWAY_SENDER_ID || 'OTPVER',
-  channel: '2', // Transactional
-  DCS: '0',
-  flashsms: '0',
-  route: process.env.SMS_GATEWAY_ROUTE || '31',
-  EntityId: process.env.SMS_GATEWAY_ENTITY_ID || '', // Registered-Entity-Id
-  dlttemplateid: process.env.SMS_GATEWAY_DLT_TEMPLATE_ID || '1707175368420666060' // 
-};
+// Device the app sends to spot repeated referral sign-ups
+const deviceIdOf = (req) => req.body.deviceId || req.get('X-Device-Id') || null;
 
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
+// Send an issued OTP by SMS; when nothing went out the OTP is revoked so the cooldown does not keep the user waiting for it
+const deliverOtp = async (phone, otp) => {
+  try {
+    const result = await smsService.sendTemplate(phone, 'otp', { otp });
+    if (result && result.status === 'sent') return true;
+    console.error(`OTP SMS to ${phone} was not sent:`, result && result.reason);
+  } catch (smsError) {
+    console.error('SMS sending failed:', smsError);
+  }
+  await otpService.revokeOtp(phone);
+  return false;
 };
 
-// Always use the approved template and replace {#var#} with OTP
-const sendSMSViaGatewayHub = async (phone, message, otp = null) => {
+// Link a new patient to the friend whose referral code they entered; the sign-up itself must not fail because of it
+const applyReferralCode = async (user, code, req) => {
+  if (!code || user.role !== 'user') return null;
   try {
-    // Only use the phone number as provided, do not prepend '91'
-    let formattedPhone = phone.replace(/^\+?91/, '').replace(/\D/g, '');
-
-    // Validate it's exactly 10 digits
-    if (formattedPhone.length !== 10) {
-      throw new Error('Invalid phone number format');
-    }
-    // Always replace {#var#} with OTP
-    let finalMessage = message;
-    if (otp && message.includes('{#var#}')) {
-      finalMessage = message.replace('{#var#}', otp);
-    }
-
-    // Ensure the message sent to the API has the OTP substituted
-    const params = {
-      APIKey: SMS_GATEWAY_CONFIG.APIKey,
-      senderid: SMS_GATEWAY_CONFIG.senderid,
-      channel: SMS_GATEWAY_CONFIG.channel,
-      DCS: SMS_GATEWAY_CONFIG.DCS,
-      flashsms: SMS_GATEWAY_CONFIG.flashsms,
-      number: formattedPhone,
-      text: finalMessage,
-      route: SMS_GATEWAY_CONFIG.route,
-      EntityId: SMS_GATEWAY_CONFIG.EntityId,
-      dlttemplateid: SMS_GATEWAY_CONFIG.dlttemplateid
-    };
-
-    // Debug log to verify the message and params
-    console.log('SMS Params:', { ...params });
-
-    const response = await axios.get(SMS_GATEWAY_CONFIG.baseURL, { params });
-
-    console.log('SMS Gateway Response:', response.data);
-
-    // Check if SMS was sent successfully
-    if (response.data && (response.data.ErrorCode === '000' || response.data.ErrorCode === 0)) {
-      return { success: true, data: response.data };
-    } else {
-      throw new Error(response.data?.ErrorMessage || 'SMS sending failed');
-    }
+    const result = await referralService.applyCode(user, code, {
+      deviceId: deviceIdOf(req),
+      ipAddress: req.ip || null
+    });
+    return result.success
+      ? { applied: true }
+      : { applied: false, reason: result.code, message: result.message };
   } catch (error) {
-    console.error('SMS Gateway Error:', error.message);
-    console.error('Full Error:', error.response?.data || error);
-    throw new Error(`Failed to send SMS: ${error.message}`);
+    console.error(`Referral code for user ${user.id} was not applied:`, error);
+    return { applied: false, message: 'Referral code could not be applied' };
   }
 };
 
@@ -119,38 +78,33 @@ exports.sendOtp = async (req, res) => {
     const existingUser = await User.findOne({ where: { phone: formattedPhone } });
     const isExistingUser = !!existingUser;
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000);
-
-    // Always use the approved template
-    const message = SMS_TEMPLATE.OTP_MESSAGE(otp);
-
-    // Send OTP via SMSGatewayHub - pass OTP for variable replacement
-    // Ensure the OTP is passed as a string for replacement
-    await sendSMSViaGatewayHub(formattedPhone, message, String(otp));
-
-    // Store OTP temporarily with expiration (5 minutes)
-    global.otpCache = global.otpCache || {};
-    global.otpCache[formattedPhone] = {
-      otp: otp,
-      expiresAt: Date.now() + (5 * 60 * 1000), // 5 minutes from now
-      verified: false, // Mark as not verified initially
-      type: isExistingUser ? 'login' : 'registration' // Mark type based on user existence
-    };
+    // Generate and persist a hashed 6-digit OTP (enforces cooldown and lockout)
+    const issued = await otpService.issueOtp(formattedPhone, isExistingUser ? 'login' : 'registration');
+    if (!issued.success) {
+      return res.status(429).json({
+        status: 'error',
+        code: 429,
+        message: issued.message,
+        data: { reason: issued.code, retryAfter: issued.retryAfter }
+      });
+    }
 
-    // Clean up expired OTPs
-    setTimeout(() => {
-      if (global.otpCache && global.otpCache[formattedPhone]) {
-        delete global.otpCache[formattedPhone];
-      }
-    }, 5 * 60 * 1000);
+    // Send OTP via SMSGatewayHub on the approved template
+    if (!(await deliverOtp(formattedPhone, issued.otp))) {
+      return res.status(503).json({
+        status: 'error',
+        code: 503,
+        message: 'Failed to send OTP. Please try again.',
+        data: null
+      });
+    }
 
     res.status(200).json({
       status: 'success',
       code: 200,
       message: isExistingUser ? 'OTP sent successfully for login' : 'OTP sent successfully for registration',
       data: {
-        expiresIn: '5 minutes',
+        expiresIn: `${issued.expiresInMinutes} minutes`,
         isExistingUser: isExistingUser
       }
     });
@@ -181,42 +135,26 @@ exports.verifyOtp = async (req, res) => {
     // Format phone number consistently - remove any +91 prefix and non-digits
     const formattedPhone = phone.replace(/^\+?91/, '').replace(/\D/g, '');
 
-    // Check if OTP exists and is valid
-    if (!global.otpCache || !global.otpCache[formattedPhone]) {
-      return res.status(401).json({
-        status: 'error',
-        code: 401,
-        message: 'OTP not found or expired',
-        data: null
-      });
-    }
-
-    const storedOtpData = global.otpCache[formattedPhone];
+    // OTP is valid - mark as verified but don't consume yet (for registration)
+    const result = await otpService.verifyOtp(formattedPhone, otp, {
+      purposes: ['registration', 'login'],
+      consume: false
+    });
 
-    // Check if OTP is expired
-    if (Date.now() > storedOtpData.expiresAt) {
-      delete global.otpCache[formattedPhone];
-      return res.status(401).json({
+    if (!result.success) {
+      const statusCode = result.code === 'OTP_LOCKED' ? 429 : 401;
+      return res.status(statusCode).json({
         status: 'error',
-        code: 401,
-        message: 'OTP has expired',
-        data: null
-      });
-    }
-
-    // Check if OTP matches (compare as string to avoid type issues)
-    if (String(storedOtpData.otp) !== String(otp)) {
-      return res.status(401).json({
-        status: 'error',
-        code: 401,
-        message: 'Invalid OTP',
-        data: null
+        code: statusCode,
+        message: result.message,
+        data: {
+          reason: result.code,
+          attemptsRemaining: result.attemptsRemaining,
+          retryAfter: result.retryAfter
+        }
       });
     }
 
-    // OTP is valid - mark as verified but don't delete yet (for registration)
-    global.otpCache[formattedPhone].verified = true;
-
     res.status(200).json({
       status: 'success',
       code: 200,
@@ -241,7 +179,7 @@ exports.register = async (req, res) => {
     // Log the request body for debugging
     console.log('Register request body:', req.body);
 
-    const { phone, name, password, gender, role = 'user' } = req.body;
+    const { phone, name, password, gender, role = 'user', referralCode } = req.body;
 
     const existingUser = await User.findOne({ where: { phone } });
     if (existingUser) {
@@ -254,6 +192,7 @@ exports.register = async (req, res) => {
     }
 
     const user = await User.create({ name, phone, password, gender, role });
+    await referralService.recordDevice(user, deviceIdOf(req));
 
     // If user role is 'doctor', send admin notification email
     if (role === 'doctor') {
@@ -310,7 +249,12 @@ exports.register = async (req, res) => {
       }
     }
 
-    const token = generateToken(user);
+    const referral = await applyReferralCode(user, referralCode, req);
+
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(
+      user,
+      sessionService.getDeviceInfo(req)
+    );
 
     res.status(201).json({
       status: 'success',
@@ -321,7 +265,10 @@ exports.register = async (req, res) => {
         name: user.name,
         phone: user.phone,
         role: user.role,
-        token
+        token,
+        refreshToken,
+        refreshTokenExpiresAt,
+        ...(referral && { referral })
       }
     });
   } catch (error) {
@@ -354,37 +301,33 @@ exports.resendOtp = async (req, res) => {
       });
     }
 
-    // Generate new OTP
-    const otp = Math.floor(100000 + Math.random() * 900000);
-
-    // Always use the approved template
-    const message = SMS_TEMPLATE.OTP_MESSAGE(otp);
-
-    // Send OTP via SMSGatewayHub
-    await sendSMSViaGatewayHub(formattedPhone, message, String(otp));
-
-    // Update OTP cache
-    global.otpCache = global.otpCache || {};
-    global.otpCache[formattedPhone] = {
-      otp: otp,
-      expiresAt: Date.now() + (5 * 60 * 1000), // 5 minutes from now
-      verified: false, // Mark as not verified initially
-      type: 'registration' // Mark this as registration OTP
-    };
+    // Generate new OTP (the resend cooldown is enforced by the OTP service)
+    const issued = await otpService.issueOtp(formattedPhone, 'registration');
+    if (!issued.success) {
+      return res.status(429).json({
+        status: 'error',
+        code: 429,
+        message: issued.message,
+        data: { reason: issued.code, retryAfter: issued.retryAfter }
+      });
+    }
 
-    // Clean up expired OTPs
-    setTimeout(() => {
-      if (global.otpCache && global.otpCache[formattedPhone]) {
-        delete global.otpCache[formattedPhone];
-      }
-    }, 5 * 60 * 1000);
+    // Send OTP via SMSGatewayHub on the approved template
+    if (!(await deliverOtp(formattedPhone, issued.otp))) {
+      return res.status(503).json({
+        status: 'error',
+        code: 503,
+        message: 'Failed to send OTP. Please try again.',
+        data: null
+      });
+    }
 
     res.status(200).json({
       status: 'success',
       code: 200,
       message: 'OTP resent successfully',
       data: {
-        expiresIn: '5 minutes'
+        expiresIn: `${issued.expiresInMinutes} minutes`
       }
     });
   } catch (error) {
@@ -451,7 +394,10 @@ exports.login = async (req, res) => {
       }
     }
 
-    const token = generateToken(user);
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(
+      user,
+      sessionService.getDeviceInfo(req)
+    );
 
     // Debug log: successful login
     console.debug(`[LOGIN] Login successful for userId: ${user.id}, phone: ${phone}`);
@@ -489,7 +435,9 @@ exports.login = async (req, res) => {
       name: user.name,
       phone: user.phone,
       role: user.role,
-      token
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
     };
     if (doctorId) {
       responseData.doctorId = doctorId;
@@ -677,47 +625,30 @@ const sendResetOtp = async (req, res) => {
       });
     }
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expirationTime = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    // Save OTP to database - use formatted phone number
-    const OTP = require('../models/Otp.model');
-
-    // Check if OTP already exists for this phone number
-    const existingOtp = await OTP.findByPk(formattedPhone);
-
-    if (existingOtp) {
-      // Update existing OTP
-      await existingOtp.update({
-        otp,
-        expirationTime
-      });
-    } else {
-      // Create new OTP
-      await OTP.create({
-        phone: formattedPhone,
-        otp,
-        expirationTime
+    // Generate OTP and save its hash to the database
+    const issued = await otpService.issueOtp(formattedPhone, 'reset');
+    if (!issued.success) {
+      return res.status(429).json({
+        success: false,
+        message: issued.message,
+        code: issued.code,
+        retryAfter: issued.retryAfter
       });
     }
 
-    // Send OTP via SMS
-    try {
-      await sendSMSViaGatewayHub(formattedPhone, SMS_TEMPLATE.OTP_MESSAGE(otp), otp);
-
-      return res.status(200).json({
-        success: true,
-        message: 'Reset OTP sent successfully'
-      });
-    } catch (smsError) {
-      console.error('SMS sending failed:', smsError);
-      return res.status(500).json({
+    // Send OTP via SMS; the OTP is revoked when it could not be sent so the user can request a new one
+    if (!(await deliverOtp(formattedPhone, issued.otp))) {
+      return res.status(503).json({
         success: false,
         message: 'Failed to send OTP. Please try again.'
       });
     }
 
+    return res.status(200).json({
+      success: true,
+      message: 'Reset OTP sent successfully'
+    });
+
   } catch (error) {
     console.error('Send reset OTP error:', error);
     return res.status(500).json({
@@ -776,40 +707,25 @@ const resetPassword = async (req, res) => {
       });
     }
 
-    // Verify OTP using in-memory cache
-    if (!global.otpCache || !global.otpCache[formattedPhone]) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
-    }
-
-    const storedOtpData = global.otpCache[formattedPhone];
-
-    // Check if OTP is expired
-    if (Date.now() > storedOtpData.expiresAt) {
-      delete global.otpCache[formattedPhone];
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
-    }
-
-    // Check if OTP matches (compare as string to avoid type issues)
-    if (String(storedOtpData.otp) !== String(otp)) {
-      return res.status(400).json({
+    // Verify and consume the reset OTP to prevent reuse
+    const otpResult = await otpService.verifyOtp(formattedPhone, otp, { purposes: ['reset'] });
+    if (!otpResult.success) {
+      return res.status(otpResult.code === 'OTP_LOCKED' ? 429 : 400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: otpResult.code === 'OTP_INVALID' ? 'Invalid OTP' : 'Invalid or expired OTP',
+        code: otpResult.code,
+        attemptsRemaining: otpResult.attemptsRemaining,
+        retryAfter: otpResult.retryAfter
       });
     }
 
-    // OTP verified - delete from cache to prevent reuse
-    delete global.otpCache[formattedPhone];
-
     // Update user password
     user.password = newPassword; // Will be hashed by the model hook
     await user.save();
 
+    // Sign out every device that may have been using the old password
+    await sessionService.revokeAllSessions(user.id, 'logout_all');
+
     return res.status(200).json({
       success: true,
       message: 'Password reset successfully'
@@ -865,46 +781,30 @@ const sendLoginOtp = async (req, res) => {
       });
     }
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expirationTime = Date.now() + (10 * 60 * 1000); // 10 minutes from now
-
-    // Store OTP in cache memory
-    global.otpCache = global.otpCache || {};
-    global.otpCache[formattedPhone] = {
-      otp: otp,
-      expiresAt: expirationTime,
-      verified: false, // Mark as not verified initially
-      type: 'login' // Mark this as login OTP
-    };
-
-    // Clean up expired OTPs after 10 minutes
-    setTimeout(() => {
-      if (global.otpCache && global.otpCache[formattedPhone]) {
-        delete global.otpCache[formattedPhone];
-      }
-    }, 10 * 60 * 1000);
-
-    // Send OTP via SMS
-    try {
-      await sendSMSViaGatewayHub(formattedPhone, SMS_TEMPLATE.OTP_MESSAGE(otp), otp);
-
-      return res.status(200).json({
-        success: true,
-        message: 'Login OTP sent successfully'
+    // Generate OTP and store its hash in the database
+    const issued = await otpService.issueOtp(formattedPhone, 'login');
+    if (!issued.success) {
+      return res.status(429).json({
+        success: false,
+        message: issued.message,
+        code: issued.code,
+        retryAfter: issued.retryAfter
       });
-    } catch (smsError) {
-      console.error('SMS sending failed:', smsError);
-      // Clean up the OTP from cache if SMS fails
-      if (global.otpCache && global.otpCache[formattedPhone]) {
-        delete global.otpCache[formattedPhone];
-      }
-      return res.status(500).json({
+    }
+
+    // Send OTP via SMS; the OTP is revoked when it could not be sent so the user can request a new one
+    if (!(await deliverOtp(formattedPhone, issued.otp))) {
+      return res.status(503).json({
         success: false,
         message: 'Failed to send OTP. Please try again.'
       });
     }
 
+    return res.status(200).json({
+      success: true,
+      message: 'Login OTP sent successfully'
+    });
+
   } catch (error) {
     console.error('Send login OTP error:', error);
     return res.status(500).json({
@@ -921,7 +821,7 @@ const sendLoginOtp = async (req, res) => {
  */
 const loginWithOtp = async (req, res) => {
   try {
-    const { phone, otp, name, password, gender, role = 'user', email } = req.body;
+    const { phone, otp, name, password, gender, role = 'user', email, referralCode } = req.body;
 
     // Validate input
     if (!phone || !otp) {
@@ -941,30 +841,19 @@ const loginWithOtp = async (req, res) => {
       });
     }
 
-    // Verify OTP using in-memory cache
-    if (!global.otpCache || !global.otpCache[formattedPhone]) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
-    }
-
-    const storedOtpData = global.otpCache[formattedPhone];
-
-    // Check if OTP is expired
-    if (Date.now() > storedOtpData.expiresAt) {
-      delete global.otpCache[formattedPhone];
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
-    }
-
-    // Check if OTP matches (compare as string to avoid type issues)
-    if (String(storedOtpData.otp) !== String(otp)) {
-      return res.status(400).json({
+    // Verify OTP against the persistent store; it is consumed once login or
+    // registration succeeds so a failed registration can be retried
+    const otpResult = await otpService.verifyOtp(formattedPhone, otp, {
+      purposes: ['registration', 'login'],
+      consume: false
+    });
+    if (!otpResult.success) {
+      return res.status(otpResult.code === 'OTP_LOCKED' ? 429 : 400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: otpResult.code === 'OTP_INVALID' ? 'Invalid OTP' : 'Invalid or expired OTP',
+        code: otpResult.code,
+        attemptsRemaining: otpResult.attemptsRemaining,
+        retryAfter: otpResult.retryAfter
       });
     }
 
@@ -988,8 +877,11 @@ const loginWithOtp = async (req, res) => {
         }
       }
 
-      // Generate token
-      const token = generateToken(user);
+      // Start a session and issue access/refresh tokens
+      const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(
+        user,
+        sessionService.getDeviceInfo(req)
+      );
 
       // Get patient/doctor ID if applicable
       let doctorId = null;
@@ -1013,7 +905,9 @@ const loginWithOtp = async (req, res) => {
         name: user.name,
         phone: user.phone,
         role: user.role,
-        token
+        token,
+        refreshToken,
+        refreshTokenExpiresAt
       };
       if (doctorId) {
         responseData.doctorId = doctorId;
@@ -1022,8 +916,8 @@ const loginWithOtp = async (req, res) => {
         responseData.patientId = patientId;
       }
 
-      // Clean up OTP cache
-      delete global.otpCache[formattedPhone];
+      // Consume the OTP
+      await otpService.revokeOtp(formattedPhone);
 
       return res.status(200).json({
         success: true,
@@ -1044,6 +938,7 @@ const loginWithOtp = async (req, res) => {
       try {
         // Create the user
         user = await User.create({ name, phone: formattedPhone, password, gender, role });
+        await referralService.recordDevice(user, deviceIdOf(req));
 
         // If user role is 'user', automatically create a patient record
         if (role === 'user') {
@@ -1081,8 +976,13 @@ const loginWithOtp = async (req, res) => {
           }
         }
 
-        // Generate token
-        const token = generateToken(user);
+        const referral = await applyReferralCode(user, referralCode, req);
+
+        // Start a session and issue access/refresh tokens
+        const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(
+          user,
+          sessionService.getDeviceInfo(req)
+        );
 
         // Get patient/doctor ID if applicable
         let doctorId = null;
@@ -1106,7 +1006,9 @@ const loginWithOtp = async (req, res) => {
           name: user.name,
           phone: user.phone,
           role: user.role,
-          token
+          token,
+          refreshToken,
+          refreshTokenExpiresAt
         };
         if (doctorId) {
           responseData.doctorId = doctorId;
@@ -1114,9 +1016,12 @@ const loginWithOtp = async (req, res) => {
         if (patientId) {
           responseData.patientId = patientId;
         }
+        if (referral) {
+          responseData.referral = referral;
+        }
 
-        // Clean up OTP cache
-        delete global.otpCache[formattedPhone];
+        // Consume the OTP
+        await otpService.revokeOtp(formattedPhone);
 
         return res.status(201).json({
           success: true,
@@ -1126,8 +1031,8 @@ const loginWithOtp = async (req, res) => {
 
       } catch (userCreationError) {
         console.error('User creation error:', userCreationError);
-        // Clean up OTP cache on error
-        delete global.otpCache[formattedPhone];
+        // Invalidate the OTP on error
+        await otpService.revokeOtp(formattedPhone);
         return res.status(500).json({
           success: false,
           message: 'Failed to create user account'
@@ -1144,6 +1049,169 @@ const loginWithOtp = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await sessionService.rotateRefreshToken(refreshToken, sessionService.getDeviceInfo(req));
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message,
+        code: result.code
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        refreshTokenExpiresAt: result.refreshTokenExpiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Log out of the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logout = async (req, res) => {
+  try {
+    // Tokens issued before sessions existed carry no sid; fall back to the refresh token
+    const sessionId = req.user.sid || sessionService.getSessionIdFromRefreshToken(req.body.refreshToken);
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No session found for this token'
+      });
+    }
+
+    await sessionService.revokeSession(sessionId, 'logout', req.user.id);
+
+    // Devices registered before tokens were tied to sessions are removed by token
+    if (typeof req.body.fcmToken === 'string' && req.body.fcmToken.trim()) {
+      await deviceTokenService.removeDevice(req.user.id, { token: req.body.fcmToken.trim() });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Log out of every device, optionally keeping the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logoutAllDevices = async (req, res) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true || req.body.keepCurrent === 'true';
+    const revokedCount = await sessionService.revokeAllSessions(
+      req.user.id,
+      'logout_all',
+      keepCurrent ? req.user.sid : null
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Logout all devices error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List the active sessions of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, {
+      currentSessionId: req.user.sid || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke one of the authenticated user's sessions (e.g. a lost phone)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.sessionId, 'revoked_by_user', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active session not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 
 module.exports = {
   sendOtp: exports.sendOtp,
@@ -1156,6 +1224,11 @@ module.exports = {
   sendResetOtp,
   resetPassword,
   sendLoginOtp,
-  loginWithOtp
+  loginWithOtp,
+  refreshToken,
+  logout,
+  logoutAllDevices,
+  getSessions,
+  revokeSession
 
 };
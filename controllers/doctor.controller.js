@@ -3,6 +3,10 @@ const User = require('../models/user.model');
 const { Op } = require('sequelize');
 const { sendNewDoctorRegistrationNotification } = require('../services/email.services');
 const azureStorageService = require('../services/azureStorage.service');
+const doctorSearchService = require('../services/doctorSearch.service');
+
+// Highest rated first; doctors without reviews come last
+const RATING_ORDER = [['averageRating', 'DESC'], ['reviewCount', 'DESC']];
 
 // Helper function to upload image to Azure Blob Storage
 const uploadImage = async (file) => {
@@ -145,7 +149,8 @@ exports.setupProfile = async (req, res) => {
     }
 
     // Validate input data
-    const validationErrors = validateDoctorData(req.body);
+    const searchFields = doctorSearchService.validateProfileFields(req.body);
+    const validationErrors = [...validateDoctorData(req.body), ...searchFields.errors];
     if (validationErrors.length > 0) {
       return res.status(400).json({
         status: 'error',
@@ -207,6 +212,7 @@ exports.setupProfile = async (req, res) => {
       locationPin: req.body.locationPin.trim(),
       startTime: req.body.startTime || null,
       endTime: req.body.endTime || null,
+      ...searchFields.values,
       userId: user.id
     };
 
@@ -259,6 +265,8 @@ exports.setupProfile = async (req, res) => {
       }
     }
 
+    Object.assign(doctorData, await doctorSearchService.withPinCoordinates(searchFields.values, doctorData.locationPin, doctor));
+
     if (doctor) {
       // Update existing profile
       try {
@@ -356,6 +364,7 @@ exports.setupProfile = async (req, res) => {
 exports.findDoctorsByCity = async (req, res) => {
   try {
     const { city } = req.params;
+    const { sort } = req.query;
     
     const doctors = await Doctor.findAll({
       where: { 
@@ -367,7 +376,8 @@ exports.findDoctorsByCity = async (req, res) => {
         model: User,
         as: 'User',
         attributes: ['name', 'phone', 'gender']
-      }]
+      }],
+      ...(sort === 'rating' && { order: RATING_ORDER })
     });
 
     if (doctors.length === 0) {
@@ -397,6 +407,8 @@ exports.findDoctorsByCity = async (req, res) => {
 
 exports.getAllDoctors = async (req, res) => {
   try {
+    const { sort } = req.query;
+
     // Return all approved and active doctors (regular doctors only)
     const doctors = await Doctor.findAll({
       where: {
@@ -408,7 +420,7 @@ exports.getAllDoctors = async (req, res) => {
         as: 'User',
         attributes: ['id', 'name', 'phone', 'gender', 'createdAt']
       }],
-      order: [['createdAt', 'DESC']]
+      order: sort === 'rating' ? [...RATING_ORDER, ['createdAt', 'DESC']] : [['createdAt', 'DESC']]
     });
 
     if (doctors.length === 0) {
@@ -436,6 +448,53 @@ exports.getAllDoctors = async (req, res) => {
   }
 };
 
+/**
+ * Public: search clinic doctors by specialty, location, languages, fee,
+ * experience, gender, free slots on a date and distance from the patient
+ */
+exports.searchDoctors = async (req, res) => {
+  try {
+    const { valid, errors, values } = doctorSearchService.validateSearch(req.query);
+    if (!valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid search',
+        errors,
+        data: null
+      });
+    }
+
+    const { results, total } = await doctorSearchService.searchDoctors(values);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Doctors retrieved successfully',
+      data: results.map(({ doctor, distance, relevance, freeSlots }) => ({
+        ...doctor.toJSON(),
+        distance,
+        relevance,
+        ...(values.date && { freeSlots })
+      })),
+      pagination: {
+        total,
+        page: values.page,
+        limit: values.limit,
+        totalPages: Math.ceil(total / values.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Search Doctors Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
+
 // Get all virtual doctors with complete information
 exports.getAllVirtualDoctors = async (req, res) => {
   try {
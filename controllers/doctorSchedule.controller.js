@@ -0,0 +1,302 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Doctor = require('../models/doctor.model');
+const DoctorSchedule = require('../models/doctorSchedule.model');
+const DoctorLeave = require('../models/doctorLeave.model');
+const Appointment = require('../models/appoinment.model');
+const doctorScheduleService = require('../services/doctorSchedule.service');
+
+const TIMEZONE = doctorScheduleService.TIMEZONE;
+
+// Resolve the Doctor profile of the authenticated doctor user
+const findCurrentDoctor = async (req) => {
+  return Doctor.findOne({ where: { userId: req.user.id } });
+};
+
+const doctorNotFound = (res) => {
+  return res.status(404).json({
+    status: 'error',
+    code: 404,
+    message: 'Doctor profile not found or not associated with user',
+    data: null
+  });
+};
+
+const formatSchedule = async (doctor) => {
+  const schedules = await DoctorSchedule.findAll({
+    where: { doctorId: doctor.id, isActive: true },
+    order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+  });
+
+  const leaves = await DoctorLeave.findAll({
+    where: {
+      doctorId: doctor.id,
+      endDate: { [Op.gte]: DateTime.now().setZone(TIMEZONE).toISODate() }
+    },
+    order: [['startDate', 'ASC']]
+  });
+
+  return {
+    doctorId: doctor.id,
+    // Doctors without a weekly schedule are still served from their profile hours
+    usesLegacyHours: schedules.length === 0,
+    workingHours: {
+      start: doctor.startTime,
+      end: doctor.endTime
+    },
+    schedules,
+    upcomingLeaves: leaves
+  };
+};
+
+exports.getMySchedule = async (req, res) => {
+  try {
+    const doctor = await findCurrentDoctor(req);
+    if (!doctor) return doctorNotFound(res);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Schedule retrieved successfully',
+      data: await formatSchedule(doctor)
+    });
+  } catch (error) {
+    console.error('Get My Schedule Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
+
+exports.getDoctorSchedule = async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne({
+      where: { id: req.params.doctorId, isApproved: true, is_active: true }
+    });
+
+    if (!doctor) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Doctor not found',
+        data: null
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Schedule retrieved successfully',
+      data: await formatSchedule(doctor)
+    });
+  } catch (error) {
+    console.error('Get Doctor Schedule Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
+
+exports.updateMySchedule = async (req, res) => {
+  try {
+    const doctor = await findCurrentDoctor(req);
+    if (!doctor) return doctorNotFound(res);
+
+    const { valid, errors, schedules } = doctorScheduleService.validateSchedules(req.body.schedules);
+    if (!valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid schedule',
+        errors,
+        data: null
+      });
+    }
+
+    // The weekly schedule is replaced as a whole
+    await sequelize.transaction(async (transaction) => {
+      await DoctorSchedule.destroy({ where: { doctorId: doctor.id }, transaction });
+      await DoctorSchedule.bulkCreate(
+        schedules.map(schedule => ({ ...schedule, doctorId: doctor.id, isActive: true })),
+        { transaction }
+      );
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Schedule updated successfully',
+      data: await formatSchedule(doctor)
+    });
+  } catch (error) {
+    console.error('Update My Schedule Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
+
+exports.getMyLeaves = async (req, res) => {
+  try {
+    const doctor = await findCurrentDoctor(req);
+    if (!doctor) return doctorNotFound(res);
+
+    const { from, to } = req.query;
+    const where = { doctorId: doctor.id };
+    if (from) where.endDate = { [Op.gte]: from };
+    if (to) where.startDate = { [Op.lte]: to };
+
+    const leaves = await DoctorLeave.findAll({
+      where,
+      order: [['startDate', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Leaves retrieved successfully',
+      data: leaves
+    });
+  } catch (error) {
+    console.error('Get My Leaves Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
+
+exports.addLeave = async (req, res) => {
+  try {
+    const doctor = await findCurrentDoctor(req);
+    if (!doctor) return doctorNotFound(res);
+
+    const { startDate, endDate = startDate, type = 'leave', reason } = req.body;
+    const start = DateTime.fromISO(startDate || '', { zone: TIMEZONE });
+    const end = DateTime.fromISO(endDate || '', { zone: TIMEZONE });
+
+    if (!start.isValid || !end.isValid || end < start) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Valid startDate and endDate (YYYY-MM-DD, endDate not before startDate) are required',
+        data: null
+      });
+    }
+
+    if (!['leave', 'holiday'].includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'type must be leave or holiday',
+        data: null
+      });
+    }
+
+    // Partial-day leave is only supported within a single date
+    let startTime = null;
+    let endTime = null;
+    if (req.body.startTime || req.body.endTime) {
+      startTime = doctorScheduleService.normalizeTime(req.body.startTime);
+      endTime = doctorScheduleService.normalizeTime(req.body.endTime);
+
+      if (!startTime || !endTime || endTime <= startTime || !start.hasSame(end, 'day')) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Partial-day leave needs startTime before endTime (HH:mm) on a single date',
+          data: null
+        });
+      }
+    }
+
+    const leave = await DoctorLeave.create({
+      doctorId: doctor.id,
+      type,
+      startDate: start.toISODate(),
+      endDate: end.toISODate(),
+      startTime,
+      endTime,
+      reason
+    });
+
+    // Existing bookings are not cancelled automatically; report them so the doctor can act
+    const rangeStart = startTime ? start.set({ hour: Number(startTime.slice(0, 2)), minute: Number(startTime.slice(3, 5)) }) : start.startOf('day');
+    const rangeEnd = endTime ? start.set({ hour: Number(endTime.slice(0, 2)), minute: Number(endTime.slice(3, 5)) }) : end.endOf('day');
+
+    const conflictingAppointments = await Appointment.findAll({
+      where: {
+        doctorId: doctor.id,
+        appointmentDateTime: { [Op.gte]: rangeStart.toJSDate(), [Op.lt]: rangeEnd.toJSDate() },
+        status: { [Op.in]: ['pending', 'confirmed', 'reschedule_requested'] }
+      },
+      attributes: ['id', 'userId', 'appointmentDateTime', 'status'],
+      order: [['appointmentDateTime', 'ASC']]
+    });
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Leave added successfully',
+      data: {
+        leave,
+        conflictingAppointments
+      }
+    });
+  } catch (error) {
+    console.error('Add Leave Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
+
+exports.deleteLeave = async (req, res) => {
+  try {
+    const doctor = await findCurrentDoctor(req);
+    if (!doctor) return doctorNotFound(res);
+
+    const deleted = await DoctorLeave.destroy({
+      where: { id: req.params.id, doctorId: doctor.id }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Leave not found',
+        data: null
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Leave deleted successfully',
+      data: null
+    });
+  } catch (error) {
+    console.error('Delete Leave Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message,
+      data: null
+    });
+  }
+};
@@ -0,0 +1,269 @@
+const { DateTime } = require('luxon');
+const Payment = require('../models/payment.model');
+const Invoice = require('../models/invoice.model');
+const invoiceService = require('../services/invoice.service');
+const { writeInvoicePdf } = require('../services/invoicePdf.service');
+
+const TIMEZONE = 'Asia/Kolkata';
+const MAX_REGISTER_DAYS = 366;
+
+const REGISTER_COLUMNS = [
+  ['Document', invoice => invoice.type === 'credit_note' ? 'Credit note' : 'Invoice'],
+  ['Number', invoice => invoice.invoiceNumber],
+  ['Date', invoice => DateTime.fromJSDate(new Date(invoice.issuedAt)).setZone(TIMEZONE).toISODate()],
+  ['Original invoice', invoice => invoice.originalInvoice ? invoice.originalInvoice.invoiceNumber : ''],
+  ['Patient', invoice => invoice.recipient.name || ''],
+  ['Phone', invoice => invoice.recipient.phone || ''],
+  ['Place of supply', invoice => invoice.placeOfSupply || ''],
+  ['SAC', invoice => (invoice.lineItems[0] && invoice.lineItems[0].sacCode) || ''],
+  ['Gross', invoice => invoice.grossAmount],
+  ['Discount', invoice => invoice.discountAmount],
+  ['Taxable value', invoice => invoice.taxableAmount],
+  ['GST rate', invoice => invoice.gstRate],
+  ['CGST', invoice => invoice.cgstAmount],
+  ['SGST', invoice => invoice.sgstAmount],
+  ['IGST', invoice => invoice.igstAmount],
+  ['Total', invoice => invoice.totalAmount],
+  ['Payment ID', invoice => invoice.paymentId],
+  ['Refund ID', invoice => invoice.refundId || '']
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const canView = (req, record) => req.user.role === 'admin' || req.user.id === record.userId;
+
+const notFound = (res, message) => {
+  return res.status(404).json({
+    status: 'error',
+    code: 404,
+    message
+  });
+};
+
+const findInvoice = (id) => {
+  return Invoice.findByPk(id, {
+    include: [{ model: Invoice, as: 'originalInvoice', attributes: ['id', 'invoiceNumber', 'issuedAt'] }]
+  });
+};
+
+/**
+ * Patients get their own invoices and credit notes, admins everyone's
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, userId } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (type) where.type = type;
+    if (req.user.role === 'admin') {
+      if (userId) where.userId = userId;
+    } else {
+      where.userId = req.user.id;
+    }
+
+    const { count, rows: invoices } = await Invoice.findAndCountAll({
+      where,
+      order: [['issuedAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Invoices retrieved successfully',
+      data: invoices,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Invoices Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Invoice of a payment and the credit notes of its refunds. The invoice is
+ * issued now if the payment succeeded and it is still missing.
+ */
+exports.getPaymentInvoices = async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.paymentId);
+    if (!payment) return notFound(res, 'Payment not found');
+
+    if (!canView(req, payment)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to view invoices of this payment'
+      });
+    }
+
+    const result = await invoiceService.issueInvoiceForPayment(payment.id);
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    const creditNotes = await Invoice.findAll({
+      where: { paymentId: payment.id, type: 'credit_note' },
+      order: [['issuedAt', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Invoices retrieved successfully',
+      data: {
+        invoice: result.invoice,
+        creditNotes
+      }
+    });
+  } catch (error) {
+    console.error('Get Payment Invoices Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: invoice register for a date range as CSV or JSON
+ */
+exports.exportRegister = async (req, res) => {
+  try {
+    const { from, to, type, format = 'csv' } = req.query;
+
+    const start = from ? DateTime.fromISO(from, { zone: TIMEZONE }) : null;
+    const end = to ? DateTime.fromISO(to, { zone: TIMEZONE }) : null;
+    if (!start || !start.isValid || !end || !end.isValid || end < start) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'from and to must be dates (YYYY-MM-DD) with from not after to'
+      });
+    }
+    if (end.diff(start, 'days').days >= MAX_REGISTER_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `The register can be exported for at most ${MAX_REGISTER_DAYS} days at a time`
+      });
+    }
+    if (type && !['invoice', 'credit_note'].includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'type must be invoice or credit_note'
+      });
+    }
+
+    const invoices = await invoiceService.getRegister({ from, to, type });
+
+    if (format === 'json') {
+      return res.json({
+        status: 'success',
+        code: 200,
+        message: 'Invoice register retrieved successfully',
+        data: invoices
+      });
+    }
+
+    const lines = [
+      REGISTER_COLUMNS.map(([label]) => label).join(','),
+      ...invoices.map(invoice => REGISTER_COLUMNS.map(([, value]) => csvCell(value(invoice))).join(','))
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-register-${start.toISODate()}-${end.toISODate()}.csv"`);
+    res.send(lines.join('\n'));
+  } catch (error) {
+    console.error('Export Invoice Register Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * An invoice or credit note
+ */
+exports.getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    if (!invoice) return notFound(res, 'Invoice not found');
+
+    if (!canView(req, invoice)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to view this invoice'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Invoice retrieved successfully',
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Get Invoice Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Download an invoice or credit note as PDF
+ */
+exports.downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    if (!invoice) return notFound(res, 'Invoice not found');
+
+    if (!canView(req, invoice)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to download this invoice'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+
+    writeInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('Download Invoice PDF Error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
@@ -3,52 +3,28 @@ const { User } = require("../models");
 const sequelize = require("../config/db");
 const { Op } = require("sequelize");
 const { sendPushNotification } = require("../services/firebase.services");
-
-// Utility function to clean up invalid FCM tokens
-const cleanupInvalidTokens = async () => {
-  try {
-    console.log('🧹 Starting FCM token cleanup...');
-    
-    // Find all users with FCM tokens
-    const usersWithTokens = await User.findAll({
-      where: {
-        fcmToken: { [Op.ne]: null }
-      },
-      attributes: ['id', 'fcmToken', 'name', 'role']
-    });
-    
-    console.log(`Found ${usersWithTokens.length} users with FCM tokens`);
-    
-    let cleanedCount = 0;
-    
-    for (const user of usersWithTokens) {
-      try {
-        // Test the token by sending a test message
-        await sendPushNotification(
-          user.fcmToken,
-          'Test',
-          'Token validation',
-          { test: true }
-        );
-        console.log(`✅ Token valid for user ${user.id} (${user.name})`);
-      } catch (error) {
-        if (error.code === 'messaging/registration-token-not-registered' || 
-            error.code === 'messaging/invalid-registration-token') {
-          console.log(`🗑️ Removing invalid token for user ${user.id} (${user.name})`);
-          await user.update({ fcmToken: null });
-          cleanedCount++;
-        }
-      }
-    }
-    
-    console.log(`🧹 Cleanup completed: ${cleanedCount} invalid tokens removed`);
-    return { cleanedCount, totalUsers: usersWithTokens.length };
-  } catch (error) {
-    console.error('Error during token cleanup:', error);
-    throw error;
-  }
+const pushCampaignService = require("../services/pushCampaign.service");
+const deviceTokenService = require("../services/deviceToken.service");
+const notificationPreferenceService = require("../services/notificationPreference.service");
+const notificationDispatcher = require("../services/notificationDispatcher.service");
+const DeviceToken = require("../models/deviceToken.model");
+const PushCampaign = require("../models/pushCampaign.model");
+const PushCampaignRecipient = require("../models/pushCampaignRecipient.model");
+const NotificationOutbox = require("../models/notificationOutbox.model");
+
+const sendError = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    status: "error",
+    code: status,
+    message,
+    ...extra,
+  });
 };
 
+const findCampaign = (id) => PushCampaign.findByPk(id, {
+  include: [{ model: User, as: "creator", attributes: ["id", "name"] }],
+});
+
 module.exports = {
   /**
    * @swagger
@@ -174,6 +150,13 @@ module.exports = {
       notification.isRead = true;
       await notification.save();
 
+      // Opening a campaign notification counts as opening the campaign
+      if (notification.data && notification.data.campaignId) {
+        await pushCampaignService.recordOpen(req.user.id, { notificationId: notification.id }).catch((error) => {
+          console.error(`[ERROR] markAsRead - Failed to record campaign open:`, error.message);
+        });
+      }
+
       console.log(
         `[DEBUG] markAsRead - Successfully marked notification ${req.params.id} as read for user ${req.user.id}`
       );
@@ -278,12 +261,12 @@ module.exports = {
 
       if (type === "both") {
         users = await User.findAll({
-          attributes: ["id", "fcmToken"],
+          attributes: ["id"],
         });
       } else if (type === "user") {
         users = await User.findAll({
           where: { role: "user" },
-          attributes: ["id", "fcmToken"],
+          attributes: ["id"],
         });
         console.log(
           `[DEBUG] sendNotification - Found ${users.length} users with FCM tokens`
@@ -291,7 +274,7 @@ module.exports = {
       } else {
         users = await User.findAll({
           where: { role: { [Op.in]: ["doctor", "virtual-doctor"] } },
-          attributes: ["id", "fcmToken"],
+          attributes: ["id"],
         });
         console.log(
           `[DEBUG] sendNotification - Found ${users.length} doctors with FCM tokens`
@@ -308,7 +291,13 @@ module.exports = {
         });
       }
 
-      const fcmTokens = users.map((user) => user.fcmToken).filter(token => token);
+      // Every registered device of the users
+      const devices = await DeviceToken.findAll({
+        where: { userId: { [Op.in]: users.map((user) => user.id) } },
+        attributes: ["userId", "token"],
+      });
+      const fcmTokens = devices.map((device) => device.token);
+      const userIdsWithTokens = new Set(devices.map((device) => device.userId));
 
       if (fcmTokens.length === 0) {
         console.log(
@@ -332,12 +321,12 @@ module.exports = {
       );
 
       // Store notifications in database for users with valid FCM tokens
-      const usersWithTokens = users.filter(user => user.fcmToken);
+      const usersWithTokens = users.filter(user => userIdsWithTokens.has(user.id));
       console.log(`[DEBUG] Users with tokens: ${usersWithTokens.length}, Total users: ${users.length}`);
       
       const notificationPromises = usersWithTokens.map(async (user) => {
         try {
-          console.log(`[DEBUG] Creating notification for user ${user.id} (${user.fcmToken ? 'has token' : 'no token'})`);
+          console.log(`[DEBUG] Creating notification for user ${user.id}`);
           const notification = await Notification.create({
             userId: user.id,
             title: title,
@@ -412,14 +401,7 @@ module.exports = {
             // Check if token should be removed
             if (response && response.shouldRemoveToken) {
               console.log(`🗑️ Removing invalid FCM token: ${fcmToken.substring(0, 20)}...`);
-              // Find and update user with invalid token
-              const userWithInvalidToken = await User.findOne({
-                where: { fcmToken: fcmToken }
-              });
-              if (userWithInvalidToken) {
-                await userWithInvalidToken.update({ fcmToken: null });
-                console.log(`✅ Removed invalid FCM token for user ${userWithInvalidToken.id}`);
-              }
+              await deviceTokenService.pruneToken(fcmToken);
             }
 
             return {
@@ -491,7 +473,8 @@ module.exports = {
    * @swagger
    * /notifications/add-fcm-token:
    *   post:
-   *     summary: Update user's FCM token
+   *     summary: Register the FCM token of this device
+   *     description: A user can have several devices; pushes go to all of them. Call on every app start so the device stays registered. The device is unregistered when its session is logged out.
    *     tags: [Notifications]
    *     security:
    *       - bearerAuth: []
@@ -507,6 +490,15 @@ module.exports = {
    *               fcmToken:
    *                 type: string
    *                 description: Firebase Cloud Messaging token
+   *               platform:
+   *                 type: string
+   *                 enum: [android, ios, web]
+   *               appVersion:
+   *                 type: string
+   *                 example: "2.4.1"
+   *               deviceName:
+   *                 type: string
+   *                 example: "Galaxy Tab S9"
    *     responses:
    *       200:
    *         description: FCM token updated successfully
@@ -524,64 +516,40 @@ module.exports = {
    *                 message:
    *                   type: string
    *                   example: "FCM token updated successfully"
+   *                 data:
+   *                   $ref: '#/components/schemas/DeviceToken'
    *       400:
    *         description: Bad request - missing FCM token
    *       401:
    *         description: Unauthorized
-   *       404:
-   *         description: User not found
    *       500:
    *         description: Server error
    */
   updateFcmToken: async (req, res) => {
     try {
-      const { fcmToken } = req.body;
+      const { valid, errors, values } = deviceTokenService.validateRegistration(req.body);
 
       console.log(
         `[DEBUG] updateFcmToken - User ID: ${
           req.user.id
-        }, FCM Token provided: ${fcmToken ? "Yes" : "No"}`
+        }, FCM Token provided: ${values.token ? "Yes" : "No"}`
       );
 
-      if (!fcmToken) {
-        console.log(
-          `[DEBUG] updateFcmToken - Validation failed: FCM token is missing`
-        );
-        return res.status(400).json({
-          status: "error",
-          code: 400,
-          message: "FCM token is required",
-        });
-      }
-
-      // Find and update the user's FCM token
-      const user = await User.findByPk(req.user.id);
-
-      if (!user) {
-        console.log(`[DEBUG] updateFcmToken - User not found: ${req.user.id}`);
-        return res.status(404).json({
-          status: "error",
-          code: 404,
-          message: "User not found",
-        });
+      if (!valid) {
+        return sendError(res, 400, errors[0], { errors });
       }
 
-      // Update the FCM token
-      user.fcmToken = fcmToken;
-      await user.save();
+      const device = await deviceTokenService.registerToken(req.user.id, values, req.user.sid || null);
 
       console.log(
-        `[DEBUG] updateFcmToken - Successfully updated FCM token for user ${req.user.id}`
+        `[DEBUG] updateFcmToken - Registered device ${device.id} for user ${req.user.id}`
       );
 
       res.json({
         status: "success",
         code: 200,
         message: "FCM token updated successfully",
-        data: {
-          userId: user.id,
-          fcmToken: user.fcmToken,
-        },
+        data: device,
       });
     } catch (error) {
       console.error(
@@ -596,6 +564,324 @@ module.exports = {
     }
   },
 
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     DeviceToken:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         userId:
+   *           type: integer
+   *         token:
+   *           type: string
+   *         platform:
+   *           type: string
+   *           nullable: true
+   *           enum: [android, ios, web]
+   *         appVersion:
+   *           type: string
+   *           nullable: true
+   *         deviceName:
+   *           type: string
+   *           nullable: true
+   *         sessionId:
+   *           type: integer
+   *           nullable: true
+   *           description: Session the device registered from
+   *         lastSeenAt:
+   *           type: string
+   *           format: date-time
+   *         createdAt:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /notifications/remove-fcm-token:
+   *   post:
+   *     summary: Unregister the FCM token of this device
+   *     description: For the app to call when push notifications are turned off on the device. Logging out unregisters the device as well.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - fcmToken
+   *             properties:
+   *               fcmToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: FCM token removed successfully
+   *       400:
+   *         description: FCM token is required
+   *       404:
+   *         description: Device not found
+   */
+  removeFcmToken: async (req, res) => {
+    try {
+      const { fcmToken } = req.body;
+      if (!fcmToken || typeof fcmToken !== "string") {
+        return sendError(res, 400, "FCM token is required");
+      }
+
+      const removed = await deviceTokenService.removeDevice(req.user.id, { token: fcmToken.trim() });
+      if (!removed) {
+        return sendError(res, 404, "Device not found");
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "FCM token removed successfully",
+      });
+    } catch (error) {
+      console.error("Remove FCM Token Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/devices:
+   *   get:
+   *     summary: List the devices receiving my push notifications
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Devices, most recently seen first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/DeviceToken'
+   */
+  getMyDevices: async (req, res) => {
+    try {
+      const devices = await deviceTokenService.listDevices(req.user.id);
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Devices retrieved successfully",
+        data: devices.map((device) => ({
+          ...device.toJSON(),
+          isCurrentSession: Boolean(req.user.sid) && device.sessionId === req.user.sid,
+        })),
+      });
+    } catch (error) {
+      console.error("Get My Devices Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/devices/{id}:
+   *   delete:
+   *     summary: Stop push notifications to one of my devices
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Device removed successfully
+   *       404:
+   *         description: Device not found
+   */
+  removeDevice: async (req, res) => {
+    try {
+      const removed = await deviceTokenService.removeDevice(req.user.id, { id: req.params.id });
+      if (!removed) {
+        return sendError(res, 404, "Device not found");
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Device removed successfully",
+      });
+    } catch (error) {
+      console.error("Remove Device Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     NotificationChannels:
+   *       type: object
+   *       properties:
+   *         push:
+   *           type: boolean
+   *         email:
+   *           type: boolean
+   *         sms:
+   *           type: boolean
+   *         whatsapp:
+   *           type: boolean
+   *           description: Off unless the user opts in
+   *         inApp:
+   *           type: boolean
+   *     NotificationPreferences:
+   *       type: object
+   *       properties:
+   *         categories:
+   *           type: object
+   *           description: Channels each category is delivered on; all but WhatsApp on unless changed
+   *           properties:
+   *             appointmentUpdates:
+   *               $ref: '#/components/schemas/NotificationChannels'
+   *             reminders:
+   *               $ref: '#/components/schemas/NotificationChannels'
+   *             payments:
+   *               $ref: '#/components/schemas/NotificationChannels'
+   *             promotions:
+   *               $ref: '#/components/schemas/NotificationChannels'
+   *             news:
+   *               $ref: '#/components/schemas/NotificationChannels'
+   *             queryResponses:
+   *               $ref: '#/components/schemas/NotificationChannels'
+   *         quietHours:
+   *           type: object
+   *           description: Push, SMS and WhatsApp messages due between start and end (India time) are sent when quiet hours end; the in-app notification is still stored
+   *           properties:
+   *             enabled:
+   *               type: boolean
+   *             start:
+   *               type: string
+   *               nullable: true
+   *               example: "22:00"
+   *             end:
+   *               type: string
+   *               nullable: true
+   *               example: "07:00"
+   */
+
+  /**
+   * @swagger
+   * /notifications/preferences:
+   *   get:
+   *     summary: Get my notification preferences
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Preferences, with defaults filled in
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/NotificationPreferences'
+   */
+  getPreferences: async (req, res) => {
+    try {
+      const preferences = await notificationPreferenceService.getPreferences(req.user.id);
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Notification preferences retrieved successfully",
+        data: preferences,
+      });
+    } catch (error) {
+      console.error("Get Notification Preferences Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/preferences:
+   *   put:
+   *     summary: Change my notification preferences
+   *     description: Only the categories, channels and quiet hours given are changed. Notifications outside these categories, such as account notices, are always delivered.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/NotificationPreferences'
+   *           example:
+   *             categories:
+   *               promotions: { push: false, sms: false }
+   *             quietHours: { enabled: true, start: "22:00", end: "07:00" }
+   *     responses:
+   *       200:
+   *         description: Preferences updated successfully
+   *       400:
+   *         description: Invalid preferences
+   */
+  updatePreferences: async (req, res) => {
+    try {
+      const { valid, errors, values } = notificationPreferenceService.validatePreferences(req.body);
+      if (!valid) {
+        return sendError(res, 400, errors[0], { errors });
+      }
+
+      const preferences = await notificationPreferenceService.updatePreferences(req.user.id, values);
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Notification preferences updated successfully",
+        data: preferences,
+      });
+    } catch (error) {
+      console.error("Update Notification Preferences Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
   /**
    * @swagger
    * /notifications/admin/all:
@@ -690,7 +976,7 @@ module.exports = {
   // Cleanup invalid FCM tokens endpoint
   cleanupInvalidTokens: async (req, res) => {
     try {
-      const result = await cleanupInvalidTokens();
+      const result = await deviceTokenService.cleanupTokens();
       res.json({
         status: "success",
         code: 200,
@@ -935,4 +1221,765 @@ module.exports = {
       });
     }
   },
-};
\ No newline at end of file
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     PushCampaignSegment:
+   *       type: object
+   *       description: Users matching all the conditions given, with notifications turned on
+   *       properties:
+   *         roles:
+   *           type: array
+   *           items:
+   *             type: string
+   *             enum: [user, doctor, virtual-doctor, admin]
+   *           default: [user]
+   *         cityIds:
+   *           type: array
+   *           items:
+   *             type: integer
+   *           description: Cities from the location lists. Doctors match by the city of their clinic, patients by the cities of the clinics they booked.
+   *         cities:
+   *           type: array
+   *           items:
+   *             type: string
+   *           description: City names, matched the same way as cityIds
+   *         languages:
+   *           type: array
+   *           items:
+   *             type: string
+   *             enum: [English, Hindi, Gujarati]
+   *           description: Language preference of the patient
+   *         lastAppointmentFrom:
+   *           type: string
+   *           format: date
+   *           description: Latest appointment on or after this date
+   *         lastAppointmentTo:
+   *           type: string
+   *           format: date
+   *           description: Latest appointment on or before this date, e.g. to reach patients who have not been back
+   *         hasPendingPayment:
+   *           type: boolean
+   *           description: true for users with an upcoming appointment still to be paid online, false for users without one
+   *     PushCampaign:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         title:
+   *           type: string
+   *         message:
+   *           type: string
+   *         category:
+   *           type: string
+   *           enum: [promotions, news]
+   *           description: Recipients who turned this category off in their notification preferences are skipped
+   *         data:
+   *           type: object
+   *           nullable: true
+   *         segment:
+   *           $ref: '#/components/schemas/PushCampaignSegment'
+   *         status:
+   *           type: string
+   *           enum: [scheduled, sending, completed, canceled]
+   *         scheduledAt:
+   *           type: string
+   *           format: date-time
+   *         batchSize:
+   *           type: integer
+   *           description: Recipients sent to each minute
+   *         recipientCount:
+   *           type: integer
+   *           nullable: true
+   *           description: Set when sending starts
+   *         startedAt:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         completedAt:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         canceledAt:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *     PushCampaignReport:
+   *       type: object
+   *       properties:
+   *         recipients:
+   *           type: integer
+   *         pending:
+   *           type: integer
+   *         sent:
+   *           type: integer
+   *         failed:
+   *           type: integer
+   *         canceled:
+   *           type: integer
+   *         opened:
+   *           type: integer
+   *         openRate:
+   *           type: number
+   *           description: Percentage of the sent pushes that were opened
+   *         failures:
+   *           type: object
+   *           description: Failed recipients per error
+   *           example: { "NO_DEVICE_TOKEN": 12, "INVALID_TOKEN": 3 }
+   */
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns/preview:
+   *   post:
+   *     summary: Count the users a segment reaches (admin only)
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               segment:
+   *                 $ref: '#/components/schemas/PushCampaignSegment'
+   *     responses:
+   *       200:
+   *         description: Audience counted
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     total:
+   *                       type: integer
+   *                     withDevice:
+   *                       type: integer
+   *                       description: Users with a device registered for push
+   *       400:
+   *         description: Invalid segment
+   */
+  previewCampaignAudience: async (req, res) => {
+    try {
+      const { valid, errors, segment } = pushCampaignService.validateSegment(req.body.segment || {});
+      if (!valid) {
+        return sendError(res, 400, "Invalid segment", { errors });
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Audience counted successfully",
+        data: await pushCampaignService.countAudience(segment),
+      });
+    } catch (error) {
+      console.error("Preview Campaign Audience Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns:
+   *   post:
+   *     summary: Create a push campaign (admin only)
+   *     description: Sent at scheduledAt, or within a minute when no time is given. Recipients are picked when sending starts and sent to batchSize at a time each minute.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - title
+   *               - message
+   *             properties:
+   *               title:
+   *                 type: string
+   *                 example: Free dental check-up week
+   *               message:
+   *                 type: string
+   *                 example: Book a check-up at a clinic near you this week
+   *               category:
+   *                 type: string
+   *                 enum: [promotions, news]
+   *                 default: promotions
+   *               data:
+   *                 type: object
+   *                 description: Extra values sent with the push; values are sent as text
+   *                 example: { "screen": "book-appointment" }
+   *               segment:
+   *                 $ref: '#/components/schemas/PushCampaignSegment'
+   *               scheduledAt:
+   *                 type: string
+   *                 format: date-time
+   *               batchSize:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 5000
+   *                 default: 500
+   *     responses:
+   *       201:
+   *         description: Campaign scheduled
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/PushCampaign'
+   *       400:
+   *         description: Invalid campaign
+   */
+  createCampaign: async (req, res) => {
+    try {
+      const { valid, errors, values } = pushCampaignService.validateCampaign(req.body);
+      if (!valid) {
+        return sendError(res, 400, "Invalid campaign", { errors });
+      }
+
+      const campaign = await PushCampaign.create({ ...values, status: "scheduled", createdBy: req.user.id });
+
+      res.status(201).json({
+        status: "success",
+        code: 201,
+        message: "Campaign scheduled successfully",
+        data: campaign,
+      });
+    } catch (error) {
+      console.error("Create Campaign Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns:
+   *   get:
+   *     summary: List push campaigns (admin only)
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [scheduled, sending, completed, canceled]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Campaigns retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/PushCampaign'
+   */
+  getCampaigns: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { count, rows: campaigns } = await PushCampaign.findAndCountAll({
+        where: status ? { status } : {},
+        include: [{ model: User, as: "creator", attributes: ["id", "name"] }],
+        order: [["scheduledAt", "DESC"]],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      });
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Campaigns retrieved successfully",
+        data: campaigns,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Get Campaigns Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns/{id}:
+   *   get:
+   *     summary: Get a push campaign with its delivery and open report (admin only)
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Campaign retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     campaign:
+   *                       $ref: '#/components/schemas/PushCampaign'
+   *                     report:
+   *                       $ref: '#/components/schemas/PushCampaignReport'
+   *       404:
+   *         description: Campaign not found
+   */
+  getCampaign: async (req, res) => {
+    try {
+      const campaign = await findCampaign(req.params.id);
+      if (!campaign) {
+        return sendError(res, 404, "Campaign not found");
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Campaign retrieved successfully",
+        data: {
+          campaign,
+          report: await pushCampaignService.getReport(campaign),
+        },
+      });
+    } catch (error) {
+      console.error("Get Campaign Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns/{id}/recipients:
+   *   get:
+   *     summary: List the recipients of a push campaign (admin only)
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, sent, failed, canceled]
+   *       - in: query
+   *         name: opened
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *     responses:
+   *       200:
+   *         description: Recipients with their delivery status, error and open time
+   *       404:
+   *         description: Campaign not found
+   */
+  getCampaignRecipients: async (req, res) => {
+    try {
+      const { page = 1, limit = 50, status, opened } = req.query;
+      const offset = (page - 1) * limit;
+
+      const campaign = await PushCampaign.findByPk(req.params.id, { attributes: ["id"] });
+      if (!campaign) {
+        return sendError(res, 404, "Campaign not found");
+      }
+
+      const where = { campaignId: campaign.id };
+      if (status) where.status = status;
+      if (opened === "true") where.openedAt = { [Op.ne]: null };
+      if (opened === "false") where.openedAt = null;
+
+      const { count, rows: recipients } = await PushCampaignRecipient.findAndCountAll({
+        where,
+        include: [{ model: User, as: "user", attributes: ["id", "name", "phone", "role"] }],
+        order: [["id", "ASC"]],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      });
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Recipients retrieved successfully",
+        data: recipients,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Get Campaign Recipients Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns/{id}:
+   *   put:
+   *     summary: Change a scheduled push campaign (admin only)
+   *     description: The whole campaign is replaced; it can no longer be changed once sending has started
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - title
+   *               - message
+   *             properties:
+   *               title:
+   *                 type: string
+   *               message:
+   *                 type: string
+   *               category:
+   *                 type: string
+   *                 enum: [promotions, news]
+   *               data:
+   *                 type: object
+   *               segment:
+   *                 $ref: '#/components/schemas/PushCampaignSegment'
+   *               scheduledAt:
+   *                 type: string
+   *                 format: date-time
+   *               batchSize:
+   *                 type: integer
+   *     responses:
+   *       200:
+   *         description: Campaign updated successfully
+   *       400:
+   *         description: Invalid campaign
+   *       404:
+   *         description: Campaign not found
+   *       409:
+   *         description: CAMPAIGN_STARTED
+   */
+  updateCampaign: async (req, res) => {
+    try {
+      const campaign = await findCampaign(req.params.id);
+      if (!campaign) {
+        return sendError(res, 404, "Campaign not found");
+      }
+
+      const { valid, errors, values } = pushCampaignService.validateCampaign(req.body);
+      if (!valid) {
+        return sendError(res, 400, "Invalid campaign", { errors });
+      }
+
+      const result = await pushCampaignService.updateCampaign(campaign, values);
+      if (!result.success) {
+        return sendError(res, 409, result.message, { reason: result.code });
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Campaign updated successfully",
+        data: result.campaign,
+      });
+    } catch (error) {
+      console.error("Update Campaign Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/campaigns/{id}/cancel:
+   *   post:
+   *     summary: Cancel a push campaign (admin only)
+   *     description: A campaign being sent stops after the current chunk; recipients not sent to yet are marked canceled
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Campaign canceled successfully
+   *       404:
+   *         description: Campaign not found
+   *       409:
+   *         description: CAMPAIGN_FINISHED
+   */
+  cancelCampaign: async (req, res) => {
+    try {
+      const campaign = await findCampaign(req.params.id);
+      if (!campaign) {
+        return sendError(res, 404, "Campaign not found");
+      }
+
+      const result = await pushCampaignService.cancelCampaign(campaign);
+      if (!result.success) {
+        return sendError(res, 409, result.message, { reason: result.code });
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Campaign canceled successfully",
+        data: result.campaign,
+      });
+    } catch (error) {
+      console.error("Cancel Campaign Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/outbox:
+   *   get:
+   *     summary: List notification events queued for delivery (admin only)
+   *     description: Each event records the outcome of its messages by recipient and channel in deliveries
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, processing, sent, failed]
+   *       - in: query
+   *         name: event
+   *         schema:
+   *           type: string
+   *           example: appointment.confirmed
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Outbox retrieved successfully
+   */
+  getOutbox: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status, event } = req.query;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (status) where.status = status;
+      if (event) where.event = event;
+
+      const { count, rows: entries } = await NotificationOutbox.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      });
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Outbox retrieved successfully",
+        data: entries,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Get Outbox Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/admin/outbox/{id}/retry:
+   *   post:
+   *     summary: Retry a notification event that ran out of attempts (admin only)
+   *     description: Messages already delivered are not sent again
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Event retried; its status shows whether it went out this time
+   *       404:
+   *         description: Event not found
+   *       409:
+   *         description: NOT_FAILED
+   */
+  retryOutboxEvent: async (req, res) => {
+    try {
+      const entry = await NotificationOutbox.findByPk(req.params.id);
+      if (!entry) {
+        return sendError(res, 404, "Event not found");
+      }
+
+      const result = await notificationDispatcher.retry(entry);
+      if (!result.success) {
+        return sendError(res, 409, result.message, { reason: result.code });
+      }
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Event retried",
+        data: result.entry,
+      });
+    } catch (error) {
+      console.error("Retry Outbox Event Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * @swagger
+   * /notifications/campaigns/{campaignId}/opened:
+   *   post:
+   *     summary: Record that the user opened a campaign push
+   *     description: For the app to call when a campaign push is tapped. Marking the notification as read records the open as well.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: campaignId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Open recorded; recorded is false when it had been recorded already
+   */
+  recordCampaignOpen: async (req, res) => {
+    try {
+      const recorded = await pushCampaignService.recordOpen(req.user.id, {
+        campaignId: parseInt(req.params.campaignId),
+      });
+
+      res.json({
+        status: "success",
+        code: 200,
+        message: "Campaign open recorded",
+        data: { recorded },
+      });
+    } catch (error) {
+      console.error("Record Campaign Open Error:", error);
+      res.status(500).json({
+        status: "error",
+        code: 500,
+        message: error.message,
+      });
+    }
+  },
+};
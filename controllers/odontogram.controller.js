@@ -0,0 +1,240 @@
+const { Appointment } = require('../models');
+const Patient = require('../models/patient.model');
+const FamilyMember = require('../models/familyMember.model');
+const ToothFinding = require('../models/toothFinding.model');
+const odontogramService = require('../services/odontogram.service');
+
+const sendError = (res, code, message, extra = {}) => {
+  return res.status(code).json({
+    status: 'error',
+    code,
+    message,
+    data: null,
+    ...extra
+  });
+};
+
+/**
+ * Chart owner for a patient profile: the patient, or one of their family members
+ * @returns {Promise<Object|null>} { patientId, familyMemberId, familyMember } or null when the family member is not theirs
+ */
+const resolveSubject = async (patient, familyMemberId) => {
+  if (!familyMemberId) {
+    return { patientId: patient.id, familyMemberId: null, familyMember: null };
+  }
+
+  const familyMember = await FamilyMember.findOne({ where: { id: familyMemberId, patientId: patient.id } });
+  if (!familyMember) return null;
+  return { patientId: patient.id, familyMemberId: familyMember.id, familyMember };
+};
+
+/**
+ * Chart of the signed-in patient; admins pass the patient's userId
+ */
+const ownSubject = async (req, res) => {
+  const userId = req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user.id;
+  const patient = await Patient.findOne({ where: { userId } });
+  if (!patient) {
+    sendError(res, 404, 'Patient profile not found');
+    return null;
+  }
+
+  const subject = await resolveSubject(patient, req.query.familyMemberId);
+  if (!subject) {
+    sendError(res, 404, 'Family member not found');
+    return null;
+  }
+  return subject;
+};
+
+/**
+ * Chart of the patient of an appointment, for the doctor treating them, the patient or an admin
+ * @param {boolean} write - Only the treating doctor may chart
+ */
+const appointmentSubject = async (req, res, familyMemberId, write = false) => {
+  const appointment = await Appointment.findByPk(req.params.appointmentId);
+  if (!appointment) {
+    sendError(res, 404, 'Appointment not found');
+    return null;
+  }
+
+  const treating = await odontogramService.isTreatingDoctor(req.user, appointment);
+  const allowed = write
+    ? treating
+    : treating || req.user.role === 'admin' || req.user.id === appointment.userId;
+  if (!allowed) {
+    sendError(res, 403, write
+      ? 'Only the treating doctor of a confirmed or completed appointment can update the tooth chart'
+      : 'You are not authorized to view the tooth chart of this patient');
+    return null;
+  }
+
+  const patient = await Patient.findOne({ where: { userId: appointment.userId } });
+  if (!patient) {
+    sendError(res, 404, 'Patient profile not found');
+    return null;
+  }
+
+  const subject = await resolveSubject(patient, familyMemberId);
+  if (!subject) {
+    sendError(res, 404, 'Family member not found');
+    return null;
+  }
+  return { ...subject, appointment };
+};
+
+const chartResponse = async (subject) => ({
+  patientId: subject.patientId,
+  familyMemberId: subject.familyMemberId,
+  name: subject.familyMember ? subject.familyMember.name : undefined,
+  teeth: await odontogramService.getChart(subject)
+});
+
+exports.getOdontogram = async (req, res) => {
+  try {
+    const subject = await ownSubject(req, res);
+    if (!subject) return;
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Tooth chart retrieved successfully',
+      data: await chartResponse(subject)
+    });
+  } catch (error) {
+    console.error('Get Odontogram Error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+exports.getOdontogramHistory = async (req, res) => {
+  try {
+    const subject = await ownSubject(req, res);
+    if (!subject) return;
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Tooth chart history retrieved successfully',
+      data: await odontogramService.getHistory(subject, { toothNumber: req.query.toothNumber })
+    });
+  } catch (error) {
+    console.error('Get Odontogram History Error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+/**
+ * Doctor: chart of the patient being seen, with the findings of this appointment
+ */
+exports.getAppointmentOdontogram = async (req, res) => {
+  try {
+    const subject = await appointmentSubject(req, res, req.query.familyMemberId);
+    if (!subject) return;
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Tooth chart retrieved successfully',
+      data: {
+        ...await chartResponse(subject),
+        appointmentFindings: await odontogramService.getHistory(subject, { appointmentId: subject.appointment.id })
+      }
+    });
+  } catch (error) {
+    console.error('Get Appointment Odontogram Error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+exports.getAppointmentOdontogramHistory = async (req, res) => {
+  try {
+    const subject = await appointmentSubject(req, res, req.query.familyMemberId);
+    if (!subject) return;
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Tooth chart history retrieved successfully',
+      data: await odontogramService.getHistory(subject, { toothNumber: req.query.toothNumber })
+    });
+  } catch (error) {
+    console.error('Get Appointment Odontogram History Error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+/**
+ * Doctor: record findings on the tooth chart during an appointment
+ */
+exports.recordFindings = async (req, res) => {
+  try {
+    const subject = await appointmentSubject(req, res, req.body.familyMemberId, true);
+    if (!subject) return;
+
+    const validation = odontogramService.validateFindings(req.body.findings);
+    if (!validation.valid) {
+      return sendError(res, 400, 'Validation failed', { errors: validation.errors });
+    }
+
+    const result = await odontogramService.recordFindings(subject, validation.values, {
+      appointmentId: subject.appointment.id,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Findings recorded successfully',
+      data: {
+        findings: result.findings,
+        replacedFindingIds: result.replacedIds,
+        chart: await chartResponse(subject)
+      }
+    });
+  } catch (error) {
+    console.error('Record Tooth Findings Error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+/**
+ * Doctor: resolve a finding, e.g. one charted by mistake
+ */
+exports.resolveFinding = async (req, res) => {
+  try {
+    const finding = await ToothFinding.findByPk(req.params.findingId);
+    if (!finding) return sendError(res, 404, 'Finding not found');
+
+    const subject = await appointmentSubject(req, res, finding.familyMemberId, true);
+    if (!subject) return;
+
+    if (finding.patientId !== subject.patientId) {
+      return sendError(res, 404, 'Finding not found');
+    }
+
+    const result = await odontogramService.resolveFinding(finding, {
+      appointmentId: subject.appointment.id,
+      userId: req.user.id,
+      note: req.body.note
+    });
+
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Finding resolved successfully',
+      data: result.finding
+    });
+  } catch (error) {
+    console.error('Resolve Tooth Finding Error:', error);
+    sendError(res, 500, error.message);
+  }
+};
@@ -0,0 +1,361 @@
+const { Op } = require('sequelize');
+const { User, Appointment } = require('../models');
+const Package = require('../models/package.model');
+const PackagePurchase = require('../models/packagePurchase.model');
+const PackageUsage = require('../models/packageUsage.model');
+const Payment = require('../models/payment.model');
+const FamilyMember = require('../models/familyMember.model');
+const packageService = require('../services/package.service');
+
+const sendError = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    status: 'error',
+    code: status,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Purchase of the requesting patient; admins can see any purchase
+ */
+const findPurchase = async (req) => {
+  const purchase = await PackagePurchase.findByPk(req.params.purchaseId);
+  if (!purchase) return null;
+  if (req.user.role !== 'admin' && purchase.userId !== req.user.id) return null;
+  return purchase;
+};
+
+const withRemaining = (purchase) => ({
+  ...purchase.toJSON(),
+  remainingCredits: packageService.remainingCredits(purchase)
+});
+
+/**
+ * Packages on sale. The admin listing also shows inactive ones with includeInactive=true.
+ */
+exports.getPackages = async (req, res) => {
+  try {
+    const { appointmentType, kind, includeInactive } = req.query;
+
+    const where = {};
+    if (!(req.user && req.user.role === 'admin' && includeInactive === 'true')) where.isActive = true;
+    if (appointmentType) where.appointmentType = { [Op.in]: [appointmentType, 'any'] };
+    if (kind) where.kind = kind;
+
+    const packages = await Package.findAll({
+      where,
+      order: [['price', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Packages retrieved successfully',
+      data: packages
+    });
+  } catch (error) {
+    console.error('Get Packages Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Public: package details
+ */
+exports.getPackageById = async (req, res) => {
+  try {
+    const pkg = await Package.findByPk(req.params.id);
+    if (!pkg || !pkg.isActive) {
+      return sendError(res, 404, 'Package not found');
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Package retrieved successfully',
+      data: pkg
+    });
+  } catch (error) {
+    console.error('Get Package Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: define a package
+ */
+exports.createPackage = async (req, res) => {
+  try {
+    const { valid, errors, values } = packageService.validatePackage(req.body);
+    if (!valid) {
+      return sendError(res, 400, 'Invalid package', { errors });
+    }
+
+    const pkg = await Package.create({ ...values, createdBy: req.user.id });
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Package created successfully',
+      data: pkg
+    });
+  } catch (error) {
+    console.error('Create Package Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: change a package. Packages already bought keep the terms they were bought with.
+ */
+exports.updatePackage = async (req, res) => {
+  try {
+    const pkg = await Package.findByPk(req.params.id);
+    if (!pkg) {
+      return sendError(res, 404, 'Package not found');
+    }
+
+    const { valid, errors, values } = packageService.validatePackage(req.body, pkg);
+    if (!valid) {
+      return sendError(res, 400, 'Invalid package', { errors });
+    }
+
+    await pkg.update(values);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Package updated successfully',
+      data: pkg
+    });
+  } catch (error) {
+    console.error('Update Package Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: buy a package through PhonePe
+ */
+exports.purchasePackage = async (req, res) => {
+  try {
+    const pkg = await Package.findByPk(req.params.id);
+    if (!pkg || !pkg.isActive) {
+      return sendError(res, 404, 'Package not found');
+    }
+
+    const user = await User.findByPk(req.user.id);
+    const result = await packageService.startPurchase(pkg, user, {
+      ipAddress: req.ip,
+      deviceInfo: req.get('User-Agent') || null
+    });
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.status(result.existing ? 200 : 201).json({
+      status: 'success',
+      code: result.existing ? 200 : 201,
+      message: result.existing
+        ? 'A payment for this package is already in progress'
+        : 'Package payment initiated successfully',
+      data: {
+        purchaseId: result.purchase.id,
+        paymentId: result.payment.id,
+        merchantTransactionId: result.payment.phonepeMerchantTransactionId,
+        paymentUrl: result.payment.paymentUrl,
+        amount: result.payment.amount,
+        currency: result.payment.currency
+      }
+    });
+  } catch (error) {
+    console.error('Purchase Package Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: packages bought, newest first. Admins pass userId.
+ */
+exports.getPurchases = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (req.user.role === 'admin') {
+      if (userId) where.userId = parseInt(userId);
+    } else {
+      where.userId = req.user.id;
+    }
+    if (status) where.status = status;
+
+    const { count, rows: purchases } = await PackagePurchase.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Package purchases retrieved successfully',
+      data: purchases.map(withRemaining),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Package Purchases Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: a package bought, with its payment and the family members it is shared with
+ */
+exports.getPurchaseById = async (req, res) => {
+  try {
+    const purchase = await findPurchase(req);
+    if (!purchase) {
+      return sendError(res, 404, 'Package purchase not found');
+    }
+
+    const [payment, familyMembers] = await Promise.all([
+      purchase.paymentId
+        ? Payment.findByPk(purchase.paymentId, {
+          attributes: ['id', 'amount', 'currency', 'status', 'paymentUrl', 'completedAt', 'refundAmount']
+        })
+        : null,
+      (purchase.familyMemberIds || []).length > 0
+        ? FamilyMember.findAll({ where: { id: { [Op.in]: purchase.familyMemberIds } } })
+        : []
+    ]);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Package purchase retrieved successfully',
+      data: {
+        ...withRemaining(purchase),
+        payment,
+        familyMembers
+      }
+    });
+  } catch (error) {
+    console.error('Get Package Purchase Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: choose the family members who can book with a package
+ */
+exports.setFamilyMembers = async (req, res) => {
+  try {
+    const purchase = await findPurchase(req);
+    if (!purchase) {
+      return sendError(res, 404, 'Package purchase not found');
+    }
+    if (!['pending', 'active'].includes(purchase.status)) {
+      return sendError(res, 400, `This package is ${purchase.status}`, { reason: 'PACKAGE_NOT_ACTIVE' });
+    }
+
+    const result = await packageService.setFamilyMembers(purchase, req.body.familyMemberIds);
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Family members updated successfully',
+      data: withRemaining(result.purchase)
+    });
+  } catch (error) {
+    console.error('Set Package Family Members Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: appointments booked with a package, including credits given back
+ */
+exports.getUsages = async (req, res) => {
+  try {
+    const purchase = await findPurchase(req);
+    if (!purchase) {
+      return sendError(res, 404, 'Package purchase not found');
+    }
+
+    const usages = await PackageUsage.findAll({
+      where: { purchaseId: purchase.id },
+      include: [
+        {
+          model: Appointment,
+          as: 'appointment',
+          attributes: ['id', 'type', 'status', 'appointmentDateTime', 'doctorId', 'virtualDoctorId']
+        },
+        { model: FamilyMember, as: 'familyMember' }
+      ],
+      order: [['usedAt', 'DESC']]
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Package usage retrieved successfully',
+      data: {
+        purchaseId: purchase.id,
+        totalCredits: purchase.totalCredits,
+        usedCredits: purchase.usedCredits,
+        remainingCredits: packageService.remainingCredits(purchase),
+        usages
+      }
+    });
+  } catch (error) {
+    console.error('Get Package Usage Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
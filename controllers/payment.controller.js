@@ -2,20 +2,82 @@ const Payment = require('../models/payment.model');
 const Appointment = require('../models/appoinment.model');
 const User = require('../models/user.model');
 const Price = require('../models/price.model');
-const RedeemCode = require('../models/redeemCode.model');
-const RedeemCodeUsage = require('../models/redeemCodeUsage.model');
+const Refund = require('../models/refund.model');
 const phonepeService = require('../services/phonepe.service');
+const slotHoldService = require('../services/slotHold.service');
+const refundService = require('../services/refund.service');
+const invoiceService = require('../services/invoice.service');
+const payoutService = require('../services/payout.service');
+const walletService = require('../services/wallet.service');
+const packageService = require('../services/package.service');
+const redeemCodeService = require('../services/redeemCode.service');
+const notificationDispatcher = require('../services/notificationDispatcher.service');
 const { Op } = require('sequelize');
 
 const { v4: uuidv4 } = require('uuid');
 const sequelize = require('../config/db');
 
+/**
+ * Issue the invoice of a payment that just succeeded, credit the doctor's
+ * share and tell the patient. Failures are only logged; the invoice backfill
+ * and doctor ledger jobs catch up later.
+ */
+const recordPaymentSuccess = async (paymentId) => {
+  try {
+    await invoiceService.issueInvoiceForPayment(paymentId);
+  } catch (error) {
+    console.error(`❌ Invoice for payment ${paymentId} failed:`, error.message);
+  }
+
+  try {
+    await payoutService.recordEarningForPayment(paymentId);
+  } catch (error) {
+    console.error(`❌ Doctor ledger entry for payment ${paymentId} failed:`, error.message);
+  }
+
+  await notificationDispatcher.emit('payment.succeeded', { paymentId });
+};
+
+/**
+ * Give back the wallet part and the redeem codes of a payment that failed or
+ * was cancelled. A wallet failure is only logged; the wallet maintenance job
+ * catches up later.
+ */
+const recordPaymentFailure = async (paymentId) => {
+  try {
+    await walletService.releasePaymentDebit(paymentId);
+  } catch (error) {
+    console.error(`❌ Wallet release for payment ${paymentId} failed:`, error.message);
+  }
+
+  try {
+    await redeemCodeService.releaseForPayment(paymentId);
+  } catch (error) {
+    console.error(`❌ Redeem code release for payment ${paymentId} failed:`, error.message);
+  }
+};
+
+/**
+ * Apply a PhonePe state to the payment of a package purchase, which has no
+ * appointment to confirm
+ * @returns {Promise<string>} Payment status afterwards
+ */
+const settlePackagePayment = async (payment, state, fields) => {
+  const result = await packageService.applyPaymentState(payment.id, state, fields);
+  if (result.changed && result.status === 'success') {
+    await recordPaymentSuccess(payment.id);
+  } else if (result.changed && (result.status === 'failed' || result.status === 'cancelled')) {
+    await recordPaymentFailure(payment.id);
+  }
+  return result.status;
+};
+
 /**
  * Initiate payment for virtual appointment
  */
 exports.initiatePayment = async (req, res) => {
   try {
-    const { appointmentId, paymentMethod = 'phonepe', redeemCode } = req.body;
+    const { appointmentId, paymentMethod = 'phonepe', redeemCode, useWallet = false } = req.body;
     const userId = req.user.id;
 
     // Validate input
@@ -69,6 +131,27 @@ exports.initiatePayment = async (req, res) => {
       });
     }
 
+    if (appointment.packagePurchaseId) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'This appointment is covered by a package',
+        reason: 'COVERED_BY_PACKAGE'
+      });
+    }
+
+    // The slot must still be held for this appointment; starting a payment extends the hold
+    const holdResult = await slotHoldService.reserveForPayment(appointmentId);
+    if (!holdResult.success) {
+      return res.status(409).json({
+        status: 'error',
+        code: 409,
+        message: holdResult.message,
+        reason: holdResult.code
+      });
+    }
+    const slotHold = holdResult.hold;
+
     // Get virtual appointment price
     const virtualAppointmentPrice = await Price.findOne({
       where: { serviceName: 'Virtual Appointment', isActive: true }
@@ -86,88 +169,25 @@ exports.initiatePayment = async (req, res) => {
     let discountAmount = 0;
     let finalAmount = originalAmount;
     let redeemCodeData = null;
-    let redeemCodeUsage = null;
-
-    // Process redeem code if provided
-    if (redeemCode) {
-      const redeemCodeRecord = await RedeemCode.findOne({
-        where: { 
-          code: redeemCode.toUpperCase(),
-          applicableFor: { [Op.in]: ['all', 'virtual_appointment'] }
-        }
-      });
-
-      if (!redeemCodeRecord) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: 'Invalid redeem code'
-        });
-      }
-
-      // Validate redeem code
-      if (!redeemCodeRecord.isValid()) {
-        let reason = 'Redeem code is not valid';
-        
-        if (!redeemCodeRecord.isActive) reason = 'Redeem code is inactive';
-        else if (redeemCodeRecord.validFrom && new Date() < redeemCodeRecord.validFrom) reason = 'Redeem code is not yet active';
-        else if (redeemCodeRecord.validUntil && new Date() > redeemCodeRecord.validUntil) reason = 'Redeem code has expired';
-        else if (redeemCodeRecord.usageLimit && redeemCodeRecord.usageCount >= redeemCodeRecord.usageLimit) reason = 'Redeem code usage limit exceeded';
 
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: reason
-        });
-      }
-
-      // Check user usage limit
-      if (redeemCodeRecord.userUsageLimit) {
-        const userUsageCount = await RedeemCodeUsage.count({
-          where: {
-            userId,
-            redeemCodeId: redeemCodeRecord.id
-          }
-        });
-
-        if (userUsageCount >= redeemCodeRecord.userUsageLimit) {
-          return res.status(400).json({
-            status: 'error',
-            code: 400,
-            message: 'You have already used this redeem code maximum number of times'
-          });
-        }
-      }
-
-      // Check minimum order amount
-      if (redeemCodeRecord.minOrderAmount && originalAmount < redeemCodeRecord.minOrderAmount) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: `Minimum order amount is ₹${redeemCodeRecord.minOrderAmount} to use this redeem code`
-        });
-      }
-
-      // Calculate discount
-      discountAmount = redeemCodeRecord.calculateDiscount(originalAmount);
-      finalAmount = originalAmount - discountAmount;
-      redeemCodeData = redeemCodeRecord;
-
-      // Create redeem code usage record (will be linked to payment later)
-      redeemCodeUsage = await RedeemCodeUsage.create({
-        userId,
-        redeemCodeId: redeemCodeRecord.id,
-        appointmentId,
-        originalAmount,
-        discountAmount,
-        finalAmount,
-        status: 'applied',
-        usedAt: new Date()
+    // The code the patient typed and any campaign applied without a code; usage is recorded with the payment
+    const offer = await redeemCodeService.priceWithOffers({
+      userId: userId,
+      appointment,
+      amount: originalAmount,
+      code: redeemCode || null
+    });
+    if (!offer.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: offer.message,
+        reason: offer.code
       });
-
-      // Update redeem code usage count
-      await redeemCodeRecord.increment('usageCount');
     }
+    discountAmount = offer.discountAmount;
+    finalAmount = offer.finalAmount;
+    redeemCodeData = offer.discounts.length > 0 ? offer.discounts[0].redeemCode : null;
 
     const amount = finalAmount;
 
@@ -202,6 +222,22 @@ exports.initiatePayment = async (req, res) => {
       }
     }
 
+    // The wallet pays first; PhonePe only collects what is left
+    let walletAmount = 0;
+    if (useWallet === true || useWallet === 'true') {
+      const walletBalance = await walletService.getSpendableBalance(userId);
+      walletAmount = Math.round(Math.min(walletBalance, amount) * 100) / 100;
+    }
+    const gatewayAmount = Math.round((amount - walletAmount) * 100) / 100;
+    const paidFromWallet = gatewayAmount <= 0;
+
+    const redeemCodeSummary = redeemCodeData ? {
+      code: redeemCodeData.code,
+      name: redeemCodeData.name,
+      discountType: redeemCodeData.discountType,
+      discountValue: redeemCodeData.discountValue
+    } : null;
+
     // Generate merchant transaction ID
     const merchantTransactionId = phonepeService.generateMerchantTransactionId(userId, appointmentId);
 
@@ -210,10 +246,11 @@ exports.initiatePayment = async (req, res) => {
       userId,
       appointmentId,
       amount,
+      walletAmount,
       currency: 'INR',
-      paymentMethod,
+      paymentMethod: paidFromWallet ? 'wallet' : paymentMethod,
       status: 'initiated',
-      phonepeMerchantTransactionId: merchantTransactionId,
+      phonepeMerchantTransactionId: paidFromWallet ? null : merchantTransactionId,
       initiatedAt: new Date(),
       ipAddress: req.ip,
       deviceInfo: {
@@ -222,10 +259,100 @@ exports.initiatePayment = async (req, res) => {
       }
     });
 
+    // Record the discounts against the payment; a single-use code taken meanwhile fails it
+    const usageResult = await redeemCodeService.recordUsages(offer, { userId: userId, appointmentId, paymentId: payment.id });
+    if (!usageResult.success) {
+      await payment.update({
+        status: 'failed',
+        failureReason: usageResult.message,
+        failedAt: new Date()
+      });
+
+      return res.status(409).json({
+        status: 'error',
+        code: 409,
+        message: usageResult.message,
+        reason: usageResult.code
+      });
+    }
+
+    if (slotHold) {
+      await slotHold.update({ paymentId: payment.id });
+    }
+
+    if (walletAmount > 0) {
+      const debitResult = await walletService.debitForPayment(payment);
+      if (!debitResult.success) {
+        await payment.update({
+          status: 'failed',
+          failureReason: debitResult.message,
+          failedAt: new Date()
+        });
+        await recordPaymentFailure(payment.id);
+
+        return res.status(409).json({
+          status: 'error',
+          code: 409,
+          message: debitResult.message,
+          reason: debitResult.code
+        });
+      }
+    }
+
+    // Fully paid from the wallet: confirm the appointment the way a PhonePe callback would
+    if (paidFromWallet) {
+      let appointmentStatus = 'confirmed';
+
+      await sequelize.transaction(async (t) => {
+        const holdResult = await slotHoldService.convertHold(appointment.id, { transaction: t });
+        if (!holdResult.success) {
+          appointmentStatus = appointment.status;
+          console.log(`⚠️ ${holdResult.message} - appointment ${appointment.id} stays ${appointmentStatus}, payment will be refunded`);
+        }
+
+        await payment.update({
+          status: 'success',
+          completedAt: new Date()
+        }, { transaction: t });
+
+        await appointment.update({
+          status: appointmentStatus,
+          paymentStatus: 'success',
+          paymentId: payment.id,
+          paymentAmount: payment.amount,
+          confirmedAt: appointmentStatus === 'confirmed' ? new Date() : appointment.confirmedAt
+        }, { transaction: t });
+      });
+
+      await recordPaymentSuccess(payment.id);
+
+      return res.json({
+        status: 'success',
+        code: 200,
+        message: 'Payment completed from wallet',
+        data: {
+          paymentId: payment.id,
+          paymentUrl: null,
+          status: payment.status,
+          appointmentStatus,
+          originalAmount: originalAmount,
+          discountAmount: discountAmount,
+          finalAmount: amount,
+          walletAmount,
+          gatewayAmount: 0,
+          currency: 'INR',
+          merchantTransactionId: null,
+          slotHoldExpiresAt: null,
+          redeemCode: redeemCodeSummary,
+          appliedOffers: redeemCodeService.summarize(offer)
+        }
+      });
+    }
+
     // Initiate payment with PhonePe
     const paymentResult = await phonepeService.initiatePayment({
       merchantTransactionId,
-      amount,
+      amount: gatewayAmount,
       userId,
       appointmentId,
       userInfo: appointment.patient
@@ -238,6 +365,7 @@ exports.initiatePayment = async (req, res) => {
         failureReason: paymentResult.error,
         failedAt: new Date()
       });
+      await recordPaymentFailure(payment.id);
 
       return res.status(400).json({
         status: 'error',
@@ -262,11 +390,6 @@ exports.initiatePayment = async (req, res) => {
 
     console.log('✅ Payment record updated successfully for ID:', payment.id);
 
-    // Link redeem code usage to payment if applicable
-    if (redeemCodeUsage) {
-      await redeemCodeUsage.update({ paymentId: payment.id });
-    }
-
     // Schedule auto-check for payment status after 2 minutes (fallback mechanism)
     setTimeout(async () => {
       try {
@@ -286,14 +409,13 @@ exports.initiatePayment = async (req, res) => {
         originalAmount: originalAmount,
         discountAmount: discountAmount,
         finalAmount: amount,
+        walletAmount,
+        gatewayAmount,
         currency: 'INR',
         merchantTransactionId: merchantTransactionId,
-        redeemCode: redeemCodeData ? {
-          code: redeemCodeData.code,
-          name: redeemCodeData.name,
-          discountType: redeemCodeData.discountType,
-          discountValue: redeemCodeData.discountValue
-        } : null
+        slotHoldExpiresAt: slotHold && slotHold.status === 'held' ? slotHold.expiresAt : null,
+        redeemCode: redeemCodeSummary,
+        appliedOffers: redeemCodeService.summarize(offer)
       }
     });
 
@@ -381,6 +503,29 @@ exports.handleCallback = async (req, res) => {
 
     console.log(`✅ Payment found - ID: ${payment.id}`);
     console.log(`📋 Current Payment Status: ${payment.status}`);
+
+    if (payment.packagePurchaseId) {
+      const packagePaymentStatus = await settlePackagePayment(payment, callbackData.status, {
+        phonepeCallbackData: callbackData,
+        gatewayTransactionId: callbackData.transactionId,
+        gatewayResponse: callbackData,
+        failureReason: callbackData.responseMessage
+      });
+
+      return res.json({
+        status: 'success',
+        code: 200,
+        message: 'Callback processed successfully',
+        data: {
+          paymentId: payment.id,
+          paymentStatus: packagePaymentStatus,
+          packagePurchaseId: payment.packagePurchaseId,
+          transactionId: callbackData.transactionId,
+          amount: payment.amount
+        }
+      });
+    }
+
     console.log(`📋 Current Appointment Status: ${payment.appointment.status}`);
     console.log(`📋 Current Payment Status in Appointment: ${payment.appointment.paymentStatus}`);
 
@@ -442,6 +587,15 @@ exports.handleCallback = async (req, res) => {
     const t = await sequelize.transaction();
 
     try {
+      // Turn the slot hold into a booking; if the hold already lapsed the slot may be gone
+      if (paymentStatus === 'success') {
+        const holdResult = await slotHoldService.convertHold(payment.appointment.id, { transaction: t });
+        if (!holdResult.success) {
+          appointmentStatus = payment.appointment.status;
+          console.log(`⚠️ ${holdResult.message} - appointment ${payment.appointment.id} stays ${appointmentStatus}, payment will be refunded`);
+        }
+      }
+
       // Update payment record
       console.log('🔄 Updating payment record...');
       await payment.update({
@@ -473,10 +627,25 @@ exports.handleCallback = async (req, res) => {
       console.log(`   - Payment ID: ${payment.id}`);
       console.log(`   - Payment Amount: ${payment.amount}`);
 
+      // A failed or cancelled payment gives the held slot back
+      if (paymentStatus === 'failed' || paymentStatus === 'cancelled') {
+        const released = await slotHoldService.releaseAppointmentHold(payment.appointment.id, `payment_${paymentStatus}`, { transaction: t });
+        if (released) {
+          appointmentStatus = 'canceled';
+          console.log(`🚫 Slot hold released, appointment ${payment.appointment.id} canceled`);
+        }
+      }
+
       // Commit transaction
       await t.commit();
       console.log('✅ Transaction committed successfully');
 
+      if (paymentStatus === 'success') {
+        await recordPaymentSuccess(payment.id);
+      } else if (paymentStatus === 'failed' || paymentStatus === 'cancelled') {
+        await recordPaymentFailure(payment.id);
+      }
+
       // Send success response
       return res.json({
         status: 'success',
@@ -538,7 +707,12 @@ exports.autoCheckPaymentStatus = async (paymentId) => {
       
       const statusResult = await phonepeService.checkPaymentStatus(payment.phonepeMerchantTransactionId);
       
-      if (statusResult.success) {
+      if (statusResult.success && payment.packagePurchaseId) {
+        await settlePackagePayment(payment, statusResult.data.state, {
+          phonepeStatusResponse: statusResult.data,
+          failureReason: statusResult.data.responseMessage
+        });
+      } else if (statusResult.success) {
         const statusData = statusResult.data;
         let newStatus = payment.status;
         let appointmentPaymentStatus = payment.appointment.paymentStatus;
@@ -575,8 +749,12 @@ exports.autoCheckPaymentStatus = async (paymentId) => {
               phonepeStatusResponse: statusData
             }, { transaction: t });
 
+            const holdResult = newStatus === 'success'
+              ? await slotHoldService.convertHold(payment.appointment.id, { transaction: t })
+              : { success: true };
+
             // Update appointment status if payment is successful
-            if (newStatus === 'success' && payment.appointment.status === 'pending') {
+            if (newStatus === 'success' && payment.appointment.status === 'pending' && holdResult.success) {
               await payment.appointment.update({
                 status: 'confirmed',
                 paymentStatus: 'success',
@@ -585,15 +763,25 @@ exports.autoCheckPaymentStatus = async (paymentId) => {
                 confirmedAt: new Date()
               }, { transaction: t });
               console.log(`✅ Auto-updated appointment ${payment.appointment.id} to confirmed status`);
-            } else if (newStatus !== 'success') {
+            } else {
               // Update payment status even if appointment is not confirmed
               await payment.appointment.update({
                 paymentStatus: appointmentPaymentStatus
               }, { transaction: t });
             }
+
+            if (newStatus === 'failed' || newStatus === 'cancelled') {
+              await slotHoldService.releaseAppointmentHold(payment.appointment.id, `payment_${newStatus}`, { transaction: t });
+            }
             
             await t.commit();
             console.log('✅ Auto-check transaction committed');
+
+            if (newStatus === 'success') {
+              await recordPaymentSuccess(payment.id);
+            } else if (newStatus === 'failed' || newStatus === 'cancelled') {
+              await recordPaymentFailure(payment.id);
+            }
             
           } catch (updateError) {
             await t.rollback();
@@ -690,6 +878,35 @@ exports.manualSyncPayment = async (req, res) => {
       });
     }
 
+    if (payment.packagePurchaseId) {
+      const packageStatusResult = await phonepeService.checkPaymentStatus(payment.phonepeMerchantTransactionId);
+      if (!packageStatusResult.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Failed to get status from PhonePe',
+          error: packageStatusResult.error
+        });
+      }
+
+      const newStatus = await settlePackagePayment(payment, packageStatusResult.data.state, {
+        phonepeStatusResponse: packageStatusResult.data,
+        phonepeCallbackData: packageStatusResult.data,
+        failureReason: packageStatusResult.data.responseMessage
+      });
+
+      return res.json({
+        status: 'success',
+        message: 'Payment status synced successfully',
+        data: {
+          paymentId: payment.id,
+          oldPaymentStatus: payment.status,
+          newPaymentStatus: newStatus,
+          phonepeStatus: packageStatusResult.data.state,
+          packagePurchaseId: payment.packagePurchaseId
+        }
+      });
+    }
+
     console.log(`📋 Current payment status: ${payment.status}`);
     console.log(`📋 Current appointment status: ${payment.appointment.status}`);
     console.log(`📋 Current appointment payment status: ${payment.appointment.paymentStatus}`);
@@ -735,8 +952,12 @@ exports.manualSyncPayment = async (req, res) => {
           phonepeCallbackData: statusData
         }, { transaction: t });
 
+        const holdResult = newStatus === 'success'
+          ? await slotHoldService.convertHold(payment.appointment.id, { transaction: t })
+          : { success: true };
+
         // Update appointment
-        if (newStatus === 'success' && payment.appointment.status === 'pending') {
+        if (newStatus === 'success' && payment.appointment.status === 'pending' && holdResult.success) {
           await payment.appointment.update({
             status: 'confirmed',
             paymentStatus: 'success',
@@ -751,10 +972,20 @@ exports.manualSyncPayment = async (req, res) => {
             paymentStatus: appointmentPaymentStatus
           }, { transaction: t });
         }
+
+        if (newStatus === 'failed' || newStatus === 'cancelled') {
+          await slotHoldService.releaseAppointmentHold(payment.appointment.id, `payment_${newStatus}`, { transaction: t });
+        }
         
         await t.commit();
         console.log('✅ Manual sync transaction committed');
 
+        if (newStatus === 'success') {
+          await recordPaymentSuccess(payment.id);
+        } else if (newStatus === 'failed' || newStatus === 'cancelled') {
+          await recordPaymentFailure(payment.id);
+        }
+
         return res.json({
           status: 'success',
           message: 'Payment status synced successfully',
@@ -851,7 +1082,13 @@ exports.checkPaymentStatus = async (req, res) => {
         }
 
         // Update database with latest status from PhonePe
-        if (newStatus !== payment.status) {
+        if (payment.packagePurchaseId) {
+          await settlePackagePayment(payment, statusData.state, {
+            phonepeStatusResponse: statusData,
+            failureReason: statusData.responseMessage
+          });
+          await payment.reload();
+        } else if (newStatus !== payment.status) {
           console.log(`🔄 Updating payment ${payment.id} status from ${payment.status} to ${newStatus}`);
           await payment.update({
             status: newStatus,
@@ -863,10 +1100,21 @@ exports.checkPaymentStatus = async (req, res) => {
 
           // Update appointment status if payment is successful
           if (newStatus === 'success' && payment.appointment.status === 'pending') {
-            await payment.appointment.update({
-              status: 'confirmed',
-              confirmedAt: new Date()
-            });
+            const holdResult = await slotHoldService.convertHold(payment.appointment.id);
+            if (holdResult.success) {
+              await payment.appointment.update({
+                status: 'confirmed',
+                confirmedAt: new Date()
+              });
+            }
+          } else if (newStatus === 'failed' || newStatus === 'cancelled') {
+            await slotHoldService.releaseAppointmentHold(payment.appointment.id, `payment_${newStatus}`);
+          }
+
+          if (newStatus === 'success') {
+            await recordPaymentSuccess(payment.id);
+          } else if (newStatus === 'failed' || newStatus === 'cancelled') {
+            await recordPaymentFailure(payment.id);
           }
         }
       } else {
@@ -888,7 +1136,8 @@ exports.checkPaymentStatus = async (req, res) => {
         paymentMethod: payment.paymentMethod,
         initiatedAt: payment.initiatedAt,
         completedAt: payment.completedAt,
-        appointment: payment.appointment
+        appointment: payment.appointment,
+        packagePurchaseId: payment.packagePurchaseId
       }
     });
 
@@ -1346,6 +1595,17 @@ exports.initiateSDKPayment = async (req, res) => {
       });
     }
 
+    const holdResult = await slotHoldService.reserveForPayment(appointmentId);
+    if (!holdResult.success) {
+      return res.status(409).json({
+        status: 'error',
+        code: 409,
+        message: holdResult.message,
+        reason: holdResult.code
+      });
+    }
+    const slotHold = holdResult.hold;
+
     // Get virtual appointment price from services prices table
     const virtualAppointmentPrice = await Price.findOne({
       where: { serviceName: 'Virtual Appointment', isActive: true }
@@ -1363,88 +1623,25 @@ exports.initiateSDKPayment = async (req, res) => {
     let discountAmount = 0;
     let finalAmount = originalAmount;
     let redeemCodeData = null;
-    let redeemCodeUsage = null;
-
-    // Process redeem code if provided
-    if (redeemCode) {
-      const redeemCodeRecord = await RedeemCode.findOne({
-        where: { 
-          code: redeemCode.toUpperCase(),
-          applicableFor: { [Op.in]: ['all', 'virtual_appointment'] }
-        }
-      });
 
-      if (!redeemCodeRecord) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: 'Invalid redeem code'
-        });
-      }
-
-      // Validate redeem code
-      if (!redeemCodeRecord.isValid()) {
-        let reason = 'Redeem code is not valid';
-        
-        if (!redeemCodeRecord.isActive) reason = 'Redeem code is inactive';
-        else if (redeemCodeRecord.validFrom && new Date() < redeemCodeRecord.validFrom) reason = 'Redeem code is not yet active';
-        else if (redeemCodeRecord.validUntil && new Date() > redeemCodeRecord.validUntil) reason = 'Redeem code has expired';
-        else if (redeemCodeRecord.usageLimit && redeemCodeRecord.usageCount >= redeemCodeRecord.usageLimit) reason = 'Redeem code usage limit exceeded';
-
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: reason
-        });
-      }
-
-      // Check user usage limit
-      if (redeemCodeRecord.userUsageLimit) {
-        const userUsageCount = await RedeemCodeUsage.count({
-          where: {
-            userId: appointment.userId,
-            redeemCodeId: redeemCodeRecord.id
-          }
-        });
-
-        if (userUsageCount >= redeemCodeRecord.userUsageLimit) {
-          return res.status(400).json({
-            status: 'error',
-            code: 400,
-            message: 'You have already used this redeem code maximum number of times'
-          });
-        }
-      }
-
-      // Check minimum order amount
-      if (redeemCodeRecord.minOrderAmount && originalAmount < redeemCodeRecord.minOrderAmount) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: `Minimum order amount is ₹${redeemCodeRecord.minOrderAmount} to use this redeem code`
-        });
-      }
-
-      // Calculate discount
-      discountAmount = redeemCodeRecord.calculateDiscount(originalAmount);
-      finalAmount = originalAmount - discountAmount;
-      redeemCodeData = redeemCodeRecord;
-
-      // Create redeem code usage record
-      redeemCodeUsage = await RedeemCodeUsage.create({
-        userId: appointment.userId,
-        redeemCodeId: redeemCodeRecord.id,
-        appointmentId,
-        originalAmount,
-        discountAmount,
-        finalAmount,
-        status: 'applied',
-        usedAt: new Date()
+    // The code the patient typed and any campaign applied without a code; usage is recorded with the payment
+    const offer = await redeemCodeService.priceWithOffers({
+      userId: appointment.userId,
+      appointment,
+      amount: originalAmount,
+      code: redeemCode || null
+    });
+    if (!offer.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: offer.message,
+        reason: offer.code
       });
-
-      // Update redeem code usage count
-      await redeemCodeRecord.increment('usageCount');
     }
+    discountAmount = offer.discountAmount;
+    finalAmount = offer.finalAmount;
+    redeemCodeData = offer.discounts.length > 0 ? offer.discounts[0].redeemCode : null;
 
     // Generate merchant transaction ID
     const merchantTransactionId = phonepeService.generateMerchantTransactionId(appointment.userId, appointmentId);
@@ -1467,9 +1664,25 @@ exports.initiateSDKPayment = async (req, res) => {
       // integrationType: 'SDK'
     });
 
-    // Link redeem code usage to payment if applicable
-    if (redeemCodeUsage) {
-      await redeemCodeUsage.update({ paymentId: payment.id });
+    // Record the discounts against the payment; a single-use code taken meanwhile fails it
+    const usageResult = await redeemCodeService.recordUsages(offer, { userId: appointment.userId, appointmentId, paymentId: payment.id });
+    if (!usageResult.success) {
+      await payment.update({
+        status: 'failed',
+        failureReason: usageResult.message,
+        failedAt: new Date()
+      });
+
+      return res.status(409).json({
+        status: 'error',
+        code: 409,
+        message: usageResult.message,
+        reason: usageResult.code
+      });
+    }
+
+    if (slotHold) {
+      await slotHold.update({ paymentId: payment.id });
     }
 
     // Generate SDK token using PhonePe API
@@ -1489,6 +1702,7 @@ exports.initiateSDKPayment = async (req, res) => {
         failureReason: sdkTokenResult.error,
         failedAt: new Date()
       });
+      await recordPaymentFailure(payment.id);
 
       return res.status(400).json({
         status: 'error',
@@ -1526,7 +1740,8 @@ exports.initiateSDKPayment = async (req, res) => {
           name: redeemCodeData.name,
           discountType: redeemCodeData.discountType,
           discountValue: redeemCodeData.discountValue
-        } : null
+        } : null,
+        appliedOffers: redeemCodeService.summarize(offer)
       }
     });
 
@@ -1696,82 +1911,25 @@ exports.completePayment = async (req, res) => {
     let discountAmount = 0;
     let finalAmount = originalAmount;
     let redeemCodeData = null;
-    let redeemCodeUsage = null;
-
-    // Process redeem code if provided (same logic as initiatePayment)
-    if (redeemCode) {
-      const redeemCodeRecord = await RedeemCode.findOne({
-        where: { 
-          code: redeemCode.toUpperCase(),
-          applicableFor: { [Op.in]: ['all', 'virtual_appointment'] }
-        }
-      });
-
-      if (!redeemCodeRecord) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: 'Invalid redeem code'
-        });
-      }
 
-      if (!redeemCodeRecord.isValid()) {
-        let reason = 'Redeem code is not valid';
-        
-        if (!redeemCodeRecord.isActive) reason = 'Redeem code is inactive';
-        else if (redeemCodeRecord.validFrom && new Date() < redeemCodeRecord.validFrom) reason = 'Redeem code is not yet active';
-        else if (redeemCodeRecord.validUntil && new Date() > redeemCodeRecord.validUntil) reason = 'Redeem code has expired';
-        else if (redeemCodeRecord.usageLimit && redeemCodeRecord.usageCount >= redeemCodeRecord.usageLimit) reason = 'Redeem code usage limit exceeded';
-
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: reason
-        });
-      }
-
-      if (redeemCodeRecord.userUsageLimit) {
-        const userUsageCount = await RedeemCodeUsage.count({
-          where: {
-            userId,
-            redeemCodeId: redeemCodeRecord.id
-          }
-        });
-
-        if (userUsageCount >= redeemCodeRecord.userUsageLimit) {
-          return res.status(400).json({
-            status: 'error',
-            code: 400,
-            message: 'You have already used this redeem code maximum number of times'
-          });
-        }
-      }
-
-      if (redeemCodeRecord.minOrderAmount && originalAmount < redeemCodeRecord.minOrderAmount) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: `Minimum order amount is ₹${redeemCodeRecord.minOrderAmount} to use this redeem code`
-        });
-      }
-
-      discountAmount = redeemCodeRecord.calculateDiscount(originalAmount);
-      finalAmount = originalAmount - discountAmount;
-      redeemCodeData = redeemCodeRecord;
-
-      redeemCodeUsage = await RedeemCodeUsage.create({
-        userId,
-        redeemCodeId: redeemCodeRecord.id,
-        appointmentId,
-        originalAmount,
-        discountAmount,
-        finalAmount,
-        status: 'applied',
-        usedAt: new Date()
+    // The code the patient typed and any campaign applied without a code; usage is recorded with the payment
+    const offer = await redeemCodeService.priceWithOffers({
+      userId: userId,
+      appointment,
+      amount: originalAmount,
+      code: redeemCode || null
+    });
+    if (!offer.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: offer.message,
+        reason: offer.code
       });
-
-      await redeemCodeRecord.increment('usageCount');
     }
+    discountAmount = offer.discountAmount;
+    finalAmount = offer.finalAmount;
+    redeemCodeData = offer.discounts.length > 0 ? offer.discounts[0].redeemCode : null;
 
     const amount = finalAmount;
 
@@ -1795,6 +1953,23 @@ exports.completePayment = async (req, res) => {
       }
     });
 
+    // Record the discounts against the payment; a single-use code taken meanwhile fails it
+    const usageResult = await redeemCodeService.recordUsages(offer, { userId, appointmentId, paymentId: payment.id });
+    if (!usageResult.success) {
+      await payment.update({
+        status: 'failed',
+        failureReason: usageResult.message,
+        failedAt: new Date()
+      });
+
+      return res.status(409).json({
+        status: 'error',
+        code: 409,
+        message: usageResult.message,
+        reason: usageResult.code
+      });
+    }
+
     // Initiate payment with PhonePe
     const paymentResult = await phonepeService.initiatePayment({
       merchantTransactionId,
@@ -1811,6 +1986,7 @@ exports.completePayment = async (req, res) => {
         failureReason: paymentResult.error,
         failedAt: new Date()
       });
+      await recordPaymentFailure(payment.id);
 
       return res.status(400).json({
         status: 'error',
@@ -1828,11 +2004,6 @@ exports.completePayment = async (req, res) => {
       phonepeResponse: paymentResult.data
     });
 
-    // Link redeem code usage to payment if applicable
-    if (redeemCodeUsage) {
-      await redeemCodeUsage.update({ paymentId: payment.id });
-    }
-
     res.json({
       status: 'success',
       code: 200,
@@ -1852,7 +2023,8 @@ exports.completePayment = async (req, res) => {
           name: redeemCodeData.name,
           discountType: redeemCodeData.discountType,
           discountValue: redeemCodeData.discountValue
-        } : null
+        } : null,
+        appliedOffers: redeemCodeService.summarize(offer)
       }
     });
 
@@ -1865,4 +2037,166 @@ exports.completePayment = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Admin: Refund a payment, fully or partially
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { amount, reason, destination = 'original' } = req.body;
+
+    const payment = await Payment.findByPk(paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Payment not found'
+      });
+    }
+
+    if (amount !== undefined && amount !== null && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'amount must be a positive number'
+      });
+    }
+
+    if (!['original', 'wallet'].includes(destination)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'destination must be original or wallet'
+      });
+    }
+
+    const result = await refundService.issueRefund(payment, {
+      amount: amount !== undefined && amount !== null ? parseFloat(amount) : undefined,
+      reason: reason || 'Refund issued by admin',
+      initiatedBy: 'admin',
+      initiatedByUserId: req.user.id,
+      destination
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'REFUND_FAILED' ? 502 : 400).json({
+        status: 'error',
+        code: result.code === 'REFUND_FAILED' ? 502 : 400,
+        message: result.message,
+        reason: result.code,
+        data: result.refund || null
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: result.refund.status === 'completed' ? 'Refund completed' : 'Refund initiated',
+      data: result.refund,
+      walletRefund: result.walletRefund || null
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Admin: List refunds
+ */
+exports.getRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, paymentId, appointmentId, userId } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (status) where.status = status;
+    if (paymentId) where.paymentId = paymentId;
+    if (appointmentId) where.appointmentId = appointmentId;
+    if (userId) where.userId = userId;
+
+    const { count, rows: refunds } = await Refund.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name', 'phone'] },
+        { model: Payment, as: 'payment', attributes: ['id', 'amount', 'status', 'refundAmount', 'phonepeMerchantTransactionId'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Refunds retrieved successfully',
+      data: refunds,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Admin: Check the latest status of a refund with PhonePe
+ */
+exports.syncRefundStatus = async (req, res) => {
+  try {
+    const refund = await Refund.findByPk(req.params.refundId);
+    if (!refund) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Refund not found'
+      });
+    }
+
+    const result = await refundService.syncRefundStatus(refund);
+    if (!result.success) {
+      return res.status(502).json({
+        status: 'error',
+        code: 502,
+        message: 'Could not get refund status from PhonePe',
+        error: result.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Refund status synced successfully',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Sync refund status error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,443 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const { User, Doctor, VirtualDoctor } = require('../models');
+const DoctorLedgerEntry = require('../models/doctorLedgerEntry.model');
+const DoctorPayout = require('../models/doctorPayout.model');
+const payoutService = require('../services/payout.service');
+const { sendUserNotification } = require('../services/firebase.services');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const doctorInclude = [
+  {
+    model: Doctor,
+    as: 'doctor',
+    attributes: ['id', 'userId', 'clinicName'],
+    include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+  },
+  {
+    model: VirtualDoctor,
+    as: 'virtualDoctor',
+    attributes: ['id', 'userId'],
+    include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+  }
+];
+
+/**
+ * Doctor or virtual doctor given by doctorId or virtualDoctorId
+ * @returns {Promise<Object>} { payee, profile } or { error }
+ */
+const findPayee = async ({ doctorId, virtualDoctorId }) => {
+  if (Boolean(doctorId) === Boolean(virtualDoctorId)) {
+    return { error: 'Provide either doctorId or virtualDoctorId' };
+  }
+  const profile = doctorId ? await Doctor.findByPk(doctorId) : await VirtualDoctor.findByPk(virtualDoctorId);
+  if (!profile) {
+    return { error: doctorId ? 'Doctor not found' : 'Virtual doctor not found' };
+  }
+  return {
+    payee: doctorId ? { doctorId: profile.id } : { virtualDoctorId: profile.id },
+    profile
+  };
+};
+
+/**
+ * The payee a request is about: the requesting doctor or virtual doctor, or
+ * for admins the doctorId or virtualDoctorId in the query
+ * @returns {Promise<Object>} { payee } or { status, error }
+ */
+const requestPayee = async (req) => {
+  if (req.user.role === 'admin') {
+    const result = await findPayee(req.query);
+    return result.error ? { status: 400, error: result.error } : { payee: result.payee };
+  }
+
+  if (req.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+    return doctor
+      ? { payee: { doctorId: doctor.id } }
+      : { status: 404, error: 'Doctor profile not found or not associated with user' };
+  }
+
+  const virtualDoctor = await VirtualDoctor.findOne({ where: { userId: req.user.id } });
+  return virtualDoctor
+    ? { payee: { virtualDoctorId: virtualDoctor.id } }
+    : { status: 404, error: 'Virtual doctor profile not found or not associated with user' };
+};
+
+const sendError = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    status: 'error',
+    code: status,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Doctor: earnings summary for the doctor app
+ */
+exports.getEarningsSummary = async (req, res) => {
+  try {
+    const { payee, status, error } = await requestPayee(req);
+    if (error) return sendError(res, status, error);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Earnings retrieved successfully',
+      data: await payoutService.getEarningsSummary(payee)
+    });
+  } catch (error) {
+    console.error('Get Earnings Summary Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Doctor: ledger entries, newest first
+ */
+exports.getLedger = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, from, to, unsettled } = req.query;
+
+    const { payee, status, error } = await requestPayee(req);
+    if (error) return sendError(res, status, error);
+
+    const offset = (page - 1) * limit;
+    const where = payoutService.payeeWhere(payee);
+    if (type) where.type = type;
+    if (unsettled === 'true') where.payoutId = null;
+    if (from || to) {
+      where.occurredAt = {};
+      if (from) where.occurredAt[Op.gte] = DateTime.fromISO(from, { zone: TIMEZONE }).startOf('day').toJSDate();
+      if (to) where.occurredAt[Op.lte] = DateTime.fromISO(to, { zone: TIMEZONE }).endOf('day').toJSDate();
+    }
+
+    const { count, rows: entries } = await DoctorLedgerEntry.findAndCountAll({
+      where,
+      order: [['occurredAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Ledger entries retrieved successfully',
+      data: entries,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Doctor Ledger Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: credit or deduct an amount outside of payments and refunds
+ */
+exports.addAdjustment = async (req, res) => {
+  try {
+    const { amount, description } = req.body;
+
+    const { payee, error } = await findPayee(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const value = parseFloat(amount);
+    if (isNaN(value) || value === 0) {
+      return sendError(res, 400, 'amount must be a non-zero number; negative amounts are deductions');
+    }
+    if (!description || !String(description).trim()) {
+      return sendError(res, 400, 'description is required');
+    }
+
+    const entry = await payoutService.addAdjustment(payee, {
+      amount: value,
+      description: String(description).trim(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Adjustment recorded successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Add Ledger Adjustment Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: set or clear the commission rate of a doctor
+ */
+exports.setCommissionRate = async (req, res) => {
+  try {
+    const { commissionRate } = req.body;
+
+    const { profile, error } = await findPayee(req.body);
+    if (error) return sendError(res, 400, error);
+
+    let rate = null;
+    if (commissionRate !== null && commissionRate !== undefined) {
+      rate = parseFloat(commissionRate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        return sendError(res, 400, 'Commission rate must be a percentage from 0 to 100, or null to use the rate of the service');
+      }
+    }
+
+    await profile.update({ commissionRate: rate });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Commission rate updated successfully',
+      data: {
+        doctorId: req.body.doctorId ? profile.id : null,
+        virtualDoctorId: req.body.virtualDoctorId ? profile.id : null,
+        commissionRate: rate,
+        appliesTo: 'Payments recorded from now on'
+      }
+    });
+  } catch (error) {
+    console.error('Set Commission Rate Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: create payout statements of the unsettled entries up to a date
+ */
+exports.generatePayouts = async (req, res) => {
+  try {
+    const { periodEnd, doctorId, virtualDoctorId } = req.body;
+
+    const end = periodEnd ? DateTime.fromISO(periodEnd, { zone: TIMEZONE }) : null;
+    if (!end || !end.isValid) {
+      return sendError(res, 400, 'periodEnd must be a date (YYYY-MM-DD)');
+    }
+    if (end.startOf('day') > DateTime.now().setZone(TIMEZONE)) {
+      return sendError(res, 400, 'periodEnd cannot be in the future');
+    }
+
+    let payee = null;
+    if (doctorId || virtualDoctorId) {
+      const result = await findPayee(req.body);
+      if (result.error) return sendError(res, 400, result.error);
+      payee = result.payee;
+    }
+
+    const { payouts, skipped } = await payoutService.generatePayouts({
+      periodEnd: end.endOf('day').toJSDate(),
+      payee,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: `${payouts.length} payout statement(s) created`,
+      data: {
+        payouts,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Generate Payouts Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Doctors get their own payout statements, admins everyone's
+ */
+exports.getPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const offset = (page - 1) * limit;
+    let where = {};
+    if (req.user.role !== 'admin' || req.query.doctorId || req.query.virtualDoctorId) {
+      const result = await requestPayee(req);
+      if (result.error) return sendError(res, result.status, result.error);
+      where = payoutService.payeeWhere(result.payee);
+    }
+    if (status) where.status = status;
+
+    const { count, rows: payouts } = await DoctorPayout.findAndCountAll({
+      where,
+      include: doctorInclude,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Payouts retrieved successfully',
+      data: payouts,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Payouts Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+const findPayout = (id) => {
+  return DoctorPayout.findByPk(id, {
+    include: [
+      ...doctorInclude,
+      { model: DoctorLedgerEntry, as: 'entries' }
+    ],
+    order: [[{ model: DoctorLedgerEntry, as: 'entries' }, 'occurredAt', 'ASC']]
+  });
+};
+
+/**
+ * A payout statement with its ledger entries
+ */
+exports.getPayoutById = async (req, res) => {
+  try {
+    const payout = await findPayout(req.params.id);
+    if (!payout) return sendError(res, 404, 'Payout not found');
+
+    if (req.user.role !== 'admin') {
+      const { payee, status, error } = await requestPayee(req);
+      if (error) return sendError(res, status, error);
+      const own = payee.doctorId ? payout.doctorId === payee.doctorId : payout.virtualDoctorId === payee.virtualDoctorId;
+      if (!own) return sendError(res, 403, 'You are not authorized to view this payout');
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Payout retrieved successfully',
+      data: payout
+    });
+  } catch (error) {
+    console.error('Get Payout Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: mark a payout as transferred to the doctor
+ */
+exports.settlePayout = async (req, res) => {
+  try {
+    const payout = await findPayout(req.params.id);
+    if (!payout) return sendError(res, 404, 'Payout not found');
+
+    const result = await payoutService.settlePayout(payout, {
+      reference: req.body.reference,
+      notes: req.body.notes,
+      settledBy: req.user.id
+    });
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    const profile = payout.doctor || payout.virtualDoctor;
+    if (profile) {
+      await sendUserNotification(
+        profile.userId,
+        'Payout Settled',
+        `Your payout of ₹${payout.amount} has been transferred${req.body.reference ? ` (ref. ${req.body.reference})` : ''}`,
+        {
+          type: 'other',
+          category: 'payments',
+          relatedId: payout.id,
+          data: {
+            payoutId: payout.id.toString(),
+            type: 'payout_settled'
+          }
+        }
+      );
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Payout settled successfully',
+      data: await findPayout(payout.id)
+    });
+  } catch (error) {
+    console.error('Settle Payout Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: withdraw a pending payout so its entries can be paid in another one
+ */
+exports.cancelPayout = async (req, res) => {
+  try {
+    const payout = await DoctorPayout.findByPk(req.params.id);
+    if (!payout) return sendError(res, 404, 'Payout not found');
+
+    const result = await payoutService.cancelPayout(payout, req.body.notes);
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Payout canceled successfully',
+      data: await DoctorPayout.findByPk(payout.id)
+    });
+  } catch (error) {
+    console.error('Cancel Payout Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
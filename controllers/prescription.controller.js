@@ -0,0 +1,331 @@
+const { Op } = require('sequelize');
+const { Appointment, User, Doctor } = require('../models');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const Patient = require('../models/patient.model');
+const Prescription = require('../models/prescription.model');
+const prescriptionService = require('../services/prescription.service');
+const { writePrescriptionPdf } = require('../services/prescriptionPdf.service');
+const { sendUserNotification } = require('../services/firebase.services');
+
+const loadAppointment = (id) => {
+  return Appointment.findByPk(id, {
+    include: [
+      { model: Doctor, as: 'doctor', include: [{ model: User, as: 'User' }] },
+      { model: User, as: 'patient' }
+    ]
+  });
+};
+
+/**
+ * Patients see their own prescriptions, the treating doctor those they can write and admins all
+ */
+const canView = async (req, appointment) => {
+  if (req.user.role === 'admin' || req.user.id === appointment.userId) return true;
+  return Boolean(await prescriptionService.resolveAuthor(req.user, appointment));
+};
+
+/**
+ * Name and registration details printed for the doctor who signed a prescription
+ */
+const prescriberDetails = async (prescription) => {
+  if (prescription.doctorId) {
+    const doctor = await Doctor.findByPk(prescription.doctorId, { include: [{ model: User, as: 'User' }] });
+    if (doctor) {
+      return {
+        name: doctor.User ? doctor.User.name : '',
+        degree: doctor.degree,
+        registrationNumber: doctor.registrationNumber,
+        clinicName: doctor.clinicName,
+        address: [doctor.address, doctor.city].filter(Boolean).join(', '),
+        phone: doctor.clinicContactNumber
+      };
+    }
+  }
+
+  if (prescription.virtualDoctorId) {
+    const virtualDoctor = await VirtualDoctor.findByPk(prescription.virtualDoctorId, { include: [{ model: User, as: 'User' }] });
+    if (virtualDoctor) {
+      return {
+        name: virtualDoctor.User ? virtualDoctor.User.name : '',
+        degree: virtualDoctor.degree,
+        registrationNumber: virtualDoctor.registrationNumber,
+        clinicName: virtualDoctor.clinicName || 'Online consultation',
+        address: [virtualDoctor.address, virtualDoctor.city].filter(Boolean).join(', '),
+        phone: virtualDoctor.clinicContactNumber
+      };
+    }
+  }
+
+  const author = await User.findByPk(prescription.authorUserId);
+  return { name: author ? author.name : '' };
+};
+
+const notFound = (res, message) => {
+  return res.status(404).json({
+    status: 'error',
+    code: 404,
+    message
+  });
+};
+
+/**
+ * Doctor: write or revise the prescription of an appointment
+ */
+exports.createPrescription = async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req.params.appointmentId);
+    if (!appointment) return notFound(res, 'Appointment not found');
+
+    const author = await prescriptionService.resolveAuthor(req.user, appointment);
+    if (!author) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'Only the treating doctor can write a prescription for this appointment'
+      });
+    }
+
+    const validation = prescriptionService.validatePrescription(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const result = await prescriptionService.issuePrescription(
+      appointment,
+      { userId: req.user.id, ...author },
+      validation.values
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    const { prescription } = result;
+    await sendUserNotification(
+      appointment.userId,
+      prescription.version > 1 ? 'Prescription Updated' : 'Prescription Ready',
+      prescription.version > 1
+        ? 'Your doctor has updated your prescription. Download the latest version from your appointment.'
+        : 'Your prescription is ready. You can download it from your appointment.',
+      {
+        type: 'appointment',
+        relatedId: appointment.id,
+        data: {
+          appointmentId: appointment.id.toString(),
+          prescriptionId: prescription.id.toString(),
+          type: 'prescription_issued',
+          appointmentType: appointment.type
+        }
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: prescription.version > 1 ? 'Prescription updated successfully' : 'Prescription created successfully',
+      data: prescription
+    });
+  } catch (error) {
+    console.error('Create Prescription Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Current prescription of an appointment and all of its versions
+ */
+exports.getAppointmentPrescriptions = async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req.params.appointmentId);
+    if (!appointment) return notFound(res, 'Appointment not found');
+
+    if (!await canView(req, appointment)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to view prescriptions of this appointment'
+      });
+    }
+
+    const versions = await Prescription.findAll({
+      where: { appointmentId: appointment.id },
+      include: [{ model: User, as: 'author', attributes: ['id', 'name'] }],
+      order: [['version', 'DESC']]
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Prescriptions retrieved successfully',
+      data: {
+        current: versions.find(version => version.status === 'issued') || null,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Get Appointment Prescriptions Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Download a prescription as a signed PDF
+ */
+exports.downloadPrescriptionPdf = async (req, res) => {
+  try {
+    const prescription = await Prescription.findByPk(req.params.id);
+    if (!prescription) return notFound(res, 'Prescription not found');
+
+    const appointment = await loadAppointment(prescription.appointmentId);
+    if (!appointment) return notFound(res, 'Appointment not found');
+
+    if (!await canView(req, appointment)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to download this prescription'
+      });
+    }
+
+    const [patientProfile, prescriber] = await Promise.all([
+      Patient.findOne({ where: { userId: prescription.userId } }),
+      prescriberDetails(prescription)
+    ]);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="prescription-${appointment.id}-v${prescription.version}.pdf"`
+    );
+
+    writePrescriptionPdf(res, {
+      prescription,
+      appointment,
+      prescriber,
+      patient: {
+        name: appointment.patient ? appointment.patient.name : '',
+        gender: appointment.patient ? appointment.patient.gender : null,
+        dateOfBirth: patientProfile ? patientProfile.dateOfBirth : null
+      }
+    });
+  } catch (error) {
+    console.error('Download Prescription PDF Error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Earlier prescriptions of a patient, for a doctor who is treating them
+ */
+exports.getPatientPrescriptionHistory = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { excludeAppointmentId, limit = 20 } = req.query;
+
+    let allowed = req.user.role === 'admin' || req.user.id === userId;
+
+    if (!allowed && req.user.role === 'doctor') {
+      const doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+      allowed = Boolean(doctor) && await Appointment.count({
+        where: { userId, doctorId: doctor.id, status: { [Op.in]: prescriptionService.PRESCRIBABLE_STATUSES } }
+      }) > 0;
+    }
+
+    if (!allowed && req.user.role === 'virtual-doctor') {
+      allowed = await Appointment.count({
+        where: { userId, type: 'virtual', status: { [Op.in]: prescriptionService.PRESCRIBABLE_STATUSES } }
+      }) > 0;
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'Only doctors treating this patient can view their prescription history'
+      });
+    }
+
+    const prescriptions = await prescriptionService.getPatientHistory(userId, {
+      excludeAppointmentId,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Prescription history retrieved successfully',
+      data: prescriptions
+    });
+  } catch (error) {
+    console.error('Get Prescription History Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Public: check the verification code printed on a prescription
+ */
+exports.verifyPrescription = async (req, res) => {
+  try {
+    const prescription = await Prescription.findOne({
+      where: { signatureCode: String(req.params.code || '').toUpperCase() },
+      include: [{ model: User, as: 'patient', attributes: ['name'] }]
+    });
+
+    if (!prescription) return notFound(res, 'No prescription matches this verification code');
+
+    const prescriber = await prescriberDetails(prescription);
+    const patientName = prescription.patient ? prescription.patient.name || '' : '';
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Prescription found',
+      data: {
+        authentic: prescriptionService.verifySignature(prescription),
+        status: prescription.status,
+        version: prescription.version,
+        signedAt: prescription.signedAt,
+        doctorName: prescriber.name,
+        registrationNumber: prescriber.registrationNumber || null,
+        // Only initials, the code alone should not reveal who the patient is
+        patientInitials: patientName.split(/\s+/).filter(Boolean).map(part => part[0].toUpperCase()).join(''),
+        medicines: prescription.medicines
+      }
+    });
+  } catch (error) {
+    console.error('Verify Prescription Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
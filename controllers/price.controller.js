@@ -7,6 +7,46 @@ const PREDEFINED_SERVICES = [
  "Virtual Appointment"
 ];
 
+/**
+ * Optional GST and commission fields of a price. Returns the fields to update or an error message.
+ */
+const parseBillingFields = ({ gstRate, sacCode, commissionRate }) => {
+  const fields = {};
+
+  if (gstRate !== undefined) {
+    if (gstRate === null) {
+      fields.gstRate = null;
+    } else {
+      const rate = parseFloat(gstRate);
+      if (isNaN(rate) || rate < 0 || rate > 28) {
+        return { error: 'GST rate must be a percentage from 0 to 28' };
+      }
+      fields.gstRate = rate;
+    }
+  }
+
+  if (sacCode !== undefined) {
+    if (sacCode !== null && !/^\d{4,8}$/.test(String(sacCode))) {
+      return { error: 'SAC code must be 4 to 8 digits' };
+    }
+    fields.sacCode = sacCode === null ? null : String(sacCode);
+  }
+
+  if (commissionRate !== undefined) {
+    if (commissionRate === null) {
+      fields.commissionRate = null;
+    } else {
+      const rate = parseFloat(commissionRate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        return { error: 'Commission rate must be a percentage from 0 to 100' };
+      }
+      fields.commissionRate = rate;
+    }
+  }
+
+  return { fields };
+};
+
 // Initialize predefined services (run this once to setup services)
 exports.initializeServices = async (req, res) => {
   try {
@@ -150,6 +190,16 @@ exports.addOrUpdatePrice = async (req, res) => {
       });
     }
 
+    const billing = parseBillingFields(req.body);
+    if (billing.error) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: billing.error,
+        data: null
+      });
+    }
+
     // Check if service exists in predefined list
     if (!PREDEFINED_SERVICES.includes(serviceName)) {
       return res.status(400).json({
@@ -166,7 +216,8 @@ exports.addOrUpdatePrice = async (req, res) => {
       defaults: {
         serviceName,
         price: parseFloat(price),
-        isActive: true
+        isActive: true,
+        ...billing.fields
       }
     });
 
@@ -174,7 +225,8 @@ exports.addOrUpdatePrice = async (req, res) => {
     if (!created) {
       await service.update({ 
         price: parseFloat(price),
-        isActive: true 
+        isActive: true,
+        ...billing.fields
       });
     }
 
@@ -218,6 +270,16 @@ exports.editPrice = async (req, res) => {
       });
     }
 
+    const billing = parseBillingFields(req.body);
+    if (billing.error) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: billing.error,
+        data: null
+      });
+    }
+
     const service = await Price.findByPk(id);
 
     if (!service) {
@@ -231,7 +293,8 @@ exports.editPrice = async (req, res) => {
 
     await service.update({ 
       price: parseFloat(price),
-      isActive: true 
+      isActive: true,
+      ...billing.fields
     });
 
     res.json({
@@ -1,7 +1,29 @@
 const RedeemCode = require('../models/redeemCode.model');
 const RedeemCodeUsage = require('../models/redeemCodeUsage.model');
 const User = require('../models/user.model');
+const Appointment = require('../models/appoinment.model');
+const Price = require('../models/price.model');
+const redeemCodeService = require('../services/redeemCode.service');
 const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const BATCH_EXPORT_COLUMNS = [
+  ['Code', redeemCode => redeemCode.code],
+  ['Name', redeemCode => redeemCode.name],
+  ['Discount type', redeemCode => redeemCode.discountType],
+  ['Discount value', redeemCode => redeemCode.discountValue],
+  ['Valid from', redeemCode => redeemCode.validFrom ? DateTime.fromJSDate(new Date(redeemCode.validFrom)).setZone(TIMEZONE).toISODate() : ''],
+  ['Valid until', redeemCode => redeemCode.validUntil ? DateTime.fromJSDate(new Date(redeemCode.validUntil)).setZone(TIMEZONE).toISODate() : ''],
+  ['Used', redeemCode => redeemCode.usageCount > 0 ? 'yes' : 'no'],
+  ['Active', redeemCode => redeemCode.isActive ? 'yes' : 'no']
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
 /**
  * Admin: Create new redeem code
@@ -60,6 +82,16 @@ exports.createRedeemCode = async (req, res) => {
       });
     }
 
+    const rules = redeemCodeService.validateRules(req.body);
+    if (!rules.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid redeem code rules',
+        errors: rules.errors
+      });
+    }
+
     // Check if code already exists
     const existingCode = await RedeemCode.findOne({
       where: { code: code.toUpperCase() }
@@ -88,6 +120,7 @@ exports.createRedeemCode = async (req, res) => {
       validUntil,
       isActive: isActive !== undefined ? isActive : true,
       applicableFor: applicableFor || 'virtual_appointment',
+      ...rules.values,
       createdBy: adminId
     });
 
@@ -119,7 +152,12 @@ exports.getAllRedeemCodes = async (req, res) => {
       limit = 10,
       isActive,
       discountType,
-      search
+      search,
+      autoApply,
+      batchId,
+      includeBatchCodes,
+      purpose = 'promotion',
+      ownerId
     } = req.query;
 
     const offset = (page - 1) * limit;
@@ -133,6 +171,26 @@ exports.getAllRedeemCodes = async (req, res) => {
       where.discountType = discountType;
     }
 
+    if (autoApply !== undefined) {
+      where.autoApply = autoApply === 'true';
+    }
+
+    // Personal referral codes and their rewards are listed only when asked for
+    if (purpose !== 'all') {
+      where.purpose = purpose;
+    }
+
+    if (ownerId) {
+      where.ownerId = parseInt(ownerId);
+    }
+
+    // Generated campaign codes are listed per batch so they do not crowd out the rest
+    if (batchId) {
+      where.batchId = batchId;
+    } else if (includeBatchCodes !== 'true') {
+      where.batchId = null;
+    }
+
     if (search) {
       where[Op.or] = [
         { code: { [Op.like]: `%${search}%` } },
@@ -252,7 +310,23 @@ exports.updateRedeemCode = async (req, res) => {
       }
     }
 
-    await redeemCode.update(updates);
+    const rules = redeemCodeService.validateRules(updates);
+    if (!rules.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid redeem code rules',
+        errors: rules.errors
+      });
+    }
+
+    // Batch membership, usage and referral ownership are managed by the system
+    delete updates.batchId;
+    delete updates.usageCount;
+    delete updates.purpose;
+    delete updates.ownerId;
+
+    await redeemCode.update({ ...updates, ...rules.values });
 
     res.json({
       status: 'success',
@@ -327,7 +401,7 @@ exports.deleteRedeemCode = async (req, res) => {
 exports.validateRedeemCode = async (req, res) => {
   try {
     const { code } = req.params;
-    const { amount } = req.query;
+    const { amount, appointmentId } = req.query;
     const userId = req.user.id;
 
     if (!code) {
@@ -350,40 +424,29 @@ exports.validateRedeemCode = async (req, res) => {
       });
     }
 
-    // Check if code is valid
-    if (!redeemCode.isValid()) {
-      let reason = 'Redeem code is not valid';
-      
-      if (!redeemCode.isActive) reason = 'Redeem code is inactive';
-      else if (redeemCode.validFrom && new Date() < redeemCode.validFrom) reason = 'Redeem code is not yet active';
-      else if (redeemCode.validUntil && new Date() > redeemCode.validUntil) reason = 'Redeem code has expired';
-      else if (redeemCode.usageLimit && redeemCode.usageCount >= redeemCode.usageLimit) reason = 'Redeem code usage limit exceeded';
+    // Doctor, city, day and time rules are only checked against an appointment
+    let appointment = null;
+    if (appointmentId) {
+      appointment = await Appointment.findOne({ where: { id: appointmentId, userId } });
+      if (!appointment) {
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: 'Appointment not found'
+        });
+      }
+    }
 
+    const check = await redeemCodeService.checkCode(redeemCode, { userId, appointment });
+    if (!check.success) {
       return res.status(400).json({
         status: 'error',
         code: 400,
-        message: reason
+        message: check.message,
+        reason: check.code
       });
     }
 
-    // Check user usage limit
-    if (redeemCode.userUsageLimit) {
-      const userUsageCount = await RedeemCodeUsage.count({
-        where: {
-          userId,
-          redeemCodeId: redeemCode.id
-        }
-      });
-
-      if (userUsageCount >= redeemCode.userUsageLimit) {
-        return res.status(400).json({
-          status: 'error',
-          code: 400,
-          message: 'You have already used this redeem code maximum number of times'
-        });
-      }
-    }
-
     // Calculate discount if amount provided
     let discountAmount = 0;
     let finalAmount = 0;
@@ -414,6 +477,7 @@ exports.validateRedeemCode = async (req, res) => {
         discountValue: redeemCode.discountValue,
         maxDiscountAmount: redeemCode.maxDiscountAmount,
         minOrderAmount: redeemCode.minOrderAmount,
+        stackable: redeemCode.stackable,
         isApplicable,
         applicabilityMessage,
         discountAmount,
@@ -433,6 +497,215 @@ exports.validateRedeemCode = async (req, res) => {
   }
 };
 
+/**
+ * User: discounts an appointment would get at payment, from campaigns applied
+ * without a code and the code given, if any
+ */
+exports.getOffers = async (req, res) => {
+  try {
+    const { appointmentId, code } = req.query;
+    const userId = req.user.id;
+
+    const appointment = appointmentId
+      ? await Appointment.findOne({ where: { id: appointmentId, userId } })
+      : null;
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Appointment not found'
+      });
+    }
+
+    const serviceName = appointment.type === 'virtual' ? 'Virtual Appointment' : 'Clinic Appointment';
+    const price = await Price.findOne({ where: { serviceName, isActive: true } });
+    if (!price || !price.price) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `${serviceName} pricing is not configured`
+      });
+    }
+
+    const offer = await redeemCodeService.priceWithOffers({
+      userId,
+      appointment,
+      amount: parseFloat(price.price),
+      code: code || null
+    });
+    if (!offer.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: offer.message,
+        reason: offer.code
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: offer.discounts.length > 0 ? 'Offers found for this appointment' : 'No offers for this appointment',
+      data: {
+        originalAmount: offer.originalAmount,
+        discountAmount: offer.discountAmount,
+        finalAmount: offer.finalAmount,
+        offers: redeemCodeService.summarize(offer)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Admin: Generate unique single-use codes for a campaign
+ */
+exports.generateBatch = async (req, res) => {
+  try {
+    const {
+      count,
+      prefix,
+      name,
+      description,
+      discountType,
+      discountValue,
+      maxDiscountAmount,
+      minOrderAmount,
+      validFrom,
+      validUntil,
+      applicableFor
+    } = req.body;
+
+    if (!name || !discountType || !discountValue) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Name, discount type, and discount value are required'
+      });
+    }
+
+    if (!['percentage', 'amount'].includes(discountType)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Discount type must be either "percentage" or "amount"'
+      });
+    }
+
+    if ((discountType === 'percentage' && (discountValue <= 0 || discountValue > 100)) ||
+      (discountType === 'amount' && discountValue <= 0)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: discountType === 'percentage'
+          ? 'Percentage discount must be between 1 and 100'
+          : 'Amount discount must be greater than 0'
+      });
+    }
+
+    const rules = redeemCodeService.validateRules(req.body);
+    if (!rules.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid redeem code rules',
+        errors: rules.errors
+      });
+    }
+
+    const result = await redeemCodeService.generateBatch({
+      name,
+      description,
+      discountType,
+      discountValue,
+      maxDiscountAmount,
+      minOrderAmount: minOrderAmount || 0,
+      validFrom: validFrom || new Date(),
+      validUntil,
+      isActive: true,
+      applicableFor: applicableFor || 'virtual_appointment',
+      ...rules.values
+    }, { count, prefix, createdBy: req.user.id });
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: `${result.codes.length} redeem codes generated successfully`,
+      data: {
+        batchId: result.batchId,
+        count: result.codes.length,
+        codes: result.codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate redeem code batch error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Admin: Export the codes of a batch as CSV
+ */
+exports.exportBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const redeemCodes = await RedeemCode.findAll({
+      where: { batchId },
+      order: [['code', 'ASC']]
+    });
+
+    if (redeemCodes.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Batch not found'
+      });
+    }
+
+    const lines = [
+      BATCH_EXPORT_COLUMNS.map(([label]) => label).join(','),
+      ...redeemCodes.map(redeemCode => BATCH_EXPORT_COLUMNS.map(([, value]) => csvCell(value(redeemCode))).join(','))
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="redeem-codes-${batchId}.csv"`);
+    res.send(lines.join('\n'));
+
+  } catch (error) {
+    console.error('Export redeem code batch error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Admin: Get redeem code usage statistics
  */
@@ -0,0 +1,245 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const { User } = require('../models');
+const RedeemCode = require('../models/redeemCode.model');
+const Referral = require('../models/referral.model');
+const referralService = require('../services/referral.service');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const sendError = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    status: 'error',
+    code: status,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Device the request comes from, as sent by the app
+ */
+const deviceOf = (req) => ({
+  deviceId: (req.body && req.body.deviceId) || req.get('X-Device-Id') || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Patient: personal referral code, the friends who joined with it and the rewards earned
+ */
+exports.getMyReferrals = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const referralCode = await referralService.getOrCreateCode(user, deviceOf(req));
+
+    const [referredBy, referrals, rewardCodes] = await Promise.all([
+      Referral.findOne({
+        where: { refereeId: user.id },
+        attributes: ['id', 'status', 'createdAt', 'rewardedAt']
+      }),
+      Referral.findAll({
+        where: { referrerId: user.id },
+        include: [{ model: User, as: 'referee', attributes: ['id', 'name'] }],
+        order: [['createdAt', 'DESC']]
+      }),
+      RedeemCode.findAll({
+        where: { purpose: 'referral_reward', ownerId: user.id },
+        attributes: ['id', 'code', 'discountValue', 'validUntil', 'usageCount', 'isActive'],
+        order: [['createdAt', 'DESC']]
+      })
+    ]);
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Referrals retrieved successfully',
+      data: {
+        code: referralCode.code,
+        rewardType: referralService.REWARD_TYPE,
+        referrerReward: referralService.REFERRER_REWARD,
+        refereeReward: referralService.REFEREE_REWARD,
+        referredBy,
+        referrals: referrals.map(referral => ({
+          id: referral.id,
+          name: referral.referee ? referral.referee.name : null,
+          // Abuse checks are not disclosed; a rejected referral just earns nothing
+          status: referral.status === 'rewarded' ? 'rewarded' : 'pending',
+          joinedAt: referral.createdAt,
+          rewardedAt: referral.rewardedAt
+        })),
+        rewardCodes: rewardCodes.map(code => ({
+          id: code.id,
+          code: code.code,
+          amount: code.discountValue,
+          validUntil: code.validUntil,
+          used: code.usageCount > 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get Referrals Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: join with the referral code of a friend, for patients who did not enter one when signing up
+ */
+exports.applyReferralCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return sendError(res, 400, 'Referral code is required');
+    }
+
+    const user = await User.findByPk(req.user.id);
+    const result = await referralService.applyCode(user, code, deviceOf(req));
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Referral code applied. You and your friend are rewarded after your first paid appointment.',
+      data: {
+        referralId: result.referral.id,
+        status: result.referral.status
+      }
+    });
+  } catch (error) {
+    console.error('Apply Referral Code Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: referrals, newest first
+ */
+exports.getReferrals = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, rejectReason, referrerId, from, to } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (status) where.status = status;
+    if (rejectReason) where.rejectReason = rejectReason;
+    if (referrerId) where.referrerId = parseInt(referrerId);
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = DateTime.fromISO(from, { zone: TIMEZONE }).startOf('day').toJSDate();
+      if (to) where.createdAt[Op.lte] = DateTime.fromISO(to, { zone: TIMEZONE }).endOf('day').toJSDate();
+    }
+
+    const { count, rows: referrals } = await Referral.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'referrer', attributes: ['id', 'name', 'phone'] },
+        { model: User, as: 'referee', attributes: ['id', 'name', 'phone'] },
+        { model: RedeemCode, as: 'referralCode', attributes: ['id', 'code'] },
+        { model: RedeemCode, as: 'referrerRewardCode', attributes: ['id', 'code', 'usageCount'] },
+        { model: RedeemCode, as: 'refereeRewardCode', attributes: ['id', 'code', 'usageCount'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Referrals retrieved successfully',
+      data: referrals,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Admin Referrals Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: sign-ups, rejections and rewards issued over a period
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const start = from ? DateTime.fromISO(from, { zone: TIMEZONE }) : null;
+    const end = to ? DateTime.fromISO(to, { zone: TIMEZONE }) : null;
+    if ((start && !start.isValid) || (end && !end.isValid) || (start && end && start > end)) {
+      return sendError(res, 400, 'from and to must be dates (YYYY-MM-DD) with from not after to');
+    }
+
+    const report = await referralService.getReport({
+      start: start ? start.startOf('day').toJSDate() : null,
+      end: end ? end.endOf('day').toJSDate() : null
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Referral report generated successfully',
+      data: {
+        from: from || null,
+        to: to || null,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Referral Report Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: who referred a patient, up to the first referrer, and who they referred
+ */
+exports.getChain = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId, { attributes: ['id', 'name', 'phone', 'role'] });
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const chain = await referralService.getChain(user.id, { levels: req.query.levels });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Referral chain retrieved successfully',
+      data: {
+        user,
+        ...chain
+      }
+    });
+  } catch (error) {
+    console.error('Get Referral Chain Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
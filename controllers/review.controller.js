@@ -0,0 +1,348 @@
+const { Appointment, User } = require('../models');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const DoctorReview = require('../models/doctorReview.model');
+const reviewService = require('../services/review.service');
+
+const REVIEW_ORDERS = {
+  newest: [['createdAt', 'DESC']],
+  highest: [['rating', 'DESC'], ['createdAt', 'DESC']],
+  lowest: [['rating', 'ASC'], ['createdAt', 'DESC']]
+};
+
+const sendError = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    status: 'error',
+    code: status,
+    message,
+    ...extra
+  });
+};
+
+// Reviews are shown publicly with the first name of the patient only
+const publicReview = (review) => ({
+  id: review.id,
+  rating: review.rating,
+  review: review.review,
+  reply: review.reply,
+  repliedAt: review.repliedAt,
+  patientName: review.patient ? review.patient.name.split(' ')[0] : null,
+  createdAt: review.createdAt
+});
+
+const listPublished = async (req, res, doctor, target) => {
+  const { page = 1, limit = 10, sort = 'newest' } = req.query;
+  const offset = (page - 1) * limit;
+
+  const [{ count, rows: reviews }, distribution] = await Promise.all([
+    DoctorReview.findAndCountAll({
+      where: { ...target, status: 'published' },
+      include: [{ model: User, as: 'patient', attributes: ['id', 'name'] }],
+      order: REVIEW_ORDERS[sort] || REVIEW_ORDERS.newest,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    }),
+    reviewService.ratingDistribution(target)
+  ]);
+
+  res.json({
+    status: 'success',
+    code: 200,
+    message: 'Reviews retrieved successfully',
+    data: {
+      averageRating: doctor.averageRating,
+      reviewCount: doctor.reviewCount,
+      distribution,
+      reviews: reviews.map(publicReview)
+    },
+    pagination: {
+      total: count,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(count / limit)
+    }
+  });
+};
+
+/**
+ * Patient: rate the doctor of a completed appointment
+ */
+exports.createReview = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      where: { id: req.params.appointmentId, userId: req.user.id }
+    });
+    if (!appointment) {
+      return sendError(res, 404, 'Appointment not found');
+    }
+
+    const { valid, errors, values } = reviewService.validateReview(req.body);
+    if (!valid) {
+      return sendError(res, 400, 'Invalid review', { errors });
+    }
+
+    const result = await reviewService.createReview(appointment, values);
+    if (!result.success) {
+      return sendError(res, result.code === 'REVIEW_EXISTS' ? 409 : 400, result.message, { reason: result.code });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Review submitted successfully',
+      data: result.review
+    });
+  } catch (error) {
+    console.error('Create Review Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: the review of one of their appointments, if any
+ */
+exports.getAppointmentReview = async (req, res) => {
+  try {
+    const where = { appointmentId: req.params.appointmentId };
+    if (req.user.role !== 'admin') where.userId = req.user.id;
+
+    const review = await DoctorReview.findOne({ where });
+    if (!review) {
+      return sendError(res, 404, 'Review not found');
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Review retrieved successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Get Appointment Review Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Public: published reviews of a clinic doctor
+ */
+exports.getDoctorReviews = async (req, res) => {
+  try {
+    const doctor = await Doctor.findByPk(req.params.doctorId, { attributes: ['id', 'averageRating', 'reviewCount'] });
+    if (!doctor) {
+      return sendError(res, 404, 'Doctor not found');
+    }
+
+    await listPublished(req, res, doctor, { doctorId: doctor.id });
+  } catch (error) {
+    console.error('Get Doctor Reviews Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Public: published reviews of a virtual doctor
+ */
+exports.getVirtualDoctorReviews = async (req, res) => {
+  try {
+    const virtualDoctor = await VirtualDoctor.findByPk(req.params.virtualDoctorId, {
+      attributes: ['id', 'averageRating', 'reviewCount']
+    });
+    if (!virtualDoctor) {
+      return sendError(res, 404, 'Virtual doctor not found');
+    }
+
+    await listPublished(req, res, virtualDoctor, { virtualDoctorId: virtualDoctor.id });
+  } catch (error) {
+    console.error('Get Virtual Doctor Reviews Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reviews a patient wrote, or the published reviews about the requesting doctor
+ */
+exports.getMyReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let where;
+    if (req.user.role === 'user') {
+      where = { userId: req.user.id };
+    } else {
+      const Model = req.user.role === 'doctor' ? Doctor : VirtualDoctor;
+      const doctor = await Model.findOne({ where: { userId: req.user.id }, attributes: ['id'] });
+      if (!doctor) {
+        return sendError(res, 404, 'Doctor profile not found');
+      }
+      where = req.user.role === 'doctor'
+        ? { doctorId: doctor.id, status: 'published' }
+        : { virtualDoctorId: doctor.id, status: 'published' };
+    }
+
+    const { count, rows: reviews } = await DoctorReview.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'patient', attributes: ['id', 'name'] },
+        { model: Appointment, as: 'appointment', attributes: ['id', 'type', 'appointmentDateTime'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Reviews retrieved successfully',
+      data: reviews,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get My Reviews Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Doctor: reply to a review about them
+ */
+exports.replyToReview = async (req, res) => {
+  try {
+    const review = await DoctorReview.findByPk(req.params.id);
+    if (!review || review.status !== 'published' || !await reviewService.isReviewedDoctor(req.user, review)) {
+      return sendError(res, 404, 'Review not found');
+    }
+
+    const result = await reviewService.reply(review, req.body.reply);
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Reply saved successfully',
+      data: result.review
+    });
+  } catch (error) {
+    console.error('Reply To Review Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: all reviews, including hidden ones
+ */
+exports.getAllReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, doctorId, virtualDoctorId, rating } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (status) where.status = status;
+    if (doctorId) where.doctorId = parseInt(doctorId);
+    if (virtualDoctorId) where.virtualDoctorId = parseInt(virtualDoctorId);
+    if (rating) where.rating = parseInt(rating);
+
+    const { count, rows: reviews } = await DoctorReview.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'patient', attributes: ['id', 'name', 'phone'] },
+        { model: Doctor, as: 'doctor', attributes: ['id'], include: [{ model: User, as: 'User', attributes: ['id', 'name'] }] },
+        { model: VirtualDoctor, as: 'virtualDoctor', attributes: ['id'], include: [{ model: User, as: 'User', attributes: ['id', 'name'] }] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Reviews retrieved successfully',
+      data: reviews,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get All Reviews Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: hide a review or publish it again
+ */
+exports.moderateReview = async (req, res) => {
+  try {
+    const review = await DoctorReview.findByPk(req.params.id);
+    if (!review) {
+      return sendError(res, 404, 'Review not found');
+    }
+
+    const result = await reviewService.moderate(review, {
+      status: req.body.status,
+      reason: req.body.reason,
+      adminId: req.user.id
+    });
+    if (!result.success) {
+      return sendError(res, 400, result.message, { reason: result.code });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: result.review.status === 'hidden' ? 'Review hidden successfully' : 'Review published successfully',
+      data: {
+        review: result.review,
+        ...result.rating
+      }
+    });
+  } catch (error) {
+    console.error('Moderate Review Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,386 @@
+const { Op } = require('sequelize');
+const { Appointment, User, Doctor } = require('../models');
+const TreatmentPlan = require('../models/treatmentPlan.model');
+const TreatmentPlanStep = require('../models/treatmentPlanStep.model');
+const treatmentPlanService = require('../services/treatmentPlan.service');
+const { sendUserNotification } = require('../services/firebase.services');
+
+/**
+ * Who the requesting user is for a plan: its patient, its doctor or an admin
+ */
+const planRole = async (req, plan) => {
+  if (req.user.role === 'admin') return 'admin';
+  if (req.user.id === plan.userId) return 'patient';
+  if (req.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+    if (doctor && doctor.id === plan.doctorId) return 'doctor';
+  }
+  return null;
+};
+
+const findPlan = (id) => {
+  return TreatmentPlan.findByPk(id, {
+    include: [
+      { model: User, as: 'patient', attributes: ['id', 'name', 'phone'] },
+      {
+        model: Doctor,
+        as: 'doctor',
+        attributes: ['id', 'userId', 'clinicName', 'specialty'],
+        include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+      },
+      {
+        model: TreatmentPlanStep,
+        as: 'steps',
+        include: [{ model: Appointment, as: 'appointment', attributes: ['id', 'appointmentDateTime', 'status'] }]
+      }
+    ],
+    order: [[{ model: TreatmentPlanStep, as: 'steps' }, 'sequence', 'ASC']]
+  });
+};
+
+const planNotFound = (res) => {
+  return res.status(404).json({
+    status: 'error',
+    code: 404,
+    message: 'Treatment plan not found'
+  });
+};
+
+/**
+ * Doctor: propose a treatment plan to one of their patients
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const { userId, doctorId } = req.body;
+
+    let doctor;
+    if (req.user.role === 'doctor') {
+      doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+      if (!doctor) {
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: 'Doctor profile not found or not associated with user'
+        });
+      }
+    } else {
+      doctor = doctorId ? await Doctor.findByPk(doctorId) : null;
+      if (!doctor || !doctor.isApproved) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Doctor not available'
+        });
+      }
+    }
+
+    const patient = userId ? await User.findByPk(userId) : null;
+    if (!patient || patient.role !== 'user') {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid user account'
+      });
+    }
+
+    if (req.user.role === 'doctor') {
+      const seen = await Appointment.count({
+        where: { userId: patient.id, doctorId: doctor.id, status: { [Op.in]: ['confirmed', 'completed'] } }
+      });
+      if (seen === 0) {
+        return res.status(403).json({
+          status: 'error',
+          code: 403,
+          message: 'You can only propose treatment plans to patients you have an appointment with'
+        });
+      }
+    }
+
+    const validation = treatmentPlanService.validatePlan(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const result = await treatmentPlanService.createPlan(
+      { userId: patient.id, doctorId: doctor.id, createdBy: req.user.id },
+      validation.values
+    );
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    await sendUserNotification(
+      patient.id,
+      'New Treatment Plan',
+      `Your doctor has proposed a treatment plan: ${result.plan.title}. Review it in the app to accept or decline.`,
+      {
+        type: 'other',
+        relatedId: result.plan.id,
+        data: {
+          treatmentPlanId: result.plan.id.toString(),
+          type: 'treatment_plan_proposed'
+        }
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Treatment plan proposed successfully',
+      data: await findPlan(result.plan.id)
+    });
+  } catch (error) {
+    console.error('Create Treatment Plan Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patients get their own plans, doctors the plans they proposed and admins all plans
+ */
+exports.getPlans = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, userId } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (status) where.status = status;
+
+    if (req.user.role === 'doctor') {
+      const doctor = await Doctor.findOne({ where: { userId: req.user.id } });
+      if (!doctor) {
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: 'Doctor profile not found or not associated with user'
+        });
+      }
+      where.doctorId = doctor.id;
+      if (userId) where.userId = userId;
+    } else if (req.user.role === 'admin') {
+      if (userId) where.userId = userId;
+    } else {
+      where.userId = req.user.id;
+    }
+
+    const { count, rows: plans } = await TreatmentPlan.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'patient', attributes: ['id', 'name', 'phone'] },
+        {
+          model: Doctor,
+          as: 'doctor',
+          attributes: ['id', 'clinicName', 'specialty'],
+          include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Treatment plans retrieved successfully',
+      data: plans,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Treatment Plans Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A plan with its steps and the appointments they are booked in
+ */
+exports.getPlanById = async (req, res) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    if (!plan) return planNotFound(res);
+
+    if (!await planRole(req, plan)) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You are not authorized to view this treatment plan'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Treatment plan retrieved successfully',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Get Treatment Plan Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+const respond = async (req, res, accept) => {
+  const plan = await findPlan(req.params.id);
+  if (!plan) return planNotFound(res);
+
+  if (req.user.id !== plan.userId) {
+    return res.status(403).json({
+      status: 'error',
+      code: 403,
+      message: 'Only the patient can respond to this treatment plan'
+    });
+  }
+
+  const result = await treatmentPlanService.respondToPlan(plan, {
+    accept,
+    stepIds: req.body.stepIds,
+    reason: req.body.reason
+  });
+  if (!result.success) {
+    return res.status(400).json({
+      status: 'error',
+      code: 400,
+      message: result.message,
+      reason: result.code
+    });
+  }
+
+  await sendUserNotification(
+    plan.doctor.userId,
+    accept ? 'Treatment Plan Accepted' : 'Treatment Plan Declined',
+    `${plan.patient.name || 'Your patient'} has ${accept ? 'accepted' : 'declined'} the treatment plan: ${plan.title}`,
+    {
+      type: 'other',
+      relatedId: plan.id,
+      data: {
+        treatmentPlanId: plan.id.toString(),
+        type: accept ? 'treatment_plan_accepted' : 'treatment_plan_declined'
+      }
+    }
+  );
+
+  res.json({
+    status: 'success',
+    code: 200,
+    message: accept ? 'Treatment plan accepted successfully' : 'Treatment plan declined',
+    data: await findPlan(plan.id)
+  });
+};
+
+/**
+ * Patient: accept a proposed plan, optionally only some of its steps
+ */
+exports.acceptPlan = async (req, res) => {
+  try {
+    await respond(req, res, true);
+  } catch (error) {
+    console.error('Accept Treatment Plan Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: decline a proposed plan
+ */
+exports.declinePlan = async (req, res) => {
+  try {
+    await respond(req, res, false);
+  } catch (error) {
+    console.error('Decline Treatment Plan Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Doctor or admin: withdraw a plan
+ */
+exports.cancelPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    if (!plan) return planNotFound(res);
+
+    const role = await planRole(req, plan);
+    if (role !== 'doctor' && role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'Only the doctor of the plan or an admin can cancel it'
+      });
+    }
+
+    const result = await treatmentPlanService.cancelPlan(plan, req.body.cancelReason);
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    await sendUserNotification(
+      plan.userId,
+      'Treatment Plan Cancelled',
+      `Your treatment plan "${plan.title}" has been cancelled by the clinic`,
+      {
+        type: 'other',
+        relatedId: plan.id,
+        data: {
+          treatmentPlanId: plan.id.toString(),
+          type: 'treatment_plan_canceled'
+        }
+      }
+    );
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Treatment plan canceled successfully',
+      data: await findPlan(plan.id)
+    });
+  } catch (error) {
+    console.error('Cancel Treatment Plan Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
@@ -8,6 +8,8 @@ const { Op } = require('sequelize');
 const { emailService } = require('../services/email.services');
 const { DateTime } = require('luxon');
 const azureStorageService = require('../services/azureStorage.service');
+const slotHoldService = require('../services/slotHold.service');
+const appointmentPolicyService = require('../services/appointmentPolicy.service');
 
 // Helper function to upload image to Azure Blob Storage
 const uploadImage = async (file) => {
@@ -793,6 +795,8 @@ exports.getVideoCallCredentials = async (req, res) => {
       await appointment.save();
     }
 
+    await appointmentPolicyService.recordCallJoin(appointment, false);
+
     const credentials = {
       roomId: appointment.roomId,
       userId: virtualDoctorUserId,
@@ -980,6 +984,7 @@ exports.getVirtualAppointmentSlots = async (req, res) => {
 
 // Book virtual appointment
 exports.bookVirtualAppointment = async (req, res) => {
+  let slotHold = null;
   try {
     const { userId, appointmentDateTime, notes } = req.body;
 
@@ -1080,26 +1085,6 @@ exports.bookVirtualAppointment = async (req, res) => {
     const slotStart = requestedTime.set({ minute: Math.floor(requestedTime.minute / 30) * 30, second: 0, millisecond: 0 });
     const slotEnd = slotStart.plus({ minutes: 30 });
 
-    // Check existing virtual appointments in this slot
-    const existingAppointment = await Appointment.findOne({
-      where: {
-        type: 'virtual',
-        doctorId: null,
-        appointmentDateTime: {
-          [Op.between]: [slotStart.toJSDate(), slotEnd.toJSDate()]
-        },
-        status: { [Op.notIn]: ['canceled', 'completed', 'rejected'] }
-      }
-    });
-
-    if (existingAppointment) {
-      return res.status(400).json({
-        status: 'error',
-        code: 400,
-        message: 'Time slot is already booked. Please choose another time.',
-      });
-    }
-
     // Check if user already has a virtual appointment on same date
     const dayStart = requestedTime.startOf('day');
     const dayEnd = requestedTime.endOf('day');
@@ -1124,6 +1109,25 @@ exports.bookVirtualAppointment = async (req, res) => {
       });
     }
 
+    // Reserve the slot atomically so concurrent bookings cannot take the same time
+    const holdResult = await slotHoldService.createHold({
+      userId,
+      type: 'virtual',
+      slotStart,
+      slotEnd,
+      capacity: 1
+    });
+
+    if (!holdResult.success) {
+      return res.status(holdResult.code === 'SLOT_BUSY' ? 409 : 400).json({
+        status: 'error',
+        code: holdResult.code === 'SLOT_BUSY' ? 409 : 400,
+        message: holdResult.code === 'SLOT_FULL' ? 'Time slot is already booked. Please choose another time.' : holdResult.message,
+        reason: holdResult.code
+      });
+    }
+    slotHold = holdResult.hold;
+
     // PAYMENT CODE COMMENTED OUT - Virtual appointments now booked directly without payment
     // Get virtual appointment price
     // const virtualAppointmentPrice = await Price.findOne({
@@ -1195,6 +1199,7 @@ exports.bookVirtualAppointment = async (req, res) => {
       appointmentData.azureDoctorTokenExpiry = doctorCommUser.expiresOn;
     } catch (err) {
       console.error('Azure Communication Services error:', err);
+      await slotHoldService.releaseHold(slotHold, 'video_setup_failed');
       return res.status(500).json({
         status: 'error',
         code: 500,
@@ -1202,8 +1207,9 @@ exports.bookVirtualAppointment = async (req, res) => {
       });
     }
 
-    // Save appointment
+    // Save appointment - no payment is taken, so the hold is converted straight away
     const appointment = await Appointment.create(appointmentData);
+    slotHold = await slotHoldService.attachAppointment(slotHold, appointment.id, { convert: true });
 
     // Send notification to admin about new virtual appointment
     try {
@@ -1242,6 +1248,11 @@ exports.bookVirtualAppointment = async (req, res) => {
     });
   } catch (error) {
     console.error('Book Virtual Appointment Error:', error);
+    if (slotHold && !slotHold.appointmentId) {
+      await slotHoldService.releaseHold(slotHold, 'booking_failed').catch(releaseError => {
+        console.error('Release Slot Hold Error:', releaseError);
+      });
+    }
     res.status(500).json({
       status: 'error',
       code: 500,
@@ -0,0 +1,250 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const { Appointment, User, Doctor } = require('../models');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const waitlistService = require('../services/waitlist.service');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const WAITLIST_TYPES = ['physical', 'virtual'];
+
+const withPosition = async (entry) => ({
+  ...entry.toJSON(),
+  position: await waitlistService.getPosition(entry)
+});
+
+/**
+ * Join the waitlist of a doctor for a date, or of any virtual doctor for a date
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { type = 'physical', doctorId, date } = req.body;
+
+    if (!WAITLIST_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'type must be physical or virtual'
+      });
+    }
+
+    const requestedDate = DateTime.fromFormat(String(date || ''), 'yyyy-MM-dd', { zone: TIMEZONE });
+    if (!requestedDate.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    if (requestedDate < DateTime.now().setZone(TIMEZONE).startOf('day')) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Cannot join the waitlist for past dates'
+      });
+    }
+
+    if (type === 'physical') {
+      const doctor = doctorId ? await Doctor.findByPk(doctorId) : null;
+      if (!doctor || !doctor.isApproved) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Doctor not available'
+        });
+      }
+    }
+
+    const existingAppointment = await Appointment.findOne({
+      where: {
+        userId: req.user.id,
+        type,
+        ...(type === 'physical' ? { doctorId } : {}),
+        appointmentDateTime: {
+          [Op.between]: [requestedDate.startOf('day').toJSDate(), requestedDate.endOf('day').toJSDate()]
+        },
+        status: { [Op.notIn]: ['canceled', 'rejected'] }
+      }
+    });
+
+    if (existingAppointment) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: type === 'virtual'
+          ? 'You already have a virtual appointment on the selected date'
+          : 'You already have an appointment with this doctor on the selected date',
+        reason: 'ALREADY_BOOKED'
+      });
+    }
+
+    const result = await waitlistService.joinWaitlist({
+      userId: req.user.id,
+      type,
+      doctorId: type === 'physical' ? parseInt(doctorId) : null,
+      date: requestedDate.toISODate()
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: `You have been added to the waitlist. If a slot frees up you will have ${waitlistService.CLAIM_MINUTES} minutes to book it.`,
+      data: {
+        ...result.entry.toJSON(),
+        position: result.position
+      }
+    });
+  } catch (error) {
+    console.error('Join Waitlist Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Waitlist entries of the logged in patient
+ */
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const where = { userId: req.user.id };
+    if (status) where.status = status;
+
+    const entries = await WaitlistEntry.findAll({
+      where,
+      include: [
+        {
+          model: Doctor,
+          as: 'doctor',
+          attributes: ['id', 'specialty', 'clinicName'],
+          include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+        }
+      ],
+      order: [['date', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Waitlist retrieved successfully',
+      data: await Promise.all(entries.map(withPosition))
+    });
+  } catch (error) {
+    console.error('Get My Waitlist Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Leave the waitlist or decline an offered slot
+ */
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const result = await waitlistService.cancelEntry(entry);
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: result.message,
+        reason: result.code
+      });
+    }
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'You have left the waitlist',
+      data: result.entry
+    });
+  } catch (error) {
+    console.error('Leave Waitlist Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: all waitlist entries
+ */
+exports.getWaitlist = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, type, doctorId, date } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (doctorId) where.doctorId = doctorId;
+    if (date) where.date = date;
+
+    const { count, rows: entries } = await WaitlistEntry.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name', 'phone'] },
+        {
+          model: Doctor,
+          as: 'doctor',
+          attributes: ['id', 'specialty', 'clinicName'],
+          include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+        }
+      ],
+      order: [['date', 'ASC'], ['createdAt', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Waitlist retrieved successfully',
+      data: await Promise.all(entries.map(withPosition)),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Waitlist Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,187 @@
+const { DateTime } = require('luxon');
+const { User } = require('../models');
+const WalletTransaction = require('../models/walletTransaction.model');
+const walletService = require('../services/wallet.service');
+const { sendUserNotification } = require('../services/firebase.services');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const sendError = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    status: 'error',
+    code: status,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * The patient a request is about: the requesting patient, or for admins the
+ * userId in the query
+ */
+const requestUserId = (req) => {
+  if (req.user.role === 'admin' && req.query.userId) {
+    return parseInt(req.query.userId);
+  }
+  return req.user.id;
+};
+
+/**
+ * Patient: wallet balance and promotional credits about to expire
+ */
+exports.getWallet = async (req, res) => {
+  try {
+    const summary = await walletService.getWalletSummary(requestUserId(req));
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Wallet retrieved successfully',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get Wallet Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Patient: wallet transactions, newest first
+ */
+exports.getTransactions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, source } = req.query;
+
+    const offset = (page - 1) * limit;
+    const where = { userId: requestUserId(req) };
+    if (source) where.source = source;
+
+    const { count, rows: transactions } = await WalletTransaction.findAndCountAll({
+      where,
+      order: [['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: 'Wallet transactions retrieved successfully',
+      data: transactions,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Wallet Transactions Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: grant a promotional credit to a patient
+ */
+exports.grantCredit = async (req, res) => {
+  try {
+    const { userId, amount, expiresAt, description } = req.body;
+
+    const user = userId ? await User.findByPk(userId) : null;
+    if (!user || user.role !== 'user') {
+      return sendError(res, 400, 'userId must be a patient');
+    }
+
+    const value = parseFloat(amount);
+    if (isNaN(value) || value <= 0) {
+      return sendError(res, 400, 'amount must be a positive number');
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = DateTime.fromISO(expiresAt, { zone: TIMEZONE });
+      if (!expiry.isValid) {
+        return sendError(res, 400, 'expiresAt must be a date or date-time');
+      }
+      // A bare date means the credit can be used until the end of that day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(expiresAt)) expiry = expiry.endOf('day');
+      if (expiry <= DateTime.now()) {
+        return sendError(res, 400, 'expiresAt must be in the future');
+      }
+    }
+
+    const result = await walletService.grantPromotionalCredit(user.id, {
+      amount: value,
+      expiresAt: expiry ? expiry.toJSDate() : null,
+      description: description ? String(description).trim() : null,
+      createdBy: req.user.id
+    });
+
+    await sendUserNotification(
+      user.id,
+      'Wallet Credit Added',
+      `₹${value} has been added to your wallet` +
+        (expiry ? `. Use it before ${expiry.toFormat('dd LLL yyyy')}` : ''),
+      {
+        type: 'other',
+        category: 'payments',
+        relatedId: result.entry.id,
+        data: {
+          walletTransactionId: result.entry.id.toString(),
+          type: 'wallet_credit'
+        }
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      message: 'Credit granted successfully',
+      data: {
+        transaction: result.entry,
+        balance: result.balance
+      }
+    });
+  } catch (error) {
+    console.error('Grant Wallet Credit Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Admin: check wallet balances against their transactions
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const result = await walletService.reconcileAll();
+
+    res.json({
+      status: 'success',
+      code: 200,
+      message: result.mismatches.length === 0
+        ? 'All wallets match their transactions'
+        : `${result.mismatches.length} wallet(s) do not match their transactions`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Wallet Reconciliation Error:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,38 @@
+const { sendAppointmentReminders } = require('../services/email.services');
+const notificationDispatcher = require('../services/notificationDispatcher.service');
+
+// The day-before reminder skips appointments that are already inside the hour-before window
+const REMINDERS = [
+  { sentField: 'reminder24hSentAt', withinMinutes: 24 * 60, skipWithinMinutes: 60, label: '24h' },
+  { sentField: 'reminder1hSentAt', withinMinutes: 60, skipWithinMinutes: 0, label: '1h' }
+];
+
+/**
+ * Email, push and SMS reminders for confirmed appointments 24 hours and 1 hour ahead
+ * @returns {Promise<Object>} Counts per reminder window
+ */
+module.exports = async () => {
+  const summary = {};
+
+  for (const reminder of REMINDERS) {
+    const results = await sendAppointmentReminders(reminder);
+    let queued = 0;
+
+    // Push and SMS go through the dispatcher, which retries them on its own
+    for (const result of results) {
+      const entry = await notificationDispatcher.emit('appointment.reminder', {
+        appointmentId: result.appointmentId,
+        reminder: reminder.label
+      });
+      if (entry) queued++;
+    }
+
+    summary[reminder.label] = {
+      appointments: results.length,
+      emailed: results.filter(result => result.emailed).length,
+      queued
+    };
+  }
+
+  return summary;
+};
@@ -0,0 +1,111 @@
+const jobScheduler = require('../services/jobScheduler.service');
+const slotHoldService = require('../services/slotHold.service');
+const refundService = require('../services/refund.service');
+const waitlistService = require('../services/waitlist.service');
+const invoiceService = require('../services/invoice.service');
+const payoutService = require('../services/payout.service');
+const walletService = require('../services/wallet.service');
+const packageService = require('../services/package.service');
+const referralService = require('../services/referral.service');
+const pushCampaignService = require('../services/pushCampaign.service');
+const deviceTokenService = require('../services/deviceToken.service');
+const notificationDispatcher = require('../services/notificationDispatcher.service');
+const pinCodeService = require('../services/pinCode.service');
+const appointmentReminderJob = require('./appointmentReminder.job');
+const paymentReconciliationJob = require('./paymentReconciliation.job');
+const pendingAppointmentExpiryJob = require('./pendingAppointmentExpiry.job');
+const virtualNoShowJob = require('./virtualNoShow.job');
+
+jobScheduler.register('appointment-reminders', {
+  intervalSeconds: 5 * 60,
+  handler: appointmentReminderJob
+});
+
+jobScheduler.register('payment-reconciliation', {
+  intervalSeconds: 5 * 60,
+  handler: paymentReconciliationJob
+});
+
+jobScheduler.register('pending-appointment-expiry', {
+  intervalSeconds: 15 * 60,
+  handler: pendingAppointmentExpiryJob
+});
+
+jobScheduler.register('virtual-no-show', {
+  intervalSeconds: 5 * 60,
+  handler: virtualNoShowJob
+});
+
+jobScheduler.register('slot-hold-expiry', {
+  intervalSeconds: 60,
+  handler: async () => ({ expired: await slotHoldService.expireStaleHolds() })
+});
+
+jobScheduler.register('waitlist-offers', {
+  intervalSeconds: 60,
+  handler: waitlistService.processExpiredOffers
+});
+
+jobScheduler.register('refund-processing', {
+  intervalSeconds: 5 * 60,
+  handler: async () => ({
+    ...await refundService.syncOpenRefunds(),
+    issued: await refundService.refundPaymentsForCanceledAppointments()
+  })
+});
+
+jobScheduler.register('doctor-geocode', {
+  intervalSeconds: 60 * 60,
+  handler: pinCodeService.backfillDoctorCoordinates
+});
+
+jobScheduler.register('invoice-backfill', {
+  intervalSeconds: 15 * 60,
+  handler: invoiceService.issueMissingDocuments
+});
+
+jobScheduler.register('doctor-ledger', {
+  intervalSeconds: 15 * 60,
+  handler: payoutService.recordMissingEntries
+});
+
+jobScheduler.register('wallet-maintenance', {
+  intervalSeconds: 60 * 60,
+  handler: walletService.runMaintenance
+});
+
+jobScheduler.register('wallet-reconciliation', {
+  intervalSeconds: 24 * 60 * 60,
+  handler: async () => {
+    const { checked, mismatches } = await walletService.reconcileAll();
+    return { checked, mismatches: mismatches.length };
+  }
+});
+
+jobScheduler.register('package-expiry', {
+  intervalSeconds: 15 * 60,
+  handler: packageService.expirePurchases
+});
+
+jobScheduler.register('referral-rewards', {
+  intervalSeconds: 60 * 60,
+  handler: referralService.rewardDue
+});
+
+jobScheduler.register('push-campaigns', {
+  intervalSeconds: 60,
+  handler: pushCampaignService.processCampaigns
+});
+
+jobScheduler.register('notification-outbox', {
+  intervalSeconds: 60,
+  handler: notificationDispatcher.processOutbox
+});
+
+jobScheduler.register('device-token-cleanup', {
+  intervalSeconds: 24 * 60 * 60,
+  leaseSeconds: 60 * 60,
+  handler: deviceTokenService.cleanupTokens
+});
+
+module.exports = jobScheduler;
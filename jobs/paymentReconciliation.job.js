@@ -0,0 +1,70 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const Payment = require('../models/payment.model');
+const Appointment = require('../models/appoinment.model');
+const paymentController = require('../controllers/payment.controller');
+const slotHoldService = require('../services/slotHold.service');
+const redeemCodeService = require('../services/redeemCode.service');
+
+const OPEN_STATUSES = ['pending', 'initiated', 'processing'];
+
+// Give PhonePe time to send its callback before polling
+const MIN_AGE_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 5;
+// Payments PhonePe still reports as open after this long are given up on
+const EXPIRE_AFTER_HOURS = parseInt(process.env.PAYMENT_EXPIRE_AFTER_HOURS) || 24;
+const BATCH_SIZE = 50;
+
+/**
+ * Poll PhonePe for payments stuck without a final status and expire the ones
+ * that never complete
+ * @returns {Promise<Object>} { checked, resolved, expired }
+ */
+module.exports = async () => {
+  const now = Date.now();
+
+  const payments = await Payment.findAll({
+    where: {
+      status: { [Op.in]: OPEN_STATUSES },
+      initiatedAt: { [Op.lte]: new Date(now - MIN_AGE_MINUTES * 60 * 1000) }
+    },
+    order: [['initiatedAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let resolved = 0;
+  let expired = 0;
+
+  for (const payment of payments) {
+    await paymentController.autoCheckPaymentStatus(payment.id);
+    await payment.reload();
+
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      resolved++;
+      continue;
+    }
+
+    if (new Date(payment.initiatedAt).getTime() <= now - EXPIRE_AFTER_HOURS * 60 * 60 * 1000) {
+      await sequelize.transaction(async (transaction) => {
+        await payment.update({
+          status: 'expired',
+          failedAt: new Date(),
+          failureReason: `No final status from PhonePe after ${EXPIRE_AFTER_HOURS} hours`
+        }, { transaction });
+
+        // Package purchases have no appointment; the package expiry job cancels the purchase
+        if (!payment.appointmentId) return;
+
+        await Appointment.update(
+          { paymentStatus: 'failed' },
+          { where: { id: payment.appointmentId, paymentStatus: { [Op.ne]: 'success' } }, transaction }
+        );
+
+        await slotHoldService.releaseAppointmentHold(payment.appointmentId, 'payment_expired', { transaction });
+      });
+      await redeemCodeService.releaseForPayment(payment.id);
+      expired++;
+    }
+  }
+
+  return { checked: payments.length, resolved, expired };
+};
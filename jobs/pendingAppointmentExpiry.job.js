@@ -0,0 +1,68 @@
+const { Op } = require('sequelize');
+const Appointment = require('../models/appoinment.model');
+const refundService = require('../services/refund.service');
+const appointmentSeriesService = require('../services/appointmentSeries.service');
+const treatmentPlanService = require('../services/treatmentPlan.service');
+const notificationDispatcher = require('../services/notificationDispatcher.service');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Cancel appointment requests that were never confirmed before their start time
+ * @returns {Promise<Object>} { expired, refunded }
+ */
+module.exports = async () => {
+  const appointments = await Appointment.findAll({
+    where: {
+      status: 'pending',
+      appointmentDateTime: { [Op.lt]: new Date() }
+    },
+    order: [['appointmentDateTime', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let expired = 0;
+  let refunded = 0;
+
+  for (const appointment of appointments) {
+    // Conditional update so a confirmation that lands meanwhile is not overwritten
+    const [affected] = await Appointment.update({
+      status: 'canceled',
+      cancelReason: 'Appointment request expired without confirmation',
+      canceledAt: new Date()
+    }, {
+      where: { id: appointment.id, status: 'pending' }
+    });
+
+    if (!affected) continue;
+    expired++;
+
+    // The clinic never confirmed the request, so anything paid goes back in full
+    try {
+      const refund = await refundService.refundForCancellation(appointment, 'system');
+      if (refund && refund.refundId) refunded++;
+    } catch (error) {
+      console.error(`Failed to refund expired appointment ${appointment.id}:`, error);
+    }
+
+    if (appointment.seriesId) {
+      await appointmentSeriesService.syncSeriesStatus(appointment.seriesId).catch(error => {
+        console.error(`Failed to update series of expired appointment ${appointment.id}:`, error);
+      });
+    }
+
+    if (appointment.treatmentStepId) {
+      try {
+        await treatmentPlanService.syncStepForAppointment(await appointment.reload());
+      } catch (error) {
+        console.error(`Failed to release treatment step of expired appointment ${appointment.id}:`, error);
+      }
+    }
+
+    await notificationDispatcher.emit('appointment.expired', { appointmentId: appointment.id }).catch(error => {
+      console.error(`Failed to notify patient about expired appointment ${appointment.id}:`, error);
+    });
+  }
+
+  return { expired, refunded };
+};
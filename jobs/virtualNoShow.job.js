@@ -0,0 +1,19 @@
+const appointmentPolicyService = require('../services/appointmentPolicy.service');
+const notificationDispatcher = require('../services/notificationDispatcher.service');
+
+/**
+ * Mark confirmed virtual appointments that neither the patient nor the doctor
+ * joined as no_show, using the grace period of the virtual appointment policy
+ * @returns {Promise<Object>} { marked }
+ */
+module.exports = async () => {
+  const appointments = await appointmentPolicyService.markNoShows();
+
+  for (const appointment of appointments) {
+    await notificationDispatcher.emit('appointment.noShow', { appointmentId: appointment.id }).catch(error => {
+      console.error(`Failed to notify patient about missed appointment ${appointment.id}:`, error);
+    });
+  }
+
+  return { marked: appointments.length };
+};
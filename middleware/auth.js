@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const sessionService = require('../services/session.service');
 
 /**
  * @swagger
@@ -33,7 +34,7 @@ const jwt = require('jsonwebtoken');
  */
 
 exports.authenticate = (roles = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const authHeader = req.headers.authorization;
     
     // Swagger security requirements handler
@@ -50,48 +51,57 @@ exports.authenticate = (roles = []) => {
 
     const token = authHeader.split(' ')[1];
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-
-      // Role-based access control
-      if (roles.length > 0 && !roles.includes(decoded.role)) {
-        return res.status(403).json({ 
-          message: 'Insufficient permissions',
-          code: 'ACCESS_DENIED',
-          requiredRoles: roles,
-          userRole: decoded.role
-        });
-      }
-
-      // Token renewal mechanism (optional)
-      const now = Math.floor(Date.now() / 1000);
-      const expiresIn = decoded.exp - now;
-      
-      if (expiresIn < 3600) { // Renew if expires in < 1 hour
-        const newToken = jwt.sign(
-          { id: decoded.id, role: decoded.role },
-          process.env.JWT_SECRET,
-          { expiresIn: process.env.JWT_EXPIRES_IN }
-        );
-        res.set('X-Renewed-Token', newToken);
-      }
-
-      next();
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       const response = {
         message: 'Invalid authentication token',
         code: 'INVALID_TOKEN'
       };
 
+      // Clients should exchange their refresh token at /api/auth/refresh
       if (error.name === 'TokenExpiredError') {
         response.message = 'Token expired';
         response.code = 'TOKEN_EXPIRED';
         response.expiredAt = error.expiredAt;
       }
 
-      res.status(401).json(response);
+      return res.status(401).json(response);
     }
+
+    // Tokens issued with a session are rejected as soon as that session is revoked
+    if (decoded.sid) {
+      try {
+        const isActive = await sessionService.touchSession(decoded.sid);
+        if (!isActive) {
+          return res.status(401).json({
+            message: 'Session has been revoked',
+            code: 'SESSION_REVOKED'
+          });
+        }
+      } catch (error) {
+        console.error('Session lookup error:', error);
+        return res.status(500).json({
+          message: 'Unable to verify session',
+          code: 'SESSION_CHECK_FAILED'
+        });
+      }
+    }
+
+    req.user = decoded;
+
+    // Role-based access control
+    if (roles.length > 0 && !roles.includes(decoded.role)) {
+      return res.status(403).json({ 
+        message: 'Insufficient permissions',
+        code: 'ACCESS_DENIED',
+        requiredRoles: roles,
+        userRole: decoded.role
+      });
+    }
+
+    next();
   };
 };
 
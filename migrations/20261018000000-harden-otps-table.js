@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // OTPs are now stored hashed, so the column must hold a hex digest
+    await queryInterface.changeColumn('otps', 'otp', {
+      type: Sequelize.STRING(128),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('otps', 'purpose', {
+      type: Sequelize.ENUM('registration', 'login', 'reset'),
+      allowNull: false,
+      defaultValue: 'login'
+    });
+
+    await queryInterface.addColumn('otps', 'attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('otps', 'verified', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('otps', 'lastSentAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('otps', 'sendCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('otps', 'sendWindowStartedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('otps', 'lockedUntil', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Existing rows hold plaintext codes, which can no longer be verified
+    await queryInterface.bulkDelete('otps', {});
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('otps', 'lockedUntil');
+    await queryInterface.removeColumn('otps', 'sendWindowStartedAt');
+    await queryInterface.removeColumn('otps', 'sendCount');
+    await queryInterface.removeColumn('otps', 'lastSentAt');
+    await queryInterface.removeColumn('otps', 'verified');
+    await queryInterface.removeColumn('otps', 'attempts');
+    await queryInterface.removeColumn('otps', 'purpose');
+
+    await queryInterface.bulkDelete('otps', {});
+    await queryInterface.changeColumn('otps', 'otp', {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    });
+  }
+};
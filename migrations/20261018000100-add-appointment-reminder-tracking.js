@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Scheduled reminders record when they were sent so each is delivered once
+    await queryInterface.addColumn('appointments', 'reminder24hSentAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('appointments', 'reminder1hSentAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('appointments', 'reminder1hSentAt');
+    await queryInterface.removeColumn('appointments', 'reminder24hSentAt');
+  }
+};
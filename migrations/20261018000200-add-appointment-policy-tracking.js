@@ -0,0 +1,52 @@
+'use strict';
+
+const STATUSES = ['pending', 'confirmed', 'completed', 'canceled', 'rejected', 'reschedule_requested'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('appointments', 'status', {
+      type: Sequelize.ENUM(...STATUSES, 'no_show'),
+      defaultValue: 'pending'
+    });
+
+    await queryInterface.addColumn('appointments', 'rescheduleCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('appointments', 'cancellationFee', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('appointments', 'patientJoinedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('appointments', 'doctorJoinedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('appointments', 'noShowMarkedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('appointments', 'noShowMarkedAt');
+    await queryInterface.removeColumn('appointments', 'doctorJoinedAt');
+    await queryInterface.removeColumn('appointments', 'patientJoinedAt');
+    await queryInterface.removeColumn('appointments', 'cancellationFee');
+    await queryInterface.removeColumn('appointments', 'rescheduleCount');
+
+    await queryInterface.sequelize.query("UPDATE appointments SET status = 'canceled' WHERE status = 'no_show'");
+    await queryInterface.changeColumn('appointments', 'status', {
+      type: Sequelize.ENUM(...STATUSES),
+      defaultValue: 'pending'
+    });
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Visits booked as part of a recurring series point at their appointment_series row
+    await queryInterface.addColumn('appointments', 'seriesId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('appointments', 'seriesSequence', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('appointments', ['seriesId', 'seriesSequence']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('appointments', ['seriesId', 'seriesSequence']);
+    await queryInterface.removeColumn('appointments', 'seriesSequence');
+    await queryInterface.removeColumn('appointments', 'seriesId');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Appointments booked for a step of an accepted treatment plan
+    await queryInterface.addColumn('appointments', 'treatmentStepId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('appointments', ['treatmentStepId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('appointments', ['treatmentStepId']);
+    await queryInterface.removeColumn('appointments', 'treatmentStepId');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // GST rate and SAC code printed on invoices for the service
+    await queryInterface.addColumn('prices', 'gstRate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('prices', 'sacCode', {
+      type: Sequelize.STRING(10),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('prices', 'sacCode');
+    await queryInterface.removeColumn('prices', 'gstRate');
+  }
+};
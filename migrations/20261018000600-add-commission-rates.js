@@ -0,0 +1,21 @@
+'use strict';
+
+const TABLES = ['Doctors', 'virtual_doctors', 'prices'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Platform commission percentage; a doctor's rate overrides the rate of the service
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'commissionRate', {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'commissionRate');
+    }
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Part of a payment paid from the patient wallet; the rest goes through PhonePe
+    await queryInterface.addColumn('payments', 'walletAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Refunds credited to the patient wallet instead of the original payment method
+    await queryInterface.addColumn('refunds', 'destination', {
+      type: Sequelize.ENUM('original', 'wallet'),
+      allowNull: false,
+      defaultValue: 'original'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('refunds', 'destination');
+    await queryInterface.removeColumn('payments', 'walletAmount');
+  }
+};
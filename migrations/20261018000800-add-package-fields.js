@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Package purchases are paid through PhonePe without an appointment
+    await queryInterface.changeColumn('payments', 'appointmentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('payments', 'packagePurchaseId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addIndex('payments', ['packagePurchaseId']);
+
+    // Appointments booked with a package, and for a family member of the patient
+    await queryInterface.addColumn('appointments', 'packagePurchaseId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('appointments', 'familyMemberId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addIndex('appointments', ['packagePurchaseId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('appointments', ['packagePurchaseId']);
+    await queryInterface.removeColumn('appointments', 'familyMemberId');
+    await queryInterface.removeColumn('appointments', 'packagePurchaseId');
+    await queryInterface.removeIndex('payments', ['packagePurchaseId']);
+    await queryInterface.removeColumn('payments', 'packagePurchaseId');
+    await queryInterface.changeColumn('payments', 'appointmentId', {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    });
+  }
+};
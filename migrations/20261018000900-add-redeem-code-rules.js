@@ -0,0 +1,75 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Who and what a code can be used for; null means no restriction
+    await queryInterface.addColumn('redeem_codes', 'doctorIds', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('redeem_codes', 'virtualDoctorIds', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('redeem_codes', 'cities', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('redeem_codes', 'serviceNames', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('redeem_codes', 'userSegment', {
+      type: Sequelize.ENUM('all', 'new_users', 'inactive_users'),
+      allowNull: false,
+      defaultValue: 'all'
+    });
+    await queryInterface.addColumn('redeem_codes', 'inactiveDays', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // When the appointment must take place
+    await queryInterface.addColumn('redeem_codes', 'weekdays', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('redeem_codes', 'startTime', {
+      type: Sequelize.STRING(5),
+      allowNull: true
+    });
+    await queryInterface.addColumn('redeem_codes', 'endTime', {
+      type: Sequelize.STRING(5),
+      allowNull: true
+    });
+
+    // Campaigns applied without a code, stacking and bulk generated codes
+    await queryInterface.addColumn('redeem_codes', 'autoApply', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('redeem_codes', 'stackable', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('redeem_codes', 'batchId', {
+      type: Sequelize.STRING(36),
+      allowNull: true
+    });
+    await queryInterface.addIndex('redeem_codes', ['autoApply', 'isActive']);
+    await queryInterface.addIndex('redeem_codes', ['batchId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('redeem_codes', ['batchId']);
+    await queryInterface.removeIndex('redeem_codes', ['autoApply', 'isActive']);
+    for (const column of [
+      'batchId', 'stackable', 'autoApply', 'endTime', 'startTime', 'weekdays',
+      'inactiveDays', 'userSegment', 'serviceNames', 'cities', 'virtualDoctorIds', 'doctorIds'
+    ]) {
+      await queryInterface.removeColumn('redeem_codes', column);
+    }
+  }
+};
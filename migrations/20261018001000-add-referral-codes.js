@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Personal referral codes and the rewards they earn live with the other redeem codes
+    await queryInterface.addColumn('redeem_codes', 'purpose', {
+      type: Sequelize.ENUM('promotion', 'referral', 'referral_reward'),
+      allowNull: false,
+      defaultValue: 'promotion'
+    });
+    await queryInterface.addColumn('redeem_codes', 'ownerId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    });
+    await queryInterface.addIndex('redeem_codes', ['purpose']);
+    await queryInterface.addIndex('redeem_codes', ['ownerId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('redeem_codes', ['ownerId']);
+    await queryInterface.removeIndex('redeem_codes', ['purpose']);
+    await queryInterface.removeColumn('redeem_codes', 'ownerId');
+    await queryInterface.removeColumn('redeem_codes', 'purpose');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+const TABLES = ['Doctors', 'virtual_doctors'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Kept up to date from the published reviews so doctors can be sorted by rating
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'averageRating', {
+        type: Sequelize.DECIMAL(3, 2),
+        allowNull: true
+      });
+      await queryInterface.addColumn(table, 'reviewCount', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'reviewCount');
+      await queryInterface.removeColumn(table, 'averageRating');
+    }
+  }
+};
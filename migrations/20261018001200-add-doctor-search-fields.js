@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Fee charged at the clinic and languages spoken, shown and filtered on in doctor search
+    await queryInterface.addColumn('Doctors', 'consultationFee', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('Doctors', 'languages', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    // Coordinates of the clinic at locationPin, for distance from the patient
+    await queryInterface.addColumn('Doctors', 'latitude', {
+      type: Sequelize.DECIMAL(9, 6),
+      allowNull: true
+    });
+    await queryInterface.addColumn('Doctors', 'longitude', {
+      type: Sequelize.DECIMAL(9, 6),
+      allowNull: true
+    });
+    await queryInterface.addIndex('Doctors', ['latitude', 'longitude']);
+    await queryInterface.addIndex('Doctors', ['specialty']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Doctors', ['specialty']);
+    await queryInterface.removeIndex('Doctors', ['latitude', 'longitude']);
+    await queryInterface.removeColumn('Doctors', 'longitude');
+    await queryInterface.removeColumn('Doctors', 'latitude');
+    await queryInterface.removeColumn('Doctors', 'languages');
+    await queryInterface.removeColumn('Doctors', 'consultationFee');
+  }
+};
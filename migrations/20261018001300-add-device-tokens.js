@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // The table may already have been created by sequelize.sync
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('device_tokens')) {
+      await queryInterface.createTable('device_tokens', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        token: {
+          type: Sequelize.STRING(512),
+          allowNull: false,
+          unique: true
+        },
+        platform: {
+          type: Sequelize.ENUM('android', 'ios', 'web'),
+          allowNull: true
+        },
+        appVersion: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        deviceName: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        sessionId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'user_sessions',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        lastSeenAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+      await queryInterface.addIndex('device_tokens', ['userId']);
+      await queryInterface.addIndex('device_tokens', ['sessionId']);
+      await queryInterface.addIndex('device_tokens', ['lastSeenAt']);
+    }
+
+    // Carry over the single token each user had so nobody stops getting pushes
+    await queryInterface.sequelize.query(`
+      INSERT IGNORE INTO \`device_tokens\` (\`userId\`, \`token\`, \`lastSeenAt\`, \`createdAt\`, \`updatedAt\`)
+      SELECT \`id\`, \`fcmToken\`, \`updatedAt\`, NOW(), NOW()
+      FROM \`Users\`
+      WHERE \`fcmToken\` IS NOT NULL AND \`fcmToken\` <> ''
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('device_tokens');
+  }
+};
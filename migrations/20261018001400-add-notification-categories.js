@@ -0,0 +1,23 @@
+'use strict';
+
+const CATEGORIES = ['appointmentUpdates', 'reminders', 'payments', 'promotions', 'news', 'queryResponses'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Category the user's notification preferences are looked up by
+    await queryInterface.addColumn('Notifications', 'category', {
+      type: Sequelize.ENUM(...CATEGORIES),
+      allowNull: true
+    });
+    await queryInterface.addColumn('push_campaigns', 'category', {
+      type: Sequelize.ENUM('promotions', 'news'),
+      allowNull: false,
+      defaultValue: 'promotions'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('push_campaigns', 'category');
+    await queryInterface.removeColumn('Notifications', 'category');
+  }
+};
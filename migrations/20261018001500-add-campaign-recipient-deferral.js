@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Recipients in their quiet hours are sent to when those end
+    await queryInterface.addColumn('push_campaign_recipients', 'deferredUntil', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('push_campaign_recipients', 'deferredUntil');
+  }
+};
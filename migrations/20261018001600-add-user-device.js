@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Device a user signed up on, so their own referral code is refused on it
+    await queryInterface.addColumn('Users', 'deviceId', {
+      type: Sequelize.STRING(128),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Users', 'deviceId');
+  }
+};
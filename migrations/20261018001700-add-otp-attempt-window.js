@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Wrong codes now count across reissued OTPs until the lockout window ends
+    await queryInterface.addColumn('otps', 'attemptWindowStartedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('otps', 'attemptWindowStartedAt');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // How far the promotional credits of a wallet are settled, so the expiry sweep skips old credits
+    await queryInterface.addColumn('wallets', 'creditsExpiredThrough', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('wallets', 'creditsExpiredThrough');
+  }
+};
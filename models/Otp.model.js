@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const sequelize = require('../config/db'); 
+const sequelize = require('../config/db');
 
 const Otp = sequelize.define('Otp', {
   phone: {
@@ -8,16 +8,58 @@ const Otp = sequelize.define('Otp', {
     primaryKey: true,
   },
   otp: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'HMAC-SHA256 hash of the OTP; null once consumed or revoked'
+  },
+  purpose: {
+    type: DataTypes.ENUM('registration', 'login', 'reset'),
     allowNull: false,
+    defaultValue: 'login'
   },
   expirationTime: {
     type: DataTypes.DATE,
     allowNull: false,
   },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Wrong codes entered since attemptWindowStartedAt, across reissued OTPs'
+  },
+  attemptWindowStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'First wrong code of the current lockout window'
+  },
+  verified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  lastSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Used to enforce the resend cooldown'
+  },
+  sendCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'OTPs sent in the current send window'
+  },
+  sendWindowStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Phone is locked out of OTP send/verify until this time'
+  },
 }, {
   tableName: 'otps',
-  timestamps: false, 
+  timestamps: false,
 });
 
-module.exports = Otp;
\ No newline at end of file
+module.exports = Otp;
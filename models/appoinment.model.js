@@ -49,7 +49,8 @@ const Appointment = sequelize.define('Appointment', {
       'completed',
       'canceled',
       'rejected',
-      'reschedule_requested'
+      'reschedule_requested',
+      'no_show'
     ),
     defaultValue: 'pending'
   },
@@ -253,6 +254,68 @@ const Appointment = sequelize.define('Appointment', {
     allowNull: false,
     defaultValue: false,
     comment: 'Whether payment is required for this appointment'
+  },
+
+  // Reminder tracking
+  reminder24hSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the day-before reminder was sent'
+  },
+  reminder1hSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the hour-before reminder was sent'
+  },
+  rescheduleCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Approved reschedules, limited by the appointment policy'
+  },
+  cancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Late cancellation penalty charged under the appointment policy'
+  },
+  patientJoinedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the patient first joined the video call'
+  },
+  doctorJoinedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the doctor first joined the video call'
+  },
+  noShowMarkedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  seriesId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Recurring series the visit was booked in'
+  },
+  seriesSequence: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Visit number within the series, starting at 1'
+  },
+  treatmentStepId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Treatment plan step the appointment was booked for'
+  },
+  packagePurchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Package the appointment was booked with instead of being paid for'
+  },
+  familyMemberId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Family member of the patient the appointment is for'
   }
 }, {
   tableName: 'appointments',
@@ -287,6 +350,15 @@ const Appointment = sequelize.define('Appointment', {
     },
     {
       fields: ['paymentId']
+    },
+    {
+      fields: ['seriesId', 'seriesSequence']
+    },
+    {
+      fields: ['treatmentStepId']
+    },
+    {
+      fields: ['packagePurchaseId']
     }
   ]
 });
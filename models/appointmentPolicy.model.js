@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+
+/**
+ * Clinic-wide cancellation, reschedule and no-show rules. There is one policy
+ * per appointment type; types without a row use the defaults in
+ * appointmentPolicy.service.
+ */
+const AppointmentPolicy = sequelize.define('AppointmentPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  appointmentType: {
+    type: DataTypes.ENUM('physical', 'virtual'),
+    allowNull: false,
+    unique: true
+  },
+  freeCancellationHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 24,
+    comment: 'Patients cancelling at least this many hours before the appointment pay no penalty'
+  },
+  allowLateCancellation: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether patients may still cancel inside the free cancellation window'
+  },
+  lateCancellationFeeType: {
+    type: DataTypes.ENUM('percent', 'fixed'),
+    allowNull: false,
+    defaultValue: 'percent'
+  },
+  lateCancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 50,
+    comment: 'Penalty kept from the payment for a late cancellation, as a percentage or an INR amount; package appointments are used up instead'
+  },
+  maxReschedules: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 2,
+    comment: 'Reschedule requests allowed per appointment; NULL means unlimited'
+  },
+  rescheduleCutoffHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Reschedule requests must be made at least this many hours before the appointment'
+  },
+  noShowAfterMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30,
+    comment: 'Virtual appointments nobody joined are marked no_show this long after their start'
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'appointment_policies',
+  timestamps: true
+});
+
+AppointmentPolicy.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
+
+module.exports = AppointmentPolicy;
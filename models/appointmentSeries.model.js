@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const Appointment = require('./appoinment.model');
+
+/**
+ * A course of recurring visits with the same doctor, e.g. a root canal
+ * treatment every 2 weeks for 3 visits. Each visit is an ordinary Appointment
+ * linked through seriesId, so it can still be changed on its own.
+ */
+const AppointmentSeries = sequelize.define('AppointmentSeries', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Treatment the visits are for, e.g. Root canal treatment'
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  intervalUnit: {
+    type: DataTypes.ENUM('days', 'weeks', 'months'),
+    allowNull: false,
+    defaultValue: 'weeks'
+  },
+  occurrences: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Number of visits booked'
+  },
+  startDateTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Time of the first visit; later visits follow at the same time of day'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'canceled', 'completed'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  cancelReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  canceledBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  canceledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'appointment_series',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['doctorId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+AppointmentSeries.belongsTo(User, { foreignKey: 'userId', as: 'patient' });
+AppointmentSeries.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+AppointmentSeries.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+AppointmentSeries.hasMany(Appointment, { foreignKey: 'seriesId', as: 'appointments' });
+Appointment.belongsTo(AppointmentSeries, { foreignKey: 'seriesId', as: 'series' });
+
+module.exports = AppointmentSeries;
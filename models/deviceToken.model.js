@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const UserSession = require('./userSession.model');
+
+/**
+ * FCM token of one device a user is signed in on. A user can have several,
+ * e.g. a phone and a tablet; pushes go to all of them.
+ */
+const DeviceToken = sequelize.define('DeviceToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  token: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true,
+    comment: 'A device belongs to the last user who registered it'
+  },
+  platform: {
+    type: DataTypes.ENUM('android', 'ios', 'web'),
+    allowNull: true
+  },
+  appVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  deviceName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sessionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: UserSession,
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Session the token was registered from; revoking it removes the token'
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last time the app registered the token'
+  }
+}, {
+  tableName: 'device_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['token']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['sessionId']
+    },
+    {
+      fields: ['lastSeenAt']
+    }
+  ]
+});
+
+User.hasMany(DeviceToken, { foreignKey: 'userId', as: 'deviceTokens' });
+DeviceToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = DeviceToken;
@@ -89,6 +89,45 @@ const Doctor = sequelize.define('Doctor', {
   endTime: {
     type: DataTypes.TIME,
     allowNull: true
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'Platform commission percentage; overrides the rate of the service'
+  },
+  averageRating: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: true,
+    comment: 'Average of the published reviews; null until the first one'
+  },
+  reviewCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of published reviews'
+  },
+  consultationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Fee charged at the clinic'
+  },
+  languages: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Languages the doctor speaks, e.g. ["English", "Hindi"]'
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true,
+    comment: 'Clinic coordinates, used for distance in search; from locationPin unless set by the doctor'
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
   }
 }, {
   indexes: [
@@ -98,6 +137,12 @@ const Doctor = sequelize.define('Doctor', {
     },
     {
       fields: ['city']
+    },
+    {
+      fields: ['specialty']
+    },
+    {
+      fields: ['latitude', 'longitude']
     }
   ]
 });
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Doctor = require('./doctor.model');
+
+const DoctorLeave = sequelize.define('DoctorLeave', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('leave', 'holiday'),
+    allowNull: false,
+    defaultValue: 'leave'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: true,
+    comment: 'Set together with endTime for a partial-day leave; null blocks whole days'
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'doctor_leaves',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctorId']
+    },
+    {
+      fields: ['doctorId', 'startDate', 'endDate']
+    }
+  ]
+});
+
+Doctor.hasMany(DoctorLeave, { foreignKey: 'doctorId', as: 'leaves', onDelete: 'CASCADE' });
+DoctorLeave.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+
+module.exports = DoctorLeave;
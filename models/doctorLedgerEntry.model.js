@@ -0,0 +1,142 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const VirtualDoctor = require('./virtualDoctor.model');
+const Appointment = require('./appoinment.model');
+const Payment = require('./payment.model');
+const Refund = require('./refund.model');
+const DoctorPayout = require('./doctorPayout.model');
+
+/**
+ * What a doctor or virtual doctor is owed. A successful payment adds an
+ * earning split into platform commission and doctor share, a refund reverses
+ * part of it and admins can add adjustments. Entries are never edited; they
+ * are settled by linking them to a payout.
+ */
+const DoctorLedgerEntry = sequelize.define('DoctorLedgerEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  virtualDoctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: VirtualDoctor,
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('earning', 'refund', 'adjustment'),
+    allowNull: false
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Payment,
+      key: 'id'
+    }
+  },
+  refundId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: Refund,
+      key: 'id'
+    }
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  grossAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Amount paid or refunded by the patient; negative for refunds'
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  commissionAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Platform share; negative for refunds'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Doctor share; negative for refunds and deductions'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  payoutId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: DoctorPayout,
+      key: 'id'
+    },
+    comment: 'Payout statement the entry is settled in'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Admin who added an adjustment'
+  }
+}, {
+  tableName: 'doctor_ledger_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctorId', 'payoutId']
+    },
+    {
+      fields: ['virtualDoctorId', 'payoutId']
+    },
+    {
+      fields: ['paymentId', 'type']
+    },
+    {
+      fields: ['occurredAt']
+    }
+  ]
+});
+
+DoctorLedgerEntry.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+DoctorLedgerEntry.belongsTo(VirtualDoctor, { foreignKey: 'virtualDoctorId', as: 'virtualDoctor' });
+DoctorLedgerEntry.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+DoctorLedgerEntry.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+DoctorLedgerEntry.belongsTo(DoctorPayout, { foreignKey: 'payoutId', as: 'payout' });
+DoctorPayout.hasMany(DoctorLedgerEntry, { foreignKey: 'payoutId', as: 'entries' });
+
+module.exports = DoctorLedgerEntry;
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const VirtualDoctor = require('./virtualDoctor.model');
+
+/**
+ * Payout statement of a doctor or virtual doctor: the unsettled ledger
+ * entries up to the end of a period, settled by an admin once the money
+ * has been transferred.
+ */
+const DoctorPayout = sequelize.define('DoctorPayout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  virtualDoctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: VirtualDoctor,
+      key: 'id'
+    }
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Earliest entry in the statement'
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  entryCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  earningsAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  refundsAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Doctor share reversed by refunds, as a negative amount'
+  },
+  adjustmentsAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Net amount to pay out'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'settled', 'canceled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Bank transfer reference, e.g. UTR'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  settledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  settledBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  canceledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'doctor_payouts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctorId', 'status']
+    },
+    {
+      fields: ['virtualDoctorId', 'status']
+    }
+  ]
+});
+
+DoctorPayout.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+DoctorPayout.belongsTo(VirtualDoctor, { foreignKey: 'virtualDoctorId', as: 'virtualDoctor' });
+
+module.exports = DoctorPayout;
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const VirtualDoctor = require('./virtualDoctor.model');
+const Appointment = require('./appoinment.model');
+
+/**
+ * Star rating and review a patient leaves for the doctor of a completed
+ * appointment, one per appointment. Hidden reviews do not count towards
+ * the doctor's rating.
+ */
+const DoctorReview = sequelize.define('DoctorReview', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient who wrote the review'
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    },
+    comment: 'Set for clinic appointments'
+  },
+  virtualDoctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: VirtualDoctor,
+      key: 'id'
+    },
+    comment: 'Set for virtual appointments'
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  review: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('published', 'hidden'),
+    allowNull: false,
+    defaultValue: 'published'
+  },
+  hiddenReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  moderatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Admin who last hid or restored the review'
+  },
+  moderatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reply: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reply of the doctor'
+  },
+  repliedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'doctor_reviews',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctorId', 'status']
+    },
+    {
+      fields: ['virtualDoctorId', 'status']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+DoctorReview.belongsTo(User, { foreignKey: 'userId', as: 'patient' });
+DoctorReview.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+DoctorReview.belongsTo(VirtualDoctor, { foreignKey: 'virtualDoctorId', as: 'virtualDoctor' });
+DoctorReview.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+Appointment.hasOne(DoctorReview, { foreignKey: 'appointmentId', as: 'review' });
+
+module.exports = DoctorReview;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Doctor = require('./doctor.model');
+
+// One row per working session; a weekday may have several (e.g. 10-13 and 17-20)
+const DoctorSchedule = sequelize.define('DoctorSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 7
+    },
+    comment: 'ISO weekday: 1 = Monday, 7 = Sunday'
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  slotDuration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30,
+    validate: {
+      min: 5,
+      max: 240
+    },
+    comment: 'Slot length in minutes'
+  },
+  breaks: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Breaks within the session: [{ "startTime": "11:30", "endTime": "11:45" }]'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'doctor_schedules',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctorId']
+    },
+    {
+      fields: ['doctorId', 'dayOfWeek']
+    }
+  ]
+});
+
+Doctor.hasMany(DoctorSchedule, { foreignKey: 'doctorId', as: 'schedules', onDelete: 'CASCADE' });
+DoctorSchedule.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+
+module.exports = DoctorSchedule;
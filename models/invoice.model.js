@@ -0,0 +1,187 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Appointment = require('./appoinment.model');
+const Payment = require('./payment.model');
+const Refund = require('./refund.model');
+
+/**
+ * GST tax invoice for a successful payment, or a credit note for a completed
+ * refund of it. Amounts, parties and line items are a snapshot taken when the
+ * document is issued and are never changed afterwards.
+ */
+const Invoice = sequelize.define('Invoice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.ENUM('invoice', 'credit_note'),
+    allowNull: false,
+    defaultValue: 'invoice'
+  },
+  invoiceNumber: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true,
+    comment: 'Sequential number within the financial year, e.g. INV2627-000123'
+  },
+  series: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  financialYear: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+    comment: 'April to March, e.g. 2026-27'
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Payment,
+      key: 'id'
+    }
+  },
+  refundId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: Refund,
+      key: 'id'
+    },
+    comment: 'Refund a credit note was issued for'
+  },
+  originalInvoiceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Invoice a credit note reduces'
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient billed'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  supplier: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Clinic legal name, GSTIN, address and state'
+  },
+  recipient: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Patient name and phone'
+  },
+  doctor: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Doctor who provided the service'
+  },
+  placeOfSupply: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lineItems: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Service lines and redeem code discount lines'
+  },
+  grossAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Sum of the service lines before discounts'
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  taxableAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  gstRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  cgstAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  sgstAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  igstAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Amount paid, or refunded for a credit note, including GST'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason for a credit note'
+  }
+}, {
+  tableName: 'invoices',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['series', 'sequence']
+    },
+    {
+      fields: ['paymentId', 'type']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['issuedAt']
+    }
+  ]
+});
+
+Invoice.belongsTo(User, { foreignKey: 'userId', as: 'patient' });
+Invoice.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+Invoice.belongsTo(Refund, { foreignKey: 'refundId', as: 'refund' });
+Invoice.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+Invoice.belongsTo(Invoice, { foreignKey: 'originalInvoiceId', as: 'originalInvoice', constraints: false });
+Payment.hasMany(Invoice, { foreignKey: 'paymentId', as: 'invoices' });
+
+module.exports = Invoice;
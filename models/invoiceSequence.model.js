@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Last number issued in an invoice series. GST requires invoice and credit
+ * note numbers to run without gaps within a financial year, so each series
+ * row is locked while the next number is taken.
+ */
+const InvoiceSequence = sequelize.define('InvoiceSequence', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  series: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Document prefix and financial year, e.g. INV2627'
+  },
+  lastNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'invoice_sequences',
+  timestamps: true
+});
+
+module.exports = InvoiceSequence;
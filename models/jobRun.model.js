@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const ScheduledJob = require('./scheduledJob.model');
+
+const JobRun = sequelize.define('JobRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  jobName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    references: {
+      model: ScheduledJob,
+      key: 'name'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'success', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  instanceId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Summary returned by the job handler'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'job_runs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['jobName', 'startedAt']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+ScheduledJob.hasMany(JobRun, { foreignKey: 'jobName', as: 'runs', onDelete: 'CASCADE' });
+JobRun.belongsTo(ScheduledJob, { foreignKey: 'jobName', as: 'job' });
+
+module.exports = JobRun;
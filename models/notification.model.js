@@ -32,6 +32,11 @@ const Notification = sequelize.define('Notification', {
     type: DataTypes.ENUM('appointment', 'system', 'other'),
     defaultValue: 'appointment'
   },
+  category: {
+    type: DataTypes.ENUM('appointmentUpdates', 'reminders', 'payments', 'promotions', 'news', 'queryResponses'),
+    allowNull: true,
+    comment: 'Preference category; uncategorised notifications are always delivered'
+  },
   relatedId: {
     type: DataTypes.INTEGER,
     allowNull: true
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * A domain event waiting to be turned into notifications, e.g. an appointment
+ * being confirmed. Kept until every message of the event went out on every
+ * channel, so failed ones can be retried without repeating the rest.
+ */
+const NotificationOutbox = sequelize.define('NotificationOutbox', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  event: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Event name from notificationDispatcher.service, e.g. appointment.confirmed'
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'While processing; another run may take the event over after this'
+  },
+  deliveries: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Outcome of each message, by recipient and channel'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notification_outbox',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'nextAttemptAt']
+    },
+    {
+      fields: ['event']
+    }
+  ]
+});
+
+module.exports = NotificationOutbox;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+
+/**
+ * Which channels a user wants each category of notification on, and the
+ * hours they do not want to be disturbed. Users without a row get the
+ * defaults of notificationPreference.service.
+ */
+const NotificationPreference = sequelize.define('NotificationPreference', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  categories: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Category to { push, email, sms, whatsapp, inApp }; only the choices that differ from the defaults'
+  },
+  quietHoursEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  quietHoursStart: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:mm in Asia/Kolkata'
+  },
+  quietHoursEnd: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:mm in Asia/Kolkata; before the start when quiet hours run past midnight'
+  }
+}, {
+  tableName: 'notification_preferences',
+  timestamps: true
+});
+
+User.hasOne(NotificationPreference, { foreignKey: 'userId', as: 'notificationPreference' });
+NotificationPreference.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = NotificationPreference;
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+
+/**
+ * Package patients buy up front instead of paying per appointment, e.g. five
+ * virtual consultations or a yearly family dental membership. What a patient
+ * bought is copied into PackagePurchase, so later edits do not change it.
+ */
+const Package = sequelize.define('Package', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  kind: {
+    type: DataTypes.ENUM('bundle', 'membership'),
+    allowNull: false,
+    defaultValue: 'bundle',
+    comment: 'bundle: a number of appointments, membership: appointments during a period'
+  },
+  appointmentType: {
+    type: DataTypes.ENUM('virtual', 'physical', 'any'),
+    allowNull: false,
+    defaultValue: 'virtual',
+    comment: 'Appointments the package can be used for'
+  },
+  credits: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Appointments included; null for a membership without a limit'
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Price in INR including GST'
+  },
+  validityDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Days the package can be used from the day it is paid for'
+  },
+  maxFamilyMembers: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Family members the buyer can share the package with'
+  },
+  gstRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: 'GST percentage included in the price; GST_DEFAULT_RATE when null'
+  },
+  sacCode: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Inactive packages can no longer be bought'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'packages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['isActive']
+    }
+  ]
+});
+
+module.exports = Package;
@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Payment = require('./payment.model');
+const Package = require('./package.model');
+
+/**
+ * Package bought by a patient, with the terms of the package at the time
+ * and the appointments used so far
+ */
+const PackagePurchase = sequelize.define('PackagePurchase', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  packageId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Package,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient who bought the package'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'expired', 'canceled', 'refunded'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'pending until the payment succeeds; canceled when it fails'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  kind: {
+    type: DataTypes.ENUM('bundle', 'membership'),
+    allowNull: false
+  },
+  appointmentType: {
+    type: DataTypes.ENUM('virtual', 'physical', 'any'),
+    allowNull: false
+  },
+  totalCredits: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'null for a membership without a limit'
+  },
+  usedCredits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  validityDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  maxFamilyMembers: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  familyMemberIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Family members of the buyer who can book with the package'
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Payment,
+      key: 'id'
+    }
+  },
+  activatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Appointments must take place before this time'
+  },
+  canceledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'package_purchases',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'status']
+    },
+    {
+      fields: ['status', 'expiresAt']
+    },
+    {
+      fields: ['paymentId']
+    }
+  ]
+});
+
+Package.hasMany(PackagePurchase, { foreignKey: 'packageId', as: 'purchases' });
+PackagePurchase.belongsTo(Package, { foreignKey: 'packageId', as: 'package' });
+User.hasMany(PackagePurchase, { foreignKey: 'userId', as: 'packagePurchases' });
+PackagePurchase.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+PackagePurchase.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+Payment.belongsTo(PackagePurchase, { foreignKey: 'packagePurchaseId', as: 'packagePurchase', constraints: false });
+
+module.exports = PackagePurchase;
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Appointment = require('./appoinment.model');
+const FamilyMember = require('./familyMember.model');
+const PackagePurchase = require('./packagePurchase.model');
+
+/**
+ * Appointment booked with a package. A cancelled or rejected appointment
+ * gives its credit back and its usage is marked restored.
+ */
+const PackageUsage = sequelize.define('PackageUsage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: PackagePurchase,
+      key: 'id'
+    }
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    },
+    comment: 'Set once the appointment is created'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Patient who booked'
+  },
+  familyMemberId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: FamilyMember,
+      key: 'id'
+    },
+    comment: 'Family member the appointment is for; null for the buyer'
+  },
+  status: {
+    type: DataTypes.ENUM('used', 'restored'),
+    allowNull: false,
+    defaultValue: 'used'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  restoredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  restoreReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'package_usages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchaseId']
+    },
+    {
+      fields: ['appointmentId']
+    }
+  ]
+});
+
+PackagePurchase.hasMany(PackageUsage, { foreignKey: 'purchaseId', as: 'usages' });
+PackageUsage.belongsTo(PackagePurchase, { foreignKey: 'purchaseId', as: 'purchase' });
+PackageUsage.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+PackageUsage.belongsTo(FamilyMember, { foreignKey: 'familyMemberId', as: 'familyMember' });
+
+module.exports = PackageUsage;
@@ -20,13 +20,18 @@ const Payment = sequelize.define('Payment', {
   },
   appointmentId: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: Appointment,
       key: 'id'
     },
     comment: 'Associated appointment'
   },
+  packagePurchaseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Package purchase paid for; such payments have no appointment'
+  },
   amount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -35,6 +40,12 @@ const Payment = sequelize.define('Payment', {
     },
     comment: 'Payment amount in INR'
   },
+  walletAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Part of the amount paid from the patient wallet; the rest is paid through PhonePe'
+  },
   currency: {
     type: DataTypes.STRING(3),
     allowNull: false,
@@ -208,6 +219,9 @@ const Payment = sequelize.define('Payment', {
     },
     {
       fields: ['userId', 'appointmentId']
+    },
+    {
+      fields: ['packagePurchaseId']
     }
   ]
 });
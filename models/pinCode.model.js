@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Coordinates of an Indian PIN code, so clinics can be placed on the map
+ * from the locationPin doctors register with. Filled by scripts/importPinCodes.js
+ * and by geocoding PINs not imported; a row without coordinates is a PIN that
+ * could not be found.
+ */
+const PinCode = sequelize.define('PinCode', {
+  pin: {
+    type: DataTypes.STRING(6),
+    primaryKey: true
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.ENUM('import', 'geocoder'),
+    allowNull: false,
+    defaultValue: 'import'
+  }
+}, {
+  tableName: 'pin_codes',
+  timestamps: true
+});
+
+module.exports = PinCode;
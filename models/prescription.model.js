@@ -0,0 +1,137 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const VirtualDoctor = require('./virtualDoctor.model');
+const Appointment = require('./appoinment.model');
+
+/**
+ * Structured prescription written for an appointment. Every change is a new
+ * version; the previous one is kept as superseded.
+ */
+const Prescription = sequelize.define('Prescription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient'
+  },
+  authorUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Doctor or virtual doctor who wrote and signed this version'
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  virtualDoctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: VirtualDoctor,
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.ENUM('issued', 'superseded'),
+    allowNull: false,
+    defaultValue: 'issued'
+  },
+  diagnosis: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  medicines: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ name, dosage, frequency, duration, instructions }]'
+  },
+  investigations: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ name, notes }]'
+  },
+  advice: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  followUpDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  signedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  signatureCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Printed on the PDF so pharmacies can verify the prescription'
+  },
+  signatureHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'HMAC of the prescription content at signing time'
+  },
+  supersededAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'prescriptions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['appointmentId', 'version']
+    },
+    {
+      fields: ['userId', 'status']
+    },
+    {
+      fields: ['authorUserId']
+    }
+  ]
+});
+
+Prescription.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+Prescription.belongsTo(User, { foreignKey: 'userId', as: 'patient' });
+Prescription.belongsTo(User, { foreignKey: 'authorUserId', as: 'author' });
+Prescription.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+Prescription.belongsTo(VirtualDoctor, { foreignKey: 'virtualDoctorId', as: 'virtualDoctor' });
+Appointment.hasMany(Prescription, { foreignKey: 'appointmentId', as: 'prescriptions' });
+
+module.exports = Prescription;
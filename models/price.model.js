@@ -26,6 +26,29 @@ const Price = sequelize.define('Price', {
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  gstRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 28
+    },
+    comment: 'GST percentage included in the price; null uses GST_DEFAULT_RATE'
+  },
+  sacCode: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Services Accounting Code printed on invoices'
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'Platform commission percentage; null uses PLATFORM_COMMISSION_RATE'
   }
 }, {
   tableName: 'prices',
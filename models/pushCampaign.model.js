@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+
+/**
+ * Push notification an admin sends to a segment of users, now or at a set
+ * time. Recipients are picked when sending starts and sent to in batches.
+ */
+const PushCampaign = sequelize.define('PushCampaign', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Extra string values sent with the push, e.g. a screen to open'
+  },
+  category: {
+    type: DataTypes.ENUM('promotions', 'news'),
+    allowNull: false,
+    defaultValue: 'promotions',
+    comment: 'Notification category recipients can opt out of'
+  },
+  segment: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Who to send to: roles, cities, languages, lastAppointmentFrom/To, hasPendingPayment'
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'sending', 'completed', 'canceled'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+  scheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  batchSize: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Recipients sent to per run of the push-campaigns job'
+  },
+  recipientCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Set when sending starts'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  canceledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'push_campaigns',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'scheduledAt']
+    }
+  ]
+});
+
+PushCampaign.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+module.exports = PushCampaign;
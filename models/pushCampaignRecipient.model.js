@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Notification = require('./notification.model');
+const PushCampaign = require('./pushCampaign.model');
+
+/**
+ * One user a push campaign goes to, with the outcome of the send and when
+ * they opened it
+ */
+const PushCampaignRecipient = sequelize.define('PushCampaignRecipient', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  campaignId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: PushCampaign,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed', 'canceled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  notificationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Notification,
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'In-app notification stored for the user'
+  },
+  error: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'NO_DEVICE_TOKEN, INVALID_TOKEN, OPTED_OUT, or the error from FCM or of the send'
+  },
+  deferredUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of the quiet hours the user was in; still pending until then'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  openedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'push_campaign_recipients',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['campaignId', 'userId']
+    },
+    {
+      fields: ['campaignId', 'status']
+    },
+    {
+      fields: ['notificationId']
+    }
+  ]
+});
+
+PushCampaignRecipient.belongsTo(PushCampaign, { foreignKey: 'campaignId', as: 'campaign' });
+PushCampaign.hasMany(PushCampaignRecipient, { foreignKey: 'campaignId', as: 'recipients' });
+PushCampaignRecipient.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = PushCampaignRecipient;
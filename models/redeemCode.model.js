@@ -87,6 +87,84 @@ const RedeemCode = sequelize.define('RedeemCode', {
     allowNull: false,
     defaultValue: 'virtual_appointment'
   },
+  doctorIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Clinic doctors whose appointments the code is for (null = any)'
+  },
+  virtualDoctorIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Virtual doctors whose appointments the code is for (null = any)'
+  },
+  cities: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Cities of the appointment doctor (null = any)'
+  },
+  serviceNames: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Price service names the code is for, e.g. Virtual Appointment (null = any)'
+  },
+  userSegment: {
+    type: DataTypes.ENUM('all', 'new_users', 'inactive_users'),
+    allowNull: false,
+    defaultValue: 'all',
+    comment: 'new_users: no earlier booking; inactive_users: no booking in the last inactiveDays'
+  },
+  inactiveDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Days without a booking for inactive_users (default 90)'
+  },
+  weekdays: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'ISO weekdays of the appointment, 1 = Monday (null = any)'
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Earliest appointment time of day, HH:mm IST'
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Appointments must start before this time of day, HH:mm IST'
+  },
+  autoApply: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Campaign applied at payment without typing the code'
+  },
+  stackable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Can be combined with another stackable code'
+  },
+  batchId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: 'Set on single-use codes generated together for a campaign'
+  },
+  purpose: {
+    type: DataTypes.ENUM('promotion', 'referral', 'referral_reward'),
+    allowNull: false,
+    defaultValue: 'promotion',
+    comment: 'promotion: discount set up by an admin, referral: personal code a patient shares, referral_reward: discount earned through a referral'
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient a referral code belongs to, or the only patient who can use a reward'
+  },
   createdBy: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -116,6 +194,18 @@ const RedeemCode = sequelize.define('RedeemCode', {
     },
     {
       fields: ['applicableFor']
+    },
+    {
+      fields: ['autoApply', 'isActive']
+    },
+    {
+      fields: ['batchId']
+    },
+    {
+      fields: ['purpose']
+    },
+    {
+      fields: ['ownerId']
     }
   ]
 });
@@ -132,6 +222,12 @@ User.hasMany(RedeemCode, {
   as: 'createdRedeemCodes' 
 });
 
+RedeemCode.belongsTo(User, {
+  foreignKey: 'ownerId',
+  as: 'owner',
+  onDelete: 'CASCADE'
+});
+
 // Instance methods
 RedeemCode.prototype.isValid = function() {
   const now = new Date();
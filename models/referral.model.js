@@ -0,0 +1,167 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Appointment = require('./appoinment.model');
+const Payment = require('./payment.model');
+const RedeemCode = require('./redeemCode.model');
+
+/**
+ * A patient who signed up with the referral code of another patient. Both
+ * are rewarded once the new patient completes their first paid appointment.
+ * Referrals refused as abuse are kept, with the reason, for the admin report.
+ */
+const Referral = sequelize.define('Referral', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  referrerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  refereeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'A patient can be referred only once; null once their account is deleted'
+  },
+  redeemCodeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: RedeemCode,
+      key: 'id'
+    },
+    comment: 'Referral code the patient signed up with'
+  },
+  parentReferralId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Referral the referrer joined through, if any'
+  },
+  rootReferrerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'First referrer of the chain'
+  },
+  depth: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: '1 when the referrer was not referred, 2 when they were, and so on'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'rewarded', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  rejectReason: {
+    type: DataTypes.ENUM('SELF_REFERRAL', 'DUPLICATE_DEVICE', 'DUPLICATE_PHONE'),
+    allowNull: true
+  },
+  refereePhone: {
+    type: DataTypes.STRING(15),
+    allowNull: false,
+    comment: 'Phone the patient signed up with, last 10 digits; kept to spot the same phone signing up again'
+  },
+  deviceId: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'Device the patient signed up on, as sent by the app'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    },
+    comment: 'First paid appointment the rewards were given for'
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Payment,
+      key: 'id'
+    }
+  },
+  rewardType: {
+    type: DataTypes.ENUM('redeem_code', 'wallet_credit'),
+    allowNull: true
+  },
+  referrerRewardAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  refereeRewardAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  referrerRewardCodeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'RedeemCode given to the referrer'
+  },
+  refereeRewardCodeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'RedeemCode given to the new patient'
+  },
+  referrerCreditId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'WalletTransaction crediting the referrer'
+  },
+  refereeCreditId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'WalletTransaction crediting the new patient'
+  },
+  rewardedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'referrals',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['referrerId']
+    },
+    {
+      fields: ['rootReferrerId']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['refereePhone']
+    },
+    {
+      fields: ['deviceId']
+    }
+  ]
+});
+
+Referral.belongsTo(User, { foreignKey: 'referrerId', as: 'referrer' });
+Referral.belongsTo(User, { foreignKey: 'refereeId', as: 'referee', onDelete: 'SET NULL' });
+Referral.belongsTo(RedeemCode, { foreignKey: 'redeemCodeId', as: 'referralCode' });
+Referral.belongsTo(RedeemCode, { foreignKey: 'referrerRewardCodeId', as: 'referrerRewardCode', constraints: false });
+Referral.belongsTo(RedeemCode, { foreignKey: 'refereeRewardCodeId', as: 'refereeRewardCode', constraints: false });
+User.hasMany(Referral, { foreignKey: 'referrerId', as: 'referrals' });
+
+module.exports = Referral;
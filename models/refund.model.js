@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Appointment = require('./appoinment.model');
+const Payment = require('./payment.model');
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Payment,
+      key: 'id'
+    }
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient receiving the refund'
+  },
+  merchantRefundId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Refund reference sent to PhonePe'
+  },
+  phonepeRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Refund ID returned by PhonePe'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Refund amount in INR'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  destination: {
+    type: DataTypes.ENUM('original', 'wallet'),
+    allowNull: false,
+    defaultValue: 'original',
+    comment: 'original: back through PhonePe, wallet: credited to the patient wallet'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  initiatedBy: {
+    type: DataTypes.ENUM('policy', 'admin', 'system'),
+    allowNull: false,
+    comment: 'policy: cancellation policy, admin: manual refund, system: payment for an appointment that was already cancelled'
+  },
+  initiatedByUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  policyRule: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Cancellation policy rule that decided the amount'
+  },
+  gatewayResponse: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  lastCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['paymentId']
+    },
+    {
+      fields: ['appointmentId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+Payment.hasMany(Refund, { foreignKey: 'paymentId', as: 'refunds' });
+Refund.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+Refund.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+Refund.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Refund.belongsTo(User, { foreignKey: 'initiatedByUserId', as: 'initiator' });
+
+module.exports = Refund;
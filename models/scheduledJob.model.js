@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const ScheduledJob = sequelize.define('ScheduledJob', {
+  name: {
+    type: DataTypes.STRING(100),
+    primaryKey: true
+  },
+  intervalSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  isEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Instance currently running the job'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Lease expiry; another instance may take over a job whose lease has lapsed'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastStatus: {
+    type: DataTypes.ENUM('success', 'failed'),
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduled_jobs',
+  timestamps: true
+});
+
+module.exports = ScheduledJob;
@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const VirtualDoctor = require('./virtualDoctor.model');
+const Appointment = require('./appoinment.model');
+
+const SlotHold = sequelize.define('SlotHold', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('physical', 'virtual'),
+    allowNull: false
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  virtualDoctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: VirtualDoctor,
+      key: 'id'
+    },
+    comment: 'NULL with a NULL doctorId means the shared virtual appointment pool'
+  },
+  slotStart: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  slotEnd: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    },
+    comment: 'Set once the pending appointment has been created'
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Payment the hold is waiting on'
+  },
+  status: {
+    type: DataTypes.ENUM('held', 'converted', 'released', 'expired'),
+    allowNull: false,
+    defaultValue: 'held'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  releasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  releaseReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'slot_holds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'expiresAt']
+    },
+    {
+      fields: ['doctorId', 'slotStart']
+    },
+    {
+      fields: ['virtualDoctorId', 'slotStart']
+    },
+    {
+      fields: ['appointmentId']
+    }
+  ]
+});
+
+SlotHold.prototype.isActive = function () {
+  return this.status === 'held' && new Date(this.expiresAt) > new Date();
+};
+
+Appointment.hasMany(SlotHold, { foreignKey: 'appointmentId', as: 'slotHolds' });
+SlotHold.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+SlotHold.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = SlotHold;
@@ -0,0 +1,133 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Patient = require('./patient.model');
+const FamilyMember = require('./familyMember.model');
+const Appointment = require('./appoinment.model');
+const User = require('./user.model');
+
+/**
+ * A condition recorded on one tooth of a patient's (or family member's)
+ * odontogram. Findings are never edited: when a tooth changes, the old finding
+ * is resolved and a new one recorded, so the rows double as the chart history.
+ */
+const ToothFinding = sequelize.define('ToothFinding', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Patient,
+      key: 'id'
+    }
+  },
+  familyMemberId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: FamilyMember,
+      key: 'id'
+    },
+    comment: 'Null when the chart belongs to the patient themselves'
+  },
+  toothNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'FDI two-digit notation, 11-48 permanent and 51-85 primary teeth'
+  },
+  condition: {
+    type: DataTypes.ENUM('caries', 'filling', 'crown', 'missing', 'implant', 'rct'),
+    allowNull: false
+  },
+  surfaces: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Affected surfaces (M, D, O, I, B, L) for caries and fillings; null for whole-tooth conditions'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'resolved'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Appointment,
+      key: 'id'
+    },
+    comment: 'Appointment in which the finding was recorded'
+  },
+  recordedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  recordedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolvedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  resolvedInAppointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  replacedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Finding that made this one obsolete, e.g. the filling placed over a caries'
+  },
+  resolutionNote: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'tooth_findings',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patientId', 'familyMemberId', 'status']
+    },
+    {
+      fields: ['patientId', 'familyMemberId', 'toothNumber']
+    },
+    {
+      fields: ['appointmentId']
+    }
+  ]
+});
+
+Patient.hasMany(ToothFinding, { foreignKey: 'patientId', as: 'toothFindings', onDelete: 'CASCADE' });
+FamilyMember.hasMany(ToothFinding, { foreignKey: 'familyMemberId', as: 'toothFindings', onDelete: 'CASCADE' });
+ToothFinding.belongsTo(Patient, { foreignKey: 'patientId', as: 'patient' });
+ToothFinding.belongsTo(FamilyMember, { foreignKey: 'familyMemberId', as: 'familyMember' });
+ToothFinding.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+ToothFinding.belongsTo(User, { foreignKey: 'recordedBy', as: 'recorder' });
+ToothFinding.belongsTo(User, { foreignKey: 'resolvedBy', as: 'resolver' });
+
+module.exports = ToothFinding;
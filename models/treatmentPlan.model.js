@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+
+/**
+ * Multi-step treatment a doctor proposes to a patient, e.g. scaling, two
+ * fillings and a crown. The steps live in TreatmentPlanStep.
+ */
+const TreatmentPlan = sequelize.define('TreatmentPlan', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Patient'
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('proposed', 'accepted', 'declined', 'in_progress', 'done', 'canceled'),
+    allowNull: false,
+    defaultValue: 'proposed'
+  },
+  estimatedTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Sum of the estimated cost of all proposed steps'
+  },
+  acceptedTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Sum of the estimated cost of the steps the patient accepted'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  declineReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  canceledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'treatment_plans',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'status']
+    },
+    {
+      fields: ['doctorId', 'status']
+    }
+  ]
+});
+
+TreatmentPlan.belongsTo(User, { foreignKey: 'userId', as: 'patient' });
+TreatmentPlan.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+TreatmentPlan.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+module.exports = TreatmentPlan;
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Price = require('./price.model');
+const Appointment = require('./appoinment.model');
+const TreatmentPlan = require('./treatmentPlan.model');
+
+/**
+ * One procedure of a treatment plan. Accepted steps are booked as ordinary
+ * appointments (Appointment.treatmentStepId) and marked done when that
+ * appointment is completed.
+ */
+const TreatmentPlanStep = sequelize.define('TreatmentPlanStep', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  planId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: TreatmentPlan,
+      key: 'id'
+    }
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Order of the step within the plan, starting at 1'
+  },
+  phase: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Steps of a phase can only be booked once the earlier phases are done or booked'
+  },
+  priceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Price,
+      key: 'id'
+    }
+  },
+  procedureName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Service name of the price when the plan was proposed'
+  },
+  estimatedCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Price when the plan was proposed; null when the service has no fixed price'
+  },
+  toothNumbers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'FDI numbers of the teeth treated in this step'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('proposed', 'accepted', 'declined', 'scheduled', 'done', 'canceled'),
+    allowNull: false,
+    defaultValue: 'proposed'
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    },
+    comment: 'Appointment the step is booked in'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'treatment_plan_steps',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['planId', 'sequence']
+    },
+    {
+      fields: ['appointmentId']
+    }
+  ]
+});
+
+TreatmentPlan.hasMany(TreatmentPlanStep, { foreignKey: 'planId', as: 'steps', onDelete: 'CASCADE' });
+TreatmentPlanStep.belongsTo(TreatmentPlan, { foreignKey: 'planId', as: 'plan' });
+TreatmentPlanStep.belongsTo(Price, { foreignKey: 'priceId', as: 'price' });
+TreatmentPlanStep.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+Appointment.belongsTo(TreatmentPlanStep, { foreignKey: 'treatmentStepId', as: 'treatmentStep', constraints: false });
+
+module.exports = TreatmentPlanStep;
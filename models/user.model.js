@@ -27,12 +27,18 @@ const User = sequelize.define('User', {
   },
   fcmToken: {
     type: DataTypes.STRING,
-    allowNull: true
+    allowNull: true,
+    comment: 'Legacy single token; pushes go to the devices in device_tokens'
   },
   notificationEnabled: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  deviceId: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'Device the user signed up on, as sent by the app; referrals from it are refused'
+  },
   gender: { 
     type: DataTypes.ENUM('Male', 'Female', 'Other'), 
     allowNull: false 
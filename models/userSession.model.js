@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the current refresh token secret'
+  },
+  previousTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Hash of the last rotated-out token, used to detect refresh token reuse'
+  },
+  deviceName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  platform: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'android, ios, web, ...'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.ENUM('logout', 'logout_all', 'revoked_by_user', 'revoked_by_admin', 'token_reuse', 'expired'),
+    allowNull: true
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['revokedAt']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+UserSession.prototype.isActive = function () {
+  return !this.revokedAt && new Date(this.expiresAt) > new Date();
+};
+
+User.hasMany(UserSession, { foreignKey: 'userId', as: 'sessions', onDelete: 'CASCADE' });
+UserSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = UserSession;
@@ -150,6 +150,26 @@ const VirtualDoctor = sequelize.define('VirtualDoctor', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true,
     comment: 'Emergency consultation fee'
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'Platform commission percentage; overrides the rate of the service'
+  },
+  averageRating: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: true,
+    comment: 'Average of the published reviews; null until the first one'
+  },
+  reviewCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of published reviews'
   }
 }, {
   tableName: 'virtual_doctors',
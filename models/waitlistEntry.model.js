@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Doctor = require('./doctor.model');
+const Appointment = require('./appoinment.model');
+const SlotHold = require('./slotHold.model');
+
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('physical', 'virtual'),
+    allowNull: false
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    },
+    comment: 'NULL for virtual entries, which wait for any virtual doctor'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Appointment date wanted (IST)'
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'waiting'
+  },
+  slotHoldId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: SlotHold,
+      key: 'id'
+    },
+    comment: 'Hold reserving the offered slot for this patient'
+  },
+  offeredSlotStart: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  offeredSlotEnd: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  offeredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  offerExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Appointment,
+      key: 'id'
+    },
+    comment: 'Appointment booked from the offer'
+  }
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['type', 'doctorId', 'date', 'status']
+    },
+    {
+      fields: ['userId', 'status']
+    },
+    {
+      fields: ['status', 'offerExpiresAt']
+    }
+  ]
+});
+
+WaitlistEntry.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+WaitlistEntry.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+WaitlistEntry.belongsTo(SlotHold, { foreignKey: 'slotHoldId', as: 'slotHold' });
+WaitlistEntry.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+
+/**
+ * Patient wallet. The balance is a running total of the wallet's
+ * transactions, kept here so it can be locked while money moves.
+ */
+const Wallet = sequelize.define('Wallet', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  creditsExpiredThrough: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Promotional credits expiring up to this time have been expired or were spent'
+  }
+}, {
+  tableName: 'wallets',
+  timestamps: true
+});
+
+User.hasOne(Wallet, { foreignKey: 'userId', as: 'wallet', onDelete: 'CASCADE' });
+Wallet.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = Wallet;
@@ -0,0 +1,127 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('./user.model');
+const Payment = require('./payment.model');
+const Refund = require('./refund.model');
+const Wallet = require('./wallet.model');
+
+/**
+ * One movement of a wallet. Entries are never changed or deleted; a
+ * correction is a new entry. balanceAfter lets the running balance be
+ * checked against the sum of the entries.
+ */
+const WalletTransaction = sequelize.define('WalletTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  walletId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Wallet,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  source: {
+    type: DataTypes.ENUM('refund', 'promotion', 'payment', 'payment_reversal', 'expiry'),
+    allowNull: false,
+    comment: 'refund: refund credited to the wallet, promotion: credit granted by an admin, payment: paid from the wallet, payment_reversal: wallet part of a failed payment given back, expiry: unused promotional credit removed'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Positive for credits, negative for debits'
+  },
+  balanceAfter: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the unused part of a promotional credit expires'
+  },
+  relatedTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Credit an expiry removes, or debit a payment reversal gives back'
+  },
+  paymentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Payment,
+      key: 'id'
+    }
+  },
+  refundId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: Refund,
+      key: 'id'
+    }
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    },
+    comment: 'Admin who granted a promotional credit'
+  }
+}, {
+  tableName: 'wallet_transactions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['walletId', 'id']
+    },
+    {
+      fields: ['userId', 'createdAt']
+    },
+    {
+      fields: ['paymentId', 'source']
+    },
+    {
+      fields: ['source', 'expiresAt']
+    }
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Wallet transactions cannot be changed');
+    },
+    beforeDestroy: () => {
+      throw new Error('Wallet transactions cannot be deleted');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Wallet transactions cannot be changed');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Wallet transactions cannot be deleted');
+    }
+  }
+});
+
+Wallet.hasMany(WalletTransaction, { foreignKey: 'walletId', as: 'transactions' });
+WalletTransaction.belongsTo(Wallet, { foreignKey: 'walletId', as: 'wallet' });
+WalletTransaction.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+module.exports = WalletTransaction;
@@ -184,6 +184,23 @@ const upload = multer({
  *           type: string
  *           description: Geographic coordinates or location pin
  *           example: "400001"
+ *         latitude:
+ *           type: number
+ *           description: Latitude of the clinic, given together with longitude
+ *           example: 18.9388
+ *         longitude:
+ *           type: number
+ *           example: 72.8354
+ *         consultationFee:
+ *           type: number
+ *           description: Fee charged at the clinic
+ *           example: 500
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Languages spoken; a comma separated list is also accepted
+ *           example: ["English", "Hindi"]
  *         startTime:
  *           type: string
  *           format: time
@@ -812,7 +829,7 @@ const upload = multer({
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, completed, canceled, rejected, reschedule_requested]
+ *           enum: [pending, confirmed, completed, canceled, rejected, reschedule_requested, no_show]
  *         description: Filter by appointment status
  *       - in: query
  *         name: fromDate
@@ -883,7 +900,7 @@ const upload = multer({
  *                             example: "physical"
  *                           status:
  *                             type: string
- *                             enum: [pending, confirmed, completed, canceled, rejected, reschedule_requested]
+ *                             enum: [pending, confirmed, completed, canceled, rejected, reschedule_requested, no_show]
  *                             example: "confirmed"
  *                           notes:
  *                             type: string
@@ -1196,6 +1213,311 @@ const upload = multer({
  *         $ref: '#/components/responses/ServerError'
  */
 
+/**
+ * @swagger
+ * /admin/user/{userId}/sessions:
+ *   get:
+ *     summary: List a user's login sessions (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include revoked and expired sessions
+ *     responses:
+ *       200:
+ *         description: User sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserSession'
+ *       404:
+ *         description: User not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Sign a user out of all devices (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+/**
+ * @swagger
+ * /admin/user/{userId}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single session of a user (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: User or active session not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduledJob:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "appointment-reminders"
+ *         intervalSeconds:
+ *           type: integer
+ *           example: 300
+ *         isEnabled:
+ *           type: boolean
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Instance currently running the job
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastStatus:
+ *           type: string
+ *           enum: [success, failed]
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         jobName:
+ *           type: string
+ *           example: "payment-reconciliation"
+ *         status:
+ *           type: string
+ *           enum: [running, success, failed]
+ *         instanceId:
+ *           type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         durationMs:
+ *           type: integer
+ *         result:
+ *           type: object
+ *           description: Summary returned by the job, e.g. checked, resolved and expired counts
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /admin/jobs:
+ *   get:
+ *     summary: List background jobs and their current state (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduledJob'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+/**
+ * @swagger
+ * /admin/jobs/runs:
+ *   get:
+ *     summary: Background job run history, newest first (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: jobName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, success, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRun'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+/**
+ * @swagger
+ * /admin/jobs/{jobName}/runs:
+ *   get:
+ *     summary: Run history of a single background job (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, success, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
 // Routes
 router.get('/users', authenticate(), authorize('admin'), adminController.listAllUsers);
 router.post('/user', authenticate(), authorize('admin'), adminController.createOrUpdateUser);
@@ -1211,6 +1533,12 @@ router.put('/doctor/:id', authenticate(), authorize('admin'), upload.fields([
 router.get('/doctor/:doctorId/appointments', authenticate(), authorize('admin'), adminController.getDoctorAppointments);
 router.get('/patient/:userId', authenticate(), authorize('admin'), adminController.getPatientDetails);
 router.patch('/patient/:userId/status', authenticate(), authorize('admin'), adminController.togglePatientStatus);
+router.get('/user/:userId/sessions', authenticate(), authorize('admin'), adminController.getUserSessions);
+router.delete('/user/:userId/sessions', authenticate(), authorize('admin'), adminController.revokeUserSessions);
+router.delete('/user/:userId/sessions/:sessionId', authenticate(), authorize('admin'), adminController.revokeUserSessions);
+router.get('/jobs', authenticate(), authorize('admin'), adminController.listScheduledJobs);
+router.get('/jobs/runs', authenticate(), authorize('admin'), adminController.getJobRuns);
+router.get('/jobs/:jobName/runs', authenticate(), authorize('admin'), adminController.getJobRuns);
 
 // Dental Image Admin Routes
 const dentalImageController = require('../controllers/dentalImage.controller');
@@ -191,11 +191,122 @@ const { authenticate, authorize } = require('../middleware/auth');
  *         $ref: '#/components/responses/ServerError'
  */
 
+/**
+ * @swagger
+ * /admin/settings/appointment-policies:
+ *   get:
+ *     summary: Get cancellation, reschedule and no-show policies
+ *     description: Returns one policy per appointment type. Types that were never configured report the defaults with isDefault set.
+ *     tags: [Admin Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Appointment policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Appointment policies retrieved successfully"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AppointmentPolicy'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+/**
+ * @swagger
+ * /admin/settings/appointment-policies/{appointmentType}:
+ *   put:
+ *     summary: Update the policy of an appointment type
+ *     description: |
+ *       Patients cancelling inside the free cancellation window get their payment back minus the late cancellation fee,
+ *       or cannot cancel at all when allowLateCancellation is false. Nothing is refunded once the appointment has started.
+ *       The fee is only kept from what was paid online or from the wallet: unpaid bookings, such as clinic appointments
+ *       paid at the visit, are not charged, and a fixed fee is capped at the amount paid. A package appointment cancelled
+ *       late, with a fee above 0, or after its start is not given back to the package.
+ *       Doctors can always cancel without a penalty. Fields that are left out keep their current value.
+ *     tags: [Admin Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [physical, virtual]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               freeCancellationHours:
+ *                 type: integer
+ *                 example: 24
+ *               allowLateCancellation:
+ *                 type: boolean
+ *                 example: true
+ *               lateCancellationFeeType:
+ *                 type: string
+ *                 enum: [percent, fixed]
+ *               lateCancellationFee:
+ *                 type: number
+ *                 example: 50
+ *               maxReschedules:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 2
+ *               rescheduleCutoffHours:
+ *                 type: integer
+ *                 example: 12
+ *               noShowAfterMinutes:
+ *                 type: integer
+ *                 example: 30
+ *     responses:
+ *       200:
+ *         description: Appointment policy updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/AppointmentPolicy'
+ *       400:
+ *         description: Invalid appointment type or policy values
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
 // Routes
 router.get('/', authenticate(), authorize('admin'), adminSettingController.getAdminSettings);
 router.put('/', authenticate(), authorize('admin'), adminSettingController.updateAdminSettings);
 router.get('/all', authenticate(), authorize('admin'), adminSettingController.getAllAdminSettings);
 router.delete('/', authenticate(), authorize('admin'), adminSettingController.deleteAdminSettings);
+router.get('/appointment-policies', authenticate(), authorize('admin'), adminSettingController.getAppointmentPolicies);
+router.put('/appointment-policies/:appointmentType', authenticate(), authorize('admin'), adminSettingController.updateAppointmentPolicy);
 
 module.exports = router;
 
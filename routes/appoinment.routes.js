@@ -42,6 +42,22 @@ const { authenticate } = require('../middleware/auth');
  *           type: string
  *           description: Additional notes for the appointment
  *           example: "Patient has fever and headache"
+ *         waitlistEntryId:
+ *           type: integer
+ *           description: Waitlist entry whose offered slot is being booked; the slot is reserved for the patient until the offer expires
+ *           example: 12
+ *         treatmentStepId:
+ *           type: integer
+ *           description: Accepted treatment plan step to book; the visit must be a clinic visit with the plan's doctor. The step is marked done when the appointment is completed.
+ *           example: 31
+ *         packagePurchaseId:
+ *           type: integer
+ *           description: Active package of the patient that pays for the appointment; one of its appointments is used and given back if the appointment is cancelled or rejected
+ *           example: 12
+ *         familyMemberId:
+ *           type: integer
+ *           description: Family member on the patient's profile the appointment is for. With a package, the member must share it.
+ *           example: 4
  *     RescheduleRequest:
  *       type: object
  *       required:
@@ -70,6 +86,11 @@ const { authenticate } = require('../middleware/auth');
  *           type: string
  *           description: Reason for cancellation
  *           example: "Patient recovered"
+ *         refundTo:
+ *           type: string
+ *           enum: [original, wallet]
+ *           default: original
+ *           description: Patients only; wallet credits the refund to the patient wallet instead of the original payment method
  *     CompleteRequest:
  *       type: object
  *       properties:
@@ -78,9 +99,13 @@ const { authenticate } = require('../middleware/auth');
  *           description: Doctor's consultation notes
  *           example: "Patient diagnosed with viral fever. Prescribed rest and medication."
  *         prescription:
- *           type: string
- *           description: Prescribed medications
- *           example: "Paracetamol 500mg twice daily for 3 days"
+ *           description: |
+ *             Prescribed medications. Free text is stored as is; a structured prescription is
+ *             signed and can be downloaded as a PDF from /prescriptions.
+ *           oneOf:
+ *             - type: string
+ *               example: "Paracetamol 500mg twice daily for 3 days"
+ *             - $ref: '#/components/schemas/PrescriptionInput'
  *     Appointment:
  *       type: object
  *       properties:
@@ -103,7 +128,7 @@ const { authenticate } = require('../middleware/auth');
  *           example: "physical"
  *         status:
  *           type: string
- *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested]
+ *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested, no_show]
  *           example: "pending"
  *         notes:
  *           type: string
@@ -152,6 +177,48 @@ const { authenticate } = require('../middleware/auth');
  *           enum: [patient, doctor]
  *           nullable: true
  *           example: "patient"
+ *         cancellationFee:
+ *           type: number
+ *           nullable: true
+ *           description: Late cancellation penalty kept from the payment under the appointment policy; null for unpaid bookings
+ *           example: 250
+ *         rescheduleCount:
+ *           type: integer
+ *           description: Approved reschedules so far
+ *           example: 0
+ *         patientJoinedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         doctorJoinedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         noShowMarkedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when a virtual appointment nobody joined was marked no_show
+ *         seriesId:
+ *           type: integer
+ *           nullable: true
+ *           description: Recurring series the visit belongs to, see /appointment-series
+ *         seriesSequence:
+ *           type: integer
+ *           nullable: true
+ *           description: Visit number within the series
+ *         treatmentStepId:
+ *           type: integer
+ *           nullable: true
+ *           description: Treatment plan step booked in this appointment
+ *         packagePurchaseId:
+ *           type: integer
+ *           nullable: true
+ *           description: Package that paid for this appointment
+ *         familyMemberId:
+ *           type: integer
+ *           nullable: true
+ *           description: Family member the appointment is for
  *         rejectionReason:
  *           type: string
  *           nullable: true
@@ -425,6 +492,7 @@ const { authenticate } = require('../middleware/auth');
  *                 status: "pending"
  *                 notes: "Patient has fever and headache"
  *                 bookingDate: "2024-12-20T08:00:00.000Z"
+ *                 slotHoldExpiresAt: null
  *       400:
  *         description: Invalid request data
  *         content:
@@ -450,8 +518,24 @@ const { authenticate } = require('../middleware/auth');
  *                   status: "error"
  *                   code: 400
  *                   message: "Time slot is full. Please choose another time."
+ *               waitlist_offer_expired:
+ *                 summary: Waitlist offer no longer open
+ *                 value:
+ *                   status: "error"
+ *                   code: 400
+ *                   message: "The time to claim this slot has run out"
+ *                   reason: "WAITLIST_OFFER_EXPIRED"
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Another booking for the same slot is in progress, retry
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "error"
+ *               code: 409
+ *               message: "This time slot is being booked by someone else. Please try again."
+ *               reason: "SLOT_BUSY"
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -631,6 +715,20 @@ router.patch('/:id/reject', authenticate(), controller.rejectAppointment);
  *                   status: "error"
  *                   code: 400
  *                   message: "The requested time slot is not available"
+ *               limit_reached:
+ *                 summary: Reschedule limit of the appointment policy reached
+ *                 value:
+ *                   status: "error"
+ *                   code: 400
+ *                   message: "This appointment has already been rescheduled the maximum of 2 time(s)"
+ *                   reason: "RESCHEDULE_LIMIT_REACHED"
+ *               window_closed:
+ *                 summary: Too close to the appointment to reschedule
+ *                 value:
+ *                   status: "error"
+ *                   code: 400
+ *                   message: "Appointments can only be rescheduled up to 12 hours before the start time"
+ *                   reason: "RESCHEDULE_WINDOW_CLOSED"
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  *       404:
@@ -751,7 +849,14 @@ router.patch('/:id/reject-reschedule', authenticate(), controller.rejectReschedu
  * /appointments/{id}/cancel:
  *   patch:
  *     summary: Cancel an appointment
- *     description: Cancel an appointment. Both patient and doctor can cancel appointments with an optional reason.
+ *     description: |
+ *       Cancel an appointment. Both patient and doctor can cancel appointments with an optional reason.
+ *       Patients are bound by the appointment policy of the appointment type (see /admin/settings/appointment-policies).
+ *       A paid appointment is refunded through PhonePe in full when the doctor cancels or the patient cancels before the
+ *       free cancellation window, minus the late cancellation fee inside the window, and not at all once the appointment
+ *       has started. The fee is only kept from what was paid, so unpaid bookings are not charged. A package appointment
+ *       is given back to its package unless the patient cancels it late or after its start. Redeem codes used for the
+ *       booking are released.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -792,16 +897,34 @@ router.patch('/:id/reject-reschedule', authenticate(), controller.rejectReschedu
  *                 cancelReason: "Patient recovered"
  *                 canceledBy: "patient"
  *                 canceledAt: "2024-12-24T16:00:00.000Z"
+ *                 cancellationFee: 250
+ *                 refund:
+ *                   paymentId: 42
+ *                   rule: "late_cancellation"
+ *                   fee: 250
+ *                   amount: 250
+ *                   status: "processing"
+ *                   refundId: 7
  *       400:
  *         description: Cannot cancel appointment
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
- *             example:
- *               status: "error"
- *               code: 400
- *               message: "Cannot cancel appointment with status: completed"
+ *             examples:
+ *               invalid_status:
+ *                 summary: Appointment already finished
+ *                 value:
+ *                   status: "error"
+ *                   code: 400
+ *                   message: "Cannot cancel appointment with status: completed"
+ *               window_closed:
+ *                 summary: Late cancellation not allowed by the appointment policy
+ *                 value:
+ *                   status: "error"
+ *                   code: 400
+ *                   message: "Clinic appointments can only be cancelled up to 24 hours before the start time"
+ *                   reason: "CANCELLATION_WINDOW_CLOSED"
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  *       404:
@@ -859,7 +982,7 @@ router.patch('/:id/cancel', authenticate(), controller.cancelAppointment);
  *                 prescription: "Paracetamol 500mg twice daily for 3 days"
  *                 completedAt: "2024-12-25T11:00:00.000Z"
  *       400:
- *         description: Cannot complete appointment
+ *         description: Cannot complete appointment, invalid prescription, or the prescription could not be signed (nothing is saved)
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  *       404:
@@ -891,7 +1014,7 @@ router.patch('/:id/complete', authenticate(), controller.completeAppointment);
  *         description: Filter by appointment status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested]
+ *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested, no_show]
  *           example: "confirmed"
  *       - in: query
  *         name: fromDate
@@ -1004,7 +1127,7 @@ router.get('/user/:userId', authenticate(), controller.getUserAppointments);
  *         description: Filter by appointment status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested]
+ *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested, no_show]
  *           example: "pending"
  *       - in: query
  *         name: fromDate
@@ -1539,7 +1662,7 @@ router.patch('/virtual/:id/reject-reschedule', authenticate(['virtual-doctor']),
  * /appointments/virtual/{id}/cancel:
  *   patch:
  *     summary: Cancel a virtual appointment (Virtual Doctor only)
- *     description: Cancel a virtual appointment with an optional reason. Only virtual doctors can cancel virtual appointments.
+ *     description: Cancel a virtual appointment with an optional reason. Only virtual doctors can cancel virtual appointments. Any payment for the appointment is refunded in full and the response data includes a refund summary.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -1639,7 +1762,7 @@ router.patch('/virtual/:id/cancel', authenticate(['virtual-doctor']), controller
  *                 prescription: "Paracetamol 500mg twice daily for 3 days"
  *                 completedAt: "2024-12-25T11:00:00.000Z"
  *       400:
- *         description: Cannot complete appointment
+ *         description: Cannot complete appointment, invalid prescription, or the prescription could not be signed (nothing is saved)
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  *       404:
@@ -1664,7 +1787,7 @@ router.patch('/virtual/:id/complete', authenticate(['virtual-doctor']), controll
  *         description: Filter by appointment status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested]
+ *           enum: [pending, confirmed, rejected, canceled, completed, reschedule_requested, no_show]
  *           example: "pending"
  *       - in: query
  *         name: fromDate
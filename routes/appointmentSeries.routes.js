@@ -0,0 +1,403 @@
+const express = require('express');
+const router = express.Router();
+const appointmentSeriesController = require('../controllers/appointmentSeries.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Appointment Series
+ *     description: Recurring visits with the same doctor for multi-visit treatments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AppointmentSeriesInput:
+ *       type: object
+ *       required:
+ *         - doctorId
+ *         - startDateTime
+ *         - occurrences
+ *       properties:
+ *         userId:
+ *           type: integer
+ *           description: Patient; required when a doctor or admin books the series, ignored for patients
+ *           example: 1
+ *         doctorId:
+ *           type: integer
+ *           description: Doctor for all visits; doctors booking for a patient may leave it out
+ *           example: 2
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *           description: First visit (IST); later visits keep the same time of day
+ *           example: "2026-11-02T10:30:00.000"
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 52
+ *           default: 1
+ *           example: 2
+ *         intervalUnit:
+ *           type: string
+ *           enum: [days, weeks, months]
+ *           default: weeks
+ *         occurrences:
+ *           type: integer
+ *           minimum: 2
+ *           description: Number of visits, at most APPOINTMENT_SERIES_MAX_VISITS (24 by default)
+ *           example: 6
+ *         title:
+ *           type: string
+ *           example: Orthodontic adjustments
+ *         notes:
+ *           type: string
+ *     SeriesVisit:
+ *       type: object
+ *       properties:
+ *         sequence:
+ *           type: integer
+ *           example: 3
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         end:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         conflict:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             code:
+ *               type: string
+ *               enum: [TOO_SOON, OUTSIDE_SCHEDULE, SLOT_TAKEN, PATIENT_BUSY]
+ *             message:
+ *               type: string
+ *     AppointmentSeries:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         userId:
+ *           type: integer
+ *         doctorId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         interval:
+ *           type: integer
+ *           example: 2
+ *         intervalUnit:
+ *           type: string
+ *           enum: [days, weeks, months]
+ *         occurrences:
+ *           type: integer
+ *           example: 6
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [active, canceled, completed]
+ *         notes:
+ *           type: string
+ *         createdBy:
+ *           type: integer
+ *         cancelReason:
+ *           type: string
+ *         canceledBy:
+ *           type: string
+ *         canceledAt:
+ *           type: string
+ *           format: date-time
+ *         appointments:
+ *           type: array
+ *           description: Visits of the series; each carries seriesId and seriesSequence and can be changed on its own
+ *           items:
+ *             $ref: '#/components/schemas/Appointment'
+ */
+
+/**
+ * @swagger
+ * /appointment-series/preview:
+ *   post:
+ *     summary: Check a recurring series for conflicts
+ *     description: Works out the visit times and checks each against the doctor's schedule, leave, other appointments and the patient's appointments that day. Nothing is booked.
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AppointmentSeriesInput'
+ *     responses:
+ *       200:
+ *         description: Visit times with their conflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookable:
+ *                       type: boolean
+ *                     visits:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SeriesVisit'
+ *       400:
+ *         description: Validation failed or doctor not available
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/preview', authenticate(), appointmentSeriesController.previewSeries);
+
+/**
+ * @swagger
+ * /appointment-series:
+ *   post:
+ *     summary: Book a recurring appointment series
+ *     description: |
+ *       Books every visit of the series with the same doctor, or none of them when any visit conflicts.
+ *       Series booked by patients are pending until the doctor confirms each visit; series booked by the
+ *       doctor or an admin are confirmed straight away.
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AppointmentSeriesInput'
+ *     responses:
+ *       201:
+ *         description: Series booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AppointmentSeries'
+ *       400:
+ *         description: Validation failed, doctor not available or invalid patient
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Doctors can only book series with themselves
+ *       409:
+ *         description: Some visits conflict (reason SERIES_CONFLICT); data.visits lists each visit and its conflict
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticate(), appointmentSeriesController.bookSeries);
+
+/**
+ * @swagger
+ * /appointment-series:
+ *   get:
+ *     summary: Get appointment series
+ *     description: Patients get their own series, doctors the series booked with them and admins all series
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, canceled, completed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Appointment series retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticate(), appointmentSeriesController.getSeriesList);
+
+/**
+ * @swagger
+ * /appointment-series/{id}:
+ *   get:
+ *     summary: Get an appointment series with its visits
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment series retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/AppointmentSeries'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the patient or doctor of the series
+ *       404:
+ *         description: Appointment series not found
+ */
+router.get('/:id', authenticate(), appointmentSeriesController.getSeriesById);
+
+/**
+ * @swagger
+ * /appointment-series/{id}/cancel:
+ *   patch:
+ *     summary: Cancel the upcoming visits of a series
+ *     description: |
+ *       Cancels every upcoming visit that is not completed or cancelled already. For patients the
+ *       cancellation policy applies to each visit; visits inside a closed cancellation window are kept
+ *       and listed in keptAppointments.
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancelReason:
+ *                 type: string
+ *                 example: Treatment moved to another clinic
+ *     responses:
+ *       200:
+ *         description: Visits canceled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/AppointmentSeries'
+ *                     - type: object
+ *                       properties:
+ *                         canceledAppointmentIds:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                         keptAppointments:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               appointmentId:
+ *                                 type: integer
+ *                               sequence:
+ *                                 type: integer
+ *                               reason:
+ *                                 type: string
+ *                                 example: CANCELLATION_WINDOW_CLOSED
+ *                               message:
+ *                                 type: string
+ *       400:
+ *         description: Series is not active
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the patient or doctor of the series
+ *       404:
+ *         description: Appointment series not found
+ */
+router.patch('/:id/cancel', authenticate(), appointmentSeriesController.cancelSeries);
+
+/**
+ * @swagger
+ * /appointment-series/{id}/reschedule:
+ *   patch:
+ *     summary: Reschedule the upcoming visits of a series
+ *     description: |
+ *       Moves the upcoming pending and confirmed visits so the first of them is at startDateTime and the
+ *       rest follow one interval apart. Visits with their own open reschedule request are left alone.
+ *       Nothing is moved when any new time conflicts. Only the series doctor or an admin can do this;
+ *       patients reschedule single visits with PATCH /appointments/{id}/reschedule.
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDateTime
+ *             properties:
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-11-09T11:00:00.000"
+ *               interval:
+ *                 type: integer
+ *                 description: Defaults to the current interval
+ *               intervalUnit:
+ *                 type: string
+ *                 enum: [days, weeks, months]
+ *     responses:
+ *       200:
+ *         description: Visits rescheduled
+ *       400:
+ *         description: Validation failed, series not active or no upcoming visits (reason NOTHING_TO_RESCHEDULE)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the series doctor or an admin can reschedule
+ *       404:
+ *         description: Appointment series not found
+ *       409:
+ *         description: Some new times conflict (reason SERIES_CONFLICT); data.visits lists each visit and its conflict
+ */
+router.patch('/:id/reschedule', authenticate(), appointmentSeriesController.rescheduleSeries);
+
+module.exports = router;
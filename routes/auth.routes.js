@@ -124,6 +124,45 @@
  *           enum: ["user", "doctor", "admin"]
  *           default: user
  *           description: Required only for new user registration
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 42
+ *         deviceName:
+ *           type: string
+ *           example: "Pixel 7"
+ *         platform:
+ *           type: string
+ *           example: "android"
+ *         userAgent:
+ *           type: string
+ *         ipAddress:
+ *           type: string
+ *           example: "203.0.113.10"
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [logout, logout_all, revoked_by_user, revoked_by_admin, token_reuse, expired]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *         isCurrent:
+ *           type: boolean
+ *           description: True for the session making the request
  *     UserResponse:
  *       type: object
  *       properties:
@@ -150,8 +189,15 @@
  *               example: "user"
  *             token:
  *               type: string
- *               description: JWT token for authentication
+ *               description: Short-lived JWT access token
  *               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *             refreshToken:
+ *               type: string
+ *               description: Long-lived token used with /auth/refresh to obtain a new access token
+ *               example: "42.9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *             refreshTokenExpiresAt:
+ *               type: string
+ *               format: date-time
  *             doctorId:
  *               type: integer
  *               description: Present if user role is doctor
@@ -236,6 +282,18 @@ const { authenticate } = require('../middleware/auth');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: OTP resend cooldown, hourly send limit or attempt lockout in effect (see retryAfter, in seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: The OTP SMS could not be sent; the OTP is revoked so a new one can be requested straight away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -306,6 +364,18 @@ router.post('/send-otp', authController.sendOtp);
  *                 message:
  *                   type: string
  *                   example: "User not found"
+ *       429:
+ *         description: OTP resend cooldown, hourly send limit or attempt lockout in effect (see retryAfter, in seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: The OTP SMS could not be sent; the OTP is revoked so a new one can be requested straight away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -383,6 +453,13 @@ router.post('/send-login-otp', authController.sendLoginOtp);
      *                 enum: [user, doctor, admin]
      *                 default: user
      *                 description: Required only for new user registration
+ *               referralCode:
+ *                 type: string
+ *                 description: Optional referral code of a friend, for new patients. The result is returned as data.referral.
+ *                 example: PRIYA7KQ2MXHD
+ *               deviceId:
+ *                 type: string
+ *                 description: Identifier of the device, used to spot repeated referral sign-ups; the X-Device-Id header also works
  *     responses:
  *       200:
  *         description: Login successful (existing user)
@@ -483,6 +560,12 @@ router.post('/send-login-otp', authController.sendLoginOtp);
      *                       value: "Registration data required: name, password, gender, and email are needed for new user registration"
  *                     validationError:
  *                       value: "Password must be at least 6 characters long"
+ *       429:
+ *         description: Phone locked out after too many incorrect OTP attempts (see retryAfter, in seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -616,6 +699,18 @@ router.post('/check-user-exists', authController.checkUserExists);
  *                 message:
  *                   type: string
  *                   example: "User not found"
+ *       429:
+ *         description: OTP resend cooldown, hourly send limit or attempt lockout in effect (see retryAfter, in seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: The OTP SMS could not be sent; the OTP is revoked so a new one can be requested straight away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -704,6 +799,12 @@ router.post('/send-reset-otp', authController.sendResetOtp);
  *                 message:
  *                   type: string
  *                   example: "User not found"
+ *       429:
+ *         description: Phone locked out after too many incorrect OTP attempts (see retryAfter, in seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -764,6 +865,9 @@ router.post('/reset-password', authController.resetPassword);
  *                 default: user
  *                 description: User role (user creates patient record, doctor creates doctor record, admin creates admin settings)
  *                 example: "user"
+ *               deviceId:
+ *                 type: string
+ *                 description: Identifier of the device, used to spot referral sign-ups on it; the X-Device-Id header also works
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -861,6 +965,14 @@ router.post('/register', authController.register);
  *                 type: string
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Shown in the active sessions list (also accepted as X-Device-Name header)
+ *                 example: "Pixel 7"
+ *               platform:
+ *                 type: string
+ *                 description: Device platform (also accepted as X-Device-Platform header)
+ *                 example: "android"
  *     responses:
  *       200:
  *         description: Login successful
@@ -916,6 +1028,213 @@ router.post('/login', authController.login);
  */
 router.get('/profile', authenticate(), authController.getProfile);
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: |
+ *       Rotates the refresh token: the response contains a new refresh token and the one
+ *       presented can no longer be used. Presenting an already rotated token again is treated
+ *       as theft and revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Token refreshed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Refresh token invalid, expired, reused or its session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: "Session has been revoked"
+ *                 code:
+ *                   type: string
+ *                   enum: [INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REUSED, SESSION_REVOKED]
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', authController.refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token; its refresh token stops working immediately. Devices registered for push notifications with the session are unregistered.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Only needed for access tokens issued before sessions were introduced
+ *               fcmToken:
+ *                 type: string
+ *                 description: FCM token of this device, to unregister it even if it was registered without a session
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: No session found for this token
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', authenticate(), authController.logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepCurrent:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep the session making this request signed in
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out from all devices"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedCount:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout-all', authenticate(), authController.logoutAllDevices);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSession'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/sessions', authenticate(), authController.getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     description: Use this to sign out a lost or stolen device.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Active session not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/sessions/:sessionId', authenticate(), authController.revokeSession);
+
 /**
  * @swagger
  * components:
@@ -963,6 +1282,7 @@ router.get('/profile', authenticate(), authController.getProfile);
  *           phone: "9876543210"
  *           role: "user"
  *           token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *           refreshToken: "42.9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
  *           patientId: 1
  *     RegisterResponseExample:
  *       summary: Registration response
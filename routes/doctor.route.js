@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const doctorController = require('../controllers/doctor.controller');
 const adminController = require('../controllers/admin.controller');
+const doctorScheduleController = require('../controllers/doctorSchedule.controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const multer = require('multer');
 
@@ -95,13 +96,44 @@ const upload = multer({
  *           example: "Mumbai"
  *         locationPin:
  *           type: string
- *           description: Geographic coordinates or location pin
- *           example: "19.0760,72.8777"
+ *           description: 6-digit PIN code of the clinic
+ *           example: "400001"
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *           description: Latitude of the clinic, used for distance in doctor search
+ *           example: 18.9388
+ *         longitude:
+ *           type: number
+ *           nullable: true
+ *           example: 72.8354
+ *         consultationFee:
+ *           type: number
+ *           nullable: true
+ *           description: Fee charged at the clinic
+ *           example: 500
+ *         languages:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           example: ["English", "Hindi", "Marathi"]
  *         isApproved:
  *           type: boolean
  *           description: Approval status (set by admin)
  *           default: false
  *           readOnly: true
+ *         averageRating:
+ *           type: number
+ *           nullable: true
+ *           description: Average of the published reviews; null until the first review
+ *           example: 4.6
+ *           readOnly: true
+ *         reviewCount:
+ *           type: integer
+ *           description: Number of published reviews
+ *           example: 27
+ *           readOnly: true
  *         is_active:
  *           type: boolean
  *           description: Whether the doctor profile is active
@@ -236,6 +268,21 @@ const upload = multer({
  *                 pattern: '^[0-9]{6}$'
  *                 description: 6-digit location pin code
  *                 example: "400001"
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the clinic, given together with longitude. Left out, the clinic is placed at its PIN code.
+ *                 example: 18.9388
+ *               longitude:
+ *                 type: number
+ *                 example: 72.8354
+ *               consultationFee:
+ *                 type: number
+ *                 description: Fee charged at the clinic
+ *                 example: 500
+ *               languages:
+ *                 type: string
+ *                 description: JSON array or comma separated list of languages spoken
+ *                 example: "English, Hindi"
  *               startTime:
  *                 type: string
  *                 format: time
@@ -731,6 +778,12 @@ router.get('/details/:id', authenticate(), authorize('admin'), adminController.g
  *         schema:
  *           type: string
  *         description: City name to search for doctors
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [rating]
+ *         description: Highest rated first; doctors without reviews come last
  *     responses:
  *       200:
  *         description: Doctors retrieved successfully
@@ -841,8 +894,15 @@ router.put('/toggle-status/:id', authenticate(), authorize('admin'), adminContro
  * /doctors/getAllDoctors:
  *   get:
  *     summary: Get all approved and active doctors (regular doctors only)
- *     description: Retrieve all approved and active regular doctors. For virtual doctors, use the dedicated virtual doctor endpoints.
+ *     description: Retrieve all approved and active regular doctors, newest first. For virtual doctors, use the dedicated virtual doctor endpoints.
  *     tags: [Doctors]
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [rating]
+ *         description: Highest rated first; doctors without reviews come last
  *     responses:
  *       200:
  *         description: List of all approved and active doctors
@@ -888,6 +948,152 @@ router.put('/toggle-status/:id', authenticate(), authorize('admin'), adminContro
  */
 router.get('/getAllDoctors', doctorController.getAllDoctors);
 
+/**
+ * @swagger
+ * /doctors/search:
+ *   get:
+ *     summary: Search clinic doctors
+ *     description: Approved, active clinic doctors matching all the filters given. Without coordinates results are ordered by relevance, which weighs the text match, rating and experience, and nearness when coordinates are given. Distance is worked out from the clinic coordinates, or else from the coordinates of the clinic's PIN code; doctors whose place is unknown either way have no distance and are left out when a radius is given.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Text matched against the doctor's name, specialty and clinic name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cityId
+ *         description: City from the location lists
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: stateId
+ *         description: State from the location lists
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: city
+ *         description: City name, when no cityId is given
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         description: State name, when no stateId is given
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: languages
+ *         description: Comma separated; doctors speaking any of them match
+ *         schema:
+ *           type: string
+ *           example: Hindi,Marathi
+ *       - in: query
+ *         name: minFee
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxFee
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minExperience
+ *         description: Years of experience
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxExperience
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *           enum: [Male, Female, Other]
+ *       - in: query
+ *         name: date
+ *         description: Only doctors with a free clinic slot on this date (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: latitude
+ *         description: Patient latitude, given together with longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         description: Maximum distance in km, 1 to 500
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         description: Defaults to distance when coordinates are given, relevance otherwise
+ *         schema:
+ *           type: string
+ *           enum: [relevance, distance, rating, fee, experience]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Doctors retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/DoctorProfile'
+ *                       - type: object
+ *                         properties:
+ *                           distance:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Distance from the patient in km
+ *                             example: 3.4
+ *                           relevance:
+ *                             type: number
+ *                             example: 4.125
+ *                           freeSlots:
+ *                             type: integer
+ *                             description: Free clinic slots on the date, when a date is given
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid search
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/search', doctorController.searchDoctors);
+
 /**
  * @swagger
  * /doctors/getAllVirtualDoctors:
@@ -1048,6 +1254,242 @@ router.get('/getAllVirtualDoctors', doctorController.getAllVirtualDoctors);
  */
 router.put('/approve/:id', authenticate(), authorize('admin'), adminController.toggleDoctorApproval);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorScheduleSession:
+ *       type: object
+ *       required:
+ *         - dayOfWeek
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *           description: ISO weekday (1 = Monday, 7 = Sunday)
+ *           example: 1
+ *         startTime:
+ *           type: string
+ *           example: "10:00"
+ *         endTime:
+ *           type: string
+ *           example: "13:00"
+ *         slotDuration:
+ *           type: integer
+ *           description: Slot length in minutes
+ *           default: 30
+ *           example: 20
+ *         breaks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 example: "11:30"
+ *               endTime:
+ *                 type: string
+ *                 example: "11:45"
+ *     DoctorLeave:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [leave, holiday]
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         startTime:
+ *           type: string
+ *           nullable: true
+ *           description: Set with endTime for a partial-day leave
+ *         endTime:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /doctors/schedule:
+ *   get:
+ *     summary: Get the logged-in doctor's weekly schedule and upcoming leaves
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       404:
+ *         description: Doctor profile not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Replace the logged-in doctor's weekly schedule
+ *     description: |
+ *       Each weekday may have several sessions (e.g. 10:00-13:00 and 17:00-20:00), each with its own
+ *       slot duration and breaks. Sending an empty list reverts to the working hours on the profile.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - schedules
+ *             properties:
+ *               schedules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/DoctorScheduleSession'
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *       400:
+ *         description: Invalid schedule (bad times, overlapping sessions, breaks outside a session)
+ *       404:
+ *         description: Doctor profile not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/schedule', authenticate(['doctor']), doctorScheduleController.getMySchedule);
+router.put('/schedule', authenticate(['doctor']), doctorScheduleController.updateMySchedule);
+
+/**
+ * @swagger
+ * /doctors/leaves:
+ *   get:
+ *     summary: List the logged-in doctor's leaves and holidays
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Leaves retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoctorLeave'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Add a leave or holiday
+ *     description: Blocks slot generation for the dates (or the time range on a single date). Existing bookings in the range are returned as conflictingAppointments.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-12-24"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-12-26"
+ *               startTime:
+ *                 type: string
+ *                 example: "14:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "16:00"
+ *               type:
+ *                 type: string
+ *                 enum: [leave, holiday]
+ *                 default: leave
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Leave added successfully
+ *       400:
+ *         description: Invalid dates or times
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/leaves', authenticate(['doctor']), doctorScheduleController.getMyLeaves);
+router.post('/leaves', authenticate(['doctor']), doctorScheduleController.addLeave);
+
+/**
+ * @swagger
+ * /doctors/leaves/{id}:
+ *   delete:
+ *     summary: Delete a leave or holiday
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave deleted successfully
+ *       404:
+ *         description: Leave not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.delete('/leaves/:id', authenticate(['doctor']), doctorScheduleController.deleteLeave);
+
+/**
+ * @swagger
+ * /doctors/{doctorId}/schedule:
+ *   get:
+ *     summary: Get a doctor's weekly schedule and upcoming leaves
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       404:
+ *         description: Doctor not found
+ */
+router.get('/:doctorId/schedule', doctorScheduleController.getDoctorSchedule);
+
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
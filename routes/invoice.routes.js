@@ -0,0 +1,301 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoice.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Invoices
+ *     description: GST tax invoices for payments and credit notes for refunds
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceLineItem:
+ *       type: object
+ *       properties:
+ *         kind:
+ *           type: string
+ *           enum: [service, discount, refund]
+ *         description:
+ *           type: string
+ *           example: Virtual Appointment #42 on 18 Oct 2026
+ *         sacCode:
+ *           type: string
+ *           nullable: true
+ *           example: '999312'
+ *         quantity:
+ *           type: integer
+ *           example: 1
+ *         amount:
+ *           type: number
+ *           description: Including GST; negative for discounts
+ *           example: 500
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *         invoiceNumber:
+ *           type: string
+ *           description: Sequential within the financial year
+ *           example: INV2627-000123
+ *         financialYear:
+ *           type: string
+ *           example: 2026-27
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         paymentId:
+ *           type: integer
+ *         refundId:
+ *           type: integer
+ *           nullable: true
+ *         originalInvoiceId:
+ *           type: integer
+ *           nullable: true
+ *           description: Invoice a credit note reduces
+ *         appointmentId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         supplier:
+ *           type: object
+ *           description: Clinic name, GSTIN, address and state
+ *         recipient:
+ *           type: object
+ *           description: Patient name and phone
+ *         doctor:
+ *           type: object
+ *           nullable: true
+ *         placeOfSupply:
+ *           type: string
+ *         lineItems:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InvoiceLineItem'
+ *         grossAmount:
+ *           type: number
+ *         discountAmount:
+ *           type: number
+ *         taxableAmount:
+ *           type: number
+ *         gstRate:
+ *           type: number
+ *           example: 18
+ *         cgstAmount:
+ *           type: number
+ *         sgstAmount:
+ *           type: number
+ *         igstAmount:
+ *           type: number
+ *         totalAmount:
+ *           type: number
+ *           description: Amount paid, or refunded for a credit note, including GST
+ *         reason:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /invoices:
+ *   get:
+ *     summary: Get invoices and credit notes
+ *     description: Patients get their own documents and admins everyone's
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *       - in: query
+ *         name: userId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate(), invoiceController.getInvoices);
+
+/**
+ * @swagger
+ * /invoices/register:
+ *   get:
+ *     summary: Export the invoice register
+ *     description: Invoices and credit notes issued in a date range, in number order, for the accounts team
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         description: Inclusive; at most 366 days after from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Invoice register
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invalid date range or type
+ *       403:
+ *         description: Admins only
+ */
+router.get('/register', authenticate(['admin']), invoiceController.exportRegister);
+
+/**
+ * @swagger
+ * /invoices/payments/{paymentId}:
+ *   get:
+ *     summary: Get the invoice and credit notes of a payment
+ *     description: The invoice is issued on request if the payment succeeded and it is still missing
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/Invoice'
+ *                     creditNotes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Payment has not succeeded (reason PAYMENT_NOT_INVOICEABLE)
+ *       403:
+ *         description: Not the patient of the payment
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/payments/:paymentId', authenticate(), invoiceController.getPaymentInvoices);
+
+/**
+ * @swagger
+ * /invoices/{id}:
+ *   get:
+ *     summary: Get an invoice or credit note
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       403:
+ *         description: Not the patient of the invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', authenticate(), invoiceController.getInvoiceById);
+
+/**
+ * @swagger
+ * /invoices/{id}/pdf:
+ *   get:
+ *     summary: Download an invoice or credit note as PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not the patient of the invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id/pdf', authenticate(), invoiceController.downloadInvoicePdf);
+
+module.exports = router;
@@ -13,6 +13,11 @@ router.post(
   controller.sendNotification
 );
 router.post("/add-fcm-token", authenticate(), controller.updateFcmToken);
+router.post("/remove-fcm-token", authenticate(), controller.removeFcmToken);
+router.get("/devices", authenticate(), controller.getMyDevices);
+router.delete("/devices/:id", authenticate(), controller.removeDevice);
+router.get("/preferences", authenticate(), controller.getPreferences);
+router.put("/preferences", authenticate(), controller.updatePreferences);
 router.get(
   "/admin/all",
   authenticate(),
@@ -37,4 +42,59 @@ router.post(
   authorize("admin"),
   controller.cleanupInvalidTokens
 );
+router.post("/campaigns/:campaignId/opened", authenticate(), controller.recordCampaignOpen);
+router.post(
+  "/admin/campaigns/preview",
+  authenticate(),
+  authorize("admin"),
+  controller.previewCampaignAudience
+);
+router.post(
+  "/admin/campaigns",
+  authenticate(),
+  authorize("admin"),
+  controller.createCampaign
+);
+router.get(
+  "/admin/campaigns",
+  authenticate(),
+  authorize("admin"),
+  controller.getCampaigns
+);
+router.get(
+  "/admin/campaigns/:id",
+  authenticate(),
+  authorize("admin"),
+  controller.getCampaign
+);
+router.get(
+  "/admin/campaigns/:id/recipients",
+  authenticate(),
+  authorize("admin"),
+  controller.getCampaignRecipients
+);
+router.put(
+  "/admin/campaigns/:id",
+  authenticate(),
+  authorize("admin"),
+  controller.updateCampaign
+);
+router.post(
+  "/admin/campaigns/:id/cancel",
+  authenticate(),
+  authorize("admin"),
+  controller.cancelCampaign
+);
+router.get(
+  "/admin/outbox",
+  authenticate(),
+  authorize("admin"),
+  controller.getOutbox
+);
+router.post(
+  "/admin/outbox/:id/retry",
+  authenticate(),
+  authorize("admin"),
+  controller.retryOutboxEvent
+);
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,514 @@
+const express = require('express');
+const router = express.Router();
+const packageController = require('../controllers/package.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Packages
+ *     description: Consultation packages and memberships patients buy up front and book appointments with
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Package:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: 5 Virtual Consultations
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         kind:
+ *           type: string
+ *           enum: [bundle, membership]
+ *           description: bundle is a number of appointments; membership covers appointments during its validity
+ *         appointmentType:
+ *           type: string
+ *           enum: [virtual, physical, any]
+ *         credits:
+ *           type: integer
+ *           nullable: true
+ *           description: Appointments included; null for a membership without a limit
+ *           example: 5
+ *         price:
+ *           type: number
+ *           description: Price in INR including GST
+ *           example: 1999
+ *         validityDays:
+ *           type: integer
+ *           description: Days the package can be used from the day it is paid for
+ *           example: 180
+ *         maxFamilyMembers:
+ *           type: integer
+ *           description: Family members the buyer can share the package with
+ *           example: 3
+ *         gstRate:
+ *           type: number
+ *           nullable: true
+ *         sacCode:
+ *           type: string
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *     PackageInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [bundle, membership]
+ *           default: bundle
+ *         appointmentType:
+ *           type: string
+ *           enum: [virtual, physical, any]
+ *           default: virtual
+ *         credits:
+ *           type: integer
+ *           nullable: true
+ *           description: Required for a bundle, 1 to 365
+ *         price:
+ *           type: number
+ *         validityDays:
+ *           type: integer
+ *           description: 1 to 1098
+ *         maxFamilyMembers:
+ *           type: integer
+ *           description: 0 to 10
+ *         gstRate:
+ *           type: number
+ *           nullable: true
+ *         sacCode:
+ *           type: string
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *     PackagePurchase:
+ *       type: object
+ *       description: Package bought by a patient, with the terms it was bought with
+ *       properties:
+ *         id:
+ *           type: integer
+ *         packageId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, active, expired, canceled, refunded]
+ *           description: pending until the payment succeeds
+ *         name:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [bundle, membership]
+ *         appointmentType:
+ *           type: string
+ *           enum: [virtual, physical, any]
+ *         totalCredits:
+ *           type: integer
+ *           nullable: true
+ *         usedCredits:
+ *           type: integer
+ *         remainingCredits:
+ *           type: integer
+ *           nullable: true
+ *           description: null when the package has no limit
+ *         price:
+ *           type: number
+ *         maxFamilyMembers:
+ *           type: integer
+ *         familyMemberIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         paymentId:
+ *           type: integer
+ *         activatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Appointments must take place before this time
+ *     PackageUsage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         purchaseId:
+ *           type: integer
+ *         appointmentId:
+ *           type: integer
+ *         familyMemberId:
+ *           type: integer
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [used, restored]
+ *           description: restored when the appointment was cancelled or rejected
+ *         usedAt:
+ *           type: string
+ *           format: date-time
+ *         restoredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         restoreReason:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /packages:
+ *   get:
+ *     summary: List packages on sale
+ *     tags: [Packages]
+ *     parameters:
+ *       - in: query
+ *         name: appointmentType
+ *         description: Also returns packages for any appointment type
+ *         schema:
+ *           type: string
+ *           enum: [virtual, physical]
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [bundle, membership]
+ *     responses:
+ *       200:
+ *         description: Packages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Package'
+ */
+router.get('/', packageController.getPackages);
+
+/**
+ * @swagger
+ * /packages/admin/all:
+ *   get:
+ *     summary: List packages, including inactive ones
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: appointmentType
+ *         schema:
+ *           type: string
+ *           enum: [virtual, physical]
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [bundle, membership]
+ *     responses:
+ *       200:
+ *         description: Packages retrieved successfully
+ *       403:
+ *         description: Admins only
+ */
+router.get('/admin/all', authenticate(['admin']), packageController.getPackages);
+
+/**
+ * @swagger
+ * /packages:
+ *   post:
+ *     summary: Create a package
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PackageInput'
+ *     responses:
+ *       201:
+ *         description: Package created successfully
+ *       400:
+ *         description: Invalid package, with the errors
+ *       403:
+ *         description: Admins only
+ */
+router.post('/', authenticate(['admin']), packageController.createPackage);
+
+/**
+ * @swagger
+ * /packages/purchases:
+ *   get:
+ *     summary: List packages bought
+ *     description: The patient's own purchases, newest first. Admins see all purchases or pass userId.
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, expired, canceled, refunded]
+ *       - in: query
+ *         name: userId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Package purchases retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PackagePurchase'
+ */
+router.get('/purchases', authenticate(['user', 'admin']), packageController.getPurchases);
+
+/**
+ * @swagger
+ * /packages/purchases/{purchaseId}:
+ *   get:
+ *     summary: Get a package bought
+ *     description: Includes the payment and the family members the package is shared with
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Package purchase retrieved successfully
+ *       404:
+ *         description: Package purchase not found
+ */
+router.get('/purchases/:purchaseId', authenticate(['user', 'admin']), packageController.getPurchaseById);
+
+/**
+ * @swagger
+ * /packages/purchases/{purchaseId}/members:
+ *   put:
+ *     summary: Share a package with family members
+ *     description: Replaces the family members who can book with the package. They must be on the patient's profile.
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - familyMemberIds
+ *             properties:
+ *               familyMemberIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Family members updated successfully
+ *       400:
+ *         description: TOO_MANY_FAMILY_MEMBERS, INVALID_FAMILY_MEMBERS or PACKAGE_NOT_ACTIVE
+ *       404:
+ *         description: Package purchase not found
+ */
+router.put('/purchases/:purchaseId/members', authenticate(['user']), packageController.setFamilyMembers);
+
+/**
+ * @swagger
+ * /packages/purchases/{purchaseId}/usages:
+ *   get:
+ *     summary: Get the appointments booked with a package
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Package usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalCredits:
+ *                       type: integer
+ *                       nullable: true
+ *                     usedCredits:
+ *                       type: integer
+ *                     remainingCredits:
+ *                       type: integer
+ *                       nullable: true
+ *                     usages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PackageUsage'
+ *       404:
+ *         description: Package purchase not found
+ */
+router.get('/purchases/:purchaseId/usages', authenticate(['user', 'admin']), packageController.getUsages);
+
+/**
+ * @swagger
+ * /packages/{id}:
+ *   get:
+ *     summary: Get a package
+ *     tags: [Packages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Package retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Package'
+ *       404:
+ *         description: Package not found
+ */
+router.get('/:id', packageController.getPackageById);
+
+/**
+ * @swagger
+ * /packages/{id}:
+ *   put:
+ *     summary: Update a package
+ *     description: Packages already bought keep the terms they were bought with
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PackageInput'
+ *     responses:
+ *       200:
+ *         description: Package updated successfully
+ *       400:
+ *         description: Invalid package, with the errors
+ *       404:
+ *         description: Package not found
+ */
+router.put('/:id', authenticate(['admin']), packageController.updatePackage);
+
+/**
+ * @swagger
+ * /packages/{id}/purchase:
+ *   post:
+ *     summary: Buy a package
+ *     description: Starts a PhonePe payment for the package price. The package becomes active once the payment succeeds. A payment still in progress for the same package is returned instead of starting another.
+ *     tags: [Packages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A payment for this package is already in progress
+ *       201:
+ *         description: Package payment initiated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     purchaseId:
+ *                       type: integer
+ *                     paymentId:
+ *                       type: integer
+ *                     merchantTransactionId:
+ *                       type: string
+ *                     paymentUrl:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *       400:
+ *         description: PAYMENT_INITIATION_FAILED
+ *       404:
+ *         description: Package not found
+ */
+router.post('/:id/purchase', authenticate(['user']), packageController.purchasePackage);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const patientController = require('../controllers/patient.controller');
+const odontogramController = require('../controllers/odontogram.controller');
 const { authenticate } = require('../middleware/auth');
 
 /**
@@ -382,6 +383,326 @@ router.post('/consultation-reports', authenticate(), patientController.addConsul
 router.get('/consultation-reports', authenticate(), patientController.getConsultationReports);
 router.get('/consultation-reports/:id', authenticate(), patientController.getConsultationReport);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ToothFindingInput:
+ *       type: object
+ *       required:
+ *         - toothNumber
+ *         - condition
+ *       properties:
+ *         toothNumber:
+ *           type: integer
+ *           description: FDI notation, 11-48 for permanent and 51-85 for primary teeth
+ *           example: 36
+ *         condition:
+ *           type: string
+ *           enum: [caries, filling, crown, missing, implant, rct]
+ *         surfaces:
+ *           type: array
+ *           description: Required for caries and filling. O is for premolars and molars, I for incisors and canines.
+ *           items:
+ *             type: string
+ *             enum: [M, D, O, I, B, L]
+ *           example: [M, O]
+ *         notes:
+ *           type: string
+ *     ToothFinding:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ToothFindingInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             patientId:
+ *               type: integer
+ *             familyMemberId:
+ *               type: integer
+ *               nullable: true
+ *             status:
+ *               type: string
+ *               enum: [active, resolved]
+ *             appointmentId:
+ *               type: integer
+ *               description: Appointment in which the finding was recorded
+ *             recordedBy:
+ *               type: integer
+ *             recordedAt:
+ *               type: string
+ *               format: date-time
+ *             resolvedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             resolvedInAppointmentId:
+ *               type: integer
+ *               nullable: true
+ *             replacedById:
+ *               type: integer
+ *               nullable: true
+ *               description: Finding that replaced this one, e.g. the filling placed over a caries
+ *             resolutionNote:
+ *               type: string
+ *               nullable: true
+ *     Odontogram:
+ *       type: object
+ *       properties:
+ *         patientId:
+ *           type: integer
+ *         familyMemberId:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           description: Family member name, when the chart is a family member's
+ *         teeth:
+ *           type: array
+ *           description: Charted teeth only; teeth without active findings are healthy
+ *           items:
+ *             type: object
+ *             properties:
+ *               toothNumber:
+ *                 type: integer
+ *                 example: 36
+ *               dentition:
+ *                 type: string
+ *                 enum: [permanent, primary]
+ *               findings:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ToothFinding'
+ */
+
+/**
+ * @swagger
+ * /patients/odontogram:
+ *   get:
+ *     summary: Get the tooth chart (odontogram)
+ *     description: Current findings per tooth for the patient or one of their family members. Admins pass userId.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: familyMemberId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userId
+ *         description: Admin only
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tooth chart retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Odontogram'
+ *       404:
+ *         description: Patient profile or family member not found
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+/**
+ * @swagger
+ * /patients/odontogram/history:
+ *   get:
+ *     summary: Get the history of the tooth chart
+ *     description: Every finding ever recorded, resolved ones included, newest first
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: familyMemberId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toothNumber
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userId
+ *         description: Admin only
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tooth chart history retrieved successfully
+ *       404:
+ *         description: Patient profile or family member not found
+ */
+
+/**
+ * @swagger
+ * /patients/odontogram/appointments/{appointmentId}:
+ *   get:
+ *     summary: Get the tooth chart of the patient of an appointment
+ *     description: For the treating doctor of a confirmed or completed appointment. Also returns the findings recorded or resolved in this appointment.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: familyMemberId
+ *         description: Chart of a family member of the patient
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tooth chart retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Odontogram'
+ *                     - type: object
+ *                       properties:
+ *                         appointmentFindings:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ToothFinding'
+ *       403:
+ *         description: Not the treating doctor
+ *       404:
+ *         description: Appointment, patient profile or family member not found
+ */
+
+/**
+ * @swagger
+ * /patients/odontogram/appointments/{appointmentId}/history:
+ *   get:
+ *     summary: Get the tooth chart history of the patient of an appointment
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: familyMemberId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toothNumber
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tooth chart history retrieved successfully
+ *       403:
+ *         description: Not the treating doctor
+ */
+
+/**
+ * @swagger
+ * /patients/odontogram/appointments/{appointmentId}/findings:
+ *   post:
+ *     summary: Record tooth findings during an appointment
+ *     description: |
+ *       Records findings on the chart of the patient (or a family member). A new finding resolves the
+ *       active findings it replaces, e.g. a filling replaces caries on the surfaces it covers and a
+ *       crown replaces fillings and caries on the tooth. Either all findings are recorded or none.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - findings
+ *             properties:
+ *               familyMemberId:
+ *                 type: integer
+ *               findings:
+ *                 type: array
+ *                 maxItems: 32
+ *                 items:
+ *                   $ref: '#/components/schemas/ToothFindingInput'
+ *     responses:
+ *       201:
+ *         description: Findings recorded; data has the new findings, the ids of replaced findings and the updated chart
+ *       400:
+ *         description: Validation failed, or the tooth is missing (reason TOOTH_MISSING) or an implant (reason TOOTH_IS_IMPLANT)
+ *       403:
+ *         description: Not the treating doctor
+ *       404:
+ *         description: Appointment, patient profile or family member not found
+ */
+
+/**
+ * @swagger
+ * /patients/odontogram/appointments/{appointmentId}/findings/{findingId}/resolve:
+ *   patch:
+ *     summary: Resolve a tooth finding
+ *     description: For findings charted by mistake or that no longer apply without being replaced
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: findingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Charted on the wrong tooth
+ *     responses:
+ *       200:
+ *         description: Finding resolved successfully
+ *       400:
+ *         description: Finding already resolved (reason FINDING_ALREADY_RESOLVED)
+ *       403:
+ *         description: Not the treating doctor
+ *       404:
+ *         description: Finding not found
+ */
+router.get('/odontogram', authenticate(), odontogramController.getOdontogram);
+router.get('/odontogram/history', authenticate(), odontogramController.getOdontogramHistory);
+router.get('/odontogram/appointments/:appointmentId', authenticate(), odontogramController.getAppointmentOdontogram);
+router.get('/odontogram/appointments/:appointmentId/history', authenticate(), odontogramController.getAppointmentOdontogramHistory);
+router.post('/odontogram/appointments/:appointmentId/findings', authenticate(['doctor', 'virtual-doctor']), odontogramController.recordFindings);
+router.patch('/odontogram/appointments/:appointmentId/findings/:findingId/resolve', authenticate(['doctor', 'virtual-doctor']), odontogramController.resolveFinding);
+
 // Profile Image Routes
 const multer = require('multer');
 const storage = multer.memoryStorage();
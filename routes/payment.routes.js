@@ -17,7 +17,11 @@ const { authenticate, authorize } = require('../middleware/auth');
  * /payment/initiate:
  *   post:
  *     summary: Initiate payment for virtual appointment
- *     description: Initiate payment for a virtual appointment using PhonePe gateway
+ *     description: |
+ *       Initiate payment for a virtual appointment using PhonePe gateway. With useWallet the wallet
+ *       balance pays first and PhonePe only collects the rest; when the balance covers everything the
+ *       appointment is confirmed right away and paymentUrl is null. Appointments booked with a package
+ *       are already paid for and are refused with reason COVERED_BY_PACKAGE.
  *     tags: [Payment]
  *     security:
  *       - bearerAuth: []
@@ -40,6 +44,14 @@ const { authenticate, authorize } = require('../middleware/auth');
  *                 default: phonepe
  *                 description: Payment method to use
  *                 example: phonepe
+ *               redeemCode:
+ *                 type: string
+ *                 description: Optional code; auto-applied campaigns are added when no code is given or both are stackable
+ *                 example: WELCOME50
+ *               useWallet:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Pay from the wallet balance first
  *     responses:
  *       200:
  *         description: Payment initiated successfully
@@ -65,16 +77,31 @@ const { authenticate, authorize } = require('../middleware/auth');
  *                       example: 456
  *                     paymentUrl:
  *                       type: string
+ *                       nullable: true
+ *                       description: null when the wallet paid everything
  *                       example: https://mercury.phonepe.com/transact/...
- *                     amount:
+ *                     finalAmount:
  *                       type: number
  *                       example: 500.00
+ *                     walletAmount:
+ *                       type: number
+ *                       description: Paid from the wallet
+ *                       example: 150.00
+ *                     gatewayAmount:
+ *                       type: number
+ *                       description: Left to pay through PhonePe
+ *                       example: 350.00
  *                     currency:
  *                       type: string
  *                       example: INR
  *                     merchantTransactionId:
  *                       type: string
  *                       example: TXN_123_456_1705123456789
+ *                     slotHoldExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: The slot is released if payment has not succeeded by this time
  *       400:
  *         description: Bad request - validation error
  *       401:
@@ -83,6 +110,8 @@ const { authenticate, authorize } = require('../middleware/auth');
  *         description: Forbidden - not authorized for this appointment
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: The slot reservation for this appointment has expired and the appointment must be booked again, or the wallet balance changed (reason INSUFFICIENT_WALLET_BALANCE)
  *       500:
  *         description: Internal server error
  */
@@ -131,7 +160,7 @@ router.post('/initiate',
  *                 example: user123
  *               redeemCode:
  *                 type: string
- *                 description: Optional redeem code for discount
+ *                 description: Optional redeem code for discount; auto-applied campaigns are added when no code is given or both are stackable
  *                 example: DISCOUNT10
  *               mobileNumber:
  *                 type: string
@@ -178,6 +207,20 @@ router.post('/initiate',
  *                     discountAmount:
  *                       type: number
  *                       example: 0
+ *                     appliedOffers:
+ *                       type: array
+ *                       description: Every discount applied, typed or automatic
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           discountAmount:
+ *                             type: number
+ *                           autoApplied:
+ *                             type: boolean
  *                     redeemCode:
  *                       type: object
  *                       nullable: true
@@ -212,6 +255,8 @@ router.post('/initiate',
  *                   example: Appointment ID is required
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: The slot reservation for this appointment has expired; the appointment must be booked again
  *       500:
  *         description: Internal server error
  */
@@ -966,4 +1011,205 @@ router.get('/admin/stats',
   paymentController.getPaymentStats
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         paymentId:
+ *           type: integer
+ *         appointmentId:
+ *           type: integer
+ *           nullable: true
+ *           description: null for the payment of a package
+ *         userId:
+ *           type: integer
+ *         merchantRefundId:
+ *           type: string
+ *           example: RFND_42_1760000000000
+ *         phonepeRefundId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           example: 250.00
+ *         reason:
+ *           type: string
+ *         destination:
+ *           type: string
+ *           enum: [original, wallet]
+ *           description: Wallet refunds are completed immediately
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *         initiatedBy:
+ *           type: string
+ *           enum: [policy, admin, system]
+ *         policyRule:
+ *           type: string
+ *           enum: [free_cancellation, late_cancellation, after_start, provider_cancellation]
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         failedAt:
+ *           type: string
+ *           format: date-time
+ *         failureReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /payment/admin/refunds:
+ *   get:
+ *     summary: List refunds (Admin only)
+ *     tags: [Admin - Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *       - in: query
+ *         name: paymentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: appointmentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Refund'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/admin/refunds',
+  authenticate(['admin']),
+  paymentController.getRefunds
+);
+
+/**
+ * @swagger
+ * /payment/admin/refunds/{refundId}/sync:
+ *   post:
+ *     summary: Sync refund status with PhonePe (Admin only)
+ *     description: Refunds that are still processing are also polled automatically in the background.
+ *     tags: [Admin - Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refund status synced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Refund'
+ *       404:
+ *         description: Refund not found
+ *       502:
+ *         description: PhonePe did not return the refund status
+ */
+router.post('/admin/refunds/:refundId/sync',
+  authenticate(['admin']),
+  paymentController.syncRefundStatus
+);
+
+/**
+ * @swagger
+ * /payment/admin/{paymentId}/refund:
+ *   post:
+ *     summary: Refund a payment (Admin only)
+ *     description: |
+ *       Issues a full or partial refund through PhonePe or to the patient wallet. Without an amount,
+ *       everything not yet refunded is returned. A payment can be refunded several times until its
+ *       amount is used up. The part paid from the wallet always goes back to the wallet, returned in walletRefund.
+ *     tags: [Admin - Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund in INR; omit for a full refund
+ *                 example: 250
+ *               reason:
+ *                 type: string
+ *                 example: Doctor ran late, partial refund agreed with patient
+ *               destination:
+ *                 type: string
+ *                 enum: [original, wallet]
+ *                 default: original
+ *                 description: original refunds through PhonePe, wallet credits the patient wallet
+ *     responses:
+ *       201:
+ *         description: Refund initiated or completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Payment not refundable or invalid amount (reason is PAYMENT_NOT_REFUNDABLE, NOTHING_TO_REFUND or INVALID_REFUND_AMOUNT)
+ *       404:
+ *         description: Payment not found
+ *       502:
+ *         description: PhonePe rejected the refund (reason REFUND_FAILED)
+ */
+router.post('/admin/:paymentId/refund',
+  authenticate(['admin']),
+  paymentController.refundPayment
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,454 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payout.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payouts
+ *     description: Doctor share of payments, refunds and adjustments, and the payout statements that settle them
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorLedgerEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctorId:
+ *           type: integer
+ *           nullable: true
+ *         virtualDoctorId:
+ *           type: integer
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [earning, refund, adjustment]
+ *         paymentId:
+ *           type: integer
+ *           nullable: true
+ *         refundId:
+ *           type: integer
+ *           nullable: true
+ *         appointmentId:
+ *           type: integer
+ *           nullable: true
+ *         grossAmount:
+ *           type: number
+ *           description: Amount paid or refunded by the patient; negative for refunds
+ *           example: 500
+ *         commissionRate:
+ *           type: number
+ *           example: 20
+ *         commissionAmount:
+ *           type: number
+ *           description: Platform share
+ *           example: 100
+ *         amount:
+ *           type: number
+ *           description: Doctor share; negative for refunds and deductions
+ *           example: 400
+ *         description:
+ *           type: string
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         payoutId:
+ *           type: integer
+ *           nullable: true
+ *           description: Payout statement the entry is settled in
+ *     DoctorPayout:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctorId:
+ *           type: integer
+ *           nullable: true
+ *         virtualDoctorId:
+ *           type: integer
+ *           nullable: true
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *         entryCount:
+ *           type: integer
+ *         earningsAmount:
+ *           type: number
+ *         refundsAmount:
+ *           type: number
+ *         adjustmentsAmount:
+ *           type: number
+ *         amount:
+ *           type: number
+ *           description: Net amount to pay out
+ *         status:
+ *           type: string
+ *           enum: [pending, settled, canceled]
+ *         reference:
+ *           type: string
+ *           nullable: true
+ *           description: Bank transfer reference
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         entries:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DoctorLedgerEntry'
+ */
+
+/**
+ * @swagger
+ * /payouts/earnings:
+ *   get:
+ *     summary: Get an earnings summary
+ *     description: |
+ *       Lifetime and this month's earnings, refunds and adjustments, the balance not yet in a payout,
+ *       pending payouts and what has been paid out. Admins pass doctorId or virtualDoctorId.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: virtualDoctorId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Earnings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Doctor profile not found
+ */
+router.get('/earnings', authenticate(['doctor', 'virtual-doctor', 'admin']), payoutController.getEarningsSummary);
+
+/**
+ * @swagger
+ * /payouts/ledger:
+ *   get:
+ *     summary: Get ledger entries
+ *     description: Admins pass doctorId or virtualDoctorId
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: virtualDoctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earning, refund, adjustment]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: unsettled
+ *         description: Only entries not yet in a payout
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ledger entries retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/ledger', authenticate(['doctor', 'virtual-doctor', 'admin']), payoutController.getLedger);
+
+/**
+ * @swagger
+ * /payouts/adjustments:
+ *   post:
+ *     summary: Add a ledger adjustment
+ *     description: Credit or deduct an amount for a doctor outside of payments and refunds
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - description
+ *             properties:
+ *               doctorId:
+ *                 type: integer
+ *               virtualDoctorId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Negative for a deduction
+ *                 example: -150
+ *               description:
+ *                 type: string
+ *                 example: Consumables used in October
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Admins only
+ */
+router.post('/adjustments', authenticate(['admin']), payoutController.addAdjustment);
+
+/**
+ * @swagger
+ * /payouts/commission-rate:
+ *   patch:
+ *     summary: Set the commission rate of a doctor
+ *     description: Overrides the commission rate of the service for payments recorded from now on; null goes back to the rate of the service
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               doctorId:
+ *                 type: integer
+ *               virtualDoctorId:
+ *                 type: integer
+ *               commissionRate:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Commission rate updated successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Admins only
+ */
+router.patch('/commission-rate', authenticate(['admin']), payoutController.setCommissionRate);
+
+/**
+ * @swagger
+ * /payouts/statements:
+ *   post:
+ *     summary: Generate payout statements
+ *     description: |
+ *       Puts the unsettled ledger entries up to periodEnd of every doctor, or of one doctor, into a
+ *       pending payout. Doctors whose entries do not add up to a positive amount are returned in
+ *       skipped and carried over to the next statement.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - periodEnd
+ *             properties:
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *                 example: 2026-09-30
+ *               doctorId:
+ *                 type: integer
+ *               virtualDoctorId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Payout statements created
+ *       400:
+ *         description: Invalid periodEnd or doctor
+ *       403:
+ *         description: Admins only
+ */
+router.post('/statements', authenticate(['admin']), payoutController.generatePayouts);
+
+/**
+ * @swagger
+ * /payouts:
+ *   get:
+ *     summary: Get payout statements
+ *     description: Doctors get their own payouts and admins everyone's
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, settled, canceled]
+ *       - in: query
+ *         name: doctorId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: virtualDoctorId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate(['doctor', 'virtual-doctor', 'admin']), payoutController.getPayouts);
+
+/**
+ * @swagger
+ * /payouts/{id}:
+ *   get:
+ *     summary: Get a payout statement with its ledger entries
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payout retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/DoctorPayout'
+ *       403:
+ *         description: Not the doctor of the payout
+ *       404:
+ *         description: Payout not found
+ */
+router.get('/:id', authenticate(['doctor', 'virtual-doctor', 'admin']), payoutController.getPayoutById);
+
+/**
+ * @swagger
+ * /payouts/{id}/settle:
+ *   patch:
+ *     summary: Mark a payout as paid
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 example: UTR123456789
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payout settled successfully
+ *       400:
+ *         description: Payout is not pending (reason PAYOUT_NOT_PENDING)
+ *       404:
+ *         description: Payout not found
+ */
+router.patch('/:id/settle', authenticate(['admin']), payoutController.settlePayout);
+
+/**
+ * @swagger
+ * /payouts/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a pending payout
+ *     description: Its ledger entries go back to the unsettled balance
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payout canceled successfully
+ *       400:
+ *         description: Payout is not pending (reason PAYOUT_NOT_PENDING)
+ *       404:
+ *         description: Payout not found
+ */
+router.patch('/:id/cancel', authenticate(['admin']), payoutController.cancelPayout);
+
+module.exports = router;
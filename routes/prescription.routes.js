@@ -0,0 +1,345 @@
+const express = require('express');
+const router = express.Router();
+const prescriptionController = require('../controllers/prescription.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Prescriptions
+ *     description: Structured, signed e-prescriptions with PDF download
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrescriptionMedicine:
+ *       type: object
+ *       required:
+ *         - name
+ *         - dosage
+ *         - frequency
+ *         - duration
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Amoxicillin
+ *         dosage:
+ *           type: string
+ *           example: 500mg
+ *         frequency:
+ *           type: string
+ *           example: 1-0-1
+ *         duration:
+ *           type: string
+ *           example: 5 days
+ *         instructions:
+ *           type: string
+ *           example: After food
+ *     PrescriptionInput:
+ *       type: object
+ *       description: At least one medicine, investigation or advice is required
+ *       properties:
+ *         diagnosis:
+ *           type: string
+ *           example: Acute pulpitis, lower left first molar
+ *         medicines:
+ *           type: array
+ *           maxItems: 30
+ *           items:
+ *             $ref: '#/components/schemas/PrescriptionMedicine'
+ *         investigations:
+ *           type: array
+ *           maxItems: 30
+ *           description: Investigation names, or objects with name and notes
+ *           items:
+ *             oneOf:
+ *               - type: string
+ *                 example: IOPA X-ray
+ *               - type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   notes:
+ *                     type: string
+ *         advice:
+ *           type: string
+ *           example: Warm saline rinses three times a day
+ *         followUpDate:
+ *           type: string
+ *           format: date
+ *           example: "2026-11-02"
+ *     Prescription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         appointmentId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *           description: Patient
+ *         authorUserId:
+ *           type: integer
+ *           description: Doctor who wrote and signed this version
+ *         doctorId:
+ *           type: integer
+ *           nullable: true
+ *         virtualDoctorId:
+ *           type: integer
+ *           nullable: true
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         status:
+ *           type: string
+ *           enum: [issued, superseded]
+ *         diagnosis:
+ *           type: string
+ *         medicines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PrescriptionMedicine'
+ *         investigations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *         advice:
+ *           type: string
+ *         followUpDate:
+ *           type: string
+ *           format: date
+ *         signedAt:
+ *           type: string
+ *           format: date-time
+ *         signatureCode:
+ *           type: string
+ *           description: Printed on the PDF; pharmacies check it at /prescriptions/verify/{code}
+ *           example: 9F3A6C21B07E
+ *         supersededAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /prescriptions/verify/{code}:
+ *   get:
+ *     summary: Verify a prescription (public)
+ *     description: Lets a pharmacy check the verification code printed on a prescription PDF. Only the patient's initials are returned.
+ *     tags: [Prescriptions]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prescription found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authentic:
+ *                       type: boolean
+ *                       description: False when the stored prescription no longer matches its signature
+ *                     status:
+ *                       type: string
+ *                       enum: [issued, superseded]
+ *                     version:
+ *                       type: integer
+ *                     signedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     doctorName:
+ *                       type: string
+ *                     registrationNumber:
+ *                       type: string
+ *                     patientInitials:
+ *                       type: string
+ *                       example: RK
+ *                     medicines:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PrescriptionMedicine'
+ *       404:
+ *         description: No prescription matches this verification code
+ */
+router.get('/verify/:code', prescriptionController.verifyPrescription);
+
+/**
+ * @swagger
+ * /prescriptions/appointments/{appointmentId}:
+ *   post:
+ *     summary: Write or revise the prescription of an appointment
+ *     description: |
+ *       Signs a new version of the prescription. The previous version is kept as superseded.
+ *       Only the assigned doctor (or a virtual doctor for virtual appointments) can write it, and
+ *       the appointment must be confirmed or completed.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrescriptionInput'
+ *     responses:
+ *       201:
+ *         description: Prescription created or updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Prescription'
+ *       400:
+ *         description: Validation failed or appointment not confirmed or completed (reason APPOINTMENT_NOT_PRESCRIBABLE)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the treating doctor
+ *       404:
+ *         description: Appointment not found
+ */
+router.post('/appointments/:appointmentId', authenticate(['doctor', 'virtual-doctor']), prescriptionController.createPrescription);
+
+/**
+ * @swagger
+ * /prescriptions/appointments/{appointmentId}:
+ *   get:
+ *     summary: Get the prescription of an appointment with all of its versions
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prescriptions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Prescription'
+ *                     versions:
+ *                       type: array
+ *                       description: Newest first
+ *                       items:
+ *                         $ref: '#/components/schemas/Prescription'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the patient or treating doctor
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/appointments/:appointmentId', authenticate(), prescriptionController.getAppointmentPrescriptions);
+
+/**
+ * @swagger
+ * /prescriptions/patients/{userId}/history:
+ *   get:
+ *     summary: Get the earlier prescriptions of a patient
+ *     description: For doctors who have a confirmed or completed appointment with the patient, to review past medication while prescribing
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: excludeAppointmentId
+ *         description: Leave out the appointment being prescribed for
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Current version of each earlier prescription, newest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not treating this patient
+ */
+router.get('/patients/:userId/history', authenticate(), prescriptionController.getPatientPrescriptionHistory);
+
+/**
+ * @swagger
+ * /prescriptions/{id}/pdf:
+ *   get:
+ *     summary: Download a prescription as a PDF
+ *     description: Clinic-branded PDF with the doctor's details, digital signature and verification code. Superseded versions are watermarked.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prescription PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the patient or treating doctor
+ *       404:
+ *         description: Prescription not found
+ */
+router.get('/:id/pdf', authenticate(), prescriptionController.downloadPrescriptionPdf);
+
+module.exports = router;
@@ -23,6 +23,21 @@ const router = express.Router();
  *         isActive:
  *           type: boolean
  *           description: Whether the service is active
+ *         gstRate:
+ *           type: number
+ *           nullable: true
+ *           description: GST percentage included in the price; null uses the GST_DEFAULT_RATE setting
+ *           example: 18
+ *         sacCode:
+ *           type: string
+ *           nullable: true
+ *           description: Services Accounting Code printed on invoices
+ *           example: '999312'
+ *         commissionRate:
+ *           type: number
+ *           nullable: true
+ *           description: Platform commission percentage on payments for the service; doctors can have their own rate
+ *           example: 20
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -43,6 +58,22 @@ const router = express.Router();
  *           format: decimal
  *           minimum: 0.01
  *           description: Price of the service
+ *         gstRate:
+ *           type: number
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 28
+ *           description: GST percentage included in the price
+ *         sacCode:
+ *           type: string
+ *           nullable: true
+ *           description: Services Accounting Code, 4 to 8 digits
+ *         commissionRate:
+ *           type: number
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Platform commission percentage
  *     PriceUpdateInput:
  *       type: object
  *       required:
@@ -53,6 +84,22 @@ const router = express.Router();
  *           format: decimal
  *           minimum: 0.01
  *           description: Price of the service
+ *         gstRate:
+ *           type: number
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 28
+ *           description: GST percentage included in the price
+ *         sacCode:
+ *           type: string
+ *           nullable: true
+ *           description: Services Accounting Code, 4 to 8 digits
+ *         commissionRate:
+ *           type: number
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Platform commission percentage
  */
 
 /**
@@ -66,6 +66,119 @@ const { authenticate, authorize } = require('../middleware/auth');
  *           type: string
  *           enum: [all, virtual_appointment]
  *           example: virtual_appointment
+ *         doctorIds:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *           description: Clinic doctors whose appointments the code is for; null for any
+ *         virtualDoctorIds:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *           description: Virtual doctors whose appointments the code is for; null for any
+ *         cities:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Cities of the appointment doctor; null for any
+ *           example: [Pune, Mumbai]
+ *         serviceNames:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Price service names; null for any
+ *           example: [Virtual Appointment]
+ *         userSegment:
+ *           type: string
+ *           enum: [all, new_users, inactive_users]
+ *           description: new_users have no earlier booking; inactive_users have no booking in the last inactiveDays
+ *         inactiveDays:
+ *           type: integer
+ *           nullable: true
+ *           description: Defaults to 90
+ *         weekdays:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *           description: ISO weekdays of the appointment, 1 is Monday; null for any
+ *           example: [1, 2, 3, 4, 5]
+ *         startTime:
+ *           type: string
+ *           nullable: true
+ *           description: Earliest appointment time of day, HH:mm IST
+ *           example: "14:00"
+ *         endTime:
+ *           type: string
+ *           nullable: true
+ *           description: Appointments must start before this time of day, HH:mm IST
+ *           example: "17:00"
+ *         autoApply:
+ *           type: boolean
+ *           description: Campaign applied at payment without typing the code; the best one is used
+ *         stackable:
+ *           type: boolean
+ *           description: A typed code and a campaign are combined only when both are stackable
+ *         batchId:
+ *           type: string
+ *           nullable: true
+ *           description: Set on single-use codes generated together
+ *         purpose:
+ *           type: string
+ *           enum: [promotion, referral, referral_reward]
+ *           description: referral codes are shared by patients and entered at sign-up; referral_reward codes can be used only by their owner
+ *         ownerId:
+ *           type: integer
+ *           nullable: true
+ *     RedeemCodeRules:
+ *       type: object
+ *       description: Targeting, schedule and campaign fields; omitted fields are left unchanged
+ *       properties:
+ *         doctorIds:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *         virtualDoctorIds:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *         cities:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *         serviceNames:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *         userSegment:
+ *           type: string
+ *           enum: [all, new_users, inactive_users]
+ *         inactiveDays:
+ *           type: integer
+ *           nullable: true
+ *         weekdays:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *         startTime:
+ *           type: string
+ *           nullable: true
+ *         endTime:
+ *           type: string
+ *           nullable: true
+ *         autoApply:
+ *           type: boolean
+ *         stackable:
+ *           type: boolean
  */
 
 // User routes
@@ -92,6 +205,11 @@ const { authenticate, authorize } = require('../middleware/auth');
  *           type: number
  *         description: Order amount to calculate discount
  *         example: 500.00
+ *       - in: query
+ *         name: appointmentId
+ *         schema:
+ *           type: integer
+ *         description: Also check the doctor, city, day and time rules against this appointment
  *     responses:
  *       200:
  *         description: Redeem code validation result
@@ -145,6 +263,66 @@ router.get('/validate/:code',
   redeemCodeController.validateRedeemCode
 );
 
+/**
+ * @swagger
+ * /redeem-code/offers:
+ *   get:
+ *     summary: Get the offers for an appointment
+ *     description: Discounts the appointment would get at payment. Campaigns are applied without a code; with code, a campaign is added only when both are stackable.
+ *     tags: [Redeem Code]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Code the patient intends to type
+ *     responses:
+ *       200:
+ *         description: Offers found, or none
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     originalAmount:
+ *                       type: number
+ *                     discountAmount:
+ *                       type: number
+ *                     finalAmount:
+ *                       type: number
+ *                     offers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           discountAmount:
+ *                             type: number
+ *                           autoApplied:
+ *                             type: boolean
+ *       400:
+ *         description: The code cannot be used, with the reason
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/offers',
+  authenticate(['user']),
+  redeemCodeController.getOffers
+);
+
 // Admin routes
 /**
  * @swagger
@@ -221,6 +399,8 @@ router.get('/validate/:code',
  *                 enum: [all, virtual_appointment]
  *                 description: What the code is applicable for
  *                 example: virtual_appointment
+ *             allOf:
+ *               - $ref: '#/components/schemas/RedeemCodeRules'
  *     responses:
  *       201:
  *         description: Redeem code created successfully
@@ -276,6 +456,34 @@ router.post('/admin',
  *         schema:
  *           type: string
  *         description: Search by code or name
+ *       - in: query
+ *         name: autoApply
+ *         schema:
+ *           type: boolean
+ *         description: Only campaigns applied without a code, or only typed codes
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *         description: Codes of one generated batch
+ *       - in: query
+ *         name: includeBatchCodes
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list generated batch codes
+ *       - in: query
+ *         name: purpose
+ *         schema:
+ *           type: string
+ *           enum: [promotion, referral, referral_reward, all]
+ *           default: promotion
+ *         description: Personal referral codes and referral rewards are listed only when asked for
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Referral code or rewards of one patient
  *     responses:
  *       200:
  *         description: Redeem codes retrieved successfully
@@ -291,6 +499,104 @@ router.get('/admin',
   redeemCodeController.getAllRedeemCodes
 );
 
+/**
+ * @swagger
+ * /redeem-code/admin/batches:
+ *   post:
+ *     summary: Generate single-use codes for a campaign
+ *     description: Creates count unique codes with the same discount and rules, each usable once by one patient
+ *     tags: [Admin - Redeem Code]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RedeemCodeRules'
+ *               - type: object
+ *                 required:
+ *                   - count
+ *                   - name
+ *                   - discountType
+ *                   - discountValue
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     description: 1 to 5000
+ *                     example: 500
+ *                   prefix:
+ *                     type: string
+ *                     description: Up to 12 letters and digits put before each code
+ *                     example: DIWALI
+ *                   name:
+ *                     type: string
+ *                     example: Diwali mailer
+ *                   description:
+ *                     type: string
+ *                   discountType:
+ *                     type: string
+ *                     enum: [percentage, amount]
+ *                   discountValue:
+ *                     type: number
+ *                   maxDiscountAmount:
+ *                     type: number
+ *                   minOrderAmount:
+ *                     type: number
+ *                   validFrom:
+ *                     type: string
+ *                     format: date-time
+ *                   validUntil:
+ *                     type: string
+ *                     format: date-time
+ *                   applicableFor:
+ *                     type: string
+ *                     enum: [all, virtual_appointment]
+ *     responses:
+ *       201:
+ *         description: Codes generated, with the batchId and the codes
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/admin/batches',
+  authenticate(['admin']),
+  redeemCodeController.generateBatch
+);
+
+/**
+ * @swagger
+ * /redeem-code/admin/batches/{batchId}/export:
+ *   get:
+ *     summary: Export the codes of a batch as CSV
+ *     tags: [Admin - Redeem Code]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV with one row per code and whether it has been used
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/admin/batches/:batchId/export',
+  authenticate(['admin']),
+  redeemCodeController.exportBatch
+);
+
 /**
  * @swagger
  * /redeem-code/admin/{id}:
@@ -333,6 +639,8 @@ router.get('/admin',
  *               isActive:
  *                 type: boolean
  *                 example: true
+ *             allOf:
+ *               - $ref: '#/components/schemas/RedeemCodeRules'
  *     responses:
  *       200:
  *         description: Redeem code updated successfully
@@ -0,0 +1,376 @@
+const express = require('express');
+const router = express.Router();
+const referralController = require('../controllers/referral.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Referrals
+ *     description: Personal referral codes and the rewards patients earn for bringing in new patients
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Referral:
+ *       type: object
+ *       description: A patient who signed up with the referral code of another patient
+ *       properties:
+ *         id:
+ *           type: integer
+ *         referrerId:
+ *           type: integer
+ *         refereeId:
+ *           type: integer
+ *           nullable: true
+ *           description: null once the account is deleted
+ *         redeemCodeId:
+ *           type: integer
+ *           description: Referral code the patient signed up with
+ *         parentReferralId:
+ *           type: integer
+ *           nullable: true
+ *           description: Referral the referrer joined through
+ *         rootReferrerId:
+ *           type: integer
+ *           description: First referrer of the chain
+ *         depth:
+ *           type: integer
+ *           description: 1 when the referrer was not referred themselves
+ *         status:
+ *           type: string
+ *           enum: [pending, rewarded, rejected]
+ *           description: pending until the first paid appointment is completed
+ *         rejectReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [SELF_REFERRAL, DUPLICATE_DEVICE, DUPLICATE_PHONE]
+ *         refereePhone:
+ *           type: string
+ *         deviceId:
+ *           type: string
+ *           nullable: true
+ *         appointmentId:
+ *           type: integer
+ *           nullable: true
+ *           description: Appointment the rewards were given for
+ *         paymentId:
+ *           type: integer
+ *           nullable: true
+ *         rewardType:
+ *           type: string
+ *           nullable: true
+ *           enum: [redeem_code, wallet_credit]
+ *         referrerRewardAmount:
+ *           type: number
+ *           nullable: true
+ *         refereeRewardAmount:
+ *           type: number
+ *           nullable: true
+ *         referrerRewardCodeId:
+ *           type: integer
+ *           nullable: true
+ *         refereeRewardCodeId:
+ *           type: integer
+ *           nullable: true
+ *         referrerCreditId:
+ *           type: integer
+ *           nullable: true
+ *         refereeCreditId:
+ *           type: integer
+ *           nullable: true
+ *         rewardedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /referrals/me:
+ *   get:
+ *     summary: Get my referral code and referrals
+ *     description: The referral code is created the first time it is asked for. Referrals show as pending until the friend completes their first paid appointment.
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Id
+ *         schema:
+ *           type: string
+ *         description: Identifier of the device, remembered if none was recorded at sign-up; friends cannot join with the code on it
+ *     responses:
+ *       200:
+ *         description: Referrals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       example: PRIYA7KQ2MXHD
+ *                     rewardType:
+ *                       type: string
+ *                       enum: [redeem_code, wallet_credit]
+ *                     referrerReward:
+ *                       type: number
+ *                       example: 100
+ *                     refereeReward:
+ *                       type: number
+ *                       example: 100
+ *                     referredBy:
+ *                       type: object
+ *                       nullable: true
+ *                     referrals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [pending, rewarded]
+ *                           joinedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           rewardedAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                     rewardCodes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ *                           validUntil:
+ *                             type: string
+ *                             format: date-time
+ *                           used:
+ *                             type: boolean
+ */
+router.get('/me', authenticate(['user']), referralController.getMyReferrals);
+
+/**
+ * @swagger
+ * /referrals/apply:
+ *   post:
+ *     summary: Join with a friend's referral code
+ *     description: For patients who did not enter a code when signing up. Only possible before the first booking and only once.
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Id
+ *         schema:
+ *           type: string
+ *         description: Identifier of the device, if not given in the body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: PRIYA7KQ2MXHD
+ *               deviceId:
+ *                 type: string
+ *                 description: Identifier of the device, used to spot repeated sign-ups
+ *     responses:
+ *       201:
+ *         description: Referral code applied
+ *       400:
+ *         description: REFERRAL_CODE_NOT_FOUND, SELF_REFERRAL, ALREADY_REFERRED, NOT_NEW_USER, or not eligible for rewards
+ */
+router.post('/apply', authenticate(['user']), referralController.applyReferralCode);
+
+/**
+ * @swagger
+ * /referrals/admin:
+ *   get:
+ *     summary: List referrals
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, rewarded, rejected]
+ *       - in: query
+ *         name: rejectReason
+ *         schema:
+ *           type: string
+ *           enum: [SELF_REFERRAL, DUPLICATE_DEVICE, DUPLICATE_PHONE]
+ *       - in: query
+ *         name: referrerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         description: Signed up on or after this date (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Referrals with both patients, the referral code and the reward codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Referral'
+ *       403:
+ *         description: Admins only
+ */
+router.get('/admin', authenticate(['admin']), referralController.getReferrals);
+
+/**
+ * @swagger
+ * /referrals/admin/report:
+ *   get:
+ *     summary: Referral report
+ *     description: Sign-ups by status and rejections by reason over the period they signed up in; rewards and top referrers over the period the rewards were issued in
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Referral report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     signups:
+ *                       type: object
+ *                       properties:
+ *                         pending:
+ *                           type: integer
+ *                         rewarded:
+ *                           type: integer
+ *                         rejected:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                     rejections:
+ *                       type: object
+ *                       description: Count per reject reason
+ *                     rewards:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rewardType:
+ *                             type: string
+ *                           referrals:
+ *                             type: integer
+ *                           referrerTotal:
+ *                             type: number
+ *                           refereeTotal:
+ *                             type: number
+ *                           total:
+ *                             type: number
+ *                     rewardCodes:
+ *                       type: object
+ *                       properties:
+ *                         issued:
+ *                           type: integer
+ *                         used:
+ *                           type: integer
+ *                     topReferrers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid dates
+ *       403:
+ *         description: Admins only
+ */
+router.get('/admin/report', authenticate(['admin']), referralController.getReport);
+
+/**
+ * @swagger
+ * /referrals/admin/users/{userId}/chain:
+ *   get:
+ *     summary: Get the referral chain of a patient
+ *     description: The referrers above the patient, nearest first, and the patients below them level by level
+ *     tags: [Referrals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: levels
+ *         description: Levels of referrals below the patient, 1 to 10
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *     responses:
+ *       200:
+ *         description: Referral chain retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/admin/users/:userId/chain', authenticate(['admin']), referralController.getChain);
+
+module.exports = router;
@@ -0,0 +1,420 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/review.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reviews
+ *     description: Star ratings and reviews patients leave for the doctor of a completed appointment
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorReview:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         appointmentId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *           description: Patient who wrote the review
+ *         doctorId:
+ *           type: integer
+ *           nullable: true
+ *           description: Set for clinic appointments
+ *         virtualDoctorId:
+ *           type: integer
+ *           nullable: true
+ *           description: Set for virtual appointments
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         review:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [published, hidden]
+ *           description: Hidden reviews are not shown and do not count towards the rating
+ *         hiddenReason:
+ *           type: string
+ *           nullable: true
+ *         reply:
+ *           type: string
+ *           nullable: true
+ *           description: Reply of the doctor
+ *         repliedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     PublishedReviews:
+ *       type: object
+ *       properties:
+ *         averageRating:
+ *           type: number
+ *           nullable: true
+ *           example: 4.6
+ *         reviewCount:
+ *           type: integer
+ *           example: 27
+ *         distribution:
+ *           type: object
+ *           description: Number of reviews per star
+ *           example: { "1": 0, "2": 1, "3": 2, "4": 6, "5": 18 }
+ *         reviews:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               rating:
+ *                 type: integer
+ *               review:
+ *                 type: string
+ *                 nullable: true
+ *               reply:
+ *                 type: string
+ *                 nullable: true
+ *               repliedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               patientName:
+ *                 type: string
+ *                 description: First name only
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /reviews/appointments/{appointmentId}:
+ *   post:
+ *     summary: Review the doctor of a completed appointment
+ *     description: One review per appointment. The doctor's average rating is updated straight away.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               review:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: Explained the treatment clearly
+ *     responses:
+ *       201:
+ *         description: Review submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/DoctorReview'
+ *       400:
+ *         description: Invalid review, APPOINTMENT_NOT_COMPLETED or NO_DOCTOR
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: REVIEW_EXISTS
+ */
+router.post('/appointments/:appointmentId', authenticate(['user']), reviewController.createReview);
+
+/**
+ * @swagger
+ * /reviews/appointments/{appointmentId}:
+ *   get:
+ *     summary: Get the review of an appointment
+ *     description: Patients see the review of their own appointment, whatever its status
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review retrieved successfully
+ *       404:
+ *         description: The appointment has not been reviewed
+ */
+router.get('/appointments/:appointmentId', authenticate(['user', 'admin']), reviewController.getAppointmentReview);
+
+/**
+ * @swagger
+ * /reviews/mine:
+ *   get:
+ *     summary: List my reviews
+ *     description: Patients get the reviews they wrote; doctors and virtual doctors get the published reviews about them
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoctorReview'
+ *       404:
+ *         description: Doctor profile not found
+ */
+router.get('/mine', authenticate(['user', 'doctor', 'virtual-doctor']), reviewController.getMyReviews);
+
+/**
+ * @swagger
+ * /reviews/doctors/{doctorId}:
+ *   get:
+ *     summary: Get the published reviews of a doctor
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PublishedReviews'
+ *       404:
+ *         description: Doctor not found
+ */
+router.get('/doctors/:doctorId', reviewController.getDoctorReviews);
+
+/**
+ * @swagger
+ * /reviews/virtual-doctors/{virtualDoctorId}:
+ *   get:
+ *     summary: Get the published reviews of a virtual doctor
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: virtualDoctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PublishedReviews'
+ *       404:
+ *         description: Virtual doctor not found
+ */
+router.get('/virtual-doctors/:virtualDoctorId', reviewController.getVirtualDoctorReviews);
+
+/**
+ * @swagger
+ * /reviews/{id}/reply:
+ *   put:
+ *     summary: Reply to a review
+ *     description: Doctors can reply to published reviews about them; replying again replaces the reply
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reply
+ *             properties:
+ *               reply:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Reply saved successfully
+ *       400:
+ *         description: INVALID_REPLY
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id/reply', authenticate(['doctor', 'virtual-doctor']), reviewController.replyToReview);
+
+/**
+ * @swagger
+ * /reviews/admin:
+ *   get:
+ *     summary: List all reviews, including hidden ones
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, hidden]
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: virtualDoctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       403:
+ *         description: Admins only
+ */
+router.get('/admin', authenticate(['admin']), reviewController.getAllReviews);
+
+/**
+ * @swagger
+ * /reviews/admin/{id}/moderation:
+ *   put:
+ *     summary: Hide a review or publish it again
+ *     description: The doctor's average rating and review count are recalculated
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, hidden]
+ *               reason:
+ *                 type: string
+ *                 description: Required to hide a review
+ *     responses:
+ *       200:
+ *         description: Review hidden or published, with the new averageRating and reviewCount
+ *       400:
+ *         description: INVALID_STATUS or REASON_REQUIRED
+ *       404:
+ *         description: Review not found
+ */
+router.put('/admin/:id/moderation', authenticate(['admin']), reviewController.moderateReview);
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const treatmentPlanController = require('../controllers/treatmentPlan.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Treatment Plans
+ *     description: Multi-step treatment proposed by a doctor, accepted by the patient and booked step by step
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TreatmentPlanInput:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - title
+ *         - steps
+ *       properties:
+ *         userId:
+ *           type: integer
+ *           description: Patient
+ *           example: 1
+ *         doctorId:
+ *           type: integer
+ *           description: Required for admins; doctors always propose as themselves
+ *         title:
+ *           type: string
+ *           example: Restoration of lower left molars
+ *         notes:
+ *           type: string
+ *         steps:
+ *           type: array
+ *           maxItems: 30
+ *           description: Procedures in the order they should be done; steps are numbered phase by phase
+ *           items:
+ *             type: object
+ *             required:
+ *               - priceId
+ *             properties:
+ *               priceId:
+ *                 type: integer
+ *                 description: Service from the price list; its current price is the estimated cost
+ *                 example: 4
+ *               phase:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 default: 1
+ *               toothNumbers:
+ *                 type: array
+ *                 description: FDI tooth numbers treated in this step
+ *                 items:
+ *                   type: integer
+ *                 example: [36, 37]
+ *               notes:
+ *                 type: string
+ *     TreatmentPlanStep:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         sequence:
+ *           type: integer
+ *           example: 2
+ *         phase:
+ *           type: integer
+ *           example: 1
+ *         priceId:
+ *           type: integer
+ *         procedureName:
+ *           type: string
+ *           example: Composite filling
+ *         estimatedCost:
+ *           type: number
+ *           nullable: true
+ *           example: 1500
+ *         toothNumbers:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [proposed, accepted, declined, scheduled, done, canceled]
+ *         appointmentId:
+ *           type: integer
+ *           nullable: true
+ *           description: Appointment the step is booked in
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     TreatmentPlan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         doctorId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [proposed, accepted, declined, in_progress, done, canceled]
+ *         estimatedTotal:
+ *           type: number
+ *           example: 9500
+ *         acceptedTotal:
+ *           type: number
+ *           nullable: true
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *         declineReason:
+ *           type: string
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TreatmentPlanStep'
+ */
+
+/**
+ * @swagger
+ * /treatment-plans:
+ *   post:
+ *     summary: Propose a treatment plan
+ *     description: Doctors propose plans to patients they have a confirmed or completed appointment with; admins propose on behalf of a doctor.
+ *     tags: [Treatment Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TreatmentPlanInput'
+ *     responses:
+ *       201:
+ *         description: Treatment plan proposed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/TreatmentPlan'
+ *       400:
+ *         description: Validation failed, invalid patient or unknown service price (reason PRICE_NOT_FOUND)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not one of the doctor's patients
+ */
+router.post('/', authenticate(['doctor', 'admin']), treatmentPlanController.createPlan);
+
+/**
+ * @swagger
+ * /treatment-plans:
+ *   get:
+ *     summary: Get treatment plans
+ *     description: Patients get their own plans, doctors the plans they proposed and admins all plans
+ *     tags: [Treatment Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, accepted, declined, in_progress, done, canceled]
+ *       - in: query
+ *         name: userId
+ *         description: Doctors and admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Treatment plans retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate(), treatmentPlanController.getPlans);
+
+/**
+ * @swagger
+ * /treatment-plans/{id}:
+ *   get:
+ *     summary: Get a treatment plan with its steps
+ *     tags: [Treatment Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Treatment plan retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/TreatmentPlan'
+ *       403:
+ *         description: Not the patient or doctor of the plan
+ *       404:
+ *         description: Treatment plan not found
+ */
+router.get('/:id', authenticate(), treatmentPlanController.getPlanById);
+
+/**
+ * @swagger
+ * /treatment-plans/{id}/accept:
+ *   patch:
+ *     summary: Accept a proposed treatment plan
+ *     description: |
+ *       Accepts all steps, or only the steps in stepIds; the other steps are declined. Accepted steps
+ *       are booked with POST /appointments by passing treatmentStepId.
+ *     tags: [Treatment Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stepIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Treatment plan accepted
+ *       400:
+ *         description: Plan is not awaiting a response (reason PLAN_NOT_PROPOSED) or unknown steps (reason INVALID_STEPS)
+ *       403:
+ *         description: Only the patient can respond
+ *       404:
+ *         description: Treatment plan not found
+ */
+router.patch('/:id/accept', authenticate(['user']), treatmentPlanController.acceptPlan);
+
+/**
+ * @swagger
+ * /treatment-plans/{id}/decline:
+ *   patch:
+ *     summary: Decline a proposed treatment plan
+ *     tags: [Treatment Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Would like a second opinion first
+ *     responses:
+ *       200:
+ *         description: Treatment plan declined
+ *       400:
+ *         description: Plan is not awaiting a response (reason PLAN_NOT_PROPOSED)
+ *       403:
+ *         description: Only the patient can respond
+ *       404:
+ *         description: Treatment plan not found
+ */
+router.patch('/:id/decline', authenticate(['user']), treatmentPlanController.declinePlan);
+
+/**
+ * @swagger
+ * /treatment-plans/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a treatment plan
+ *     description: Withdraws the plan. Steps booked as appointments must have their appointment cancelled first.
+ *     tags: [Treatment Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancelReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Treatment plan canceled
+ *       400:
+ *         description: Plan already closed (reason PLAN_CLOSED) or has booked steps (reason PLAN_HAS_SCHEDULED_STEPS)
+ *       403:
+ *         description: Only the doctor of the plan or an admin
+ *       404:
+ *         description: Treatment plan not found
+ */
+router.patch('/:id/cancel', authenticate(['doctor', 'admin']), treatmentPlanController.cancelPlan);
+
+module.exports = router;
@@ -1031,7 +1031,7 @@ router.get('/virtual-doctor/apis',
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, completed, canceled, rejected, reschedule_requested]
+ *           enum: [pending, confirmed, completed, canceled, rejected, reschedule_requested, no_show]
  *         description: Filter by appointment status
  *       - in: query
  *         name: fromDate
@@ -1275,7 +1275,9 @@ router.get('/virtual-appointment/slots',
  *                       type: string
  *                       example: "uuid-here"
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error or time slot already booked
+ *       409:
+ *         description: Another booking for the same slot is in progress, retry
  *       500:
  *         description: Internal server error
  */
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlist.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Waitlist
+ *     description: Waitlist for fully booked doctors and virtual slots
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         userId:
+ *           type: integer
+ *           example: 5
+ *         type:
+ *           type: string
+ *           enum: [physical, virtual]
+ *           example: physical
+ *         doctorId:
+ *           type: integer
+ *           nullable: true
+ *           description: NULL for virtual entries, which wait for any virtual doctor
+ *           example: 3
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: 2026-10-20
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, booked, expired, cancelled]
+ *           example: offered
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: Place in the queue while waiting
+ *           example: 2
+ *         slotHoldId:
+ *           type: integer
+ *           nullable: true
+ *         offeredSlotStart:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Start of the slot reserved for the patient; book it with waitlistEntryId
+ *         offeredSlotEnd:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         offeredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         offerExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: After this the slot is offered to the next patient
+ *         appointmentId:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /waitlist:
+ *   post:
+ *     summary: Join a waitlist
+ *     description: |
+ *       Join the waitlist of a doctor for a date, or of any virtual doctor for a date. When an
+ *       appointment in it is cancelled or rejected, the first patient waiting gets a push
+ *       notification and an email, and the slot is reserved for them for WAITLIST_CLAIM_MINUTES
+ *       (15 by default). Book it with POST /appointments passing waitlistEntryId.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [physical, virtual]
+ *                 default: physical
+ *               doctorId:
+ *                 type: integer
+ *                 description: Required for physical appointments
+ *                 example: 3
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2026-10-20
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 code:
+ *                   type: integer
+ *                   example: 201
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid request, doctor not available, or already waitlisted (reason ALREADY_WAITLISTED) or booked (reason ALREADY_BOOKED) for the date
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/',
+  authenticate(['user']),
+  waitlistController.joinWaitlist
+);
+
+/**
+ * @swagger
+ * /waitlist/my:
+ *   get:
+ *     summary: Get my waitlist entries
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries with the patient's place in each queue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/my',
+  authenticate(['user']),
+  waitlistController.getMyWaitlist
+);
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   delete:
+ *     summary: Leave a waitlist
+ *     description: Leave the waitlist, or decline an offered slot so it goes to the next patient
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       400:
+ *         description: Entry already booked, expired or cancelled (reason WAITLIST_ENTRY_CLOSED)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Waitlist entry not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id',
+  authenticate(['user']),
+  waitlistController.leaveWaitlist
+);
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: Get all waitlist entries (Admin only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, expired, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [physical, virtual]
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Waitlist entries retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/',
+  authenticate(['admin']),
+  waitlistController.getWaitlist
+);
+
+module.exports = router;
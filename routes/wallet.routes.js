@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/wallet.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Wallet
+ *     description: Patient wallet with refunds and promotional credits that can pay for appointments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WalletTransaction:
+ *       type: object
+ *       description: Ledger entry; entries are never changed or deleted
+ *       properties:
+ *         id:
+ *           type: integer
+ *         walletId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [refund, promotion, payment, payment_reversal, expiry]
+ *         amount:
+ *           type: number
+ *           description: Negative for payments and expired credit
+ *           example: 200
+ *         balanceAfter:
+ *           type: number
+ *           example: 350
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Promotional credits only
+ *         relatedTransactionId:
+ *           type: integer
+ *           nullable: true
+ *           description: Credit an expiry removes, or payment a reversal gives back
+ *         paymentId:
+ *           type: integer
+ *           nullable: true
+ *         refundId:
+ *           type: integer
+ *           nullable: true
+ *         description:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /wallet:
+ *   get:
+ *     summary: Get the wallet balance
+ *     description: Balance and promotional credits with an expiry, soonest first. Admins pass userId.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balance:
+ *                       type: number
+ *                       example: 350
+ *                     currency:
+ *                       type: string
+ *                       example: INR
+ *                     expiringCredits:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           transactionId:
+ *                             type: integer
+ *                           remaining:
+ *                             type: number
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate(['user', 'admin']), walletController.getWallet);
+
+/**
+ * @swagger
+ * /wallet/transactions:
+ *   get:
+ *     summary: Get wallet transactions
+ *     description: Newest first. Admins pass userId.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [refund, promotion, payment, payment_reversal, expiry]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Wallet transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WalletTransaction'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/transactions', authenticate(['user', 'admin']), walletController.getTransactions);
+
+/**
+ * @swagger
+ * /wallet/admin/credits:
+ *   post:
+ *     summary: Grant a promotional credit
+ *     description: The patient is notified. Credit left at expiresAt is removed from the wallet.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - amount
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 example: 100
+ *               expiresAt:
+ *                 type: string
+ *                 description: Date or date-time in the future; a date means the end of that day. Omit for a credit that does not expire.
+ *                 example: 2026-12-31
+ *               description:
+ *                 type: string
+ *                 example: Diwali offer
+ *     responses:
+ *       201:
+ *         description: Credit granted successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Admins only
+ */
+router.post('/admin/credits', authenticate(['admin']), walletController.grantCredit);
+
+/**
+ * @swagger
+ * /wallet/admin/reconciliation:
+ *   get:
+ *     summary: Reconcile wallet balances
+ *     description: Compares the balance of every wallet with the sum of its transactions and the balance after its last transaction
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reconciliation result with the wallets that do not match
+ *       403:
+ *         description: Admins only
+ */
+router.get('/admin/reconciliation', authenticate(['admin']), walletController.getReconciliation);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const fs = require('fs').promises;
+const pinCodeService = require('../services/pinCode.service');
+
+/**
+ * Import PIN coordinates from a CSV with pincode, latitude and longitude
+ * columns, such as the All India Pincode Directory of India Post. A PIN with
+ * several post offices is placed at their average.
+ *
+ * Usage: node scripts/importPinCodes.js <file.csv>
+ */
+
+// Split a CSV line, keeping commas inside quoted fields
+const splitLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (const character of line) {
+    if (character === '"') quoted = !quoted;
+    else if (character === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else field += character;
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const importFile = async (file) => {
+  const lines = (await fs.readFile(file, 'utf8')).split(/\r?\n/).filter(line => line.trim());
+  const header = splitLine(lines[0]).map(column => column.toLowerCase());
+  const columns = {
+    pin: header.findIndex(column => column === 'pincode' || column === 'pin'),
+    latitude: header.indexOf('latitude'),
+    longitude: header.indexOf('longitude')
+  };
+  if (Object.values(columns).some(index => index === -1)) {
+    throw new Error('The file needs pincode, latitude and longitude columns');
+  }
+
+  const places = new Map();
+  for (const line of lines.slice(1)) {
+    const fields = splitLine(line);
+    const latitude = parseFloat(fields[columns.latitude]);
+    const longitude = parseFloat(fields[columns.longitude]);
+    // The directory has NA and swapped or zero coordinates for some offices
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || latitude < 6 || latitude > 38 || longitude < 68 || longitude > 98) continue;
+
+    const pin = fields[columns.pin];
+    const place = places.get(pin) || { latitude: 0, longitude: 0, offices: 0 };
+    place.latitude += latitude;
+    place.longitude += longitude;
+    place.offices++;
+    places.set(pin, place);
+  }
+
+  const rows = [...places.entries()].map(([pin, place]) => ({
+    pin,
+    latitude: Math.round(place.latitude / place.offices * 1e6) / 1e6,
+    longitude: Math.round(place.longitude / place.offices * 1e6) / 1e6
+  }));
+  return pinCodeService.importPins(rows);
+};
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.log('Usage: node scripts/importPinCodes.js <file.csv>');
+    process.exit(1);
+  }
+  importFile(file)
+    .then(count => {
+      console.log(`Imported coordinates of ${count} PIN codes`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('PIN code import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = importFile;
@@ -39,6 +39,7 @@ const healthRoutes = require('./routes/health.routes');
 const logger = require('./utils/logger');
 const GracefulShutdown = require('./utils/gracefulShutdown');
 const ProcessMonitor = require('./utils/processMonitor');
+const jobScheduler = require('./jobs');
 
 // Security middleware
 app.use(helmet({
@@ -107,6 +108,11 @@ sequelize
 sequelize.sync({ alter: false })
   .then(() => {
     logger.info('Database synchronized successfully');
+
+    // Background jobs need their tables, so they start once the schema is in place
+    if (process.env.JOBS_ENABLED !== 'false') {
+      jobScheduler.start().catch(err => logger.error('Job scheduler start error:', err));
+    }
   })
   .catch(err => {
     logger.error('Database sync error:', err);
@@ -187,6 +193,16 @@ app.use("/api", reportRoutes);
 app.use("/api/payment", paymentRoutes);
 app.use("/api/redeem-code", require("./routes/redeemCode.routes"));
 app.use("/api/banners", require("./routes/banner.routes"));
+app.use("/api/waitlist", require("./routes/waitlist.routes"));
+app.use("/api/appointment-series", require("./routes/appointmentSeries.routes"));
+app.use("/api/prescriptions", require("./routes/prescription.routes"));
+app.use("/api/treatment-plans", require("./routes/treatmentPlan.routes"));
+app.use("/api/invoices", require("./routes/invoice.routes"));
+app.use("/api/payouts", require("./routes/payout.routes"));
+app.use("/api/wallet", require("./routes/wallet.routes"));
+app.use("/api/packages", require("./routes/package.routes"));
+app.use("/api/referrals", require("./routes/referral.routes"));
+app.use("/api/reviews", require("./routes/review.routes"));
 
 app.use(
   helmet({
@@ -0,0 +1,290 @@
+const { Op } = require('sequelize');
+const Appointment = require('../models/appoinment.model');
+const AppointmentPolicy = require('../models/appointmentPolicy.model');
+
+const APPOINTMENT_TYPES = ['physical', 'virtual'];
+
+// Used for appointment types the admin has not configured yet
+const DEFAULT_POLICY = {
+  freeCancellationHours: 24,
+  allowLateCancellation: true,
+  lateCancellationFeeType: 'percent',
+  lateCancellationFee: 50,
+  maxReschedules: 2,
+  rescheduleCutoffHours: 0,
+  noShowAfterMinutes: 30
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const hoursUntil = (appointment) => (new Date(appointment.appointmentDateTime) - new Date()) / (60 * 60 * 1000);
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Policy for an appointment type, falling back to the defaults
+ * @param {string} appointmentType - physical or virtual
+ * @returns {Promise<Object>} Plain policy object; isDefault is true when nothing is configured
+ */
+exports.getPolicy = async (appointmentType) => {
+  const policy = await AppointmentPolicy.findOne({ where: { appointmentType } });
+
+  if (!policy) {
+    return { appointmentType, ...DEFAULT_POLICY, isDefault: true };
+  }
+
+  return {
+    ...policy.get({ plain: true }),
+    lateCancellationFee: toAmount(policy.lateCancellationFee),
+    isDefault: false
+  };
+};
+
+/**
+ * Policies of all appointment types
+ * @returns {Promise<Object[]>}
+ */
+exports.getPolicies = async () => {
+  return Promise.all(APPOINTMENT_TYPES.map(type => exports.getPolicy(type)));
+};
+
+/**
+ * Validate a policy update; fields that are not given keep their value
+ * @param {Object} input
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validatePolicy = (input = {}) => {
+  const errors = [];
+  const values = {};
+
+  const integerField = (field, { nullable = false, max } = {}) => {
+    if (input[field] === undefined) return;
+    if (nullable && input[field] === null) {
+      values[field] = null;
+      return;
+    }
+    const value = Number(input[field]);
+    if (!isNonNegativeInteger(value) || value > max) {
+      errors.push(`${field} must be a whole number between 0 and ${max}${nullable ? ', or null for no limit' : ''}`);
+      return;
+    }
+    values[field] = value;
+  };
+
+  integerField('freeCancellationHours', { max: 24 * 30 });
+  integerField('maxReschedules', { nullable: true, max: 100 });
+  integerField('rescheduleCutoffHours', { max: 24 * 30 });
+  integerField('noShowAfterMinutes', { max: 24 * 60 });
+
+  if (input.noShowAfterMinutes !== undefined && values.noShowAfterMinutes === 0) {
+    errors.push('noShowAfterMinutes must be at least 1');
+  }
+
+  if (input.allowLateCancellation !== undefined) {
+    if (typeof input.allowLateCancellation !== 'boolean') {
+      errors.push('allowLateCancellation must be true or false');
+    } else {
+      values.allowLateCancellation = input.allowLateCancellation;
+    }
+  }
+
+  if (input.lateCancellationFeeType !== undefined) {
+    if (!['percent', 'fixed'].includes(input.lateCancellationFeeType)) {
+      errors.push('lateCancellationFeeType must be percent or fixed');
+    } else {
+      values.lateCancellationFeeType = input.lateCancellationFeeType;
+    }
+  }
+
+  if (input.lateCancellationFee !== undefined) {
+    const fee = Number(input.lateCancellationFee);
+    if (!Number.isFinite(fee) || fee < 0) {
+      errors.push('lateCancellationFee must be a non-negative number');
+    } else {
+      values.lateCancellationFee = toAmount(fee);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Create or update the policy of an appointment type
+ * @param {string} appointmentType
+ * @param {Object} values - Validated fields from validatePolicy
+ * @param {number} userId - Admin making the change
+ * @returns {Promise<Object>} { success, policy } or { success: false, errors }
+ */
+exports.updatePolicy = async (appointmentType, values, userId) => {
+  const current = await exports.getPolicy(appointmentType);
+  const merged = { ...current, ...values };
+
+  if (merged.lateCancellationFeeType === 'percent' && merged.lateCancellationFee > 100) {
+    return { success: false, errors: ['lateCancellationFee cannot exceed 100 when lateCancellationFeeType is percent'] };
+  }
+
+  const data = { updatedBy: userId };
+  POLICY_FIELDS.forEach(field => { data[field] = merged[field]; });
+
+  const [policy, created] = await AppointmentPolicy.findOrCreate({
+    where: { appointmentType },
+    defaults: { appointmentType, ...data }
+  });
+
+  if (!created) {
+    await policy.update(data);
+  }
+
+  return { success: true, policy: await exports.getPolicy(appointmentType) };
+};
+
+/**
+ * Penalty for a late cancellation. It is kept from what was paid, so unpaid
+ * bookings, e.g. clinic appointments paid at the visit, are not charged.
+ * @param {Object} policy
+ * @param {number} paidAmount - Amount the patient paid for the appointment
+ * @returns {number} Fee in INR
+ */
+exports.calculateLateCancellationFee = (policy, paidAmount) => {
+  if (policy.lateCancellationFeeType === 'fixed') {
+    return toAmount(Math.min(toAmount(policy.lateCancellationFee), toAmount(paidAmount)));
+  }
+  return toAmount(toAmount(paidAmount) * policy.lateCancellationFee / 100);
+};
+
+/**
+ * Whether a cancellation uses up the package appointment it was booked with.
+ * A package pays nothing a fee could be kept from, so any penalty of the
+ * policy costs the whole package appointment instead.
+ * @param {Object} policy - From getPolicy
+ * @param {Object} cancellation - From evaluateCancellation
+ * @returns {boolean}
+ */
+exports.withholdsPackageCredit = (policy, { rule }) =>
+  rule === 'after_start' || (rule === 'late_cancellation' && toAmount(policy.lateCancellationFee) > 0);
+
+/**
+ * Decide whether an appointment may be cancelled and what it costs. Doctors
+ * and the clinic can always cancel without a penalty.
+ * @param {Object} appointment - Appointment instance
+ * @param {string} canceledBy - patient, doctor, virtual-doctor or system
+ * @param {Object} policy - From getPolicy
+ * @param {number} [paidAmount=0]
+ * @returns {Object} { allowed, code?, message?, rule, fee }
+ */
+exports.evaluateCancellation = (appointment, canceledBy, policy, paidAmount = 0) => {
+  if (canceledBy !== 'patient') {
+    return { allowed: true, rule: 'provider_cancellation', fee: 0 };
+  }
+
+  const hoursBefore = hoursUntil(appointment);
+
+  if (hoursBefore >= policy.freeCancellationHours) {
+    return { allowed: true, rule: 'free_cancellation', fee: 0 };
+  }
+
+  if (!policy.allowLateCancellation) {
+    return {
+      allowed: false,
+      code: 'CANCELLATION_WINDOW_CLOSED',
+      message: `${appointment.type === 'virtual' ? 'Virtual' : 'Clinic'} appointments can only be cancelled up to ${policy.freeCancellationHours} hours before the start time`,
+      rule: 'late_cancellation',
+      fee: 0
+    };
+  }
+
+  // Once the appointment has started nothing is given back
+  if (hoursBefore <= 0) {
+    return { allowed: true, rule: 'after_start', fee: toAmount(paidAmount) };
+  }
+
+  return {
+    allowed: true,
+    rule: 'late_cancellation',
+    fee: exports.calculateLateCancellationFee(policy, paidAmount)
+  };
+};
+
+/**
+ * Decide whether the patient may request another reschedule
+ * @param {Object} appointment - Appointment instance
+ * @param {Object} policy - From getPolicy
+ * @returns {Object} { allowed, code?, message? }
+ */
+exports.evaluateReschedule = (appointment, policy) => {
+  if (policy.maxReschedules !== null && (appointment.rescheduleCount || 0) >= policy.maxReschedules) {
+    return {
+      allowed: false,
+      code: 'RESCHEDULE_LIMIT_REACHED',
+      message: policy.maxReschedules === 0
+        ? 'This appointment cannot be rescheduled'
+        : `This appointment has already been rescheduled the maximum of ${policy.maxReschedules} time(s)`
+    };
+  }
+
+  if (policy.rescheduleCutoffHours > 0 && hoursUntil(appointment) < policy.rescheduleCutoffHours) {
+    return {
+      allowed: false,
+      code: 'RESCHEDULE_WINDOW_CLOSED',
+      message: `Appointments can only be rescheduled up to ${policy.rescheduleCutoffHours} hours before the start time`
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record the first time a participant joined the video call of an appointment
+ * @param {Object} appointment - Appointment instance, updated in place
+ * @param {boolean} isPatient - false for the doctor or virtual doctor
+ * @returns {Promise<void>}
+ */
+exports.recordCallJoin = async (appointment, isPatient) => {
+  const field = isPatient ? 'patientJoinedAt' : 'doctorJoinedAt';
+  if (appointment[field]) return;
+
+  const joinedAt = new Date();
+  await Appointment.update({ [field]: joinedAt }, { where: { id: appointment.id, [field]: null } });
+  appointment.setDataValue(field, joinedAt);
+};
+
+/**
+ * Mark confirmed virtual appointments that neither party joined as no_show
+ * @returns {Promise<Object[]>} Appointments marked
+ */
+exports.markNoShows = async () => {
+  const policy = await exports.getPolicy('virtual');
+  const cutoff = new Date(Date.now() - policy.noShowAfterMinutes * 60 * 1000);
+
+  const appointments = await Appointment.findAll({
+    where: {
+      type: 'virtual',
+      status: 'confirmed',
+      appointmentDateTime: { [Op.lte]: cutoff },
+      patientJoinedAt: null,
+      doctorJoinedAt: null
+    },
+    order: [['appointmentDateTime', 'ASC']],
+    limit: 100
+  });
+
+  const marked = [];
+  for (const appointment of appointments) {
+    // Conditional update so a join or status change that lands meanwhile wins
+    const [affected] = await Appointment.update({
+      status: 'no_show',
+      noShowMarkedAt: new Date()
+    }, {
+      where: { id: appointment.id, status: 'confirmed', patientJoinedAt: null, doctorJoinedAt: null }
+    });
+
+    if (affected) marked.push(appointment);
+  }
+
+  return marked;
+};
+
+exports.APPOINTMENT_TYPES = APPOINTMENT_TYPES;
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
@@ -0,0 +1,418 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const AppointmentSeries = require('../models/appointmentSeries.model');
+const SlotHold = require('../models/slotHold.model');
+const doctorScheduleService = require('./doctorSchedule.service');
+const appointmentPolicyService = require('./appointmentPolicy.service');
+const refundService = require('./refund.service');
+const waitlistService = require('./waitlist.service');
+
+const TIMEZONE = doctorScheduleService.TIMEZONE;
+
+const INTERVAL_UNITS = ['days', 'weeks', 'months'];
+const MAX_OCCURRENCES = parseInt(process.env.APPOINTMENT_SERIES_MAX_VISITS) || 24;
+
+const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'confirmed', 'reschedule_requested'];
+
+// Visits that can be moved or cancelled together; a visit with its own reschedule request is left alone
+const MOVABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Parse a date/time given in IST, accepting the same formats as bookAppointment
+ * @param {string} value
+ * @returns {DateTime} Luxon DateTime, invalid when it cannot be parsed
+ */
+const parseDateTime = (value) => {
+  const input = String(value || '');
+  let parsed = input.includes('T')
+    ? DateTime.fromISO(input, { zone: TIMEZONE })
+    : DateTime.fromFormat(input, 'yyyy-MM-dd HH:mm:ss', { zone: TIMEZONE });
+
+  if (!parsed.isValid) {
+    parsed = DateTime.fromFormat(input, "yyyy-MM-dd'T'HH:mm:ss.SSS", { zone: TIMEZONE });
+  }
+  return parsed;
+};
+
+/**
+ * Visit times of a series
+ * @param {DateTime} startTime - First visit
+ * @param {Object} recurrence - { interval, intervalUnit }
+ * @param {number[]} sequences - Visit numbers to place, one interval apart
+ * @returns {Object[]} [{ sequence, time }]
+ */
+const buildSchedule = (startTime, { interval, intervalUnit }, sequences) => {
+  return sequences.map((sequence, index) => ({
+    sequence,
+    time: startTime.plus({ [intervalUnit]: interval * index })
+  }));
+};
+
+/**
+ * Validate the recurrence of a series; fields that are not given use the fallback
+ * @param {Object} input - { startDateTime, interval, intervalUnit, occurrences }
+ * @param {Object} [fallback] - Values of an existing series
+ * @returns {Object} { valid, errors, values: { startTime, interval, intervalUnit, occurrences } }
+ */
+exports.validateRecurrence = (input = {}, fallback = {}) => {
+  const errors = [];
+  const values = {};
+
+  values.startTime = parseDateTime(input.startDateTime);
+  if (!values.startTime.isValid) {
+    errors.push('startDateTime must be a valid date/time');
+  }
+
+  const interval = input.interval !== undefined ? Number(input.interval) : (fallback.interval || 1);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    errors.push('interval must be a whole number between 1 and 52');
+  }
+  values.interval = interval;
+
+  values.intervalUnit = input.intervalUnit || fallback.intervalUnit || 'weeks';
+  if (!INTERVAL_UNITS.includes(values.intervalUnit)) {
+    errors.push(`intervalUnit must be one of ${INTERVAL_UNITS.join(', ')}`);
+  }
+
+  if (input.occurrences !== undefined || fallback.occurrences === undefined) {
+    const occurrences = Number(input.occurrences);
+    if (!Number.isInteger(occurrences) || occurrences < 2 || occurrences > MAX_OCCURRENCES) {
+      errors.push(`occurrences must be a whole number between 2 and ${MAX_OCCURRENCES}`);
+    }
+    values.occurrences = occurrences;
+  } else {
+    values.occurrences = fallback.occurrences;
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Check every visit of a schedule against the doctor's calendar and the
+ * patient's other appointments
+ * @param {Object} doctor - Doctor instance
+ * @param {number} userId - Patient
+ * @param {Object[]} schedule - From buildSchedule
+ * @param {Object} [options]
+ * @param {number[]} [options.excludeAppointmentIds] - Visits being moved, which do not conflict with themselves
+ * @param {Object} [options.transaction] - Rows read are locked when given
+ * @returns {Promise<Object[]>} [{ sequence, start, end, conflict }] where conflict is null or { code, message }
+ */
+exports.checkSchedule = async (doctor, userId, schedule, { excludeAppointmentIds = [], transaction } = {}) => {
+  const lock = transaction ? transaction.LOCK.UPDATE : undefined;
+  const earliest = DateTime.now().setZone(TIMEZONE).plus({ hours: 1 });
+  const excludeIds = excludeAppointmentIds.length > 0 ? { id: { [Op.notIn]: excludeAppointmentIds } } : {};
+
+  const visits = [];
+  for (const { sequence, time } of schedule) {
+    const visit = { sequence, start: time.toISO(), end: null, conflict: null };
+    visits.push(visit);
+
+    if (time < earliest) {
+      visit.conflict = { code: 'TOO_SOON', message: 'Appointment must be scheduled at least 1 hour in advance' };
+      continue;
+    }
+
+    const { slot, error: slotError } = await doctorScheduleService.findSlot(doctor, time);
+    if (slotError) {
+      visit.conflict = { code: 'OUTSIDE_SCHEDULE', message: slotError };
+      continue;
+    }
+    visit.start = slot.start.toISO();
+    visit.end = slot.end.toISO();
+
+    const slotRange = { [Op.gte]: slot.start.toJSDate(), [Op.lt]: slot.end.toJSDate() };
+
+    const booked = await Appointment.count({
+      where: {
+        ...excludeIds,
+        type: 'physical',
+        doctorId: doctor.id,
+        appointmentDateTime: slotRange,
+        status: { [Op.in]: ACTIVE_APPOINTMENT_STATUSES }
+      },
+      transaction,
+      lock
+    });
+
+    // Places reserved by bookings or waitlist offers still in progress
+    const held = await SlotHold.count({
+      where: {
+        type: 'physical',
+        doctorId: doctor.id,
+        slotStart: slotRange,
+        status: 'held',
+        appointmentId: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      transaction,
+      lock
+    });
+
+    if (booked + held > 0) {
+      visit.conflict = { code: 'SLOT_TAKEN', message: 'The doctor already has an appointment at this time' };
+      continue;
+    }
+
+    const sameDay = await Appointment.count({
+      where: {
+        ...excludeIds,
+        userId,
+        doctorId: doctor.id,
+        appointmentDateTime: { [Op.between]: [time.startOf('day').toJSDate(), time.endOf('day').toJSDate()] },
+        status: { [Op.notIn]: ['canceled', 'rejected'] }
+      },
+      transaction
+    });
+
+    if (sameDay > 0) {
+      visit.conflict = { code: 'PATIENT_BUSY', message: 'The patient already has an appointment with this doctor on this date' };
+    }
+  }
+
+  return visits;
+};
+
+/**
+ * Visit times of a new series and their conflicts, without booking anything
+ * @param {Object} doctor - Doctor instance
+ * @param {number} userId
+ * @param {Object} recurrence - Values from validateRecurrence
+ * @returns {Promise<Object[]>} Visits as returned by checkSchedule
+ */
+exports.previewSeries = async (doctor, userId, recurrence) => {
+  const sequences = Array.from({ length: recurrence.occurrences }, (_, index) => index + 1);
+  return exports.checkSchedule(doctor, userId, buildSchedule(recurrence.startTime, recurrence, sequences));
+};
+
+/**
+ * Book all visits of a series, or none of them when any visit conflicts
+ * @param {Object} params
+ * @param {Object} params.doctor - Doctor instance
+ * @param {number} params.userId - Patient
+ * @param {number} params.createdBy - User booking the series
+ * @param {Object} params.recurrence - Values from validateRecurrence
+ * @param {string} [params.title]
+ * @param {string} [params.notes]
+ * @param {boolean} [params.confirmed=false] - Book the visits as confirmed, for series set up by the doctor
+ * @returns {Promise<Object>} { success, series, appointments } or { success: false, code, message, visits }
+ */
+exports.bookSeries = async ({ doctor, userId, createdBy, recurrence, title = null, notes = null, confirmed = false }) => {
+  const sequences = Array.from({ length: recurrence.occurrences }, (_, index) => index + 1);
+  const schedule = buildSchedule(recurrence.startTime, recurrence, sequences);
+
+  return sequelize.transaction(async (transaction) => {
+    const visits = await exports.checkSchedule(doctor, userId, schedule, { transaction });
+
+    if (visits.some(visit => visit.conflict)) {
+      return {
+        success: false,
+        code: 'SERIES_CONFLICT',
+        message: 'Some visits of the series cannot be booked. Choose another start time or interval.',
+        visits
+      };
+    }
+
+    const series = await AppointmentSeries.create({
+      userId,
+      doctorId: doctor.id,
+      title,
+      interval: recurrence.interval,
+      intervalUnit: recurrence.intervalUnit,
+      occurrences: recurrence.occurrences,
+      startDateTime: recurrence.startTime.toJSDate(),
+      status: 'active',
+      notes,
+      createdBy
+    }, { transaction });
+
+    const appointments = [];
+    for (const { sequence, time } of schedule) {
+      appointments.push(await Appointment.create({
+        userId,
+        doctorId: doctor.id,
+        appointmentDateTime: time.toJSDate(),
+        type: 'physical',
+        status: confirmed ? 'confirmed' : 'pending',
+        notes,
+        bookingDate: new Date(),
+        paymentRequired: false,
+        seriesId: series.id,
+        seriesSequence: sequence
+      }, { transaction }));
+    }
+
+    return { success: true, series, appointments };
+  });
+};
+
+/**
+ * Move the remaining visits of a series to a new start time, keeping them one
+ * interval apart. Nothing is moved when any new time conflicts.
+ * @param {Object} series - AppointmentSeries instance
+ * @param {Object} params
+ * @param {Object} params.doctor - Doctor instance
+ * @param {Object} params.recurrence - Values from validateRecurrence
+ * @returns {Promise<Object>} { success, appointments } or { success: false, code, message, visits? }
+ */
+exports.rescheduleSeries = async (series, { doctor, recurrence }) => {
+  return sequelize.transaction(async (transaction) => {
+    const remaining = await Appointment.findAll({
+      where: {
+        seriesId: series.id,
+        status: { [Op.in]: MOVABLE_STATUSES },
+        appointmentDateTime: { [Op.gt]: new Date() }
+      },
+      order: [['seriesSequence', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (remaining.length === 0) {
+      return {
+        success: false,
+        code: 'NOTHING_TO_RESCHEDULE',
+        message: 'This series has no upcoming visits that can be rescheduled'
+      };
+    }
+
+    const schedule = buildSchedule(recurrence.startTime, recurrence, remaining.map(visit => visit.seriesSequence));
+    const visits = await exports.checkSchedule(doctor, series.userId, schedule, {
+      excludeAppointmentIds: remaining.map(visit => visit.id),
+      transaction
+    });
+
+    if (visits.some(visit => visit.conflict)) {
+      return {
+        success: false,
+        code: 'SERIES_CONFLICT',
+        message: 'Some visits cannot be moved to the new times. Choose another start time or interval.',
+        visits
+      };
+    }
+
+    for (const [index, appointment] of remaining.entries()) {
+      await appointment.update({
+        originalDateTime: appointment.appointmentDateTime,
+        appointmentDateTime: schedule[index].time.toJSDate()
+      }, { transaction });
+    }
+
+    await series.update({
+      interval: recurrence.interval,
+      intervalUnit: recurrence.intervalUnit
+    }, { transaction });
+
+    return { success: true, appointments: remaining };
+  });
+};
+
+/**
+ * Cancel the upcoming visits of a series. Patients are bound by the
+ * cancellation policy, so visits inside a closed cancellation window are kept.
+ * @param {Object} series - AppointmentSeries instance
+ * @param {Object} params
+ * @param {string} params.canceledBy - patient or doctor
+ * @param {number} params.canceledByUserId
+ * @param {string} [params.cancelReason]
+ * @returns {Promise<Object>} { success, canceled: Appointment[], kept: [{ appointmentId, sequence, reason, message }] }
+ */
+exports.cancelSeries = async (series, { canceledBy, canceledByUserId, cancelReason = null }) => {
+  const upcoming = await Appointment.findAll({
+    where: {
+      seriesId: series.id,
+      status: { [Op.in]: ACTIVE_APPOINTMENT_STATUSES },
+      appointmentDateTime: { [Op.gt]: new Date() }
+    },
+    order: [['seriesSequence', 'ASC']]
+  });
+
+  const policy = await appointmentPolicyService.getPolicy('physical');
+  const canceled = [];
+  const kept = [];
+
+  for (const appointment of upcoming) {
+    const cancellation = appointmentPolicyService.evaluateCancellation(
+      appointment,
+      canceledBy,
+      policy,
+      appointment.paymentStatus === 'success' ? appointment.paymentAmount : 0
+    );
+
+    if (!cancellation.allowed) {
+      kept.push({
+        appointmentId: appointment.id,
+        sequence: appointment.seriesSequence,
+        reason: cancellation.code,
+        message: cancellation.message
+      });
+      continue;
+    }
+
+    // Conditional update so a visit completed or cancelled meanwhile is left as it is
+    const [affected] = await Appointment.update({
+      status: 'canceled',
+      cancelReason,
+      canceledBy,
+      canceledByUserId,
+      canceledAt: new Date(),
+      cancellationFee: cancellation.fee > 0 ? cancellation.fee : null
+    }, {
+      where: { id: appointment.id, status: { [Op.in]: ACTIVE_APPOINTMENT_STATUSES } }
+    });
+    if (!affected) continue;
+
+    await appointment.reload();
+    canceled.push(appointment);
+
+    try {
+      await refundService.refundForCancellation(appointment, canceledBy);
+    } catch (error) {
+      console.error(`Refund for canceled series visit ${appointment.id} failed:`, error);
+    }
+    try {
+      await waitlistService.offerFreedSlot(appointment);
+    } catch (error) {
+      console.error(`Waitlist offer for series visit ${appointment.id} failed:`, error);
+    }
+  }
+
+  if (kept.length === 0) {
+    await series.update({
+      status: 'canceled',
+      cancelReason,
+      canceledBy,
+      canceledAt: new Date()
+    });
+  } else {
+    await exports.syncSeriesStatus(series.id);
+  }
+
+  return { success: true, canceled, kept };
+};
+
+/**
+ * Close a series once none of its visits is still to come
+ * @param {number} seriesId
+ * @returns {Promise<void>}
+ */
+exports.syncSeriesStatus = async (seriesId) => {
+  if (!seriesId) return;
+
+  const series = await AppointmentSeries.findByPk(seriesId);
+  if (!series || series.status !== 'active') return;
+
+  const active = await Appointment.count({
+    where: { seriesId, status: { [Op.in]: ACTIVE_APPOINTMENT_STATUSES } }
+  });
+  if (active > 0) return;
+
+  const completed = await Appointment.count({ where: { seriesId, status: 'completed' } });
+  await series.update({ status: completed > 0 ? 'completed' : 'canceled' });
+};
+
+exports.parseDateTime = parseDateTime;
+exports.INTERVAL_UNITS = INTERVAL_UNITS;
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
@@ -0,0 +1,207 @@
+const { Op } = require('sequelize');
+const DeviceToken = require('../models/deviceToken.model');
+const { sendPushNotification, checkToken } = require('./firebase.services');
+
+const PLATFORMS = ['android', 'ios', 'web'];
+// Oldest devices are dropped beyond this many per user
+const MAX_DEVICES_PER_USER = parseInt(process.env.MAX_DEVICE_TOKENS_PER_USER) || 10;
+// Apps register their token on every start, so a token not seen for this long is dead
+const STALE_AFTER_DAYS = parseInt(process.env.DEVICE_TOKEN_STALE_DAYS) || 60;
+const CHECK_BATCH_SIZE = 500;
+const MAX_TOKEN_LENGTH = 512;
+
+const optionalString = (value, field, maxLength, errors) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be text`);
+    return null;
+  }
+  const text = value.trim();
+  if (text.length > maxLength) errors.push(`${field} must be at most ${maxLength} characters`);
+  return text || null;
+};
+
+/**
+ * Validate a device registration from the app
+ * @param {Object} input - { fcmToken, platform, appVersion, deviceName }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateRegistration = (input = {}) => {
+  const errors = [];
+
+  const token = optionalString(input.fcmToken, 'fcmToken', MAX_TOKEN_LENGTH, errors);
+  if (!token && errors.length === 0) errors.push('FCM token is required');
+
+  let platform = null;
+  if (input.platform) {
+    platform = String(input.platform).toLowerCase();
+    if (!PLATFORMS.includes(platform)) errors.push(`platform must be one of ${PLATFORMS.join(', ')}`);
+  }
+
+  const appVersion = optionalString(input.appVersion, 'appVersion', 50, errors);
+  const deviceName = optionalString(input.deviceName, 'deviceName', 255, errors);
+
+  return { valid: errors.length === 0, errors, values: { token, platform, appVersion, deviceName } };
+};
+
+/**
+ * Register the token of a device for a user, or refresh it. A token already
+ * registered to someone else moves to this user, as the device changed hands.
+ * @param {number} userId
+ * @param {Object} values - From validateRegistration
+ * @param {number} [sessionId] - Session the app is signed in with
+ * @returns {Promise<Object>} DeviceToken instance
+ */
+exports.registerToken = async (userId, values, sessionId = null) => {
+  const fields = {
+    userId,
+    platform: values.platform,
+    appVersion: values.appVersion,
+    deviceName: values.deviceName,
+    sessionId,
+    lastSeenAt: new Date()
+  };
+
+  let device = await DeviceToken.findOne({ where: { token: values.token } });
+  if (device) {
+    await device.update(fields);
+  } else {
+    try {
+      device = await DeviceToken.create({ ...fields, token: values.token });
+    } catch (error) {
+      // Registered at the same moment by another request
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      device = await DeviceToken.findOne({ where: { token: values.token } });
+      await device.update(fields);
+    }
+  }
+
+  const extra = await DeviceToken.findAll({
+    where: { userId },
+    attributes: ['id'],
+    order: [['lastSeenAt', 'DESC']],
+    offset: MAX_DEVICES_PER_USER
+  });
+  if (extra.length > 0) {
+    await DeviceToken.destroy({ where: { id: { [Op.in]: extra.map(row => row.id) } } });
+  }
+
+  return device;
+};
+
+/**
+ * Devices of a user, most recently seen first
+ * @param {number} userId
+ * @returns {Promise<Object[]>} DeviceToken instances
+ */
+exports.listDevices = (userId) => {
+  return DeviceToken.findAll({ where: { userId }, order: [['lastSeenAt', 'DESC']] });
+};
+
+/**
+ * Unregister a device of a user by its token or id
+ * @param {number} userId
+ * @param {Object} where - { token } or { id }
+ * @returns {Promise<boolean>} Whether a device was removed
+ */
+exports.removeDevice = async (userId, where) => {
+  return (await DeviceToken.destroy({ where: { ...where, userId } })) > 0;
+};
+
+/**
+ * Unregister the devices of revoked sessions: one session, or every session
+ * of a user but the one kept signed in. Devices registered without a session
+ * go with the latter.
+ * @param {Object} options - { sessionId } or { userId, exceptSessionId }
+ * @returns {Promise<number>} Number of devices removed
+ */
+exports.removeForSessions = async ({ sessionId = null, userId = null, exceptSessionId = null }) => {
+  if (sessionId) {
+    return DeviceToken.destroy({ where: { sessionId } });
+  }
+  const where = { userId };
+  if (exceptSessionId) {
+    where[Op.or] = [{ sessionId: null }, { sessionId: { [Op.ne]: exceptSessionId } }];
+  }
+  return DeviceToken.destroy({ where });
+};
+
+/**
+ * Push a notification to every device of a user. Tokens FCM reports invalid
+ * are removed; other failures are logged and do not stop the other devices.
+ * @param {number} userId
+ * @param {string} title
+ * @param {string} body
+ * @param {Object} data - String values
+ * @returns {Promise<Object>} { devices, sent, failed, removed, errors }
+ */
+exports.sendToUser = async (userId, title, body, data = {}) => {
+  const devices = await DeviceToken.findAll({ where: { userId }, attributes: ['id', 'token'] });
+  const summary = { devices: devices.length, sent: 0, failed: 0, removed: 0, errors: [] };
+
+  await Promise.all(devices.map(async (device) => {
+    try {
+      const result = await sendPushNotification(device.token, title, body, data);
+      if (result && result.shouldRemoveToken) {
+        await DeviceToken.destroy({ where: { id: device.id } });
+        summary.removed++;
+      } else {
+        summary.sent++;
+      }
+    } catch (error) {
+      console.error(`Push to device ${device.id} of user ${userId} failed:`, error.message);
+      summary.failed++;
+      summary.errors.push(error.code || error.message);
+    }
+  }));
+
+  return summary;
+};
+
+/**
+ * Remove a token FCM reported invalid, whoever it belongs to
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+exports.pruneToken = async (token) => {
+  return (await DeviceToken.destroy({ where: { token } })) > 0;
+};
+
+/**
+ * Ask FCM about every registered token, without notifying anyone, and remove
+ * the invalid ones and those not seen for a long time
+ * @returns {Promise<Object>} { checked, invalid, stale, errors }
+ */
+exports.cleanupTokens = async () => {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  const stale = await DeviceToken.destroy({ where: { lastSeenAt: { [Op.lt]: staleBefore } } });
+
+  const summary = { checked: 0, invalid: 0, stale, errors: 0 };
+  let lastId = 0;
+  for (;;) {
+    const devices = await DeviceToken.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      attributes: ['id', 'token'],
+      order: [['id', 'ASC']],
+      limit: CHECK_BATCH_SIZE
+    });
+    if (devices.length === 0) break;
+    lastId = devices[devices.length - 1].id;
+
+    for (const device of devices) {
+      summary.checked++;
+      try {
+        if (!await checkToken(device.token)) {
+          await DeviceToken.destroy({ where: { id: device.id } });
+          summary.invalid++;
+        }
+      } catch (error) {
+        console.error(`Checking device token ${device.id} failed:`, error.message);
+        summary.errors++;
+      }
+    }
+  }
+  return summary;
+};
+
+exports.PLATFORMS = PLATFORMS;
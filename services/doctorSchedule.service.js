@@ -0,0 +1,284 @@
+const { Op } = require('sequelize');
+const DoctorSchedule = require('../models/doctorSchedule.model');
+const DoctorLeave = require('../models/doctorLeave.model');
+
+const TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_SLOT_DURATION = 30;
+
+/**
+ * Normalise "HH:mm" / "HH:mm:ss" to "HH:mm:ss"
+ * @param {string} time
+ * @returns {string|null} Normalised time or null when invalid
+ */
+const normalizeTime = (time) => {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time || '').trim());
+  if (!match) return null;
+
+  const [hour, minute, second = '00'] = match.slice(1);
+  if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return null;
+
+  return `${hour.padStart(2, '0')}:${minute}:${second}`;
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const atTime = (date, time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return date.set({ hour, minute, second: 0, millisecond: 0 });
+};
+
+/**
+ * Validate a weekly schedule payload
+ * @param {Object[]} schedules - [{ dayOfWeek, startTime, endTime, slotDuration, breaks }]
+ * @returns {Object} { valid, errors, schedules } with times normalised to HH:mm:ss
+ */
+exports.validateSchedules = (schedules) => {
+  const errors = [];
+  const normalized = [];
+
+  if (!Array.isArray(schedules)) {
+    return { valid: false, errors: ['schedules must be an array'], schedules: [] };
+  }
+
+  schedules.forEach((entry, index) => {
+    const label = `schedules[${index}]`;
+    const dayOfWeek = Number(entry.dayOfWeek);
+    const startTime = normalizeTime(entry.startTime);
+    const endTime = normalizeTime(entry.endTime);
+    const slotDuration = entry.slotDuration === undefined ? DEFAULT_SLOT_DURATION : Number(entry.slotDuration);
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 1 || dayOfWeek > 7) {
+      errors.push(`${label}.dayOfWeek must be between 1 (Monday) and 7 (Sunday)`);
+    }
+    if (!startTime || !endTime) {
+      errors.push(`${label} requires startTime and endTime in HH:mm format`);
+      return;
+    }
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
+      errors.push(`${label}.endTime must be after startTime`);
+    }
+    if (!Number.isInteger(slotDuration) || slotDuration < 5 || slotDuration > 240) {
+      errors.push(`${label}.slotDuration must be between 5 and 240 minutes`);
+    }
+
+    const breaks = [];
+    (entry.breaks || []).forEach((brk, breakIndex) => {
+      const breakStart = normalizeTime(brk.startTime);
+      const breakEnd = normalizeTime(brk.endTime);
+      if (!breakStart || !breakEnd || toMinutes(breakEnd) <= toMinutes(breakStart)) {
+        errors.push(`${label}.breaks[${breakIndex}] requires a valid startTime before endTime`);
+        return;
+      }
+      if (toMinutes(breakStart) < toMinutes(startTime) || toMinutes(breakEnd) > toMinutes(endTime)) {
+        errors.push(`${label}.breaks[${breakIndex}] must fall within the session`);
+        return;
+      }
+      breaks.push({ startTime: breakStart, endTime: breakEnd });
+    });
+
+    normalized.push({ dayOfWeek, startTime, endTime, slotDuration, breaks });
+  });
+
+  // Sessions on the same weekday must not overlap
+  for (let day = 1; day <= 7; day++) {
+    const sessions = normalized
+      .filter(session => session.dayOfWeek === day)
+      .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+    for (let i = 1; i < sessions.length; i++) {
+      if (toMinutes(sessions[i].startTime) < toMinutes(sessions[i - 1].endTime)) {
+        errors.push(`Sessions overlap on day ${day} (${sessions[i - 1].startTime}-${sessions[i - 1].endTime} and ${sessions[i].startTime}-${sessions[i].endTime})`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, schedules: normalized };
+};
+
+exports.normalizeTime = normalizeTime;
+
+// Sessions on a date from a doctor's active weekly schedule rows
+const sessionsFrom = (doctor, schedules, date) => {
+  if (schedules.length === 0) {
+    if (!doctor.startTime || !doctor.endTime) {
+      return { configured: false, sessions: [] };
+    }
+    return {
+      configured: true,
+      sessions: [{
+        startTime: doctor.startTime,
+        endTime: doctor.endTime,
+        slotDuration: DEFAULT_SLOT_DURATION,
+        breaks: []
+      }]
+    };
+  }
+
+  return {
+    configured: true,
+    sessions: schedules
+      .filter(schedule => schedule.dayOfWeek === date.weekday)
+      .map(schedule => ({
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        slotDuration: schedule.slotDuration,
+        breaks: schedule.breaks || []
+      }))
+  };
+};
+
+/**
+ * Working sessions of a doctor on a given date. Doctors without a weekly
+ * schedule fall back to the single startTime/endTime on their profile.
+ * @param {Object} doctor - Doctor instance
+ * @param {DateTime} date - Date in IST
+ * @returns {Promise<Object>} { configured, sessions: [{ startTime, endTime, slotDuration, breaks }] }
+ */
+exports.getSessionsForDate = async (doctor, date) => {
+  const schedules = await DoctorSchedule.findAll({
+    where: { doctorId: doctor.id, isActive: true },
+    order: [['startTime', 'ASC']]
+  });
+  return sessionsFrom(doctor, schedules, date);
+};
+
+/**
+ * Leaves and holidays of a doctor covering a date
+ * @param {number} doctorId
+ * @param {string} isoDate - yyyy-MM-dd
+ * @returns {Promise<Object[]>} DoctorLeave instances
+ */
+exports.getLeavesForDate = async (doctorId, isoDate) => {
+  return DoctorLeave.findAll({
+    where: {
+      doctorId,
+      startDate: { [Op.lte]: isoDate },
+      endDate: { [Op.gte]: isoDate }
+    }
+  });
+};
+
+// Slots of a day from its sessions, minus breaks and leave
+const buildSlots = (day, { configured, sessions }, leaves) => {
+  // A leave without times blocks the whole day
+  const onLeave = leaves.some(leave => !leave.startTime || !leave.endTime);
+  if (onLeave) {
+    return { configured, sessions, leaves, onLeave, slots: [] };
+  }
+
+  const blocked = leaves.map(leave => ({
+    start: atTime(day, leave.startTime),
+    end: atTime(day, leave.endTime)
+  }));
+
+  const slots = [];
+  sessions.forEach(session => {
+    const sessionEnd = atTime(day, session.endTime);
+    const breaks = (session.breaks || []).map(brk => ({
+      start: atTime(day, brk.startTime),
+      end: atTime(day, brk.endTime)
+    }));
+
+    let cursor = atTime(day, session.startTime);
+    while (cursor.plus({ minutes: session.slotDuration }) <= sessionEnd) {
+      const slotEnd = cursor.plus({ minutes: session.slotDuration });
+
+      // Slots resume at the end of a break so they stay aligned to it
+      const overlappingBreak = breaks.find(brk => cursor < brk.end && slotEnd > brk.start);
+      if (overlappingBreak) {
+        cursor = overlappingBreak.end;
+        continue;
+      }
+
+      if (!blocked.some(range => cursor < range.end && slotEnd > range.start)) {
+        slots.push({ start: cursor, end: slotEnd });
+      }
+
+      cursor = slotEnd;
+    }
+  });
+
+  return { configured, sessions, leaves, onLeave, slots };
+};
+
+/**
+ * Build the bookable slots of a doctor for a date from their schedule, minus
+ * breaks and leave
+ * @param {Object} doctor - Doctor instance
+ * @param {DateTime} date - Date in IST
+ * @returns {Promise<Object>} { configured, sessions, leaves, onLeave, slots: [{ start, end }] } with luxon DateTimes
+ */
+exports.generateSlots = async (doctor, date) => {
+  const day = date.setZone(TIMEZONE).startOf('day');
+  const { configured, sessions } = await exports.getSessionsForDate(doctor, day);
+  const leaves = await exports.getLeavesForDate(doctor.id, day.toISODate());
+  return buildSlots(day, { configured, sessions }, leaves);
+};
+
+/**
+ * generateSlots for many doctors at once, loading their schedules and leave
+ * in one query each
+ * @param {Object[]} doctors - Doctor instances
+ * @param {DateTime} date - Date in IST
+ * @returns {Promise<Map>} doctorId => { configured, sessions, leaves, onLeave, slots }
+ */
+exports.generateSlotsForDoctors = async (doctors, date) => {
+  const day = date.setZone(TIMEZONE).startOf('day');
+  const isoDate = day.toISODate();
+  const doctorIds = doctors.map(doctor => doctor.id);
+  if (doctorIds.length === 0) return new Map();
+
+  const [schedules, leaves] = await Promise.all([
+    DoctorSchedule.findAll({
+      where: { doctorId: { [Op.in]: doctorIds }, isActive: true },
+      order: [['startTime', 'ASC']]
+    }),
+    DoctorLeave.findAll({
+      where: {
+        doctorId: { [Op.in]: doctorIds },
+        startDate: { [Op.lte]: isoDate },
+        endDate: { [Op.gte]: isoDate }
+      }
+    })
+  ]);
+
+  const slotsByDoctor = new Map();
+  for (const doctor of doctors) {
+    const sessions = sessionsFrom(doctor, schedules.filter(schedule => schedule.doctorId === doctor.id), day);
+    slotsByDoctor.set(doctor.id, buildSlots(day, sessions, leaves.filter(leave => leave.doctorId === doctor.id)));
+  }
+  return slotsByDoctor;
+};
+
+/**
+ * Find the scheduled slot a requested appointment time falls in
+ * @param {Object} doctor - Doctor instance
+ * @param {DateTime} requestedTime - Requested time in IST
+ * @returns {Promise<Object>} { slot } or { error }
+ */
+exports.findSlot = async (doctor, requestedTime) => {
+  const { configured, sessions, onLeave, slots } = await exports.generateSlots(doctor, requestedTime);
+
+  if (!configured) {
+    return { error: 'Doctor working hours not configured' };
+  }
+  if (onLeave) {
+    return { error: 'Doctor is on leave on the selected date' };
+  }
+  if (sessions.length === 0) {
+    return { error: 'Doctor is not available on the selected day' };
+  }
+
+  const slot = slots.find(candidate => requestedTime >= candidate.start && requestedTime < candidate.end);
+  if (!slot) {
+    return { error: 'Selected time is outside the doctor\'s available slots' };
+  }
+
+  return { slot };
+};
+
+exports.TIMEZONE = TIMEZONE;
+exports.DEFAULT_SLOT_DURATION = DEFAULT_SLOT_DURATION;
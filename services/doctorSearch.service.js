@@ -0,0 +1,488 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Doctor = require('../models/doctor.model');
+const User = require('../models/user.model');
+const City = require('../models/city.model');
+const State = require('../models/state.model');
+const doctorScheduleService = require('./doctorSchedule.service');
+const slotHoldService = require('./slotHold.service');
+const pinCodeService = require('./pinCode.service');
+
+const TIMEZONE = 'Asia/Kolkata';
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_RADIUS_KM = 500;
+const GENDERS = ['Male', 'Female', 'Other'];
+const SORTS = ['relevance', 'distance', 'rating', 'fee', 'experience'];
+// Sorts on stored columns, which the database can order and page by itself
+const DATABASE_ORDERS = {
+  rating: [['averageRating', 'DESC'], ['reviewCount', 'DESC']],
+  // Doctors without a fee last
+  fee: [[sequelize.fn('ISNULL', sequelize.col('Doctor.consultationFee')), 'ASC'], ['consultationFee', 'ASC']],
+  experience: [['yearsOfExperience', 'DESC']]
+};
+// Most doctors a search works out distance, free slots and relevance for; the
+// first by candidateOrder are kept, so paging does not slow down as doctors join
+const MAX_CANDIDATES = 500;
+// Same as the slot capacity of physical appointments in getAvailableSlots
+const PHYSICAL_SLOT_CAPACITY = 1;
+
+// Weights of the parts of the relevance score, each part being 0 to 1
+const RELEVANCE_WEIGHTS = {
+  text: 3,
+  proximity: 2,
+  rating: 2,
+  experience: 1
+};
+// Reviews needed before the average rating counts in full
+const RATING_CONFIDENCE_REVIEWS = 20;
+const EXPERIENCE_CAP_YEARS = 30;
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+
+const optionalNumber = (value, field, errors, { min = null, max = null, integer = false } = {}) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    errors.push(`${field} must be a ${integer ? 'whole number' : 'number'}`);
+    return null;
+  }
+  if ((min !== null && number < min) || (max !== null && number > max)) {
+    errors.push(`${field} must be between ${min} and ${max}`);
+    return null;
+  }
+  return number;
+};
+
+/**
+ * Languages from a JSON array, a JSON string of one (form-data) or a comma
+ * separated list, title cased so they can be matched exactly
+ * @returns {string[]|null}
+ */
+const parseLanguages = (value, errors) => {
+  if (value === undefined || value === null || value === '') return null;
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = list.trim().startsWith('[') ? JSON.parse(list) : list.split(',');
+    } catch (error) {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list) || list.some(language => typeof language !== 'string')) {
+    errors.push('languages must be a list of languages');
+    return null;
+  }
+  const languages = [...new Set(list.map(language => language.trim()).filter(Boolean).map(titleCase))];
+  return languages.length > 0 ? languages : null;
+};
+
+/**
+ * Validate the search fields of a doctor profile. Fields left out are not
+ * returned, so they stay unchanged on update.
+ * @param {Object} input - { consultationFee, languages, latitude, longitude }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateProfileFields = (input = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (input.consultationFee !== undefined) {
+    const fee = optionalNumber(input.consultationFee, 'consultationFee', errors, { min: 0, max: 1000000 });
+    values.consultationFee = fee === null ? null : toAmount(fee);
+  }
+  if (input.languages !== undefined) {
+    values.languages = parseLanguages(input.languages, errors);
+  }
+  if (input.latitude !== undefined || input.longitude !== undefined) {
+    const latitude = optionalNumber(input.latitude, 'latitude', errors, { min: -90, max: 90 });
+    const longitude = optionalNumber(input.longitude, 'longitude', errors, { min: -180, max: 180 });
+    if ((latitude === null) !== (longitude === null)) {
+      errors.push('latitude and longitude must be given together');
+    }
+    values.latitude = latitude;
+    values.longitude = longitude;
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Place a clinic at its PIN when the PIN is new or changed and no coordinates
+ * were given, so a clinic does not stay at the place of its old PIN
+ * @param {Object} values - From validateProfileFields
+ * @param {string} locationPin - PIN saved with the profile
+ * @param {Object|null} [doctor] - Doctor instance before the change; null for a new profile
+ * @returns {Promise<Object>} values, with latitude and longitude when worked out from the PIN
+ */
+exports.withPinCoordinates = async (values, locationPin, doctor = null) => {
+  if (values.latitude !== undefined || !locationPin) return values;
+  const pin = String(locationPin).trim();
+  if (doctor && doctor.locationPin === pin && doctor.latitude !== null) return values;
+
+  const coordinates = await pinCodeService.locatePin(pin);
+  return {
+    ...values,
+    latitude: coordinates ? coordinates.latitude : null,
+    longitude: coordinates ? coordinates.longitude : null
+  };
+};
+
+/**
+ * Validate the query of a doctor search
+ * @param {Object} query - req.query
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateSearch = (query = {}) => {
+  const errors = [];
+
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  const specialty = typeof query.specialty === 'string' ? query.specialty.trim() : '';
+  const city = typeof query.city === 'string' ? query.city.trim() : '';
+  const state = typeof query.state === 'string' ? query.state.trim() : '';
+  const cityId = optionalNumber(query.cityId, 'cityId', errors, { min: 1, integer: true });
+  const stateId = optionalNumber(query.stateId, 'stateId', errors, { min: 1, integer: true });
+  const languages = parseLanguages(query.languages, errors);
+  const minFee = optionalNumber(query.minFee, 'minFee', errors, { min: 0 });
+  const maxFee = optionalNumber(query.maxFee, 'maxFee', errors, { min: 0 });
+  const minExperience = optionalNumber(query.minExperience, 'minExperience', errors, { min: 0, integer: true });
+  const maxExperience = optionalNumber(query.maxExperience, 'maxExperience', errors, { min: 0, integer: true });
+  if (minFee !== null && maxFee !== null && minFee > maxFee) errors.push('minFee cannot be more than maxFee');
+  if (minExperience !== null && maxExperience !== null && minExperience > maxExperience) {
+    errors.push('minExperience cannot be more than maxExperience');
+  }
+
+  let gender = null;
+  if (query.gender) {
+    gender = GENDERS.find(option => option.toLowerCase() === String(query.gender).toLowerCase()) || null;
+    if (!gender) errors.push(`gender must be one of ${GENDERS.join(', ')}`);
+  }
+
+  let date = null;
+  if (query.date) {
+    date = DateTime.fromFormat(String(query.date), 'yyyy-MM-dd', { zone: TIMEZONE });
+    if (!date.isValid) {
+      errors.push('date must be in YYYY-MM-DD format');
+      date = null;
+    } else if (date < DateTime.now().setZone(TIMEZONE).startOf('day')) {
+      errors.push('date cannot be in the past');
+      date = null;
+    }
+  }
+
+  const latitude = optionalNumber(query.latitude, 'latitude', errors, { min: -90, max: 90 });
+  const longitude = optionalNumber(query.longitude, 'longitude', errors, { min: -180, max: 180 });
+  const hasLocation = latitude !== null && longitude !== null;
+  if ((latitude === null) !== (longitude === null)) errors.push('latitude and longitude must be given together');
+  const radius = optionalNumber(query.radius, 'radius', errors, { min: 1, max: MAX_RADIUS_KM });
+  if (radius !== null && !hasLocation) errors.push('radius needs latitude and longitude');
+
+  const sort = query.sort || (hasLocation ? 'distance' : 'relevance');
+  if (!SORTS.includes(sort)) errors.push(`sort must be one of ${SORTS.join(', ')}`);
+  if (sort === 'distance' && !hasLocation) errors.push('Sorting by distance needs latitude and longitude');
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    values: {
+      text, specialty, city, state, cityId, stateId, languages,
+      minFee, maxFee, minExperience, maxExperience, gender, date,
+      location: hasLocation ? { latitude, longitude } : null,
+      radius, sort, page, limit
+    }
+  };
+};
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * City and state names to filter on. Doctors store location names, so ids
+ * from the location lists are looked up; an unknown id matches nothing.
+ * @returns {Promise<Object|null>} { city, state } or null for an unknown id
+ */
+const resolveLocation = async ({ city, state, cityId, stateId }) => {
+  const names = { city: city || null, state: state || null };
+  if (cityId) {
+    const cityRow = await City.findByPk(cityId, { include: [{ model: State, attributes: ['state_name'] }] });
+    if (!cityRow) return null;
+    names.city = cityRow.city_name;
+    if (!stateId && !names.state && cityRow.State) names.state = cityRow.State.state_name;
+  }
+  if (stateId) {
+    const stateRow = await State.findByPk(stateId);
+    if (!stateRow) return null;
+    names.state = stateRow.state_name;
+  }
+  return names;
+};
+
+/**
+ * Bounding box around a point, so only nearby clinics are loaded before the
+ * exact distance is worked out. Clinics not placed yet are matched by the
+ * coordinates of their PIN.
+ */
+const nearbyWhere = ({ latitude, longitude }, radius) => {
+  const latDelta = radius / 111.32;
+  const lngDelta = radius / (111.32 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  const box = {
+    minLatitude: latitude - latDelta,
+    maxLatitude: latitude + latDelta,
+    minLongitude: longitude - lngDelta,
+    maxLongitude: longitude + lngDelta
+  };
+  return {
+    [Op.or]: [
+      {
+        latitude: { [Op.between]: [box.minLatitude, box.maxLatitude] },
+        longitude: { [Op.between]: [box.minLongitude, box.maxLongitude] }
+      },
+      { latitude: null, ...pinCodeService.pinInBox('locationPin', box) }
+    ]
+  };
+};
+
+/**
+ * Order in which the database picks the candidates of a search sorted or
+ * filtered per doctor: the stored sort, else nearest first by the squared
+ * degree distance (clinics not placed yet last), else best rated first
+ */
+const candidateOrder = (values) => {
+  if (DATABASE_ORDERS[values.sort]) return DATABASE_ORDERS[values.sort];
+  if (values.location) {
+    const { latitude, longitude } = values.location;
+    const lngScale = Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+    return [
+      [sequelize.fn('ISNULL', sequelize.col('Doctor.latitude')), 'ASC'],
+      [sequelize.literal(`POW(\`Doctor\`.\`latitude\` - ${latitude}, 2) + POW((\`Doctor\`.\`longitude\` - ${longitude}) * ${lngScale}, 2)`), 'ASC']
+    ];
+  }
+  return DATABASE_ORDERS.rating;
+};
+
+/**
+ * Distance to a clinic in kilometres, from its coordinates or else those of
+ * its PIN; null when neither is known
+ */
+const distanceTo = (location, doctor, pinCoordinates) => {
+  if (!location) return null;
+  const place = doctor.latitude !== null && doctor.longitude !== null
+    ? { latitude: Number(doctor.latitude), longitude: Number(doctor.longitude) }
+    : pinCoordinates.get(doctor.locationPin);
+  return place ? Math.round(distanceKm(location, place) * 10) / 10 : null;
+};
+
+/**
+ * How well the search text matches a doctor, 0 to 1
+ */
+const textScore = (doctor, text) => {
+  if (!text) return 0;
+  const needle = text.toLowerCase();
+  const specialty = (doctor.specialty || '').toLowerCase();
+  const name = doctor.User ? doctor.User.name.toLowerCase() : '';
+  const clinicName = (doctor.clinicName || '').toLowerCase();
+
+  if (specialty === needle || name === needle) return 1;
+  if (specialty.startsWith(needle) || name.startsWith(needle)) return 0.8;
+  if (specialty.includes(needle) || name.includes(needle)) return 0.6;
+  if (clinicName.includes(needle)) return 0.4;
+  return 0;
+};
+
+const relevanceOf = (doctor, distance, values) => {
+  const rating = doctor.averageRating
+    ? (Number(doctor.averageRating) / 5) * Math.min(doctor.reviewCount / RATING_CONFIDENCE_REVIEWS, 1)
+    : 0;
+  const experience = Math.min(doctor.yearsOfExperience || 0, EXPERIENCE_CAP_YEARS) / EXPERIENCE_CAP_YEARS;
+  const proximityRange = values.radius || MAX_RADIUS_KM;
+  const proximity = distance === null ? 0 : 1 - Math.min(distance, proximityRange) / proximityRange;
+
+  const score = RELEVANCE_WEIGHTS.text * textScore(doctor, values.text) +
+    RELEVANCE_WEIGHTS.proximity * proximity +
+    RELEVANCE_WEIGHTS.rating * rating +
+    RELEVANCE_WEIGHTS.experience * experience;
+  return Math.round(score * 1000) / 1000;
+};
+
+// Missing values sort last whichever way the list is ordered
+const byValue = (pick, direction) => (a, b) => {
+  const first = pick(a);
+  const second = pick(b);
+  if (first === null && second === null) return 0;
+  if (first === null) return 1;
+  if (second === null) return -1;
+  return direction === 'asc' ? first - second : second - first;
+};
+
+const COMPARATORS = {
+  relevance: byValue(result => result.relevance, 'desc'),
+  distance: byValue(result => result.distance, 'asc'),
+  rating: byValue(result => (result.doctor.averageRating === null ? null : Number(result.doctor.averageRating)), 'desc'),
+  fee: byValue(result => (result.doctor.consultationFee === null ? null : Number(result.doctor.consultationFee)), 'asc'),
+  experience: byValue(result => result.doctor.yearsOfExperience, 'desc')
+};
+
+/**
+ * Free clinic slots of doctors on a date, from their schedule and leave, less
+ * the appointments booked and the slots held for a payment
+ * @param {Object[]} doctors - Doctor instances
+ * @param {DateTime} date - Day in IST
+ * @returns {Promise<Map>} doctorId => number of free slots
+ */
+const freeSlotsOn = async (doctors, date) => {
+  const day = date.setZone(TIMEZONE).startOf('day');
+  const [slotsByDoctor, taken] = await Promise.all([
+    doctorScheduleService.generateSlotsForDoctors(doctors, day),
+    slotHoldService.takenPhysicalSlots(doctors.map(doctor => doctor.id), day.toJSDate(), day.plus({ days: 1 }).toJSDate())
+  ]);
+
+  // Today, like getAvailableSlots, only slots at least an hour away count
+  const earliest = DateTime.now().setZone(TIMEZONE).plus({ hours: 1 });
+  const freeSlots = new Map();
+  for (const doctor of doctors) {
+    const { slots } = slotsByDoctor.get(doctor.id);
+    const times = taken
+      .filter(place => place.doctorId === doctor.id)
+      .map(place => DateTime.fromJSDate(place.at).setZone(TIMEZONE));
+
+    const free = slots.filter(({ start, end }) => {
+      if (start < earliest) return false;
+      return times.filter(time => time >= start && time < end).length < PHYSICAL_SLOT_CAPACITY;
+    }).length;
+    freeSlots.set(doctor.id, free);
+  }
+  return freeSlots;
+};
+
+/**
+ * Search approved, active clinic doctors. Filters run in the database. Sorting
+ * by a stored column pages there too; otherwise the distance, free slots on a
+ * date and relevance are worked out for at most MAX_CANDIDATES doctors before
+ * sorting and paging.
+ * @param {Object} values - From validateSearch
+ * @returns {Promise<Object>} { results: [{ doctor, distance, relevance, freeSlots }], total }
+ */
+exports.searchDoctors = async (values) => {
+  const locationNames = await resolveLocation(values);
+  if (!locationNames) return { results: [], total: 0 };
+
+  const where = { isApproved: true, is_active: true };
+  const and = [];
+
+  if (values.specialty) where.specialty = { [Op.like]: `%${values.specialty}%` };
+  if (locationNames.city) where.city = locationNames.city;
+  if (locationNames.state) where.state = locationNames.state;
+  if (values.minFee !== null || values.maxFee !== null) {
+    where.consultationFee = {
+      ...(values.minFee !== null && { [Op.gte]: values.minFee }),
+      ...(values.maxFee !== null && { [Op.lte]: values.maxFee })
+    };
+  }
+  if (values.minExperience !== null || values.maxExperience !== null) {
+    where.yearsOfExperience = {
+      ...(values.minExperience !== null && { [Op.gte]: values.minExperience }),
+      ...(values.maxExperience !== null && { [Op.lte]: values.maxExperience })
+    };
+  }
+  if (values.languages) {
+    // Any of the languages asked for
+    and.push({
+      [Op.or]: values.languages.map(language => sequelize.where(
+        sequelize.fn('JSON_CONTAINS', sequelize.col('Doctor.languages'), JSON.stringify(language)),
+        1
+      ))
+    });
+  }
+  if (values.text) {
+    const pattern = `%${values.text}%`;
+    and.push({
+      [Op.or]: [
+        { specialty: { [Op.like]: pattern } },
+        { clinicName: { [Op.like]: pattern } },
+        { '$User.name$': { [Op.like]: pattern } }
+      ]
+    });
+  }
+  if (values.location && values.radius) {
+    and.push(nearbyWhere(values.location, values.radius));
+  }
+  if (and.length > 0) where[Op.and] = and;
+
+  const query = {
+    where,
+    include: [{
+      model: User,
+      as: 'User',
+      attributes: ['id', 'name', 'gender'],
+      ...(values.gender && { where: { gender: values.gender } })
+    }]
+  };
+
+  const toResult = (pinCoordinates) => (doctor) => {
+    const distance = distanceTo(values.location, doctor, pinCoordinates);
+    return { doctor, distance, relevance: relevanceOf(doctor, distance, values), freeSlots: null };
+  };
+  const pinCoordinatesOf = (doctors) => (values.location
+    ? pinCodeService.coordinatesForPins(doctors.filter(doctor => doctor.latitude === null).map(doctor => doctor.locationPin))
+    : new Map());
+
+  const offset = (values.page - 1) * values.limit;
+
+  // Nothing worked out per doctor decides the order or who is left out, so only a page is loaded
+  if (DATABASE_ORDERS[values.sort] && !values.radius && !values.date) {
+    const { count, rows } = await Doctor.findAndCountAll({
+      ...query,
+      order: [...DATABASE_ORDERS[values.sort], ['id', 'ASC']],
+      limit: values.limit,
+      offset,
+      distinct: true
+    });
+    return { results: rows.map(toResult(await pinCoordinatesOf(rows))), total: count };
+  }
+
+  const doctors = await Doctor.findAll({
+    ...query,
+    order: [...candidateOrder(values), ['id', 'ASC']],
+    limit: MAX_CANDIDATES
+  });
+  let results = doctors.map(toResult(await pinCoordinatesOf(doctors)));
+
+  if (values.radius) {
+    results = results.filter(result => result.distance !== null && result.distance <= values.radius);
+  }
+
+  if (values.date && results.length > 0) {
+    const freeSlots = await freeSlotsOn(results.map(result => result.doctor), values.date);
+    results = results.filter(result => {
+      result.freeSlots = freeSlots.get(result.doctor.id);
+      return result.freeSlots > 0;
+    });
+  }
+
+  const primary = COMPARATORS[values.sort];
+  results.sort((a, b) => primary(a, b) || COMPARATORS.relevance(a, b) || a.doctor.id - b.doctor.id);
+
+  return {
+    results: results.slice(offset, offset + values.limit),
+    total: results.length
+  };
+};
+
+exports.SORTS = SORTS;
+exports.MAX_RADIUS_KM = MAX_RADIUS_KM;
@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const fs = require('fs').promises;
 const path = require('path');
 const handlebars = require('handlebars');
+const notificationPreferenceService = require('./notificationPreference.service');
 
 class EmailService {
   constructor() {
@@ -515,7 +516,11 @@ class EmailService {
       doctor_approved: `Account Approved - Welcome Dr. ${data.doctorName}`,
       doctor_disapproved: `Account Disapproved - Important Notice`,
       new_doctor_registration: `New Doctor Registration - Action Required - Dr. ${data.doctorName}`,
-      new_virtual_appointment: `New Virtual Appointment Request - ${data.appointmentDateTime}`
+      new_virtual_appointment: `New Virtual Appointment Request - ${data.appointmentDateTime}`,
+      waitlist_slot_available: `Slot Available - Book by ${data.expiresAt}`,
+      payment_succeeded: `Payment Received - ₹${data.amount}`,
+      appointment_no_show: `Missed Appointment - ${data.appointmentDate}`,
+      appointment_expired: `Appointment Request Expired - ${data.appointmentDate}`
     };
 
     return subjects[templateType] || 'Healthcare Notification';
@@ -541,6 +546,18 @@ class EmailService {
         throw new Error('Email address and template type are required');
       }
 
+      // Skip emails the recipient turned off in their notification preferences
+      const category = notificationPreferenceService.categoryForTemplate(templateType);
+      if (!await notificationPreferenceService.emailAllowed(emailAddress, category)) {
+        console.log(`Email ${templateType} to ${emailAddress} skipped by notification preferences`);
+        return {
+          success: false,
+          skipped: true,
+          error: 'Recipient has turned off these emails',
+          recipient: emailAddress
+        };
+      }
+
       const template = await this.getTemplate(templateType);
       const htmlContent = template(data);
       const subject = this.getEmailSubject(templateType, data);
@@ -601,28 +618,30 @@ class EmailService {
     return results;
   }
 
-  // Send reminder emails (can be called by a scheduler)
-  async sendAppointmentReminders() {
+  // Send reminder emails for confirmed appointments starting within the next
+  // `withinMinutes` (but not within `skipWithinMinutes`) that have not had this
+  // reminder yet. `sentField` is the appointment column recording the reminder.
+  async sendAppointmentReminders({ withinMinutes = 24 * 60, skipWithinMinutes = 0, sentField = 'reminder24hSentAt' } = {}) {
     try {
       // Import models here to avoid circular dependency
       const User = require('../models/user.model');
       const Doctor = require('../models/doctor.model');
       const Patient = require('../models/patient.model');
-      
-      // You'll need to create an Appointment model
+      const VirtualDoctor = require('../models/virtualDoctor.model');
       const { Appointment } = require('../models');
       const { Op } = require('sequelize');
-      
-      // Get appointments for tomorrow
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const startOfTomorrow = new Date(tomorrow.setHours(0, 0, 0, 0));
-      const endOfTomorrow = new Date(tomorrow.setHours(23, 59, 59, 999));
+      const { DateTime } = require('luxon');
+
+      const now = Date.now();
 
       const upcomingAppointments = await Appointment.findAll({
         where: {
-          appointmentDateTime: { [Op.between]: [startOfTomorrow, endOfTomorrow] },
-          status: 'confirmed'
+          appointmentDateTime: {
+            [Op.gt]: new Date(now + skipWithinMinutes * 60 * 1000),
+            [Op.lte]: new Date(now + withinMinutes * 60 * 1000)
+          },
+          status: 'confirmed',
+          [sentField]: null
         },
         include: [
           { 
@@ -638,8 +657,18 @@ class EmailService {
             as: 'doctor', 
             include: [{ 
               model: User, 
+              as: 'User',
               attributes: ['name'] 
             }] 
+          },
+          {
+            model: VirtualDoctor,
+            as: 'virtualDoctor',
+            include: [{
+              model: User,
+              as: 'User',
+              attributes: ['name']
+            }]
           }
         ]
       });
@@ -648,29 +677,42 @@ class EmailService {
       for (const appointment of upcomingAppointments) {
         // Get patient email from either User or Patient model
         const patientEmail = appointment.patient.Patient?.email || appointment.patient.email;
-        
+        const appointmentTime = DateTime.fromJSDate(appointment.appointmentDateTime).setZone('Asia/Kolkata');
+        const doctor = appointment.doctor || appointment.virtualDoctor;
+        let emailResult = null;
+
         if (patientEmail) {
-          const result = await this.sendAppointmentEmail(
+          emailResult = await this.sendAppointmentEmail(
             patientEmail,
             'appointment_reminder',
             {
               patientName: appointment.patient.name,
-              doctorName: appointment.doctor.User.name,
-              appointmentDate: appointment.appointmentDateTime.toLocaleDateString(),
-              appointmentTime: appointment.appointmentDateTime.toLocaleTimeString(),
+              doctorName: doctor?.User?.name || (appointment.type === 'virtual' ? 'Virtual Doctor' : 'Doctor'),
+              appointmentDate: appointmentTime.toFormat('dd LLL yyyy'),
+              appointmentTime: appointmentTime.toFormat('hh:mm a'),
               appointmentType: appointment.type,
               videoCallLink: appointment.videoCallLink
             }
           );
-          results.push(result);
         }
+
+        // Mark the reminder as handled even without an email so it is not retried every run
+        await appointment.update({ [sentField]: new Date() });
+
+        results.push({
+          appointmentId: appointment.id,
+          userId: appointment.userId,
+          appointmentDateTime: appointment.appointmentDateTime,
+          type: appointment.type,
+          emailed: Boolean(emailResult && emailResult.success)
+        });
       }
 
-      console.log(`Sent ${results.filter(r => r.success).length} reminder emails`);
+      console.log(`Sent ${results.filter(r => r.emailed).length} reminder emails for ${results.length} appointments`);
       return results;
     } catch (error) {
       console.error('Failed to send appointment reminders:', error);
-      return [];
+      throw error;
     }
   }
 
@@ -892,7 +934,7 @@ module.exports = {
   emailService,
   sendAppointmentEmail: (to, templateType, data, userObj) => emailService.sendAppointmentEmail(to, templateType, data, userObj),
   sendBulkEmails: (recipients, templateType, data) => emailService.sendBulkEmails(recipients, templateType, data),
-  sendAppointmentReminders: () => emailService.sendAppointmentReminders(),
+  sendAppointmentReminders: (options) => emailService.sendAppointmentReminders(options),
   sendPatientEmail: (patient, templateType, data) => emailService.sendPatientEmail(patient, templateType, data),
   sendDoctorEmail: (doctor, templateType, data) => emailService.sendDoctorEmail(doctor, templateType, data),
   sendNewDoctorRegistrationNotification: (doctorData) => emailService.sendNewDoctorRegistrationNotification(doctorData),
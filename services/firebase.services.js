@@ -20,6 +20,12 @@ admin.initializeApp({
   credential: admin.credential.cert(serviceAccount),
 });
 
+// Errors FCM returns for tokens that will never work again
+const INVALID_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
 /**
  * Send push notification via FCM
  * @param {string} fcmToken
@@ -83,8 +89,7 @@ const sendPushNotification = async (fcmToken, title, body, data = {}) => {
     console.error("Error sending notification:", error);
     
     // Handle invalid/expired tokens
-    if (error.code === 'messaging/registration-token-not-registered' || 
-        error.code === 'messaging/invalid-registration-token') {
+    if (INVALID_TOKEN_CODES.includes(error.code)) {
       console.warn(`⚠️ Invalid FCM token detected: ${fcmToken.substring(0, 20)}...`);
       console.warn("   This token should be removed from the database");
       
@@ -101,46 +106,72 @@ const sendPushNotification = async (fcmToken, title, body, data = {}) => {
 };
 
 /**
- * Send notification to user and store in database
+ * Check with FCM whether a token is still valid, without notifying the device
+ * @param {string} fcmToken
+ * @returns {Promise<boolean>} false only when FCM reports the token invalid
+ */
+const checkToken = async (fcmToken) => {
+  try {
+    await admin.messaging().send({ token: fcmToken, data: { type: "token_check" } }, true);
+    return true;
+  } catch (error) {
+    if (INVALID_TOKEN_CODES.includes(error.code)) return false;
+    throw error;
+  }
+};
+
+/**
+ * Send notification to user and store in database, on the channels the
+ * user's preferences allow for its category
  * @param {number} userId
  * @param {string} title
  * @param {string} message
- * @param {object} options
- * @returns {Promise}
+ * @param {object} options - { type, category, relatedId, data }; appointment
+ *   notifications default to the appointmentUpdates category
+ * @returns {Promise} Notification instance, or null if the user turned in-app notifications off
  */
 const sendUserNotification = async (userId, title, message, options = {}) => {
   const { User, Notification } = require("../models");
+  const notificationPreferenceService = require("./notificationPreference.service");
 
   try {
-    // Get user with FCM token
     const user = await User.findByPk(userId);
     if (!user) {
       console.warn(`User ${userId} not found`);
       return;
     }
 
-    // Store notification in database
-    const notification = await Notification.create({
-      userId,
-      title,
-      message,
-      type: options.type || "appointment",
-      relatedId: options.relatedId,
-      data: options.data,
-    });
+    const type = options.type || "appointment";
+    const category = options.category || (type === "appointment" ? "appointmentUpdates" : null);
+    const channels = await notificationPreferenceService.channelsFor(userId, category);
 
-    // Send push notification if enabled and token exists
-    if (user.notificationEnabled && user.fcmToken) {
-      const pushResult = await sendPushNotification(user.fcmToken, title, message, {
-        notificationId: notification.id.toString(),
-        ...options.data,
+    // Store notification in database
+    let notification = null;
+    if (channels.inApp) {
+      notification = await Notification.create({
+        userId,
+        title,
+        message,
+        type,
+        category,
+        relatedId: options.relatedId,
+        data: options.data,
       });
-      
-      // If token is invalid, remove it from user record
-      if (pushResult && pushResult.shouldRemoveToken) {
-        console.log(`🗑️ Removing invalid FCM token for user ${userId}`);
-        await user.update({ fcmToken: null });
-      }
+    }
+
+    const pushData = {
+      ...(notification ? { notificationId: notification.id.toString() } : {}),
+      ...options.data,
+    };
+
+    // Push to every device the user is signed in on
+    if (user.notificationEnabled && channels.push) {
+      const deviceTokenService = require("./deviceToken.service");
+      await deviceTokenService.sendToUser(userId, title, message, pushData);
+    } else if (user.notificationEnabled && channels.held.includes("push")) {
+      // The dispatcher pushes it once the user's quiet hours end
+      const notificationDispatcher = require("./notificationDispatcher.service");
+      await notificationDispatcher.emit("notification.push", { userId, category, title, message, data: pushData });
     }
 
     return notification;
@@ -153,4 +184,5 @@ const sendUserNotification = async (userId, title, message, options = {}) => {
 module.exports = {
   sendPushNotification,
   sendUserNotification,
+  checkToken,
 };
@@ -0,0 +1,398 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const Payment = require('../models/payment.model');
+const Price = require('../models/price.model');
+const RedeemCode = require('../models/redeemCode.model');
+const RedeemCodeUsage = require('../models/redeemCodeUsage.model');
+const Refund = require('../models/refund.model');
+const User = require('../models/user.model');
+const Invoice = require('../models/invoice.model');
+const InvoiceSequence = require('../models/invoiceSequence.model');
+const Package = require('../models/package.model');
+const PackagePurchase = require('../models/packagePurchase.model');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+// Rate used for services without a gstRate of their own
+const GST_DEFAULT_RATE = process.env.GST_DEFAULT_RATE !== undefined ? parseFloat(process.env.GST_DEFAULT_RATE) : 18;
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+const CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_PREFIX || 'CN';
+
+// Payments that were received; refunded ones still need the invoice the credit note refers to
+const INVOICEABLE_PAYMENT_STATUSES = ['success', 'refunded'];
+
+// Payments completed within this many days get an invoice from the backfill job if one is missing
+const BACKFILL_DAYS = parseInt(process.env.INVOICE_BACKFILL_DAYS) || 7;
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const supplierDetails = () => {
+  const gstin = process.env.CLINIC_GSTIN || null;
+  return {
+    name: process.env.CLINIC_LEGAL_NAME || process.env.CLINIC_NAME || process.env.APP_NAME || 'SID Clinic',
+    gstin,
+    address: process.env.CLINIC_ADDRESS || '',
+    state: process.env.CLINIC_STATE || null,
+    stateCode: gstin ? gstin.slice(0, 2) : null,
+    phone: process.env.CLINIC_PHONE || ''
+  };
+};
+
+const sameState = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Indian financial year (April to March) a date falls in
+ * @param {Date} date
+ * @returns {Object} { label: '2026-27', short: '2627' }
+ */
+const financialYearOf = (date) => {
+  const local = DateTime.fromJSDate(date).setZone(TIMEZONE);
+  const startYear = local.month >= 4 ? local.year : local.year - 1;
+  const endYear = String(startYear + 1).slice(-2);
+  return {
+    label: `${startYear}-${endYear}`,
+    short: `${String(startYear).slice(-2)}${endYear}`
+  };
+};
+
+/**
+ * Take the next number of a series. The series row stays locked until the
+ * transaction ends, so numbers are issued without gaps or duplicates.
+ */
+const nextNumber = async (prefix, issuedAt, transaction) => {
+  const financialYear = financialYearOf(issuedAt);
+  const series = `${prefix}${financialYear.short}`;
+
+  await InvoiceSequence.findOrCreate({ where: { series }, defaults: { lastNumber: 0 }, transaction });
+  const counter = await InvoiceSequence.findOne({ where: { series }, transaction, lock: transaction.LOCK.UPDATE });
+  const sequence = counter.lastNumber + 1;
+  await counter.update({ lastNumber: sequence }, { transaction });
+
+  return {
+    series,
+    sequence,
+    financialYear: financialYear.label,
+    invoiceNumber: `${series}-${String(sequence).padStart(6, '0')}`
+  };
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and CGST/SGST, or IGST for
+ * an inter-state supply
+ * @param {number} total - Amount including GST
+ * @param {number} rate - GST percentage
+ * @param {boolean} interState
+ * @returns {Object} { taxableAmount, cgstAmount, sgstAmount, igstAmount }
+ */
+const splitTax = (total, rate, interState) => {
+  const taxableAmount = toAmount(total * 100 / (100 + rate));
+  const tax = toAmount(total - taxableAmount);
+  if (interState) {
+    return { taxableAmount, cgstAmount: 0, sgstAmount: 0, igstAmount: tax };
+  }
+  const cgstAmount = toAmount(tax / 2);
+  return { taxableAmount, cgstAmount, sgstAmount: toAmount(tax - cgstAmount), igstAmount: 0 };
+};
+
+const doctorDetails = (appointment) => {
+  const doctor = appointment.type === 'virtual' ? appointment.virtualDoctor : appointment.doctor;
+  if (!doctor) return null;
+  return {
+    name: doctor.User ? doctor.User.name : null,
+    registrationNumber: doctor.registrationNumber || null,
+    clinicName: doctor.clinicName || null,
+    address: [doctor.address, doctor.city, doctor.state].filter(Boolean).join(', ') || null,
+    state: doctor.state || null
+  };
+};
+
+const loadPayment = (paymentId) => {
+  const doctorAttributes = ['id', 'registrationNumber', 'clinicName', 'address', 'city', 'state'];
+  return Payment.findByPk(paymentId, {
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'phone'] },
+      {
+        model: Appointment,
+        as: 'appointment',
+        include: [
+          {
+            model: Doctor,
+            as: 'doctor',
+            attributes: doctorAttributes,
+            include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+          },
+          {
+            model: VirtualDoctor,
+            as: 'virtualDoctor',
+            attributes: doctorAttributes,
+            include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+          }
+        ]
+      },
+      { model: PackagePurchase, as: 'packagePurchase' }
+    ]
+  });
+};
+
+/**
+ * What a payment was for: its appointment, or the package it bought
+ * @returns {Promise<Object>} { service, description, doctor }
+ */
+const suppliedService = async (payment) => {
+  const appointment = payment.appointment;
+  if (!appointment) {
+    const purchase = payment.packagePurchase;
+    const pkg = purchase ? await Package.findByPk(purchase.packageId) : null;
+    return {
+      service: pkg,
+      description: `Package: ${purchase ? purchase.name : payment.packagePurchaseId}`,
+      doctor: null
+    };
+  }
+
+  const serviceName = appointment.type === 'virtual' ? 'Virtual Appointment' : 'Clinic Appointment';
+  const appointmentDate = DateTime.fromJSDate(new Date(appointment.appointmentDateTime)).setZone(TIMEZONE);
+  return {
+    service: await Price.findOne({ where: { serviceName }, order: [['isActive', 'DESC'], ['updatedAt', 'DESC']] }),
+    description: `${serviceName} #${appointment.id} on ${appointmentDate.toFormat('dd LLL yyyy')}`,
+    doctor: doctorDetails(appointment)
+  };
+};
+
+/**
+ * Issue the tax invoice of a payment once it has been received. Calling it
+ * again for the same payment returns the invoice already issued.
+ * @param {number} paymentId
+ * @returns {Promise<Object>} { success, invoice, created } or { success: false, code, message }
+ */
+exports.issueInvoiceForPayment = async (paymentId) => {
+  const payment = await loadPayment(paymentId);
+  if (!payment || !INVOICEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return {
+      success: false,
+      code: 'PAYMENT_NOT_INVOICEABLE',
+      message: 'Invoices are only issued for successful payments'
+    };
+  }
+
+  const appointment = payment.appointment;
+  const [{ service, description, doctor }, usages] = await Promise.all([
+    suppliedService(payment),
+    RedeemCodeUsage.findAll({
+      where: { paymentId: payment.id, status: { [Op.ne]: 'cancelled' } },
+      include: [{ model: RedeemCode, as: 'redeemCode', attributes: ['id', 'code', 'name'] }],
+      order: [['id', 'ASC']]
+    })
+  ]);
+
+  const gstRate = service && service.gstRate !== null ? parseFloat(service.gstRate) : GST_DEFAULT_RATE;
+  const sacCode = service ? service.sacCode : null;
+  const totalAmount = toAmount(payment.amount);
+  const discountAmount = toAmount(usages.reduce((sum, usage) => sum + toAmount(usage.discountAmount), 0));
+  const grossAmount = toAmount(totalAmount + discountAmount);
+
+  const supplier = supplierDetails();
+  // A clinic visit is supplied where the clinic is; a virtual consultation or package from the supplier's own state
+  const placeOfSupply = appointment && appointment.type !== 'virtual' && doctor && doctor.state ? doctor.state : supplier.state;
+  const interState = Boolean(supplier.state && placeOfSupply && !sameState(supplier.state, placeOfSupply));
+
+  const lineItems = [{
+    kind: 'service',
+    description,
+    sacCode,
+    quantity: 1,
+    amount: grossAmount
+  }];
+  // One line per code; a campaign can be stacked on the code the patient typed
+  for (const usage of usages) {
+    if (toAmount(usage.discountAmount) <= 0) continue;
+    lineItems.push({
+      kind: 'discount',
+      description: `Discount (redeem code ${usage.redeemCode ? usage.redeemCode.code : usage.redeemCodeId})`,
+      sacCode: null,
+      quantity: 1,
+      amount: -toAmount(usage.discountAmount)
+    });
+  }
+
+  return sequelize.transaction(async (t) => {
+    // Lock the payment so a callback and the status poll cannot both issue an invoice
+    await Payment.findByPk(payment.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+    const existing = await Invoice.findOne({ where: { paymentId: payment.id, type: 'invoice' }, transaction: t });
+    if (existing) {
+      return { success: true, invoice: existing, created: false };
+    }
+
+    const issuedAt = new Date();
+    const number = await nextNumber(INVOICE_PREFIX, issuedAt, t);
+    const invoice = await Invoice.create({
+      ...number,
+      type: 'invoice',
+      issuedAt,
+      paymentId: payment.id,
+      appointmentId: appointment ? appointment.id : null,
+      userId: payment.userId,
+      currency: payment.currency,
+      supplier,
+      recipient: {
+        name: payment.user ? payment.user.name : null,
+        phone: payment.user ? payment.user.phone : null
+      },
+      doctor,
+      placeOfSupply,
+      lineItems,
+      grossAmount,
+      discountAmount,
+      gstRate,
+      ...splitTax(totalAmount, gstRate, interState),
+      totalAmount
+    }, { transaction: t });
+
+    return { success: true, invoice, created: true };
+  });
+};
+
+/**
+ * Issue the credit note of a completed refund against the invoice of its
+ * payment, at the rate and place of supply of that invoice
+ * @param {Object} refund - Completed Refund instance
+ * @returns {Promise<Object>} { success, creditNote, created } or { success: false, code, message }
+ */
+exports.issueCreditNote = async (refund) => {
+  if (refund.status !== 'completed') {
+    return {
+      success: false,
+      code: 'REFUND_NOT_COMPLETED',
+      message: 'Credit notes are only issued for completed refunds'
+    };
+  }
+
+  const invoiceResult = await exports.issueInvoiceForPayment(refund.paymentId);
+  if (!invoiceResult.success) return invoiceResult;
+  const invoice = invoiceResult.invoice;
+
+  return sequelize.transaction(async (t) => {
+    const existing = await Invoice.findOne({ where: { refundId: refund.id }, transaction: t, lock: t.LOCK.UPDATE });
+    if (existing) {
+      return { success: true, creditNote: existing, created: false };
+    }
+
+    const totalAmount = toAmount(refund.amount);
+    const gstRate = parseFloat(invoice.gstRate);
+    const issuedAt = new Date();
+    const number = await nextNumber(CREDIT_NOTE_PREFIX, issuedAt, t);
+    const creditNote = await Invoice.create({
+      ...number,
+      type: 'credit_note',
+      issuedAt,
+      paymentId: invoice.paymentId,
+      refundId: refund.id,
+      originalInvoiceId: invoice.id,
+      appointmentId: invoice.appointmentId,
+      userId: invoice.userId,
+      currency: invoice.currency,
+      supplier: invoice.supplier,
+      recipient: invoice.recipient,
+      doctor: invoice.doctor,
+      placeOfSupply: invoice.placeOfSupply,
+      lineItems: [{
+        kind: 'refund',
+        description: `Refund against invoice ${invoice.invoiceNumber}`,
+        sacCode: invoice.lineItems[0] ? invoice.lineItems[0].sacCode : null,
+        quantity: 1,
+        amount: totalAmount
+      }],
+      grossAmount: totalAmount,
+      discountAmount: 0,
+      gstRate,
+      ...splitTax(totalAmount, gstRate, toAmount(invoice.igstAmount) > 0),
+      totalAmount,
+      reason: refund.reason || null
+    }, { transaction: t });
+
+    return { success: true, creditNote, created: true };
+  });
+};
+
+/**
+ * Issue invoices and credit notes missed when a payment or refund completed,
+ * e.g. because the server stopped in between. Only recent payments are
+ * looked at so old payments are not invoiced in a later financial year.
+ * @returns {Promise<Object>} { invoices, creditNotes }
+ */
+exports.issueMissingDocuments = async () => {
+  const since = new Date(Date.now() - BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+  let invoices = 0;
+  let creditNotes = 0;
+
+  const payments = await Payment.findAll({
+    where: {
+      status: { [Op.in]: INVOICEABLE_PAYMENT_STATUSES },
+      completedAt: { [Op.gte]: since },
+      id: { [Op.notIn]: sequelize.literal("(SELECT `paymentId` FROM `invoices` WHERE `type` = 'invoice')") }
+    },
+    attributes: ['id'],
+    limit: 100
+  });
+  for (const payment of payments) {
+    try {
+      const result = await exports.issueInvoiceForPayment(payment.id);
+      if (result.created) invoices++;
+    } catch (error) {
+      console.error(`Invoice for payment ${payment.id} failed:`, error.message);
+    }
+  }
+
+  const refunds = await Refund.findAll({
+    where: {
+      status: 'completed',
+      completedAt: { [Op.gte]: since },
+      id: { [Op.notIn]: sequelize.literal('(SELECT `refundId` FROM `invoices` WHERE `refundId` IS NOT NULL)') }
+    },
+    limit: 100
+  });
+  for (const refund of refunds) {
+    try {
+      const result = await exports.issueCreditNote(refund);
+      if (result.created) creditNotes++;
+    } catch (error) {
+      console.error(`Credit note for refund ${refund.id} failed:`, error.message);
+    }
+  }
+
+  return { invoices, creditNotes };
+};
+
+/**
+ * Invoices and credit notes issued in a date range, in number order
+ * @param {Object} filters
+ * @param {string} filters.from - ISO date, inclusive
+ * @param {string} filters.to - ISO date, inclusive
+ * @param {string} [filters.type] - invoice or credit_note
+ * @returns {Promise<Array>} Invoice instances
+ */
+exports.getRegister = ({ from, to, type }) => {
+  const where = {
+    issuedAt: {
+      [Op.gte]: DateTime.fromISO(from, { zone: TIMEZONE }).startOf('day').toJSDate(),
+      [Op.lte]: DateTime.fromISO(to, { zone: TIMEZONE }).endOf('day').toJSDate()
+    }
+  };
+  if (type) where.type = type;
+
+  return Invoice.findAll({
+    where,
+    include: [{ model: Invoice, as: 'originalInvoice', attributes: ['id', 'invoiceNumber', 'issuedAt'] }],
+    order: [['type', 'ASC'], ['series', 'ASC'], ['sequence', 'ASC']]
+  });
+};
+
+exports.financialYearOf = financialYearOf;
+exports.splitTax = splitTax;
+exports.GST_DEFAULT_RATE = GST_DEFAULT_RATE;
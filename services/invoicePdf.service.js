@@ -0,0 +1,166 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { DateTime } = require('luxon');
+
+const TIMEZONE = 'Asia/Kolkata';
+const BRAND_COLOR = '#1f6fb2';
+const MUTED_COLOR = '#555555';
+
+const logoPath = () => process.env.CLINIC_LOGO_PATH || '';
+
+const formatDate = (date) => DateTime.fromJSDate(new Date(date)).setZone(TIMEZONE).toFormat('dd LLL yyyy');
+
+// Helvetica has no rupee sign
+const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+const drawTable = (doc, rows) => {
+  const columns = [
+    { label: 'Description', width: 295, align: 'left' },
+    { label: 'SAC', width: 70, align: 'left' },
+    { label: 'Qty', width: 40, align: 'right' },
+    { label: 'Amount', width: 90, align: 'right' }
+  ];
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 6 }))) + 6;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom - 60) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + 3, top + 3, { width: columns[i].width - 6, align: columns[i].align });
+      x += columns[i].width;
+    });
+    doc.moveTo(left, top + height).lineTo(x, top + height).strokeColor('#dddddd').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  rows.forEach(item => {
+    drawRow([item.description, item.sacCode || '-', String(item.quantity || 1), money(item.amount)], 'Helvetica');
+  });
+};
+
+const drawTotals = (doc, invoice) => {
+  const rate = Number(invoice.gstRate);
+  const lines = [['Taxable value', money(invoice.taxableAmount)]];
+  if (Number(invoice.igstAmount) > 0) {
+    lines.push([`IGST @ ${rate}%`, money(invoice.igstAmount)]);
+  } else {
+    lines.push([`CGST @ ${rate / 2}%`, money(invoice.cgstAmount)]);
+    lines.push([`SGST @ ${rate / 2}%`, money(invoice.sgstAmount)]);
+  }
+
+  const left = doc.page.margins.left + 295;
+  const width = 200;
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9).fillColor('black');
+  lines.forEach(([label, value]) => {
+    const top = doc.y;
+    doc.text(label, left, top, { width: width / 2 });
+    doc.text(value, left + width / 2, top, { width: width / 2, align: 'right' });
+  });
+
+  const top = doc.y + 4;
+  doc.moveTo(left, top).lineTo(left + width, top).strokeColor(BRAND_COLOR).stroke();
+  doc.font('Helvetica-Bold').fontSize(11);
+  doc.text(invoice.type === 'credit_note' ? 'Total refunded' : 'Total paid', left, top + 4, { width: width / 2 });
+  doc.text(money(invoice.totalAmount), left + width / 2, top + 4, { width: width / 2, align: 'right' });
+  doc.x = doc.page.margins.left;
+  doc.font('Helvetica').fontSize(10);
+};
+
+/**
+ * Write a GST tax invoice or credit note PDF to a stream
+ * @param {Object} stream - Writable stream, e.g. the express response
+ * @param {Object} invoice - Invoice instance; originalInvoice included for credit notes
+ * @returns {void}
+ */
+exports.writeInvoicePdf = (stream, invoice) => {
+  const isCreditNote = invoice.type === 'credit_note';
+  const { supplier, recipient, doctor } = invoice;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `${isCreditNote ? 'Credit note' : 'Invoice'} ${invoice.invoiceNumber}`,
+      Author: supplier.name,
+      Creator: supplier.name
+    }
+  });
+  doc.pipe(stream);
+
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const headerTop = 45;
+
+  // Supplier
+  if (logoPath() && fs.existsSync(logoPath())) {
+    doc.image(logoPath(), doc.page.margins.left, headerTop, { height: 40 });
+    doc.x = doc.page.margins.left + 50;
+  }
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(BRAND_COLOR)
+    .text(supplier.name, doc.x, headerTop, { width: contentWidth / 2 });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  [
+    supplier.address,
+    supplier.state ? `State: ${supplier.state}${supplier.stateCode ? ` (${supplier.stateCode})` : ''}` : null,
+    supplier.gstin ? `GSTIN: ${supplier.gstin}` : null,
+    supplier.phone
+  ].filter(Boolean).forEach(line => doc.text(line, { width: contentWidth / 2 }));
+  const leftBottom = doc.y;
+
+  // Document title and number
+  const right = doc.page.margins.left + contentWidth / 2;
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('black')
+    .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', right, headerTop, { width: contentWidth / 2, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(`No. ${invoice.invoiceNumber}`, { width: contentWidth / 2, align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { width: contentWidth / 2, align: 'right' });
+  if (isCreditNote && invoice.originalInvoice) {
+    doc.text(
+      `Against invoice ${invoice.originalInvoice.invoiceNumber} dated ${formatDate(invoice.originalInvoice.issuedAt)}`,
+      { width: contentWidth / 2, align: 'right' }
+    );
+  }
+  if (invoice.placeOfSupply) {
+    doc.text(`Place of supply: ${invoice.placeOfSupply}`, { width: contentWidth / 2, align: 'right' });
+  }
+
+  doc.y = Math.max(leftBottom, doc.y) + 8;
+  doc.x = doc.page.margins.left;
+  doc.moveTo(doc.x, doc.y).lineTo(doc.x + contentWidth, doc.y).lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+  doc.lineWidth(1);
+  doc.moveDown(0.6);
+
+  // Recipient and doctor
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('black').text('Billed to');
+  doc.font('Helvetica').fontSize(9)
+    .text([recipient.name, recipient.phone].filter(Boolean).join(', ') || '-');
+  if (doctor && doctor.name) {
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(10).text('Service provided by');
+    doc.font('Helvetica').fontSize(9)
+      .text([`Dr. ${doctor.name}`, doctor.registrationNumber ? `Reg. No. ${doctor.registrationNumber}` : null].filter(Boolean).join(', '));
+    [doctor.clinicName, doctor.address].filter(Boolean).forEach(line => doc.text(line));
+  }
+  doc.moveDown(0.8);
+
+  drawTable(doc, invoice.lineItems);
+  drawTotals(doc, invoice);
+
+  if (isCreditNote && invoice.reason) {
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(9).text('Reason: ', { continued: true })
+      .font('Helvetica').text(invoice.reason);
+  }
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+    .text('Amounts are inclusive of GST. This is a computer generated document and does not require a signature.', { align: 'center' });
+
+  doc.end();
+};
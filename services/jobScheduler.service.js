@@ -0,0 +1,146 @@
+const os = require('os');
+const { Op } = require('sequelize');
+const ScheduledJob = require('../models/scheduledJob.model');
+const JobRun = require('../models/jobRun.model');
+const logger = require('../utils/logger');
+
+const TICK_INTERVAL_MS = parseInt(process.env.JOB_SCHEDULER_TICK_SECONDS) * 1000 || 30 * 1000;
+
+/**
+ * In-process scheduler for recurring jobs. Job state lives in the
+ * scheduled_jobs table and each run claims a lease on its row, so with several
+ * app instances only one of them runs a given job at a time.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a recurring job
+   * @param {string} name - Unique job name
+   * @param {Object} options
+   * @param {number} options.intervalSeconds - Time between the end of one run and the start of the next
+   * @param {number} [options.leaseSeconds] - How long a run may take before another instance may retry it
+   * @param {Function} options.handler - async () => summary object stored with the run
+   */
+  register(name, { intervalSeconds, leaseSeconds = 10 * 60, handler }) {
+    this.jobs.set(name, { name, intervalSeconds, leaseSeconds, handler });
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    for (const job of this.jobs.values()) {
+      const [record, created] = await ScheduledJob.findOrCreate({
+        where: { name: job.name },
+        defaults: { intervalSeconds: job.intervalSeconds, nextRunAt: new Date() }
+      });
+      if (!created && record.intervalSeconds !== job.intervalSeconds) {
+        await record.update({ intervalSeconds: job.intervalSeconds });
+      }
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    logger.info(`Job scheduler started on ${this.instanceId} with ${this.jobs.size} job(s)`);
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    for (const job of this.jobs.values()) {
+      if (this.running.has(job.name)) continue;
+
+      try {
+        if (await this.claim(job)) {
+          await this.run(job);
+        }
+      } catch (error) {
+        logger.error(`Job scheduler failed to run ${job.name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Take the lease on a due job. The conditional update only succeeds for one
+   * instance when several race for the same job.
+   * @returns {Promise<boolean>}
+   */
+  async claim(job) {
+    const now = new Date();
+    const [affected] = await ScheduledJob.update({
+      lockedBy: this.instanceId,
+      lockedUntil: new Date(now.getTime() + job.leaseSeconds * 1000)
+    }, {
+      where: {
+        name: job.name,
+        isEnabled: true,
+        nextRunAt: { [Op.lte]: now },
+        [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lt]: now } }]
+      }
+    });
+
+    return affected === 1;
+  }
+
+  async run(job) {
+    this.running.add(job.name);
+    const startedAt = new Date();
+    const run = await JobRun.create({
+      jobName: job.name,
+      status: 'running',
+      instanceId: this.instanceId,
+      startedAt
+    });
+
+    let status = 'success';
+    let result = null;
+    let errorMessage = null;
+
+    try {
+      result = await job.handler();
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.stack || error.message;
+      logger.error(`Job ${job.name} failed:`, error);
+    } finally {
+      const finishedAt = new Date();
+
+      await run.update({
+        status,
+        result,
+        error: errorMessage,
+        finishedAt,
+        durationMs: finishedAt - startedAt
+      });
+
+      await ScheduledJob.update({
+        lockedBy: null,
+        lockedUntil: null,
+        lastRunAt: startedAt,
+        lastStatus: status,
+        lastError: errorMessage,
+        nextRunAt: new Date(finishedAt.getTime() + job.intervalSeconds * 1000)
+      }, {
+        where: { name: job.name, lockedBy: this.instanceId }
+      });
+
+      this.running.delete(job.name);
+    }
+
+    return run;
+  }
+}
+
+module.exports = new JobScheduler();
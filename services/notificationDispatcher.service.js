@@ -0,0 +1,868 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const NotificationOutbox = require('../models/notificationOutbox.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const Patient = require('../models/patient.model');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const Appointment = require('../models/appoinment.model');
+const Payment = require('../models/payment.model');
+const PackagePurchase = require('../models/packagePurchase.model');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const deviceTokenService = require('./deviceToken.service');
+const notificationPreferenceService = require('./notificationPreference.service');
+const { emailService } = require('./email.services');
+const smsService = require('./sms.service');
+
+const TIMEZONE = 'Asia/Kolkata';
+// An event is given up after this many failed attempts, waiting twice as long after each
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+// How long a run may take on an event before another run may take it over
+const LOCK_SECONDS = 5 * 60;
+const BATCH_SIZE = 100;
+// Delivered events are kept this long for support questions
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_OUTBOX_RETENTION_DAYS) || 30;
+
+const fail = (code, message) => ({ success: false, code, message });
+
+const PATIENT_DASHBOARD_URL = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/patient/dashboard`;
+
+const istDate = (date) => DateTime.fromJSDate(date).setZone(TIMEZONE).toFormat('dd LLL yyyy');
+const istTime = (date) => DateTime.fromJSDate(date).setZone(TIMEZONE).toFormat('hh:mm a');
+
+const loadAppointment = (appointmentId) => Appointment.findByPk(appointmentId, {
+  include: [
+    {
+      model: User,
+      as: 'patient',
+      attributes: ['id', 'name', 'phone'],
+      include: [{ model: Patient, attributes: ['email'] }]
+    },
+    {
+      model: Doctor,
+      as: 'doctor',
+      attributes: ['id', 'email'],
+      include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+    },
+    {
+      model: VirtualDoctor,
+      as: 'virtualDoctor',
+      attributes: ['id', 'email'],
+      include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+    }
+  ]
+});
+
+/**
+ * Patient and doctor of an appointment, and how the doctor is named to the
+ * patient. Virtual appointments are named after the virtual doctor who acted,
+ * passed in the event as doctorName.
+ */
+const partiesOf = (appointment, payload) => {
+  const isVirtual = appointment.type === 'virtual';
+  const profile = isVirtual ? appointment.virtualDoctor : appointment.doctor;
+  const doctor = profile && profile.User
+    ? { userId: profile.User.id, name: profile.User.name, email: profile.email || null }
+    : null;
+
+  let doctorName;
+  if (isVirtual) doctorName = payload.doctorName || (doctor && doctor.name) || 'Virtual Doctor';
+  else doctorName = doctor ? doctor.name : 'Doctor';
+
+  return {
+    isVirtual,
+    patient: {
+      userId: appointment.userId,
+      name: appointment.patient ? appointment.patient.name : 'Patient',
+      phone: appointment.patient ? appointment.patient.phone : null,
+      email: (appointment.patient && appointment.patient.Patient && appointment.patient.Patient.email) || null
+    },
+    doctor,
+    doctorName,
+    // How messages to the patient refer to the doctor
+    doctorLabel: isVirtual ? doctorName : `Dr. ${doctorName}`
+  };
+};
+
+const appointmentData = (appointment, type, extra = {}) => ({
+  appointmentId: appointment.id.toString(),
+  type,
+  appointmentType: appointment.type,
+  ...extra
+});
+
+const appointmentTimes = (appointment) => ({
+  appointmentDate: istDate(appointment.appointmentDateTime),
+  appointmentTime: istTime(appointment.appointmentDateTime)
+});
+
+/**
+ * Event on an appointment; build gets the appointment loaded with its patient
+ * and doctor, and nothing is sent if the appointment is gone
+ */
+const appointmentEvent = (build, category = 'appointmentUpdates') => ({
+  category,
+  build: async (payload) => {
+    const appointment = await loadAppointment(payload.appointmentId);
+    return appointment ? build(appointment, payload, partiesOf(appointment, payload)) : [];
+  }
+});
+
+/**
+ * Events controllers can emit, each turning its payload into the messages to
+ * send. A message goes to one user: `notification` is stored in-app and
+ * pushed, `email` is sent from a template in templates/emails to `to`, and
+ * `sms` is sent from a template of sms.service to `phone` by SMS and WhatsApp.
+ */
+const EVENTS = {
+  // { appointmentId, notes }
+  'appointment.requested': appointmentEvent((appointment, { notes }, { isVirtual, patient, doctor, doctorName }) => {
+    const messages = [{
+      userId: patient.userId,
+      to: patient.email,
+      notification: {
+        title: 'Appointment Request Submitted',
+        message: `Your ${appointment.type} appointment request has been submitted successfully. You will be notified once confirmed.`,
+        data: appointmentData(appointment, 'appointment_requested')
+      },
+      email: {
+        template: 'appointment_requested',
+        data: {
+          patientName: patient.name,
+          doctorName,
+          ...appointmentTimes(appointment),
+          appointmentType: appointment.type,
+          appointmentId: appointment.id.toString()
+        }
+      }
+    }];
+
+    if (doctor) {
+      messages.push({
+        userId: doctor.userId,
+        to: doctor.email,
+        notification: {
+          title: isVirtual ? 'New Virtual Appointment Request' : 'New Appointment Request',
+          message: `You have a new ${isVirtual ? 'virtual ' : ''}appointment request from ${patient.name}`,
+          data: appointmentData(appointment, isVirtual ? 'new_virtual_appointment' : 'new_appointment')
+        },
+        email: {
+          template: 'new_appointment_request',
+          data: {
+            doctorName: doctor.name,
+            patientName: patient.name,
+            ...appointmentTimes(appointment),
+            appointmentType: appointment.type,
+            appointmentId: appointment.id.toString(),
+            notes: notes || 'No additional notes'
+          }
+        }
+      });
+    }
+    return messages;
+  }),
+
+  // { appointmentId, doctorName }
+  'appointment.confirmed': appointmentEvent((appointment, payload, { isVirtual, patient, doctorName, doctorLabel }) => [{
+    userId: patient.userId,
+    to: patient.email,
+    notification: {
+      title: isVirtual ? 'Virtual Appointment Confirmed' : 'Appointment Confirmed',
+      message: isVirtual
+        ? `Your virtual appointment has been confirmed by ${doctorLabel}`
+        : `Your appointment with ${doctorLabel} has been confirmed`,
+      data: appointmentData(appointment, isVirtual ? 'virtual_appointment_confirmed' : 'appointment_confirmed')
+    },
+    email: {
+      template: 'appointment_confirmed',
+      data: {
+        patientName: patient.name,
+        doctorName,
+        ...appointmentTimes(appointment),
+        appointmentType: appointment.type,
+        appointmentId: appointment.id.toString(),
+        videoCallLink: appointment.videoCallLink || null
+      }
+    },
+    phone: patient.phone,
+    sms: {
+      template: 'appointment_confirmed',
+      data: { patientName: patient.name, doctorName: doctorLabel, ...appointmentTimes(appointment) }
+    }
+  }]),
+
+  // { appointmentId, rejectionReason, doctorName }
+  'appointment.rejected': appointmentEvent((appointment, { rejectionReason }, { isVirtual, patient, doctorName, doctorLabel }) => {
+    const reason = rejectionReason || 'No reason provided';
+    return [{
+      userId: patient.userId,
+      to: patient.email,
+      notification: {
+        title: isVirtual ? 'Virtual Appointment Rejected' : 'Appointment Rejected',
+        message: isVirtual
+          ? `Your virtual appointment request has been rejected by ${doctorLabel}`
+          : `Your appointment request with ${doctorLabel} has been rejected`,
+        data: appointmentData(appointment, isVirtual ? 'virtual_appointment_rejected' : 'appointment_rejected', {
+          rejectionReason: reason
+        })
+      },
+      email: {
+        template: 'appointment_rejected',
+        data: {
+          patientName: patient.name,
+          doctorName,
+          ...appointmentTimes(appointment),
+          rejectionReason: reason,
+          appointmentId: appointment.id.toString()
+        }
+      }
+    }];
+  }),
+
+  // { appointmentId, rescheduleReason }
+  'appointment.rescheduleRequested': appointmentEvent((appointment, { rescheduleReason }, { patient, doctor, doctorName }) => {
+    const original = appointment.originalDateTime || appointment.appointmentDateTime;
+    const requested = appointment.requestedDateTime || appointment.appointmentDateTime;
+    const times = {
+      originalDate: istDate(original),
+      originalTime: istTime(original),
+      newDate: istDate(requested),
+      newTime: istTime(requested)
+    };
+
+    const messages = [{
+      userId: patient.userId,
+      to: patient.email,
+      email: {
+        template: 'reschedule_request_patient',
+        data: { patientName: patient.name, doctorName, ...times, appointmentId: appointment.id.toString() }
+      }
+    }];
+
+    if (doctor) {
+      messages.push({
+        userId: doctor.userId,
+        to: doctor.email,
+        notification: {
+          title: 'Reschedule Request',
+          message: `${patient.name} has requested to reschedule their ${appointment.type} appointment`,
+          data: appointmentData(appointment, 'reschedule_requested')
+        },
+        email: {
+          template: 'reschedule_request_doctor',
+          data: {
+            doctorName: doctor.name,
+            patientName: patient.name,
+            ...times,
+            rescheduleReason: rescheduleReason || 'No reason provided',
+            appointmentId: appointment.id.toString()
+          }
+        }
+      });
+    }
+    return messages;
+  }),
+
+  // { appointmentId, doctorName }
+  'appointment.rescheduleApproved': appointmentEvent((appointment, payload, { isVirtual, patient, doctorName, doctorLabel }) => [{
+    userId: patient.userId,
+    to: patient.email,
+    notification: {
+      title: isVirtual ? 'Virtual Appointment Reschedule Approved' : 'Reschedule Approved',
+      message: isVirtual
+        ? `Your virtual appointment reschedule request has been approved by ${doctorLabel}`
+        : `${doctorLabel} has approved your reschedule request`,
+      data: appointmentData(appointment, isVirtual ? 'virtual_reschedule_approved' : 'reschedule_approved')
+    },
+    email: {
+      template: 'reschedule_approved',
+      data: {
+        patientName: patient.name,
+        doctorName,
+        newDate: istDate(appointment.appointmentDateTime),
+        newTime: istTime(appointment.appointmentDateTime),
+        appointmentType: appointment.type,
+        appointmentId: appointment.id.toString(),
+        videoCallLink: appointment.videoCallLink || ''
+      }
+    },
+    phone: patient.phone,
+    sms: {
+      template: 'reschedule_approved',
+      data: {
+        patientName: patient.name,
+        doctorName: doctorLabel,
+        newDate: istDate(appointment.appointmentDateTime),
+        newTime: istTime(appointment.appointmentDateTime)
+      }
+    }
+  }]),
+
+  // { appointmentId, rejectionReason, doctorName }
+  'appointment.rescheduleRejected': appointmentEvent((appointment, { rejectionReason }, { isVirtual, patient, doctorName, doctorLabel }) => {
+    const reason = rejectionReason || 'No reason provided';
+    return [{
+      userId: patient.userId,
+      to: patient.email,
+      notification: {
+        title: isVirtual ? 'Virtual Appointment Reschedule Rejected' : 'Reschedule Request Rejected',
+        message: isVirtual
+          ? `Your virtual appointment reschedule request has been rejected by ${doctorLabel}`
+          : `${doctorLabel} has rejected your reschedule request`,
+        data: appointmentData(appointment, isVirtual ? 'virtual_reschedule_rejected' : 'reschedule_rejected', {
+          rejectionReason: reason
+        })
+      },
+      email: {
+        template: 'reschedule_rejected',
+        data: {
+          patientName: patient.name,
+          doctorName,
+          originalDate: istDate(appointment.appointmentDateTime),
+          originalTime: istTime(appointment.appointmentDateTime),
+          rejectionReason: reason,
+          appointmentId: appointment.id.toString()
+        }
+      },
+      phone: patient.phone,
+      sms: {
+        template: 'reschedule_rejected',
+        data: {
+          patientName: patient.name,
+          doctorName: doctorLabel,
+          originalDate: istDate(appointment.appointmentDateTime),
+          originalTime: istTime(appointment.appointmentDateTime)
+        }
+      }
+    }];
+  }),
+
+  // { appointmentId, canceledBy: patient | doctor | virtual-doctor, cancelReason, doctorName }
+  // The other party is told, the one who canceled gets a confirmation email
+  'appointment.canceled': appointmentEvent((appointment, { canceledBy, cancelReason }, { isVirtual, patient, doctor, doctorLabel }) => {
+    const reason = cancelReason || 'No reason provided';
+    const data = appointmentData(appointment, canceledBy === 'virtual-doctor' ? 'virtual_appointment_canceled' : 'appointment_canceled', {
+      cancelReason: reason,
+      canceledBy
+    });
+    const times = appointmentTimes(appointment);
+
+    if (canceledBy === 'patient') {
+      const messages = [{
+        userId: patient.userId,
+        to: patient.email,
+        email: {
+          template: 'cancellation_confirmation_patient',
+          data: { cancelerName: patient.name, otherPartyName: doctorLabel, ...times, appointmentId: appointment.id.toString() }
+        }
+      }];
+      if (doctor) {
+        messages.push({
+          userId: doctor.userId,
+          to: doctor.email,
+          notification: {
+            title: 'Appointment Canceled',
+            message: `${patient.name} has canceled the appointment`,
+            data
+          },
+          email: {
+            template: 'appointment_canceled_by_patient',
+            data: { recipientName: doctor.name, cancelerName: patient.name, ...times, cancelReason: reason, appointmentId: appointment.id.toString() }
+          }
+        });
+      }
+      return messages;
+    }
+
+    const messages = [{
+      userId: patient.userId,
+      to: patient.email,
+      notification: {
+        title: isVirtual ? 'Virtual Appointment Canceled' : 'Appointment Canceled',
+        message: isVirtual
+          ? `Your virtual appointment has been canceled by ${doctorLabel}`
+          : `${doctorLabel} has canceled the appointment`,
+        data
+      },
+      email: {
+        template: 'appointment_canceled_by_doctor',
+        data: { recipientName: patient.name, cancelerName: doctorLabel, ...times, cancelReason: reason, appointmentId: appointment.id.toString() }
+      }
+    }];
+    if (doctor) {
+      messages.push({
+        userId: doctor.userId,
+        to: doctor.email,
+        email: {
+          template: 'cancellation_confirmation_doctor',
+          data: { cancelerName: doctorLabel, otherPartyName: patient.name, ...times, appointmentId: appointment.id.toString() }
+        }
+      });
+    }
+    return messages;
+  }),
+
+  // { appointmentId, reminder: 24h | 1h }
+  // The reminder email goes out with the reminder run itself
+  'appointment.reminder': appointmentEvent((appointment, { reminder }, { patient, doctorLabel }) => [{
+    userId: patient.userId,
+    notification: {
+      title: 'Appointment Reminder',
+      message: `Your ${appointment.type} appointment is on ${istDate(appointment.appointmentDateTime)} at ${istTime(appointment.appointmentDateTime)}`,
+      data: appointmentData(appointment, 'appointment_reminder', { reminder })
+    },
+    phone: patient.phone,
+    sms: {
+      template: 'appointment_reminder',
+      data: { patientName: patient.name, doctorName: doctorLabel, ...appointmentTimes(appointment) }
+    }
+  }], 'reminders'),
+
+  // { appointmentId, doctorName }
+  'appointment.completed': appointmentEvent((appointment, payload, { isVirtual, patient, doctorName, doctorLabel }) => [{
+    userId: patient.userId,
+    to: patient.email,
+    notification: {
+      title: isVirtual ? 'Virtual Appointment Completed' : 'Appointment Completed',
+      message: isVirtual
+        ? `Your virtual appointment has been completed by ${doctorLabel}`
+        : `Your appointment with ${doctorLabel} has been completed`,
+      data: appointmentData(appointment, isVirtual ? 'virtual_appointment_completed' : 'appointment_completed', {
+        // The app prompts for a rating of the doctor
+        reviewable: 'true'
+      })
+    },
+    email: {
+      template: 'appointment_completed',
+      data: {
+        patientName: patient.name,
+        doctorName,
+        ...appointmentTimes(appointment),
+        consultationNotes: appointment.consultationNotes || 'No notes provided',
+        prescription: appointment.prescription || 'No prescription provided',
+        appointmentId: appointment.id.toString()
+      }
+    }
+  }]),
+
+  // { appointmentId }
+  'appointment.noShow': appointmentEvent((appointment, payload, { patient, doctorName }) => [{
+    userId: patient.userId,
+    to: patient.email,
+    notification: {
+      title: appointment.type === 'virtual' ? 'Missed Virtual Appointment' : 'Missed Appointment',
+      message: `Nobody joined your ${appointment.type} appointment, so it has been marked as missed. Please contact us or book a new slot.`,
+      data: appointmentData(appointment, 'appointment_no_show')
+    },
+    email: {
+      template: 'appointment_no_show',
+      data: {
+        patientName: patient.name,
+        doctorName,
+        ...appointmentTimes(appointment),
+        appointmentType: appointment.type,
+        appointmentId: appointment.id.toString(),
+        dashboardUrl: PATIENT_DASHBOARD_URL
+      }
+    }
+  }]),
+
+  // { appointmentId }
+  'appointment.expired': appointmentEvent((appointment, payload, { patient, doctorName }) => [{
+    userId: patient.userId,
+    to: patient.email,
+    notification: {
+      title: 'Appointment Request Expired',
+      message: 'Your appointment request was not confirmed in time and has been cancelled. Please book a new slot.',
+      data: appointmentData(appointment, 'appointment_expired')
+    },
+    email: {
+      template: 'appointment_expired',
+      data: {
+        patientName: patient.name,
+        doctorName,
+        ...appointmentTimes(appointment),
+        appointmentType: appointment.type,
+        appointmentId: appointment.id.toString(),
+        dashboardUrl: PATIENT_DASHBOARD_URL
+      }
+    }
+  }]),
+
+  // { waitlistEntryId }
+  // Nothing is sent once the offer was claimed, declined or lapsed
+  'waitlist.offered': {
+    category: 'appointmentUpdates',
+    build: async ({ waitlistEntryId }) => {
+      const entry = await WaitlistEntry.findByPk(waitlistEntryId, {
+        include: [
+          {
+            model: User,
+            as: 'user',
+            attributes: ['id', 'name'],
+            include: [{ model: Patient, attributes: ['email'] }]
+          },
+          {
+            model: Doctor,
+            as: 'doctor',
+            attributes: ['id'],
+            include: [{ model: User, as: 'User', attributes: ['id', 'name'] }]
+          }
+        ]
+      });
+      if (!entry || entry.status !== 'offered' || !entry.user) return [];
+
+      const slotStart = new Date(entry.offeredSlotStart);
+      const expiresAt = new Date(entry.offerExpiresAt);
+      let doctorName = 'Virtual Doctor';
+      if (entry.type === 'physical') doctorName = entry.doctor && entry.doctor.User ? entry.doctor.User.name : 'Doctor';
+
+      return [{
+        userId: entry.userId,
+        to: entry.user.Patient ? entry.user.Patient.email : null,
+        notification: {
+          title: 'Appointment Slot Available',
+          message: `A ${entry.type} appointment slot on ${istDate(slotStart)} at ${istTime(slotStart)} is reserved for you until ${istTime(expiresAt)}`,
+          relatedId: entry.id,
+          data: {
+            waitlistEntryId: entry.id.toString(),
+            type: 'waitlist_slot_available',
+            appointmentType: entry.type,
+            slotStart: DateTime.fromJSDate(slotStart).setZone(TIMEZONE).toISO()
+          }
+        },
+        email: {
+          template: 'waitlist_slot_available',
+          data: {
+            patientName: entry.user.name,
+            doctorName,
+            appointmentDate: istDate(slotStart),
+            appointmentTime: istTime(slotStart),
+            appointmentType: entry.type,
+            expiresAt: `${istDate(expiresAt)} ${istTime(expiresAt)}`,
+            waitlistEntryId: entry.id.toString(),
+            dashboardUrl: PATIENT_DASHBOARD_URL
+          }
+        }
+      }];
+    }
+  },
+
+  // { userId, category, title, message, data }
+  // A push sendUserNotification could not send in the user's quiet hours; its in-app notification is already stored
+  'notification.push': {
+    category: (payload) => payload.category || null,
+    build: async ({ userId, title, message, data }) => [{
+      userId,
+      pushOnly: true,
+      notification: { title, message, data: data || {} }
+    }]
+  },
+
+  // { paymentId }
+  'payment.succeeded': {
+    category: 'payments',
+    build: async ({ paymentId }) => {
+      const payment = await Payment.findByPk(paymentId);
+      if (!payment || payment.status !== 'success') return [];
+
+      const user = await User.findByPk(payment.userId, {
+        attributes: ['id', 'name', 'phone'],
+        include: [{ model: Patient, attributes: ['email'] }]
+      });
+      if (!user) return [];
+
+      let description = 'your order';
+      const data = { paymentId: payment.id.toString(), type: 'payment_succeeded' };
+      if (payment.appointmentId) {
+        const appointment = await Appointment.findByPk(payment.appointmentId, { attributes: ['id', 'type', 'appointmentDateTime'] });
+        if (appointment) description = `your ${appointment.type} appointment on ${istDate(appointment.appointmentDateTime)}`;
+        data.appointmentId = payment.appointmentId.toString();
+      } else if (payment.packagePurchaseId) {
+        const purchase = await PackagePurchase.findByPk(payment.packagePurchaseId, { attributes: ['id', 'name'] });
+        if (purchase) description = `the ${purchase.name} package`;
+        data.packagePurchaseId = payment.packagePurchaseId.toString();
+      }
+
+      return [{
+        userId: user.id,
+        to: user.Patient ? user.Patient.email : null,
+        notification: {
+          title: 'Payment Successful',
+          message: `We received your payment of ₹${payment.amount} for ${description}`,
+          type: 'other',
+          relatedId: payment.id,
+          data
+        },
+        email: {
+          template: 'payment_succeeded',
+          data: {
+            patientName: user.name,
+            amount: String(payment.amount),
+            description,
+            paidAt: `${istDate(payment.completedAt || payment.updatedAt)} ${istTime(payment.completedAt || payment.updatedAt)}`,
+            transactionId: payment.phonepeTransactionId || payment.gatewayTransactionId || null,
+            paymentId: payment.id.toString()
+          }
+        },
+        phone: user.phone,
+        sms: {
+          template: 'payment_succeeded',
+          data: { patientName: user.name, amount: String(payment.amount), description, paymentId: payment.id.toString() }
+        }
+      }];
+    }
+  }
+};
+
+const channelsOf = (message) => {
+  const channels = [];
+  if (message.notification && message.userId) channels.push(...(message.pushOnly ? ['push'] : ['inApp', 'push']));
+  if (message.email && message.to) channels.push('email');
+  if (message.sms && message.phone) {
+    channels.push('sms');
+    if (smsService.whatsappEnabled()) channels.push('whatsapp');
+  }
+  return channels;
+};
+
+const deliveryKey = (message, channel) => `${message.userId || message.to}:${channel}`;
+
+/**
+ * Senders of each channel. They return the outcome to record, and throw when
+ * the message should be tried again.
+ */
+const SENDERS = {
+  inApp: async (message, category) => {
+    const { title, message: text, type, relatedId, data } = message.notification;
+    const notification = await Notification.create({
+      userId: message.userId,
+      title,
+      message: text,
+      type: type || 'appointment',
+      category,
+      relatedId: relatedId || (data && data.appointmentId ? Number(data.appointmentId) : null),
+      data
+    });
+    return { status: 'sent', notificationId: notification.id };
+  },
+
+  push: async (message, category, deliveries) => {
+    const user = await User.findByPk(message.userId, { attributes: ['id', 'notificationEnabled'] });
+    if (!user || !user.notificationEnabled) return { status: 'skipped', reason: 'NOTIFICATIONS_DISABLED' };
+
+    const inApp = deliveries[deliveryKey(message, 'inApp')];
+    const { title, message: text, data } = message.notification;
+    const result = await deviceTokenService.sendToUser(user.id, title, text, {
+      ...(inApp && inApp.notificationId ? { notificationId: inApp.notificationId.toString() } : {}),
+      ...data
+    });
+
+    if (result.devices === result.removed) return { status: 'skipped', reason: 'NO_DEVICE_TOKEN' };
+    if (result.sent === 0) throw new Error(result.errors[0] || 'Push failed on every device');
+    return { status: 'sent', devices: result.sent };
+  },
+
+  email: async (message) => {
+    const result = await emailService.sendAppointmentEmail(message.to, message.email.template, message.email.data);
+    if (result.skipped) return { status: 'skipped', reason: 'OPTED_OUT' };
+    if (!result.success) throw new Error(result.error || 'Email failed');
+    return { status: 'sent' };
+  },
+
+  sms: async (message) => {
+    const { status, reason } = await smsService.sendTemplate(message.phone, message.sms.template, message.sms.data);
+    return reason ? { status, reason } : { status };
+  },
+
+  whatsapp: async (message) => {
+    const { status, reason } = await smsService.sendWhatsAppTemplate(message.phone, message.sms.template, message.sms.data);
+    return reason ? { status, reason } : { status };
+  }
+};
+
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+/**
+ * Queue an event for its notifications and start sending them right away.
+ * Emitted inside a transaction, nothing is sent unless it commits. A failure
+ * to queue is logged and does not fail the caller, whose change is already made.
+ * @param {string} event - Name from EVENTS
+ * @param {Object} payload - Ids and values the event's messages are built from
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object|null>} NotificationOutbox instance
+ */
+exports.emit = async (event, payload = {}, { transaction = null } = {}) => {
+  if (!EVENTS[event]) throw new Error(`Unknown notification event ${event}`);
+
+  try {
+    const entry = await NotificationOutbox.create({ event, payload }, { transaction });
+    const dispatchNow = () => setImmediate(() => {
+      exports.dispatch(entry.id).catch(error => console.error(`Notification event ${entry.id} failed:`, error));
+    });
+    if (transaction) transaction.afterCommit(dispatchNow);
+    else dispatchNow();
+    return entry;
+  } catch (error) {
+    console.error(`Failed to queue notification event ${event}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Send the messages of an event not sent yet, on the channels the recipients'
+ * preferences allow. Messages held back by quiet hours are sent when those
+ * end. Failed messages are retried later with a growing delay, until MAX_ATTEMPTS.
+ * @param {number} outboxId
+ * @returns {Promise<string|null>} Status of the event afterwards, or null if it was not due or is being sent elsewhere
+ */
+exports.dispatch = async (outboxId) => {
+  const now = new Date();
+  const [claimed] = await NotificationOutbox.update(
+    { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000) },
+    {
+      where: {
+        id: outboxId,
+        [Op.or]: [
+          { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+          { status: 'processing', lockedUntil: { [Op.lt]: now } }
+        ]
+      }
+    }
+  );
+  if (!claimed) return null;
+
+  const entry = await NotificationOutbox.findByPk(outboxId);
+  const definition = EVENTS[entry.event];
+  if (!definition) {
+    await entry.update({ status: 'failed', lockedUntil: null, lastError: `Unknown event ${entry.event}`, processedAt: new Date() });
+    return entry.status;
+  }
+
+  // Events for any kind of notification carry their category
+  const category = typeof definition.category === 'function' ? definition.category(entry.payload) : definition.category;
+  const deliveries = { ...(entry.deliveries || {}) };
+  const errors = [];
+  let deferUntil = null;
+  try {
+    const messages = await definition.build(entry.payload);
+    const preferences = new Map();
+
+    for (const message of messages) {
+      if (message.userId && !preferences.has(message.userId)) {
+        preferences.set(message.userId, await notificationPreferenceService.channelsFor(message.userId, category));
+      }
+      const allowed = message.userId ? preferences.get(message.userId) : null;
+
+      for (const channel of channelsOf(message)) {
+        const key = deliveryKey(message, channel);
+        if (deliveries[key] && !['failed', 'deferred'].includes(deliveries[key].status)) continue;
+
+        if (allowed && allowed.held.includes(channel)) {
+          deliveries[key] = { status: 'deferred', reason: 'QUIET_HOURS', until: allowed.quietUntil, at: new Date() };
+          if (!deferUntil || allowed.quietUntil < deferUntil) deferUntil = allowed.quietUntil;
+          continue;
+        }
+        if (allowed && !allowed[channel]) {
+          deliveries[key] = { status: 'skipped', reason: 'OPTED_OUT', at: new Date() };
+          continue;
+        }
+        try {
+          deliveries[key] = { ...await SENDERS[channel](message, category, deliveries), at: new Date() };
+        } catch (error) {
+          deliveries[key] = { status: 'failed', error: error.message, at: new Date() };
+          errors.push(`${key}: ${error.message}`);
+        }
+      }
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Held back by quiet hours only: picked up again when they end, without using up an attempt
+  if (errors.length === 0 && deferUntil) {
+    await entry.update({ status: 'pending', deliveries, nextAttemptAt: deferUntil, lockedUntil: null, lastError: null });
+    return entry.status;
+  }
+
+  if (errors.length === 0) {
+    await entry.update({ status: 'sent', deliveries, lockedUntil: null, lastError: null, processedAt: new Date() });
+    return entry.status;
+  }
+
+  const attempts = entry.attempts + 1;
+  const fields = { deliveries, attempts, lockedUntil: null, lastError: errors.join('; ') };
+  if (attempts >= MAX_ATTEMPTS) {
+    Object.assign(fields, { status: 'failed', processedAt: new Date() });
+    console.error(`Notification event ${entry.id} (${entry.event}) failed after ${attempts} attempts:`, fields.lastError);
+  } else {
+    Object.assign(fields, { status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelaySeconds(attempts) * 1000) });
+  }
+  await entry.update(fields);
+  return entry.status;
+};
+
+/**
+ * Send events that are due: new ones not sent right away, retries, and ones
+ * a crashed run left behind. Delivered events past the retention are removed.
+ * Run by the notification-outbox job.
+ * @returns {Promise<Object>} { processed, sent, retrying, failed, purged }
+ */
+exports.processOutbox = async () => {
+  const now = new Date();
+  const due = await NotificationOutbox.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+        { status: 'processing', lockedUntil: { [Op.lt]: now } }
+      ]
+    },
+    attributes: ['id'],
+    order: [['nextAttemptAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0, purged: 0 };
+  for (const { id } of due) {
+    try {
+      const status = await exports.dispatch(id);
+      if (!status) continue;
+      summary.processed++;
+      if (status === 'sent') summary.sent++;
+      else if (status === 'failed') summary.failed++;
+      else summary.retrying++;
+    } catch (error) {
+      console.error(`Notification event ${id} failed:`, error);
+    }
+  }
+
+  summary.purged = await NotificationOutbox.destroy({
+    where: {
+      status: 'sent',
+      processedAt: { [Op.lt]: new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+    }
+  });
+  return summary;
+};
+
+/**
+ * Admin: try a failed event again from scratch of its attempts. Messages
+ * already delivered are not sent again.
+ * @param {Object} entry - NotificationOutbox instance
+ * @returns {Promise<Object>} { success, entry } or { success: false, code, message }
+ */
+exports.retry = async (entry) => {
+  const [affected] = await NotificationOutbox.update(
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), processedAt: null },
+    { where: { id: entry.id, status: 'failed' } }
+  );
+  if (!affected) return fail('NOT_FAILED', 'Only failed events can be retried');
+
+  await exports.dispatch(entry.id);
+  return { success: true, entry: await entry.reload() };
+};
+
+exports.EVENTS = Object.keys(EVENTS);
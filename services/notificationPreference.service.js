@@ -0,0 +1,234 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const NotificationPreference = require('../models/notificationPreference.model');
+const Patient = require('../models/patient.model');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+
+const TIMEZONE = 'Asia/Kolkata';
+const CATEGORIES = ['appointmentUpdates', 'reminders', 'payments', 'promotions', 'news', 'queryResponses'];
+const CHANNELS = ['push', 'email', 'sms', 'whatsapp', 'inApp'];
+// WhatsApp messages need the user's opt-in, so it starts off
+const DEFAULT_CHANNELS = { push: true, email: true, sms: true, whatsapp: false, inApp: true };
+// Channels held back during quiet hours; email and in-app wait to be read anyway
+const QUIET_CHANNELS = ['push', 'sms', 'whatsapp'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Emails sent from these templates follow the user's preferences; the rest
+// (account status, admin alerts) are always sent
+const TEMPLATE_CATEGORIES = {
+  appointment_requested: 'appointmentUpdates',
+  new_appointment_request: 'appointmentUpdates',
+  appointment_confirmed: 'appointmentUpdates',
+  appointment_rejected: 'appointmentUpdates',
+  appointment_cancelled: 'appointmentUpdates',
+  appointment_rescheduled: 'appointmentUpdates',
+  reschedule_request_doctor: 'appointmentUpdates',
+  reschedule_request_patient: 'appointmentUpdates',
+  reschedule_approved: 'appointmentUpdates',
+  reschedule_rejected: 'appointmentUpdates',
+  appointment_canceled_by_patient: 'appointmentUpdates',
+  appointment_canceled_by_doctor: 'appointmentUpdates',
+  cancellation_confirmation_patient: 'appointmentUpdates',
+  cancellation_confirmation_doctor: 'appointmentUpdates',
+  appointment_completed: 'appointmentUpdates',
+  waitlist_slot_available: 'appointmentUpdates',
+  appointment_no_show: 'appointmentUpdates',
+  appointment_expired: 'appointmentUpdates',
+  appointment_reminder: 'reminders',
+  payment_succeeded: 'payments',
+  query_response: 'queryResponses'
+};
+
+/**
+ * Preferences of a user filled in with the defaults: every channel but
+ * WhatsApp on, no quiet hours
+ * @param {Object|null} row - NotificationPreference instance
+ * @returns {Object} { categories, quietHours: { enabled, start, end } }
+ */
+const withDefaults = (row) => {
+  const saved = (row && row.categories) || {};
+  return {
+    categories: Object.fromEntries(CATEGORIES.map(category => [
+      category,
+      { ...DEFAULT_CHANNELS, ...(saved[category] || {}) }
+    ])),
+    quietHours: {
+      enabled: Boolean(row && row.quietHoursEnabled),
+      start: (row && row.quietHoursStart) || null,
+      end: (row && row.quietHoursEnd) || null
+    }
+  };
+};
+
+/**
+ * Preferences of a user
+ * @param {number} userId
+ * @returns {Promise<Object>} { categories, quietHours }
+ */
+exports.getPreferences = async (userId) => {
+  return withDefaults(await NotificationPreference.findOne({ where: { userId } }));
+};
+
+/**
+ * Validate changes to a user's preferences. Categories and channels left out
+ * keep their current setting.
+ * @param {Object} input - { categories: { [category]: { push, email, sms, whatsapp, inApp } }, quietHours: { enabled, start, end } }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validatePreferences = (input = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (input.categories !== undefined && input.categories !== null) {
+    if (typeof input.categories !== 'object' || Array.isArray(input.categories)) {
+      errors.push('categories must be an object');
+    } else {
+      values.categories = {};
+      for (const [category, channels] of Object.entries(input.categories)) {
+        if (!CATEGORIES.includes(category)) {
+          errors.push(`Unknown category ${category}; must be one of ${CATEGORIES.join(', ')}`);
+          continue;
+        }
+        if (typeof channels !== 'object' || channels === null || Array.isArray(channels)) {
+          errors.push(`categories.${category} must be an object of channels`);
+          continue;
+        }
+        values.categories[category] = {};
+        for (const [channel, enabled] of Object.entries(channels)) {
+          if (!CHANNELS.includes(channel)) errors.push(`Unknown channel ${channel}; must be one of ${CHANNELS.join(', ')}`);
+          else if (typeof enabled !== 'boolean') errors.push(`categories.${category}.${channel} must be true or false`);
+          else values.categories[category][channel] = enabled;
+        }
+      }
+    }
+  }
+
+  if (input.quietHours !== undefined && input.quietHours !== null) {
+    const { enabled, start, end } = input.quietHours;
+    if (typeof enabled !== 'boolean') {
+      errors.push('quietHours.enabled must be true or false');
+    } else if (enabled) {
+      if (!TIME_PATTERN.test(String(start))) errors.push('quietHours.start must be a time in HH:mm format');
+      if (!TIME_PATTERN.test(String(end))) errors.push('quietHours.end must be a time in HH:mm format');
+      else if (start === end) errors.push('quietHours.start and quietHours.end cannot be the same');
+    }
+    values.quietHours = enabled ? { enabled: true, start, end } : { enabled: false, start: null, end: null };
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Save changes to a user's preferences
+ * @param {number} userId
+ * @param {Object} values - From validatePreferences
+ * @returns {Promise<Object>} The preferences after the change
+ */
+exports.updatePreferences = async (userId, values) => {
+  const [row] = await NotificationPreference.findOrCreate({ where: { userId }, defaults: { userId } });
+
+  const fields = {};
+  if (values.categories) {
+    const categories = { ...(row.categories || {}) };
+    for (const [category, channels] of Object.entries(values.categories)) {
+      categories[category] = { ...(categories[category] || {}), ...channels };
+    }
+    fields.categories = categories;
+  }
+  if (values.quietHours) {
+    fields.quietHoursEnabled = values.quietHours.enabled;
+    fields.quietHoursStart = values.quietHours.start;
+    fields.quietHoursEnd = values.quietHours.end;
+  }
+
+  await row.update(fields);
+  return withDefaults(row);
+};
+
+/**
+ * Whether a time falls within a user's quiet hours
+ * @param {Object} preferences - From getPreferences
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+exports.inQuietHours = (preferences, at = new Date()) => {
+  const { enabled, start, end } = preferences.quietHours;
+  if (!enabled || !start || !end) return false;
+
+  const time = DateTime.fromJSDate(at).setZone(TIMEZONE).toFormat('HH:mm');
+  // Quiet hours such as 22:00 to 07:00 run past midnight
+  return start < end ? time >= start && time < end : time >= start || time < end;
+};
+
+/**
+ * When the quiet hours a time falls in end
+ * @param {Object} preferences - From getPreferences
+ * @param {Date} [at]
+ * @returns {Date|null} null when the time is not in quiet hours
+ */
+exports.quietHoursEnd = (preferences, at = new Date()) => {
+  if (!exports.inQuietHours(preferences, at)) return null;
+
+  const [hour, minute] = preferences.quietHours.end.split(':').map(Number);
+  const now = DateTime.fromJSDate(at).setZone(TIMEZONE);
+  const end = now.set({ hour, minute, second: 0, millisecond: 0 });
+  return (end <= now ? end.plus({ days: 1 }) : end).toJSDate();
+};
+
+/**
+ * Channels a notification of a category may go out on to a user right now.
+ * Channels the user wants but quiet hours hold back are listed in held, to be
+ * sent at quietUntil. Uncategorised notifications go out on the default
+ * channels, so WhatsApp stays opt-in for them too.
+ * @param {number} userId
+ * @param {string|null} category
+ * @param {Date} [at]
+ * @returns {Promise<Object>} { push, email, sms, whatsapp, inApp, quietHours, held, quietUntil }
+ */
+exports.channelsFor = async (userId, category, at = new Date()) => {
+  if (!category) return { ...DEFAULT_CHANNELS, quietHours: false, held: [], quietUntil: null };
+
+  const preferences = await exports.getPreferences(userId);
+  const channels = { ...preferences.categories[category] };
+  const quietUntil = exports.quietHoursEnd(preferences, at);
+  const held = quietUntil ? QUIET_CHANNELS.filter(channel => channels[channel]) : [];
+  held.forEach(channel => { channels[channel] = false; });
+  return { ...channels, quietHours: Boolean(quietUntil), held, quietUntil };
+};
+
+/**
+ * Category of the emails of a template, or null if they are always sent
+ * @param {string} templateType
+ * @returns {string|null}
+ */
+exports.categoryForTemplate = (templateType) => TEMPLATE_CATEGORIES[templateType] || null;
+
+/**
+ * Whether an email of a category may be sent to an address. Emails are sent
+ * to addresses on patient and doctor profiles, so the address is matched to
+ * their users; it is allowed if any of them wants it, or none is found.
+ * @param {string} email
+ * @param {string|null} category
+ * @returns {Promise<boolean>}
+ */
+exports.emailAllowed = async (email, category) => {
+  if (!category || !email) return true;
+
+  const where = { email };
+  const profiles = await Promise.all([
+    Patient.findAll({ where, attributes: ['userId'] }),
+    Doctor.findAll({ where, attributes: ['userId'] }),
+    VirtualDoctor.findAll({ where, attributes: ['userId'] })
+  ]);
+  const userIds = [...new Set(profiles.flat().map(profile => profile.userId).filter(Boolean))];
+  if (userIds.length === 0) return true;
+
+  const rows = await NotificationPreference.findAll({ where: { userId: { [Op.in]: userIds } } });
+  // Users without a row have the defaults, which allow email
+  if (rows.length < userIds.length) return true;
+  return rows.some(row => withDefaults(row).categories[category].email);
+};
+
+exports.CATEGORIES = CATEGORIES;
+exports.CHANNELS = CHANNELS;
@@ -0,0 +1,331 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const Doctor = require('../models/doctor.model');
+const ToothFinding = require('../models/toothFinding.model');
+const User = require('../models/user.model');
+
+const CONDITIONS = ['caries', 'filling', 'crown', 'missing', 'implant', 'rct'];
+const SURFACES = ['M', 'D', 'O', 'I', 'B', 'L'];
+
+// Conditions recorded on individual surfaces; the rest apply to the whole tooth
+const SURFACE_CONDITIONS = ['caries', 'filling'];
+
+// Active findings a new finding makes obsolete. Surface conditions only
+// replace findings on the surfaces they cover.
+const REPLACES = {
+  caries: ['caries'],
+  filling: ['caries', 'filling'],
+  crown: ['caries', 'filling', 'crown'],
+  rct: ['rct'],
+  missing: CONDITIONS,
+  implant: CONDITIONS
+};
+
+// Appointments during which the chart can be read and updated
+const CHARTING_STATUSES = ['confirmed', 'completed'];
+
+const MAX_FINDINGS_PER_REQUEST = 32;
+
+/**
+ * Split an FDI tooth number into quadrant and position, or null when invalid
+ */
+const parseToothNumber = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number)) return null;
+
+  const quadrant = Math.floor(number / 10);
+  const position = number % 10;
+  if (quadrant >= 1 && quadrant <= 4 && position >= 1 && position <= 8) {
+    return { number, quadrant, position, dentition: 'permanent' };
+  }
+  if (quadrant >= 5 && quadrant <= 8 && position >= 1 && position <= 5) {
+    return { number, quadrant, position, dentition: 'primary' };
+  }
+  return null;
+};
+
+// Incisors and canines have an incisal edge, premolars and molars an occlusal surface
+const isAnterior = (tooth) => tooth.position <= 3;
+
+const overlap = (a, b) => (a || []).filter(surface => (b || []).includes(surface));
+
+/**
+ * Validate a finding sent by a doctor
+ * @param {Object} input - { toothNumber, condition, surfaces, notes }
+ * @param {string} [prefix] - Prepended to error messages, e.g. findings[2].
+ * @returns {Object} { valid, errors, values }
+ */
+const validateFinding = (input = {}, prefix = '') => {
+  const errors = [];
+  const tooth = parseToothNumber(input.toothNumber);
+  const condition = typeof input.condition === 'string' ? input.condition.trim().toLowerCase() : input.condition;
+
+  if (!tooth) {
+    errors.push(`${prefix}toothNumber must be an FDI tooth number (11-48 permanent, 51-85 primary)`);
+  }
+  if (!CONDITIONS.includes(condition)) {
+    errors.push(`${prefix}condition must be one of: ${CONDITIONS.join(', ')}`);
+  }
+
+  let surfaces = null;
+  if (SURFACE_CONDITIONS.includes(condition)) {
+    const list = Array.isArray(input.surfaces)
+      ? input.surfaces.map(surface => String(surface).trim().toUpperCase())
+      : [];
+    surfaces = [...new Set(list)].sort((a, b) => SURFACES.indexOf(a) - SURFACES.indexOf(b));
+
+    if (surfaces.length === 0) {
+      errors.push(`${prefix}surfaces are required for ${condition}`);
+    } else if (surfaces.some(surface => !SURFACES.includes(surface))) {
+      errors.push(`${prefix}surfaces must be from: ${SURFACES.join(', ')}`);
+    } else if (tooth && surfaces.includes(isAnterior(tooth) ? 'O' : 'I')) {
+      errors.push(`${prefix}tooth ${tooth.number} has no ${isAnterior(tooth) ? 'occlusal (O)' : 'incisal (I)'} surface`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    values: {
+      toothNumber: tooth ? tooth.number : null,
+      condition,
+      surfaces,
+      notes: typeof input.notes === 'string' && input.notes.trim() ? input.notes.trim() : null
+    }
+  };
+};
+
+/**
+ * Validate the findings of one request
+ * @param {Object[]} findings
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateFindings = (findings) => {
+  if (!Array.isArray(findings) || findings.length === 0 || findings.length > MAX_FINDINGS_PER_REQUEST) {
+    return {
+      valid: false,
+      errors: [`findings must be a list of 1 to ${MAX_FINDINGS_PER_REQUEST} items`],
+      values: []
+    };
+  }
+
+  const results = findings.map((finding, index) => validateFinding(finding, `findings[${index}].`));
+  const errors = results.reduce((all, result) => all.concat(result.errors), []);
+  return { valid: errors.length === 0, errors, values: results.map(result => result.values) };
+};
+
+/**
+ * Whether a user may read and chart the patient's teeth during an appointment:
+ * the assigned doctor for physical appointments, a virtual doctor for virtual ones
+ * @param {Object} user - req.user
+ * @param {Object} appointment - Appointment instance
+ * @returns {Promise<boolean>}
+ */
+exports.isTreatingDoctor = async (user, appointment) => {
+  if (!CHARTING_STATUSES.includes(appointment.status)) return false;
+
+  if (appointment.type === 'virtual') {
+    return user.role === 'virtual-doctor';
+  }
+
+  if (user.role !== 'doctor' || !appointment.doctorId) return false;
+  const doctor = await Doctor.findOne({ where: { userId: user.id } });
+  return Boolean(doctor) && doctor.id === appointment.doctorId;
+};
+
+const subjectWhere = ({ patientId, familyMemberId }) => ({
+  patientId,
+  familyMemberId: familyMemberId || null
+});
+
+/**
+ * Current chart: the active findings of every charted tooth
+ * @param {Object} subject - { patientId, familyMemberId }
+ * @returns {Promise<Object[]>} [{ toothNumber, dentition, findings }] ordered by tooth
+ */
+exports.getChart = async (subject) => {
+  const findings = await ToothFinding.findAll({
+    where: { ...subjectWhere(subject), status: 'active' },
+    include: [{ model: User, as: 'recorder', attributes: ['id', 'name'] }],
+    order: [['toothNumber', 'ASC'], ['recordedAt', 'ASC']]
+  });
+
+  const teeth = new Map();
+  findings.forEach(finding => {
+    if (!teeth.has(finding.toothNumber)) {
+      teeth.set(finding.toothNumber, {
+        toothNumber: finding.toothNumber,
+        dentition: parseToothNumber(finding.toothNumber).dentition,
+        findings: []
+      });
+    }
+    teeth.get(finding.toothNumber).findings.push(finding);
+  });
+
+  return [...teeth.values()];
+};
+
+/**
+ * Every finding of the chart, resolved ones included, newest first
+ * @param {Object} subject - { patientId, familyMemberId }
+ * @param {Object} [options]
+ * @param {number} [options.toothNumber]
+ * @param {number} [options.appointmentId] - Findings recorded or resolved in this appointment
+ * @returns {Promise<Object[]>}
+ */
+exports.getHistory = async (subject, { toothNumber, appointmentId } = {}) => {
+  const where = subjectWhere(subject);
+  if (toothNumber) where.toothNumber = toothNumber;
+  if (appointmentId) {
+    where[Op.or] = [{ appointmentId }, { resolvedInAppointmentId: appointmentId }];
+  }
+
+  return ToothFinding.findAll({
+    where,
+    include: [
+      { model: User, as: 'recorder', attributes: ['id', 'name'] },
+      { model: User, as: 'resolver', attributes: ['id', 'name'] }
+    ],
+    order: [['recordedAt', 'DESC'], ['id', 'DESC']]
+  });
+};
+
+/**
+ * Record one finding, resolving the active findings it replaces. A filling on
+ * some surfaces of a carious tooth leaves the caries on the other surfaces active.
+ */
+const recordFinding = async (subject, values, { appointmentId, userId, now }, transaction) => {
+  const active = await ToothFinding.findAll({
+    where: { ...subjectWhere(subject), toothNumber: values.toothNumber, status: 'active' },
+    order: [['recordedAt', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const conditions = active.map(finding => finding.condition);
+  if (conditions.includes('missing') && !['missing', 'implant'].includes(values.condition)) {
+    return {
+      success: false,
+      code: 'TOOTH_MISSING',
+      message: `Tooth ${values.toothNumber} is charted as missing; record an implant or resolve the missing finding first`
+    };
+  }
+  if (conditions.includes('implant') && ['caries', 'rct'].includes(values.condition)) {
+    return {
+      success: false,
+      code: 'TOOTH_IS_IMPLANT',
+      message: `Tooth ${values.toothNumber} is an implant and cannot have ${values.condition}`
+    };
+  }
+
+  const finding = await ToothFinding.create({
+    ...subjectWhere(subject),
+    ...values,
+    status: 'active',
+    appointmentId,
+    recordedBy: userId,
+    recordedAt: now
+  }, { transaction });
+
+  const replaced = active.filter(existing => {
+    if (!REPLACES[values.condition].includes(existing.condition)) return false;
+    if (!SURFACE_CONDITIONS.includes(values.condition)) return true;
+    // Whole-tooth findings are not replaced by a surface finding
+    return Boolean(existing.surfaces) && overlap(existing.surfaces, values.surfaces).length > 0;
+  });
+
+  for (const existing of replaced) {
+    await existing.update({
+      status: 'resolved',
+      resolvedAt: now,
+      resolvedBy: userId,
+      resolvedInAppointmentId: appointmentId,
+      replacedById: finding.id,
+      resolutionNote: `Replaced by ${values.condition}`
+    }, { transaction });
+
+    // Surfaces the new finding does not cover stay as they were
+    const remaining = (existing.surfaces || []).filter(surface => !values.surfaces.includes(surface));
+    if (SURFACE_CONDITIONS.includes(values.condition) && remaining.length > 0) {
+      await ToothFinding.create({
+        ...subjectWhere(subject),
+        toothNumber: existing.toothNumber,
+        condition: existing.condition,
+        surfaces: remaining,
+        notes: existing.notes,
+        status: 'active',
+        appointmentId: existing.appointmentId,
+        recordedBy: existing.recordedBy,
+        recordedAt: existing.recordedAt
+      }, { transaction });
+    }
+  }
+
+  return { success: true, finding, replacedIds: replaced.map(existing => existing.id) };
+};
+
+/**
+ * Record findings from an appointment. Either all findings are recorded or none.
+ * @param {Object} subject - { patientId, familyMemberId }
+ * @param {Object[]} findings - From validateFindings
+ * @param {Object} context - { appointmentId, userId }
+ * @returns {Promise<Object>} { success, findings, replacedIds } or { success: false, code, message }
+ */
+exports.recordFindings = async (subject, findings, { appointmentId, userId }) => {
+  const t = await sequelize.transaction();
+  const now = new Date();
+
+  try {
+    const recorded = [];
+    const replacedIds = [];
+
+    for (const values of findings) {
+      const result = await recordFinding(subject, values, { appointmentId, userId, now }, t);
+      if (!result.success) {
+        await t.rollback();
+        return result;
+      }
+      recorded.push(result.finding);
+      replacedIds.push(...result.replacedIds);
+    }
+
+    await t.commit();
+    return { success: true, findings: recorded, replacedIds };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Resolve a finding without replacing it, e.g. one charted by mistake or a
+ * caries that was only monitored and arrested
+ * @param {Object} finding - ToothFinding instance
+ * @param {Object} context - { appointmentId, userId, note }
+ * @returns {Promise<Object>} { success, finding } or { success: false, code, message }
+ */
+exports.resolveFinding = async (finding, { appointmentId, userId, note }) => {
+  const [updated] = await ToothFinding.update({
+    status: 'resolved',
+    resolvedAt: new Date(),
+    resolvedBy: userId,
+    resolvedInAppointmentId: appointmentId,
+    resolutionNote: note || null
+  }, {
+    where: { id: finding.id, status: 'active' }
+  });
+
+  if (updated === 0) {
+    return {
+      success: false,
+      code: 'FINDING_ALREADY_RESOLVED',
+      message: 'This finding has already been resolved'
+    };
+  }
+
+  return { success: true, finding: await finding.reload() };
+};
+
+exports.parseToothNumber = parseToothNumber;
+exports.CONDITIONS = CONDITIONS;
+exports.SURFACES = SURFACES;
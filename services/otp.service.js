@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const sequelize = require('../config/db');
+const Otp = require('../models/Otp.model');
+
+// OTP policy (overridable through environment variables)
+const OTP_CONFIG = {
+  expiryMinutes: {
+    registration: parseInt(process.env.OTP_REGISTRATION_EXPIRY_MINUTES) || 5,
+    login: parseInt(process.env.OTP_LOGIN_EXPIRY_MINUTES) || 10,
+    reset: parseInt(process.env.OTP_RESET_EXPIRY_MINUTES) || 10
+  },
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15,
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+  maxSendsPerWindow: parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5,
+  sendWindowMinutes: 60
+};
+
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || 'sid-clinic-otp';
+
+/**
+ * Hash an OTP together with the phone number so equal codes never share a hash
+ * @param {string} phone - Formatted 10-digit phone number
+ * @param {string|number} otp - Plain OTP
+ * @returns {string} Hex encoded HMAC
+ */
+const hashOtp = (phone, otp) => {
+  return crypto
+    .createHmac('sha256', OTP_SECRET)
+    .update(`${phone}:${String(otp).trim()}`)
+    .digest('hex');
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * Wrong codes are counted per phone from the first one in the lockout window,
+ * so requesting a new OTP does not hand out a fresh set of attempts
+ * @param {Object|null} record - Otp record
+ * @param {Date} now
+ * @returns {boolean} Whether earlier wrong codes still count
+ */
+const attemptWindowOpen = (record, now) => {
+  if (!record || !record.attemptWindowStartedAt) return false;
+  const windowEndsAt = new Date(record.attemptWindowStartedAt).getTime() + OTP_CONFIG.lockoutMinutes * 60 * 1000;
+  return windowEndsAt > now.getTime();
+};
+
+/**
+ * Generate and store a new OTP for a phone number, enforcing lockout, resend
+ * cooldown and the per-window send limit
+ * @param {string} phone - Formatted 10-digit phone number
+ * @param {string} purpose - One of registration, login or reset
+ * @returns {Promise<Object>} { success, otp, expiresInMinutes } or { success: false, code, message, retryAfter }
+ */
+exports.issueOtp = async (phone, purpose = 'login') => {
+  const now = new Date();
+
+  return sequelize.transaction(async (transaction) => {
+    const record = await Otp.findByPk(phone, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (record && record.lockedUntil && new Date(record.lockedUntil) > now) {
+      return {
+        success: false,
+        code: 'OTP_LOCKED',
+        message: 'Too many incorrect attempts. Please try again later.',
+        retryAfter: secondsUntil(record.lockedUntil)
+      };
+    }
+
+    if (record && record.lastSentAt) {
+      const cooldownEndsAt = new Date(new Date(record.lastSentAt).getTime() + OTP_CONFIG.resendCooldownSeconds * 1000);
+      if (cooldownEndsAt > now) {
+        return {
+          success: false,
+          code: 'OTP_COOLDOWN',
+          message: 'Please wait before requesting another OTP',
+          retryAfter: secondsUntil(cooldownEndsAt)
+        };
+      }
+    }
+
+    // Start a fresh send window when the previous one has elapsed
+    let sendCount = record ? record.sendCount : 0;
+    let sendWindowStartedAt = record ? record.sendWindowStartedAt : null;
+    const windowEndsAt = sendWindowStartedAt
+      ? new Date(new Date(sendWindowStartedAt).getTime() + OTP_CONFIG.sendWindowMinutes * 60 * 1000)
+      : null;
+
+    if (!windowEndsAt || windowEndsAt <= now) {
+      sendCount = 0;
+      sendWindowStartedAt = now;
+    } else if (sendCount >= OTP_CONFIG.maxSendsPerWindow) {
+      return {
+        success: false,
+        code: 'OTP_SEND_LIMIT',
+        message: 'OTP request limit reached. Please try again later.',
+        retryAfter: secondsUntil(windowEndsAt)
+      };
+    }
+
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const expiresInMinutes = OTP_CONFIG.expiryMinutes[purpose] || OTP_CONFIG.expiryMinutes.login;
+    const keepAttempts = attemptWindowOpen(record, now);
+
+    const values = {
+      otp: hashOtp(phone, otp),
+      purpose,
+      expirationTime: new Date(now.getTime() + expiresInMinutes * 60 * 1000),
+      attempts: keepAttempts ? record.attempts : 0,
+      attemptWindowStartedAt: keepAttempts ? record.attemptWindowStartedAt : null,
+      verified: false,
+      lastSentAt: now,
+      sendCount: sendCount + 1,
+      sendWindowStartedAt,
+      lockedUntil: null
+    };
+
+    if (record) {
+      await record.update(values, { transaction });
+    } else {
+      await Otp.create({ phone, ...values }, { transaction });
+    }
+
+    return { success: true, otp, expiresInMinutes };
+  });
+};
+
+/**
+ * Verify an OTP. Wrong codes count towards a lockout; a successful check marks
+ * the OTP as verified and, when consume is set, invalidates it.
+ * @param {string} phone - Formatted 10-digit phone number
+ * @param {string|number} otp - OTP entered by the user
+ * @param {Object} options
+ * @param {string[]} [options.purposes] - Accepted purposes (any when omitted)
+ * @param {boolean} [options.consume=true] - Invalidate the OTP after success
+ * @returns {Promise<Object>} { success } or { success: false, code, message, attemptsRemaining, retryAfter }
+ */
+exports.verifyOtp = async (phone, otp, { purposes = null, consume = true } = {}) => {
+  const now = new Date();
+
+  return sequelize.transaction(async (transaction) => {
+    const record = await Otp.findByPk(phone, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (record && record.lockedUntil && new Date(record.lockedUntil) > now) {
+      return {
+        success: false,
+        code: 'OTP_LOCKED',
+        message: 'Too many incorrect attempts. Please try again later.',
+        retryAfter: secondsUntil(record.lockedUntil)
+      };
+    }
+
+    if (!record || !record.otp || (purposes && !purposes.includes(record.purpose))) {
+      return { success: false, code: 'OTP_NOT_FOUND', message: 'OTP not found or expired' };
+    }
+
+    if (new Date(record.expirationTime) <= now) {
+      await record.update({ otp: null, verified: false }, { transaction });
+      return { success: false, code: 'OTP_EXPIRED', message: 'OTP has expired' };
+    }
+
+    const expected = Buffer.from(record.otp, 'hex');
+    const received = Buffer.from(hashOtp(phone, otp), 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      const windowOpen = attemptWindowOpen(record, now);
+      const attempts = windowOpen ? record.attempts + 1 : 1;
+      const attemptWindowStartedAt = windowOpen ? record.attemptWindowStartedAt : now;
+
+      if (attempts >= OTP_CONFIG.maxAttempts) {
+        const lockedUntil = new Date(now.getTime() + OTP_CONFIG.lockoutMinutes * 60 * 1000);
+        await record.update({ otp: null, attempts: 0, attemptWindowStartedAt: null, verified: false, lockedUntil }, { transaction });
+        return {
+          success: false,
+          code: 'OTP_LOCKED',
+          message: 'Too many incorrect attempts. Please try again later.',
+          retryAfter: secondsUntil(lockedUntil)
+        };
+      }
+
+      await record.update({ attempts, attemptWindowStartedAt }, { transaction });
+      return {
+        success: false,
+        code: 'OTP_INVALID',
+        message: 'Invalid OTP',
+        attemptsRemaining: OTP_CONFIG.maxAttempts - attempts
+      };
+    }
+
+    await record.update({
+      otp: consume ? null : record.otp,
+      attempts: 0,
+      attemptWindowStartedAt: null,
+      verified: true
+    }, { transaction });
+
+    return { success: true, purpose: record.purpose };
+  });
+};
+
+/**
+ * Invalidate the current OTP without affecting lockout state, e.g. when the SMS
+ * could not be delivered and the user should be able to retry immediately
+ * @param {string} phone - Formatted 10-digit phone number
+ * @returns {Promise<void>}
+ */
+exports.revokeOtp = async (phone) => {
+  await Otp.update(
+    { otp: null, verified: false, lastSentAt: null },
+    { where: { phone } }
+  );
+};
+
+exports.OTP_CONFIG = OTP_CONFIG;
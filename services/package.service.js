@@ -0,0 +1,467 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Payment = require('../models/payment.model');
+const Patient = require('../models/patient.model');
+const FamilyMember = require('../models/familyMember.model');
+const PackagePurchase = require('../models/packagePurchase.model');
+const PackageUsage = require('../models/packageUsage.model');
+const phonepeService = require('./phonepe.service');
+const { sendUserNotification } = require('./firebase.services');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const KINDS = ['bundle', 'membership'];
+const APPOINTMENT_TYPES = ['virtual', 'physical', 'any'];
+
+const OPEN_PAYMENT_STATUSES = ['pending', 'initiated', 'processing'];
+const FAILED_PAYMENT_STATUSES = ['failed', 'cancelled', 'expired'];
+
+const PHONEPE_STATES = {
+  COMPLETED: 'success',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  FAILURE: 'failed',
+  CANCELLED: 'cancelled',
+  CANCELED: 'cancelled',
+  PENDING: 'processing',
+  PROCESSING: 'processing'
+};
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const remainingCredits = (purchase) => {
+  return purchase.totalCredits === null ? null : Math.max(0, purchase.totalCredits - purchase.usedCredits);
+};
+
+/**
+ * Validate a package definition. For an update only the given fields are
+ * checked, against the current package.
+ * @param {Object} input
+ * @param {Object} [existing] - Package being updated
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validatePackage = (input = {}, existing = null) => {
+  const partial = Boolean(existing);
+  const errors = [];
+  const values = {};
+  const given = (field) => input[field] !== undefined;
+
+  if (!partial || given('name')) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.push('name is required');
+    values.name = name;
+  }
+  if (given('description')) {
+    values.description = typeof input.description === 'string' && input.description.trim() ? input.description.trim() : null;
+  }
+  if (!partial || given('kind')) {
+    const kind = input.kind || 'bundle';
+    if (!KINDS.includes(kind)) errors.push(`kind must be one of ${KINDS.join(', ')}`);
+    values.kind = kind;
+  }
+  if (!partial || given('appointmentType')) {
+    const appointmentType = input.appointmentType || 'virtual';
+    if (!APPOINTMENT_TYPES.includes(appointmentType)) {
+      errors.push(`appointmentType must be one of ${APPOINTMENT_TYPES.join(', ')}`);
+    }
+    values.appointmentType = appointmentType;
+  }
+  if (!partial || given('credits')) {
+    if (input.credits === null || input.credits === undefined) {
+      values.credits = null;
+    } else {
+      const credits = Number(input.credits);
+      if (!Number.isInteger(credits) || credits < 1 || credits > 365) {
+        errors.push('credits must be a whole number from 1 to 365, or null for no limit');
+      }
+      values.credits = credits;
+    }
+  }
+  if (!partial || given('price')) {
+    const price = toAmount(input.price);
+    if (!(price >= 1)) errors.push('price must be at least 1');
+    values.price = price;
+  }
+  if (!partial || given('validityDays')) {
+    const validityDays = Number(input.validityDays);
+    if (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > 3 * 366) {
+      errors.push('validityDays must be a whole number of days from 1 to 1098');
+    }
+    values.validityDays = validityDays;
+  }
+  if (given('maxFamilyMembers')) {
+    const maxFamilyMembers = Number(input.maxFamilyMembers);
+    if (!Number.isInteger(maxFamilyMembers) || maxFamilyMembers < 0 || maxFamilyMembers > 10) {
+      errors.push('maxFamilyMembers must be a whole number from 0 to 10');
+    }
+    values.maxFamilyMembers = maxFamilyMembers;
+  }
+  if (given('gstRate')) {
+    const gstRate = input.gstRate === null ? null : parseFloat(input.gstRate);
+    if (gstRate !== null && (isNaN(gstRate) || gstRate < 0 || gstRate > 28)) {
+      errors.push('gstRate must be a percentage from 0 to 28');
+    }
+    values.gstRate = gstRate;
+  }
+  if (given('sacCode')) {
+    if (input.sacCode !== null && !/^\d{4,8}$/.test(String(input.sacCode))) {
+      errors.push('sacCode must be 4 to 8 digits');
+    }
+    values.sacCode = input.sacCode === null ? null : String(input.sacCode);
+  }
+  if (given('isActive')) {
+    values.isActive = input.isActive === true || input.isActive === 'true';
+  }
+
+  // Only memberships can be used without a limit for their whole period
+  const kind = values.kind !== undefined ? values.kind : existing.kind;
+  const credits = values.credits !== undefined ? values.credits : existing.credits;
+  if (kind === 'bundle' && credits === null) {
+    errors.push('credits is required for a bundle');
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Start buying a package: a pending purchase and a PhonePe payment for its
+ * price. The purchase becomes active once the payment succeeds.
+ * @param {Object} pkg - Active Package instance
+ * @param {Object} user - Patient User instance
+ * @param {Object} [request] - { ipAddress, deviceInfo }
+ * @returns {Promise<Object>} { success, purchase, payment, existing } or { success: false, code, message }
+ */
+exports.startPurchase = async (pkg, user, { ipAddress = null, deviceInfo = null } = {}) => {
+  // A purchase still waiting for its payment is returned instead of starting another
+  const pending = await PackagePurchase.findOne({
+    where: { packageId: pkg.id, userId: user.id, status: 'pending' },
+    include: [{ model: Payment, as: 'payment', where: { status: { [Op.in]: OPEN_PAYMENT_STATUSES } } }],
+    order: [['createdAt', 'DESC']]
+  });
+  if (pending) {
+    return { success: true, purchase: pending, payment: pending.payment, existing: true };
+  }
+
+  const { purchase, payment } = await sequelize.transaction(async (t) => {
+    const purchase = await PackagePurchase.create({
+      packageId: pkg.id,
+      userId: user.id,
+      status: 'pending',
+      name: pkg.name,
+      kind: pkg.kind,
+      appointmentType: pkg.appointmentType,
+      totalCredits: pkg.credits,
+      price: pkg.price,
+      validityDays: pkg.validityDays,
+      maxFamilyMembers: pkg.maxFamilyMembers,
+      familyMemberIds: []
+    }, { transaction: t });
+
+    const payment = await Payment.create({
+      userId: user.id,
+      appointmentId: null,
+      packagePurchaseId: purchase.id,
+      amount: pkg.price,
+      currency: 'INR',
+      paymentMethod: 'phonepe',
+      status: 'initiated',
+      phonepeMerchantTransactionId: phonepeService.generateMerchantTransactionId(user.id, `PKG${purchase.id}`),
+      initiatedAt: new Date(),
+      ipAddress,
+      deviceInfo
+    }, { transaction: t });
+
+    await purchase.update({ paymentId: payment.id }, { transaction: t });
+    return { purchase, payment };
+  });
+
+  const paymentResult = await phonepeService.initiatePayment({
+    merchantTransactionId: payment.phonepeMerchantTransactionId,
+    amount: toAmount(payment.amount),
+    userId: user.id,
+    appointmentId: null,
+    userInfo: { id: user.id, name: user.name, phone: user.phone }
+  });
+
+  if (!paymentResult.success) {
+    await payment.update({
+      status: 'failed',
+      failureReason: paymentResult.error,
+      failedAt: new Date()
+    });
+    await purchase.update({ status: 'canceled', canceledAt: new Date() });
+    return { success: false, code: 'PAYMENT_INITIATION_FAILED', message: paymentResult.error };
+  }
+
+  await payment.update({
+    phonepeTransactionId: paymentResult.data.phonepeTransactionId,
+    paymentUrl: paymentResult.data.paymentUrl,
+    phonepeResponse: paymentResult.data
+  });
+
+  return { success: true, purchase, payment, existing: false };
+};
+
+/**
+ * Record a PhonePe state on the payment of a package purchase and activate
+ * or cancel the purchase
+ * @param {number} paymentId - Payment with a packagePurchaseId
+ * @param {string} state - PhonePe state, e.g. COMPLETED or FAILED
+ * @param {Object} [fields] - Gateway fields to store on the payment; failureReason is kept for failures only
+ * @returns {Promise<Object>} { status, changed, purchase, activated }
+ */
+exports.applyPaymentState = async (paymentId, state, fields = {}) => {
+  const status = PHONEPE_STATES[(state || '').toUpperCase()];
+
+  const result = await sequelize.transaction(async (t) => {
+    const payment = await Payment.findByPk(paymentId, { transaction: t, lock: t.LOCK.UPDATE });
+    const purchase = await PackagePurchase.findByPk(payment.packagePurchaseId, { transaction: t, lock: t.LOCK.UPDATE });
+
+    // Unknown states leave the payment as it is until PhonePe reports a final one
+    if (!status || payment.status === 'success' || payment.status === status) {
+      return { status: payment.status, changed: false, purchase };
+    }
+
+    await payment.update({
+      ...fields,
+      status,
+      completedAt: status === 'success' ? new Date() : null,
+      failedAt: status === 'failed' ? new Date() : null,
+      failureReason: status === 'failed' ? fields.failureReason || null : null
+    }, { transaction: t });
+
+    // A payment that succeeds late still activates a purchase canceled in the meantime
+    let activated = false;
+    if (status === 'success' && ['pending', 'canceled'].includes(purchase.status)) {
+      const activatedAt = DateTime.now().setZone(TIMEZONE);
+      await purchase.update({
+        status: 'active',
+        activatedAt: activatedAt.toJSDate(),
+        expiresAt: activatedAt.plus({ days: purchase.validityDays }).endOf('day').toJSDate(),
+        canceledAt: null
+      }, { transaction: t });
+      activated = true;
+    } else if (['failed', 'cancelled'].includes(status) && purchase.status === 'pending') {
+      await purchase.update({ status: 'canceled', canceledAt: new Date() }, { transaction: t });
+    }
+
+    return { status, changed: true, purchase, activated };
+  });
+
+  if (result.activated) {
+    const { purchase } = result;
+    await sendUserNotification(
+      purchase.userId,
+      'Package Activated',
+      `Your ${purchase.name} package is active until ${DateTime.fromJSDate(purchase.expiresAt).setZone(TIMEZONE).toFormat('dd LLL yyyy')}`,
+      {
+        type: 'other',
+        category: 'payments',
+        relatedId: purchase.id,
+        data: {
+          packagePurchaseId: purchase.id.toString(),
+          type: 'package_activated'
+        }
+      }
+    ).catch(error => console.error(`Package activation notification ${purchase.id} failed:`, error.message));
+  }
+
+  return result;
+};
+
+/**
+ * Check that a purchase can pay for an appointment
+ * @param {Object} purchase - PackagePurchase instance
+ * @param {Object} booking - { userId, type, familyMemberId, appointmentDateTime }
+ * @returns {Object} { success } or { success: false, code, message }
+ */
+const checkUsable = (purchase, { userId, type, familyMemberId = null, appointmentDateTime }) => {
+  if (!purchase || purchase.userId !== userId) {
+    return { success: false, code: 'PACKAGE_NOT_FOUND', message: 'Package not found' };
+  }
+  if (purchase.status !== 'active') {
+    return { success: false, code: 'PACKAGE_NOT_ACTIVE', message: `This package is ${purchase.status}` };
+  }
+  if (new Date(purchase.expiresAt) < new Date(appointmentDateTime)) {
+    return { success: false, code: 'PACKAGE_EXPIRED', message: 'The package expires before the appointment' };
+  }
+  if (purchase.appointmentType !== 'any' && purchase.appointmentType !== type) {
+    return {
+      success: false,
+      code: 'PACKAGE_TYPE_MISMATCH',
+      message: `This package can only be used for ${purchase.appointmentType} appointments`
+    };
+  }
+  if (remainingCredits(purchase) === 0) {
+    return { success: false, code: 'PACKAGE_USED_UP', message: 'All appointments of this package have been used' };
+  }
+  if (familyMemberId && !(purchase.familyMemberIds || []).includes(Number(familyMemberId))) {
+    return {
+      success: false,
+      code: 'PACKAGE_MEMBER_NOT_COVERED',
+      message: 'This family member has not been added to the package'
+    };
+  }
+  return { success: true };
+};
+
+/**
+ * Check that a package can pay for an appointment before booking it
+ * @param {number} purchaseId
+ * @param {Object} booking - { userId, type, familyMemberId, appointmentDateTime }
+ * @returns {Promise<Object>} { success, purchase } or { success: false, code, message }
+ */
+exports.checkUsable = async (purchaseId, booking) => {
+  const purchase = await PackagePurchase.findByPk(purchaseId);
+  const result = checkUsable(purchase, booking);
+  return result.success ? { success: true, purchase } : result;
+};
+
+/**
+ * Use one appointment of a package. The usage is linked to the appointment
+ * with linkUsage once the appointment exists.
+ * @param {number} purchaseId
+ * @param {Object} booking - { userId, type, familyMemberId, appointmentDateTime }
+ * @returns {Promise<Object>} { success, usage } or { success: false, code, message }
+ */
+exports.consumeCredit = async (purchaseId, booking) => {
+  return sequelize.transaction(async (t) => {
+    const purchase = await PackagePurchase.findByPk(purchaseId, { transaction: t, lock: t.LOCK.UPDATE });
+    const check = checkUsable(purchase, booking);
+    if (!check.success) return check;
+
+    await purchase.update({ usedCredits: purchase.usedCredits + 1 }, { transaction: t });
+    const usage = await PackageUsage.create({
+      purchaseId: purchase.id,
+      userId: booking.userId,
+      familyMemberId: booking.familyMemberId || null,
+      status: 'used',
+      usedAt: new Date()
+    }, { transaction: t });
+
+    return { success: true, usage };
+  });
+};
+
+/**
+ * Record the appointment a package appointment was used for
+ * @param {Object} usage - PackageUsage instance
+ * @param {number} appointmentId
+ */
+exports.linkUsage = async (usage, appointmentId) => {
+  await usage.update({ appointmentId });
+};
+
+/**
+ * Give a used appointment back to its package
+ * @param {Object} usage - PackageUsage instance
+ * @param {string} reason
+ * @param {Object} [transaction]
+ * @returns {Promise<boolean>} false if it was already given back
+ */
+const restoreUsage = async (usage, reason, transaction) => {
+  const [affected] = await PackageUsage.update(
+    { status: 'restored', restoredAt: new Date(), restoreReason: reason },
+    { where: { id: usage.id, status: 'used' }, transaction }
+  );
+  if (affected === 0) return false;
+
+  await PackagePurchase.decrement('usedCredits', {
+    by: 1,
+    where: { id: usage.purchaseId, usedCredits: { [Op.gt]: 0 } },
+    transaction
+  });
+  return true;
+};
+
+exports.restoreUsage = restoreUsage;
+
+/**
+ * Give back the package appointment used by a cancelled or rejected
+ * appointment
+ * @param {number} appointmentId
+ * @param {string} reason
+ * @param {Object} [transaction]
+ * @returns {Promise<boolean>} true if a credit was given back
+ */
+exports.restoreCredit = async (appointmentId, reason, transaction) => {
+  const usage = await PackageUsage.findOne({ where: { appointmentId, status: 'used' }, transaction });
+  return usage ? restoreUsage(usage, reason, transaction) : false;
+};
+
+/**
+ * Choose the family members who can book with a package
+ * @param {Object} purchase - PackagePurchase instance of the patient
+ * @param {Array<number>} familyMemberIds
+ * @returns {Promise<Object>} { success, purchase } or { success: false, code, message }
+ */
+exports.setFamilyMembers = async (purchase, familyMemberIds) => {
+  if (!Array.isArray(familyMemberIds)) {
+    return { success: false, code: 'INVALID_FAMILY_MEMBERS', message: 'familyMemberIds must be a list' };
+  }
+  const ids = [...new Set(familyMemberIds.map(Number))];
+  if (ids.length > purchase.maxFamilyMembers) {
+    return {
+      success: false,
+      code: 'TOO_MANY_FAMILY_MEMBERS',
+      message: purchase.maxFamilyMembers === 0
+        ? 'This package cannot be shared'
+        : `This package can be shared with up to ${purchase.maxFamilyMembers} family members`
+    };
+  }
+
+  if (ids.length > 0) {
+    const patient = await Patient.findOne({ where: { userId: purchase.userId } });
+    const members = patient
+      ? await FamilyMember.count({ where: { id: { [Op.in]: ids }, patientId: patient.id } })
+      : 0;
+    if (members !== ids.length) {
+      return { success: false, code: 'INVALID_FAMILY_MEMBERS', message: 'Family members must be added to your profile first' };
+    }
+  }
+
+  await purchase.update({ familyMemberIds: ids });
+  return { success: true, purchase };
+};
+
+/**
+ * Mark a package refunded once its payment has been refunded in full
+ * @param {Object} payment - Payment instance
+ * @param {Object} [transaction]
+ */
+exports.markRefunded = async (payment, transaction) => {
+  if (!payment.packagePurchaseId) return;
+  await PackagePurchase.update(
+    { status: 'refunded' },
+    { where: { id: payment.packagePurchaseId, status: { [Op.in]: ['pending', 'active', 'expired'] } }, transaction }
+  );
+};
+
+/**
+ * Expire packages past their validity and cancel purchases whose payment
+ * failed or expired
+ * @returns {Promise<Object>} { expired, canceled }
+ */
+exports.expirePurchases = async () => {
+  const [expired] = await PackagePurchase.update(
+    { status: 'expired' },
+    { where: { status: 'active', expiresAt: { [Op.lte]: new Date() } } }
+  );
+
+  const [canceled] = await PackagePurchase.update(
+    { status: 'canceled', canceledAt: new Date() },
+    {
+      where: {
+        status: 'pending',
+        paymentId: {
+          [Op.in]: sequelize.literal(`(SELECT \`id\` FROM \`payments\` WHERE \`status\` IN (${FAILED_PAYMENT_STATUSES.map(s => `'${s}'`).join(', ')}))`)
+        }
+      }
+    }
+  );
+
+  return { expired, canceled };
+};
+
+exports.remainingCredits = remainingCredits;
@@ -0,0 +1,412 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const Payment = require('../models/payment.model');
+const Price = require('../models/price.model');
+const Refund = require('../models/refund.model');
+const DoctorLedgerEntry = require('../models/doctorLedgerEntry.model');
+const DoctorPayout = require('../models/doctorPayout.model');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+// Commission for doctors and services without a rate of their own
+const PLATFORM_COMMISSION_RATE = process.env.PLATFORM_COMMISSION_RATE !== undefined
+  ? parseFloat(process.env.PLATFORM_COMMISSION_RATE)
+  : 20;
+
+// Virtual appointments are paid before a virtual doctor takes them, so their
+// earning is recorded by the ledger job once a doctor is assigned
+const LOOKBACK_DAYS = parseInt(process.env.PAYOUT_LEDGER_LOOKBACK_DAYS) || 30;
+
+const EARNING_PAYMENT_STATUSES = ['success', 'refunded'];
+
+const EARNED_PAYMENT_IDS = "(SELECT `paymentId` FROM `doctor_ledger_entries` WHERE `type` = 'earning' AND `paymentId` IS NOT NULL)";
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Where condition for the entries or payouts of a doctor or virtual doctor
+ * @param {Object} payee - { doctorId } or { virtualDoctorId }
+ */
+const payeeWhere = ({ doctorId, virtualDoctorId }) => {
+  return doctorId ? { doctorId, virtualDoctorId: null } : { doctorId: null, virtualDoctorId };
+};
+
+const payeeOf = (appointment) => {
+  // Package purchases are not paid for an appointment; no doctor earns from them
+  if (!appointment) return null;
+  if (appointment.type === 'virtual') {
+    return appointment.virtualDoctorId ? { doctorId: null, virtualDoctorId: appointment.virtualDoctorId } : null;
+  }
+  return appointment.doctorId ? { doctorId: appointment.doctorId, virtualDoctorId: null } : null;
+};
+
+/**
+ * Commission percentage for an appointment: the doctor's own rate, else the
+ * rate of the service, else PLATFORM_COMMISSION_RATE
+ */
+const commissionRateFor = async (payee, appointment) => {
+  const doctor = payee.doctorId
+    ? await Doctor.findByPk(payee.doctorId, { attributes: ['id', 'commissionRate'] })
+    : await VirtualDoctor.findByPk(payee.virtualDoctorId, { attributes: ['id', 'commissionRate'] });
+  if (doctor && doctor.commissionRate !== null) return parseFloat(doctor.commissionRate);
+
+  const serviceName = appointment.type === 'virtual' ? 'Virtual Appointment' : 'Clinic Appointment';
+  const service = await Price.findOne({ where: { serviceName }, order: [['isActive', 'DESC'], ['updatedAt', 'DESC']] });
+  if (service && service.commissionRate !== null) return parseFloat(service.commissionRate);
+
+  return PLATFORM_COMMISSION_RATE;
+};
+
+/**
+ * Credit the doctor of a paid appointment with their share of the payment.
+ * Calling it again for the same payment returns the entry already recorded.
+ * @param {number} paymentId
+ * @returns {Promise<Object>} { success, entry, created } or { success: false, code, message }
+ */
+exports.recordEarningForPayment = async (paymentId) => {
+  const payment = await Payment.findByPk(paymentId, {
+    include: [{ model: Appointment, as: 'appointment' }]
+  });
+  if (!payment || !EARNING_PAYMENT_STATUSES.includes(payment.status)) {
+    return {
+      success: false,
+      code: 'PAYMENT_NOT_SUCCESSFUL',
+      message: 'Earnings are only recorded for successful payments'
+    };
+  }
+
+  const payee = payeeOf(payment.appointment);
+  if (!payee) {
+    return {
+      success: false,
+      code: 'NO_PAYEE',
+      message: 'No doctor has been assigned to this appointment yet'
+    };
+  }
+
+  const commissionRate = await commissionRateFor(payee, payment.appointment);
+  const grossAmount = toAmount(payment.amount);
+  const commissionAmount = toAmount(grossAmount * commissionRate / 100);
+
+  return sequelize.transaction(async (t) => {
+    // Lock the payment so the payment callback and the ledger job cannot both credit it
+    await Payment.findByPk(payment.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+    const existing = await DoctorLedgerEntry.findOne({ where: { paymentId: payment.id, type: 'earning' }, transaction: t });
+    if (existing) {
+      return { success: true, entry: existing, created: false };
+    }
+
+    const entry = await DoctorLedgerEntry.create({
+      ...payee,
+      type: 'earning',
+      paymentId: payment.id,
+      appointmentId: payment.appointmentId,
+      grossAmount,
+      commissionRate,
+      commissionAmount,
+      amount: toAmount(grossAmount - commissionAmount),
+      description: `${payment.appointment.type === 'virtual' ? 'Virtual' : 'Clinic'} appointment #${payment.appointmentId}`,
+      occurredAt: payment.completedAt || new Date()
+    }, { transaction: t });
+
+    return { success: true, entry, created: true };
+  });
+};
+
+/**
+ * Take back the doctor's share of a completed refund, in the same proportion
+ * as the earning it reverses
+ * @param {Object} refund - Completed Refund instance
+ * @returns {Promise<Object>} { success, entry, created } or { success: false, code, message }
+ */
+exports.recordRefund = async (refund) => {
+  if (refund.status !== 'completed') {
+    return {
+      success: false,
+      code: 'REFUND_NOT_COMPLETED',
+      message: 'Only completed refunds are recorded in the ledger'
+    };
+  }
+
+  return sequelize.transaction(async (t) => {
+    const earning = await DoctorLedgerEntry.findOne({
+      where: { paymentId: refund.paymentId, type: 'earning' },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!earning) {
+      return {
+        success: false,
+        code: 'NO_EARNING',
+        message: 'No earning was recorded for the refunded payment'
+      };
+    }
+
+    const existing = await DoctorLedgerEntry.findOne({ where: { refundId: refund.id }, transaction: t });
+    if (existing) {
+      return { success: true, entry: existing, created: false };
+    }
+
+    const refunded = toAmount(refund.amount);
+    const share = toAmount(refunded * parseFloat(earning.amount) / parseFloat(earning.grossAmount));
+    const entry = await DoctorLedgerEntry.create({
+      doctorId: earning.doctorId,
+      virtualDoctorId: earning.virtualDoctorId,
+      type: 'refund',
+      paymentId: refund.paymentId,
+      refundId: refund.id,
+      appointmentId: earning.appointmentId,
+      grossAmount: -refunded,
+      commissionRate: earning.commissionRate,
+      commissionAmount: -toAmount(refunded - share),
+      amount: -share,
+      description: `Refund for appointment #${earning.appointmentId}`,
+      occurredAt: refund.completedAt || new Date()
+    }, { transaction: t });
+
+    return { success: true, entry, created: true };
+  });
+};
+
+/**
+ * Record a manual credit or deduction for a doctor
+ * @param {Object} payee - { doctorId } or { virtualDoctorId }
+ * @param {Object} adjustment - { amount, description, createdBy }
+ * @returns {Promise<Object>} DoctorLedgerEntry
+ */
+exports.addAdjustment = (payee, { amount, description, createdBy }) => {
+  return DoctorLedgerEntry.create({
+    ...payeeWhere(payee),
+    type: 'adjustment',
+    amount: toAmount(amount),
+    description,
+    createdBy,
+    occurredAt: new Date()
+  });
+};
+
+/**
+ * Record earnings and refunds missed when a payment or refund completed,
+ * including earnings of virtual appointments that now have a doctor
+ * @returns {Promise<Object>} { earnings, refunds }
+ */
+exports.recordMissingEntries = async () => {
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  let earnings = 0;
+  let refunds = 0;
+
+  const payments = await Payment.findAll({
+    where: {
+      status: { [Op.in]: EARNING_PAYMENT_STATUSES },
+      completedAt: { [Op.gte]: since },
+      id: { [Op.notIn]: sequelize.literal(EARNED_PAYMENT_IDS) },
+      appointmentId: {
+        [Op.in]: sequelize.literal("(SELECT `id` FROM `appointments` WHERE IF(`type` = 'virtual', `virtualDoctorId`, `doctorId`) IS NOT NULL)")
+      }
+    },
+    attributes: ['id'],
+    limit: 100
+  });
+  for (const payment of payments) {
+    try {
+      const result = await exports.recordEarningForPayment(payment.id);
+      if (result.created) earnings++;
+    } catch (error) {
+      console.error(`Ledger earning for payment ${payment.id} failed:`, error.message);
+    }
+  }
+
+  const completedRefunds = await Refund.findAll({
+    where: {
+      status: 'completed',
+      completedAt: { [Op.gte]: since },
+      id: { [Op.notIn]: sequelize.literal('(SELECT `refundId` FROM `doctor_ledger_entries` WHERE `refundId` IS NOT NULL)') },
+      paymentId: { [Op.in]: sequelize.literal(EARNED_PAYMENT_IDS) }
+    },
+    limit: 100
+  });
+  for (const refund of completedRefunds) {
+    try {
+      const result = await exports.recordRefund(refund);
+      if (result.created) refunds++;
+    } catch (error) {
+      console.error(`Ledger refund ${refund.id} failed:`, error.message);
+    }
+  }
+
+  return { earnings, refunds };
+};
+
+const sumByType = async (where) => {
+  const rows = await DoctorLedgerEntry.findAll({
+    attributes: ['type', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    where,
+    group: ['type'],
+    raw: true
+  });
+  const totals = { earning: 0, refund: 0, adjustment: 0 };
+  rows.forEach(row => { totals[row.type] = toAmount(row.total); });
+  return totals;
+};
+
+const totals = ({ earning, refund, adjustment }) => ({ earnings: earning, refunds: refund, adjustments: adjustment });
+
+/**
+ * Earnings of a doctor: lifetime totals, this month, the balance not yet in
+ * a payout and what has been paid out
+ * @param {Object} payee - { doctorId } or { virtualDoctorId }
+ * @returns {Promise<Object>}
+ */
+exports.getEarningsSummary = async (payee) => {
+  const where = payeeWhere(payee);
+  const monthStart = DateTime.now().setZone(TIMEZONE).startOf('month').toJSDate();
+
+  const lifetime = await sumByType(where);
+  const thisMonth = await sumByType({ ...where, occurredAt: { [Op.gte]: monthStart } });
+  const unsettled = toAmount(await DoctorLedgerEntry.sum('amount', { where: { ...where, payoutId: null } }));
+  const pendingPayouts = toAmount(await DoctorPayout.sum('amount', { where: { ...where, status: 'pending' } }));
+  const paidOut = toAmount(await DoctorPayout.sum('amount', { where: { ...where, status: 'settled' } }));
+  const lastPayout = await DoctorPayout.findOne({
+    where: { ...where, status: 'settled' },
+    order: [['settledAt', 'DESC']]
+  });
+
+  const net = (totals) => toAmount(totals.earning + totals.refund + totals.adjustment);
+
+  return {
+    lifetime: { ...totals(lifetime), net: net(lifetime) },
+    thisMonth: { ...totals(thisMonth), net: net(thisMonth) },
+    unsettledBalance: unsettled,
+    pendingPayouts,
+    paidOut,
+    lastPayout
+  };
+};
+
+/**
+ * Put the unsettled entries of each doctor up to periodEnd into a payout
+ * statement. Doctors whose entries do not add up to a positive amount are
+ * skipped and their entries carried over to the next statement.
+ * @param {Object} options
+ * @param {Date} options.periodEnd
+ * @param {Object} [options.payee] - Only this doctor or virtual doctor
+ * @param {number} options.createdBy - Admin user
+ * @returns {Promise<Object>} { payouts, skipped }
+ */
+exports.generatePayouts = async ({ periodEnd, payee, createdBy }) => {
+  const baseWhere = { payoutId: null, occurredAt: { [Op.lte]: periodEnd } };
+  const payees = payee
+    ? [payeeWhere(payee)]
+    : await DoctorLedgerEntry.findAll({
+      attributes: ['doctorId', 'virtualDoctorId'],
+      where: baseWhere,
+      group: ['doctorId', 'virtualDoctorId'],
+      raw: true
+    });
+
+  const payouts = [];
+  const skipped = [];
+  for (const current of payees) {
+    const result = await sequelize.transaction(async (t) => {
+      const entries = await DoctorLedgerEntry.findAll({
+        where: { ...baseWhere, ...payeeWhere(current) },
+        order: [['occurredAt', 'ASC']],
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (entries.length === 0) return null;
+
+      const sum = (type) => toAmount(entries
+        .filter(entry => entry.type === type)
+        .reduce((total, entry) => total + parseFloat(entry.amount), 0));
+      const amount = toAmount(sum('earning') + sum('refund') + sum('adjustment'));
+      if (amount <= 0) {
+        return { skipped: { ...payeeWhere(current), amount, entryCount: entries.length } };
+      }
+
+      const payout = await DoctorPayout.create({
+        ...payeeWhere(current),
+        periodStart: entries[0].occurredAt,
+        periodEnd,
+        entryCount: entries.length,
+        earningsAmount: sum('earning'),
+        refundsAmount: sum('refund'),
+        adjustmentsAmount: sum('adjustment'),
+        amount,
+        status: 'pending',
+        createdBy
+      }, { transaction: t });
+
+      await DoctorLedgerEntry.update(
+        { payoutId: payout.id },
+        { where: { id: { [Op.in]: entries.map(entry => entry.id) } }, transaction: t }
+      );
+      return { payout };
+    });
+
+    if (result && result.payout) payouts.push(result.payout);
+    if (result && result.skipped) skipped.push(result.skipped);
+  }
+
+  return { payouts, skipped };
+};
+
+/**
+ * Mark a payout as paid to the doctor
+ * @param {Object} payout - DoctorPayout instance
+ * @param {Object} settlement - { reference, notes, settledBy }
+ * @returns {Promise<Object>} { success } or { success: false, code, message }
+ */
+exports.settlePayout = async (payout, { reference, notes, settledBy }) => {
+  const [updated] = await DoctorPayout.update(
+    {
+      status: 'settled',
+      reference: reference || null,
+      notes: notes || payout.notes,
+      settledAt: new Date(),
+      settledBy
+    },
+    { where: { id: payout.id, status: 'pending' } }
+  );
+  if (updated === 0) {
+    return {
+      success: false,
+      code: 'PAYOUT_NOT_PENDING',
+      message: `Only pending payouts can be settled (status: ${payout.status})`
+    };
+  }
+  return { success: true };
+};
+
+/**
+ * Withdraw a pending payout; its entries go back to the unsettled balance
+ * @param {Object} payout - DoctorPayout instance
+ * @param {string} [notes]
+ * @returns {Promise<Object>} { success } or { success: false, code, message }
+ */
+exports.cancelPayout = async (payout, notes) => {
+  return sequelize.transaction(async (t) => {
+    const [updated] = await DoctorPayout.update(
+      { status: 'canceled', canceledAt: new Date(), notes: notes || payout.notes },
+      { where: { id: payout.id, status: 'pending' }, transaction: t }
+    );
+    if (updated === 0) {
+      return {
+        success: false,
+        code: 'PAYOUT_NOT_PENDING',
+        message: `Only pending payouts can be canceled (status: ${payout.status})`
+      };
+    }
+
+    await DoctorLedgerEntry.update({ payoutId: null }, { where: { payoutId: payout.id }, transaction: t });
+    return { success: true };
+  });
+};
+
+exports.payeeWhere = payeeWhere;
+exports.PLATFORM_COMMISSION_RATE = PLATFORM_COMMISSION_RATE;
@@ -12,6 +12,7 @@ class PhonePeService {
       paymentUrl: 'https://api.phonepe.com/apis/pg/checkout/v2/pay',
       statusBaseUrl: 'https://api.phonepe.com/apis/pg/checkout/v2/order',
       legacyStatusUrl: 'https://api.phonepe.com/apis/hermes/pg/v1/status',
+      refundUrl: 'https://api.phonepe.com/apis/pg/payments/v2/refund',
       description: 'Live PhonePe environment - Real money transactions'
     };
     
@@ -30,6 +31,7 @@ class PhonePeService {
     this.paymentUrl = this.config.paymentUrl;
     this.statusBaseUrl = this.config.statusBaseUrl;
     this.legacyStatusBaseUrl = this.config.legacyStatusUrl;
+    this.refundUrl = this.config.refundUrl;
     
     // Production-only URLs (no development mode)
     this.redirectUrl = process.env.REDIRECT_URL || 'https://sidclinic.com/dashboard';
@@ -644,6 +646,109 @@ class PhonePeService {
     }
   }
 
+  /**
+   * Refund a completed payment, fully or partially
+   * @param {Object} refundData
+   * @param {string} refundData.merchantRefundId - Unique refund reference generated by us
+   * @param {string} refundData.originalMerchantOrderId - Merchant transaction ID of the payment
+   * @param {number} refundData.amount - Amount to refund in INR
+   */
+  async initiateRefund({ merchantRefundId, originalMerchantOrderId, amount }) {
+    try {
+      console.log('💸 Initiating PhonePe refund:', { merchantRefundId, originalMerchantOrderId, amount });
+
+      const accessToken = await this.generateAccessToken();
+
+      const payload = {
+        merchantRefundId,
+        originalMerchantOrderId,
+        amount: Math.round(amount * 100) // Convert to paise
+      };
+
+      const response = await axios.post(this.refundUrl, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `O-Bearer ${accessToken}`
+        }
+      });
+
+      console.log('📋 PhonePe Refund Response:', response.data);
+
+      if (response.data && response.data.state) {
+        return {
+          success: true,
+          data: {
+            refundId: response.data.refundId,
+            state: response.data.state,
+            amount: response.data.amount,
+            rawResponse: response.data
+          }
+        };
+      } else {
+        throw new Error('Invalid response from PhonePe Refund API: ' + JSON.stringify(response.data));
+      }
+
+    } catch (error) {
+      console.error('❌ PhonePe refund error:', error.message);
+      console.error('❌ Error response:', error.response?.data);
+
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message || 'PhonePe refund failed',
+        code: error.response?.data?.code,
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  /**
+   * Check the status of a refund
+   * @param {string} merchantRefundId - Refund reference passed to initiateRefund
+   */
+  async checkRefundStatus(merchantRefundId) {
+    try {
+      const accessToken = await this.generateAccessToken();
+      const statusUrl = `${this.refundUrl}/${merchantRefundId}/status`;
+
+      console.log('📋 Refund Status Check URL:', statusUrl);
+
+      const response = await axios.get(statusUrl, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `O-Bearer ${accessToken}`
+        }
+      });
+
+      console.log('📋 PhonePe Refund Status Response:', response.data);
+
+      if (response.data && response.data.state) {
+        return {
+          success: true,
+          data: {
+            state: response.data.state,
+            amount: response.data.amount,
+            errorCode: response.data.errorCode,
+            detailedErrorCode: response.data.detailedErrorCode,
+            rawResponse: response.data
+          }
+        };
+      } else {
+        throw new Error('Invalid refund status response');
+      }
+
+    } catch (error) {
+      console.error('❌ PhonePe refund status error:', error.message);
+      console.error('❌ Error response:', error.response?.data);
+
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message || 'PhonePe refund status check failed',
+        code: error.response?.data?.code,
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
   /**
    * Get available payment methods
    */
@@ -0,0 +1,154 @@
+const { Op } = require('sequelize');
+const axios = require('axios');
+const sequelize = require('../config/db');
+const PinCode = require('../models/pinCode.model');
+const Doctor = require('../models/doctor.model');
+
+// PINs not imported are geocoded only when a key is set
+const GEOCODER_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const GEOCODER_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const PIN_PATTERN = /^[1-9]\d{5}$/;
+const BATCH_SIZE = 50;
+
+const toCoordinates = (row) => (row && row.latitude !== null && row.longitude !== null
+  ? { latitude: Number(row.latitude), longitude: Number(row.longitude) }
+  : null);
+
+const geocode = async (pin) => {
+  const response = await axios.get(GEOCODER_URL, {
+    params: { components: `postal_code:${pin}|country:IN`, key: GEOCODER_KEY },
+    timeout: 5000
+  });
+  const { status, results } = response.data;
+  if (status === 'ZERO_RESULTS') return null;
+  if (status !== 'OK') throw new Error(`Geocoder returned ${status}`);
+  const { lat, lng } = results[0].geometry.location;
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * Coordinates of a PIN, geocoded and remembered if it was not imported.
+ * A geocoder failure is logged and the PIN tried again next time.
+ * @param {string} pin
+ * @returns {Promise<Object|null>} { latitude, longitude } or null if unknown
+ */
+exports.locatePin = async (pin) => {
+  if (!PIN_PATTERN.test(String(pin || ''))) return null;
+
+  const row = await PinCode.findByPk(pin);
+  if (row || !GEOCODER_KEY) return toCoordinates(row);
+
+  try {
+    const coordinates = await geocode(pin);
+    await PinCode.upsert({
+      pin,
+      latitude: coordinates ? coordinates.latitude : null,
+      longitude: coordinates ? coordinates.longitude : null,
+      source: 'geocoder'
+    });
+    return coordinates;
+  } catch (error) {
+    console.error(`Failed to geocode PIN ${pin}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Coordinates of many PINs from the ones known, without geocoding
+ * @param {string[]} pins
+ * @returns {Promise<Map>} pin => { latitude, longitude }
+ */
+exports.coordinatesForPins = async (pins) => {
+  const unique = [...new Set(pins.filter(pin => PIN_PATTERN.test(String(pin || ''))))];
+  if (unique.length === 0) return new Map();
+
+  const rows = await PinCode.findAll({
+    where: { pin: { [Op.in]: unique }, latitude: { [Op.ne]: null } }
+  });
+  return new Map(rows.map(row => [row.pin, toCoordinates(row)]));
+};
+
+/**
+ * Where condition matching rows whose PIN lies in a bounding box
+ * @param {string} column - PIN column, e.g. locationPin
+ * @param {Object} box - { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ * @returns {Object}
+ */
+exports.pinInBox = (column, { minLatitude, maxLatitude, minLongitude, maxLongitude }) => ({
+  [column]: {
+    [Op.in]: sequelize.literal(
+      `(SELECT pin FROM pin_codes WHERE latitude BETWEEN ${Number(minLatitude)} AND ${Number(maxLatitude)}` +
+      ` AND longitude BETWEEN ${Number(minLongitude)} AND ${Number(maxLongitude)})`
+    )
+  }
+});
+
+/**
+ * Store PIN coordinates, e.g. from the India Post pincode directory.
+ * Imported coordinates replace geocoded ones.
+ * @param {Object[]} rows - [{ pin, latitude, longitude }]
+ * @returns {Promise<number>} Number of PINs stored
+ */
+exports.importPins = async (rows) => {
+  const valid = rows.filter(row => PIN_PATTERN.test(String(row.pin)) &&
+    Number.isFinite(Number(row.latitude)) && Number.isFinite(Number(row.longitude)));
+
+  for (let start = 0; start < valid.length; start += 1000) {
+    await PinCode.bulkCreate(
+      valid.slice(start, start + 1000).map(row => ({
+        pin: String(row.pin),
+        latitude: Number(row.latitude),
+        longitude: Number(row.longitude),
+        source: 'import'
+      })),
+      { updateOnDuplicate: ['latitude', 'longitude', 'source', 'updatedAt'] }
+    );
+  }
+  return valid.length;
+};
+
+/**
+ * Job: place clinics without coordinates at their locationPin, geocoding a
+ * batch of PINs not known yet
+ * @returns {Promise<Object>} { geocoded, located }
+ */
+exports.backfillDoctorCoordinates = async () => {
+  let geocoded = 0;
+  if (GEOCODER_KEY) {
+    const unknown = await Doctor.findAll({
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('locationPin')), 'locationPin']],
+      where: {
+        latitude: null,
+        locationPin: {
+          [Op.regexp]: '^[1-9][0-9]{5}$',
+          [Op.notIn]: sequelize.literal('(SELECT pin FROM pin_codes)')
+        }
+      },
+      limit: BATCH_SIZE,
+      raw: true
+    });
+    for (const { locationPin } of unknown) {
+      if (await exports.locatePin(locationPin)) geocoded++;
+    }
+  }
+
+  const doctors = await Doctor.findAll({
+    attributes: ['id', 'locationPin'],
+    where: {
+      latitude: null,
+      locationPin: { [Op.in]: sequelize.literal('(SELECT pin FROM pin_codes WHERE latitude IS NOT NULL)') }
+    },
+    limit: BATCH_SIZE * 10
+  });
+  const coordinates = await exports.coordinatesForPins(doctors.map(doctor => doctor.locationPin));
+
+  let located = 0;
+  for (const doctor of doctors) {
+    const place = coordinates.get(doctor.locationPin);
+    if (!place) continue;
+    await Doctor.update(place, { where: { id: doctor.id, latitude: null } });
+    located++;
+  }
+
+  return { geocoded, located };
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const Prescription = require('../models/prescription.model');
+
+const MAX_MEDICINES = 30;
+const MAX_INVESTIGATIONS = 30;
+
+// Appointments a prescription can be written for
+const PRESCRIBABLE_STATUSES = ['confirmed', 'completed'];
+
+const signingSecret = () => process.env.PRESCRIPTION_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// MySQL stores JSON with its own key order, so keys are sorted before signing
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Content covered by the signature
+ */
+const signedContent = (prescription) => canonicalJson({
+  appointmentId: prescription.appointmentId,
+  userId: prescription.userId,
+  authorUserId: prescription.authorUserId,
+  version: prescription.version,
+  diagnosis: prescription.diagnosis || null,
+  medicines: prescription.medicines || [],
+  investigations: prescription.investigations || [],
+  advice: prescription.advice || null,
+  followUpDate: prescription.followUpDate || null,
+  signedAt: new Date(prescription.signedAt).toISOString()
+});
+
+const computeSignature = (prescription) => {
+  return crypto.createHmac('sha256', signingSecret()).update(signedContent(prescription)).digest('hex');
+};
+
+/**
+ * Validate the structured content of a prescription
+ * @param {Object} input - { diagnosis, medicines, investigations, advice, followUpDate }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validatePrescription = (input = {}) => {
+  const errors = [];
+  const values = {
+    diagnosis: trimmed(input.diagnosis) || null,
+    advice: trimmed(input.advice) || null,
+    medicines: [],
+    investigations: [],
+    followUpDate: null
+  };
+
+  const medicines = input.medicines === undefined ? [] : input.medicines;
+  if (!Array.isArray(medicines) || medicines.length > MAX_MEDICINES) {
+    errors.push(`medicines must be a list of at most ${MAX_MEDICINES} items`);
+  } else {
+    medicines.forEach((medicine, index) => {
+      const item = {
+        name: trimmed(medicine && medicine.name),
+        dosage: trimmed(medicine && medicine.dosage),
+        frequency: trimmed(medicine && medicine.frequency),
+        duration: trimmed(medicine && medicine.duration),
+        instructions: trimmed(medicine && medicine.instructions) || null
+      };
+      ['name', 'dosage', 'frequency', 'duration'].forEach(field => {
+        if (!item[field]) errors.push(`medicines[${index}].${field} is required`);
+      });
+      values.medicines.push(item);
+    });
+  }
+
+  const investigations = input.investigations === undefined ? [] : input.investigations;
+  if (!Array.isArray(investigations) || investigations.length > MAX_INVESTIGATIONS) {
+    errors.push(`investigations must be a list of at most ${MAX_INVESTIGATIONS} items`);
+  } else {
+    investigations.forEach((investigation, index) => {
+      // Plain strings are accepted as the investigation name
+      const item = typeof investigation === 'string'
+        ? { name: investigation.trim(), notes: null }
+        : { name: trimmed(investigation && investigation.name), notes: trimmed(investigation && investigation.notes) || null };
+      if (!item.name) errors.push(`investigations[${index}].name is required`);
+      values.investigations.push(item);
+    });
+  }
+
+  if (input.followUpDate) {
+    const followUp = DateTime.fromFormat(String(input.followUpDate), 'yyyy-MM-dd');
+    if (!followUp.isValid) {
+      errors.push('followUpDate must be a date in YYYY-MM-DD format');
+    } else {
+      values.followUpDate = followUp.toISODate();
+    }
+  }
+
+  if (errors.length === 0 && values.medicines.length === 0 && values.investigations.length === 0 && !values.advice) {
+    errors.push('A prescription needs at least one medicine, investigation or advice');
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Plain text version of a prescription, kept on Appointment.prescription for
+ * screens and emails that show the free-text field
+ * @param {Object} values - Validated prescription content
+ * @returns {string}
+ */
+exports.toText = (values) => {
+  const lines = [];
+
+  if (values.diagnosis) lines.push(`Diagnosis: ${values.diagnosis}`);
+
+  values.medicines.forEach((medicine, index) => {
+    const instructions = medicine.instructions ? ` (${medicine.instructions})` : '';
+    lines.push(`${index + 1}. ${medicine.name} ${medicine.dosage} - ${medicine.frequency} - ${medicine.duration}${instructions}`);
+  });
+
+  if (values.investigations.length > 0) {
+    lines.push(`Investigations: ${values.investigations.map(item => item.name).join(', ')}`);
+  }
+  if (values.advice) lines.push(`Advice: ${values.advice}`);
+  if (values.followUpDate) lines.push(`Follow up on: ${values.followUpDate}`);
+
+  return lines.join('\n');
+};
+
+/**
+ * Whether a user is the treating doctor of an appointment and may write its prescription
+ * @param {Object} user - req.user
+ * @param {Object} appointment - Appointment instance
+ * @returns {Promise<Object|null>} { doctorId, virtualDoctorId } of the author, or null
+ */
+exports.resolveAuthor = async (user, appointment) => {
+  if (appointment.type === 'virtual') {
+    // Any virtual doctor may take over a virtual consultation, as in completeVirtualAppointment
+    if (user.role !== 'virtual-doctor') return null;
+    const virtualDoctor = await VirtualDoctor.findOne({ where: { userId: user.id } });
+    return { doctorId: null, virtualDoctorId: virtualDoctor ? virtualDoctor.id : null };
+  }
+
+  if (user.role !== 'doctor' || !appointment.doctorId) return null;
+  const doctor = await Doctor.findOne({ where: { userId: user.id } });
+  if (!doctor || doctor.id !== appointment.doctorId) return null;
+  return { doctorId: doctor.id, virtualDoctorId: null };
+};
+
+/**
+ * Sign and store a new version of the prescription of an appointment. The
+ * version before it is marked superseded.
+ * @param {Object} appointment - Appointment instance
+ * @param {Object} author - { userId, doctorId, virtualDoctorId }
+ * @param {Object} values - From validatePrescription
+ * @param {Object} [options] - { transaction } to sign it together with other changes
+ * @returns {Promise<Object>} { success, prescription } or { success: false, code, message }
+ */
+exports.issuePrescription = async (appointment, author, values, { transaction = null } = {}) => {
+  if (!PRESCRIBABLE_STATUSES.includes(appointment.status)) {
+    return {
+      success: false,
+      code: 'APPOINTMENT_NOT_PRESCRIBABLE',
+      message: `Cannot write a prescription for an appointment with status: ${appointment.status}`
+    };
+  }
+
+  const issue = async (t) => {
+    const previous = await Prescription.findOne({
+      where: { appointmentId: appointment.id },
+      order: [['version', 'DESC']],
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (previous && previous.status === 'issued') {
+      await previous.update({ status: 'superseded', supersededAt: new Date() }, { transaction: t });
+    }
+
+    const prescription = Prescription.build({
+      appointmentId: appointment.id,
+      userId: appointment.userId,
+      authorUserId: author.userId,
+      doctorId: author.doctorId || null,
+      virtualDoctorId: author.virtualDoctorId || null,
+      version: previous ? previous.version + 1 : 1,
+      status: 'issued',
+      ...values,
+      signedAt: new Date(),
+      signatureCode: crypto.randomBytes(6).toString('hex').toUpperCase()
+    });
+    prescription.signatureHash = computeSignature(prescription);
+    await prescription.save({ transaction: t });
+
+    await Appointment.update(
+      { prescription: exports.toText(values) },
+      { where: { id: appointment.id }, transaction: t }
+    );
+    appointment.setDataValue('prescription', exports.toText(values));
+
+    return { success: true, prescription };
+  };
+
+  return transaction ? issue(transaction) : sequelize.transaction(issue);
+};
+
+/**
+ * Check that a prescription has not been altered since it was signed
+ * @param {Object} prescription - Prescription instance
+ * @returns {boolean}
+ */
+exports.verifySignature = (prescription) => {
+  const expected = Buffer.from(computeSignature(prescription), 'hex');
+  const actual = Buffer.from(String(prescription.signatureHash || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Current prescriptions of a patient, newest first
+ * @param {number} userId - Patient
+ * @param {Object} [options]
+ * @param {number} [options.excludeAppointmentId]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Object[]>} Prescription instances with their appointment
+ */
+exports.getPatientHistory = async (userId, { excludeAppointmentId, limit = 20 } = {}) => {
+  const where = { userId, status: 'issued' };
+  if (excludeAppointmentId) {
+    where.appointmentId = { [Op.ne]: excludeAppointmentId };
+  }
+
+  return Prescription.findAll({
+    where,
+    include: [
+      { model: Appointment, as: 'appointment', attributes: ['id', 'appointmentDateTime', 'type', 'status', 'doctorId'] }
+    ],
+    order: [['signedAt', 'DESC']],
+    limit
+  });
+};
+
+exports.PRESCRIBABLE_STATUSES = PRESCRIBABLE_STATUSES;
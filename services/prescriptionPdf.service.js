@@ -0,0 +1,191 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { DateTime } = require('luxon');
+
+const TIMEZONE = 'Asia/Kolkata';
+const BRAND_COLOR = '#1f6fb2';
+const MUTED_COLOR = '#555555';
+
+const clinicBranding = () => ({
+  name: process.env.CLINIC_NAME || process.env.APP_NAME || 'SID Clinic',
+  address: process.env.CLINIC_ADDRESS || '',
+  phone: process.env.CLINIC_PHONE || '',
+  logoPath: process.env.CLINIC_LOGO_PATH || ''
+});
+
+const verificationUrl = (code) => `${process.env.API_URL || 'http://localhost:3000'}/api/prescriptions/verify/${code}`;
+
+const ageFrom = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const age = Math.floor(DateTime.now().diff(DateTime.fromISO(String(dateOfBirth)), 'years').years);
+  return Number.isFinite(age) && age >= 0 ? age : null;
+};
+
+const section = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text(title.toUpperCase());
+  doc.moveDown(0.2);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+};
+
+const drawMedicines = (doc, medicines) => {
+  const columns = [
+    { label: '#', width: 20 },
+    { label: 'Medicine', width: 130 },
+    { label: 'Dosage', width: 70 },
+    { label: 'Frequency', width: 85 },
+    { label: 'Duration', width: 65 },
+    { label: 'Instructions', width: 125 }
+  ];
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 6 }))) + 6;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom - 90) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + 3, top + 3, { width: columns[i].width - 6 });
+      x += columns[i].width;
+    });
+    doc.moveTo(left, top + height).lineTo(x, top + height).strokeColor('#dddddd').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  medicines.forEach((medicine, index) => {
+    drawRow([
+      String(index + 1),
+      medicine.name,
+      medicine.dosage,
+      medicine.frequency,
+      medicine.duration,
+      medicine.instructions || '-'
+    ], 'Helvetica');
+  });
+  doc.font('Helvetica').fontSize(10);
+};
+
+/**
+ * Write a clinic-branded, signed prescription PDF to a stream
+ * @param {Object} stream - Writable stream, e.g. the express response
+ * @param {Object} data
+ * @param {Object} data.prescription - Prescription instance
+ * @param {Object} data.patient - { name, gender, dateOfBirth }
+ * @param {Object} data.prescriber - { name, degree, registrationNumber, clinicName, address, phone }
+ * @param {Object} data.appointment - Appointment instance
+ * @returns {void}
+ */
+exports.writePrescriptionPdf = (stream, { prescription, patient, prescriber, appointment }) => {
+  const clinic = clinicBranding();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Prescription ${prescription.signatureCode}`,
+      Author: `Dr. ${prescriber.name}`,
+      Creator: clinic.name
+    }
+  });
+  doc.pipe(stream);
+
+  const signedAt = DateTime.fromJSDate(new Date(prescription.signedAt)).setZone(TIMEZONE);
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Clinic header
+  if (clinic.logoPath && fs.existsSync(clinic.logoPath)) {
+    doc.image(clinic.logoPath, doc.page.margins.left, 45, { height: 40 });
+    doc.x = doc.page.margins.left + 50;
+  }
+  const headerTop = 45;
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR)
+    .text(clinic.name, doc.x, headerTop, { width: contentWidth / 2 });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  [prescriber.clinicName, prescriber.address || clinic.address, prescriber.phone || clinic.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: contentWidth / 2 }));
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('black')
+    .text(`Dr. ${prescriber.name}`, doc.page.margins.left + contentWidth / 2, headerTop, { width: contentWidth / 2, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  if (prescriber.degree) doc.text(prescriber.degree, { width: contentWidth / 2, align: 'right' });
+  if (prescriber.registrationNumber) doc.text(`Reg. No. ${prescriber.registrationNumber}`, { width: contentWidth / 2, align: 'right' });
+
+  doc.y = Math.max(leftBottom, doc.y) + 8;
+  doc.x = doc.page.margins.left;
+  doc.moveTo(doc.x, doc.y).lineTo(doc.x + contentWidth, doc.y).lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+  doc.lineWidth(1);
+  doc.moveDown(0.6);
+
+  // Patient details
+  const age = ageFrom(patient.dateOfBirth);
+  const patientDetails = [
+    `Patient: ${patient.name || '-'}`,
+    [patient.gender, age !== null ? `${age} years` : null].filter(Boolean).join(', '),
+    `Date: ${signedAt.toFormat('dd LLL yyyy')}`
+  ].filter(Boolean).join('    ');
+  doc.font('Helvetica').fontSize(10).fillColor('black').text(patientDetails);
+  doc.fillColor(MUTED_COLOR).fontSize(9)
+    .text(`Appointment #${appointment.id} (${appointment.type})    Prescription version ${prescription.version}`);
+  doc.fillColor('black');
+
+  if (prescription.status === 'superseded') {
+    doc.save();
+    doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+    doc.font('Helvetica-Bold').fontSize(72).fillColor('#cc0000').opacity(0.12)
+      .text('SUPERSEDED', 0, doc.page.height / 2 - 40, { width: doc.page.width, align: 'center' });
+    doc.restore();
+    doc.opacity(1).fillColor('black');
+  }
+
+  if (prescription.diagnosis) {
+    section(doc, 'Diagnosis');
+    doc.text(prescription.diagnosis);
+  }
+
+  if (prescription.medicines.length > 0) {
+    section(doc, 'Rx');
+    drawMedicines(doc, prescription.medicines);
+  }
+
+  if (prescription.investigations.length > 0) {
+    section(doc, 'Investigations');
+    prescription.investigations.forEach(item => {
+      doc.text(`• ${item.name}${item.notes ? ` - ${item.notes}` : ''}`);
+    });
+  }
+
+  if (prescription.advice) {
+    section(doc, 'Advice');
+    doc.text(prescription.advice);
+  }
+
+  if (prescription.followUpDate) {
+    section(doc, 'Follow up');
+    doc.text(DateTime.fromISO(String(prescription.followUpDate)).toFormat('dd LLL yyyy'));
+  }
+
+  // Signature block
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 100) {
+    doc.addPage();
+  }
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('black')
+    .text(`Digitally signed by Dr. ${prescriber.name}`, { align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(`Signed on ${signedAt.toFormat('dd LLL yyyy hh:mm a')} IST`, { align: 'right' })
+    .text(`Verification code: ${prescription.signatureCode}`, { align: 'right' })
+    .text(verificationUrl(prescription.signatureCode), { align: 'right', link: verificationUrl(prescription.signatureCode) });
+
+  if (prescription.status === 'superseded') {
+    doc.moveDown(0.5).fillColor('#cc0000')
+      .text('This prescription has been replaced by a newer version and is no longer valid.', { align: 'right' });
+  }
+
+  doc.end();
+};
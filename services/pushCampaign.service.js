@@ -0,0 +1,499 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const City = require('../models/city.model');
+const PushCampaign = require('../models/pushCampaign.model');
+const PushCampaignRecipient = require('../models/pushCampaignRecipient.model');
+const deviceTokenService = require('./deviceToken.service');
+const notificationPreferenceService = require('./notificationPreference.service');
+
+const TIMEZONE = 'Asia/Kolkata';
+// Recipients sent to per campaign each time the push-campaigns job runs
+const DEFAULT_BATCH_SIZE = parseInt(process.env.PUSH_CAMPAIGN_BATCH_SIZE) || 500;
+const MAX_BATCH_SIZE = 5000;
+// Pushes sent at the same time within a batch, with a pause between chunks
+const CHUNK_SIZE = 50;
+const CHUNK_PAUSE_MS = 100;
+const INSERT_CHUNK_SIZE = 1000;
+const MAX_TITLE_LENGTH = 255;
+const MAX_MESSAGE_LENGTH = 1000;
+
+const ROLES = ['user', 'doctor', 'virtual-doctor', 'admin'];
+// Notification preference categories a campaign can be sent as
+const CATEGORIES = ['promotions', 'news'];
+const LANGUAGES = ['English', 'Hindi', 'Gujarati'];
+// Upcoming appointments still waiting on an online payment
+const UNPAID_STATUSES = ['pending', 'initiated', 'failed'];
+
+const fail = (code, message) => ({ success: false, code, message });
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const stringList = (value, field, errors) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    errors.push(`${field} must be a list of names`);
+    return null;
+  }
+  return value.length > 0 ? [...new Set(value.map(item => item.trim()))] : null;
+};
+
+const dateOnly = (value, field, errors) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = DateTime.fromFormat(String(value), 'yyyy-MM-dd', { zone: TIMEZONE });
+  if (!date.isValid) {
+    errors.push(`${field} must be in YYYY-MM-DD format`);
+    return null;
+  }
+  return date.toISODate();
+};
+
+/**
+ * Validate who a campaign goes to
+ * @param {Object} input - { roles, cityIds, cities, languages, lastAppointmentFrom, lastAppointmentTo, hasPendingPayment }
+ * @returns {Object} { valid, errors, segment }
+ */
+exports.validateSegment = (input = {}) => {
+  const errors = [];
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['segment must be an object'], segment: null };
+  }
+
+  const roles = stringList(input.roles, 'roles', errors) || ['user'];
+  roles.filter(role => !ROLES.includes(role)).forEach(role => errors.push(`Unknown role ${role}`));
+
+  const cities = stringList(input.cities, 'cities', errors);
+  let cityIds = null;
+  if (input.cityIds !== undefined && input.cityIds !== null) {
+    if (!Array.isArray(input.cityIds) || input.cityIds.some(id => !Number.isInteger(Number(id)) || Number(id) < 1)) {
+      errors.push('cityIds must be a list of city ids');
+    } else if (input.cityIds.length > 0) {
+      cityIds = [...new Set(input.cityIds.map(Number))];
+    }
+  }
+
+  const languages = stringList(input.languages, 'languages', errors);
+  if (languages) {
+    languages.filter(language => !LANGUAGES.includes(language))
+      .forEach(language => errors.push(`languages must be among ${LANGUAGES.join(', ')}, not ${language}`));
+  }
+
+  const lastAppointmentFrom = dateOnly(input.lastAppointmentFrom, 'lastAppointmentFrom', errors);
+  const lastAppointmentTo = dateOnly(input.lastAppointmentTo, 'lastAppointmentTo', errors);
+  if (lastAppointmentFrom && lastAppointmentTo && lastAppointmentFrom > lastAppointmentTo) {
+    errors.push('lastAppointmentFrom cannot be after lastAppointmentTo');
+  }
+
+  let hasPendingPayment = null;
+  if (input.hasPendingPayment !== undefined && input.hasPendingPayment !== null) {
+    if (typeof input.hasPendingPayment !== 'boolean') errors.push('hasPendingPayment must be true or false');
+    else hasPendingPayment = input.hasPendingPayment;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    segment: { roles, cityIds, cities, languages, lastAppointmentFrom, lastAppointmentTo, hasPendingPayment }
+  };
+};
+
+/**
+ * Validate a campaign from an admin
+ * @param {Object} input - { title, message, category, data, segment, scheduledAt, batchSize }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateCampaign = (input = {}) => {
+  const errors = [];
+
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (!title) errors.push('title is required');
+  else if (title.length > MAX_TITLE_LENGTH) errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+
+  const message = typeof input.message === 'string' ? input.message.trim() : '';
+  if (!message) errors.push('message is required');
+  else if (message.length > MAX_MESSAGE_LENGTH) errors.push(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+
+  const category = input.category || 'promotions';
+  if (!CATEGORIES.includes(category)) errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+
+  // FCM only carries string values
+  let data = null;
+  if (input.data !== undefined && input.data !== null) {
+    if (typeof input.data !== 'object' || Array.isArray(input.data)) {
+      errors.push('data must be an object');
+    } else {
+      data = Object.fromEntries(Object.entries(input.data).map(([key, value]) => [key, String(value)]));
+    }
+  }
+
+  const { errors: segmentErrors, segment } = exports.validateSegment(input.segment || {});
+  errors.push(...segmentErrors);
+
+  let scheduledAt = new Date();
+  if (input.scheduledAt) {
+    const time = DateTime.fromISO(String(input.scheduledAt), { zone: TIMEZONE });
+    if (!time.isValid) errors.push('scheduledAt must be an ISO date and time');
+    else if (time < DateTime.now().minus({ minutes: 1 })) errors.push('scheduledAt cannot be in the past');
+    else scheduledAt = time.toJSDate();
+  }
+
+  let batchSize = DEFAULT_BATCH_SIZE;
+  if (input.batchSize !== undefined && input.batchSize !== null) {
+    batchSize = Number(input.batchSize);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+      errors.push(`batchSize must be a whole number from 1 to ${MAX_BATCH_SIZE}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, values: { title, message, category, data, segment, scheduledAt, batchSize } };
+};
+
+/**
+ * Where clause on User for the users of a segment. Only users with
+ * notifications turned on are included.
+ * @param {Object} segment - From validateSegment
+ * @returns {Promise<Object>}
+ */
+const audienceWhere = async (segment) => {
+  const conditions = [
+    { notificationEnabled: true },
+    { role: { [Op.in]: segment.roles } }
+  ];
+
+  let cities = segment.cities || [];
+  if (segment.cityIds) {
+    const rows = await City.findAll({ where: { city_id: { [Op.in]: segment.cityIds } }, attributes: ['city_name'] });
+    cities = [...cities, ...rows.map(row => row.city_name)];
+    // Ids that match no city must not widen the segment to everyone
+    if (cities.length === 0) cities = [null];
+  }
+  if (cities.length > 0) {
+    // Doctors by the city of their clinic, patients by the clinics they visited
+    const names = cities.map(city => sequelize.escape(city)).join(', ');
+    conditions.push({
+      [Op.or]: [
+        { id: { [Op.in]: sequelize.literal(`(SELECT \`userId\` FROM \`Doctors\` WHERE \`city\` IN (${names}))`) } },
+        {
+          id: {
+            [Op.in]: sequelize.literal(
+              `(SELECT \`a\`.\`userId\` FROM \`appointments\` AS \`a\` INNER JOIN \`Doctors\` AS \`d\` ON \`d\`.\`id\` = \`a\`.\`doctorId\` WHERE \`d\`.\`city\` IN (${names}))`
+            )
+          }
+        }
+      ]
+    });
+  }
+
+  if (segment.languages) {
+    const names = segment.languages.map(language => sequelize.escape(language)).join(', ');
+    conditions.push({
+      id: { [Op.in]: sequelize.literal(`(SELECT \`userId\` FROM \`Patients\` WHERE \`languagePreference\` IN (${names}))`) }
+    });
+  }
+
+  if (segment.lastAppointmentFrom || segment.lastAppointmentTo) {
+    const having = [];
+    if (segment.lastAppointmentFrom) {
+      const from = DateTime.fromISO(segment.lastAppointmentFrom, { zone: TIMEZONE }).startOf('day').toJSDate();
+      having.push(`MAX(\`appointmentDateTime\`) >= ${sequelize.escape(from)}`);
+    }
+    if (segment.lastAppointmentTo) {
+      const to = DateTime.fromISO(segment.lastAppointmentTo, { zone: TIMEZONE }).endOf('day').toJSDate();
+      having.push(`MAX(\`appointmentDateTime\`) <= ${sequelize.escape(to)}`);
+    }
+    conditions.push({
+      id: {
+        [Op.in]: sequelize.literal(
+          `(SELECT \`userId\` FROM \`appointments\` WHERE \`status\` NOT IN ('canceled', 'rejected') GROUP BY \`userId\` HAVING ${having.join(' AND ')})`
+        )
+      }
+    });
+  }
+
+  if (segment.hasPendingPayment !== null && segment.hasPendingPayment !== undefined) {
+    const unpaid = UNPAID_STATUSES.map(status => sequelize.escape(status)).join(', ');
+    const subquery = sequelize.literal(
+      `(SELECT \`userId\` FROM \`appointments\` WHERE \`paymentRequired\` = true AND \`paymentStatus\` IN (${unpaid}) AND \`status\` IN ('pending', 'confirmed') AND \`appointmentDateTime\` > NOW())`
+    );
+    conditions.push({ id: { [segment.hasPendingPayment ? Op.in : Op.notIn]: subquery } });
+  }
+
+  return { [Op.and]: conditions };
+};
+
+/**
+ * Number of users a segment currently reaches
+ * @param {Object} segment - From validateSegment
+ * @returns {Promise<Object>} { total, withDevice }
+ */
+exports.countAudience = async (segment) => {
+  const where = await audienceWhere(segment);
+  const [total, withDevice] = await Promise.all([
+    User.count({ where }),
+    User.count({ where: { [Op.and]: [where, { id: { [Op.in]: sequelize.literal('(SELECT `userId` FROM `device_tokens`)') } }] } })
+  ]);
+  return { total, withDevice };
+};
+
+/**
+ * Pick the recipients of a scheduled campaign that is due and mark it as
+ * sending. The conditional update keeps a campaign from being started twice.
+ */
+const startCampaign = async (campaign) => {
+  const [affected] = await PushCampaign.update(
+    { status: 'sending', startedAt: new Date() },
+    { where: { id: campaign.id, status: 'scheduled' } }
+  );
+  if (!affected) return false;
+
+  const users = await User.findAll({ where: await audienceWhere(campaign.segment), attributes: ['id'], raw: true });
+  for (let i = 0; i < users.length; i += INSERT_CHUNK_SIZE) {
+    await PushCampaignRecipient.bulkCreate(
+      users.slice(i, i + INSERT_CHUNK_SIZE).map(user => ({ campaignId: campaign.id, userId: user.id })),
+      { ignoreDuplicates: true }
+    );
+  }
+  await PushCampaign.update({ recipientCount: users.length }, { where: { id: campaign.id } });
+  return true;
+};
+
+/**
+ * Store the in-app notification for one recipient and push it to their
+ * devices, as far as their notification preferences allow. Recipients in their
+ * quiet hours stay pending until those end.
+ * @returns {Promise<string>} Status the recipient ended with, or deferred
+ */
+const sendToRecipient = async (campaign, recipient) => {
+  const user = await User.findByPk(recipient.userId, { attributes: ['id', 'notificationEnabled'] });
+  if (!user || !user.notificationEnabled) {
+    await recipient.update({ status: 'canceled', error: user ? 'NOTIFICATIONS_DISABLED' : 'USER_NOT_FOUND' });
+    return 'canceled';
+  }
+
+  const channels = await notificationPreferenceService.channelsFor(user.id, campaign.category);
+  if (channels.held.includes('push')) {
+    await recipient.update({ deferredUntil: channels.quietUntil });
+    return 'deferred';
+  }
+  if (!channels.push && !channels.inApp) {
+    await recipient.update({ status: 'canceled', error: 'OPTED_OUT' });
+    return 'canceled';
+  }
+
+  let notification = null;
+  if (channels.inApp) {
+    notification = await Notification.create({
+      userId: user.id,
+      title: campaign.title,
+      message: campaign.message,
+      type: 'system',
+      category: campaign.category,
+      relatedId: campaign.id,
+      data: { ...(campaign.data || {}), campaignId: campaign.id.toString(), type: 'campaign' }
+    });
+  }
+  const notificationId = notification ? notification.id : null;
+
+  // Turned off for pushes; the in-app notification stays
+  if (!channels.push) {
+    await recipient.update({ status: 'canceled', notificationId, error: 'OPTED_OUT' });
+    return 'canceled';
+  }
+
+  // Sent when it reached at least one of the user's devices
+  const { devices, sent, removed, errors } = await deviceTokenService.sendToUser(user.id, campaign.title, campaign.message, {
+    ...(campaign.data || {}),
+    ...(notification ? { notificationId: notification.id.toString() } : {}),
+    campaignId: campaign.id.toString(),
+    type: 'campaign'
+  });
+
+  if (sent > 0) {
+    await recipient.update({ status: 'sent', notificationId, sentAt: new Date(), error: null });
+    return 'sent';
+  }
+
+  let error = 'NO_DEVICE_TOKEN';
+  if (errors.length > 0) error = String(errors[0]).slice(0, 255);
+  else if (devices > 0 && removed === devices) error = 'INVALID_TOKEN';
+  await recipient.update({ status: 'failed', notificationId, error });
+  return 'failed';
+};
+
+/**
+ * Give up on a recipient whose send threw. It is not tried again, since its
+ * in-app notification or push may already have gone out.
+ * @returns {Promise<string>} failed
+ */
+const failRecipient = async (campaign, recipient, error) => {
+  console.error(`Push campaign ${campaign.id} recipient ${recipient.id} failed:`, error.message);
+  await PushCampaignRecipient.update(
+    { status: 'failed', error: String(error.message || error).slice(0, 255) },
+    { where: { id: recipient.id, status: 'pending' } }
+  ).catch(updateError => {
+    console.error(`Failed to mark push campaign recipient ${recipient.id} as failed:`, updateError.message);
+  });
+  return 'failed';
+};
+
+/**
+ * Send the next batch of a campaign, and complete it once nobody is left
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const sendBatch = async (campaign) => {
+  const recipients = await PushCampaignRecipient.findAll({
+    where: {
+      campaignId: campaign.id,
+      status: 'pending',
+      [Op.or]: [{ deferredUntil: null }, { deferredUntil: { [Op.lte]: new Date() } }]
+    },
+    order: [['id', 'ASC']],
+    limit: campaign.batchSize
+  });
+
+  const summary = { sent: 0, failed: 0 };
+  for (let i = 0; i < recipients.length; i += CHUNK_SIZE) {
+    // The campaign may have been canceled while the batch was going out
+    if (i > 0) {
+      await pause(CHUNK_PAUSE_MS);
+      const current = await PushCampaign.findByPk(campaign.id, { attributes: ['id', 'status'] });
+      if (current.status !== 'sending') return summary;
+    }
+
+    const statuses = await Promise.all(recipients.slice(i, i + CHUNK_SIZE).map(recipient =>
+      sendToRecipient(campaign, recipient).catch(error => failRecipient(campaign, recipient, error))
+    ));
+    summary.sent += statuses.filter(status => status === 'sent').length;
+    summary.failed += statuses.filter(status => status === 'failed').length;
+  }
+
+  const remaining = await PushCampaignRecipient.count({ where: { campaignId: campaign.id, status: 'pending' } });
+  if (remaining === 0) {
+    await PushCampaign.update(
+      { status: 'completed', completedAt: new Date() },
+      { where: { id: campaign.id, status: 'sending' } }
+    );
+  }
+  return summary;
+};
+
+/**
+ * Start campaigns that are due and send the next batch of every campaign
+ * being sent. Run by the push-campaigns job.
+ * @returns {Promise<Object>} { started, campaigns, sent, failed }
+ */
+exports.processCampaigns = async () => {
+  const due = await PushCampaign.findAll({
+    where: { status: 'scheduled', scheduledAt: { [Op.lte]: new Date() } },
+    order: [['scheduledAt', 'ASC']]
+  });
+
+  let started = 0;
+  for (const campaign of due) {
+    try {
+      if (await startCampaign(campaign)) started++;
+    } catch (error) {
+      console.error(`Failed to start push campaign ${campaign.id}:`, error);
+    }
+  }
+
+  const sending = await PushCampaign.findAll({ where: { status: 'sending' }, order: [['startedAt', 'ASC']] });
+  const totals = { started, campaigns: sending.length, sent: 0, failed: 0 };
+  for (const campaign of sending) {
+    try {
+      const { sent, failed } = await sendBatch(campaign);
+      totals.sent += sent;
+      totals.failed += failed;
+    } catch (error) {
+      console.error(`Failed to send push campaign ${campaign.id}:`, error);
+    }
+  }
+  return totals;
+};
+
+/**
+ * Admin: change a campaign that has not started yet
+ * @param {Object} campaign - PushCampaign instance
+ * @param {Object} values - From validateCampaign
+ * @returns {Promise<Object>} { success, campaign } or { success: false, code, message }
+ */
+exports.updateCampaign = async (campaign, values) => {
+  const [affected] = await PushCampaign.update(values, { where: { id: campaign.id, status: 'scheduled' } });
+  if (!affected) return fail('CAMPAIGN_STARTED', 'Only scheduled campaigns can be changed');
+  return { success: true, campaign: await campaign.reload() };
+};
+
+/**
+ * Admin: stop a campaign. Recipients not sent to yet are marked canceled.
+ * @param {Object} campaign - PushCampaign instance
+ * @returns {Promise<Object>} { success, campaign } or { success: false, code, message }
+ */
+exports.cancelCampaign = async (campaign) => {
+  const canceled = await sequelize.transaction(async (t) => {
+    const [affected] = await PushCampaign.update(
+      { status: 'canceled', canceledAt: new Date() },
+      { where: { id: campaign.id, status: { [Op.in]: ['scheduled', 'sending'] } }, transaction: t }
+    );
+    if (!affected) return false;
+    await PushCampaignRecipient.update(
+      { status: 'canceled' },
+      { where: { campaignId: campaign.id, status: 'pending' }, transaction: t }
+    );
+    return true;
+  });
+
+  if (!canceled) return fail('CAMPAIGN_FINISHED', 'Campaign has already finished');
+  return { success: true, campaign: await campaign.reload() };
+};
+
+/**
+ * Record that a user opened a campaign push. Only the first open counts.
+ * @param {number} userId
+ * @param {Object} where - { campaignId } or { notificationId }
+ * @returns {Promise<boolean>} Whether an open was recorded
+ */
+exports.recordOpen = async (userId, where) => {
+  const [affected] = await PushCampaignRecipient.update(
+    { openedAt: new Date() },
+    { where: { ...where, userId, status: 'sent', openedAt: null } }
+  );
+  return affected > 0;
+};
+
+/**
+ * Delivery and open figures of a campaign
+ * @param {Object} campaign - PushCampaign instance
+ * @returns {Promise<Object>} { recipients, pending, sent, failed, canceled, opened, openRate, failures }
+ */
+exports.getReport = async (campaign) => {
+  const [byStatus, opened, failures] = await Promise.all([
+    PushCampaignRecipient.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { campaignId: campaign.id },
+      group: ['status'],
+      raw: true
+    }),
+    PushCampaignRecipient.count({ where: { campaignId: campaign.id, openedAt: { [Op.ne]: null } } }),
+    PushCampaignRecipient.findAll({
+      attributes: ['error', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { campaignId: campaign.id, status: 'failed' },
+      group: ['error'],
+      raw: true
+    })
+  ]);
+
+  const counts = { pending: 0, sent: 0, failed: 0, canceled: 0 };
+  byStatus.forEach(row => { counts[row.status] = parseInt(row.count); });
+
+  return {
+    recipients: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    ...counts,
+    opened,
+    openRate: counts.sent > 0 ? Math.round((opened / counts.sent) * 10000) / 100 : 0,
+    failures: Object.fromEntries(failures.map(row => [row.error, parseInt(row.count)]))
+  };
+};
+
+exports.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
@@ -0,0 +1,468 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const RedeemCode = require('../models/redeemCode.model');
+const RedeemCodeUsage = require('../models/redeemCodeUsage.model');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const USER_SEGMENTS = ['all', 'new_users', 'inactive_users'];
+const DEFAULT_INACTIVE_DAYS = 90;
+
+// Bookings that count towards the user segments
+const COUNTED_APPOINTMENT_STATUSES = ['pending', 'confirmed', 'completed', 'reschedule_requested', 'no_show'];
+
+const MAX_BATCH_SIZE = 5000;
+// No 0/O or 1/I so printed codes can be typed back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const fail = (code, message) => ({ success: false, code, message });
+
+const serviceNameOf = (appointment) => {
+  return appointment.type === 'virtual' ? 'Virtual Appointment' : 'Clinic Appointment';
+};
+
+/**
+ * Whether a code can be used at all right now, with the reason if not
+ */
+const checkAvailable = (redeemCode, now) => {
+  if (redeemCode.purpose === 'referral') {
+    return fail('REFERRAL_CODE', 'Referral codes are entered when signing up, not at payment');
+  }
+  if (!redeemCode.isActive) return fail('CODE_INACTIVE', 'Redeem code is inactive');
+  if (redeemCode.validFrom && now < redeemCode.validFrom) return fail('CODE_NOT_STARTED', 'Redeem code is not yet active');
+  if (redeemCode.validUntil && now > redeemCode.validUntil) return fail('CODE_EXPIRED', 'Redeem code has expired');
+  if (redeemCode.usageLimit && redeemCode.usageCount >= redeemCode.usageLimit) {
+    return fail('CODE_USED_UP', 'Redeem code usage limit exceeded');
+  }
+  return { success: true };
+};
+
+/**
+ * Whether a code covers an appointment: its service, doctor, the doctor's
+ * city and the day and time it takes place
+ */
+const checkAppointment = async (redeemCode, appointment) => {
+  if (redeemCode.applicableFor === 'virtual_appointment' && appointment.type !== 'virtual') {
+    return fail('CODE_NOT_APPLICABLE', 'This redeem code is only for virtual appointments');
+  }
+  if (redeemCode.serviceNames && !redeemCode.serviceNames.includes(serviceNameOf(appointment))) {
+    return fail('CODE_NOT_APPLICABLE', `This redeem code is not valid for ${serviceNameOf(appointment)}`);
+  }
+  if (redeemCode.doctorIds && !(appointment.type !== 'virtual' && redeemCode.doctorIds.includes(appointment.doctorId))) {
+    return fail('CODE_NOT_APPLICABLE', 'This redeem code is not valid for this doctor');
+  }
+  if (redeemCode.virtualDoctorIds &&
+    !(appointment.type === 'virtual' && redeemCode.virtualDoctorIds.includes(appointment.virtualDoctorId))) {
+    return fail('CODE_NOT_APPLICABLE', 'This redeem code is not valid for this doctor');
+  }
+
+  if (redeemCode.cities) {
+    // Virtual appointments without a doctor yet have no city to match
+    const doctor = appointment.type === 'virtual'
+      ? appointment.virtualDoctorId && await VirtualDoctor.findByPk(appointment.virtualDoctorId, { attributes: ['id', 'city'] })
+      : appointment.doctorId && await Doctor.findByPk(appointment.doctorId, { attributes: ['id', 'city'] });
+    const city = doctor && doctor.city ? doctor.city.trim().toLowerCase() : null;
+    if (!city || !redeemCode.cities.some(c => c.trim().toLowerCase() === city)) {
+      return fail('CODE_NOT_APPLICABLE', 'This redeem code is not valid in this city');
+    }
+  }
+
+  const startsAt = DateTime.fromJSDate(new Date(appointment.appointmentDateTime)).setZone(TIMEZONE);
+  if (redeemCode.weekdays && !redeemCode.weekdays.includes(startsAt.weekday)) {
+    return fail('CODE_NOT_APPLICABLE', 'This redeem code is not valid on this day');
+  }
+  const time = startsAt.toFormat('HH:mm');
+  if ((redeemCode.startTime && time < redeemCode.startTime) || (redeemCode.endTime && time >= redeemCode.endTime)) {
+    return fail('CODE_NOT_APPLICABLE', 'This redeem code is not valid at this time of day');
+  }
+
+  return { success: true };
+};
+
+/**
+ * Whether a patient can use a code: their own usage limit and the segment
+ * the code is for
+ */
+const checkUser = async (redeemCode, userId, appointment) => {
+  // Rewards can only be used by the patient they were given to
+  if (redeemCode.ownerId && redeemCode.ownerId !== userId) {
+    return fail('CODE_NOT_FOUND', 'Invalid redeem code');
+  }
+
+  if (redeemCode.userUsageLimit) {
+    const used = await RedeemCodeUsage.count({
+      where: { userId, redeemCodeId: redeemCode.id, status: 'applied' }
+    });
+    if (used >= redeemCode.userUsageLimit) {
+      return fail('CODE_USER_LIMIT', 'You have already used this redeem code maximum number of times');
+    }
+  }
+
+  if (redeemCode.userSegment !== 'all') {
+    const where = {
+      userId,
+      status: { [Op.in]: COUNTED_APPOINTMENT_STATUSES }
+    };
+    if (appointment) where.id = { [Op.ne]: appointment.id };
+
+    if (redeemCode.userSegment === 'new_users') {
+      if (await Appointment.count({ where }) > 0) {
+        return fail('CODE_NEW_USERS_ONLY', 'This redeem code is only for your first booking');
+      }
+    } else {
+      const days = redeemCode.inactiveDays || DEFAULT_INACTIVE_DAYS;
+      where.createdAt = { [Op.gte]: DateTime.now().minus({ days }).toJSDate() };
+      if (await Appointment.count({ where }) > 0) {
+        return fail('CODE_INACTIVE_USERS_ONLY', `This redeem code is only for patients without a booking in the last ${days} days`);
+      }
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check everything about a code except the amount. Appointment rules are
+ * only checked when an appointment is given.
+ * @param {Object} redeemCode - RedeemCode instance
+ * @param {Object} context - { userId, appointment }
+ * @returns {Promise<Object>} { success } or { success: false, code, message }
+ */
+exports.checkCode = async (redeemCode, { userId, appointment = null }) => {
+  const available = checkAvailable(redeemCode, new Date());
+  if (!available.success) return available;
+
+  if (appointment) {
+    const covered = await checkAppointment(redeemCode, appointment);
+    if (!covered.success) return covered;
+  }
+
+  return checkUser(redeemCode, userId, appointment);
+};
+
+/**
+ * Discount a code gives on an amount, after checking it can be used
+ * @param {Object} redeemCode - RedeemCode instance
+ * @param {Object} context - { userId, appointment, amount }
+ * @returns {Promise<Object>} { success, discountAmount } or { success: false, code, message }
+ */
+const evaluateCode = async (redeemCode, { userId, appointment, amount }) => {
+  const check = await exports.checkCode(redeemCode, { userId, appointment });
+  if (!check.success) return check;
+
+  if (redeemCode.minOrderAmount && amount < parseFloat(redeemCode.minOrderAmount)) {
+    return fail('CODE_MIN_ORDER', `Minimum order amount is ₹${redeemCode.minOrderAmount} to use this redeem code`);
+  }
+
+  return { success: true, discountAmount: Math.min(redeemCode.calculateDiscount(amount), amount) };
+};
+
+/**
+ * Price an appointment with the code the patient typed and the best campaign
+ * applied without a code. A campaign is added to a typed code only when both
+ * are stackable; otherwise the typed code wins.
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {Object} params.appointment - Appointment instance
+ * @param {number} params.amount - Price before discounts
+ * @param {string} [params.code] - Code the patient typed
+ * @returns {Promise<Object>} { success, originalAmount, discountAmount, finalAmount, discounts } or { success: false, code, message }
+ */
+exports.priceWithOffers = async ({ userId, appointment, amount, code = null }) => {
+  const originalAmount = toAmount(amount);
+  const discounts = [];
+  let remaining = originalAmount;
+
+  if (code) {
+    const redeemCode = await RedeemCode.findOne({ where: { code: String(code).trim().toUpperCase() } });
+    if (!redeemCode) return fail('CODE_NOT_FOUND', 'Invalid redeem code');
+
+    const result = await evaluateCode(redeemCode, { userId, appointment, amount: remaining });
+    if (!result.success) return result;
+
+    discounts.push({ redeemCode, discountAmount: result.discountAmount, autoApplied: false });
+    remaining = toAmount(remaining - result.discountAmount);
+  }
+
+  const typed = discounts[0] ? discounts[0].redeemCode : null;
+  if (remaining > 0 && (!typed || typed.stackable)) {
+    const now = new Date();
+    const where = {
+      autoApply: true,
+      isActive: true,
+      purpose: 'promotion',
+      validFrom: { [Op.lte]: now },
+      [Op.or]: [{ validUntil: null }, { validUntil: { [Op.gte]: now } }]
+    };
+    if (typed) {
+      where.stackable = true;
+      where.id = { [Op.ne]: typed.id };
+    }
+
+    let best = null;
+    for (const campaign of await RedeemCode.findAll({ where })) {
+      const result = await evaluateCode(campaign, { userId, appointment, amount: remaining });
+      if (result.success && result.discountAmount > 0 && (!best || result.discountAmount > best.discountAmount)) {
+        best = { redeemCode: campaign, discountAmount: result.discountAmount, autoApplied: true };
+      }
+    }
+    if (best) {
+      discounts.push(best);
+      remaining = toAmount(remaining - best.discountAmount);
+    }
+  }
+
+  return {
+    success: true,
+    originalAmount,
+    discountAmount: toAmount(originalAmount - remaining),
+    finalAmount: remaining,
+    discounts
+  };
+};
+
+/**
+ * Short description of the discounts of a priced offer for API responses
+ * @param {Object} offer - Result of priceWithOffers
+ * @returns {Array<Object>}
+ */
+exports.summarize = (offer) => {
+  return offer.discounts.map(({ redeemCode, discountAmount, autoApplied }) => ({
+    code: redeemCode.code,
+    name: redeemCode.name,
+    discountType: redeemCode.discountType,
+    discountValue: redeemCode.discountValue,
+    discountAmount,
+    autoApplied
+  }));
+};
+
+/**
+ * Record the discounts of a priced offer against its payment. Usage limits
+ * are checked again under a lock, so a single-use code cannot be spent twice.
+ * @param {Object} offer - Result of priceWithOffers
+ * @param {Object} params - { userId, appointmentId, paymentId }
+ * @returns {Promise<Object>} { success, usages } or { success: false, code, message }
+ */
+exports.recordUsages = async (offer, { userId, appointmentId, paymentId }) => {
+  if (offer.discounts.length === 0) return { success: true, usages: [] };
+
+  return sequelize.transaction(async (t) => {
+    const locked = [];
+    for (const { redeemCode } of offer.discounts) {
+      const current = await RedeemCode.findByPk(redeemCode.id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!current || (current.usageLimit && current.usageCount >= current.usageLimit)) {
+        return fail('CODE_USED_UP', `Redeem code ${redeemCode.code} has just been used up`);
+      }
+      locked.push(current);
+    }
+
+    const usages = [];
+    let before = offer.originalAmount;
+    for (const [index, { discountAmount, autoApplied }] of offer.discounts.entries()) {
+      const after = toAmount(before - discountAmount);
+      usages.push(await RedeemCodeUsage.create({
+        userId,
+        redeemCodeId: locked[index].id,
+        appointmentId,
+        paymentId,
+        originalAmount: before,
+        discountAmount,
+        finalAmount: after,
+        status: 'applied',
+        usedAt: new Date(),
+        metadata: { autoApplied }
+      }, { transaction: t }));
+      await locked[index].increment('usageCount', { transaction: t });
+      before = after;
+    }
+
+    return { success: true, usages };
+  });
+};
+
+/**
+ * Give back the codes of a payment that failed or was cancelled, so the
+ * patient can use them on the next attempt
+ * @param {number} paymentId
+ * @returns {Promise<number>} Number of usages cancelled
+ */
+exports.releaseForPayment = async (paymentId) => {
+  return sequelize.transaction(async (t) => {
+    const usages = await RedeemCodeUsage.findAll({
+      where: { paymentId, status: 'applied' },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    for (const usage of usages) {
+      await usage.update({ status: 'cancelled' }, { transaction: t });
+      await RedeemCode.decrement('usageCount', {
+        by: 1,
+        where: { id: usage.redeemCodeId, usageCount: { [Op.gt]: 0 } },
+        transaction: t
+      });
+    }
+
+    return usages.length;
+  });
+};
+
+const idList = (value, field, errors) => {
+  if (value === null) return null;
+  if (!Array.isArray(value) || value.length === 0 || !value.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+    errors.push(`${field} must be a non-empty list of ids, or null for any`);
+    return null;
+  }
+  return [...new Set(value.map(Number))];
+};
+
+/**
+ * Validate the targeting, schedule and campaign fields of a redeem code.
+ * Only fields present in the input are returned.
+ * @param {Object} input
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateRules = (input = {}) => {
+  const errors = [];
+  const values = {};
+  const given = (field) => input[field] !== undefined;
+
+  if (given('doctorIds')) values.doctorIds = idList(input.doctorIds, 'doctorIds', errors);
+  if (given('virtualDoctorIds')) values.virtualDoctorIds = idList(input.virtualDoctorIds, 'virtualDoctorIds', errors);
+
+  for (const field of ['cities', 'serviceNames']) {
+    if (!given(field)) continue;
+    const list = input[field];
+    if (list === null) {
+      values[field] = null;
+    } else if (!Array.isArray(list) || list.length === 0 || !list.every(item => typeof item === 'string' && item.trim())) {
+      errors.push(`${field} must be a non-empty list of names, or null for any`);
+    } else {
+      values[field] = [...new Set(list.map(item => item.trim()))];
+    }
+  }
+
+  if (given('userSegment')) {
+    if (!USER_SEGMENTS.includes(input.userSegment)) {
+      errors.push(`userSegment must be one of ${USER_SEGMENTS.join(', ')}`);
+    }
+    values.userSegment = input.userSegment;
+  }
+  if (given('inactiveDays')) {
+    const days = input.inactiveDays === null ? null : Number(input.inactiveDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > 730)) {
+      errors.push('inactiveDays must be a whole number of days from 1 to 730');
+    }
+    values.inactiveDays = days;
+  }
+
+  if (given('weekdays')) {
+    const days = input.weekdays;
+    if (days === null) {
+      values.weekdays = null;
+    } else if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(Number(day)) && day >= 1 && day <= 7)) {
+      errors.push('weekdays must be a non-empty list of ISO weekdays from 1 (Monday) to 7 (Sunday), or null for any');
+    } else {
+      values.weekdays = [...new Set(days.map(Number))].sort((a, b) => a - b);
+    }
+  }
+  for (const field of ['startTime', 'endTime']) {
+    if (!given(field)) continue;
+    if (input[field] !== null && !TIME_PATTERN.test(String(input[field]))) {
+      errors.push(`${field} must be a time of day as HH:mm`);
+    }
+    values[field] = input[field] === null ? null : String(input[field]);
+  }
+  if (values.startTime && values.endTime && values.startTime >= values.endTime) {
+    errors.push('startTime must be before endTime');
+  }
+
+  for (const field of ['autoApply', 'stackable']) {
+    if (given(field)) values[field] = input[field] === true || input[field] === 'true';
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+const randomCode = (prefix) => {
+  let code = prefix;
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * A random code that is not in use yet
+ * @param {string} prefix - Letters and digits to start the code with
+ * @returns {Promise<string|null>} null if every attempt was taken
+ */
+exports.uniqueCode = async (prefix = '') => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = randomCode(prefix);
+    if (!await RedeemCode.findOne({ where: { code }, attributes: ['id'] })) return code;
+  }
+  return null;
+};
+
+/**
+ * Generate unique single-use codes for a marketing campaign. Every code gets
+ * the discount and rules of the template and the same batchId.
+ * @param {Object} template - Validated redeem code fields, without code
+ * @param {Object} options - { count, prefix, createdBy }
+ * @returns {Promise<Object>} { success, batchId, codes } or { success: false, code, message }
+ */
+exports.generateBatch = async (template, { count, prefix = '', createdBy }) => {
+  const size = Number(count);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+    return fail('INVALID_BATCH_SIZE', `count must be a whole number from 1 to ${MAX_BATCH_SIZE}`);
+  }
+  const codePrefix = String(prefix || '').trim().toUpperCase();
+  if (!/^[A-Z0-9]{0,12}$/.test(codePrefix)) {
+    return fail('INVALID_PREFIX', 'prefix must be up to 12 letters and digits');
+  }
+
+  // Draw codes until there are enough that are not in use yet
+  const codes = new Set();
+  for (let attempt = 0; codes.size < size && attempt < 5; attempt++) {
+    const drawn = new Set();
+    while (drawn.size < size - codes.size) {
+      const code = randomCode(codePrefix);
+      if (!codes.has(code)) drawn.add(code);
+    }
+    const taken = await RedeemCode.findAll({
+      where: { code: { [Op.in]: [...drawn] } },
+      attributes: ['code']
+    });
+    taken.forEach(({ code }) => drawn.delete(code));
+    drawn.forEach(code => codes.add(code));
+  }
+  if (codes.size < size) {
+    return fail('CODES_EXHAUSTED', 'Could not generate enough unique codes; use a different prefix');
+  }
+
+  const batchId = uuidv4();
+  await RedeemCode.bulkCreate([...codes].map(code => ({
+    ...template,
+    code,
+    usageLimit: 1,
+    userUsageLimit: 1,
+    autoApply: false,
+    batchId,
+    createdBy
+  })));
+
+  return { success: true, batchId, codes: [...codes] };
+};
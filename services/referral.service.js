@@ -0,0 +1,478 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const sequelize = require('../config/db');
+const User = require('../models/user.model');
+const Appointment = require('../models/appoinment.model');
+const Payment = require('../models/payment.model');
+const RedeemCode = require('../models/redeemCode.model');
+const RedeemCodeUsage = require('../models/redeemCodeUsage.model');
+const Referral = require('../models/referral.model');
+const redeemCodeService = require('./redeemCode.service');
+const walletService = require('./wallet.service');
+const { sendUserNotification } = require('./firebase.services');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+// redeem_code: a single-use code for each of them, wallet_credit: promotional wallet credit
+const REWARD_TYPE = process.env.REFERRAL_REWARD_TYPE === 'wallet_credit' ? 'wallet_credit' : 'redeem_code';
+const REFERRER_REWARD = process.env.REFERRAL_REFERRER_REWARD !== undefined
+  ? parseFloat(process.env.REFERRAL_REFERRER_REWARD)
+  : 100;
+const REFEREE_REWARD = process.env.REFERRAL_REFEREE_REWARD !== undefined
+  ? parseFloat(process.env.REFERRAL_REFEREE_REWARD)
+  : 100;
+const REWARD_VALID_DAYS = parseInt(process.env.REFERRAL_REWARD_VALID_DAYS) || 90;
+
+const REWARD_CODE_PREFIX = 'RWD';
+// Longest chain walked when checking for a referral back up the chain
+const MAX_CHAIN_LENGTH = 50;
+const MAX_DOWNLINE_LEVELS = 10;
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const fail = (code, message) => ({ success: false, code, message });
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const normalizeDevice = (deviceId) => (deviceId ? String(deviceId).trim().slice(0, 128) || null : null);
+
+/**
+ * Remember the device a patient signed up on, or for patients who signed up
+ * before devices were recorded, the one they first shared their code from.
+ * The referral check refuses sign-ups on it with their code.
+ * @param {Object} user - User instance
+ * @param {string} [deviceId] - As sent by the app
+ */
+exports.recordDevice = async (user, deviceId) => {
+  const device = normalizeDevice(deviceId);
+  if (!device || user.deviceId) return;
+  await User.update({ deviceId: device }, { where: { id: user.id, deviceId: null } });
+  user.deviceId = device;
+};
+
+/**
+ * Personal referral code of a patient, created the first time it is asked for
+ * @param {Object} user - User instance
+ * @param {Object} [device] - { deviceId } the code is asked for from
+ * @returns {Promise<Object>} RedeemCode instance
+ */
+exports.getOrCreateCode = async (user, { deviceId = null } = {}) => {
+  await exports.recordDevice(user, deviceId);
+
+  const existing = await RedeemCode.findOne({ where: { purpose: 'referral', ownerId: user.id } });
+  if (existing) return existing;
+
+  // Up to 5 letters of the name so the code is recognisable when shared
+  const prefix = String(user.name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 5);
+  const code = await redeemCodeService.uniqueCode(prefix);
+  if (!code) throw new Error('Could not generate a referral code');
+
+  return RedeemCode.create({
+    code,
+    name: `Referral code of ${user.name}`.slice(0, 100),
+    discountType: 'amount',
+    discountValue: 0,
+    usageLimit: null,
+    userUsageLimit: 1,
+    applicableFor: 'all',
+    purpose: 'referral',
+    ownerId: user.id,
+    createdBy: user.id
+  });
+};
+
+/**
+ * Users above a patient in their referral chain, nearest first
+ * @param {number} userId
+ * @returns {Promise<Array>} Referrals, each the one its referrer joined through
+ */
+const uplineOf = async (userId) => {
+  const chain = [];
+  let referral = await Referral.findOne({ where: { refereeId: userId } });
+  while (referral && chain.length < MAX_CHAIN_LENGTH) {
+    chain.push(referral);
+    referral = referral.parentReferralId ? await Referral.findByPk(referral.parentReferralId) : null;
+  }
+  return chain;
+};
+
+/**
+ * Link a patient who has not booked yet to the patient whose code they used.
+ * A referral that looks like abuse is recorded as rejected and never rewarded.
+ * @param {Object} referee - User instance of the new patient
+ * @param {string} code - Referral code
+ * @param {Object} [device] - { deviceId, ipAddress }
+ * @returns {Promise<Object>} { success, referral } or { success: false, code, message, referral }
+ */
+exports.applyCode = async (referee, code, { deviceId = null, ipAddress = null } = {}) => {
+  if (referee.role !== 'user') return fail('NOT_ELIGIBLE', 'Only patients can join with a referral code');
+
+  const referralCode = code
+    ? await RedeemCode.findOne({ where: { code: String(code).trim().toUpperCase(), purpose: 'referral' } })
+    : null;
+  if (!referralCode || !referralCode.isActive || !referralCode.ownerId) {
+    return fail('REFERRAL_CODE_NOT_FOUND', 'Invalid referral code');
+  }
+  const referrerId = referralCode.ownerId;
+  if (referrerId === referee.id) return fail('SELF_REFERRAL', 'You cannot use your own referral code');
+
+  if (await Referral.findOne({ where: { refereeId: referee.id }, attributes: ['id'] })) {
+    return fail('ALREADY_REFERRED', 'You have already joined with a referral code');
+  }
+  if (await Appointment.count({ where: { userId: referee.id } }) > 0) {
+    return fail('NOT_NEW_USER', 'Referral codes are only for patients who have not booked yet');
+  }
+
+  const upline = await uplineOf(referrerId);
+  if (upline.some(referral => referral.referrerId === referee.id)) {
+    return fail('SELF_REFERRAL', 'You cannot join with the code of someone you referred');
+  }
+  const parent = upline[0] || null;
+
+  const phone = normalizePhone(referee.phone);
+  const device = normalizeDevice(deviceId);
+  const referrer = device ? await User.findByPk(referrerId, { attributes: ['id', 'deviceId'] }) : null;
+
+  let rejectReason = null;
+  if (device && ((referrer && referrer.deviceId === device) || (parent && parent.deviceId === device))) {
+    // The referrer signed up or shared their code on the same device
+    rejectReason = 'SELF_REFERRAL';
+  } else if (await Referral.count({ where: { refereePhone: phone } }) > 0) {
+    rejectReason = 'DUPLICATE_PHONE';
+  } else if (device && await Referral.count({ where: { deviceId: device } }) > 0) {
+    rejectReason = 'DUPLICATE_DEVICE';
+  }
+
+  try {
+    return await sequelize.transaction(async (t) => {
+      const locked = await RedeemCode.findByPk(referralCode.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+      const referral = await Referral.create({
+        referrerId,
+        refereeId: referee.id,
+        redeemCodeId: locked.id,
+        parentReferralId: parent ? parent.id : null,
+        rootReferrerId: parent ? parent.rootReferrerId : referrerId,
+        depth: parent ? parent.depth + 1 : 1,
+        status: rejectReason ? 'rejected' : 'pending',
+        rejectReason,
+        refereePhone: phone,
+        deviceId: device,
+        ipAddress
+      }, { transaction: t });
+
+      if (rejectReason) {
+        return { ...fail(rejectReason, 'This referral is not eligible for rewards'), referral };
+      }
+
+      // Sign-ups count as uses of the referral code
+      await RedeemCodeUsage.create({
+        userId: referee.id,
+        redeemCodeId: locked.id,
+        appointmentId: null,
+        paymentId: null,
+        originalAmount: 0,
+        discountAmount: 0,
+        finalAmount: 0,
+        status: 'applied',
+        usedAt: new Date(),
+        metadata: { referralId: referral.id }
+      }, { transaction: t });
+      await locked.increment('usageCount', { transaction: t });
+
+      return { success: true, referral };
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return fail('ALREADY_REFERRED', 'You have already joined with a referral code');
+    }
+    throw error;
+  }
+};
+
+const notifyRewarded = (userId, referral, reward) => {
+  const title = 'Referral Reward';
+  const lead = userId === referral.referrerId
+    ? 'A friend you referred completed their first appointment.'
+    : 'Thanks for joining through a referral.';
+  const message = reward.code
+    ? `${lead} Use code ${reward.code} for ₹${reward.amount} off before ${DateTime.fromJSDate(reward.expiresAt).setZone(TIMEZONE).toFormat('dd LLL yyyy')}`
+    : `${lead} ₹${reward.amount} has been added to your wallet`;
+
+  return sendUserNotification(userId, title, message, {
+    type: 'other',
+    category: 'payments',
+    relatedId: referral.id,
+    data: {
+      referralId: referral.id.toString(),
+      type: 'referral_rewarded'
+    }
+  }).catch(error => console.error(`Referral reward notification ${referral.id} failed:`, error.message));
+};
+
+/**
+ * Reward both sides of a pending referral, once
+ */
+const grantRewards = async (referralId, payment) => {
+  const rewards = [];
+
+  const referral = await sequelize.transaction(async (t) => {
+    const current = await Referral.findByPk(referralId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!current || current.status !== 'pending') return null;
+
+    const expiresAt = DateTime.now().setZone(TIMEZONE).plus({ days: REWARD_VALID_DAYS }).endOf('day').toJSDate();
+    const values = {
+      status: 'rewarded',
+      rewardType: REWARD_TYPE,
+      referrerRewardAmount: REFERRER_REWARD,
+      refereeRewardAmount: REFEREE_REWARD,
+      appointmentId: payment.appointmentId,
+      paymentId: payment.id,
+      rewardedAt: new Date()
+    };
+
+    for (const [side, userId, amount] of [
+      ['referrer', current.referrerId, REFERRER_REWARD],
+      ['referee', current.refereeId, REFEREE_REWARD]
+    ]) {
+      if (!userId || !(amount > 0)) continue;
+
+      if (REWARD_TYPE === 'wallet_credit') {
+        const credit = await walletService.grantPromotionalCredit(userId, {
+          amount,
+          expiresAt,
+          description: `Referral reward #${current.id}`
+        }, t);
+        values[`${side}CreditId`] = credit.entry.id;
+        rewards.push({ userId, amount, expiresAt });
+      } else {
+        const code = await redeemCodeService.uniqueCode(REWARD_CODE_PREFIX);
+        if (!code) throw new Error(`Could not generate a reward code for referral ${current.id}`);
+
+        // Created on behalf of the patient it is for, who is the only one who can use it
+        const rewardCode = await RedeemCode.create({
+          code,
+          name: 'Referral reward',
+          description: side === 'referrer' ? 'For referring a friend' : 'For joining through a referral',
+          discountType: 'amount',
+          discountValue: amount,
+          minOrderAmount: 0,
+          usageLimit: 1,
+          userUsageLimit: 1,
+          validFrom: new Date(),
+          validUntil: expiresAt,
+          applicableFor: 'all',
+          purpose: 'referral_reward',
+          ownerId: userId,
+          createdBy: userId,
+          metadata: { referralId: current.id, side }
+        }, { transaction: t });
+        values[`${side}RewardCodeId`] = rewardCode.id;
+        rewards.push({ userId, amount, expiresAt, code });
+      }
+    }
+
+    await current.update(values, { transaction: t });
+    return current;
+  });
+
+  if (referral) {
+    for (const reward of rewards) {
+      await notifyRewarded(reward.userId, referral, reward);
+    }
+  }
+  return referral;
+};
+
+/**
+ * Reward the referral of a patient when the appointment is their first paid
+ * one to be completed. Calling it again does nothing.
+ * @param {Object} appointment - Appointment instance
+ * @returns {Promise<Object|null>} Referral rewarded, if any
+ */
+exports.rewardForAppointment = async (appointment) => {
+  if (appointment.status !== 'completed') return null;
+
+  const referral = await Referral.findOne({
+    where: { refereeId: appointment.userId, status: 'pending' },
+    attributes: ['id']
+  });
+  if (!referral) return null;
+
+  const payment = await Payment.findOne({
+    where: { appointmentId: appointment.id, status: 'success' },
+    order: [['completedAt', 'ASC']]
+  });
+  if (!payment) return null;
+
+  return grantRewards(referral.id, payment);
+};
+
+/**
+ * Job: reward pending referrals whose patient has completed a paid
+ * appointment that was not caught when it was completed
+ * @returns {Promise<Object>} { rewarded }
+ */
+exports.rewardDue = async () => {
+  const referrals = await Referral.findAll({
+    where: {
+      status: 'pending',
+      refereeId: {
+        [Op.in]: sequelize.literal('(SELECT DISTINCT `userId` FROM `appointments` WHERE `status` = \'completed\')')
+      }
+    },
+    attributes: ['id', 'refereeId'],
+    limit: 200
+  });
+
+  let rewarded = 0;
+  for (const referral of referrals) {
+    try {
+      const payment = await Payment.findOne({
+        where: { userId: referral.refereeId, status: 'success', appointmentId: { [Op.ne]: null } },
+        include: [{ model: Appointment, as: 'appointment', where: { status: 'completed' }, attributes: ['id'] }],
+        order: [['completedAt', 'ASC']]
+      });
+      if (payment && await grantRewards(referral.id, payment)) rewarded++;
+    } catch (error) {
+      console.error(`Referral reward ${referral.id} failed:`, error.message);
+    }
+  }
+
+  return { rewarded };
+};
+
+const userSummary = (user) => user ? { id: user.id, name: user.name, phone: user.phone } : null;
+
+/**
+ * Referral chain of a patient: who referred them, up to the first referrer,
+ * and who they referred, level by level
+ * @param {number} userId
+ * @param {Object} [options] - { levels } of the downline, 3 by default
+ * @returns {Promise<Object>} { upline, downline }
+ */
+exports.getChain = async (userId, { levels = 3 } = {}) => {
+  const depth = Math.min(Math.max(parseInt(levels) || 3, 1), MAX_DOWNLINE_LEVELS);
+
+  const upline = await uplineOf(userId);
+  const uplineUsers = await User.findAll({
+    where: { id: { [Op.in]: upline.map(referral => referral.referrerId) } },
+    attributes: ['id', 'name', 'phone']
+  });
+
+  const downline = [];
+  let parents = [userId];
+  for (let level = 1; level <= depth && parents.length > 0; level++) {
+    const referrals = await Referral.findAll({
+      where: { referrerId: { [Op.in]: parents } },
+      include: [{ model: User, as: 'referee', attributes: ['id', 'name', 'phone'] }],
+      order: [['createdAt', 'ASC']]
+    });
+    referrals.forEach(referral => downline.push({
+      level,
+      referralId: referral.id,
+      referrerId: referral.referrerId,
+      referee: userSummary(referral.referee),
+      status: referral.status,
+      rejectReason: referral.rejectReason,
+      joinedAt: referral.createdAt,
+      rewardedAt: referral.rewardedAt
+    }));
+    parents = referrals.map(referral => referral.refereeId).filter(Boolean);
+  }
+
+  return {
+    upline: upline.map((referral, index) => ({
+      level: index + 1,
+      referralId: referral.id,
+      referrer: userSummary(uplineUsers.find(user => user.id === referral.referrerId)),
+      status: referral.status
+    })),
+    downline
+  };
+};
+
+/**
+ * Admin report: sign-ups by status, rejections by reason, rewards issued and
+ * the referrers with the most rewarded referrals
+ * @param {Object} range - { start, end } Dates, either may be null
+ * @returns {Promise<Object>}
+ */
+exports.getReport = async ({ start = null, end = null } = {}) => {
+  const between = (field) => {
+    if (!start && !end) return {};
+    const condition = {};
+    if (start) condition[Op.gte] = start;
+    if (end) condition[Op.lte] = end;
+    return { [field]: condition };
+  };
+
+  const [byStatus, byReason, rewards, topReferrers] = await Promise.all([
+    Referral.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: between('createdAt'),
+      group: ['status'],
+      raw: true
+    }),
+    Referral.findAll({
+      attributes: ['rejectReason', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { ...between('createdAt'), status: 'rejected' },
+      group: ['rejectReason'],
+      raw: true
+    }),
+    Referral.findAll({
+      attributes: [
+        'rewardType',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('referrerRewardAmount')), 'referrerTotal'],
+        [sequelize.fn('SUM', sequelize.col('refereeRewardAmount')), 'refereeTotal']
+      ],
+      where: { ...between('rewardedAt'), status: 'rewarded' },
+      group: ['rewardType'],
+      raw: true
+    }),
+    Referral.findAll({
+      attributes: ['referrerId', [sequelize.fn('COUNT', sequelize.col('Referral.id')), 'rewarded']],
+      where: { ...between('rewardedAt'), status: 'rewarded' },
+      include: [{ model: User, as: 'referrer', attributes: ['id', 'name', 'phone'] }],
+      group: ['referrerId', 'referrer.id'],
+      order: [[sequelize.literal('rewarded'), 'DESC']],
+      limit: 10
+    })
+  ]);
+
+  const rewardCodes = await RedeemCode.findAll({
+    attributes: ['id', 'usageCount'],
+    where: { ...between('createdAt'), purpose: 'referral_reward' }
+  });
+
+  const signups = { pending: 0, rewarded: 0, rejected: 0 };
+  byStatus.forEach(row => { signups[row.status] = parseInt(row.count); });
+
+  const rejections = {};
+  byReason.forEach(row => { rejections[row.rejectReason] = parseInt(row.count); });
+
+  return {
+    signups: { ...signups, total: signups.pending + signups.rewarded + signups.rejected },
+    rejections,
+    rewards: rewards.map(row => ({
+      rewardType: row.rewardType,
+      referrals: parseInt(row.count),
+      referrerTotal: toAmount(row.referrerTotal),
+      refereeTotal: toAmount(row.refereeTotal),
+      total: toAmount(toAmount(row.referrerTotal) + toAmount(row.refereeTotal))
+    })),
+    rewardCodes: {
+      issued: rewardCodes.length,
+      used: rewardCodes.filter(code => code.usageCount > 0).length
+    },
+    topReferrers: topReferrers.map(row => ({
+      referrer: userSummary(row.referrer),
+      rewarded: parseInt(row.get('rewarded'))
+    }))
+  };
+};
+
+exports.REWARD_TYPE = REWARD_TYPE;
+exports.REFERRER_REWARD = REFERRER_REWARD;
+exports.REFEREE_REWARD = REFEREE_REWARD;
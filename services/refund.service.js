@@ -0,0 +1,450 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const Payment = require('../models/payment.model');
+const Refund = require('../models/refund.model');
+const RedeemCode = require('../models/redeemCode.model');
+const RedeemCodeUsage = require('../models/redeemCodeUsage.model');
+const phonepeService = require('./phonepe.service');
+const appointmentPolicyService = require('./appointmentPolicy.service');
+const invoiceService = require('./invoice.service');
+const payoutService = require('./payout.service');
+const walletService = require('./wallet.service');
+const packageService = require('./package.service');
+
+// Refunds not confirmed by PhonePe are polled no more often than this
+const STATUS_CHECK_INTERVAL_MINUTES = parseInt(process.env.REFUND_STATUS_CHECK_MINUTES) || 5;
+
+const OPEN_REFUND_STATUSES = ['pending', 'processing'];
+
+// Refunds of late payments are tried this often before they are left for an admin
+const MAX_AUTOMATIC_REFUND_ATTEMPTS = parseInt(process.env.REFUND_MAX_AUTOMATIC_ATTEMPTS) || 3;
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const generateMerchantRefundId = (paymentId) => `RFND_${paymentId}_${Date.now()}`;
+
+const generateWalletRefundId = (paymentId) => `WRFND_${paymentId}_${Date.now()}`;
+
+const mapRefundState = (state) => {
+  const stateUpper = String(state || '').toUpperCase();
+  if (stateUpper === 'COMPLETED') return 'completed';
+  if (stateUpper === 'FAILED') return 'failed';
+  return 'processing';
+};
+
+/**
+ * Amount of a payment already refunded or on its way back to the patient,
+ * optionally only to one destination
+ */
+const reservedRefundAmount = async (paymentId, transaction, destination = null) => {
+  const where = { paymentId, status: { [Op.ne]: 'failed' } };
+  if (destination) where.destination = destination;
+
+  const total = await Refund.sum('amount', { where, transaction });
+  return toAmount(total);
+};
+
+/**
+ * Give back the redeem codes used for an appointment so they can be used again
+ * @param {Object} params
+ * @param {number} [params.appointmentId]
+ * @param {number} [params.paymentId]
+ * @param {Object} [transaction]
+ * @returns {Promise<number>} Number of usages reversed
+ */
+const reverseRedeemCodeUsage = async ({ appointmentId, paymentId }, transaction) => {
+  const conditions = [];
+  if (appointmentId) conditions.push({ appointmentId });
+  if (paymentId) conditions.push({ paymentId });
+  if (conditions.length === 0) return 0;
+
+  const usages = await RedeemCodeUsage.findAll({
+    where: { status: 'applied', [Op.or]: conditions },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  for (const usage of usages) {
+    await usage.update({ status: 'refunded' }, { transaction });
+    await RedeemCode.decrement('usageCount', {
+      by: 1,
+      where: { id: usage.redeemCodeId, usageCount: { [Op.gt]: 0 } },
+      transaction
+    });
+  }
+
+  return usages.length;
+};
+
+/**
+ * Record a completed refund on its payment and appointment, issue its credit
+ * note and take back the doctor's share
+ */
+const completeRefund = async (refund) => {
+  await sequelize.transaction(async (transaction) => {
+    const payment = await Payment.findByPk(refund.paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!payment) return;
+
+    const refunded = toAmount(await Refund.sum('amount', {
+      where: { paymentId: payment.id, status: 'completed' },
+      transaction
+    }));
+    const fullyRefunded = refunded >= toAmount(payment.amount);
+
+    await payment.update({
+      status: fullyRefunded ? 'refunded' : payment.status,
+      refundAmount: refunded,
+      refundReason: refund.reason,
+      refundedAt: refund.completedAt
+    }, { transaction });
+
+    if (fullyRefunded && payment.packagePurchaseId) {
+      await packageService.markRefunded(payment, transaction);
+    } else if (fullyRefunded) {
+      await Appointment.update(
+        { paymentStatus: 'refunded' },
+        { where: { id: payment.appointmentId }, transaction }
+      );
+      await reverseRedeemCodeUsage({ appointmentId: payment.appointmentId, paymentId: payment.id }, transaction);
+    }
+  });
+
+  // A missed credit note or ledger entry is recorded later by the invoice backfill and doctor ledger jobs
+  try {
+    await invoiceService.issueCreditNote(refund);
+  } catch (error) {
+    console.error(`Credit note for refund ${refund.id} failed:`, error.message);
+  }
+
+  try {
+    await payoutService.recordRefund(refund);
+  } catch (error) {
+    console.error(`Doctor ledger entry for refund ${refund.id} failed:`, error.message);
+  }
+};
+
+/**
+ * Store a PhonePe refund state on the refund record
+ * @returns {Promise<Object>} Updated Refund
+ */
+const applyRefundState = async (refund, data, extra = {}) => {
+  const status = mapRefundState(data.state);
+
+  await refund.update({
+    ...extra,
+    status,
+    gatewayResponse: data.rawResponse || data,
+    lastCheckedAt: new Date(),
+    completedAt: status === 'completed' ? new Date() : refund.completedAt,
+    failedAt: status === 'failed' ? new Date() : refund.failedAt,
+    failureReason: status === 'failed' ? (data.detailedErrorCode || data.errorCode || 'Refund failed at PhonePe') : refund.failureReason
+  });
+
+  if (status === 'completed') {
+    await completeRefund(refund);
+  }
+
+  return refund;
+};
+
+/**
+ * Refund a successful payment, fully or partially, through PhonePe or to the
+ * patient wallet. The part paid from the wallet, and anything PhonePe can no
+ * longer refund, always goes back to the wallet.
+ * @param {Object} payment - Payment instance
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount in INR; defaults to everything not yet refunded
+ * @param {string} [options.reason]
+ * @param {string} options.initiatedBy - policy, admin or system
+ * @param {number} [options.initiatedByUserId]
+ * @param {string} [options.policyRule]
+ * @param {string} [options.destination] - original (default) or wallet
+ * @returns {Promise<Object>} { success, refund, walletRefund } or { success: false, code, message, refund?, walletRefund? }
+ */
+exports.issueRefund = async (payment, { amount, reason, initiatedBy, initiatedByUserId = null, policyRule = null, destination = 'original' }) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    // Lock the payment so concurrent refunds cannot exceed what was paid
+    const current = await Payment.findByPk(payment.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!current || current.status !== 'success') {
+      return { success: false, code: 'PAYMENT_NOT_REFUNDABLE', message: 'Only successful payments can be refunded' };
+    }
+
+    const refundable = toAmount(current.amount) - await reservedRefundAmount(current.id, transaction);
+    const refundAmount = amount === undefined || amount === null ? toAmount(refundable) : toAmount(amount);
+
+    if (refundable <= 0) {
+      return { success: false, code: 'NOTHING_TO_REFUND', message: 'This payment has already been refunded' };
+    }
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return {
+        success: false,
+        code: 'INVALID_REFUND_AMOUNT',
+        message: `Refund amount must be greater than 0 and at most ₹${toAmount(refundable)}`
+      };
+    }
+
+    let gatewayAmount = 0;
+    if (destination !== 'wallet') {
+      const gatewayRefundable = toAmount(current.amount) - toAmount(current.walletAmount)
+        - await reservedRefundAmount(current.id, transaction, 'original');
+      gatewayAmount = toAmount(Math.max(0, Math.min(refundAmount, gatewayRefundable)));
+    }
+    const walletAmount = toAmount(refundAmount - gatewayAmount);
+
+    const values = {
+      paymentId: current.id,
+      appointmentId: current.appointmentId,
+      userId: current.userId,
+      reason,
+      initiatedBy,
+      initiatedByUserId,
+      policyRule
+    };
+
+    let walletRefund = null;
+    if (walletAmount > 0) {
+      walletRefund = await Refund.create({
+        ...values,
+        merchantRefundId: generateWalletRefundId(current.id),
+        amount: walletAmount,
+        destination: 'wallet',
+        status: 'completed',
+        completedAt: new Date()
+      }, { transaction });
+      await walletService.creditRefund(walletRefund, transaction);
+    }
+
+    let refund = null;
+    if (gatewayAmount > 0) {
+      refund = await Refund.create({
+        ...values,
+        merchantRefundId: generateMerchantRefundId(current.id),
+        amount: gatewayAmount,
+        status: 'pending'
+      }, { transaction });
+    }
+
+    return { success: true, refund, walletRefund, payment: current };
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { walletRefund } = result;
+  if (walletRefund) {
+    await completeRefund(walletRefund);
+  }
+
+  const refund = result.refund;
+  if (!refund) {
+    return { success: true, refund: walletRefund, walletRefund };
+  }
+
+  const gatewayResult = await phonepeService.initiateRefund({
+    merchantRefundId: refund.merchantRefundId,
+    originalMerchantOrderId: result.payment.phonepeMerchantTransactionId,
+    amount: toAmount(refund.amount)
+  });
+
+  if (!gatewayResult.success) {
+    await refund.update({
+      status: 'failed',
+      failedAt: new Date(),
+      failureReason: gatewayResult.error,
+      gatewayResponse: gatewayResult.details || null
+    });
+    return { success: false, code: 'REFUND_FAILED', message: gatewayResult.error, refund, walletRefund };
+  }
+
+  await applyRefundState(refund, gatewayResult.data, { phonepeRefundId: gatewayResult.data.refundId });
+
+  return { success: true, refund, walletRefund };
+};
+
+/**
+ * Work out what the cancellation policy refunds for a cancelled appointment:
+ * the amount paid minus the late cancellation fee, capped at what has not
+ * been refunded yet
+ * @param {Object} appointment - Appointment instance
+ * @param {Object} payment - Successful Payment instance
+ * @param {number} refundable - Amount not yet refunded
+ * @param {string} canceledBy - patient, doctor, virtual-doctor or system
+ * @returns {Promise<Object>} { amount, fee, rule }
+ */
+exports.calculateCancellationRefund = async (appointment, payment, refundable, canceledBy) => {
+  const policy = await appointmentPolicyService.getPolicy(appointment.type);
+  const { fee, rule } = appointmentPolicyService.evaluateCancellation(appointment, canceledBy, policy, payment.amount);
+
+  return {
+    amount: toAmount(Math.max(0, Math.min(refundable, toAmount(payment.amount) - fee))),
+    fee,
+    rule
+  };
+};
+
+/**
+ * Refund the payment of a cancelled appointment according to the
+ * cancellation policy and give back any redeem code and, unless the policy
+ * withholds it, the package appointment used for it
+ * @param {Object} appointment - Appointment instance, already cancelled
+ * @param {string} canceledBy - patient, doctor, virtual-doctor or system
+ * @param {Object} [options]
+ * @param {string} [options.destination] - original (default) or wallet
+ * @returns {Promise<Object|null>} Refund summary, or null when nothing was paid
+ */
+exports.refundForCancellation = async (appointment, canceledBy, { destination = 'original' } = {}) => {
+  let withholdCredit = false;
+  if (appointment.packagePurchaseId) {
+    const policy = await appointmentPolicyService.getPolicy(appointment.type);
+    const cancellation = appointmentPolicyService.evaluateCancellation(appointment, canceledBy, policy);
+    withholdCredit = appointmentPolicyService.withholdsPackageCredit(policy, cancellation);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await reverseRedeemCodeUsage({ appointmentId: appointment.id }, transaction);
+    if (!withholdCredit) {
+      await packageService.restoreCredit(appointment.id, 'Appointment cancelled', transaction);
+    }
+  });
+
+  const payment = await Payment.findOne({
+    where: { appointmentId: appointment.id, status: 'success' },
+    order: [['createdAt', 'DESC']]
+  });
+
+  if (!payment) {
+    return null;
+  }
+
+  const refundable = toAmount(payment.amount) - await reservedRefundAmount(payment.id);
+  const { amount, fee, rule } = await exports.calculateCancellationRefund(appointment, payment, refundable, canceledBy);
+
+  const summary = { paymentId: payment.id, rule, fee, amount, status: null, refundId: null };
+
+  if (amount <= 0) {
+    return summary;
+  }
+
+  const result = await exports.issueRefund(payment, {
+    amount,
+    reason: `Appointment cancelled by ${canceledBy}` + (appointment.cancelReason ? `: ${appointment.cancelReason}` : ''),
+    initiatedBy: 'policy',
+    policyRule: rule,
+    destination
+  });
+
+  if (result.refund) {
+    summary.refundId = result.refund.id;
+    summary.status = result.refund.status;
+  }
+  if (result.walletRefund) {
+    summary.walletAmount = toAmount(result.walletRefund.amount);
+  }
+  if (!result.success) {
+    summary.error = result.message;
+  }
+
+  return summary;
+};
+
+/**
+ * Poll PhonePe for the state of an open refund
+ * @param {Object} refund - Refund instance
+ * @returns {Promise<Object>} { success, refund } or { success: false, message }
+ */
+exports.syncRefundStatus = async (refund) => {
+  if (!OPEN_REFUND_STATUSES.includes(refund.status)) {
+    return { success: true, refund };
+  }
+
+  const statusResult = await phonepeService.checkRefundStatus(refund.merchantRefundId);
+  if (!statusResult.success) {
+    await refund.update({ lastCheckedAt: new Date() });
+    return { success: false, message: statusResult.error };
+  }
+
+  await applyRefundState(refund, statusResult.data);
+  return { success: true, refund };
+};
+
+/**
+ * Poll all open refunds that have not been checked recently
+ * @returns {Promise<Object>} { checked, completed, failed }
+ */
+exports.syncOpenRefunds = async () => {
+  const checkedBefore = new Date(Date.now() - STATUS_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  const refunds = await Refund.findAll({
+    where: {
+      status: { [Op.in]: OPEN_REFUND_STATUSES },
+      createdAt: { [Op.lte]: checkedBefore },
+      [Op.or]: [{ lastCheckedAt: null }, { lastCheckedAt: { [Op.lte]: checkedBefore } }]
+    },
+    order: [['createdAt', 'ASC']],
+    limit: 50
+  });
+
+  const summary = { checked: 0, completed: 0, failed: 0 };
+  for (const refund of refunds) {
+    try {
+      await exports.syncRefundStatus(refund);
+      summary.checked++;
+      if (refund.status === 'completed') summary.completed++;
+      if (refund.status === 'failed') summary.failed++;
+    } catch (error) {
+      console.error(`Failed to sync refund ${refund.id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Refund payments that completed after their appointment had already been
+ * cancelled, e.g. when the slot reservation expired before PhonePe confirmed.
+ * A refund PhonePe failed is tried again on a later run, up to
+ * MAX_AUTOMATIC_REFUND_ATTEMPTS times.
+ * @returns {Promise<number>} Number of refunds issued
+ */
+exports.refundPaymentsForCanceledAppointments = async () => {
+  const openStatuses = OPEN_REFUND_STATUSES.map(status => `'${status}'`).join(', ');
+
+  const payments = await Payment.findAll({
+    where: {
+      status: 'success',
+      completedAt: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+      [Op.and]: [
+        sequelize.where(sequelize.col('Payment.completedAt'), Op.gte, sequelize.col('appointment.canceledAt')),
+        // Nothing on its way back or already back through PhonePe; the wallet part of a failed refund is completed at once
+        sequelize.literal(`NOT EXISTS (SELECT 1 FROM refunds WHERE refunds.paymentId = Payment.id AND (refunds.status IN (${openStatuses}) OR (refunds.status = 'completed' AND refunds.destination = 'original')))`),
+        sequelize.literal("Payment.amount > (SELECT COALESCE(SUM(refunds.amount), 0) FROM refunds WHERE refunds.paymentId = Payment.id AND refunds.status <> 'failed')"),
+        sequelize.literal(`(SELECT COUNT(*) FROM refunds WHERE refunds.paymentId = Payment.id AND refunds.status = 'failed') < ${MAX_AUTOMATIC_REFUND_ATTEMPTS}`)
+      ]
+    },
+    include: [
+      {
+        model: Appointment,
+        as: 'appointment',
+        where: { status: 'canceled', canceledAt: { [Op.ne]: null } }
+      }
+    ],
+    limit: 50
+  });
+
+  let issued = 0;
+  for (const payment of payments) {
+    try {
+      const result = await exports.issueRefund(payment, {
+        reason: 'Payment received after the appointment was cancelled',
+        initiatedBy: 'system'
+      });
+      if (result.success) issued++;
+    } catch (error) {
+      console.error(`Failed to refund payment ${payment.id}:`, error);
+    }
+  }
+
+  return issued;
+};
@@ -0,0 +1,239 @@
+const sequelize = require('../config/db');
+const Doctor = require('../models/doctor.model');
+const VirtualDoctor = require('../models/virtualDoctor.model');
+const DoctorReview = require('../models/doctorReview.model');
+const { sendUserNotification } = require('./firebase.services');
+
+const MAX_TEXT_LENGTH = 2000;
+
+const fail = (code, message) => ({ success: false, code, message });
+
+/**
+ * Doctor a review of an appointment is about: the clinic doctor, or the
+ * virtual doctor of a virtual appointment
+ * @param {Object} appointment - Appointment instance
+ * @returns {Object|null} { doctorId, virtualDoctorId }
+ */
+const targetOf = (appointment) => {
+  if (appointment.type === 'virtual') {
+    return appointment.virtualDoctorId ? { doctorId: null, virtualDoctorId: appointment.virtualDoctorId } : null;
+  }
+  return appointment.doctorId ? { doctorId: appointment.doctorId, virtualDoctorId: null } : null;
+};
+
+const targetWhere = ({ doctorId, virtualDoctorId }) => {
+  return doctorId ? { doctorId } : { virtualDoctorId };
+};
+
+const optionalText = (value, field, errors) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be text`);
+    return null;
+  }
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) errors.push(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+  return text || null;
+};
+
+/**
+ * Validate a review from a patient
+ * @param {Object} input - { rating, review }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validateReview = (input = {}) => {
+  const errors = [];
+  const rating = Number(input.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.push('rating must be a whole number of stars from 1 to 5');
+  }
+  const review = optionalText(input.review, 'review', errors);
+  return { valid: errors.length === 0, errors, values: { rating, review } };
+};
+
+/**
+ * Recalculate the average rating and review count of a doctor from the
+ * published reviews. The doctor row is locked so concurrent reviews are counted.
+ * @param {Object} target - { doctorId } or { virtualDoctorId }
+ * @param {Object} transaction
+ * @returns {Promise<Object>} { averageRating, reviewCount }
+ */
+const refreshRating = async (target, transaction) => {
+  const Model = target.doctorId ? Doctor : VirtualDoctor;
+  const id = target.doctorId || target.virtualDoctorId;
+  await Model.findByPk(id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+  const [row] = await DoctorReview.findAll({
+    attributes: [
+      [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    where: { ...targetWhere(target), status: 'published' },
+    raw: true,
+    transaction
+  });
+
+  const reviewCount = parseInt(row.count) || 0;
+  const averageRating = reviewCount > 0 ? Math.round(parseFloat(row.average) * 100) / 100 : null;
+  await Model.update({ averageRating, reviewCount }, { where: { id }, transaction });
+  return { averageRating, reviewCount };
+};
+
+/**
+ * User account of the doctor a review is about
+ */
+const doctorUserIdOf = async (review) => {
+  const doctor = review.doctorId
+    ? await Doctor.findByPk(review.doctorId, { attributes: ['id', 'userId'] })
+    : await VirtualDoctor.findByPk(review.virtualDoctorId, { attributes: ['id', 'userId'] });
+  return doctor ? doctor.userId : null;
+};
+
+/**
+ * Patient: review the doctor of a completed appointment, once
+ * @param {Object} appointment - Appointment instance of the patient
+ * @param {Object} values - From validateReview
+ * @returns {Promise<Object>} { success, review } or { success: false, code, message }
+ */
+exports.createReview = async (appointment, values) => {
+  if (appointment.status !== 'completed') {
+    return fail('APPOINTMENT_NOT_COMPLETED', 'Only completed appointments can be reviewed');
+  }
+  const target = targetOf(appointment);
+  if (!target) return fail('NO_DOCTOR', 'This appointment has no doctor to review');
+
+  let review;
+  try {
+    review = await sequelize.transaction(async (t) => {
+      const created = await DoctorReview.create({
+        appointmentId: appointment.id,
+        userId: appointment.userId,
+        ...target,
+        rating: values.rating,
+        review: values.review
+      }, { transaction: t });
+      await refreshRating(target, t);
+      return created;
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return fail('REVIEW_EXISTS', 'This appointment has already been reviewed');
+    }
+    throw error;
+  }
+
+  const doctorUserId = await doctorUserIdOf(review);
+  if (doctorUserId) {
+    await sendUserNotification(
+      doctorUserId,
+      'New Review',
+      `A patient rated their appointment ${review.rating} out of 5`,
+      {
+        type: 'other',
+        relatedId: review.id,
+        data: {
+          reviewId: review.id.toString(),
+          appointmentId: appointment.id.toString(),
+          type: 'review_received'
+        }
+      }
+    ).catch(error => console.error(`Review notification ${review.id} failed:`, error.message));
+  }
+
+  return { success: true, review };
+};
+
+/**
+ * Whether a doctor or virtual doctor user is the one a review is about
+ * @param {Object} user - req.user
+ * @param {Object} review - DoctorReview instance
+ * @returns {Promise<boolean>}
+ */
+exports.isReviewedDoctor = async (user, review) => {
+  if (user.role === 'doctor' && review.doctorId) {
+    const doctor = await Doctor.findOne({ where: { userId: user.id }, attributes: ['id'] });
+    return Boolean(doctor) && doctor.id === review.doctorId;
+  }
+  if (user.role === 'virtual-doctor' && review.virtualDoctorId) {
+    const virtualDoctor = await VirtualDoctor.findOne({ where: { userId: user.id }, attributes: ['id'] });
+    return Boolean(virtualDoctor) && virtualDoctor.id === review.virtualDoctorId;
+  }
+  return false;
+};
+
+/**
+ * Doctor: reply to a review, or change the reply
+ * @param {Object} review - DoctorReview instance
+ * @param {string} text
+ * @returns {Promise<Object>} { success, review } or { success: false, code, message }
+ */
+exports.reply = async (review, text) => {
+  const errors = [];
+  const reply = optionalText(text, 'reply', errors);
+  if (errors.length > 0 || !reply) {
+    return fail('INVALID_REPLY', errors[0] || 'reply is required');
+  }
+
+  await review.update({ reply, repliedAt: new Date() });
+
+  await sendUserNotification(
+    review.userId,
+    'Doctor Replied',
+    'Your doctor replied to your review',
+    {
+      type: 'other',
+      relatedId: review.id,
+      data: {
+        reviewId: review.id.toString(),
+        appointmentId: review.appointmentId.toString(),
+        type: 'review_replied'
+      }
+    }
+  ).catch(error => console.error(`Review reply notification ${review.id} failed:`, error.message));
+
+  return { success: true, review };
+};
+
+/**
+ * Admin: hide a review from the doctor's profile and rating, or publish it again
+ * @param {Object} review - DoctorReview instance
+ * @param {Object} decision - { status, reason, adminId }
+ * @returns {Promise<Object>} { success, review, rating } or { success: false, code, message }
+ */
+exports.moderate = async (review, { status, reason = null, adminId }) => {
+  if (!['published', 'hidden'].includes(status)) {
+    return fail('INVALID_STATUS', 'status must be published or hidden');
+  }
+  if (status === 'hidden' && !(typeof reason === 'string' && reason.trim())) {
+    return fail('REASON_REQUIRED', 'A reason is required to hide a review');
+  }
+
+  const rating = await sequelize.transaction(async (t) => {
+    await review.update({
+      status,
+      hiddenReason: status === 'hidden' ? reason.trim().slice(0, 255) : null,
+      moderatedBy: adminId,
+      moderatedAt: new Date()
+    }, { transaction: t });
+    return refreshRating(review, t);
+  });
+
+  return { success: true, review, rating };
+};
+
+/**
+ * Number of published reviews of a doctor per star
+ * @param {Object} target - { doctorId } or { virtualDoctorId }
+ * @returns {Promise<Object>} { 1: n, ..., 5: n }
+ */
+exports.ratingDistribution = async (target) => {
+  const rows = await DoctorReview.findAll({
+    attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    where: { ...targetWhere(target), status: 'published' },
+    group: ['rating'],
+    raw: true
+  });
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach(row => { distribution[row.rating] = parseInt(row.count); });
+  return distribution;
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const User = require('../models/user.model');
+const UserSession = require('../models/userSession.model');
+const deviceTokenService = require('./deviceToken.service');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Only write lastSeenAt when it is older than this to avoid a DB write per request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN }
+  );
+};
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+ * directly while only the hash of the secret is stored
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!/^\d+$/.test(sessionId || '') || !secret) return null;
+  return { sessionId: parseInt(sessionId), secret };
+};
+
+/**
+ * Extract device details for a session from the request
+ * @param {Object} req - Express request object
+ * @returns {Object} Device info (deviceName, platform, userAgent, ipAddress)
+ */
+exports.getDeviceInfo = (req) => {
+  const body = req.body || {};
+  return {
+    deviceName: body.deviceName || req.get('X-Device-Name') || null,
+    platform: body.platform || req.get('X-Device-Platform') || null,
+    userAgent: (req.get('User-Agent') || '').slice(0, 512) || null,
+    ipAddress: req.ip || null
+  };
+};
+
+/**
+ * Create a new session for a user and issue an access/refresh token pair
+ * @param {Object} user - User instance (id, role)
+ * @param {Object} deviceInfo - Result of getDeviceInfo
+ * @returns {Promise<Object>} { sessionId, token, refreshToken, refreshTokenExpiresAt }
+ */
+exports.createSession = async (user, deviceInfo = {}) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = await UserSession.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: deviceInfo.deviceName,
+    platform: deviceInfo.platform,
+    userAgent: deviceInfo.userAgent,
+    ipAddress: deviceInfo.ipAddress,
+    lastSeenAt: new Date(),
+    expiresAt
+  });
+
+  return {
+    sessionId: session.id,
+    token: generateAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair. The presented
+ * token is rotated out; presenting a rotated-out token again revokes the session.
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @param {Object} deviceInfo - Result of getDeviceInfo
+ * @returns {Promise<Object>} { success, token, refreshToken, refreshTokenExpiresAt } or { success: false, code, message }
+ */
+exports.rotateRefreshToken = async (refreshToken, deviceInfo = {}) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { success: false, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const session = await UserSession.findByPk(parsed.sessionId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!session) {
+      return { success: false, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+    }
+
+    if (session.revokedAt) {
+      return { success: false, code: 'SESSION_REVOKED', message: 'Session has been revoked' };
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+
+    if (presentedHash === session.previousTokenHash) {
+      // A token that was already rotated out is being replayed - assume it was stolen
+      await session.update({ revokedAt: new Date(), revokedReason: 'token_reuse' }, { transaction });
+      return { success: false, code: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected, session revoked' };
+    }
+
+    if (presentedHash !== session.refreshTokenHash) {
+      return { success: false, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      await session.update({ revokedAt: new Date(), revokedReason: 'expired' }, { transaction });
+      return { success: false, code: 'REFRESH_TOKEN_EXPIRED', message: 'Refresh token expired' };
+    }
+
+    const user = await User.findByPk(session.userId, { attributes: ['id', 'role'], transaction });
+    if (!user) {
+      return { success: false, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+    }
+
+    const secret = crypto.randomBytes(40).toString('hex');
+    await session.update({
+      previousTokenHash: session.refreshTokenHash,
+      refreshTokenHash: hashToken(secret),
+      lastSeenAt: new Date(),
+      ipAddress: deviceInfo.ipAddress || session.ipAddress,
+      userAgent: deviceInfo.userAgent || session.userAgent
+    }, { transaction });
+
+    return {
+      success: true,
+      sessionId: session.id,
+      token: generateAccessToken(user, session.id),
+      refreshToken: `${session.id}.${secret}`,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  });
+};
+
+/**
+ * Resolve the session id a refresh token belongs to, without validating it
+ * @param {string} refreshToken
+ * @returns {number|null}
+ */
+exports.getSessionIdFromRefreshToken = (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  return parsed ? parsed.sessionId : null;
+};
+
+/**
+ * Check whether the session behind an access token is still active and record
+ * that it was seen
+ * @param {number} sessionId
+ * @returns {Promise<boolean>}
+ */
+exports.touchSession = async (sessionId) => {
+  const session = await UserSession.findByPk(sessionId, {
+    attributes: ['id', 'lastSeenAt', 'expiresAt', 'revokedAt']
+  });
+
+  if (!session || !session.isActive()) {
+    return false;
+  }
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    await session.update({ lastSeenAt: new Date() });
+  }
+
+  return true;
+};
+
+/**
+ * Revoke a single session
+ * @param {number} sessionId
+ * @param {string} reason - One of the UserSession revokedReason values
+ * @param {number} [userId] - When given, the session must belong to this user
+ * @returns {Promise<boolean>} true if an active session was revoked
+ */
+exports.revokeSession = async (sessionId, reason, userId = null) => {
+  const where = { id: sessionId, revokedAt: null };
+  if (userId) where.userId = userId;
+
+  const [affected] = await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+
+  // A signed out device must stop receiving pushes
+  if (affected > 0) {
+    await deviceTokenService.removeForSessions({ sessionId });
+  }
+
+  return affected > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {number} userId
+ * @param {string} reason - One of the UserSession revokedReason values
+ * @param {number} [exceptSessionId] - Session to keep (e.g. the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+exports.revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+
+  const [affected] = await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+
+  await deviceTokenService.removeForSessions({ userId, exceptSessionId });
+
+  return affected;
+};
+
+/**
+ * List the sessions of a user, newest activity first
+ * @param {number} userId
+ * @param {Object} options
+ * @param {boolean} [options.includeRevoked=false] - Include revoked and expired sessions
+ * @param {number} [options.currentSessionId] - Flags the caller's own session
+ * @returns {Promise<Object[]>}
+ */
+exports.listSessions = async (userId, { includeRevoked = false, currentSessionId = null } = {}) => {
+  const where = { userId };
+  if (!includeRevoked) {
+    where.revokedAt = null;
+    where.expiresAt = { [Op.gt]: new Date() };
+  }
+
+  const sessions = await UserSession.findAll({
+    where,
+    attributes: [
+      'id', 'deviceName', 'platform', 'userAgent', 'ipAddress',
+      'lastSeenAt', 'expiresAt', 'revokedAt', 'revokedReason', 'createdAt'
+    ],
+    order: [['lastSeenAt', 'DESC']]
+  });
+
+  return sessions.map(session => ({
+    ...session.toJSON(),
+    isActive: session.isActive(),
+    isCurrent: session.id === currentSessionId
+  }));
+};
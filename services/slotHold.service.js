@@ -0,0 +1,337 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const Appointment = require('../models/appoinment.model');
+const SlotHold = require('../models/slotHold.model');
+
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+
+// Concurrent holds on the same slot take gap locks that InnoDB may resolve as a deadlock
+const MAX_LOCK_RETRIES = 3;
+const LOCK_ERROR_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'confirmed', 'reschedule_requested'];
+
+const isLockError = (error) => {
+  const code = error && (error.parent || error.original || {}).code;
+  return LOCK_ERROR_CODES.includes(code);
+};
+
+/**
+ * Appointment/hold filter for the resource a slot belongs to: a doctor, a
+ * virtual doctor, or the shared virtual pool
+ */
+const scopeWhere = ({ type, doctorId = null, virtualDoctorId = null }) => {
+  if (type === 'physical') {
+    return { type: 'physical', doctorId };
+  }
+  if (virtualDoctorId) {
+    return { type: 'virtual', virtualDoctorId };
+  }
+  return { type: 'virtual', doctorId: null, virtualDoctorId: null };
+};
+
+const holdExpiry = (minutes = HOLD_MINUTES) => new Date(Date.now() + minutes * 60 * 1000);
+
+/**
+ * Close a hold and cancel the appointment it was reserving, unless that
+ * appointment has since been confirmed or paid for
+ * @returns {Promise<boolean>} true if the appointment was cancelled
+ */
+const closeHold = async (hold, status, reason, transaction) => {
+  await hold.update({
+    status,
+    releasedAt: new Date(),
+    releaseReason: reason
+  }, { transaction });
+
+  if (!hold.appointmentId) {
+    return false;
+  }
+
+  const [affected] = await Appointment.update({
+    status: 'canceled',
+    cancelReason: status === 'expired'
+      ? 'Slot reservation expired before payment was completed'
+      : 'Slot reservation released: ' + reason,
+    canceledAt: new Date()
+  }, {
+    where: {
+      id: hold.appointmentId,
+      status: 'pending',
+      [Op.or]: [{ paymentStatus: null }, { paymentStatus: { [Op.ne]: 'success' } }]
+    },
+    transaction
+  });
+
+  return affected > 0;
+};
+
+const latestHoldForAppointment = (appointmentId, transaction) => {
+  return SlotHold.findOne({
+    where: { appointmentId },
+    order: [['createdAt', 'DESC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+};
+
+/**
+ * Atomically reserve a place in a slot. Appointments and unexpired holds that
+ * have no appointment yet both count towards the slot capacity.
+ * @param {Object} params
+ * @param {number} params.userId - Patient making the booking
+ * @param {string} params.type - physical or virtual
+ * @param {number} [params.doctorId]
+ * @param {number} [params.virtualDoctorId]
+ * @param {DateTime} params.slotStart - Luxon DateTime
+ * @param {DateTime} params.slotEnd - Luxon DateTime
+ * @param {number} params.capacity - Maximum bookings in the slot
+ * @param {number} [params.holdMinutes] - How long the place is reserved, SLOT_HOLD_MINUTES by default
+ * @returns {Promise<Object>} { success, hold } or { success: false, code, message }
+ */
+exports.createHold = async ({ userId, type, doctorId = null, virtualDoctorId = null, slotStart, slotEnd, capacity, holdMinutes = HOLD_MINUTES }) => {
+  const scope = { type, doctorId, virtualDoctorId };
+  const slotRange = { [Op.gte]: slotStart.toJSDate(), [Op.lt]: slotEnd.toJSDate() };
+
+  for (let attempt = 1; attempt <= MAX_LOCK_RETRIES; attempt++) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const now = new Date();
+
+        const holds = await SlotHold.findAll({
+          where: { ...scopeWhere(scope), slotStart: slotRange, status: 'held' },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        // Free the places of holds that ran out before the sweeper got to them
+        let pendingHolds = 0;
+        for (const hold of holds) {
+          if (new Date(hold.expiresAt) <= now) {
+            await closeHold(hold, 'expired', 'expired', transaction);
+          } else if (!hold.appointmentId) {
+            pendingHolds++;
+          }
+        }
+
+        const appointments = await Appointment.findAll({
+          attributes: ['id'],
+          where: {
+            ...scopeWhere(scope),
+            appointmentDateTime: slotRange,
+            status: { [Op.in]: ACTIVE_APPOINTMENT_STATUSES }
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (appointments.length + pendingHolds >= capacity) {
+          return { success: false, code: 'SLOT_FULL', message: 'Time slot is full. Please choose another time.' };
+        }
+
+        const hold = await SlotHold.create({
+          userId,
+          type,
+          doctorId,
+          virtualDoctorId,
+          slotStart: slotStart.toJSDate(),
+          slotEnd: slotEnd.toJSDate(),
+          status: 'held',
+          expiresAt: holdExpiry(holdMinutes)
+        }, { transaction });
+
+        return { success: true, hold };
+      });
+    } catch (error) {
+      if (!isLockError(error)) throw error;
+      if (attempt === MAX_LOCK_RETRIES) {
+        return { success: false, code: 'SLOT_BUSY', message: 'This time slot is being booked by someone else. Please try again.' };
+      }
+    }
+  }
+};
+
+/**
+ * Link the appointment created for a hold. Bookings that do not wait for a
+ * payment are converted straight away.
+ * @param {Object} hold - SlotHold instance from createHold
+ * @param {number} appointmentId
+ * @param {Object} options
+ * @param {boolean} [options.convert=false] - Mark the hold as converted
+ * @returns {Promise<Object>} Updated SlotHold
+ */
+exports.attachAppointment = async (hold, appointmentId, { convert = false } = {}) => {
+  return hold.update({
+    appointmentId,
+    status: convert ? 'converted' : hold.status
+  });
+};
+
+/**
+ * Release a hold, e.g. when the booking could not be completed
+ * @param {Object} hold - SlotHold instance
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+exports.releaseHold = async (hold, reason) => {
+  if (hold.status !== 'held') return;
+  await sequelize.transaction(async (transaction) => {
+    await closeHold(hold, 'released', reason, transaction);
+  });
+};
+
+/**
+ * Make sure an appointment's slot is still reserved before a payment is
+ * started for it, and extend the hold to cover the payment window
+ * @param {number} appointmentId
+ * @returns {Promise<Object>} { success, hold } or { success: false, code, message }; hold is null for
+ *   appointments booked without one
+ */
+exports.reserveForPayment = async (appointmentId) => {
+  return sequelize.transaction(async (transaction) => {
+    const hold = await latestHoldForAppointment(appointmentId, transaction);
+
+    // Appointments booked before holds existed, or already converted, need no reservation
+    if (!hold || hold.status === 'converted') {
+      return { success: true, hold };
+    }
+
+    if (!hold.isActive()) {
+      if (hold.status === 'held') {
+        await closeHold(hold, 'expired', 'expired', transaction);
+      }
+      return {
+        success: false,
+        code: 'SLOT_HOLD_EXPIRED',
+        message: 'Your slot reservation has expired. Please book the appointment again.'
+      };
+    }
+
+    await hold.update({ expiresAt: holdExpiry() }, { transaction });
+
+    return { success: true, hold };
+  });
+};
+
+/**
+ * Convert the hold of an appointment once its payment succeeded
+ * @param {number} appointmentId
+ * @param {Object} options
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Object>} { success } or { success: false, code: 'SLOT_HOLD_EXPIRED', message } when the
+ *   slot was already given up and the appointment cancelled
+ */
+exports.convertHold = async (appointmentId, { transaction } = {}) => {
+  const hold = await latestHoldForAppointment(appointmentId, transaction);
+
+  if (!hold || hold.status === 'converted') {
+    return { success: true };
+  }
+
+  // A late callback still wins the slot as long as the sweeper has not released it
+  if (hold.status === 'held') {
+    await hold.update({ status: 'converted' }, { transaction });
+    return { success: true };
+  }
+
+  const appointment = await Appointment.findByPk(appointmentId, { attributes: ['id', 'status'], transaction });
+  if (appointment && appointment.status !== 'canceled') {
+    return { success: true };
+  }
+
+  return {
+    success: false,
+    code: 'SLOT_HOLD_EXPIRED',
+    message: 'Payment received after the slot reservation expired'
+  };
+};
+
+/**
+ * Release the hold of an appointment after its payment failed or was cancelled
+ * @param {number} appointmentId
+ * @param {string} reason
+ * @param {Object} options
+ * @param {Object} [options.transaction]
+ * @returns {Promise<boolean>} true if the appointment was cancelled
+ */
+exports.releaseAppointmentHold = async (appointmentId, reason, { transaction } = {}) => {
+  const hold = await latestHoldForAppointment(appointmentId, transaction);
+  if (!hold || hold.status !== 'held') {
+    return false;
+  }
+  return closeHold(hold, 'released', reason, transaction);
+};
+
+/**
+ * Expire holds whose time ran out and cancel the appointments they reserved
+ * @returns {Promise<number>} Number of holds expired
+ */
+exports.expireStaleHolds = async () => {
+  const holds = await SlotHold.findAll({
+    where: { status: 'held', expiresAt: { [Op.lte]: new Date() } },
+    order: [['expiresAt', 'ASC']],
+    limit: 100
+  });
+
+  let expired = 0;
+  for (const hold of holds) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const current = await SlotHold.findByPk(hold.id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!current || current.status !== 'held' || new Date(current.expiresAt) > new Date()) return;
+        await closeHold(current, 'expired', 'expired', transaction);
+        expired++;
+      });
+    } catch (error) {
+      console.error(`Failed to expire slot hold ${hold.id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Places taken in clinic slots of doctors between two times, counted as
+ * createHold counts them: active appointments, and holds not run out that
+ * have no appointment yet
+ * @param {number[]} doctorIds
+ * @param {Date} from
+ * @param {Date} to - Exclusive
+ * @returns {Promise<Object[]>} [{ doctorId, at }] with at the start of the slot taken
+ */
+exports.takenPhysicalSlots = async (doctorIds, from, to) => {
+  if (doctorIds.length === 0) return [];
+  const range = { [Op.gte]: from, [Op.lt]: to };
+
+  const [appointments, holds] = await Promise.all([
+    Appointment.findAll({
+      attributes: ['doctorId', 'appointmentDateTime'],
+      where: {
+        type: 'physical',
+        doctorId: { [Op.in]: doctorIds },
+        appointmentDateTime: range,
+        status: { [Op.in]: ACTIVE_APPOINTMENT_STATUSES }
+      },
+      raw: true
+    }),
+    SlotHold.findAll({
+      attributes: ['doctorId', 'slotStart'],
+      where: {
+        type: 'physical',
+        doctorId: { [Op.in]: doctorIds },
+        slotStart: range,
+        status: 'held',
+        expiresAt: { [Op.gt]: new Date() },
+        appointmentId: null
+      },
+      raw: true
+    })
+  ]);
+
+  return [
+    ...appointments.map(appointment => ({ doctorId: appointment.doctorId, at: new Date(appointment.appointmentDateTime) })),
+    ...holds.map(hold => ({ doctorId: hold.doctorId, at: new Date(hold.slotStart) }))
+  ];
+};
+
+exports.HOLD_MINUTES = HOLD_MINUTES;
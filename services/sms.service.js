@@ -0,0 +1,227 @@
+const axios = require('axios');
+
+// SMSGatewayHub configuration
+const SMS_GATEWAY_CONFIG = {
+  baseURL: 'https://www.smsgatewayhub.com/api/mt/SendSMS',
+  APIKey: process.env.SMS_GATEWAY_API_KEY,
+  senderid: process.env.SMS_GATEWAY_SENDER_ID || 'OTPVER',
+  channel: '2', // Transactional
+  DCS: '0',
+  flashsms: '0',
+  route: process.env.SMS_GATEWAY_ROUTE || '31',
+  EntityId: process.env.SMS_GATEWAY_ENTITY_ID || '' // Registered-Entity-Id
+};
+
+// WhatsApp template messages go through the GatewayHub WhatsApp account of
+// the same API key; the endpoint is given per account
+const WHATSAPP_CONFIG = {
+  enabled: process.env.WHATSAPP_ENABLED === 'true',
+  baseURL: process.env.WHATSAPP_GATEWAY_URL,
+  APIKey: process.env.WHATSAPP_GATEWAY_API_KEY || process.env.SMS_GATEWAY_API_KEY,
+  language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en'
+};
+
+// 'stub' logs messages and keeps the latest in memory instead of sending them
+const PROVIDER = process.env.SMS_PROVIDER || 'gatewayhub';
+const STUB_KEEP = 100;
+
+/**
+ * Templates messages are sent from. DLT only delivers a text that matches the
+ * registered template exactly, with {#var#} filled in by the variables in
+ * order, so text must be changed only together with the registration.
+ * WhatsApp templates take the same variables. A template without an ID is not
+ * sent on that channel.
+ */
+const TEMPLATES = {
+  otp: {
+    dltTemplateId: process.env.SMS_GATEWAY_DLT_TEMPLATE_ID || '1707175368420666060',
+    text: 'You are trying to log into the SID Clinic. Your OTP is: {#var#}. Do not share it with anyone. If you did not initiate this request, please ignore this message.',
+    variables: (data) => [data.otp]
+  },
+  appointment_confirmed: {
+    dltTemplateId: process.env.SMS_DLT_APPOINTMENT_CONFIRMED,
+    whatsappTemplate: process.env.WHATSAPP_TEMPLATE_APPOINTMENT_CONFIRMED,
+    text: 'Dear {#var#}, your appointment with {#var#} on {#var#} at {#var#} is confirmed. - SID Clinic',
+    variables: (data) => [data.patientName, data.doctorName, data.appointmentDate, data.appointmentTime]
+  },
+  appointment_reminder: {
+    dltTemplateId: process.env.SMS_DLT_APPOINTMENT_REMINDER,
+    whatsappTemplate: process.env.WHATSAPP_TEMPLATE_APPOINTMENT_REMINDER,
+    text: 'Dear {#var#}, reminder: your appointment with {#var#} is on {#var#} at {#var#}. - SID Clinic',
+    variables: (data) => [data.patientName, data.doctorName, data.appointmentDate, data.appointmentTime]
+  },
+  reschedule_approved: {
+    dltTemplateId: process.env.SMS_DLT_RESCHEDULE_APPROVED,
+    whatsappTemplate: process.env.WHATSAPP_TEMPLATE_RESCHEDULE_APPROVED,
+    text: 'Dear {#var#}, {#var#} has approved your request. Your appointment is now on {#var#} at {#var#}. - SID Clinic',
+    variables: (data) => [data.patientName, data.doctorName, data.newDate, data.newTime]
+  },
+  reschedule_rejected: {
+    dltTemplateId: process.env.SMS_DLT_RESCHEDULE_REJECTED,
+    whatsappTemplate: process.env.WHATSAPP_TEMPLATE_RESCHEDULE_REJECTED,
+    text: 'Dear {#var#}, {#var#} could not move your appointment. It stays on {#var#} at {#var#}. - SID Clinic',
+    variables: (data) => [data.patientName, data.doctorName, data.originalDate, data.originalTime]
+  },
+  payment_succeeded: {
+    dltTemplateId: process.env.SMS_DLT_PAYMENT_RECEIPT,
+    whatsappTemplate: process.env.WHATSAPP_TEMPLATE_PAYMENT_RECEIPT,
+    text: 'Dear {#var#}, we received your payment of Rs.{#var#} for {#var#}. Payment ID {#var#}. - SID Clinic',
+    variables: (data) => [data.patientName, data.amount, data.description, data.paymentId]
+  }
+};
+
+const stubMessages = [];
+
+/**
+ * Mobile number as the gateway takes it: 10 digits without the country code
+ * @param {string} phone
+ * @returns {string|null} null if it is not a valid number
+ */
+const formatPhone = (phone) => {
+  const formatted = String(phone || '').replace(/^\+?91/, '').replace(/\D/g, '');
+  return formatted.length === 10 ? formatted : null;
+};
+
+const fillVariables = (text, variables) => {
+  let filled = text;
+  for (const variable of variables) {
+    filled = filled.replace('{#var#}', variable === undefined || variable === null ? '' : String(variable));
+  }
+  return filled;
+};
+
+const PROVIDERS = {
+  gatewayhub: {
+    sendSMS: async (number, text, dltTemplateId) => {
+      const params = {
+        APIKey: SMS_GATEWAY_CONFIG.APIKey,
+        senderid: SMS_GATEWAY_CONFIG.senderid,
+        channel: SMS_GATEWAY_CONFIG.channel,
+        DCS: SMS_GATEWAY_CONFIG.DCS,
+        flashsms: SMS_GATEWAY_CONFIG.flashsms,
+        number,
+        text,
+        route: SMS_GATEWAY_CONFIG.route,
+        EntityId: SMS_GATEWAY_CONFIG.EntityId,
+        dlttemplateid: dltTemplateId
+      };
+
+      const response = await axios.get(SMS_GATEWAY_CONFIG.baseURL, { params });
+      console.log('SMS Gateway Response:', response.data);
+
+      if (response.data && (response.data.ErrorCode === '000' || response.data.ErrorCode === 0)) {
+        return response.data;
+      }
+      throw new Error(response.data?.ErrorMessage || 'SMS sending failed');
+    },
+
+    sendWhatsApp: async (number, templateName, variables) => {
+      if (!WHATSAPP_CONFIG.baseURL) throw new Error('WHATSAPP_GATEWAY_URL is not set');
+
+      const response = await axios.post(WHATSAPP_CONFIG.baseURL, {
+        APIKey: WHATSAPP_CONFIG.APIKey,
+        number: `91${number}`,
+        templateName,
+        language: WHATSAPP_CONFIG.language,
+        parameters: variables.map(variable => (variable === undefined || variable === null ? '' : String(variable)))
+      });
+      console.log('WhatsApp Gateway Response:', response.data);
+
+      if (response.data && (response.data.ErrorCode === '000' || response.data.ErrorCode === 0)) {
+        return response.data;
+      }
+      throw new Error(response.data?.ErrorMessage || 'WhatsApp sending failed');
+    }
+  },
+
+  stub: {
+    sendSMS: async (number, text, dltTemplateId) => {
+      const message = { channel: 'sms', number, text, dltTemplateId, at: new Date() };
+      console.log('SMS (stub):', message);
+      stubMessages.push(message);
+      if (stubMessages.length > STUB_KEEP) stubMessages.shift();
+      return { ErrorCode: '000', ErrorMessage: 'Done', stub: true };
+    },
+
+    sendWhatsApp: async (number, templateName, variables) => {
+      const message = { channel: 'whatsapp', number, templateName, variables, at: new Date() };
+      console.log('WhatsApp (stub):', message);
+      stubMessages.push(message);
+      if (stubMessages.length > STUB_KEEP) stubMessages.shift();
+      return { ErrorCode: '000', ErrorMessage: 'Done', stub: true };
+    }
+  }
+};
+
+const provider = () => {
+  if (!PROVIDERS[PROVIDER]) throw new Error(`Unknown SMS provider ${PROVIDER}`);
+  return PROVIDERS[PROVIDER];
+};
+
+/**
+ * Send an SMS from a template
+ * @param {string} phone
+ * @param {string} template - Name from TEMPLATES
+ * @param {Object} data - Values the template's variables are taken from
+ * @returns {Promise<Object>} { status: 'sent', data } or { status: 'skipped', reason }; throws when the gateway fails
+ */
+exports.sendTemplate = async (phone, template, data = {}) => {
+  const definition = TEMPLATES[template];
+  if (!definition) throw new Error(`Unknown SMS template ${template}`);
+  // The stub does not go through DLT, so unregistered templates can be tried out with it
+  if (!definition.dltTemplateId && PROVIDER !== 'stub') return { status: 'skipped', reason: 'TEMPLATE_NOT_CONFIGURED' };
+
+  const number = formatPhone(phone);
+  if (!number) return { status: 'skipped', reason: 'INVALID_PHONE' };
+
+  try {
+    const text = fillVariables(definition.text, definition.variables(data));
+    const response = await provider().sendSMS(number, text, definition.dltTemplateId);
+    return { status: 'sent', data: response };
+  } catch (error) {
+    console.error('SMS Gateway Error:', error.message);
+    console.error('Full Error:', error.response?.data || error);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+};
+
+/**
+ * Send a WhatsApp template message with the variables of an SMS template
+ * @param {string} phone
+ * @param {string} template - Name from TEMPLATES
+ * @param {Object} data
+ * @returns {Promise<Object>} { status: 'sent', data } or { status: 'skipped', reason }; throws when the gateway fails
+ */
+exports.sendWhatsAppTemplate = async (phone, template, data = {}) => {
+  const definition = TEMPLATES[template];
+  if (!definition) throw new Error(`Unknown SMS template ${template}`);
+  if (!WHATSAPP_CONFIG.enabled) return { status: 'skipped', reason: 'WHATSAPP_DISABLED' };
+  if (!definition.whatsappTemplate) return { status: 'skipped', reason: 'TEMPLATE_NOT_CONFIGURED' };
+
+  const number = formatPhone(phone);
+  if (!number) return { status: 'skipped', reason: 'INVALID_PHONE' };
+
+  try {
+    const response = await provider().sendWhatsApp(number, definition.whatsappTemplate, definition.variables(data));
+    return { status: 'sent', data: response };
+  } catch (error) {
+    console.error('WhatsApp Gateway Error:', error.message);
+    console.error('Full Error:', error.response?.data || error);
+    throw new Error(`Failed to send WhatsApp message: ${error.message}`);
+  }
+};
+
+/**
+ * Whether WhatsApp messages are sent at all
+ * @returns {boolean}
+ */
+exports.whatsappEnabled = () => WHATSAPP_CONFIG.enabled;
+
+/**
+ * Messages the stub provider took, latest last
+ * @returns {Object[]}
+ */
+exports.stubMessages = () => [...stubMessages];
+
+exports.formatPhone = formatPhone;
+exports.TEMPLATES = Object.keys(TEMPLATES);
@@ -0,0 +1,328 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const Price = require('../models/price.model');
+const TreatmentPlan = require('../models/treatmentPlan.model');
+const TreatmentPlanStep = require('../models/treatmentPlanStep.model');
+const { parseToothNumber } = require('./odontogram.service');
+
+const MAX_STEPS = 30;
+
+// Appointment outcomes that hand a booked step back to the patient to book again
+const RELEASING_APPOINTMENT_STATUSES = ['canceled', 'rejected', 'no_show'];
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Validate a treatment plan proposal
+ * @param {Object} input - { title, notes, steps: [{ priceId, phase, toothNumbers, notes }] }
+ * @returns {Object} { valid, errors, values }
+ */
+exports.validatePlan = (input = {}) => {
+  const errors = [];
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (!title) errors.push('title is required');
+
+  const steps = [];
+  if (!Array.isArray(input.steps) || input.steps.length === 0 || input.steps.length > MAX_STEPS) {
+    errors.push(`steps must be a list of 1 to ${MAX_STEPS} procedures`);
+  } else {
+    input.steps.forEach((step, index) => {
+      const priceId = parseInt(step && step.priceId);
+      const phase = step && step.phase !== undefined ? parseInt(step.phase) : 1;
+      const toothNumbers = step && Array.isArray(step.toothNumbers) ? step.toothNumbers : [];
+
+      if (!priceId) errors.push(`steps[${index}].priceId is required`);
+      if (!Number.isInteger(phase) || phase < 1 || phase > 20) {
+        errors.push(`steps[${index}].phase must be a number from 1 to 20`);
+      }
+      if (toothNumbers.some(tooth => !parseToothNumber(tooth))) {
+        errors.push(`steps[${index}].toothNumbers must be FDI tooth numbers`);
+      }
+
+      steps.push({
+        priceId,
+        phase,
+        toothNumbers: toothNumbers.length > 0 ? [...new Set(toothNumbers.map(Number))] : null,
+        notes: step && typeof step.notes === 'string' && step.notes.trim() ? step.notes.trim() : null
+      });
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    values: {
+      title,
+      notes: typeof input.notes === 'string' && input.notes.trim() ? input.notes.trim() : null,
+      steps
+    }
+  };
+};
+
+/**
+ * Create a proposed plan. Each step is priced from the active Price of its service.
+ * @param {Object} owner - { userId, doctorId, createdBy }
+ * @param {Object} values - From validatePlan
+ * @returns {Promise<Object>} { success, plan } or { success: false, code, message }
+ */
+exports.createPlan = async ({ userId, doctorId, createdBy }, values) => {
+  const priceIds = [...new Set(values.steps.map(step => step.priceId))];
+  const prices = await Price.findAll({ where: { id: { [Op.in]: priceIds }, isActive: true } });
+  const priceById = new Map(prices.map(price => [price.id, price]));
+
+  const unknown = priceIds.filter(id => !priceById.has(id));
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      code: 'PRICE_NOT_FOUND',
+      message: `No active service price found for priceId ${unknown.join(', ')}`
+    };
+  }
+
+  // Steps are numbered phase by phase, keeping the order given within a phase
+  const ordered = values.steps
+    .map((step, index) => ({ ...step, index }))
+    .sort((a, b) => a.phase - b.phase || a.index - b.index);
+
+  const steps = ordered.map((step, index) => {
+    const price = priceById.get(step.priceId);
+    return {
+      sequence: index + 1,
+      phase: step.phase,
+      priceId: price.id,
+      procedureName: price.serviceName,
+      estimatedCost: price.price === null ? null : toAmount(price.price),
+      toothNumbers: step.toothNumbers,
+      notes: step.notes,
+      status: 'proposed'
+    };
+  });
+
+  const plan = await sequelize.transaction(async (t) => {
+    const created = await TreatmentPlan.create({
+      userId,
+      doctorId,
+      title: values.title,
+      notes: values.notes,
+      status: 'proposed',
+      estimatedTotal: toAmount(steps.reduce((sum, step) => sum + Number(step.estimatedCost || 0), 0)),
+      createdBy
+    }, { transaction: t });
+
+    await TreatmentPlanStep.bulkCreate(
+      steps.map(step => ({ ...step, planId: created.id })),
+      { transaction: t }
+    );
+    return created;
+  });
+
+  return { success: true, plan };
+};
+
+/**
+ * Patient accepts a proposed plan, or only some of its steps, or declines it
+ * @param {Object} plan - TreatmentPlan instance with steps
+ * @param {Object} response - { accept, stepIds, reason }
+ * @returns {Promise<Object>} { success } or { success: false, code, message }
+ */
+exports.respondToPlan = async (plan, { accept, stepIds, reason }) => {
+  if (plan.status !== 'proposed') {
+    return {
+      success: false,
+      code: 'PLAN_NOT_PROPOSED',
+      message: `This treatment plan is no longer awaiting a response (status: ${plan.status})`
+    };
+  }
+
+  let acceptedIds = [];
+  if (accept) {
+    const planStepIds = plan.steps.map(step => step.id);
+    acceptedIds = Array.isArray(stepIds) && stepIds.length > 0
+      ? [...new Set(stepIds.map(Number))]
+      : planStepIds;
+
+    if (acceptedIds.some(id => !planStepIds.includes(id))) {
+      return {
+        success: false,
+        code: 'INVALID_STEPS',
+        message: 'Some of the selected steps are not part of this treatment plan'
+      };
+    }
+  }
+
+  await sequelize.transaction(async (t) => {
+    for (const step of plan.steps) {
+      await step.update({ status: acceptedIds.includes(step.id) ? 'accepted' : 'declined' }, { transaction: t });
+    }
+
+    const acceptedSteps = plan.steps.filter(step => acceptedIds.includes(step.id));
+    await plan.update({
+      status: accept ? 'accepted' : 'declined',
+      respondedAt: new Date(),
+      acceptedTotal: accept
+        ? toAmount(acceptedSteps.reduce((sum, step) => sum + Number(step.estimatedCost || 0), 0))
+        : null,
+      declineReason: accept ? null : reason || null
+    }, { transaction: t });
+  });
+
+  return { success: true };
+};
+
+/**
+ * Withdraw a plan. Plans with a booked step must have that appointment cancelled first.
+ * @param {Object} plan - TreatmentPlan instance with steps
+ * @param {string} reason
+ * @returns {Promise<Object>} { success } or { success: false, code, message }
+ */
+exports.cancelPlan = async (plan, reason) => {
+  if (!['proposed', 'accepted', 'in_progress'].includes(plan.status)) {
+    return {
+      success: false,
+      code: 'PLAN_CLOSED',
+      message: `Cannot cancel a treatment plan with status: ${plan.status}`
+    };
+  }
+
+  if (plan.steps.some(step => step.status === 'scheduled')) {
+    return {
+      success: false,
+      code: 'PLAN_HAS_SCHEDULED_STEPS',
+      message: 'Some steps are booked as appointments; cancel those appointments first'
+    };
+  }
+
+  await sequelize.transaction(async (t) => {
+    await TreatmentPlanStep.update(
+      { status: 'canceled' },
+      { where: { planId: plan.id, status: { [Op.in]: ['proposed', 'accepted'] } }, transaction: t }
+    );
+    await plan.update({ status: 'canceled', canceledAt: new Date(), cancelReason: reason || null }, { transaction: t });
+  });
+
+  return { success: true };
+};
+
+/**
+ * Whether a step can be booked as an appointment by this patient with this doctor
+ * @param {number} stepId
+ * @param {Object} booking - { userId, type, doctorId }
+ * @returns {Promise<Object>} { success, step } or { success: false, code, message }
+ */
+exports.checkStepBookable = async (stepId, { userId, type, doctorId }) => {
+  const step = await TreatmentPlanStep.findByPk(stepId, {
+    include: [{ model: TreatmentPlan, as: 'plan' }]
+  });
+
+  if (!step || step.plan.userId !== Number(userId)) {
+    return {
+      success: false,
+      code: 'TREATMENT_STEP_NOT_FOUND',
+      message: 'Treatment plan step not found'
+    };
+  }
+
+  if (step.status !== 'accepted' || !['accepted', 'in_progress'].includes(step.plan.status)) {
+    return {
+      success: false,
+      code: 'TREATMENT_STEP_NOT_BOOKABLE',
+      message: step.status === 'scheduled'
+        ? 'This treatment step is already booked'
+        : `This treatment step cannot be booked (status: ${step.status})`
+    };
+  }
+
+  if (type === 'virtual' || Number(doctorId) !== step.plan.doctorId) {
+    return {
+      success: false,
+      code: 'TREATMENT_STEP_DOCTOR_MISMATCH',
+      message: 'Treatment steps are booked as clinic visits with the doctor who proposed the plan'
+    };
+  }
+
+  const waiting = await TreatmentPlanStep.count({
+    where: {
+      planId: step.planId,
+      phase: { [Op.lt]: step.phase },
+      status: 'accepted'
+    }
+  });
+  if (waiting > 0) {
+    return {
+      success: false,
+      code: 'TREATMENT_PHASE_NOT_READY',
+      message: `Book the steps of the earlier phases before phase ${step.phase}`
+    };
+  }
+
+  return { success: true, step };
+};
+
+/**
+ * Mark the step of a newly booked appointment as scheduled
+ * @param {Object} appointment - Appointment instance with treatmentStepId
+ * @returns {Promise<boolean>} false when the step was booked by another appointment meanwhile
+ */
+exports.scheduleStep = async (appointment) => {
+  if (!appointment.treatmentStepId) return false;
+
+  const [updated] = await TreatmentPlanStep.update(
+    { status: 'scheduled', appointmentId: appointment.id },
+    { where: { id: appointment.treatmentStepId, status: 'accepted' } }
+  );
+  if (updated === 0) return false;
+
+  const step = await TreatmentPlanStep.findByPk(appointment.treatmentStepId);
+  await exports.syncPlanStatus(step.planId);
+  return true;
+};
+
+/**
+ * Follow the appointment of a step: completed marks the step done, a cancelled,
+ * rejected or missed appointment lets the patient book the step again
+ * @param {Object} appointment - Appointment instance
+ * @returns {Promise<void>}
+ */
+exports.syncStepForAppointment = async (appointment) => {
+  if (!appointment.treatmentStepId) return;
+
+  const step = await TreatmentPlanStep.findByPk(appointment.treatmentStepId);
+  if (!step || step.appointmentId !== appointment.id || step.status !== 'scheduled') return;
+
+  if (appointment.status === 'completed') {
+    await step.update({ status: 'done', completedAt: appointment.completedAt || new Date() });
+  } else if (RELEASING_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    await step.update({ status: 'accepted', appointmentId: null });
+  } else {
+    return;
+  }
+
+  await exports.syncPlanStatus(step.planId);
+};
+
+/**
+ * Move an accepted plan to in progress once a step is booked or done, and to
+ * done once every accepted step is done
+ * @param {number} planId
+ * @returns {Promise<void>}
+ */
+exports.syncPlanStatus = async (planId) => {
+  const plan = await TreatmentPlan.findByPk(planId, {
+    include: [{ model: TreatmentPlanStep, as: 'steps' }]
+  });
+  if (!plan || !['accepted', 'in_progress'].includes(plan.status)) return;
+
+  const steps = plan.steps.filter(step => ['accepted', 'scheduled', 'done'].includes(step.status));
+  let status = 'accepted';
+  if (steps.length > 0 && steps.every(step => step.status === 'done')) {
+    status = 'done';
+  } else if (steps.some(step => step.status !== 'accepted')) {
+    status = 'in_progress';
+  }
+
+  if (status !== plan.status) {
+    await plan.update({ status, completedAt: status === 'done' ? new Date() : null });
+  }
+};
+
+exports.MAX_STEPS = MAX_STEPS;
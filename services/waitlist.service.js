@@ -0,0 +1,355 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const { Appointment, Doctor } = require('../models');
+const SlotHold = require('../models/slotHold.model');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const slotHoldService = require('./slotHold.service');
+const doctorScheduleService = require('./doctorSchedule.service');
+const notificationDispatcher = require('./notificationDispatcher.service');
+
+const TIMEZONE = doctorScheduleService.TIMEZONE;
+
+// How long a waitlisted patient has the freed slot to themselves
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 15;
+
+const SLOT_CAPACITY = { physical: 1, virtual: 3 };
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// Bookings need an hour's notice, so slots starting sooner than that after the claim window are not offered
+const MIN_LEAD_MINUTES = 60;
+
+/**
+ * Slot an appointment occupied, as luxon DateTimes in IST
+ * @returns {Promise<Object|null>} { start, end } or null when the doctor's schedule no longer has the slot
+ */
+const slotForAppointment = async (appointment) => {
+  const appointmentTime = DateTime.fromJSDate(new Date(appointment.appointmentDateTime)).setZone(TIMEZONE);
+
+  if (appointment.type === 'physical') {
+    const doctor = await Doctor.findByPk(appointment.doctorId);
+    if (!doctor) return null;
+    const { slot } = await doctorScheduleService.findSlot(doctor, appointmentTime);
+    return slot || null;
+  }
+
+  const start = appointmentTime.set({ minute: Math.floor(appointmentTime.minute / 30) * 30, second: 0, millisecond: 0 });
+  return { start, end: start.plus({ minutes: 30 }) };
+};
+
+/**
+ * Reserve a freed slot for the first patient waiting for its doctor and date.
+ * Patients who already have an appointment that day are passed over.
+ * @param {Object} params
+ * @param {string} params.type - physical or virtual
+ * @param {number} [params.doctorId] - NULL for virtual slots
+ * @param {DateTime} params.slotStart
+ * @param {DateTime} params.slotEnd
+ * @param {number[]} [params.excludeUserIds] - Patients not to offer the slot to
+ * @returns {Promise<Object|null>} Offered WaitlistEntry, or null when nobody got the slot
+ */
+const offerSlot = async ({ type, doctorId = null, slotStart, slotEnd, excludeUserIds = [] }) => {
+  if (slotStart < DateTime.now().setZone(TIMEZONE).plus({ minutes: MIN_LEAD_MINUTES + CLAIM_MINUTES })) {
+    return null;
+  }
+
+  const where = {
+    type,
+    doctorId: type === 'physical' ? doctorId : null,
+    date: slotStart.toISODate(),
+    status: 'waiting'
+  };
+  if (excludeUserIds.length > 0) {
+    where.userId = { [Op.notIn]: excludeUserIds };
+  }
+
+  const entries = await WaitlistEntry.findAll({ where, order: [['createdAt', 'ASC']], limit: 20 });
+
+  for (const entry of entries) {
+    const alreadyBooked = await Appointment.findOne({
+      attributes: ['id'],
+      where: {
+        userId: entry.userId,
+        type,
+        ...(type === 'physical' ? { doctorId } : {}),
+        appointmentDateTime: {
+          [Op.between]: [slotStart.startOf('day').toJSDate(), slotStart.endOf('day').toJSDate()]
+        },
+        status: { [Op.notIn]: ['canceled', 'rejected'] }
+      }
+    });
+    if (alreadyBooked) continue;
+
+    const holdResult = await slotHoldService.createHold({
+      userId: entry.userId,
+      type,
+      doctorId: type === 'physical' ? doctorId : null,
+      slotStart,
+      slotEnd,
+      capacity: SLOT_CAPACITY[type],
+      holdMinutes: CLAIM_MINUTES
+    });
+
+    // Someone else booked the place in the meantime
+    if (!holdResult.success) {
+      return null;
+    }
+
+    const { hold } = holdResult;
+    const [affected] = await WaitlistEntry.update({
+      status: 'offered',
+      slotHoldId: hold.id,
+      offeredSlotStart: hold.slotStart,
+      offeredSlotEnd: hold.slotEnd,
+      offeredAt: new Date(),
+      offerExpiresAt: hold.expiresAt
+    }, { where: { id: entry.id, status: 'waiting' } });
+
+    // The patient left the waitlist while the hold was being taken
+    if (!affected) {
+      await slotHoldService.releaseHold(hold, 'waitlist_entry_cancelled');
+      continue;
+    }
+
+    await entry.reload();
+    await notificationDispatcher.emit('waitlist.offered', { waitlistEntryId: entry.id }).catch(error => {
+      console.error(`Failed to send waitlist offer for entry ${entry.id}:`, error);
+    });
+
+    return entry;
+  }
+
+  return null;
+};
+
+/**
+ * Put the slot of an offer that lapsed or was declined back to the waitlist
+ */
+const reofferSlot = async (entry) => {
+  return offerSlot({
+    type: entry.type,
+    doctorId: entry.doctorId,
+    slotStart: DateTime.fromJSDate(new Date(entry.offeredSlotStart)).setZone(TIMEZONE),
+    slotEnd: DateTime.fromJSDate(new Date(entry.offeredSlotEnd)).setZone(TIMEZONE),
+    excludeUserIds: [entry.userId]
+  });
+};
+
+/**
+ * Add a patient to the waitlist of a doctor and date, or of the virtual pool for a date
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.type - physical or virtual
+ * @param {number} [params.doctorId] - Required for physical entries
+ * @param {string} params.date - yyyy-MM-dd in IST
+ * @returns {Promise<Object>} { success, entry, position } or { success: false, code, message }
+ */
+exports.joinWaitlist = async ({ userId, type, doctorId = null, date }) => {
+  const scope = { type, doctorId: type === 'physical' ? doctorId : null, date };
+
+  const existing = await WaitlistEntry.findOne({
+    where: { ...scope, userId, status: { [Op.in]: ACTIVE_STATUSES } }
+  });
+  if (existing) {
+    return {
+      success: false,
+      code: 'ALREADY_WAITLISTED',
+      message: 'You are already on the waitlist for this date'
+    };
+  }
+
+  const entry = await WaitlistEntry.create({ ...scope, userId, status: 'waiting' });
+
+  return { success: true, entry, position: await exports.getPosition(entry) };
+};
+
+/**
+ * Place of a waiting entry in its queue, starting at 1
+ * @param {Object} entry - WaitlistEntry instance
+ * @returns {Promise<number|null>} null for entries that are no longer waiting
+ */
+exports.getPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await WaitlistEntry.count({
+    where: {
+      type: entry.type,
+      doctorId: entry.doctorId,
+      date: entry.date,
+      status: 'waiting',
+      [Op.or]: [
+        { createdAt: { [Op.lt]: entry.createdAt } },
+        { createdAt: entry.createdAt, id: { [Op.lt]: entry.id } }
+      ]
+    }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Offer the slot of a cancelled or rejected appointment to the waitlist
+ * @param {Object} appointment - Appointment instance
+ * @returns {Promise<Object|null>} Offered WaitlistEntry, or null when nobody got the slot
+ */
+exports.offerFreedSlot = async (appointment) => {
+  const slot = await slotForAppointment(appointment);
+  if (!slot) return null;
+
+  return offerSlot({
+    type: appointment.type,
+    doctorId: appointment.type === 'physical' ? appointment.doctorId : null,
+    slotStart: slot.start,
+    slotEnd: slot.end,
+    excludeUserIds: [appointment.userId]
+  });
+};
+
+/**
+ * Check that a booking made from a waitlist offer is for the offered slot
+ * @param {number} entryId
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.type
+ * @param {number} [params.doctorId]
+ * @param {number} [params.virtualDoctorId]
+ * @param {DateTime} params.slotStart - Start of the slot being booked
+ * @returns {Promise<Object>} { success, entry, hold } or { success: false, code, message }
+ */
+exports.claimOffer = async (entryId, { userId, type, doctorId = null, virtualDoctorId = null, slotStart }) => {
+  const entry = await WaitlistEntry.findOne({ where: { id: entryId, userId } });
+
+  if (!entry || entry.status !== 'offered') {
+    return {
+      success: false,
+      code: 'WAITLIST_OFFER_INVALID',
+      message: 'There is no open slot offer for this waitlist entry'
+    };
+  }
+
+  const hold = entry.slotHoldId ? await SlotHold.findByPk(entry.slotHoldId) : null;
+  if (!hold || !hold.isActive() || hold.appointmentId) {
+    return {
+      success: false,
+      code: 'WAITLIST_OFFER_EXPIRED',
+      message: 'The time to claim this slot has run out'
+    };
+  }
+
+  const offeredStart = DateTime.fromJSDate(new Date(hold.slotStart)).setZone(TIMEZONE);
+  const sameResource = type === entry.type &&
+    (type === 'physical' ? Number(doctorId) === entry.doctorId : !virtualDoctorId);
+
+  if (!sameResource || slotStart.toMillis() !== offeredStart.toMillis()) {
+    return {
+      success: false,
+      code: 'WAITLIST_OFFER_MISMATCH',
+      message: `This offer is for the ${type === 'physical' ? '' : 'virtual '}slot on ${offeredStart.toFormat('dd LLL yyyy')} at ${offeredStart.toFormat('hh:mm a')}`
+    };
+  }
+
+  return { success: true, entry, hold };
+};
+
+/**
+ * Mark an offer as booked once its appointment exists
+ * @param {Object} entry - WaitlistEntry instance from claimOffer
+ * @param {number} appointmentId
+ * @returns {Promise<void>}
+ */
+exports.completeClaim = async (entry, appointmentId) => {
+  await WaitlistEntry.update(
+    { status: 'booked', appointmentId },
+    { where: { id: entry.id, status: { [Op.in]: ['offered', 'expired'] } } }
+  );
+};
+
+/**
+ * Take a patient off the waitlist. A slot offered to them goes to the next patient.
+ * @param {Object} entry - WaitlistEntry instance
+ * @returns {Promise<Object>} { success, entry } or { success: false, code, message }
+ */
+exports.cancelEntry = async (entry) => {
+  if (!ACTIVE_STATUSES.includes(entry.status)) {
+    return {
+      success: false,
+      code: 'WAITLIST_ENTRY_CLOSED',
+      message: `Waitlist entry is already ${entry.status}`
+    };
+  }
+
+  const wasOffered = entry.status === 'offered';
+  const [affected] = await WaitlistEntry.update(
+    { status: 'cancelled' },
+    { where: { id: entry.id, status: entry.status } }
+  );
+  if (!affected) {
+    return { success: false, code: 'WAITLIST_ENTRY_CLOSED', message: 'Waitlist entry has changed, please refresh' };
+  }
+
+  if (wasOffered && entry.slotHoldId) {
+    const hold = await SlotHold.findByPk(entry.slotHoldId);
+    if (hold && !hold.appointmentId) {
+      await slotHoldService.releaseHold(hold, 'waitlist_offer_declined');
+      await reofferSlot(entry);
+    }
+  }
+
+  await entry.reload();
+  return { success: true, entry };
+};
+
+/**
+ * Expire offers that were not claimed in time and pass their slots on, and
+ * close entries for dates that have gone by
+ * @returns {Promise<Object>} { expired, reoffered, closed }
+ */
+exports.processExpiredOffers = async () => {
+  const summary = { expired: 0, reoffered: 0, closed: 0 };
+
+  const entries = await WaitlistEntry.findAll({
+    where: { status: 'offered', offerExpiresAt: { [Op.lte]: new Date() } },
+    order: [['offerExpiresAt', 'ASC']],
+    limit: 100
+  });
+
+  for (const entry of entries) {
+    try {
+      const hold = entry.slotHoldId ? await SlotHold.findByPk(entry.slotHoldId) : null;
+
+      // Booked right at the deadline
+      if (hold && hold.appointmentId) {
+        await exports.completeClaim(entry, hold.appointmentId);
+        continue;
+      }
+
+      const [affected] = await WaitlistEntry.update(
+        { status: 'expired' },
+        { where: { id: entry.id, status: 'offered' } }
+      );
+      if (!affected) continue;
+      summary.expired++;
+
+      if (hold) {
+        await slotHoldService.releaseHold(hold, 'waitlist_offer_expired');
+      }
+      if (await reofferSlot(entry)) {
+        summary.reoffered++;
+      }
+    } catch (error) {
+      console.error(`Failed to expire waitlist offer ${entry.id}:`, error);
+    }
+  }
+
+  const today = DateTime.now().setZone(TIMEZONE).toISODate();
+  const [closed] = await WaitlistEntry.update(
+    { status: 'expired' },
+    { where: { status: 'waiting', date: { [Op.lt]: today } } }
+  );
+  summary.closed = closed;
+
+  return summary;
+};
+
+exports.CLAIM_MINUTES = CLAIM_MINUTES;
+exports.SLOT_CAPACITY = SLOT_CAPACITY;
@@ -0,0 +1,371 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/db');
+const Payment = require('../models/payment.model');
+const Wallet = require('../models/wallet.model');
+const WalletTransaction = require('../models/walletTransaction.model');
+
+// Payments whose wallet part is given back to the wallet
+const FAILED_PAYMENT_STATUSES = ['failed', 'cancelled', 'expired'];
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const expiryTime = (lot) => lot.expiresAt ? lot.expiresAt.getTime() : Infinity;
+
+/**
+ * Replay the transactions of a wallet into the credits they are made of and
+ * what is left of each. Debits use the credit that expires first, credits
+ * without expiry last; an expiry removes what is left of its credit and a
+ * payment reversal puts back exactly what its payment used.
+ * @param {Array} entries - WalletTransactions of one wallet, oldest first
+ * @returns {Array} [{ id, source, remaining, expiresAt }]
+ */
+const creditLots = (entries) => {
+  const lots = [];
+  const used = new Map();
+
+  for (const entry of entries) {
+    const amount = toAmount(entry.amount);
+
+    if (amount > 0) {
+      let left = amount;
+      if (entry.source === 'payment_reversal' && used.has(entry.relatedTransactionId)) {
+        for (const part of used.get(entry.relatedTransactionId)) {
+          const back = Math.min(part.amount, left);
+          part.lot.remaining = toAmount(part.lot.remaining + back);
+          left = toAmount(left - back);
+        }
+      }
+      if (left > 0) {
+        lots.push({
+          id: entry.id,
+          source: entry.source,
+          remaining: left,
+          expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null
+        });
+      }
+      continue;
+    }
+
+    let owed = -amount;
+    const parts = [];
+    const candidates = entry.source === 'expiry'
+      ? lots.filter(lot => lot.id === entry.relatedTransactionId)
+      : lots.filter(lot => lot.remaining > 0).sort((a, b) => expiryTime(a) - expiryTime(b) || a.id - b.id);
+
+    for (const lot of candidates) {
+      if (owed <= 0) break;
+      const take = Math.min(lot.remaining, owed);
+      lot.remaining = toAmount(lot.remaining - take);
+      owed = toAmount(owed - take);
+      parts.push({ lot, amount: take });
+    }
+    used.set(entry.id, parts);
+  }
+
+  return lots;
+};
+
+/**
+ * Lock the wallet of a patient, creating it on first use
+ */
+const lockWallet = async (userId, transaction) => {
+  await Wallet.findOrCreate({ where: { userId }, defaults: { balance: 0 }, transaction });
+  return Wallet.findOne({ where: { userId }, transaction, lock: transaction.LOCK.UPDATE });
+};
+
+/**
+ * Add a transaction to a locked wallet and move its balance
+ * @returns {Promise<Object>} { success, entry, balance } or { success: false, code, message }
+ */
+const post = async (wallet, values, transaction) => {
+  const amount = toAmount(values.amount);
+  const balanceAfter = toAmount(toAmount(wallet.balance) + amount);
+  if (balanceAfter < 0) {
+    return {
+      success: false,
+      code: 'INSUFFICIENT_WALLET_BALANCE',
+      message: `Wallet balance of ₹${toAmount(wallet.balance)} is not enough`
+    };
+  }
+
+  const entry = await WalletTransaction.create({
+    ...values,
+    walletId: wallet.id,
+    userId: wallet.userId,
+    amount,
+    balanceAfter
+  }, { transaction });
+  await wallet.update({ balance: balanceAfter }, { transaction });
+
+  return { success: true, entry, balance: balanceAfter };
+};
+
+const walletEntries = (wallet, transaction) => {
+  return WalletTransaction.findAll({ where: { walletId: wallet.id }, order: [['id', 'ASC']], transaction });
+};
+
+/**
+ * Remove what is left of the promotional credits of a locked wallet that
+ * have expired, and note how far the wallet is settled so the maintenance
+ * job only comes back for credits expiring after that
+ * @returns {Promise<number>} Amount expired
+ */
+const expireDueCredits = async (wallet, transaction) => {
+  const now = new Date();
+  const settledThrough = wallet.creditsExpiredThrough ? new Date(wallet.creditsExpiredThrough) : null;
+  const lots = creditLots(await walletEntries(wallet, transaction));
+  let expired = 0;
+  let settled = false;
+
+  for (const lot of lots) {
+    if (!lot.expiresAt || lot.expiresAt > now) continue;
+    if (!settledThrough || lot.expiresAt > settledThrough) settled = true;
+    if (lot.remaining > 0) {
+      await post(wallet, {
+        source: 'expiry',
+        amount: -lot.remaining,
+        relatedTransactionId: lot.id,
+        description: 'Promotional credit expired'
+      }, transaction);
+      expired = toAmount(expired + lot.remaining);
+    }
+  }
+
+  if (settled) await wallet.update({ creditsExpiredThrough: now }, { transaction });
+  return expired;
+};
+
+/**
+ * Balance of a patient and the promotional credits that will expire
+ * @param {number} userId
+ * @returns {Promise<Object>} { balance, currency, expiringCredits }
+ */
+exports.getWalletSummary = async (userId) => {
+  return sequelize.transaction(async (t) => {
+    const wallet = await lockWallet(userId, t);
+    await expireDueCredits(wallet, t);
+
+    const lots = creditLots(await walletEntries(wallet, t));
+    return {
+      balance: toAmount(wallet.balance),
+      currency: wallet.currency,
+      expiringCredits: lots
+        .filter(lot => lot.expiresAt && lot.remaining > 0)
+        .sort((a, b) => expiryTime(a) - expiryTime(b))
+        .map(lot => ({ transactionId: lot.id, remaining: lot.remaining, expiresAt: lot.expiresAt }))
+    };
+  });
+};
+
+/**
+ * Balance a patient can spend now, after expiring due credits
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+exports.getSpendableBalance = async (userId) => {
+  const summary = await exports.getWalletSummary(userId);
+  return summary.balance;
+};
+
+/**
+ * Grant a promotional credit, by an admin or as a reward
+ * @param {number} userId
+ * @param {Object} credit - { amount, expiresAt, description, createdBy }
+ * @param {Object} [transaction] - Transaction to grant in; a new one by default
+ * @returns {Promise<Object>} { success, entry, balance }
+ */
+exports.grantPromotionalCredit = async (userId, { amount, expiresAt, description, createdBy }, transaction = null) => {
+  const grant = async (t) => {
+    const wallet = await lockWallet(userId, t);
+    return post(wallet, {
+      source: 'promotion',
+      amount,
+      expiresAt: expiresAt || null,
+      description: description || 'Promotional credit',
+      createdBy
+    }, t);
+  };
+  return transaction ? grant(transaction) : sequelize.transaction(grant);
+};
+
+/**
+ * Credit a refund to the wallet of its patient
+ * @param {Object} refund - Refund instance with destination wallet
+ * @param {Object} transaction - Transaction the refund is created in
+ * @returns {Promise<Object>} { success, entry, balance }
+ */
+exports.creditRefund = async (refund, transaction) => {
+  const wallet = await lockWallet(refund.userId, transaction);
+  return post(wallet, {
+    source: 'refund',
+    amount: refund.amount,
+    paymentId: refund.paymentId,
+    refundId: refund.id,
+    description: refund.reason || `Refund for payment #${refund.paymentId}`
+  }, transaction);
+};
+
+/**
+ * Pay the wallet part of a payment. Calling it again for the same payment
+ * returns the debit already made.
+ * @param {Object} payment - Payment instance with walletAmount
+ * @returns {Promise<Object>} { success, entry, balance } or { success: false, code, message }
+ */
+exports.debitForPayment = async (payment) => {
+  return sequelize.transaction(async (t) => {
+    const wallet = await lockWallet(payment.userId, t);
+
+    const existing = await WalletTransaction.findOne({ where: { paymentId: payment.id, source: 'payment' }, transaction: t });
+    if (existing) {
+      return { success: true, entry: existing, balance: toAmount(wallet.balance) };
+    }
+
+    await expireDueCredits(wallet, t);
+    return post(wallet, {
+      source: 'payment',
+      amount: -toAmount(payment.walletAmount),
+      paymentId: payment.id,
+      description: `Payment for appointment #${payment.appointmentId}`
+    }, t);
+  });
+};
+
+/**
+ * Give back the wallet part of a payment that failed, was cancelled or
+ * expired. Does nothing if nothing was taken or it was already given back.
+ * @param {number} paymentId
+ * @returns {Promise<Object|null>} The reversal WalletTransaction, or null
+ */
+exports.releasePaymentDebit = async (paymentId) => {
+  const payment = await Payment.findByPk(paymentId);
+  if (!payment || toAmount(payment.walletAmount) <= 0 || !FAILED_PAYMENT_STATUSES.includes(payment.status)) {
+    return null;
+  }
+
+  return sequelize.transaction(async (t) => {
+    const wallet = await lockWallet(payment.userId, t);
+
+    const debit = await WalletTransaction.findOne({ where: { paymentId, source: 'payment' }, transaction: t });
+    if (!debit) return null;
+    const reversed = await WalletTransaction.count({ where: { paymentId, source: 'payment_reversal' }, transaction: t });
+    if (reversed > 0) return null;
+
+    const result = await post(wallet, {
+      source: 'payment_reversal',
+      amount: -toAmount(debit.amount),
+      paymentId,
+      relatedTransactionId: debit.id,
+      description: `Payment #${paymentId} ${payment.status}`
+    }, t);
+    // What comes back to a credit that has expired since expires straight away
+    await expireDueCredits(wallet, t);
+    return result.entry;
+  });
+};
+
+/**
+ * Give back the wallet part of failed payments and expire due promotional
+ * credits, for the wallet maintenance job
+ * @returns {Promise<Object>} { released, expiredWallets }
+ */
+exports.runMaintenance = async () => {
+  let released = 0;
+  const payments = await Payment.findAll({
+    where: {
+      status: { [Op.in]: FAILED_PAYMENT_STATUSES },
+      walletAmount: { [Op.gt]: 0 },
+      id: {
+        [Op.in]: sequelize.literal("(SELECT `paymentId` FROM `wallet_transactions` WHERE `source` = 'payment')"),
+        [Op.notIn]: sequelize.literal("(SELECT `paymentId` FROM `wallet_transactions` WHERE `source` = 'payment_reversal' AND `paymentId` IS NOT NULL)")
+      }
+    },
+    attributes: ['id'],
+    limit: 100
+  });
+  for (const payment of payments) {
+    try {
+      if (await exports.releasePaymentDebit(payment.id)) released++;
+    } catch (error) {
+      console.error(`Wallet release for payment ${payment.id} failed:`, error.message);
+    }
+  }
+
+  // Wallets with promotional credits that expired since they were last settled
+  const due = await WalletTransaction.findAll({
+    attributes: [[sequelize.fn('DISTINCT', sequelize.col('WalletTransaction.walletId')), 'walletId']],
+    where: {
+      source: 'promotion',
+      expiresAt: { [Op.lte]: new Date() },
+      [Op.or]: [
+        { '$wallet.creditsExpiredThrough$': null },
+        { expiresAt: { [Op.gt]: sequelize.col('wallet.creditsExpiredThrough') } }
+      ]
+    },
+    include: [{ model: Wallet, as: 'wallet', attributes: [] }],
+    raw: true
+  });
+  let expiredWallets = 0;
+  for (const { walletId } of due) {
+    try {
+      const expired = await sequelize.transaction(async (t) => {
+        const wallet = await Wallet.findByPk(walletId, { transaction: t, lock: t.LOCK.UPDATE });
+        return expireDueCredits(wallet, t);
+      });
+      if (expired > 0) expiredWallets++;
+    } catch (error) {
+      console.error(`Wallet ${walletId} credit expiry failed:`, error.message);
+    }
+  }
+
+  return { released, expiredWallets };
+};
+
+/**
+ * Check the balance of a wallet against its transactions
+ * @param {Object} wallet - Wallet instance
+ * @returns {Promise<Object>} { walletId, userId, balance, ledgerBalance, lastBalanceAfter, consistent }
+ */
+exports.reconcileWallet = async (wallet) => {
+  const ledgerBalance = toAmount(await WalletTransaction.sum('amount', { where: { walletId: wallet.id } }));
+  const last = await WalletTransaction.findOne({ where: { walletId: wallet.id }, order: [['id', 'DESC']] });
+  const lastBalanceAfter = last ? toAmount(last.balanceAfter) : 0;
+  const balance = toAmount(wallet.balance);
+
+  return {
+    walletId: wallet.id,
+    userId: wallet.userId,
+    balance,
+    ledgerBalance,
+    lastBalanceAfter,
+    consistent: balance === ledgerBalance && balance === lastBalanceAfter
+  };
+};
+
+/**
+ * Reconcile every wallet
+ * @returns {Promise<Object>} { checked, mismatches }
+ */
+exports.reconcileAll = async () => {
+  const mismatches = [];
+  let checked = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const wallets = await Wallet.findAll({ where: { id: { [Op.gt]: lastId } }, order: [['id', 'ASC']], limit: 200 });
+    if (wallets.length === 0) break;
+
+    for (const wallet of wallets) {
+      const result = await exports.reconcileWallet(wallet);
+      if (!result.consistent) mismatches.push(result);
+      checked++;
+    }
+    lastId = wallets[wallets.length - 1].id;
+  }
+
+  if (mismatches.length > 0) {
+    console.error(`Wallet reconciliation: ${mismatches.length} wallet(s) do not match their transactions`, mismatches);
+  }
+  return { checked, mismatches };
+};
+
+exports.creditLots = creditLots;
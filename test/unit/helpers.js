@@ -0,0 +1,38 @@
+const { mock } = require('node:test');
+const sequelize = require('../../config/db');
+
+// Stand-in for a transaction, for functions that take the caller's
+const TRANSACTION = { LOCK: { UPDATE: 'UPDATE' } };
+
+/**
+ * Run sequelize.transaction callbacks straight away with a stand-in
+ * transaction, so services can be tested without a database
+ */
+const stubTransactions = () => {
+  mock.method(sequelize, 'transaction', async (fn) => fn(TRANSACTION));
+};
+
+/**
+ * Stand-in for a model instance: update and save change it in place, and
+ * every update is kept in updates
+ * @param {Object} values
+ * @returns {Object}
+ */
+const fakeRecord = (values = {}) => {
+  const record = {
+    ...values,
+    updates: [],
+    update: async (changes) => {
+      record.updates.push(changes);
+      Object.assign(record, changes);
+      return record;
+    },
+    save: async () => record,
+    reload: async () => record,
+    get: () => record,
+    toJSON: () => ({ ...record })
+  };
+  return record;
+};
+
+module.exports = { TRANSACTION, stubTransactions, fakeRecord };
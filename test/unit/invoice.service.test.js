@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Payment = require('../../models/payment.model');
+const Price = require('../../models/price.model');
+const RedeemCodeUsage = require('../../models/redeemCodeUsage.model');
+const Invoice = require('../../models/invoice.model');
+const InvoiceSequence = require('../../models/invoiceSequence.model');
+const invoiceService = require('../../services/invoice.service');
+const { stubTransactions, fakeRecord } = require('./helpers');
+
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+
+describe('invoice.service', () => {
+  describe('financialYearOf', () => {
+    it('starts the financial year on 1 April in IST', () => {
+      assert.equal(invoiceService.financialYearOf(new Date('2026-03-31T18:00:00Z')).label, '2025-26');
+      assert.equal(invoiceService.financialYearOf(new Date('2026-03-31T19:00:00Z')).label, '2026-27');
+      assert.deepEqual(invoiceService.financialYearOf(new Date('2027-03-31T12:00:00Z')), { label: '2026-27', short: '2627' });
+    });
+  });
+
+  describe('splitTax', () => {
+    it('splits a GST-inclusive amount into CGST and SGST within the state', () => {
+      assert.deepEqual(invoiceService.splitTax(1180, 18, false), {
+        taxableAmount: 1000, cgstAmount: 90, sgstAmount: 90, igstAmount: 0
+      });
+    });
+
+    it('charges IGST on an inter-state supply', () => {
+      assert.deepEqual(invoiceService.splitTax(1180, 18, true), {
+        taxableAmount: 1000, cgstAmount: 0, sgstAmount: 0, igstAmount: 180
+      });
+    });
+
+    it('keeps the parts adding up to the total after rounding', () => {
+      const { taxableAmount, cgstAmount, sgstAmount } = invoiceService.splitTax(100, 18, false);
+      assert.equal(Math.round((taxableAmount + cgstAmount + sgstAmount) * 100), 10000);
+    });
+  });
+
+  describe('numbering', () => {
+    let sequences;
+    let invoices;
+    let payments;
+
+    beforeEach(() => {
+      sequences = [];
+      invoices = [];
+      payments = {
+        1: { id: 1, userId: 5, status: 'success', amount: '590.00', currency: 'INR', appointment: null, packagePurchase: null },
+        2: { id: 2, userId: 6, status: 'success', amount: '1180.00', currency: 'INR', appointment: null, packagePurchase: null },
+        3: { id: 3, userId: 7, status: 'failed', amount: '100.00', currency: 'INR', appointment: null, packagePurchase: null }
+      };
+
+      stubTransactions();
+      mock.method(Payment, 'findByPk', async (id) => payments[id] || null);
+      mock.method(Price, 'findOne', async () => null);
+      mock.method(RedeemCodeUsage, 'findAll', async () => []);
+      mock.method(InvoiceSequence, 'findOrCreate', async ({ where, defaults }) => {
+        let counter = sequences.find(row => row.series === where.series);
+        if (!counter) {
+          counter = fakeRecord({ series: where.series, ...defaults });
+          sequences.push(counter);
+        }
+        return [counter, true];
+      });
+      mock.method(InvoiceSequence, 'findOne', async ({ where }) => sequences.find(row => row.series === where.series));
+      mock.method(Invoice, 'findOne', async ({ where }) => invoices.find(row => matches(row, where)) || null);
+      mock.method(Invoice, 'create', async (values) => {
+        const invoice = fakeRecord({ id: invoices.length + 1, refundId: null, ...values });
+        invoices.push(invoice);
+        return invoice;
+      });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const series = (prefix) => `${prefix}${invoiceService.financialYearOf(new Date()).short}`;
+
+    it('numbers invoices one after the other within the financial year', async () => {
+      const first = await invoiceService.issueInvoiceForPayment(1);
+      const second = await invoiceService.issueInvoiceForPayment(2);
+
+      assert.equal(first.invoice.invoiceNumber, `${series('INV')}-000001`);
+      assert.equal(second.invoice.invoiceNumber, `${series('INV')}-000002`);
+    });
+
+    it('issues one invoice per payment', async () => {
+      const first = await invoiceService.issueInvoiceForPayment(1);
+      const again = await invoiceService.issueInvoiceForPayment(1);
+
+      assert.equal(again.created, false);
+      assert.equal(again.invoice.id, first.invoice.id);
+      assert.equal(sequences[0].lastNumber, 1);
+    });
+
+    it('does not invoice a payment that was not received', async () => {
+      assert.equal((await invoiceService.issueInvoiceForPayment(3)).code, 'PAYMENT_NOT_INVOICEABLE');
+      assert.equal(invoices.length, 0);
+    });
+
+    it('numbers credit notes in their own series, at the rate of the invoice', async () => {
+      await invoiceService.issueInvoiceForPayment(1);
+      await invoiceService.issueInvoiceForPayment(2);
+
+      const refund = { id: 9, paymentId: 2, status: 'completed', amount: '590.00', reason: 'Cancelled' };
+      const { creditNote } = await invoiceService.issueCreditNote(refund);
+
+      assert.equal(creditNote.invoiceNumber, `${series('CN')}-000001`);
+      assert.equal(creditNote.originalInvoiceId, invoices[1].id);
+      assert.equal(creditNote.taxableAmount, 500);
+      assert.equal((await invoiceService.issueCreditNote(refund)).created, false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Otp = require('../../models/Otp.model');
+const otpService = require('../../services/otp.service');
+const { stubTransactions, fakeRecord } = require('./helpers');
+
+const PHONE = '9876543210';
+const { maxAttempts, resendCooldownSeconds, maxSendsPerWindow } = otpService.OTP_CONFIG;
+
+describe('otp.service', () => {
+  let record;
+
+  beforeEach(() => {
+    record = null;
+    stubTransactions();
+    mock.method(Otp, 'findByPk', async () => record);
+    mock.method(Otp, 'create', async (values) => {
+      record = fakeRecord(values);
+      return record;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('stores a hash of the OTP, never the OTP itself', async () => {
+    const result = await otpService.issueOtp(PHONE, 'login');
+
+    assert.equal(result.success, true);
+    assert.match(result.otp, /^\d{6}$/);
+    assert.notEqual(record.otp, result.otp);
+    assert.equal(record.sendCount, 1);
+  });
+
+  it('accepts the OTP once and rejects it after it is consumed', async () => {
+    const { otp } = await otpService.issueOtp(PHONE, 'login');
+
+    assert.equal((await otpService.verifyOtp(PHONE, otp)).success, true);
+    assert.equal((await otpService.verifyOtp(PHONE, otp)).code, 'OTP_NOT_FOUND');
+  });
+
+  it('refuses a new OTP inside the resend cooldown', async () => {
+    await otpService.issueOtp(PHONE, 'login');
+    const result = await otpService.issueOtp(PHONE, 'login');
+
+    assert.equal(result.code, 'OTP_COOLDOWN');
+    assert.ok(result.retryAfter > 0 && result.retryAfter <= resendCooldownSeconds);
+  });
+
+  it('limits the OTPs sent in a window', async () => {
+    for (let sent = 0; sent < maxSendsPerWindow; sent++) {
+      assert.equal((await otpService.issueOtp(PHONE, 'login')).success, true);
+      // Past the cooldown, still inside the window
+      record.lastSentAt = new Date(Date.now() - (resendCooldownSeconds + 1) * 1000);
+    }
+
+    assert.equal((await otpService.issueOtp(PHONE, 'login')).code, 'OTP_SEND_LIMIT');
+  });
+
+  it('counts wrong codes down to a lockout', async () => {
+    const { otp } = await otpService.issueOtp(PHONE, 'login');
+    const wrong = otp === '123456' ? '654321' : '123456';
+
+    for (let attempt = 1; attempt < maxAttempts; attempt++) {
+      const result = await otpService.verifyOtp(PHONE, wrong);
+      assert.equal(result.code, 'OTP_INVALID');
+      assert.equal(result.attemptsRemaining, maxAttempts - attempt);
+    }
+
+    const locked = await otpService.verifyOtp(PHONE, wrong);
+    assert.equal(locked.code, 'OTP_LOCKED');
+    assert.equal(record.otp, null);
+
+    // Neither the right code nor a new one is accepted while locked out
+    assert.equal((await otpService.verifyOtp(PHONE, otp)).code, 'OTP_LOCKED');
+    assert.equal((await otpService.issueOtp(PHONE, 'login')).code, 'OTP_LOCKED');
+  });
+
+  it('keeps counting wrong codes across a new OTP', async () => {
+    const first = await otpService.issueOtp(PHONE, 'login');
+    const wrong = first.otp === '123456' ? '654321' : '123456';
+
+    for (let attempt = 1; attempt < maxAttempts; attempt++) {
+      await otpService.verifyOtp(PHONE, wrong);
+    }
+
+    record.lastSentAt = new Date(Date.now() - (resendCooldownSeconds + 1) * 1000);
+    const second = await otpService.issueOtp(PHONE, 'login');
+    assert.equal(second.success, true);
+
+    const guess = second.otp === wrong ? '111111' : wrong;
+    assert.equal((await otpService.verifyOtp(PHONE, guess)).code, 'OTP_LOCKED');
+  });
+
+  it('starts counting again after a correct code', async () => {
+    const { otp } = await otpService.issueOtp(PHONE, 'login');
+    const wrong = otp === '123456' ? '654321' : '123456';
+
+    await otpService.verifyOtp(PHONE, wrong);
+    assert.equal((await otpService.verifyOtp(PHONE, otp, { consume: false })).success, true);
+    assert.equal((await otpService.verifyOtp(PHONE, wrong)).attemptsRemaining, maxAttempts - 1);
+  });
+
+  it('rejects an expired OTP', async () => {
+    const { otp } = await otpService.issueOtp(PHONE, 'login');
+    record.expirationTime = new Date(Date.now() - 1000);
+
+    assert.equal((await otpService.verifyOtp(PHONE, otp)).code, 'OTP_EXPIRED');
+  });
+
+  it('only accepts an OTP for the purposes asked for', async () => {
+    const { otp } = await otpService.issueOtp(PHONE, 'reset');
+
+    assert.equal((await otpService.verifyOtp(PHONE, otp, { purposes: ['login'] })).code, 'OTP_NOT_FOUND');
+    assert.equal((await otpService.verifyOtp(PHONE, otp, { purposes: ['reset'] })).success, true);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Doctor = require('../../models/doctor.model');
+const VirtualDoctor = require('../../models/virtualDoctor.model');
+const Payment = require('../../models/payment.model');
+const Price = require('../../models/price.model');
+const DoctorLedgerEntry = require('../../models/doctorLedgerEntry.model');
+const payoutService = require('../../services/payout.service');
+const { stubTransactions, fakeRecord } = require('./helpers');
+
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+const completedRefund = (id, amount) => ({ id, paymentId: 1, status: 'completed', amount: String(amount) });
+
+describe('payout.service', () => {
+  let entries;
+  let payment;
+  let doctorRate;
+  let serviceRate;
+
+  beforeEach(() => {
+    entries = [];
+    payment = {
+      id: 1,
+      status: 'success',
+      amount: '1000.00',
+      appointmentId: 4,
+      appointment: { id: 4, type: 'physical', doctorId: 2 }
+    };
+    doctorRate = null;
+    serviceRate = null;
+
+    stubTransactions();
+    mock.method(Payment, 'findByPk', async () => payment);
+    mock.method(Doctor, 'findByPk', async () => ({ id: 2, commissionRate: doctorRate }));
+    mock.method(VirtualDoctor, 'findByPk', async () => ({ id: 3, commissionRate: doctorRate }));
+    mock.method(Price, 'findOne', async () => (serviceRate === null ? null : { commissionRate: serviceRate }));
+    mock.method(DoctorLedgerEntry, 'findOne', async ({ where }) => entries.find(entry => matches(entry, where)) || null);
+    mock.method(DoctorLedgerEntry, 'create', async (values) => {
+      const entry = fakeRecord({ id: entries.length + 1, refundId: null, ...values });
+      entries.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('recordEarningForPayment', () => {
+    it('credits the doctor with the payment less the platform commission', async () => {
+      const { entry, created } = await payoutService.recordEarningForPayment(1);
+
+      assert.equal(created, true);
+      assert.equal(entry.doctorId, 2);
+      assert.equal(entry.commissionRate, payoutService.PLATFORM_COMMISSION_RATE);
+      assert.equal(entry.amount, 1000 - 1000 * payoutService.PLATFORM_COMMISSION_RATE / 100);
+    });
+
+    it('uses the rate of the doctor before the rate of the service', async () => {
+      serviceRate = '10.00';
+      assert.equal((await payoutService.recordEarningForPayment(1)).entry.commissionAmount, 100);
+
+      entries = [];
+      doctorRate = '15.00';
+      assert.equal((await payoutService.recordEarningForPayment(1)).entry.commissionAmount, 150);
+    });
+
+    it('credits a payment once', async () => {
+      await payoutService.recordEarningForPayment(1);
+      const again = await payoutService.recordEarningForPayment(1);
+
+      assert.equal(again.created, false);
+      assert.equal(entries.length, 1);
+    });
+
+    it('waits for a virtual doctor to be assigned', async () => {
+      payment.appointment = { id: 4, type: 'virtual', virtualDoctorId: null };
+
+      assert.equal((await payoutService.recordEarningForPayment(1)).code, 'NO_PAYEE');
+    });
+  });
+
+  describe('recordRefund', () => {
+    beforeEach(async () => {
+      doctorRate = '20.00';
+      await payoutService.recordEarningForPayment(1);
+    });
+
+    it('takes back the same share of a partial refund as the doctor earned', async () => {
+      const { entry } = await payoutService.recordRefund(completedRefund(7, 250));
+
+      assert.equal(entry.type, 'refund');
+      assert.equal(entry.grossAmount, -250);
+      assert.equal(entry.amount, -200);
+      assert.equal(entry.commissionAmount, -50);
+    });
+
+    it('reverses the whole earning once everything is refunded in parts', async () => {
+      await payoutService.recordRefund(completedRefund(7, 333.33));
+      await payoutService.recordRefund(completedRefund(8, 666.67));
+
+      const net = entries.reduce((sum, entry) => sum + Math.round(entry.amount * 100), 0);
+      assert.equal(net, 0);
+    });
+
+    it('records a refund once', async () => {
+      await payoutService.recordRefund(completedRefund(7, 250));
+      const again = await payoutService.recordRefund(completedRefund(7, 250));
+
+      assert.equal(again.created, false);
+      assert.equal(entries.length, 2);
+    });
+
+    it('ignores refunds that are not completed or have no earning', async () => {
+      assert.equal((await payoutService.recordRefund({ ...completedRefund(7, 250), status: 'processing' })).code, 'REFUND_NOT_COMPLETED');
+      assert.equal((await payoutService.recordRefund({ ...completedRefund(8, 250), paymentId: 99 })).code, 'NO_EARNING');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const Appointment = require('../../models/appoinment.model');
+const Payment = require('../../models/payment.model');
+const Refund = require('../../models/refund.model');
+const RedeemCodeUsage = require('../../models/redeemCodeUsage.model');
+const phonepeService = require('../../services/phonepe.service');
+const appointmentPolicyService = require('../../services/appointmentPolicy.service');
+const invoiceService = require('../../services/invoice.service');
+const payoutService = require('../../services/payout.service');
+const walletService = require('../../services/wallet.service');
+const refundService = require('../../services/refund.service');
+const { stubTransactions, fakeRecord } = require('./helpers');
+
+const sumOf = (rows) => rows.reduce((sum, row) => sum + row.amount, 0);
+
+describe('refund.service', () => {
+  let payment;
+  let refunds;
+  let walletCredits;
+  let gatewayRefunds;
+
+  beforeEach(() => {
+    payment = fakeRecord({ id: 1, userId: 3, appointmentId: 4, status: 'success', amount: '1000.00', walletAmount: '300.00' });
+    refunds = [];
+    walletCredits = [];
+    gatewayRefunds = [];
+
+    stubTransactions();
+    mock.method(Payment, 'findByPk', async () => payment);
+    mock.method(Refund, 'sum', async (field, { where }) => sumOf(refunds.filter(refund =>
+      (typeof where.status === 'string' ? refund.status === where.status : refund.status !== where.status[Op.ne]) &&
+      (!where.destination || refund.destination === where.destination)
+    )));
+    mock.method(Refund, 'create', async (values) => {
+      const refund = fakeRecord({ id: refunds.length + 1, destination: 'original', ...values });
+      refunds.push(refund);
+      return refund;
+    });
+    mock.method(Appointment, 'update', async () => [1]);
+    mock.method(RedeemCodeUsage, 'findAll', async () => []);
+    mock.method(walletService, 'creditRefund', async (refund) => walletCredits.push(refund.amount));
+    mock.method(invoiceService, 'issueCreditNote', async () => null);
+    mock.method(payoutService, 'recordRefund', async () => null);
+    mock.method(phonepeService, 'initiateRefund', async ({ amount }) => {
+      gatewayRefunds.push(amount);
+      return { success: true, data: { state: 'PENDING', refundId: `PP${gatewayRefunds.length}` } };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns the wallet part to the wallet and the rest through PhonePe', async () => {
+    const result = await refundService.issueRefund(payment, { initiatedBy: 'admin' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(gatewayRefunds, [700]);
+    assert.deepEqual(walletCredits, [300]);
+    assert.equal(result.refund.status, 'processing');
+  });
+
+  it('refunds a part through PhonePe first and the wallet part last', async () => {
+    await refundService.issueRefund(payment, { amount: 500, initiatedBy: 'admin' });
+    assert.deepEqual(gatewayRefunds, [500]);
+    assert.deepEqual(walletCredits, []);
+
+    await refundService.issueRefund(payment, { amount: 500, initiatedBy: 'admin' });
+    assert.deepEqual(gatewayRefunds, [500, 200]);
+    assert.deepEqual(walletCredits, [300]);
+  });
+
+  it('refunds everything to the wallet when asked to', async () => {
+    const result = await refundService.issueRefund(payment, { initiatedBy: 'policy', destination: 'wallet' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(gatewayRefunds, []);
+    assert.deepEqual(walletCredits, [1000]);
+    assert.equal(payment.status, 'refunded');
+  });
+
+  it('never refunds more than was paid', async () => {
+    await refundService.issueRefund(payment, { amount: 800, initiatedBy: 'admin' });
+
+    const result = await refundService.issueRefund(payment, { amount: 300, initiatedBy: 'admin' });
+    assert.equal(result.code, 'INVALID_REFUND_AMOUNT');
+  });
+
+  it('does not count failed refunds as refunded', async () => {
+    phonepeService.initiateRefund.mock.mockImplementationOnce(async () => ({ success: false, error: 'Gateway down' }));
+    const failed = await refundService.issueRefund(payment, { amount: 400, initiatedBy: 'admin' });
+    assert.equal(failed.code, 'REFUND_FAILED');
+
+    const retried = await refundService.issueRefund(payment, { initiatedBy: 'admin' });
+    assert.equal(retried.success, true);
+    assert.deepEqual(gatewayRefunds, [700]);
+    assert.deepEqual(walletCredits, [300]);
+  });
+
+  it('tries again to refund a late payment whose PhonePe refund failed', async () => {
+    mock.method(Payment, 'findAll', async () => [payment]);
+    phonepeService.initiateRefund.mock.mockImplementationOnce(async () => ({ success: false, error: 'Gateway down' }));
+
+    assert.equal(await refundService.refundPaymentsForCanceledAppointments(), 0);
+    assert.deepEqual(refunds.map(refund => [refund.destination, refund.status]), [['wallet', 'completed'], ['original', 'failed']]);
+
+    assert.equal(await refundService.refundPaymentsForCanceledAppointments(), 1);
+    assert.deepEqual(gatewayRefunds, [700]);
+    assert.deepEqual(walletCredits, [300]);
+  });
+
+  it('keeps the late cancellation fee from a cancellation refund', async () => {
+    mock.method(appointmentPolicyService, 'getPolicy', async () => ({
+      ...appointmentPolicyService.DEFAULT_POLICY,
+      lateCancellationFeeType: 'percent',
+      lateCancellationFee: 25
+    }));
+    const appointment = { type: 'virtual', appointmentDateTime: new Date(Date.now() + 60 * 60 * 1000) };
+
+    const late = await refundService.calculateCancellationRefund(appointment, payment, 1000, 'patient');
+    assert.deepEqual(late, { amount: 750, fee: 250, rule: 'late_cancellation' });
+
+    const byDoctor = await refundService.calculateCancellationRefund(appointment, payment, 1000, 'doctor');
+    assert.deepEqual(byDoctor, { amount: 1000, fee: 0, rule: 'provider_cancellation' });
+
+    // Capped at what has not been refunded yet
+    const partlyRefunded = await refundService.calculateCancellationRefund(appointment, payment, 600, 'patient');
+    assert.equal(partlyRefunded.amount, 600);
+  });
+});
@@ -0,0 +1,70 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/user.model');
+const UserSession = require('../../models/userSession.model');
+const sessionService = require('../../services/session.service');
+const { stubTransactions, fakeRecord } = require('./helpers');
+
+const USER = { id: 7, role: 'user' };
+
+describe('session.service', () => {
+  let session;
+
+  beforeEach(() => {
+    session = null;
+    stubTransactions();
+    mock.method(UserSession, 'create', async (values) => {
+      session = fakeRecord({ id: 11, revokedAt: null, previousTokenHash: null, ...values });
+      return session;
+    });
+    mock.method(UserSession, 'findByPk', async (id) => (session && session.id === id ? session : null));
+    mock.method(User, 'findByPk', async () => USER);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('issues an access token for the session and a refresh token naming it', async () => {
+    const { token, refreshToken } = await sessionService.createSession(USER, {});
+
+    assert.equal(jwt.verify(token, process.env.JWT_SECRET).sid, session.id);
+    assert.equal(sessionService.getSessionIdFromRefreshToken(refreshToken), session.id);
+    assert.ok(!session.refreshTokenHash.includes(refreshToken.split('.')[1]));
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken } = await sessionService.createSession(USER, {});
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    assert.equal(rotated.success, true);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal((await sessionService.rotateRefreshToken(rotated.refreshToken)).success, true);
+  });
+
+  it('revokes the session when a rotated-out token is used again', async () => {
+    const { refreshToken } = await sessionService.createSession(USER, {});
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    const replayed = await sessionService.rotateRefreshToken(refreshToken);
+    assert.equal(replayed.code, 'REFRESH_TOKEN_REUSED');
+    assert.equal(session.revokedReason, 'token_reuse');
+
+    // The token the legitimate holder got is no good either
+    assert.equal((await sessionService.rotateRefreshToken(rotated.refreshToken)).code, 'SESSION_REVOKED');
+  });
+
+  it('rejects tokens that are malformed, unknown or expired', async () => {
+    const { refreshToken } = await sessionService.createSession(USER, {});
+
+    assert.equal((await sessionService.rotateRefreshToken('not-a-token')).code, 'INVALID_REFRESH_TOKEN');
+    assert.equal((await sessionService.rotateRefreshToken(`${session.id}.wrong`)).code, 'INVALID_REFRESH_TOKEN');
+    assert.equal((await sessionService.rotateRefreshToken(`99.${refreshToken.split('.')[1]}`)).code, 'INVALID_REFRESH_TOKEN');
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await sessionService.rotateRefreshToken(refreshToken)).code, 'REFRESH_TOKEN_EXPIRED');
+    assert.equal(session.revokedReason, 'expired');
+  });
+});
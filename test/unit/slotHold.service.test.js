@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const sequelize = require('../../config/db');
+const Appointment = require('../../models/appoinment.model');
+const SlotHold = require('../../models/slotHold.model');
+const slotHoldService = require('../../services/slotHold.service');
+const { stubTransactions, fakeRecord } = require('./helpers');
+
+const slotStart = DateTime.now().setZone('Asia/Kolkata').plus({ days: 1 }).startOf('hour');
+const slotEnd = slotStart.plus({ minutes: 30 });
+const virtualSlot = { userId: 1, type: 'virtual', slotStart, slotEnd, capacity: 3 };
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('slotHold.service createHold', () => {
+  let holds;
+  let appointments;
+  let canceledAppointments;
+
+  beforeEach(() => {
+    holds = [];
+    appointments = [];
+    canceledAppointments = [];
+    stubTransactions();
+    mock.method(SlotHold, 'findAll', async () => holds.filter(hold => hold.status === 'held'));
+    mock.method(SlotHold, 'create', async (values) => {
+      const hold = fakeRecord({ id: holds.length + 1, appointmentId: null, ...values });
+      holds.push(hold);
+      return hold;
+    });
+    mock.method(Appointment, 'findAll', async () => appointments);
+    mock.method(Appointment, 'update', async (values, { where }) => {
+      canceledAppointments.push(where.id);
+      return [1];
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('holds places until the slot capacity is reached', async () => {
+    for (let place = 0; place < virtualSlot.capacity; place++) {
+      assert.equal((await slotHoldService.createHold(virtualSlot)).success, true);
+    }
+
+    assert.equal((await slotHoldService.createHold(virtualSlot)).code, 'SLOT_FULL');
+  });
+
+  it('counts booked appointments and pending holds together', async () => {
+    appointments = [{ id: 1 }, { id: 2 }];
+    assert.equal((await slotHoldService.createHold(virtualSlot)).success, true);
+
+    assert.equal((await slotHoldService.createHold(virtualSlot)).code, 'SLOT_FULL');
+  });
+
+  it('does not count a hold twice once its appointment exists', async () => {
+    appointments = [{ id: 5 }];
+    holds.push(fakeRecord({ id: 1, status: 'held', appointmentId: 5, expiresAt: minutesFromNow(5) }));
+
+    assert.equal((await slotHoldService.createHold({ ...virtualSlot, capacity: 2 })).success, true);
+  });
+
+  it('frees the place of an expired hold and cancels its unpaid appointment', async () => {
+    const stale = fakeRecord({ id: 1, status: 'held', appointmentId: 9, expiresAt: minutesFromNow(-1) });
+    holds.push(stale);
+    appointments = [];
+
+    const result = await slotHoldService.createHold({ ...virtualSlot, capacity: 1 });
+
+    assert.equal(result.success, true);
+    assert.equal(stale.status, 'expired');
+    assert.deepEqual(canceledAppointments, [9]);
+  });
+
+  it('gives up with SLOT_BUSY when the slot stays locked', async () => {
+    const deadlock = Object.assign(new Error('Deadlock found'), { parent: { code: 'ER_LOCK_DEADLOCK' } });
+    sequelize.transaction.mock.mockImplementation(async () => { throw deadlock; });
+
+    assert.equal((await slotHoldService.createHold(virtualSlot)).code, 'SLOT_BUSY');
+    assert.equal(sequelize.transaction.mock.callCount(), 3);
+  });
+});
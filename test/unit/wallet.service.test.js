@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Payment = require('../../models/payment.model');
+const Wallet = require('../../models/wallet.model');
+const WalletTransaction = require('../../models/walletTransaction.model');
+const walletService = require('../../services/wallet.service');
+const { TRANSACTION, stubTransactions, fakeRecord } = require('./helpers');
+
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+describe('wallet.service', () => {
+  let wallet;
+  let entries;
+  let payments;
+
+  const found = ({ where, order }) => {
+    const rows = entries.filter(entry => matches(entry, where));
+    return order && order[0][1] === 'DESC' ? rows.reverse() : rows;
+  };
+
+  beforeEach(() => {
+    wallet = fakeRecord({ id: 1, userId: 3, balance: '0.00' });
+    entries = [];
+    payments = {};
+
+    stubTransactions();
+    mock.method(Wallet, 'findOrCreate', async () => [wallet, false]);
+    mock.method(Wallet, 'findOne', async () => wallet);
+    mock.method(WalletTransaction, 'create', async (values) => {
+      const entry = fakeRecord({ id: entries.length + 1, relatedTransactionId: null, expiresAt: null, paymentId: null, ...values });
+      entries.push(entry);
+      return entry;
+    });
+    mock.method(WalletTransaction, 'findAll', async (options) => found(options));
+    mock.method(WalletTransaction, 'findOne', async (options) => found(options)[0] || null);
+    mock.method(WalletTransaction, 'count', async (options) => found(options).length);
+    mock.method(WalletTransaction, 'sum', async (field, options) => found(options).reduce((sum, entry) => sum + entry.amount, 0));
+    mock.method(Payment, 'findByPk', async (id) => payments[id] || null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const pay = (id, walletAmount) => {
+    payments[id] = { id, userId: 3, appointmentId: 10 + id, walletAmount: String(walletAmount), status: 'pending' };
+    return walletService.debitForPayment(payments[id]);
+  };
+
+  it('keeps the balance and balanceAfter of every transaction in step', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100, expiresAt: daysFromNow(5) });
+    await walletService.creditRefund({ id: 1, userId: 3, paymentId: 1, amount: '200.00' }, TRANSACTION);
+    const debit = await pay(2, 150);
+
+    assert.equal(debit.balance, 150);
+    assert.deepEqual(entries.map(entry => entry.balanceAfter), [100, 300, 150]);
+    assert.equal((await walletService.reconcileWallet(wallet)).consistent, true);
+  });
+
+  it('spends the credit that expires first', async () => {
+    await walletService.creditRefund({ id: 1, userId: 3, paymentId: 1, amount: '200.00' }, TRANSACTION);
+    await walletService.grantPromotionalCredit(3, { amount: 100, expiresAt: daysFromNow(5) });
+    await pay(2, 150);
+
+    const lots = walletService.creditLots(entries);
+    assert.deepEqual(lots.map(lot => [lot.source, lot.remaining]), [['refund', 150], ['promotion', 0]]);
+  });
+
+  it('refuses a payment larger than the balance', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100 });
+    const result = await pay(2, 150);
+
+    assert.equal(result.code, 'INSUFFICIENT_WALLET_BALANCE');
+    assert.equal(entries.length, 1);
+    assert.equal(wallet.balance, 100);
+  });
+
+  it('takes the wallet part of a payment once', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100 });
+    await pay(2, 60);
+    const again = await walletService.debitForPayment(payments[2]);
+
+    assert.equal(again.balance, 40);
+    assert.equal(entries.length, 2);
+  });
+
+  it('expires what is left of a promotional credit before spending', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100, expiresAt: daysFromNow(-1) });
+    await walletService.creditRefund({ id: 1, userId: 3, paymentId: 1, amount: '50.00' }, TRANSACTION);
+
+    assert.equal((await pay(2, 80)).code, 'INSUFFICIENT_WALLET_BALANCE');
+    const expiry = entries.find(entry => entry.source === 'expiry');
+    assert.equal(expiry.amount, -100);
+    assert.equal(expiry.relatedTransactionId, 1);
+    assert.equal(wallet.balance, 50);
+  });
+
+  it('gives back the wallet part of a failed payment once, to the credits it came from', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100, expiresAt: daysFromNow(5) });
+    await pay(2, 70);
+    payments[2].status = 'failed';
+
+    const reversal = await walletService.releasePaymentDebit(2);
+    assert.equal(reversal.amount, 70);
+    assert.equal(await walletService.releasePaymentDebit(2), null);
+
+    const lots = walletService.creditLots(entries);
+    assert.deepEqual(lots.map(lot => [lot.source, lot.remaining]), [['promotion', 100]]);
+    assert.equal(wallet.balance, 100);
+  });
+
+  it('settles expired promotional credits once, whether spent or not', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100, expiresAt: daysFromNow(5) });
+    await walletService.grantPromotionalCredit(3, { amount: 50, expiresAt: daysFromNow(5) });
+    await pay(3, 100);
+    entries.filter(entry => entry.source === 'promotion').forEach(entry => { entry.expiresAt = daysFromNow(-1); });
+
+    // Wallets with promotional credits that expired after the wallet was last settled
+    const dueWallets = () => (entries.some(entry => entry.source === 'promotion' && entry.expiresAt <= new Date() &&
+      (!wallet.creditsExpiredThrough || entry.expiresAt > wallet.creditsExpiredThrough)) ? [{ walletId: 1 }] : []);
+    mock.method(WalletTransaction, 'findAll', async (options) => (options.include ? dueWallets() : found(options)));
+    mock.method(Payment, 'findAll', async () => []);
+    mock.method(Wallet, 'findByPk', async () => wallet);
+
+    assert.equal((await walletService.runMaintenance()).expiredWallets, 1);
+    assert.equal((await walletService.runMaintenance()).expiredWallets, 0);
+
+    const expiries = entries.filter(entry => entry.source === 'expiry');
+    assert.deepEqual(expiries.map(entry => [entry.relatedTransactionId, entry.amount]), [[2, -50]]);
+    assert.equal(Wallet.findByPk.mock.callCount(), 1);
+    assert.equal(wallet.balance, 0);
+  });
+
+  it('reports a wallet whose balance does not match its transactions', async () => {
+    await walletService.grantPromotionalCredit(3, { amount: 100 });
+    wallet.balance = '120.00';
+
+    const result = await walletService.reconcileWallet(wallet);
+    assert.equal(result.consistent, false);
+    assert.equal(result.ledgerBalance, 100);
+    assert.equal(result.balance, 120);
+  });
+});